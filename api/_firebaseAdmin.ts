@@ -0,0 +1,110 @@
+// Firebase Admin access shared by the serverless endpoints
+// Reads credentials from FIREBASE_SERVICE_ACCOUNT (the service account key JSON),
+// or the platform's application default credentials when it is unset.
+// Files starting with an underscore are not deployed as endpoints.
+
+import process from 'node:process';
+import { initializeApp, getApps, cert, applicationDefault, type App } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore, type Firestore } from 'firebase-admin/firestore';
+
+/**
+ * An error the endpoint answers with its own status and message
+ */
+export class HttpError extends Error {
+  status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function getAdminApp(): App {
+  const [app] = getApps();
+  if (app) return app;
+
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  return initializeApp({
+    credential: serviceAccount ? cert(JSON.parse(serviceAccount)) : applicationDefault()
+  });
+}
+
+/**
+ * Firestore with admin access, bypassing security rules
+ * @returns Firestore instance
+ */
+export function getAdminDb(): Firestore {
+  return getFirestore(getAdminApp());
+}
+
+/**
+ * Verifies the Firebase ID token in a request's Authorization header
+ * @param request - Request with an "Authorization: Bearer <ID token>" header
+ * @returns Promise with the signed-in user's ID
+ * @throws HttpError 401 when the token is missing or not valid
+ */
+export async function verifyRequestUser(request: Request): Promise<string> {
+  const match = request.headers.get('Authorization')?.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    throw new HttpError(401, 'Sign in to continue');
+  }
+
+  try {
+    const decoded = await getAuth(getAdminApp()).verifyIdToken(match[1]);
+    return decoded.uid;
+  } catch {
+    throw new HttpError(401, 'Your session has expired, please sign in again');
+  }
+}
+
+/**
+ * Checks that a user owns or is a member of a project
+ * @param projectId - The project ID
+ * @param uid - The user's ID
+ * @throws HttpError 404 when the project doesn't exist, 403 when the user isn't on it
+ */
+export async function requireProjectMember(projectId: string, uid: string): Promise<void> {
+  const snapshot = await getAdminDb().doc(`projects/${projectId}`).get();
+  if (!snapshot.exists) {
+    throw new HttpError(404, 'Project not found');
+  }
+
+  const project = snapshot.data() || {};
+  if (project.ownerId !== uid && !(project.memberIds || []).includes(uid)) {
+    throw new HttpError(403, 'You are not a member of this project');
+  }
+}
+
+/**
+ * Email addresses of a project's owner and members
+ * @param projectId - The project ID
+ * @returns Promise with the lower-cased addresses of the members who have one
+ */
+export async function getProjectMemberEmails(projectId: string): Promise<string[]> {
+  const project = (await getAdminDb().doc(`projects/${projectId}`).get()).data() || {};
+  const uids: string[] = [project.ownerId, ...(project.memberIds || [])].filter(Boolean);
+  const emails: string[] = [];
+  // getUsers takes at most 100 identifiers a call
+  for (let i = 0; i < uids.length; i += 100) {
+    const { users } = await getAuth(getAdminApp()).getUsers(uids.slice(i, i + 100).map(uid => ({ uid })));
+    users.forEach((user) => {
+      if (user.email) emails.push(user.email.toLowerCase());
+    });
+  }
+  return emails;
+}
+
+/**
+ * CORS headers allowing the app's origin, APP_ORIGIN or the Vite dev server
+ * @returns Headers to add to every response
+ */
+export function corsHeaders(): Record<string, string> {
+  return {
+    'Access-Control-Allow-Origin': process.env.APP_ORIGIN || 'http://localhost:5173',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Vary': 'Origin'
+  };
+}
@@ -0,0 +1,111 @@
+// Serverless call sheet confirmation endpoint
+// Recipients follow the link in their call sheet email without signing in; the
+// token in the link is checked here and the delivery is updated with admin
+// access, so delivery documents stay private to project members.
+
+import { timingSafeEqual } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { FieldValue } from 'firebase-admin/firestore';
+import { HttpError, getAdminDb, corsHeaders } from './_firebaseAdmin';
+
+interface ConfirmRequest {
+  projectId: string;
+  callSheetId: string;
+  contactId: string;
+  token: string;
+  action: 'open' | 'confirm';
+}
+
+const jsonResponse = (body: unknown, status: number) => new Response(JSON.stringify(body), {
+  status,
+  headers: {
+    'Content-Type': 'application/json',
+    ...corsHeaders()
+  }
+});
+
+const tokensMatch = (expected: unknown, actual: string) => {
+  if (typeof expected !== 'string' || !expected) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * Records that a recipient opened or confirmed their call sheet. Opening again
+ * after confirming doesn't undo the confirmation.
+ * @returns What the recipient's page shows: their name, call, status and the sheet as sent
+ */
+async function updateDelivery(request: ConfirmRequest) {
+  const db = getAdminDb();
+  const ref = db.doc(`projects/${request.projectId}/callsheets/${request.callSheetId}/deliveries/${request.contactId}`);
+
+  return db.runTransaction(async (transaction) => {
+    const delivery = (await transaction.get(ref)).data();
+    if (!delivery || !tokensMatch(delivery.token, request.token)) {
+      throw new HttpError(404, 'This confirmation link is not valid');
+    }
+
+    let status = delivery.status;
+    if (request.action === 'open' && status === 'delivered') {
+      status = 'opened';
+      transaction.update(ref, {
+        status,
+        openedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    } else if (request.action === 'confirm' && status !== 'confirmed') {
+      status = 'confirmed';
+      transaction.update(ref, {
+        status,
+        ...(!delivery.openedAt && { openedAt: FieldValue.serverTimestamp() }),
+        confirmedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    }
+
+    return {
+      name: delivery.name,
+      status,
+      ...(delivery.call && { call: delivery.call }),
+      ...(delivery.content && { content: delivery.content })
+    };
+  });
+}
+
+// Main handler function
+export async function handler(request: Request): Promise<Response> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 200, headers: corsHeaders() });
+    }
+
+    if (request.method !== 'POST') {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    const body: ConfirmRequest = await request.json();
+    if (![body.projectId, body.callSheetId, body.contactId].every(id => typeof id === 'string' && /^[\w-]+$/.test(id))
+      || typeof body.token !== 'string' || !body.token) {
+      return jsonResponse({ error: 'This confirmation link is not valid' }, 400);
+    }
+    if (body.action !== 'open' && body.action !== 'confirm') {
+      return jsonResponse({ error: 'Action must be open or confirm' }, 400);
+    }
+
+    return jsonResponse({ delivery: await updateDelivery(body) }, 200);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return jsonResponse({ error: error.message }, error.status);
+    }
+    console.error('Call Sheet Confirmation API Error:', error);
+    return jsonResponse({ error: 'Internal server error' }, 500);
+  }
+}
+
+// Export for different platforms
+export default handler;
+
+// For Vercel
+export { handler as POST, handler as OPTIONS };
@@ -0,0 +1,216 @@
+// Serverless mail API endpoint
+// Sends mail over SMTP for signed-in project members: call sheets to the call
+// sheet's recipients at the address stored on their contact, and other mail
+// only to members of the project. Configure with
+// SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM and SMTP_SECURE ('true'
+// for implicit TLS, port 465); see _firebaseAdmin.ts for Firebase credentials.
+
+import process from 'node:process';
+import nodemailer from 'nodemailer';
+import {
+  HttpError,
+  getAdminDb,
+  getProjectMemberEmails,
+  verifyRequestUser,
+  requireProjectMember,
+  corsHeaders
+} from './_firebaseAdmin';
+
+interface MailRequest {
+  projectId: string;
+  // A call sheet recipient, by contact ID
+  callSheetId?: string;
+  contactId?: string;
+  // Otherwise the address of a project member
+  to?: string;
+  toName?: string;
+  subject: string;
+  text: string;
+  html?: string;
+  replyTo?: string;
+}
+
+interface OutgoingMail {
+  to: string;
+  toName?: string;
+  subject: string;
+  text: string;
+  html?: string;
+  replyTo?: string;
+}
+
+interface SmtpConfig {
+  host: string;
+  port: number;
+  secure: boolean;
+  user?: string;
+  pass?: string;
+  from: string;
+}
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const ID_PATTERN = /^[\w-]+$/;
+const isId = (value: unknown) => typeof value === 'string' && ID_PATTERN.test(value);
+
+function getSmtpConfig(): SmtpConfig {
+  const host = process.env.SMTP_HOST;
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+  if (!host || !from) {
+    throw new Error('SMTP_HOST and SMTP_FROM environment variables are required');
+  }
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from
+  };
+}
+
+/**
+ * Sends one message over SMTP. Credentials are only ever sent over TLS: implicit
+ * TLS when SMTP_SECURE is set, otherwise STARTTLS, which the server must offer.
+ * @returns Promise with the message ID
+ */
+async function sendSmtp(config: SmtpConfig, mail: OutgoingMail): Promise<string> {
+  const auth = config.user && config.pass ? { user: config.user, pass: config.pass } : undefined;
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    // Fails before AUTH when a plain connection can't be upgraded
+    requireTLS: !config.secure && !!auth,
+    ...(auth && { auth }),
+    connectionTimeout: 30000,
+    socketTimeout: 30000
+  });
+
+  try {
+    const info = await transport.sendMail({
+      from: config.from,
+      to: mail.toName ? { name: mail.toName, address: mail.to } : mail.to,
+      subject: mail.subject,
+      text: mail.text,
+      ...(mail.html && { html: mail.html }),
+      ...(mail.replyTo && { replyTo: mail.replyTo })
+    });
+    return info.messageId.replace(/^<|>$/g, '');
+  } catch (error) {
+    throw new Error(`SMTP error: ${error instanceof Error ? error.message : String(error)}`);
+  } finally {
+    transport.close();
+  }
+}
+
+const jsonResponse = (body: unknown, status: number) => new Response(JSON.stringify(body), {
+  status,
+  headers: {
+    'Content-Type': 'application/json',
+    ...corsHeaders()
+  }
+});
+
+/**
+ * Looks up the address of a call sheet recipient
+ * @throws HttpError 404 for an unknown call sheet, 403 when the contact isn't
+ *   a recipient, 400 when the contact has no valid address
+ */
+async function getCallSheetRecipient(mail: MailRequest): Promise<{ email: string; name?: string }> {
+  const db = getAdminDb();
+  const callSheet = await db.doc(`projects/${mail.projectId}/callsheets/${mail.callSheetId}`).get();
+  if (!callSheet.exists) {
+    throw new HttpError(404, 'Call sheet not found');
+  }
+  if (!(callSheet.data()?.recipients || []).includes(mail.contactId)) {
+    throw new HttpError(403, 'The contact is not a recipient of this call sheet');
+  }
+
+  const contact = (await db.doc(`projects/${mail.projectId}/contacts/${mail.contactId}`).get()).data();
+  if (!contact?.email || !EMAIL_PATTERN.test(contact.email)) {
+    throw new HttpError(400, 'The recipient has no valid email address');
+  }
+  return { email: contact.email, name: contact.name };
+}
+
+/**
+ * Checks that mail not tied to a call sheet goes to a member of the project
+ * @throws HttpError 403 when the address isn't a project member's
+ */
+async function getMemberRecipient(mail: MailRequest): Promise<{ email: string; name?: string }> {
+  const to = mail.to as string;
+  const memberEmails = await getProjectMemberEmails(mail.projectId);
+  if (!memberEmails.includes(to.toLowerCase())) {
+    throw new HttpError(403, 'Mail can only be sent to members of the project');
+  }
+  return { email: to, ...(typeof mail.toName === 'string' && mail.toName && { name: mail.toName }) };
+}
+
+// Main handler function
+export async function handler(request: Request): Promise<Response> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 200, headers: corsHeaders() });
+    }
+
+    if (request.method !== 'POST') {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    const uid = await verifyRequestUser(request);
+    const mail: MailRequest = await request.json();
+    const toCallSheet = mail.callSheetId !== undefined || mail.contactId !== undefined;
+    if (!isId(mail.projectId)) {
+      return jsonResponse({ error: 'Project is required' }, 400);
+    }
+    if (toCallSheet && !(isId(mail.callSheetId) && isId(mail.contactId))) {
+      return jsonResponse({ error: 'Call sheet and recipient are required' }, 400);
+    }
+    if (!toCallSheet && (typeof mail.to !== 'string' || !EMAIL_PATTERN.test(mail.to))) {
+      return jsonResponse({ error: 'A valid recipient address is required' }, 400);
+    }
+    if (mail.replyTo && !EMAIL_PATTERN.test(mail.replyTo)) {
+      return jsonResponse({ error: 'Reply-to must be a valid address' }, 400);
+    }
+    if (!mail.subject || typeof mail.text !== 'string') {
+      return jsonResponse({ error: 'Subject and text are required' }, 400);
+    }
+
+    await requireProjectMember(mail.projectId, uid);
+    const recipient = toCallSheet ? await getCallSheetRecipient(mail) : await getMemberRecipient(mail);
+
+    const config = getSmtpConfig();
+    const outgoing: OutgoingMail = {
+      to: recipient.email,
+      ...(recipient.name && { toName: recipient.name }),
+      subject: mail.subject,
+      text: mail.text,
+      ...(mail.html && { html: mail.html }),
+      ...(mail.replyTo && { replyTo: mail.replyTo })
+    };
+    const messageId = await sendSmtp(config, outgoing);
+
+    return jsonResponse({ messageId }, 200);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return jsonResponse({ error: error.message }, error.status);
+    }
+    console.error('Mail API Error:', error);
+
+    if (error instanceof Error && error.message.includes('environment variables')) {
+      return jsonResponse({ error: 'Mail configuration error. Please check your environment variables.' }, 500);
+    }
+    if (error instanceof Error && error.message.startsWith('SMTP')) {
+      return jsonResponse({ error: error.message }, 502);
+    }
+    return jsonResponse({ error: 'Internal server error' }, 500);
+  }
+}
+
+// Export for different platforms
+export default handler;
+
+// For Vercel
+export { handler as POST, handler as OPTIONS };
@@ -0,0 +1,40 @@
+// src/api/__tests__/integrations.test.js
+import { SendEmail } from '../integrations';
+import { sendMail } from '@/lib/mail';
+
+jest.mock('@/lib/llm', () => ({ invokeLLM: jest.fn() }));
+jest.mock('@/lib/storage', () => ({ uploadFile: jest.fn(), generateFilePath: jest.fn() }));
+jest.mock('@/lib/mail', () => ({ sendMail: jest.fn() }));
+
+describe('integrations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('SendEmail', () => {
+    it('should send to a member of the project, with HTML bodies also as text', async () => {
+      sendMail.mockResolvedValue({ messageId: 'smtp-1' });
+
+      const result = await SendEmail({
+        to: 'ad@example.com',
+        subject: 'Schedule change',
+        body: '<p>Day 3 moves to <b>Friday</b></p>',
+        project_id: 'project-123'
+      });
+
+      expect(result).toEqual({ message_id: 'smtp-1' });
+      expect(sendMail).toHaveBeenCalledWith({
+        to: 'ad@example.com',
+        projectId: 'project-123',
+        subject: 'Schedule change',
+        text: 'Day 3 moves to Friday',
+        html: '<p>Day 3 moves to <b>Friday</b></p>'
+      });
+    });
+
+    it('should require a project', async () => {
+      await expect(SendEmail({ to: 'ad@example.com', subject: 'Hi', body: 'Hello' })).rejects.toThrow('project_id');
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+  });
+});
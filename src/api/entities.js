@@ -1,41 +1,77 @@
-// Entity definitions - these would need to be replaced with actual implementations
-// or removed if not needed
-
-// Placeholder exports - these would need to be replaced with actual entity classes
-export const Project = null;
-export const StoryboardFrame = null;
-export const Shot = null;
-export const CallSheet = null;
-export const BreakdownElement = null;
-export const Contact = null;
-export const Location = null;
-export const MediaAsset = null;
-export const ScriptRevision = null;
-export const AVScript = null;
-export const AVSegment = null;
-export const AVRow = null;
-export const BeatSheet = null;
-export const ScriptGoal = null;
-export const Budget = null;
-export const BudgetCategory = null;
-export const BudgetItem = null;
-export const Episode = null;
-export const Season = null;
-export const Schedule = null;
-export const ScheduleItem = null;
-export const ProductionReport = null;
-export const CatalogItem = null;
-export const ProductionElement = null;
-export const Actor = null;
-export const MoodBoard = null;
-export const MoodBoardAsset = null;
-export const MoodBoardItem = null;
-export const ProjectMember = null;
-export const ProjectInvite = null;
-export const ResourcePermission = null;
-export const TeamActivity = null;
-export const OrgSettings = null;
-export const ProjectSettings = null;
-
-// auth placeholder
-export const User = null;
\ No newline at end of file
+// Entity definitions - Firestore-backed records for the legacy components.
+// Each entity exposes filter(query, sort, limit), list (root entities only), get,
+// create, update, delete and subscribe; see src/services/entities.ts for the storage rules.
+import { createEntity, UserEntity } from '@/services/entities';
+
+// Project and org level records
+export const Project = createEntity({ collectionName: 'projects', scope: 'root' });
+export const OrgSettings = createEntity({ collectionName: 'orgSettings', scope: 'root' });
+export const ProjectSettings = createEntity({ collectionName: 'settings' });
+
+// Story development
+export const BeatSheet = createEntity({ collectionName: 'beatSheets' });
+export const ScriptGoal = createEntity({ collectionName: 'scriptGoals' });
+export const Episode = createEntity({ collectionName: 'episodes' });
+export const Season = createEntity({ collectionName: 'seasons' });
+
+// Script management
+export const ScriptRevision = createEntity({ collectionName: 'scriptRevisions' });
+export const AVScript = createEntity({ collectionName: 'avScripts' });
+export const AVSegment = createEntity({
+  collectionName: 'avSegments',
+  parent: { key: 'av_script_id', entity: () => AVScript }
+});
+export const AVRow = createEntity({
+  collectionName: 'avRows',
+  parent: { key: 'av_segment_id', entity: () => AVSegment }
+});
+
+// Breakdown and catalog
+export const BreakdownElement = createEntity({ collectionName: 'breakdownElements' });
+export const ProductionElement = createEntity({ collectionName: 'productionElements' });
+export const CatalogItem = createEntity({ collectionName: 'catalogItems' });
+export const Actor = createEntity({ collectionName: 'actors' });
+
+// Visualize
+export const StoryboardFrame = createEntity({ collectionName: 'storyboardFrames' });
+export const Shot = createEntity({ collectionName: 'shots' });
+export const MediaAsset = createEntity({ collectionName: 'mediaAssets' });
+export const MoodBoard = createEntity({ collectionName: 'moodBoards' });
+export const MoodBoardAsset = createEntity({ collectionName: 'moodBoardAssets' });
+export const MoodBoardItem = createEntity({
+  collectionName: 'moodBoardItems',
+  parent: { key: 'mood_board_id', entity: () => MoodBoard }
+});
+
+// Plan and shoot. Contacts and locations share the service collections;
+// call sheet drafts keep their own collection as their shape differs from
+// the structured call sheets in src/services/callsheets.ts
+export const Contact = createEntity({ collectionName: 'contacts' });
+export const Location = createEntity({ collectionName: 'locations' });
+export const CallSheet = createEntity({ collectionName: 'callSheetDrafts' });
+export const Schedule = createEntity({ collectionName: 'schedules' });
+export const ScheduleItem = createEntity({
+  collectionName: 'scheduleItems',
+  parent: { key: 'schedule_id', entity: () => Schedule }
+});
+export const ProductionReport = createEntity({ collectionName: 'productionReports' });
+
+// Budget
+export const Budget = createEntity({ collectionName: 'budgetSheets' });
+export const BudgetCategory = createEntity({
+  collectionName: 'budgetCategories',
+  parent: { key: 'budget_id', entity: () => Budget }
+});
+export const BudgetItem = createEntity({
+  collectionName: 'budgetItems',
+  parent: { key: 'category_id', entity: () => BudgetCategory }
+});
+
+// Collaboration
+export const ProjectMember = createEntity({ collectionName: 'members' });
+export const ProjectInvite = createEntity({ collectionName: 'invites' });
+export const ResourcePermission = createEntity({ collectionName: 'permissions' });
+export const TeamActivity = createEntity({ collectionName: 'activity' });
+
+// auth
+export const User = UserEntity;
@@ -1,12 +1,71 @@
-// Integration definitions - these would need to be replaced with actual implementations
-// or removed if not needed
+// Integration definitions - implementations for the legacy components
+// InvokeLLM routes through AIClient (/api/ai); see src/lib/llm.ts for providers.
+// UploadFile stores files in Firebase Storage through src/lib/storage.ts
+// SendEmail sends through the configured mail transport; see src/lib/mail.ts.
+// The /api/mail endpoint only delivers it to members of the given project.
+
+import { invokeLLM } from '@/lib/llm';
+import { uploadFile, generateFilePath } from '@/lib/storage';
+import { sendMail } from '@/lib/mail';
+
+export const InvokeLLM = invokeLLM;
+
+/**
+ * Uploads a file for a project
+ * @param {Object} params
+ * @param {File} params.file - The file to upload
+ * @param {string} params.project_id - The owning project
+ * @param {string} [params.category] - Folder under the project, e.g. 'storyboard'
+ * @param {Function} [params.onProgress] - Receives { bytesTransferred, totalBytes, percent, state }
+ * @returns {Promise<{file_url: string, path: string}>}
+ */
+export async function UploadFile({ file, project_id, category = 'uploads', onProgress }) {
+  if (!project_id) {
+    throw new Error('UploadFile requires a project_id');
+  }
+
+  const filePath = generateFilePath(project_id, file.name, category);
+  const { url, path } = await uploadFile(project_id, filePath, file, { onProgress });
+  return { file_url: url, path };
+}
+
+/**
+ * Sends an email to a project member
+ * @param {Object} params
+ * @param {string} params.to - Recipient address
+ * @param {string} params.subject - Subject line
+ * @param {string} params.body - Message body; HTML bodies are also sent as text with tags removed
+ * @param {string} params.project_id - The project the recipient is a member of
+ * @returns {Promise<{message_id: string|undefined}>}
+ */
+export async function SendEmail({ to, subject, body, project_id }) {
+  if (!project_id) {
+    throw new Error('SendEmail requires a project_id');
+  }
+
+  const isHtml = /<[a-z][\s\S]*>/i.test(body);
+  const { messageId } = await sendMail({
+    to,
+    projectId: project_id,
+    subject,
+    text: isHtml ? body.replace(/<[^>]+>/g, '') : body,
+    ...(isHtml && { html: body })
+  });
+  return { message_id: messageId };
+}
 
 // Placeholder exports - these would need to be replaced with actual integration classes
-export const Core = null;
-export const InvokeLLM = null;
-export const SendEmail = null;
-export const UploadFile = null;
 export const GenerateImage = null;
 export const ExtractDataFromUploadedFile = null;
 export const CreateFileSignedUrl = null;
-export const UploadPrivateFile = null;
\ No newline at end of file
+export const UploadPrivateFile = null;
+
+export const Core = {
+  InvokeLLM,
+  SendEmail,
+  UploadFile,
+  GenerateImage,
+  ExtractDataFromUploadedFile,
+  CreateFileSignedUrl,
+  UploadPrivateFile
+};
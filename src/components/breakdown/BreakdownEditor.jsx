@@ -1,5 +1,5 @@
 
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { Project, BreakdownElement, CatalogItem } from '@/api/entities';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
@@ -8,6 +8,11 @@ import { ScrollArea } from '@/components/ui/scroll-area';
 import { toast } from "sonner";
 import { InvokeLLM } from '@/api/integrations';
 import { featureFlags } from '@/components/featureFlags';
+import BreakdownSheetView from '../../modules/breakdown/BreakdownSheetView';
+import TagUnderlines from '@/components/script/TagUnderlines';
+import OrphanedTags from '@/components/script/OrphanedTags';
+import { createAnchor, resolveTags, refreshAnchors } from '@/components/script/ScriptAnchors';
+import { getBreakdownColor } from '@/services/breakdownSheets';
 
 // Reordered by most commonly used categories first
 const breakdownCategories = {
@@ -37,6 +42,9 @@ const breakdownCategories = {
   scene_settings: { label: 'Scene Settings', icon: Clapperboard, color: 'text-indigo-600' },
 };
 
+// The saved script is plain text, one script line per text line
+const toScriptLines = (content) => (content || '').split('\n').map((text, index) => ({ id: `line-${index}`, text }));
+
 const TaggingPopover = ({ position, onTag, onClose }) => {
   const popoverRef = useRef(null);
 
@@ -90,9 +98,26 @@ export default function BreakdownEditor({ projectId }) {
   const [isGenerating, setIsGenerating] = useState(false);
   const [popover, setPopover] = useState(null);
   const [selection, setSelection] = useState(null);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [showSheets, setShowSheets] = useState(false);
 
   const scriptContainerRef = useRef(null);
 
+  // Tags follow their text through edits made in the script editor
+  const reanchorElements = async (lines, elements) => {
+    try {
+      return await Promise.all(elements.map(async (element) => {
+        const anchors = refreshAnchors(lines, element.text_anchors);
+        if (!anchors) return element;
+        await BreakdownElement.update(element.id, { text_anchors: anchors });
+        return { ...element, text_anchors: anchors };
+      }));
+    } catch (error) {
+      console.error('Error updating tag anchors:', error);
+      return elements;
+    }
+  };
+
   const loadData = useCallback(async () => {
     setIsLoading(true);
     try {
@@ -101,7 +126,7 @@ export default function BreakdownEditor({ projectId }) {
         BreakdownElement.filter({ project_id: projectId }, '-created_date')
       ]);
       setProject(proj);
-      setBreakdownElements(elements);
+      setBreakdownElements(await reanchorElements(toScriptLines(proj?.script_content), elements));
     } catch (error) {
       console.error('Error loading breakdown data:', error);
     }
@@ -112,6 +137,40 @@ export default function BreakdownEditor({ projectId }) {
     loadData();
   }, [loadData]);
 
+  const scriptLines = useMemo(() => (project?.script_content ? toScriptLines(project.script_content) : []), [project]);
+
+  // Tags drawn under the script text; ones whose text is gone are listed for review
+  const tagLayout = useMemo(() => resolveTags(scriptLines, breakdownElements.flatMap(element =>
+    (element.text_anchors || []).map((anchor, index) => ({
+      key: `${element.id}:${index}`,
+      elementId: element.id,
+      anchorIndex: index,
+      name: element.name,
+      color: getBreakdownColor({ type: element.element_type, category: '' }),
+      anchor
+    }))
+  )), [scriptLines, breakdownElements]);
+
+  // Anchor for a selection within one line of the script
+  const anchorForRange = (range) => {
+    const lineOf = node => (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement)?.closest('[data-line-id]');
+    const lineElement = lineOf(range.startContainer);
+    if (!lineElement || lineElement !== lineOf(range.endContainer)) return null;
+
+    const offsetOf = (container, offset) => {
+      const before = document.createRange();
+      before.selectNodeContents(lineElement);
+      before.setEnd(container, offset);
+      return before.toString().length;
+    };
+    return createAnchor(
+      scriptLines,
+      lineElement.dataset.lineId,
+      offsetOf(range.startContainer, range.startOffset),
+      offsetOf(range.endContainer, range.endOffset)
+    );
+  };
+
   const handleMouseUp = () => {
     const sel = window.getSelection();
     if (sel && sel.toString().trim().length > 0) {
@@ -121,6 +180,7 @@ export default function BreakdownEditor({ projectId }) {
       if (scriptContainerRef.current && scriptContainerRef.current.contains(range.startContainer)) {
         const containerRect = scriptContainerRef.current.getBoundingClientRect();
         setSelection(sel.toString().trim());
+        setSelectionAnchor(anchorForRange(range));
         setPopover({
           x: rect.left - containerRect.left,
           y: rect.bottom - containerRect.top + window.scrollY + 10
@@ -139,6 +199,7 @@ export default function BreakdownEditor({ projectId }) {
         project_id: projectId,
         name: selection,
         element_type: elementType,
+        text_anchors: selectionAnchor ? [selectionAnchor] : [],
       });
 
       // --- FEATURE FLAG: catalog_v1 ---
@@ -165,6 +226,7 @@ export default function BreakdownEditor({ projectId }) {
     } finally {
       setPopover(null);
       setSelection(null);
+      setSelectionAnchor(null);
       window.getSelection().removeAllRanges();
     }
   };
@@ -256,7 +318,7 @@ export default function BreakdownEditor({ projectId }) {
 
   const handleDeleteElement = async (elementId) => {
     try {
-      await BreakdownElement.delete(elementId);
+      await BreakdownElement.delete(elementId, projectId);
       setBreakdownElements(prev => prev.filter(el => el.id !== elementId));
       toast.success("Element deleted successfully.");
     } catch (error) {
@@ -265,21 +327,27 @@ export default function BreakdownEditor({ projectId }) {
     }
   };
   
+  const dismissOrphanedTag = async (tag) => {
+    const element = breakdownElements.find(el => el.id === tag.elementId);
+    if (!element) return;
+
+    const textAnchors = element.text_anchors.filter((_, index) => index !== tag.anchorIndex);
+    try {
+      await BreakdownElement.update(element.id, { text_anchors: textAnchors });
+      setBreakdownElements(prev => prev.map(el => (el.id === element.id ? { ...el, text_anchors: textAnchors } : el)));
+    } catch (error) {
+      console.error("Failed to remove tag:", error);
+      toast.error("Failed to remove tag.");
+    }
+  };
+
   const addManualAsset = () => {
     // This is a stub for manual asset addition. A dialog would open here.
     toast.info("Manual asset addition coming soon!");
   };
 
   const generateReport = () => {
-    // Pseudo-code for PDF generation
-    // let pdf = new PDFDocument();
-    // pdf.addTitle("Breakdown Report for " + project.title);
-    // Object.entries(groupedElements).forEach(([category, items]) => {
-    //   pdf.addSection(category);
-    //   items.forEach(item => pdf.addItem(item.name));
-    // });
-    // pdf.download("breakdown-report.pdf");
-    toast.info("PDF Report generation is on the roadmap!");
+    setShowSheets(true);
   }
   
   const groupedElements = breakdownElements.reduce((acc, el) => {
@@ -291,13 +359,29 @@ export default function BreakdownEditor({ projectId }) {
     return <div className="flex justify-center items-center h-96"><Loader2 className="w-8 h-8 animate-spin text-gray-400" /></div>;
   }
 
+  if (showSheets) {
+    return (
+      <BreakdownSheetView
+        projectId={projectId}
+        projectTitle={project?.title}
+        onClose={() => setShowSheets(false)}
+      />
+    );
+  }
+
   return (
     <div className="flex h-[calc(100vh-150px)]">
       {/* Script Panel */}
       <div className="flex-grow w-2/3 relative" ref={scriptContainerRef}>
         <ScrollArea className="h-full">
           <div onMouseUp={handleMouseUp} className="prose p-8 whitespace-pre-wrap select-text selection:bg-blue-300/50">
-            {project?.script_content || "No script content available. Please add a script."}
+            {scriptLines.length > 0
+              ? scriptLines.map(line => (
+                <div key={line.id} data-line-id={line.id}>
+                  {line.text ? <TagUnderlines text={line.text} spans={tagLayout.byLine[line.id]} /> : '\n'}
+                </div>
+              ))
+              : "No script content available. Please add a script."}
           </div>
         </ScrollArea>
         {popover && (
@@ -329,6 +413,7 @@ export default function BreakdownEditor({ projectId }) {
           <CardContent>
             <ScrollArea className="h-[calc(100vh-300px)]">
               <div className="space-y-4">
+                <OrphanedTags orphans={tagLayout.orphans} onDismiss={dismissOrphanedTag} />
                 {Object.keys(breakdownCategories).map(key => {
                   const items = groupedElements[key];
                   // Only render category if there are items in it
@@ -357,7 +442,7 @@ export default function BreakdownEditor({ projectId }) {
               </div>
             </ScrollArea>
              <div className="absolute bottom-4 right-4 left-4 border-t pt-4">
-                <Button onClick={generateReport} className="w-full">Generate Breakdown Report</Button>
+                <Button onClick={generateReport} className="w-full">Generate Breakdown Sheets</Button>
              </div>
           </CardContent>
         </Card>
@@ -224,7 +224,7 @@ export default function CallSheetEditor({ projectId }) {
 
   const deleteCallSheet = async (callSheetId) => {
     try {
-      await CallSheet.delete(callSheetId);
+      await CallSheet.delete(callSheetId, projectId);
       setCallSheets(prev => prev.filter(cs => cs.id !== callSheetId));
     } catch (error) {
       console.error('Error deleting call sheet:', error);
@@ -1,11 +1,14 @@
 
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { MoodBoard, MoodBoardAsset, MoodBoardItem } from '@/api/entities';
-import { uploadFile, deleteFile, generateFilePath, validateFile } from '@/lib/storage';
+import { deleteFile, generateFilePath, validateFile } from '@/lib/storage';
+import { useUpload } from '@/hooks/useUpload';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
+import { Progress } from '@/components/ui/progress';
+import UploadControls from '@/components/upload/UploadControls';
 import { 
   Loader2, Upload, Image as ImageIcon, Type, Trash2, Lock, Unlock, 
   Layers, Move, RotateCw, Plus, X, Grid3x3, AlignLeft, AlignCenter, 
@@ -26,6 +29,7 @@ export default function MoodBoardEditor({ projectId }) {
   const [assets, setAssets] = useState([]);
   const [selectedItemIds, setSelectedItemIds] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const { upload, progress: uploadProgress, isUploading, pause: pauseUpload, resume: resumeUpload, cancel: cancelUpload } = useUpload(projectId);
   const [draggedAsset, setDraggedAsset] = useState(null);
   const [isGridVisible, setIsGridVisible] = useState(true);
   const [snapToGrid, setSnapToGrid] = useState(true);
@@ -56,7 +60,7 @@ export default function MoodBoardEditor({ projectId }) {
       setBoard(fetchedBoard);
 
       const [fetchedItems, fetchedAssets] = await Promise.all([
-        MoodBoardItem.filter({ mood_board_id: fetchedBoard.id }, 'z_index'),
+        MoodBoardItem.filter({ project_id: projectId, mood_board_id: fetchedBoard.id }, 'z_index'),
         MoodBoardAsset.filter({ project_id: projectId }, '-created_date'),
       ]);
       setItems(fetchedItems);
@@ -103,6 +107,7 @@ export default function MoodBoardEditor({ projectId }) {
     try {
       const maxZ = items.length > 0 ? Math.max(...items.map(item => item.z_index || 0)) : 0;
       const newItem = await MoodBoardItem.create({
+        project_id: projectId,
         mood_board_id: board.id,
         ...itemData,
         z_index: maxZ + 1
@@ -114,11 +119,11 @@ export default function MoodBoardEditor({ projectId }) {
       toast.error("Failed to create item.");
       return null;
     }
-  }, [board, items]);
+  }, [board, items, projectId]);
 
   const deleteItems = useCallback(async (itemIds) => {
     try {
-      await Promise.all(itemIds.map(id => MoodBoardItem.delete(id)));
+      await Promise.all(itemIds.map(id => MoodBoardItem.delete(id, projectId)));
       setItems(prev => prev.filter(item => !itemIds.includes(item.id)));
       setSelectedItemIds([]);
       announce(`${itemIds.length} item(s) deleted`);
@@ -126,7 +131,7 @@ export default function MoodBoardEditor({ projectId }) {
       console.error("Failed to delete items:", error);
       toast.error("Failed to delete items.");
     }
-  }, []);
+  }, [projectId]);
 
   // Handle file drops on canvas
   const handleCanvasDrop = useCallback(async (e) => {
@@ -144,6 +149,10 @@ export default function MoodBoardEditor({ projectId }) {
     if (e.dataTransfer.files?.length > 0) {
       const file = e.dataTransfer.files[0];
       if (file.type.startsWith('image/')) {
+        if (isUploading) {
+          toast.error("Wait for the current upload to finish.");
+          return;
+        }
         try {
           // Validate file before upload
           const validation = validateFile(file, { 
@@ -157,14 +166,15 @@ export default function MoodBoardEditor({ projectId }) {
           }
 
           const filePath = generateFilePath(projectId, file.name, 'moodboard');
-          const { url } = await uploadFile(projectId, filePath, file);
+          const result = await upload(filePath, file);
+          if (!result) return;
           
           await createItem({
             type: 'image',
             x, y,
             width: 200,
             height: 150,
-            content: url,
+            content: result.url,
             styles: { caption: file.name }
           });
           toast.success("Image added to mood board.");
@@ -188,7 +198,7 @@ export default function MoodBoardEditor({ projectId }) {
     }
 
     setDraggedAsset(null);
-  }, [board, canvasViewport, snapToGrid, createItem, draggedAsset]);
+  }, [board, canvasViewport, snapToGrid, createItem, draggedAsset, projectId, upload, isUploading]);
 
   // Keyboard handling
   useEffect(() => {
@@ -636,6 +646,8 @@ export default function MoodBoardEditor({ projectId }) {
             accept="image/*"
             onChange={async (e) => {
               const file = e.target.files[0];
+              // Let the same file be picked again, e.g. after cancelling its upload
+              e.target.value = '';
               if (file) {
                 try {
                   // Validate file before upload
@@ -650,13 +662,14 @@ export default function MoodBoardEditor({ projectId }) {
                   }
 
                   const filePath = generateFilePath(projectId, file.name, 'moodboard-assets');
-                  const { url } = await uploadFile(projectId, filePath, file);
+                  const result = await upload(filePath, file);
+                  if (!result) return;
                   
                   const newAsset = await MoodBoardAsset.create({
                     project_id: projectId,
                     name: file.name,
-                    url: url,
-                    thumbnail_url: url
+                    url: result.url,
+                    thumbnail_url: result.url
                   });
                   setAssets(prev => [newAsset, ...prev]);
                   toast.success("Asset uploaded successfully.");
@@ -668,14 +681,30 @@ export default function MoodBoardEditor({ projectId }) {
             }}
             className="hidden"
             id="asset-upload"
+            disabled={isUploading}
           />
-          <Label
-            htmlFor="asset-upload"
-            className="flex items-center justify-center w-full px-4 py-2 border border-dashed border-gray-300 rounded-lg cursor-pointer hover:bg-gray-100"
-          >
-            <Upload className="w-4 h-4 mr-2" />
-            Upload Asset
-          </Label>
+          {isUploading ? (
+            <div className="px-4 py-2 border border-gray-300 rounded-lg space-y-2">
+              <p className="text-sm text-gray-700 truncate">
+                {uploadProgress.state === 'paused' ? 'Paused' : `Uploading ${uploadProgress.percent}%`}: {uploadProgress.name}
+              </p>
+              <Progress value={uploadProgress.percent} />
+              <UploadControls
+                progress={uploadProgress}
+                onPause={pauseUpload}
+                onResume={resumeUpload}
+                onCancel={cancelUpload}
+              />
+            </div>
+          ) : (
+            <Label
+              htmlFor="asset-upload"
+              className="flex items-center justify-center w-full px-4 py-2 border border-dashed border-gray-300 rounded-lg cursor-pointer hover:bg-gray-100"
+            >
+              <Upload className="w-4 h-4 mr-2" />
+              Upload Asset
+            </Label>
+          )}
         </div>
       </div>
 
@@ -1,9 +1,11 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { AVScript, AVSegment, AVRow } from '@/api/entities';
-import { uploadFile, generateFilePath, validateFile } from '@/lib/storage';
+import { generateFilePath, validateFile } from '@/lib/storage';
+import { useUpload } from '@/hooks/useUpload';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
+import UploadControls from '@/components/upload/UploadControls';
 import { Plus, Image as ImageIcon, Trash2, Loader2 } from 'lucide-react';
 
 const WORDS_PER_MINUTE = 150;
@@ -54,7 +56,7 @@ const AutoResizingTextarea = ({ value, onChange, placeholder, className }) => {
 };
 
 const AVScriptRow = ({ row, segmentOrder, onUpdate, onDelete, onImageUpload, projectId }) => {
-  const [isUploading, setIsUploading] = useState(false);
+  const { upload, progress, isUploading, pause, resume, cancel } = useUpload(projectId);
   const [debouncedRow] = useDebounce(row, 1000);
 
   useEffect(() => {
@@ -66,8 +68,9 @@ const AVScriptRow = ({ row, segmentOrder, onUpdate, onDelete, onImageUpload, pro
 
   const handleFileChange = async (e) => {
     const file = e.target.files[0];
-    if (!file) return;
-    setIsUploading(true);
+    // Let the same file be picked again, e.g. after cancelling its upload
+    e.target.value = '';
+    if (!file || isUploading) return;
     try {
       // Validate file before upload
       const validation = validateFile(file, { 
@@ -81,12 +84,10 @@ const AVScriptRow = ({ row, segmentOrder, onUpdate, onDelete, onImageUpload, pro
       }
 
       const filePath = generateFilePath(projectId, file.name, 'av-script');
-      const { url } = await uploadFile(projectId, filePath, file);
-      onImageUpload(url);
+      const result = await upload(filePath, file);
+      if (result) onImageUpload(result.url);
     } catch (error) {
       console.error("Image upload failed:", error);
-    } finally {
-      setIsUploading(false);
     }
   };
 
@@ -119,11 +120,19 @@ const AVScriptRow = ({ row, segmentOrder, onUpdate, onDelete, onImageUpload, pro
           background: 'linear-gradient(145deg, #e8e8e8, #f0f0f0)',
           boxShadow: 'inset 1px 1px 3px rgba(0,0,0,0.1)'
         }}>
-          {isUploading ? <Loader2 className="w-4 h-4 animate-spin" /> :
+          {isUploading ? (
+            <div className="flex flex-col items-center">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              <span className="text-[10px] text-gray-500 mt-1">{progress.state === 'paused' ? 'Paused' : `${progress.percent}%`}</span>
+            </div>
+          ) :
             row.image_url ? <img src={row.image_url} alt="visual" className="w-full h-full object-cover rounded-lg" /> :
             <ImageIcon className="w-4 h-4 text-gray-400" />
           }
         </label>
+        {isUploading && (
+          <UploadControls progress={progress} onPause={pause} onResume={resume} onCancel={cancel} />
+        )}
       </div>
       <div className="w-16 md:w-20 flex-shrink-0 text-center">
         <Input
@@ -247,11 +256,11 @@ export default function AVScriptEditor({ projectId }) {
     setIsLoading(true);
     try {
       setActiveScript(script);
-      const fetchedSegments = await AVSegment.filter({ av_script_id: script.id }, 'order');
+      const fetchedSegments = await AVSegment.filter({ project_id: projectId, av_script_id: script.id }, 'order');
       setSegments(fetchedSegments);
       if (fetchedSegments.length > 0) {
         const segmentIds = fetchedSegments.map(s => s.id);
-        const fetchedRows = await AVRow.filter({ av_segment_id: { '$in': segmentIds } }, 'order');
+        const fetchedRows = await AVRow.filter({ project_id: projectId, av_segment_id: { '$in': segmentIds } }, 'order');
         setRows(fetchedRows);
       } else {
         setRows([]);
@@ -302,6 +311,7 @@ export default function AVScriptEditor({ projectId }) {
       const segmentRows = rows.filter(r => r.av_segment_id === segmentId);
       const maxOrder = segmentRows.length > 0 ? Math.max(...segmentRows.map(r => r.order)) : 0;
       const newRow = await AVRow.create({
+        project_id: projectId,
         av_segment_id: segmentId,
         order: maxOrder + 1,
         audio: '',
@@ -316,7 +326,7 @@ export default function AVScriptEditor({ projectId }) {
 
   const handleDeleteRow = async (rowId) => {
     try {
-      await AVRow.delete(rowId);
+      await AVRow.delete(rowId, projectId);
       setRows(prev => prev.filter(r => r.id !== rowId));
     } catch (error) {
       console.error('Error deleting row:', error);
@@ -328,6 +338,7 @@ export default function AVScriptEditor({ projectId }) {
     try {
       const maxOrder = segments.length > 0 ? Math.max(...segments.map(s => s.order)) : 0;
       const newSegment = await AVSegment.create({
+        project_id: projectId,
         av_script_id: activeScript.id,
         order: maxOrder + 1,
         title: 'New Segment'
@@ -340,11 +351,11 @@ export default function AVScriptEditor({ projectId }) {
   
   const handleDeleteSegment = async (segmentId) => {
     try {
-      await AVSegment.delete(segmentId);
+      await AVSegment.delete(segmentId, projectId);
       // Also delete associated rows
       const rowsToDelete = rows.filter(r => r.av_segment_id === segmentId);
       for (const row of rowsToDelete) {
-        await AVRow.delete(row.id);
+        await AVRow.delete(row.id, projectId);
       }
       setSegments(prev => prev.filter(s => s.id !== segmentId));
       setRows(prev => prev.filter(r => r.av_segment_id !== segmentId));
@@ -2,26 +2,8 @@ import React, { useMemo } from 'react';
 import { Clock, Play, Pause } from 'lucide-react';
 import { Badge } from '@/components/ui/badge';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
-
-// Duration calculation constants
-const DURATION_CONSTANTS = {
-  // Words per minute for different script types
-  WORDS_PER_MINUTE: {
-    film_tv: 150,
-    stageplay: 120,
-    multi_column_av: 180
-  },
-  // Pages per minute (industry standard)
-  PAGES_PER_MINUTE: {
-    film_tv: 1,
-    stageplay: 0.67, // ~1.5 minutes per page
-    multi_column_av: 0.5 // ~2 minutes per page
-  },
-  // Minimum scene duration
-  MIN_SCENE_DURATION: 0.5, // 30 seconds
-  // Maximum scene duration
-  MAX_SCENE_DURATION: 10 // 10 minutes
-};
+import { paginateScript, PAGE } from './ScriptPaginator';
+import { calculateSceneDuration } from './SceneDuration';
 
 const formatDuration = (minutes) => {
   if (minutes < 1) {
@@ -35,46 +17,16 @@ const formatDuration = (minutes) => {
   return `${mins}m`;
 };
 
-const calculateSceneDuration = (lines, scriptMode) => {
-  if (!lines || lines.length === 0) return 0;
-  
-  const text = lines.map(l => l.text).join(' ');
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-  const wordCount = words.length;
-  
-  // Calculate based on script mode
-  const wordsPerMinute = DURATION_CONSTANTS.WORDS_PER_MINUTE[scriptMode] || 150;
-  const baseDuration = wordCount / wordsPerMinute;
-  
-  // Apply scene type modifiers
-  const sceneLines = lines.filter(l => l.type === 'scene');
-  const actionLines = lines.filter(l => l.type === 'action');
-  const dialogueLines = lines.filter(l => l.type === 'dialogue');
-  
-  let duration = baseDuration;
-  
-  // Dialogue-heavy scenes are typically faster
-  if (dialogueLines.length > actionLines.length) {
-    duration *= 0.8;
-  }
-  
-  // Action-heavy scenes might be slower
-  if (actionLines.length > dialogueLines.length * 2) {
-    duration *= 1.2;
-  }
-  
-  // Apply min/max constraints
-  return Math.max(
-    DURATION_CONSTANTS.MIN_SCENE_DURATION,
-    Math.min(DURATION_CONSTANTS.MAX_SCENE_DURATION, duration)
-  );
-};
+const formatPages = (rows) => `${Math.round((rows / PAGE.linesPerPage) * 10) / 10} pg`;
 
 const DurationTracker = ({ scriptDoc, currentMode, isLive = true }) => {
   const durationData = useMemo(() => {
-    if (!scriptDoc?.lines) return { scenes: [], total: 0 };
+    if (!scriptDoc?.lines) return { scenes: [], total: 0, pageCount: 0 };
     
     const lines = scriptDoc.lines;
+    // Paginated like the PDF export, with a locked script's A-pages and omitted scenes
+    const { pageCount, scenes: printedScenes } = paginateScript({ lines, lock: scriptDoc.lock, settings: scriptDoc.settings });
+    const rowsByLineId = Object.fromEntries(printedScenes.map(scene => [scene.lineId, scene.rows]));
     const scenes = [];
     let currentSceneLines = [];
     let sceneNumber = 1;
@@ -89,6 +41,7 @@ const DurationTracker = ({ scriptDoc, currentMode, isLive = true }) => {
             number: sceneNumber,
             lines: [...currentSceneLines],
             duration,
+            pageRows: rowsByLineId[currentSceneLines[0].id],
             startLine: index - currentSceneLines.length,
             endLine: index - 1
           });
@@ -108,6 +61,7 @@ const DurationTracker = ({ scriptDoc, currentMode, isLive = true }) => {
         number: sceneNumber,
         lines: [...currentSceneLines],
         duration,
+        pageRows: rowsByLineId[currentSceneLines[0].id],
         startLine: lines.length - currentSceneLines.length,
         endLine: lines.length - 1
       });
@@ -115,8 +69,8 @@ const DurationTracker = ({ scriptDoc, currentMode, isLive = true }) => {
     
     const totalDuration = scenes.reduce((sum, scene) => sum + scene.duration, 0);
     
-    return { scenes, total: totalDuration };
-  }, [scriptDoc?.lines, currentMode]);
+    return { scenes, total: totalDuration, pageCount };
+  }, [scriptDoc?.lines, scriptDoc?.lock, scriptDoc?.settings, currentMode]);
   
   const averageSceneDuration = durationData.scenes.length > 0 
     ? durationData.total / durationData.scenes.length 
@@ -152,7 +106,7 @@ const DurationTracker = ({ scriptDoc, currentMode, isLive = true }) => {
             {formatDuration(durationData.total)}
           </div>
           <div className="text-sm text-gray-500 mt-1">
-            {durationData.scenes.length} scenes • {Math.round(averageSceneDuration * 10) / 10}m avg
+            {durationData.scenes.length} scenes • {durationData.pageCount} pages • {Math.round(averageSceneDuration * 10) / 10}m avg
           </div>
         </CardContent>
       </Card>
@@ -173,7 +127,7 @@ const DurationTracker = ({ scriptDoc, currentMode, isLive = true }) => {
                   <div className="flex items-center gap-2">
                     <span className="text-sm font-medium">Scene {scene.number}</span>
                     <span className="text-xs text-gray-500">
-                      {scene.lines.length} lines
+                      {scene.pageRows !== undefined ? formatPages(scene.pageRows) : `${scene.lines.length} lines`}
                     </span>
                   </div>
                   <div className="flex items-center gap-2">
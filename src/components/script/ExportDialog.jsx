@@ -2,27 +2,41 @@ import React, { useState } from 'react';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { FileText, Download, Copy } from 'lucide-react';
 import { toast } from 'sonner';
+import { exportToFountain as generateFountainFormat } from './ScriptFormatter';
+import { exportToFDX } from './FinalDraftFormat';
+import { createScriptPDF } from './ScriptPDF';
+import { calculatePageCount } from './ScriptPaginator';
+import { getRevisionSets, getRevisedPages, createRevisedPagesPDF } from './ScriptRevisions';
 
-export default function ExportDialog({ scriptDoc, onClose }) {
+export default function ExportDialog({ scriptDoc, versionLines = {}, onClose }) {
   const [exportFormat, setExportFormat] = useState('pdf');
   const [isExporting, setIsExporting] = useState(false);
+  const [showSceneNumbers, setShowSceneNumbers] = useState(!!scriptDoc.settings?.showSceneNumbers);
+  const [showRevisionMarks, setShowRevisionMarks] = useState(true);
+  const [revisedPagesOnly, setRevisedPagesOnly] = useState(false);
+  const hasRevisionSets = getRevisionSets(scriptDoc).length > 0;
 
   const exportToPDF = async () => {
     setIsExporting(true);
     try {
-      // This would integrate with a PDF generation library
-      // For now, we'll use the browser's print functionality
-      const printWindow = window.open('', '_blank');
-      
-      const content = generatePrintableHTML(scriptDoc);
-      printWindow.document.write(content);
-      printWindow.document.close();
-      printWindow.print();
-      
-      toast.success('PDF export prepared');
+      const options = { sceneNumbers: showSceneNumbers, revisionMarks: showRevisionMarks };
+      const blob = revisedPagesOnly ? createRevisedPagesPDF(scriptDoc, { ...options, versionLines }) : createScriptPDF(scriptDoc, options);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${scriptDoc.title || 'script'}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      a.remove();
+
+      const pageCount = revisedPagesOnly ? getRevisedPages(scriptDoc, undefined, versionLines).pages.length : calculatePageCount(scriptDoc);
+      toast.success(`PDF exported (${pageCount} pages)`);
     } catch (error) {
       console.error('PDF export error:', error);
       toast.error('Failed to export PDF');
@@ -50,6 +64,26 @@ export default function ExportDialog({ scriptDoc, onClose }) {
     a.remove();
   };
 
+  const exportToFinalDraft = () => {
+    try {
+      const fdxContent = exportToFDX(scriptDoc);
+      const blob = new Blob([fdxContent], { type: 'application/xml' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${scriptDoc.title || 'script'}.fdx`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      a.remove();
+
+      toast.success('Final Draft file exported');
+    } catch (error) {
+      console.error('FDX export error:', error);
+      toast.error('Failed to export Final Draft file');
+    }
+  };
+
   return (
     <Dialog open={true} onOpenChange={onClose}>
       <DialogContent className="sm:max-w-lg">
@@ -61,9 +95,10 @@ export default function ExportDialog({ scriptDoc, onClose }) {
         </DialogHeader>
 
         <Tabs value={exportFormat} onValueChange={setExportFormat}>
-          <TabsList className="grid w-full grid-cols-2">
+          <TabsList className="grid w-full grid-cols-3">
             <TabsTrigger value="pdf">PDF</TabsTrigger>
             <TabsTrigger value="fountain">Fountain</TabsTrigger>
+            <TabsTrigger value="fdx">Final Draft</TabsTrigger>
           </TabsList>
           
           <TabsContent value="pdf" className="space-y-4">
@@ -74,10 +109,27 @@ export default function ExportDialog({ scriptDoc, onClose }) {
               </p>
               <div className="flex gap-2 flex-wrap">
                 <Badge variant="outline">US Letter</Badge>
-                <Badge variant="outline">Courier Prime</Badge>
+                <Badge variant="outline">Courier 12pt</Badge>
                 <Badge variant="outline">Industry Standard</Badge>
               </div>
             </div>
+
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="pdf-scene-numbers">Scene numbers</Label>
+                <Switch id="pdf-scene-numbers" checked={showSceneNumbers} onCheckedChange={setShowSceneNumbers} />
+              </div>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="pdf-revision-marks">Revision asterisks</Label>
+                <Switch id="pdf-revision-marks" checked={showRevisionMarks} onCheckedChange={setShowRevisionMarks} />
+              </div>
+              {hasRevisionSets && (
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="pdf-revised-only">Only revised pages, with summary page</Label>
+                  <Switch id="pdf-revised-only" checked={revisedPagesOnly} onCheckedChange={setRevisedPagesOnly} />
+                </div>
+              )}
+            </div>
             
             <Button 
               onClick={exportToPDF} 
@@ -122,6 +174,28 @@ export default function ExportDialog({ scriptDoc, onClose }) {
               </Button>
             </div>
           </TabsContent>
+
+          <TabsContent value="fdx" className="space-y-4">
+            <div className="space-y-2">
+              <h4 className="font-medium">Final Draft</h4>
+              <p className="text-sm text-gray-600">
+                FDX file with scene numbers, revision colors, title page and breakdown tags.
+              </p>
+              <div className="flex gap-2 flex-wrap">
+                <Badge variant="outline">.fdx</Badge>
+                <Badge variant="outline">Final Draft 8+</Badge>
+                <Badge variant="outline">Breakdown Tags</Badge>
+              </div>
+            </div>
+
+            <Button
+              onClick={exportToFinalDraft}
+              className="w-full"
+            >
+              <Download className="w-4 h-4 mr-2" />
+              Download FDX
+            </Button>
+          </TabsContent>
         </Tabs>
 
         <div className="pt-4 border-t">
@@ -133,114 +207,3 @@ export default function ExportDialog({ scriptDoc, onClose }) {
     </Dialog>
   );
 }
-
-// Generate printable HTML for PDF export
-const generatePrintableHTML = (scriptDoc) => {
-  const { titlePage } = scriptDoc.settings || {};
-  
-  let html = `
-    <html>
-      <head>
-        <title>${scriptDoc.title || 'Script'}</title>
-        <style>
-          @page {
-            size: letter;
-            margin: 1in 1in 1in 1.5in;
-          }
-          body {
-            font-family: "Courier New", Courier, monospace;
-            font-size: 12pt;
-            line-height: 1.2;
-            margin: 0;
-            padding: 0;
-          }
-          .title-page {
-            text-align: center;
-            page-break-after: always;
-            padding-top: 2in;
-          }
-          .title { font-size: 24pt; font-weight: bold; margin-bottom: 1in; }
-          .author { font-size: 14pt; margin-bottom: 2in; }
-          .contact { font-size: 12pt; text-align: left; position: absolute; bottom: 1in; }
-          .scene { font-weight: bold; text-align: left; margin: 1em 0; }
-          .character { text-align: center; margin: 1em 2.5in 0 2.5in; font-weight: bold; }
-          .dialogue { margin: 0 2.5in 0 1in; }
-          .parenthetical { text-align: center; margin: 0 2in; font-style: italic; }
-          .transition { text-align: right; font-weight: bold; margin: 1em 0; }
-          .action { margin: 1em 0; }
-          .shot { font-weight: bold; margin: 1em 0; }
-        </style>
-      </head>
-      <body>`;
-
-  // Title page
-  if (titlePage && (titlePage.title || titlePage.author)) {
-    html += `
-      <div class="title-page">
-        <div class="title">${titlePage.title || ''}</div>
-        <div class="author">Written by<br/>${titlePage.author || ''}</div>
-        <div class="contact">${titlePage.contact || ''}<br/>${titlePage.draftDate || ''}</div>
-      </div>`;
-  }
-
-  // Script content
-  scriptDoc.lines.forEach(line => {
-    const className = line.type === 'scene' ? 'scene' :
-                     line.type === 'character' ? 'character' :
-                     line.type === 'dialogue' ? 'dialogue' :
-                     line.type === 'parenthetical' ? 'parenthetical' :
-                     line.type === 'transition' ? 'transition' :
-                     line.type === 'shot' ? 'shot' : 'action';
-    
-    html += `<div class="${className}">${line.text}</div>`;
-  });
-
-  html += `
-      </body>
-    </html>`;
-
-  return html;
-};
-
-// Generate Fountain format
-const generateFountainFormat = (scriptDoc) => {
-  let fountain = '';
-
-  // Title page
-  const { titlePage } = scriptDoc.settings || {};
-  if (titlePage) {
-    if (titlePage.title) fountain += `Title: ${titlePage.title}\n`;
-    if (titlePage.author) fountain += `Author: ${titlePage.author}\n`;
-    if (titlePage.contact) fountain += `Contact: ${titlePage.contact}\n`;
-    if (titlePage.draftDate) fountain += `Draft date: ${titlePage.draftDate}\n`;
-    fountain += '\n';
-  }
-
-  // Script content
-  scriptDoc.lines.forEach(line => {
-    switch (line.type) {
-      case 'scene':
-        fountain += `${line.text}\n\n`;
-        break;
-      case 'character':
-        fountain += `${line.text}\n`;
-        break;
-      case 'parenthetical':
-        fountain += `(${line.text})\n`;
-        break;
-      case 'dialogue':
-        fountain += `${line.text}\n\n`;
-        break;
-      case 'transition':
-        fountain += `${line.text}\n\n`;
-        break;
-      case 'shot':
-        fountain += `${line.text}\n\n`;
-        break;
-      default:
-        fountain += `${line.text}\n\n`;
-    }
-  });
-
-  return fountain;
-};
\ No newline at end of file
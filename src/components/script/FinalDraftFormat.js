@@ -0,0 +1,589 @@
+// Final Draft (.fdx) import/export
+// Maps FDX paragraphs onto the scriptDoc.lines model used by ScriptEditorV2
+
+import { ELEMENT_TYPES } from './ScriptFormatter';
+
+// Final Draft paragraph types and the element types they become
+const FDX_TO_ELEMENT = {
+  'Scene Heading': ELEMENT_TYPES.SCENE,
+  'Action': ELEMENT_TYPES.ACTION,
+  'Character': ELEMENT_TYPES.CHARACTER,
+  'Dialogue': ELEMENT_TYPES.DIALOGUE,
+  'Parenthetical': ELEMENT_TYPES.PARENTHETICAL,
+  'Transition': ELEMENT_TYPES.TRANSITION,
+  'Shot': ELEMENT_TYPES.SHOT,
+  'General': ELEMENT_TYPES.GENERAL,
+  'Lyrics': ELEMENT_TYPES.LYRICS,
+  'New Act': ELEMENT_TYPES.SECTION,
+  'End of Act': ELEMENT_TYPES.SECTION
+};
+
+const ELEMENT_TO_FDX = {
+  [ELEMENT_TYPES.SCENE]: 'Scene Heading',
+  [ELEMENT_TYPES.ACTION]: 'Action',
+  [ELEMENT_TYPES.CHARACTER]: 'Character',
+  [ELEMENT_TYPES.DIALOGUE]: 'Dialogue',
+  [ELEMENT_TYPES.PARENTHETICAL]: 'Parenthetical',
+  [ELEMENT_TYPES.TRANSITION]: 'Transition',
+  [ELEMENT_TYPES.SHOT]: 'Shot',
+  [ELEMENT_TYPES.MONTAGE]: 'Shot',
+  [ELEMENT_TYPES.INTERCUT]: 'Shot',
+  [ELEMENT_TYPES.GENERAL]: 'General',
+  [ELEMENT_TYPES.CENTERED]: 'Action',
+  [ELEMENT_TYPES.LYRICS]: 'Lyrics',
+  [ELEMENT_TYPES.SECTION]: 'New Act'
+};
+
+// Writer-only Fountain elements have no Final Draft counterpart and are not exported
+const UNEXPORTED_TYPES = [
+  ELEMENT_TYPES.SYNOPSIS,
+  ELEMENT_TYPES.NOTE,
+  ELEMENT_TYPES.BONEYARD,
+  ELEMENT_TYPES.PAGE_BREAK
+];
+
+const MONTAGE_PATTERN = /^MONTAGE\s*[-–]/i;
+const INTERCUT_PATTERN = /^INTERCUT\s*[-–]/i;
+
+// Standard revision colors (ScriptToolbar order) as Final Draft 48-bit colors
+const REVISION_COLORS = {
+  Blue: '#21219696F3F3',
+  Pink: '#E9E91E1E6363',
+  Yellow: '#FFFFEBEB3B3B',
+  Green: '#4C4CAFAF5050',
+  Goldenrod: '#DADAA5A52020',
+  Buff: '#F0F0DCDC8282',
+  Salmon: '#FAFA80807272',
+  Cherry: '#DEDE31316363'
+};
+
+// Breakdown tag categories, keyed by the TaggingDialog element types
+const TAG_CATEGORIES = {
+  character: 'Cast Members',
+  prop: 'Props',
+  costume: 'Costumes',
+  vehicle: 'Vehicles',
+  makeup: 'Makeup',
+  location: 'Set Dressing',
+  equipment: 'Special Equipment',
+  sound: 'Sound',
+  special_effect: 'Special Effects'
+};
+
+const TAG_CATEGORY_ALIASES = {
+  'cast': 'character',
+  'cast member': 'character',
+  'extras': 'character',
+  'background actors': 'character',
+  'wardrobe': 'costume',
+  'hair': 'makeup',
+  'makeup/hair': 'makeup',
+  'hair/makeup': 'makeup',
+  'vehicles/animals': 'vehicle',
+  'sound effects/music': 'sound',
+  'music': 'sound',
+  'sfx': 'special_effect',
+  'visual effects': 'special_effect'
+};
+
+// Text run styles, written with the editor's inline markup (see applyFormatting)
+const STYLE_MARKUP = {
+  Bold: ['*', '*'],
+  Italic: ['_', '_'],
+  Underline: ['<u>', '</u>']
+};
+const MARKUP_PATTERN = /\*([^*\n]+)\*|_([^_\n]+)_|<u>([\s\S]+?)<\/u>/g;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function attributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+}
+
+function childElements(node, tagName) {
+  return node ? Array.from(node.children).filter(child => child.tagName === tagName) : [];
+}
+
+/**
+ * Maps a Final Draft tag category name onto a TaggingDialog element type
+ */
+function categoryToElementType(name) {
+  const normalized = name.trim().toLowerCase();
+  const known = Object.entries(TAG_CATEGORIES).find(([, label]) => label.toLowerCase() === normalized);
+  if (known) return known[0];
+  return TAG_CATEGORY_ALIASES[normalized] || normalized.replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function elementTypeToCategory(type) {
+  return TAG_CATEGORIES[type] || type.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Splits marked-up line text into characters carrying their FDX styles and
+ * their offset in the original text
+ */
+function styledCharacters(text, styles = [], base = 0) {
+  const characters = [];
+  let last = 0;
+
+  const pushPlain = (end) => {
+    for (let i = last; i < end; i++) {
+      characters.push({ char: text[i], styles, index: base + i });
+    }
+  };
+
+  for (const match of text.matchAll(MARKUP_PATTERN)) {
+    pushPlain(match.index);
+    const style = match[1] !== undefined ? 'Bold' : match[2] !== undefined ? 'Italic' : 'Underline';
+    const inner = match[1] ?? match[2] ?? match[3];
+    const openLength = STYLE_MARKUP[style][0].length;
+    characters.push(...styledCharacters(inner, [...styles, style], base + match.index + openLength));
+    last = match.index + match[0].length;
+  }
+  pushPlain(text.length);
+
+  return characters;
+}
+
+/**
+ * Reads the title page paragraphs back into scriptDoc.titlePage fields using
+ * the layout exportToFDX writes (and Final Draft's own template follows)
+ */
+function parseTitlePage(titlePageNode) {
+  const titlePage = {};
+  const centered = [];
+  const left = [];
+  const right = [];
+
+  childElements(childElements(titlePageNode, 'Content')[0], 'Paragraph').forEach((paragraph) => {
+    const text = childElements(paragraph, 'Text').map(node => node.textContent).join('').trim();
+    if (!text) return;
+
+    const alignment = paragraph.getAttribute('Alignment');
+    if (alignment === 'Center') centered.push(text);
+    else if (alignment === 'Right') right.push(text);
+    else left.push(text);
+  });
+
+  const creditIndex = centered.findIndex(text => /^((written|screenplay|teleplay|story)\s+)?by$/i.test(text));
+  const sourceIndex = centered.findIndex(text => /^(based on|source:|story by)\b/i.test(text));
+
+  centered.forEach((text, index) => {
+    if (index === 0) {
+      titlePage.title = text;
+    } else if (index === creditIndex) {
+      titlePage.credit = text;
+    } else if (creditIndex !== -1 && index === creditIndex + 1) {
+      titlePage.author = text;
+    } else if (index === sourceIndex) {
+      titlePage.basedOn = text;
+    } else if (creditIndex === -1 || index < creditIndex) {
+      titlePage.subtitle = titlePage.subtitle ? `${titlePage.subtitle}\n${text}` : text;
+    } else {
+      titlePage.notes = titlePage.notes ? `${titlePage.notes}\n${text}` : text;
+    }
+  });
+
+  const contact = left.filter(text => !/^(©|copyright)/i.test(text));
+  const copyright = left.find(text => /^(©|copyright)/i.test(text));
+  if (contact.length > 0) titlePage.contact = contact.join('\n');
+  if (copyright) titlePage.copyright = copyright;
+  if (right[0]) titlePage.draftDate = right[0];
+  if (right[1]) titlePage.revision = right.slice(1).join('\n');
+
+  return titlePage;
+}
+
+function titlePageToFDX(titlePage) {
+  const paragraph = (text, alignment, spaceBefore) =>
+    `      <Paragraph${attributes({ Alignment: alignment, SpaceBefore: spaceBefore, Type: 'General' })}>\n` +
+    `        <Text>${escapeXml(text)}</Text>\n` +
+    '      </Paragraph>';
+
+  const paragraphs = [];
+  const pushLines = (value, alignment, spaceBefore) => {
+    value.split('\n').forEach((text, index) => paragraphs.push(paragraph(text, alignment, index === 0 ? spaceBefore : undefined)));
+  };
+
+  if (titlePage.title) pushLines(titlePage.title, 'Center', 216);
+  if (titlePage.subtitle) pushLines(titlePage.subtitle, 'Center', 12);
+  if (titlePage.author) {
+    paragraphs.push(paragraph(titlePage.credit || 'Written by', 'Center', 48));
+    pushLines(titlePage.author, 'Center', 12);
+  }
+  if (titlePage.basedOn) pushLines(titlePage.basedOn, 'Center', 24);
+  if (titlePage.notes) pushLines(titlePage.notes, 'Center', 24);
+  if (titlePage.contact) pushLines(titlePage.contact, 'Left', 180);
+  if (titlePage.copyright) pushLines(titlePage.copyright, 'Left', 12);
+  if (titlePage.draftDate) pushLines(titlePage.draftDate, 'Right', 12);
+  if (titlePage.revision) pushLines(titlePage.revision, 'Right');
+
+  return paragraphs.join('\n');
+}
+
+/**
+ * Reads the <TagData> block into a map of tag number -> { name, category }
+ */
+function parseTagData(root) {
+  const tagData = childElements(root, 'TagData')[0];
+  const categories = {};
+  const definitions = {};
+  const tags = {};
+
+  if (!tagData) return tags;
+
+  childElements(childElements(tagData, 'TagCategories')[0], 'TagCategory').forEach((category) => {
+    categories[category.getAttribute('Id')] = categoryToElementType(category.getAttribute('Name') || '');
+  });
+  childElements(childElements(tagData, 'TagDefinitions')[0], 'TagDefinition').forEach((definition) => {
+    definitions[definition.getAttribute('Id')] = {
+      name: definition.getAttribute('Label') || '',
+      category: categories[definition.getAttribute('CatId')] || 'prop'
+    };
+  });
+  childElements(childElements(tagData, 'Tags')[0], 'Tag').forEach((tag) => {
+    const definition = definitions[childElements(tag, 'DefId')[0]?.textContent];
+    if (definition) {
+      tags[tag.getAttribute('Number')] = definition;
+    }
+  });
+
+  return tags;
+}
+
+/**
+ * Converts the <Text> runs of a paragraph into marked-up text, the breakdown
+ * tags they carry (with offsets into that text) and their revision IDs
+ */
+function parseTextRuns(paragraph, tagsByNumber) {
+  const runs = childElements(paragraph, 'Text').map(node => ({
+    text: node.textContent,
+    styles: (node.getAttribute('Style') || '').split('+').filter(style => STYLE_MARKUP[style]),
+    tagNumber: node.getAttribute('TagNumber'),
+    revisionId: node.getAttribute('RevisionID')
+  }));
+
+  let text = '';
+  const tags = [];
+  const revisionIds = [];
+
+  // Consecutive runs with the same style share one markup span
+  for (let i = 0; i < runs.length;) {
+    const styleKey = runs[i].styles.join('+');
+    const group = [];
+    while (i < runs.length && runs[i].styles.join('+') === styleKey) {
+      group.push(runs[i]);
+      i++;
+    }
+
+    const styles = group[0].styles;
+    const hasText = group.some(run => run.text);
+    const prefix = hasText ? styles.map(style => STYLE_MARKUP[style][0]).join('') : '';
+    const suffix = hasText ? [...styles].reverse().map(style => STYLE_MARKUP[style][1]).join('') : '';
+
+    text += prefix;
+    group.forEach((run) => {
+      const tag = run.tagNumber && tagsByNumber[run.tagNumber];
+      if (tag && run.text) {
+        tags.push({ name: tag.name, category: tag.category, start: text.length, end: text.length + run.text.length });
+      }
+      if (run.revisionId) {
+        revisionIds.push(run.revisionId);
+      }
+      text += run.text;
+    });
+    text += suffix;
+  }
+
+  return { text, tags, revisionIds };
+}
+
+/**
+ * Import from Final Draft (.fdx)
+ * - paragraph types map onto ELEMENT_TYPES; unknown types become GENERAL with meta.fdxType
+ * - scene heading numbers go to meta.sceneNumber
+ * - revised text (RevisionID) sets meta.revisionColor to the revision's name
+ * - <DualDialogue> blocks set meta.dualDialogue 'left' / 'right' on the two character cues
+ * - breakdown tags go to meta.tags ({ name, category, start, end }) and are collected
+ *   per element in taggedElements; categories use the TaggingDialog element types
+ * - Bold, Italic and Underline runs use the editor's *bold*, _italic_ and <u>underline</u> markup
+ * @param {string} xmlText - FDX document
+ * @returns {Object} scriptDoc with title, lines, settings, titlePage and taggedElements
+ */
+export function importFromFDX(xmlText) {
+  const xml = new DOMParser().parseFromString(xmlText, 'application/xml');
+  const root = xml.documentElement;
+
+  if (!root || root.tagName !== 'FinalDraft' || xml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Not a valid Final Draft (.fdx) document');
+  }
+
+  const stamp = Date.now();
+  const scriptLines = [];
+  const tagsByNumber = parseTagData(root);
+  const revisionNames = {};
+
+  childElements(childElements(root, 'Revisions')[0], 'Revision').forEach((revision) => {
+    revisionNames[revision.getAttribute('ID')] = revision.getAttribute('Name');
+  });
+
+  const pushParagraph = (paragraph, dualSide) => {
+    const fdxType = paragraph.getAttribute('Type') || 'Action';
+    const { text, tags, revisionIds } = parseTextRuns(paragraph, tagsByNumber);
+    const meta = {};
+    let type = FDX_TO_ELEMENT[fdxType] || ELEMENT_TYPES.GENERAL;
+
+    if (!FDX_TO_ELEMENT[fdxType] || fdxType === 'End of Act') {
+      meta.fdxType = fdxType;
+    }
+    if (type === ELEMENT_TYPES.SECTION) {
+      meta.depth = 1;
+    }
+    if (type === ELEMENT_TYPES.SHOT && MONTAGE_PATTERN.test(text)) {
+      type = ELEMENT_TYPES.MONTAGE;
+    } else if (type === ELEMENT_TYPES.SHOT && INTERCUT_PATTERN.test(text)) {
+      type = ELEMENT_TYPES.INTERCUT;
+    } else if (type === ELEMENT_TYPES.ACTION && paragraph.getAttribute('Alignment') === 'Center') {
+      type = ELEMENT_TYPES.CENTERED;
+    }
+
+    const number = paragraph.getAttribute('Number');
+    if (type === ELEMENT_TYPES.SCENE && number) {
+      meta.sceneNumber = number;
+    }
+    if (type === ELEMENT_TYPES.CHARACTER && dualSide) {
+      meta.dualDialogue = dualSide();
+    }
+    if (tags.length > 0) {
+      meta.tags = tags;
+    }
+
+    const revisionId = revisionIds.sort((a, b) => Number(b) - Number(a)).find(id => revisionNames[id]);
+    if (revisionId) {
+      meta.revisionColor = revisionNames[revisionId];
+    }
+
+    if (paragraph.getAttribute('StartsNewPage') === 'Yes' && scriptLines.length > 0) {
+      scriptLines.push({ id: `line_${stamp}_${scriptLines.length}`, type: ELEMENT_TYPES.PAGE_BREAK, text: '', meta: {} });
+    }
+    scriptLines.push({ id: `line_${stamp}_${scriptLines.length}`, type, text, meta });
+  };
+
+  childElements(childElements(root, 'Content')[0], 'Paragraph').forEach((paragraph) => {
+    const dualDialogue = childElements(paragraph, 'DualDialogue')[0];
+    if (!dualDialogue) {
+      pushParagraph(paragraph);
+      return;
+    }
+
+    let cues = 0;
+    const nextSide = () => (cues++ === 0 ? 'left' : 'right');
+    childElements(dualDialogue, 'Paragraph').forEach(inner => pushParagraph(inner, nextSide));
+  });
+
+  // Group tag occurrences into one entry per breakdown element
+  const taggedElements = [];
+  scriptLines.forEach((line) => {
+    (line.meta.tags || []).forEach((tag) => {
+      let element = taggedElements.find(item =>
+        item.category === tag.category && item.name.toLowerCase() === tag.name.toLowerCase());
+      if (!element) {
+        element = { name: tag.name, category: tag.category, lineIds: [] };
+        taggedElements.push(element);
+      }
+      if (!element.lineIds.includes(line.id)) {
+        element.lineIds.push(line.id);
+      }
+    });
+  });
+
+  const titlePage = parseTitlePage(childElements(root, 'TitlePage')[0]);
+
+  return {
+    id: `script_${stamp}`,
+    title: titlePage.title || 'Imported Script',
+    lines: scriptLines,
+    settings: {
+      showSceneNumbers: scriptLines.some(line => line.meta.sceneNumber),
+      titlePage
+    },
+    titlePage,
+    taggedElements,
+    updatedAt: stamp
+  };
+}
+
+/**
+ * Export to Final Draft (.fdx)
+ * The inverse of importFromFDX. Synopses, notes, boneyard and page breaks have no
+ * Final Draft element; page breaks become StartsNewPage on the following paragraph
+ * and the others are left out.
+ * @param {Object} scriptDoc - Script document
+ * @returns {string} FDX document
+ */
+export function exportToFDX(scriptDoc) {
+  const lines = scriptDoc.lines || [];
+
+  // Revision sets in the standard color order, numbered from 1
+  const usedColors = new Set(lines.map(line => line.meta?.revisionColor).filter(Boolean));
+  const revisionColors = [
+    ...Object.keys(REVISION_COLORS).filter(color => usedColors.has(color)),
+    ...[...usedColors].filter(color => !REVISION_COLORS[color])
+  ];
+  const revisionIds = Object.fromEntries(revisionColors.map((color, index) => [color, index + 1]));
+
+  // One definition per breakdown element, one tag per occurrence
+  const categories = [];
+  const definitions = [];
+  const tags = [];
+  const definitionFor = (tag) => {
+    let category = categories.find(item => item.type === tag.category);
+    if (!category) {
+      category = { type: tag.category, id: categories.length + 1 };
+      categories.push(category);
+    }
+    let definition = definitions.find(item =>
+      item.categoryId === category.id && item.name.toLowerCase() === tag.name.toLowerCase());
+    if (!definition) {
+      definition = { id: `${category.id}.${definitions.length + 1}`, categoryId: category.id, name: tag.name };
+      definitions.push(definition);
+    }
+    return definition;
+  };
+
+  const textRuns = (line) => {
+    const text = line.text || '';
+    const revisionId = revisionIds[line.meta?.revisionColor];
+    const lineTags = (line.meta?.tags || []).map(tag => ({ ...tag, number: null }));
+    const characters = styledCharacters(text);
+
+    if (characters.length === 0) {
+      return `<Text${attributes({ RevisionID: revisionId })}></Text>`;
+    }
+
+    const runs = [];
+    characters.forEach(({ char, styles, index }) => {
+      const tag = lineTags.find(item => index >= item.start && index < item.end);
+      if (tag && !tag.number) {
+        tags.push({ number: tags.length + 1, definitionId: definitionFor(tag).id });
+        tag.number = tags.length;
+      }
+      const style = styles.join('+');
+      const tagNumber = tag ? tag.number : null;
+      const previous = runs[runs.length - 1];
+      if (previous && previous.style === style && previous.tagNumber === tagNumber) {
+        previous.text += char;
+      } else {
+        runs.push({ text: char, style, tagNumber });
+      }
+    });
+
+    return runs.map(run =>
+      `<Text${attributes({ RevisionID: revisionId, Style: run.style, TagNumber: run.tagNumber })}>${escapeXml(run.text)}</Text>`
+    ).join('');
+  };
+
+  const paragraphXml = (line, startsNewPage, indent) => {
+    const meta = line.meta || {};
+    const keepsFdxType = meta.fdxType && [ELEMENT_TYPES.GENERAL, ELEMENT_TYPES.SECTION].includes(line.type);
+    const type = keepsFdxType ? meta.fdxType : ELEMENT_TO_FDX[line.type] || 'Action';
+    const attrs = attributes({
+      Alignment: line.type === ELEMENT_TYPES.CENTERED ? 'Center' : undefined,
+      Number: line.type === ELEMENT_TYPES.SCENE ? meta.sceneNumber : undefined,
+      StartsNewPage: startsNewPage ? 'Yes' : undefined,
+      Type: type
+    });
+    return `${indent}<Paragraph${attrs}>\n${indent}  ${textRuns(line)}\n${indent}</Paragraph>`;
+  };
+
+  const paragraphs = [];
+  let pendingPageBreak = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.type === ELEMENT_TYPES.PAGE_BREAK) {
+      pendingPageBreak = true;
+      continue;
+    }
+    if (UNEXPORTED_TYPES.includes(line.type)) {
+      continue;
+    }
+
+    // Dual dialogue: both speeches, from the left cue through the right cue's block
+    if (line.type === ELEMENT_TYPES.CHARACTER && line.meta?.dualDialogue === 'left') {
+      let end = i + 1;
+      let seenRight = false;
+      while (end < lines.length) {
+        const next = lines[end];
+        if (next.type === ELEMENT_TYPES.CHARACTER && next.meta?.dualDialogue === 'right' && !seenRight) {
+          seenRight = true;
+        } else if (![ELEMENT_TYPES.DIALOGUE, ELEMENT_TYPES.PARENTHETICAL].includes(next.type)) {
+          break;
+        }
+        end++;
+      }
+
+      if (seenRight) {
+        const inner = lines.slice(i, end)
+          .map((blockLine, index) => paragraphXml(blockLine, pendingPageBreak && index === 0, '        '))
+          .join('\n');
+        paragraphs.push(`    <Paragraph>\n      <DualDialogue>\n${inner}\n      </DualDialogue>\n    </Paragraph>`);
+        pendingPageBreak = false;
+        i = end - 1;
+        continue;
+      }
+    }
+
+    paragraphs.push(paragraphXml(line, pendingPageBreak, '    '));
+    pendingPageBreak = false;
+  }
+
+  const titlePage = scriptDoc.titlePage || scriptDoc.settings?.titlePage;
+  const titlePageXml = titlePage ? titlePageToFDX(titlePage) : '';
+
+  const revisionsXml = revisionColors.length > 0
+    ? `  <Revisions${attributes({ ActiveSet: revisionColors.length, Location: '7.75', RevisionMode: 'No' })}>\n` +
+      revisionColors.map(color =>
+        `    <Revision${attributes({ Color: REVISION_COLORS[color] || '#000000000000', FullRevision: 'No', ID: revisionIds[color], Mark: '*', Name: color, Style: '' })}/>`
+      ).join('\n') +
+      '\n  </Revisions>\n'
+    : '';
+
+  const tagDataXml = tags.length > 0
+    ? '  <TagData>\n' +
+      '    <TagCategories>\n' +
+      categories.map(category =>
+        `      <TagCategory${attributes({ Id: category.id, Name: elementTypeToCategory(category.type), Number: category.id })}/>`
+      ).join('\n') +
+      '\n    </TagCategories>\n' +
+      '    <TagDefinitions>\n' +
+      definitions.map((definition, index) =>
+        `      <TagDefinition${attributes({ CatId: definition.categoryId, Id: definition.id, Label: definition.name, Number: index + 1 })}/>`
+      ).join('\n') +
+      '\n    </TagDefinitions>\n' +
+      '    <Tags>\n' +
+      tags.map(tag => `      <Tag Number="${tag.number}">\n        <DefId>${tag.definitionId}</DefId>\n      </Tag>`).join('\n') +
+      '\n    </Tags>\n' +
+      '  </TagData>\n'
+    : '';
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>\n' +
+    '<FinalDraft DocumentType="Script" Template="No" Version="5">\n' +
+    '  <Content>\n' +
+    `${paragraphs.join('\n')}${paragraphs.length > 0 ? '\n' : ''}` +
+    '  </Content>\n' +
+    (titlePageXml ? `  <TitlePage>\n    <Content>\n${titlePageXml}\n    </Content>\n  </TitlePage>\n` : '') +
+    revisionsXml +
+    tagDataXml +
+    '</FinalDraft>\n';
+}
@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { AlertTriangle, ChevronDown, ChevronRight, X } from 'lucide-react';
+
+// Tags whose script text was edited away, kept for review instead of vanishing
+const OrphanedTags = ({ orphans, onDismiss }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!orphans || orphans.length === 0) return null;
+
+  return (
+    <div className="border border-amber-200 bg-amber-50 rounded-lg text-sm">
+      <button
+        type="button"
+        className="w-full flex items-center gap-2 px-3 py-2 text-amber-800"
+        onClick={() => setExpanded(!expanded)}
+      >
+        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <AlertTriangle className="w-4 h-4" />
+        {orphans.length} tag{orphans.length === 1 ? '' : 's'} no longer found in the script
+      </button>
+      {expanded && (
+        <ul className="px-3 pb-2 space-y-1">
+          {orphans.map(tag => (
+            <li key={tag.key} className="flex items-center gap-2">
+              <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: tag.color }} />
+              <span className="font-medium">{tag.name}</span>
+              <span className="flex-1 truncate text-gray-500" title={tag.anchor.text}>
+                {`was "${tag.anchor.text}"`}
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => onDismiss(tag)} title="Remove this tag">
+                <X className="w-3 h-3" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrphanedTags;
@@ -0,0 +1,241 @@
+import { useState, useMemo, useEffect } from 'react';
+import { Palette, Lock, Plus, FileDown, Minus } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'sonner';
+import {
+  REVISION_SET_COLORS,
+  getRevisionSets,
+  getActiveRevisionSet,
+  getRevisionColorHex,
+  nextRevisionSet,
+  startRevisionSet,
+  lockRevisionSet,
+  diffRevisions,
+  getRevisedPages,
+  createRevisedPagesPDF
+} from './ScriptRevisions';
+import { formatPageList } from './ScriptPDF';
+
+const ColorSwatch = ({ color }) => (
+  <div
+    className="w-3 h-3 rounded-full border"
+    style={{ backgroundColor: getRevisionColorHex(color) }}
+  />
+);
+
+const RevisionPanel = ({ scriptDoc, onUpdate, versionLines = {}, onSaveVersion }) => {
+  const sets = getRevisionSets(scriptDoc);
+  const activeSet = getActiveRevisionSet(scriptDoc);
+  // The first set started also records the current draft as White, so it is Blue
+  const suggested = nextRevisionSet(sets.length === 0 ? [{ name: 'White' }] : sets);
+  const [newColor, setNewColor] = useState(suggested.color);
+  const [newDate, setNewDate] = useState(() => new Date().toISOString().slice(0, 10));
+
+  useEffect(() => {
+    setNewColor(suggested.color);
+  }, [suggested.color]);
+
+  const diff = useMemo(
+    () => diffRevisions(scriptDoc, undefined, versionLines),
+    [scriptDoc, versionLines]
+  );
+  const revisedPages = useMemo(
+    () => getRevisedPages(scriptDoc, undefined, versionLines),
+    [scriptDoc, versionLines]
+  );
+  const linesById = useMemo(
+    () => Object.fromEntries((scriptDoc.lines || []).map(line => [line.id, line])),
+    [scriptDoc.lines]
+  );
+
+  // The script is saved as a version when a set is issued (or White recorded),
+  // so the next set can be compared with it
+  const saveIssuedVersion = async () => {
+    const versionId = await onSaveVersion?.(scriptDoc);
+    if (!versionId) toast.error('Could not save the script version to issue revisions from');
+    return versionId;
+  };
+
+  const handleStart = async () => {
+    const name = newColor === suggested.color ? suggested.name : newColor;
+    let versionId;
+    if (activeSet || sets.length === 0) {
+      versionId = await saveIssuedVersion();
+      if (!versionId) return;
+    }
+    onUpdate(startRevisionSet(scriptDoc, { name, color: newColor, date: newDate, versionId }));
+    toast.success(`${name} revisions started`);
+  };
+
+  const handleIssue = async () => {
+    if (!window.confirm(`Issue the ${activeSet.name} revisions? Later changes will go into a new set.`)) return;
+    const versionId = await saveIssuedVersion();
+    if (!versionId) return;
+    onUpdate(lockRevisionSet(scriptDoc, { versionId }));
+    toast.success(`${activeSet.name} revisions issued`);
+  };
+
+  const handleExport = () => {
+    try {
+      const blob = createRevisedPagesPDF(scriptDoc, { versionLines });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${scriptDoc.title || 'script'} - ${revisedPages.set.name} pages.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      a.remove();
+
+      toast.success(`Exported ${revisedPages.pages.length} revised pages`);
+    } catch (error) {
+      console.error('Revised pages export error:', error);
+      toast.error('Failed to export revised pages');
+    }
+  };
+
+  const preview = (text = '') => (text.length > 48 ? `${text.slice(0, 48)}...` : text);
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="flex items-center gap-2 text-sm">
+            <Palette className="w-4 h-4" />
+            Revision Sets
+            <Badge variant="secondary" className="text-xs">
+              {sets.length} sets
+            </Badge>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {sets.length === 0 && (
+            <p className="text-sm text-gray-500">
+              No revisions yet. Starting a set records the current draft as White.
+            </p>
+          )}
+          {sets.map(set => (
+            <div
+              key={set.id}
+              className={`p-2 rounded-lg border flex items-center justify-between ${
+                set.status === 'active' ? 'border-blue-200 bg-blue-50' : 'border-gray-200'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <ColorSwatch color={set.color} />
+                <span className="font-medium text-sm">{set.name}</span>
+                <span className="text-xs text-gray-500">{set.date}</span>
+              </div>
+              {set.status === 'active' ? (
+                <Badge variant="default" className="text-xs">Active</Badge>
+              ) : (
+                <Lock className="w-3 h-3 text-gray-400" />
+              )}
+            </div>
+          ))}
+
+          {activeSet && (
+            <Button variant="outline" size="sm" className="w-full" onClick={handleIssue}>
+              <Lock className="w-3 h-3 mr-2" />
+              Issue {activeSet.name} Revisions
+            </Button>
+          )}
+
+          <div className="pt-2 space-y-2 border-t border-gray-100">
+            <Label className="text-xs text-gray-600">New revision set</Label>
+            <div className="flex gap-2">
+              <Select value={newColor} onValueChange={setNewColor}>
+                <SelectTrigger className="h-8 flex-1">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {REVISION_SET_COLORS.map(color => (
+                    <SelectItem key={color} value={color}>
+                      <div className="flex items-center gap-2">
+                        <ColorSwatch color={color} />
+                        {color}
+                      </div>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                type="date"
+                value={newDate}
+                onChange={(e) => setNewDate(e.target.value)}
+                className="h-8 flex-1"
+              />
+            </div>
+            <Button size="sm" className="w-full" onClick={handleStart}>
+              <Plus className="w-3 h-3 mr-2" />
+              Start Revision Set
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {diff.base && (
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm">
+              Changes since {diff.base.name}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <div className="flex gap-2 flex-wrap">
+              <Badge variant="outline" className="text-xs bg-yellow-50 text-yellow-800">{diff.changed.length} changed</Badge>
+              <Badge variant="outline" className="text-xs bg-green-50 text-green-800">{diff.added.length} added</Badge>
+              <Badge variant="outline" className="text-xs bg-red-50 text-red-800">{diff.removed.length} removed</Badge>
+            </div>
+
+            <div className="space-y-1 max-h-64 overflow-y-auto">
+              {diff.changed.map(id => (
+                <div key={id} className="text-xs p-1 rounded bg-yellow-50">
+                  <span className="text-gray-500 mr-1">{linesById[id]?.type}</span>
+                  {preview(linesById[id]?.text)}
+                </div>
+              ))}
+              {diff.added.map(id => (
+                <div key={id} className="text-xs p-1 rounded bg-green-50">
+                  <Plus className="w-3 h-3 inline mr-1" />
+                  {preview(linesById[id]?.text)}
+                </div>
+              ))}
+              {diff.removed.map(({ line }) => (
+                <div key={line.id} className="text-xs p-1 rounded bg-red-50 line-through">
+                  <Minus className="w-3 h-3 inline mr-1" />
+                  {preview(line.text)}
+                </div>
+              ))}
+            </div>
+
+            {revisedPages.set && (
+              <>
+                <p className="text-xs text-gray-600">
+                  {revisedPages.set.name} pages: {revisedPages.labels.length > 0 ? formatPageList(revisedPages.labels) : 'none'}
+                </p>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="w-full"
+                  onClick={handleExport}
+                  disabled={revisedPages.pages.length === 0}
+                >
+                  <FileDown className="w-3 h-3 mr-2" />
+                  Print Revised Pages
+                </Button>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default RevisionPanel;
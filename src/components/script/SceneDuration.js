@@ -0,0 +1,64 @@
+// Scene duration estimates
+// Screen time for a run of script lines, from word count and the mix of action
+// and dialogue. Shared by the duration tracker and the scenes sync.
+
+// Duration calculation constants
+const DURATION_CONSTANTS = {
+  // Words per minute for different script types
+  WORDS_PER_MINUTE: {
+    film_tv: 150,
+    stageplay: 120,
+    multi_column_av: 180
+  },
+  // Pages per minute (industry standard)
+  PAGES_PER_MINUTE: {
+    film_tv: 1,
+    stageplay: 0.67, // ~1.5 minutes per page
+    multi_column_av: 0.5 // ~2 minutes per page
+  },
+  // Minimum scene duration
+  MIN_SCENE_DURATION: 0.5, // 30 seconds
+  // Maximum scene duration
+  MAX_SCENE_DURATION: 10 // 10 minutes
+};
+
+/**
+ * Estimated screen time of a scene
+ * @param {Array<{type: string, text: string}>} lines - The scene's script lines
+ * @param {string} scriptMode - film_tv, stageplay or multi_column_av
+ * @returns {number} Minutes, clamped to the scene minimum and maximum; 0 for no lines
+ */
+export const calculateSceneDuration = (lines, scriptMode) => {
+  if (!lines || lines.length === 0) return 0;
+  
+  const text = lines.map(l => l.text).join(' ');
+  const words = text.split(/\s+/).filter(w => w.length > 0);
+  const wordCount = words.length;
+  
+  // Calculate based on script mode
+  const wordsPerMinute = DURATION_CONSTANTS.WORDS_PER_MINUTE[scriptMode] || 150;
+  const baseDuration = wordCount / wordsPerMinute;
+  
+  // Apply scene type modifiers
+  const sceneLines = lines.filter(l => l.type === 'scene');
+  const actionLines = lines.filter(l => l.type === 'action');
+  const dialogueLines = lines.filter(l => l.type === 'dialogue');
+  
+  let duration = baseDuration;
+  
+  // Dialogue-heavy scenes are typically faster
+  if (dialogueLines.length > actionLines.length) {
+    duration *= 0.8;
+  }
+  
+  // Action-heavy scenes might be slower
+  if (actionLines.length > dialogueLines.length * 2) {
+    duration *= 1.2;
+  }
+  
+  // Apply min/max constraints
+  return Math.max(
+    DURATION_CONSTANTS.MIN_SCENE_DURATION,
+    Math.min(DURATION_CONSTANTS.MAX_SCENE_DURATION, duration)
+  );
+};
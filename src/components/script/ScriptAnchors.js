@@ -0,0 +1,265 @@
+// Text anchors for breakdown tags
+// A tag remembers the span of script text it was made from: the line, the
+// character offsets within it and a little surrounding context. After the
+// script is edited the span is found again, exactly where possible and by
+// fuzzy matching otherwise; tags whose text can't be found are orphaned and
+// listed for review rather than silently dropped.
+
+const CONTEXT_LENGTH = 24;
+// Lines either side of the anchor's old position searched when its line has changed
+const SEARCH_RADIUS = 30;
+// Context characters an exact match elsewhere in the script needs to be trusted
+const MIN_CONTEXT_MATCH = 8;
+// How alike edited text has to be to still count as the tagged text
+const MIN_SIMILARITY = 0.75;
+
+/**
+ * Anchor for the text between `start` and `end` of a line. Surrounding
+ * whitespace is left out of the span.
+ * @param {Array} lines - Script lines ({ id, text })
+ * @param {string} lineId - Line the text was selected in
+ * @param {number} start - Offset of the first selected character
+ * @param {number} end - Offset just past the last selected character
+ * @returns {Object|null} { lineId, lineIndex, start, end, text, prefix, suffix }, or null for an empty selection
+ */
+export function createAnchor(lines, lineId, start, end) {
+  const lineIndex = lines.findIndex(line => line.id === lineId);
+  if (lineIndex === -1) return null;
+
+  const text = lines[lineIndex].text || '';
+  let from = Math.max(0, Math.min(start, end));
+  let to = Math.min(text.length, Math.max(start, end));
+  while (from < to && /\s/.test(text[from])) from++;
+  while (to > from && /\s/.test(text[to - 1])) to--;
+  if (from === to) return null;
+
+  return {
+    lineId,
+    lineIndex,
+    start: from,
+    end: to,
+    text: text.slice(from, to),
+    prefix: text.slice(Math.max(0, from - CONTEXT_LENGTH), from),
+    suffix: text.slice(to, to + CONTEXT_LENGTH)
+  };
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const similarity = (a, b) => 1 - levenshtein(a.toLowerCase(), b.toLowerCase()) / Math.max(a.length, b.length, 1);
+
+const commonPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length++;
+  return length;
+};
+
+const commonSuffixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+  return length;
+};
+
+/**
+ * How much of the anchor's surrounding text is still around a span of `text`
+ */
+function contextScore(anchor, text, start, end) {
+  return commonSuffixLength(anchor.prefix || '', text.slice(Math.max(0, start - CONTEXT_LENGTH), start)) +
+    commonPrefixLength(anchor.suffix || '', text.slice(end, end + CONTEXT_LENGTH));
+}
+
+const WORD_CHAR = /\w/;
+
+/**
+ * Whether a span of `text` stands on its own rather than being part of a
+ * longer word ("coat" in "coats")
+ */
+function isWholeSpan(text, start, end) {
+  const joinsBefore = WORD_CHAR.test(text[start] || '') && WORD_CHAR.test(text[start - 1] || '');
+  const joinsAfter = WORD_CHAR.test(text[end - 1] || '') && WORD_CHAR.test(text[end] || '');
+  return !joinsBefore && !joinsAfter;
+}
+
+/**
+ * Every case-insensitive, whole-span occurrence of `needle` in `text`
+ */
+function occurrences(text, needle) {
+  const found = [];
+  const haystack = text.toLowerCase();
+  const target = needle.toLowerCase();
+  for (let index = haystack.indexOf(target); index !== -1; index = haystack.indexOf(target, index + 1)) {
+    if (isWholeSpan(text, index, index + needle.length)) found.push({ start: index, end: index + needle.length });
+  }
+  return found;
+}
+
+/**
+ * Closest span of `text` to `target`, trying runs of whole words of about the
+ * same length
+ * @returns {Object|null} { start, end, similarity }
+ */
+function bestFuzzyMatch(text, target) {
+  const words = [...text.matchAll(/\S+/g)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+  const maxLength = Math.ceil(target.length * 1.5) + 2;
+  let best = null;
+
+  words.forEach((first, i) => {
+    for (let j = i; j < words.length && words[j].end - first.start <= maxLength; j++) {
+      // Punctuation next to a word doesn't make it a different word
+      const span = text.slice(first.start, words[j].end);
+      const leading = span.length - span.replace(/^[^\w]+/, '').length;
+      const trailing = span.length - span.replace(/[^\w]+$/, '').length;
+      const start = first.start + leading;
+      const end = Math.max(start, words[j].end - trailing);
+      const score = similarity(text.slice(start, end), target);
+      if (!best || score > best.similarity) best = { start, end, similarity: score };
+    }
+  });
+
+  return best && best.similarity >= MIN_SIMILARITY ? best : null;
+}
+
+/**
+ * Finds an anchor's text in the current script
+ * @param {Array} lines - Script lines ({ id, text })
+ * @param {Object} anchor - Anchor from createAnchor
+ * @returns {Object|null} { lineId, start, end }, or null when the text is gone (an orphaned tag)
+ */
+export function resolveAnchor(lines, anchor) {
+  if (!anchor?.text) return null;
+
+  const lineIndex = lines.findIndex(line => line.id === anchor.lineId);
+  const line = lines[lineIndex];
+
+  if (line) {
+    const text = line.text || '';
+    // Untouched
+    if (text.slice(anchor.start, anchor.end) === anchor.text && isWholeSpan(text, anchor.start, anchor.end)) {
+      return { lineId: line.id, start: anchor.start, end: anchor.end };
+    }
+
+    // Moved within its line: the occurrence nearest where it was
+    const nearest = occurrences(text, anchor.text)
+      .sort((a, b) => Math.abs(a.start - anchor.start) - Math.abs(b.start - anchor.start))[0];
+    if (nearest) return { lineId: line.id, ...nearest };
+
+    // Edited in place
+    const edited = bestFuzzyMatch(text, anchor.text);
+    if (edited) return { lineId: line.id, start: edited.start, end: edited.end };
+  }
+
+  // Moved to another line, or its line was replaced: exact matches nearby,
+  // then anywhere in the script if enough of their context survives
+  const hint = lineIndex !== -1 ? lineIndex : Math.min(anchor.lineIndex ?? 0, lines.length - 1);
+  const candidates = lines.flatMap((candidate, index) => occurrences(candidate.text || '', anchor.text).map(match => ({
+    lineId: candidate.id,
+    ...match,
+    distance: Math.abs(index - hint),
+    context: contextScore(anchor, candidate.text || '', match.start, match.end)
+  })));
+  const best = candidates
+    .filter(candidate => candidate.distance <= SEARCH_RADIUS || candidate.context >= MIN_CONTEXT_MATCH)
+    .sort((a, b) => b.context - a.context || a.distance - b.distance)[0];
+  if (best) return { lineId: best.lineId, start: best.start, end: best.end };
+
+  // Moved and edited: the closest fuzzy match nearby
+  let fuzzy = null;
+  lines.forEach((candidate, index) => {
+    if (candidate.id === anchor.lineId || Math.abs(index - hint) > SEARCH_RADIUS) return;
+    const match = bestFuzzyMatch(candidate.text || '', anchor.text);
+    if (match && (!fuzzy || match.similarity > fuzzy.similarity)) {
+      fuzzy = { lineId: candidate.id, ...match };
+    }
+  });
+
+  return fuzzy && { lineId: fuzzy.lineId, start: fuzzy.start, end: fuzzy.end };
+}
+
+/**
+ * Re-resolves an anchor and captures its text and context where it is now,
+ * so later edits are matched against the current script
+ * @param {Array} lines - Script lines ({ id, text })
+ * @param {Object} anchor - Anchor from createAnchor
+ * @returns {Object} Updated anchor, or the same anchor if it's orphaned or hasn't moved
+ */
+export function refreshAnchor(lines, anchor) {
+  const resolved = resolveAnchor(lines, anchor);
+  if (!resolved) return anchor;
+
+  // Lines added or removed above don't count as moving it
+  const refreshed = createAnchor(lines, resolved.lineId, resolved.start, resolved.end);
+  const unchanged = refreshed && ['lineId', 'start', 'end', 'text', 'prefix', 'suffix']
+    .every(key => refreshed[key] === anchor[key]);
+  return unchanged || !refreshed ? anchor : refreshed;
+}
+
+/**
+ * Refreshes all of a tag's anchors
+ * @param {Array} lines - Script lines ({ id, text })
+ * @param {Array} anchors - The tag's anchors
+ * @returns {Array|null} Updated anchors, or null when none of them moved
+ */
+export function refreshAnchors(lines, anchors = []) {
+  const refreshed = anchors.map(anchor => refreshAnchor(lines, anchor));
+  return refreshed.some((anchor, index) => anchor !== anchors[index]) ? refreshed : null;
+}
+
+/**
+ * Resolves every tag against the script
+ * @param {Array} lines - Script lines ({ id, text })
+ * @param {Array} tags - Tags to place, each with an `anchor` and whatever the caller needs to draw it
+ * @returns {Object} { byLine: { [lineId]: [{ ...tag, start, end }] } sorted by start, orphans: [tag] }
+ */
+export function resolveTags(lines, tags) {
+  const byLine = {};
+  const orphans = [];
+
+  tags.forEach((tag) => {
+    const resolved = resolveAnchor(lines, tag.anchor);
+    if (!resolved) {
+      orphans.push(tag);
+      return;
+    }
+    (byLine[resolved.lineId] = byLine[resolved.lineId] || []).push({ ...tag, start: resolved.start, end: resolved.end });
+  });
+
+  Object.values(byLine).forEach(spans => spans.sort((a, b) => a.start - b.start || b.end - a.end));
+  return { byLine, orphans };
+}
+
+/**
+ * Splits a line's text into plain and tagged segments for drawing underlines.
+ * Where tags overlap the segment carries all of them.
+ * @param {string} text - The line's text
+ * @param {Array} spans - The line's tags from resolveTags
+ * @returns {Array} [{ text, tags }] covering the whole line in order
+ */
+export function segmentLine(text, spans = []) {
+  const cuts = [...new Set([0, text.length, ...spans.flatMap(span => [span.start, span.end])])]
+    .filter(cut => cut >= 0 && cut <= text.length)
+    .sort((a, b) => a - b);
+
+  return cuts.slice(0, -1)
+    .map((start, i) => ({
+      text: text.slice(start, cuts[i + 1]),
+      tags: spans.filter(span => span.start <= start && span.end >= cuts[i + 1])
+    }))
+    .filter(segment => segment.text);
+}
@@ -0,0 +1,320 @@
+// Structural diff, partial restore and three-way merge for script versions
+// Lines carry stable IDs, so versions are compared line by line by ID rather
+// than as text: edits, retyped elements, inserts, deletes and moved scenes are
+// all told apart.
+
+import { ELEMENT_TYPES } from './ScriptFormatter';
+
+/**
+ * Longest common subsequence of two ID lists. Unchanged runs at either end are
+ * matched directly so the quadratic part only covers the edited middle.
+ * @returns {Set<string>} IDs that kept their relative order
+ */
+function stableIds(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const stable = new Set([...a.slice(0, start), ...a.slice(endA)]);
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const width = midB.length + 1;
+  const table = new Uint32Array((midA.length + 1) * width);
+
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i * width + j] = midA[i] === midB[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      stable.add(midA[i]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return stable;
+}
+
+const sceneHeadings = lines => lines.filter(line => line.type === ELEMENT_TYPES.SCENE);
+
+/**
+ * Compares two versions of a script line by line
+ * @param {Object} oldDoc - Earlier script document
+ * @param {Object} newDoc - Later script document
+ * @returns {{ entries: Array, scenes: Object, summary: Object }}
+ *   entries: [{ status: 'unchanged'|'modified'|'retyped'|'added'|'removed', moved, oldLine, newLine }] in
+ *   reading order, removed lines shown where they used to be;
+ *   scenes: { added, removed, moved: [{ lineId, heading, from, to }] } with 1-based scene positions
+ */
+export function diffScriptLines(oldDoc, newDoc) {
+  const oldLines = oldDoc?.lines || [];
+  const newLines = newDoc?.lines || [];
+  const oldById = new Map(oldLines.map(line => [line.id, line]));
+  const newById = new Map(newLines.map(line => [line.id, line]));
+
+  const stable = stableIds(
+    oldLines.filter(line => newById.has(line.id)).map(line => line.id),
+    newLines.filter(line => oldById.has(line.id)).map(line => line.id)
+  );
+
+  // Removed lines are listed before the next old line that survived
+  const removedBefore = new Map();
+  let pending = [];
+  oldLines.forEach((line) => {
+    if (newById.has(line.id)) {
+      if (pending.length > 0) removedBefore.set(line.id, pending);
+      pending = [];
+    } else {
+      pending.push(line);
+    }
+  });
+
+  const entries = [];
+  const pushRemoved = lines => lines.forEach(line => entries.push({ status: 'removed', moved: false, oldLine: line, newLine: null }));
+
+  newLines.forEach((line) => {
+    const old = oldById.get(line.id);
+    if (!old) {
+      entries.push({ status: 'added', moved: false, oldLine: null, newLine: line });
+      return;
+    }
+
+    pushRemoved(removedBefore.get(line.id) || []);
+    let status = 'unchanged';
+    if (old.type !== line.type) status = 'retyped';
+    else if (old.text !== line.text) status = 'modified';
+    entries.push({ status, moved: !stable.has(line.id), oldLine: old, newLine: line });
+  });
+  pushRemoved(pending);
+
+  const oldScenes = sceneHeadings(oldLines);
+  const newScenes = sceneHeadings(newLines);
+  const oldSceneIds = oldScenes.map(line => line.id);
+  const newSceneIds = newScenes.map(line => line.id);
+  const stableScenes = stableIds(
+    oldSceneIds.filter(id => newById.has(id) && newById.get(id).type === ELEMENT_TYPES.SCENE),
+    newSceneIds.filter(id => oldById.has(id) && oldById.get(id).type === ELEMENT_TYPES.SCENE)
+  );
+
+  const scenes = {
+    added: newScenes.filter(line => !oldSceneIds.includes(line.id)).map(line => line.id),
+    removed: oldScenes.filter(line => !newSceneIds.includes(line.id)).map(line => line.id),
+    moved: newScenes
+      .filter(line => oldSceneIds.includes(line.id) && !stableScenes.has(line.id))
+      .map(line => ({
+        lineId: line.id,
+        heading: line.text,
+        from: oldSceneIds.indexOf(line.id) + 1,
+        to: newSceneIds.indexOf(line.id) + 1
+      }))
+  };
+
+  const summary = { added: 0, removed: 0, modified: 0, retyped: 0, moved: 0, unchanged: 0 };
+  entries.forEach((entry) => {
+    summary[entry.status]++;
+    if (entry.moved) summary.moved++;
+  });
+
+  return { entries, scenes, summary };
+}
+
+/**
+ * Lines from a scene heading up to the next heading
+ */
+function sceneBlock(lines, headingId) {
+  const start = lines.findIndex(line => line.id === headingId);
+  if (start === -1) return [];
+  let end = start + 1;
+  while (end < lines.length && lines[end].type !== ELEMENT_TYPES.SCENE) end++;
+  return lines.slice(start, end);
+}
+
+/**
+ * ID of the line a missing line should follow: its nearest predecessor in the
+ * version that still exists in `lines`
+ */
+function anchorFor(versionLines, lineId, lines) {
+  const present = new Set(lines.map(line => line.id));
+  const index = versionLines.findIndex(line => line.id === lineId);
+  for (let i = index - 1; i >= 0; i--) {
+    if (present.has(versionLines[i].id)) return versionLines[i].id;
+  }
+  return null;
+}
+
+const insertAfter = (lines, anchorId, inserted) => {
+  const index = anchorId ? lines.findIndex(line => line.id === anchorId) + 1 : 0;
+  return [...lines.slice(0, index), ...inserted, ...lines.slice(index)];
+};
+
+/**
+ * Restores selected scenes and lines from an older version into the current script
+ * @param {Object} currentDoc - Current script document
+ * @param {Object} versionDoc - Older script document to restore from
+ * @param {Object} selection
+ * @param {string[]} [selection.sceneIds] - Scene heading IDs: the whole scene is restored as it was
+ * @param {string[]} [selection.lineIds] - Line IDs: each line's content is restored, or re-inserted where it was
+ * @returns {Object} Script document
+ */
+export function restoreFromVersion(currentDoc, versionDoc, { sceneIds = [], lineIds = [] } = {}) {
+  const versionLines = versionDoc?.lines || [];
+  let lines = [...(currentDoc.lines || [])];
+  const restored = new Set();
+
+  sceneIds.forEach((sceneId) => {
+    const block = sceneBlock(versionLines, sceneId);
+    if (block.length === 0) return;
+
+    const replaced = new Set([...block, ...sceneBlock(lines, sceneId)].map(line => line.id));
+    const headingIndex = lines.findIndex(line => line.id === sceneId);
+    let anchorId;
+
+    if (headingIndex !== -1) {
+      anchorId = headingIndex > 0 ? lines[headingIndex - 1].id : null;
+    } else {
+      // A deleted scene goes back after the scene that preceded it
+      const previous = anchorFor(versionLines, sceneId, lines.filter(line => !replaced.has(line.id)));
+      let index = previous ? lines.findIndex(line => line.id === previous) : -1;
+      while (index !== -1 && index + 1 < lines.length && lines[index + 1].type !== ELEMENT_TYPES.SCENE) index++;
+      anchorId = index === -1 ? null : lines[index].id;
+    }
+
+    // Skip back over lines that are about to be replaced
+    let anchorIndex = anchorId ? lines.findIndex(line => line.id === anchorId) : -1;
+    while (anchorIndex !== -1 && replaced.has(lines[anchorIndex].id)) anchorIndex--;
+
+    const kept = lines.filter(line => !replaced.has(line.id));
+    lines = insertAfter(kept, anchorIndex === -1 ? null : lines[anchorIndex].id, block.map(line => ({ ...line })));
+    block.forEach(line => restored.add(line.id));
+  });
+
+  versionLines
+    .filter(line => lineIds.includes(line.id) && !restored.has(line.id))
+    .forEach((line) => {
+      const index = lines.findIndex(current => current.id === line.id);
+      if (index !== -1) {
+        lines = lines.map(current => (current.id === line.id ? { ...line } : current));
+      } else {
+        lines = insertAfter(lines, anchorFor(versionLines, line.id, lines), [{ ...line }]);
+      }
+    });
+
+  return { ...currentDoc, lines, updatedAt: Date.now() };
+}
+
+const contentKey = line => (line ? JSON.stringify([line.type, line.text, line.meta || {}]) : null);
+const sameOrder = (a, b) => a.length === b.length && a.every((id, index) => id === b[index]);
+
+/**
+ * Three-way merge of two scripts edited from the same base version. Changes
+ * made on one side only are taken automatically; lines both sides changed
+ * differently are conflicts, resolved to "ours" until chosen otherwise.
+ * @param {Object} base - Common ancestor
+ * @param {Object} ours - Local script
+ * @param {Object} theirs - Script saved by the other collaborator
+ * @returns {{ doc: Object, conflicts: Array<{ lineId, base, ours, theirs }>, merged: number }}
+ *   merged counts the lines taken from theirs without conflict
+ */
+export function mergeScripts(base, ours, theirs) {
+  const byId = doc => new Map((doc?.lines || []).map(line => [line.id, line]));
+  const baseById = byId(base);
+  const oursById = byId(ours);
+  const theirsById = byId(theirs);
+  const ids = doc => (doc?.lines || []).map(line => line.id);
+
+  // Follow theirs' order when only they reordered lines
+  const baseOrder = ids(base);
+  const oursReordered = !sameOrder(
+    baseOrder.filter(id => oursById.has(id)),
+    ids(ours).filter(id => baseById.has(id))
+  );
+  const [skeleton, other] = oursReordered ? [ours, theirs] : [theirs, ours];
+
+  let order = ids(skeleton);
+  const otherIds = ids(other);
+  otherIds.forEach((id, index) => {
+    if (order.includes(id)) return;
+    let anchor = null;
+    for (let i = index - 1; i >= 0; i--) {
+      if (order.includes(otherIds[i])) {
+        anchor = otherIds[i];
+        break;
+      }
+    }
+    const at = anchor ? order.indexOf(anchor) + 1 : 0;
+    order = [...order.slice(0, at), id, ...order.slice(at)];
+  });
+
+  const conflicts = [];
+  let merged = 0;
+  const lines = [];
+
+  order.forEach((id) => {
+    const b = baseById.get(id);
+    const o = oursById.get(id);
+    const t = theirsById.get(id);
+    const [bk, ok, tk] = [contentKey(b), contentKey(o), contentKey(t)];
+
+    let line;
+    if (ok === tk || tk === bk) {
+      line = o;
+    } else if (ok === bk) {
+      line = t;
+      merged++;
+    } else {
+      // Both changed it differently; keep a deleted line's other edit rather than lose it
+      line = o || t;
+      conflicts.push({ lineId: id, base: b || null, ours: o || null, theirs: t || null });
+    }
+
+    if (line) lines.push(line);
+  });
+
+  // Title page, settings, revision sets and lock take the side that changed them
+  const doc = { ...ours };
+  new Set([...Object.keys(ours || {}), ...Object.keys(theirs || {})]).forEach((key) => {
+    if (key === 'lines') return;
+    const [b, o, t] = [base?.[key], ours?.[key], theirs?.[key]].map(value => JSON.stringify(value));
+    if (o === b && t !== b) {
+      if (theirs[key] === undefined) delete doc[key];
+      else doc[key] = theirs[key];
+    }
+  });
+
+  return { doc: { ...doc, lines }, conflicts, merged };
+}
+
+/**
+ * Applies conflict choices to a merge result
+ * @param {Object} result - Result of mergeScripts
+ * @param {Object} [choices] - Map of line ID to 'ours' or 'theirs'
+ * @returns {Object} Script document
+ */
+export function resolveMergeConflicts(result, choices = {}) {
+  // Unresolved conflicts keep what mergeScripts chose: ours, or theirs where ours deleted the line
+  const resolutions = new Map(result.conflicts.map((conflict) => {
+    const choice = choices[conflict.lineId] || (conflict.ours ? 'ours' : 'theirs');
+    return [conflict.lineId, conflict[choice]];
+  }));
+  const lines = result.doc.lines
+    .map(line => (resolutions.has(line.id) ? resolutions.get(line.id) : line))
+    .filter(Boolean);
+
+  return { ...result.doc, lines, updatedAt: Date.now() };
+}
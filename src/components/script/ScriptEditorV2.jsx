@@ -34,9 +34,22 @@ import MultiColumnAVEditor from "./MultiColumnAVEditor";
 import DurationTracker from "./DurationTracker";
 import VersionHistory from "./VersionHistory";
 import TaggingDialog from "./TaggingDialog";
-import { ELEMENT_TYPES, parseLine, formatLine, getNextElementType, cycleElementType } from "./ScriptFormatter";
+import TagUnderlines from "./TagUnderlines";
+import OrphanedTags from "./OrphanedTags";
+import ScriptMergeDialog from "./ScriptMergeDialog";
+import { ELEMENT_TYPES, parseLine, formatLine, getNextElementType, cycleElementType, importFromFountain } from "./ScriptFormatter";
+import { importFromFDX } from "./FinalDraftFormat";
+import { calculatePageCount } from "./ScriptPaginator";
+import { isScriptLocked, lockScript, unlockScript, omitScene, assignSceneNumbers, getSceneNumbers } from "./ScriptLock";
+import { getActiveRevisionSet, getRevisionVersionIds, revisionStamp } from "./ScriptRevisions";
 import { useScriptVersions } from "@/hooks/useScriptVersions";
 import { useProductionElements } from "@/hooks/useProductionElements";
+import { importElements } from "@/services/elements";
+import { syncScriptScenes, listScenes, linkElementToScene as linkSceneElement } from "@/services/scenes";
+import { getScriptScenes } from "./ScriptScenes";
+import { createAnchor, resolveTags, refreshAnchors } from "./ScriptAnchors";
+import { getBreakdownColor } from "@/services/breakdownSheets";
+import { toast } from "sonner";
 
 // Feature flags for progressive rollout
 const SCRIPT_FEATURES = {
@@ -65,6 +78,9 @@ const SCRIPT_MODES = {
   MULTI_COLUMN_AV: 'multi_column_av'
 };
 
+// Typing pause before breakdown tags are re-found; fuzzy matching is too slow for every keystroke
+const TAG_RESOLVE_DELAY = 400;
+
 // Initial script document structure
 const createEmptyScript = () => ({
   id: `script_${Date.now()}`,
@@ -143,7 +159,10 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
     versions,
     currentVersion,
     isLoading: versionsLoading,
+    versionLines,
+    loadVersionLines,
     createVersion,
+    getConflictingVersion,
     restoreVersion,
     deleteVersion,
     downloadVersion,
@@ -153,7 +172,8 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
   // Production elements management
   const {
     elements,
-    createElement,
+    loadElements,
+    updateElement,
     linkElementToScene,
     getElementsByScene
   } = useProductionElements(projectId);
@@ -171,6 +191,7 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
   const [showFindReplace, setShowFindReplace] = useState(false);
   const [showTaggingDialog, setShowTaggingDialog] = useState(false);
   const [taggingText, setTaggingText] = useState('');
+  const [taggingAnchor, setTaggingAnchor] = useState(null);
   const [currentSceneId, setCurrentSceneId] = useState(null);
 
   // Sidebar states
@@ -192,6 +213,14 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
   const editorRef = useRef(null);
   const lineRefs = useRef({});
   const autoSaveTimeoutRef = useRef(null);
+  const importInputRef = useRef(null);
+  const lastActiveLineRef = useRef(null);
+  const selectionRangeRef = useRef(null);
+  // Saved version content this editor's changes are based on, for three-way merges
+  const baseContentRef = useRef(null);
+  const dismissedMergeRef = useRef(null);
+  const reanchorTagsRef = useRef(null);
+  const [mergeState, setMergeState] = useState(null);
   const sessionTimerRef = useRef(null);
 
   // Start session timer
@@ -221,8 +250,8 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
     const characters = text.replace(/\s/g, '');
     const scenes = lines.filter(l => l.type === ELEMENT_TYPES.SCENE);
 
-    // Estimate pages (55 lines per page for film/TV)
-    const pageCount = Math.max(1, Math.ceil(lines.length / 55));
+    // Pages as printed by the PDF export, with a locked script's A-pages and omitted scenes
+    const pageCount = calculatePageCount({ lines, lock: scriptDoc.lock, settings: scriptDoc.settings });
 
     // Calculate scene durations
     const sceneDurations = [];
@@ -272,7 +301,7 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
       totalDuration,
       sceneDurations
     };
-  }, [scriptDoc.lines, currentMode]);
+  }, [scriptDoc.lines, scriptDoc.lock, scriptDoc.settings, currentMode]);
 
   // Update metadata
   useEffect(() => {
@@ -291,7 +320,73 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
     return scriptDoc.lines.map(line => line.text).join('\n');
   }, [scriptDoc]);
 
+  useEffect(() => {
+    if (baseContentRef.current === null && currentVersion?.content) {
+      baseContentRef.current = currentVersion.content;
+    }
+  }, [currentVersion]);
+
+  // When someone else saved since our base version, open the merge dialog instead of overwriting.
+  // Auto-save doesn't reopen a merge the user dismissed, it just holds off saving.
+  const checkForConflict = useCallback(async ({ reopen = true } = {}) => {
+    const latest = await getConflictingVersion(baseContentRef.current);
+    if (!latest || latest.content === JSON.stringify(scriptDoc)) return false;
+    if (!reopen && latest.content === dismissedMergeRef.current) return true;
+
+    setMergeState({
+      base: JSON.parse(baseContentRef.current),
+      theirs: JSON.parse(latest.content),
+      version: latest
+    });
+    return true;
+  }, [getConflictingVersion, scriptDoc]);
+
+  // Keeps the project's scenes (stripboard, call sheets) in step with the script's headings
+  const syncScenes = useCallback(async (doc) => {
+    try {
+      const { created, flagged } = await syncScriptScenes(projectId, getScriptScenes(doc, currentMode));
+      if (flagged.length > 0) {
+        toast.info(`${flagged.length} scene${flagged.length === 1 ? '' : 's'} removed from the script are flagged on the stripboard`);
+      } else if (created.length > 0) {
+        toast.success(`Added ${created.length} new scene${created.length === 1 ? '' : 's'} to the stripboard`);
+      }
+    } catch (error) {
+      console.error('Scene sync error:', error);
+      toast.error('Saved the script, but scenes could not be updated on the stripboard');
+    }
+  }, [projectId, currentMode]);
+
+  // Saved tags follow their text, so later edits are matched against this version
+  const reanchorTags = useCallback(async (script) => {
+    const moved = elements
+      .map(element => ({ element, anchors: refreshAnchors(script.lines, element.text_anchors) }))
+      .filter(({ anchors }) => anchors);
+
+    try {
+      await Promise.all(moved.map(({ element, anchors }) => updateElement(element.id, { text_anchors: anchors })));
+    } catch (error) {
+      console.error('Tag anchor update error:', error);
+    }
+  }, [elements, updateElement]);
+  // Read through a ref by auto-save, which would otherwise be rescheduled whenever the elements change
+  reanchorTagsRef.current = reanchorTags;
+
+  // Revision sets are compared with the versions they were issued as
+  const revisionVersionIds = getRevisionVersionIds(scriptDoc).join(',');
+  useEffect(() => {
+    if (revisionVersionIds) loadVersionLines(revisionVersionIds.split(','));
+  }, [revisionVersionIds, loadVersionLines]);
+
+  // Saves the script as issued with a revision set, for the next set to be compared with
+  const saveRevisionVersion = useCallback(async (doc) => {
+    const version = await createVersion(doc, 'Revisions issued');
+    if (version) baseContentRef.current = version.content;
+    return version?.id || null;
+  }, [createVersion]);
+
   const handleSave = useCallback(async () => {
+    if (projectId && await checkForConflict()) return;
+
     setSaveStatus("saving");
     const legacyContent = convertToLegacyFormat();
     const success = await onSave(legacyContent);
@@ -301,13 +396,16 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
       // Create version if project ID exists
       if (projectId) {
         await createVersion(scriptDoc, 'Manual save');
+        baseContentRef.current = JSON.stringify(scriptDoc);
+        await syncScenes(scriptDoc);
+        await reanchorTags(scriptDoc);
       }
       setTimeout(() => setSaveStatus("idle"), 2000);
     } else {
       setSaveStatus("error");
       setTimeout(() => setSaveStatus("idle"), 2000);
     }
-  }, [convertToLegacyFormat, onSave, projectId, scriptDoc, createVersion]);
+  }, [convertToLegacyFormat, onSave, projectId, scriptDoc, createVersion, checkForConflict, syncScenes, reanchorTags]);
 
   // Debounced auto-save
   useEffect(() => {
@@ -316,10 +414,15 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
     }
 
     autoSaveTimeoutRef.current = setTimeout(() => {
-      if (saveStatus === "idle") {
+      if (saveStatus === "idle" && !mergeState) {
         // Use auto-save for version management
         if (projectId) {
-          autoSave(scriptDoc);
+          checkForConflict({ reopen: false }).then((conflict) => {
+            if (conflict) return;
+            autoSave(scriptDoc);
+            baseContentRef.current = JSON.stringify(scriptDoc);
+            reanchorTagsRef.current(scriptDoc);
+          });
         } else {
           handleSave();
         }
@@ -331,28 +434,38 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
         clearTimeout(autoSaveTimeoutRef.current);
       }
     };
-  }, [scriptDoc, handleSave, saveStatus, projectId, autoSave]);
+  }, [scriptDoc, handleSave, saveStatus, projectId, autoSave, mergeState, checkForConflict]);
 
   // Line management functions
   const updateLine = useCallback((lineId, updates) => {
-    setScriptDoc(prev => ({
-      ...prev,
-      lines: prev.lines.map(line =>
-        line.id === lineId ? {
-          ...line,
-          ...updates,
-          meta: {
-            ...line.meta,
-            ...updates.meta,
-            ...(revisionMode && updates.text !== line.text && {
-              revisionColor: selectedRevisionColor,
-              revisionTimestamp: Date.now()
-            })
-          }
-        } : line
-      ),
-      updatedAt: Date.now()
-    }));
+    setScriptDoc(prev => {
+      // Lines edited while a revision set is active are stamped with it
+      const activeSet = getActiveRevisionSet(prev);
+
+      return {
+        ...prev,
+        lines: prev.lines.map(line => {
+          if (line.id !== lineId) return line;
+          const edited = (updates.text !== undefined && updates.text !== line.text) ||
+            (updates.type !== undefined && updates.type !== line.type);
+
+          return {
+            ...line,
+            ...updates,
+            meta: {
+              ...line.meta,
+              ...updates.meta,
+              ...(edited && activeSet && revisionStamp(activeSet)),
+              ...(edited && !activeSet && revisionMode && {
+                revisionColor: selectedRevisionColor,
+                revisionTimestamp: Date.now()
+              })
+            }
+          };
+        }),
+        updatedAt: Date.now()
+      };
+    });
   }, [revisionMode, selectedRevisionColor]);
 
   const addLine = useCallback((afterId, initialType = ELEMENT_TYPES.ACTION) => {
@@ -380,12 +493,19 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
   const deleteLine = useCallback((lineId) => {
     if (scriptDoc.lines.length <= 1) return; // Don't delete the last line
 
+    // Locked scene numbers can't disappear - the scene has to be omitted
+    const line = scriptDoc.lines.find(l => l.id === lineId);
+    if (isScriptLocked(scriptDoc) && line?.type === ELEMENT_TYPES.SCENE && line.meta?.sceneNumber) {
+      toast.info(`Scene ${line.meta.sceneNumber} is locked. Use "Omit Scene" to remove it.`);
+      return;
+    }
+
     setScriptDoc(prev => ({
       ...prev,
       lines: prev.lines.filter(line => line.id !== lineId),
       updatedAt: Date.now()
     }));
-  }, [scriptDoc.lines]);
+  }, [scriptDoc]);
 
   // Text formatting functions
   const applyFormatting = useCallback((format) => {
@@ -650,6 +770,10 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
     // Backspace at beginning of line - merge with previous
     if (e.key === 'Backspace' && e.target.selectionStart === 0 && lineIndex > 0) {
       e.preventDefault();
+      if (isScriptLocked(scriptDoc) && line.type === ELEMENT_TYPES.SCENE && line.meta?.sceneNumber) {
+        deleteLine(lineId);
+        return;
+      }
       const prevLine = scriptDoc.lines[lineIndex - 1];
       const combinedText = prevLine.text + (line.text ? ' ' + line.text : '');
 
@@ -665,27 +789,38 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
         }
       }, 50);
     }
-  }, [scriptDoc.lines, addLine, updateLine, deleteLine, handleSave, toggleDualDialogue, applyFormatting]);
+  }, [scriptDoc, addLine, updateLine, deleteLine, handleSave, toggleDualDialogue, applyFormatting]);
 
   // Handle text selection for formatting and tagging
-  const handleTextSelection = useCallback(() => {
-    const selection = window.getSelection();
-    if (selection && selection.toString().trim().length > 0) {
-      const selectedText = selection.toString().trim();
-      setSelectedText(selectedText);
+  const handleTextSelection = useCallback((event, lineId) => {
+    // Selections inside a line's textarea are read from the textarea, with
+    // their offsets, so tags made from them can be anchored to the text
+    const field = event?.target;
+    const inLine = lineId && field?.selectionStart !== undefined && field.selectionStart !== field.selectionEnd;
+    const text = inLine ? field.value.slice(field.selectionStart, field.selectionEnd) : window.getSelection()?.toString();
+
+    if (text && text.trim().length > 0) {
+      setSelectedText(text.trim());
+      selectionRangeRef.current = inLine ? { lineId, start: field.selectionStart, end: field.selectionEnd, text } : null;
       
       // Check if user wants to tag (Ctrl+T or right-click)
       // This will be handled by the toolbar or context menu
     } else {
       setSelectedText('');
+      selectionRangeRef.current = null;
     }
   }, []);
 
   // Handle tagging
   const handleTagText = useCallback((text) => {
+    const range = selectionRangeRef.current;
+    const line = range && scriptDoc.lines.find(l => l.id === range.lineId);
+    // Parentheticals are shown with brackets the line's text doesn't have
+    const start = line && (line.text.slice(range.start, range.end) === range.text ? range.start : line.text.indexOf(range.text));
+    setTaggingAnchor(line && start !== -1 ? createAnchor(scriptDoc.lines, line.id, start, start + range.text.length) : null);
     setTaggingText(text);
     setShowTaggingDialog(true);
-  }, []);
+  }, [scriptDoc.lines]);
 
   // Handle element creation from tagging
   const handleElementCreated = useCallback((element) => {
@@ -701,7 +836,159 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
         linkElementToScene(element.id, sceneId);
       }
     }
-  }, [activeLineId, scriptDoc.lines, linkElementToScene]);
+    // Pick up the new tag's anchor
+    loadElements();
+  }, [activeLineId, scriptDoc.lines, linkElementToScene, loadElements]);
+
+  // Breakdown tags, re-found in the script once typing pauses. Until then a
+  // line edited since shows no tags rather than tags at stale offsets.
+  const [tagLines, setTagLines] = useState(scriptDoc.lines);
+  useEffect(() => {
+    const timeout = setTimeout(() => setTagLines(scriptDoc.lines), TAG_RESOLVE_DELAY);
+    return () => clearTimeout(timeout);
+  }, [scriptDoc.lines]);
+  const tagLineText = useMemo(() => new Map(tagLines.map(line => [line.id, line.text])), [tagLines]);
+
+  const tagLayout = useMemo(() => resolveTags(tagLines, elements.flatMap(element =>
+    (element.text_anchors || []).map((anchor, index) => ({
+      key: `${element.id}:${index}`,
+      elementId: element.id,
+      anchorIndex: index,
+      name: element.name,
+      color: getBreakdownColor(element),
+      anchor
+    }))
+  )), [tagLines, elements]);
+
+  const dismissOrphanedTag = useCallback(async (tag) => {
+    const element = elements.find(e => e.id === tag.elementId);
+    if (!element) return;
+
+    try {
+      await updateElement(element.id, {
+        text_anchors: element.text_anchors.filter((_, index) => index !== tag.anchorIndex)
+      });
+    } catch (error) {
+      console.error('Error removing orphaned tag:', error);
+      toast.error('Failed to remove tag');
+    }
+  }, [elements, updateElement]);
+
+  // Bring breakdown tags from an imported script into the project's elements,
+  // linked to the scenes they were tagged in
+  const importTaggedElements = useCallback(async (importedDoc, taggedElements) => {
+    const headingLineFor = (lineId) => {
+      const index = importedDoc.lines.findIndex(line => line.id === lineId);
+      return importedDoc.lines.slice(0, index + 1).reverse().find(line => line.type === ELEMENT_TYPES.SCENE)?.id;
+    };
+
+    // Scenes first, so each tag has a scene to link to
+    await syncScenes(importedDoc);
+    const sceneIdByLine = new Map((await listScenes(projectId))
+      .filter(scene => scene.scriptLineId)
+      .map(scene => [scene.scriptLineId, scene.id]));
+
+    const elementIds = await importElements(projectId, taggedElements.map(element => ({
+      type: element.category,
+      name: element.name,
+      category: element.category
+    })));
+
+    for (const [index, element] of taggedElements.entries()) {
+      const sceneIds = new Set(element.lineIds.map(lineId => sceneIdByLine.get(headingLineFor(lineId))).filter(Boolean));
+      for (const sceneId of sceneIds) {
+        await linkSceneElement(projectId, sceneId, elementIds[index]);
+      }
+    }
+  }, [projectId, syncScenes]);
+
+  // Track the last focused line so toolbar actions still know where the cursor was
+  useEffect(() => {
+    if (activeLineId) lastActiveLineRef.current = activeLineId;
+  }, [activeLineId]);
+
+  // Scenes added to a locked script get suffix numbers (12A, 12B) straight away
+  useEffect(() => {
+    if (!isScriptLocked(scriptDoc)) return;
+    const numbered = assignSceneNumbers(scriptDoc);
+    if (numbered !== scriptDoc) {
+      setScriptDoc(numbered);
+    }
+  }, [scriptDoc]);
+
+  const handleToggleLock = useCallback(async () => {
+    if (isScriptLocked(scriptDoc)) {
+      if (!window.confirm('Unlock the script? Scene numbers are kept, but page breaks will no longer be held.')) return;
+      setScriptDoc(unlockScript(scriptDoc));
+      toast.success('Script unlocked');
+      return;
+    }
+
+    const locked = lockScript(scriptDoc);
+    setScriptDoc(locked);
+    toast.success(`Script locked: ${getSceneNumbers(locked).length} scenes on ${locked.lock.pages.length} pages`);
+
+    if (projectId) {
+      await syncScenes(locked);
+    }
+  }, [scriptDoc, projectId, syncScenes]);
+
+  const handleOmitScene = useCallback(() => {
+    const lineIndex = scriptDoc.lines.findIndex(line => line.id === lastActiveLineRef.current);
+    const heading = scriptDoc.lines
+      .slice(0, lineIndex + 1)
+      .reverse()
+      .find(line => line.type === ELEMENT_TYPES.SCENE);
+
+    if (lineIndex === -1 || !heading) {
+      toast.error('Place the cursor in the scene to omit');
+      return;
+    }
+    if (heading.meta?.omitted) return;
+    if (!window.confirm(`Omit scene ${heading.meta?.sceneNumber || ''} (${heading.text})? Its content will be removed.`)) return;
+
+    setScriptDoc(omitScene(scriptDoc, heading.id));
+  }, [scriptDoc]);
+
+  // Handle Fountain / Final Draft import
+  const handleImportFile = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const hasContent = scriptDoc.lines.some(line => line.text.trim() && line.text.trim() !== 'FADE IN:');
+    if (hasContent && !window.confirm(`Replace the current script with ${file.name}?${projectId ? ' A version of the current script is saved first.' : ''}`)) return;
+
+    try {
+      const text = await file.text();
+      const imported = /\.fdx$/i.test(file.name) ? importFromFDX(text) : importFromFountain(text);
+      if (hasContent && projectId && !await createVersion(scriptDoc, `Before importing ${file.name}`)) {
+        toast.error('Could not save a version of the current script, so nothing was imported');
+        return;
+      }
+
+      // A fresh document: the old lock, revision sets and scene numbers point at lines that are gone
+      const emptyDoc = createEmptyScript();
+      const importedDoc = {
+        ...emptyDoc,
+        id: scriptDoc.id,
+        mode: scriptDoc.mode,
+        title: imported.title,
+        lines: imported.lines,
+        titlePage: { ...emptyDoc.titlePage, ...imported.titlePage },
+        settings: { ...emptyDoc.settings, ...imported.settings }
+      };
+      setScriptDoc(importedDoc);
+
+      if (projectId && imported.taggedElements?.length > 0) {
+        await importTaggedElements(importedDoc, imported.taggedElements);
+      }
+      toast.success(`Imported ${imported.lines.length} lines from ${file.name}`);
+    } catch (error) {
+      console.error('Script import error:', error);
+      toast.error(`Failed to import ${file.name}: ${error.message}`);
+    }
+  }, [projectId, scriptDoc, createVersion, importTaggedElements]);
 
   // Mode-specific rendering
   const renderEditor = () => {
@@ -720,6 +1007,11 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
       default:
         return (
           <div className="flex-1 overflow-y-auto bg-gray-50 p-4 md:p-8" style={{ fontFamily: '"Courier Prime", "Courier New", Courier, monospace', fontSize: '12pt' }}>
+            {tagLayout.orphans.length > 0 && (
+              <div className="max-w-4xl mx-auto mb-4 font-sans">
+                <OrphanedTags orphans={tagLayout.orphans} onDismiss={dismissOrphanedTag} />
+              </div>
+            )}
             <div
               className="max-w-4xl mx-auto bg-white rounded-lg border border-gray-200 p-8 md:p-12 shadow-sm"
               style={{
@@ -736,14 +1028,15 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
                   isActive={activeLineId === line.id}
                   showSceneNumbers={scriptDoc.settings?.showSceneNumbers}
                   scriptDoc={scriptDoc}
-                  revisionMode={revisionMode}
+                  revisionMode={revisionMode || !!getActiveRevisionSet(scriptDoc)}
                   onFocus={() => setActiveLineId(line.id)}
                   onBlur={() => setActiveLineId(null)}
                   onChange={(text) => handleLineChange(line.id, text)}
                   onKeyDown={(e) => handleKeyDown(e, line.id)}
                   onDelete={() => deleteLine(line.id)}
                   onToggleDual={() => toggleDualDialogue(line.id)}
-                  onMouseUp={handleTextSelection}
+                  onMouseUp={(e) => handleTextSelection(e, line.id)}
+                  tagSpans={tagLineText.get(line.id) === line.text ? tagLayout.byLine[line.id] : undefined}
                   ref={el => lineRefs.current[line.id] = el}
                 />
               ))}
@@ -767,7 +1060,11 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
           onModeChange={setCurrentMode}
           onSave={handleSave}
           onExport={() => setShowExportDialog(true)}
+          onImport={() => importInputRef.current?.click()}
           onTitlePage={() => setShowTitlePageEditor(true)}
+          isLocked={isScriptLocked(scriptDoc)}
+          onToggleLock={handleToggleLock}
+          onOmitScene={handleOmitScene}
           onSettings={() => setShowScriptSettings(true)}
           onFindReplace={() => setShowFindReplace(true)}
           onRevisionToggle={() => setRevisionMode(!revisionMode)}
@@ -828,16 +1125,42 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
           projectId={projectId}
           versions={versions}
           currentVersion={currentVersion}
-          onRestoreVersion={restoreVersion}
+          onRestoreVersion={async (version) => {
+            await restoreVersion(version);
+            setScriptDoc(JSON.parse(version.content));
+            baseContentRef.current = version.content;
+          }}
           onDeleteVersion={deleteVersion}
           onDownloadVersion={downloadVersion}
+          versionLines={versionLines}
+          onSaveVersion={saveRevisionVersion}
         />
       )}
 
       {/* Dialogs */}
+      {mergeState && (
+        <ScriptMergeDialog
+          base={mergeState.base}
+          ours={scriptDoc}
+          theirs={mergeState.theirs}
+          theirsLabel={`Version ${mergeState.version.revision_number}`}
+          onResolve={(merged) => {
+            baseContentRef.current = mergeState.version.content;
+            setScriptDoc(merged);
+            setMergeState(null);
+            toast.success('Changes merged');
+          }}
+          onCancel={() => {
+            dismissedMergeRef.current = mergeState.version.content;
+            setMergeState(null);
+          }}
+        />
+      )}
+
       {showExportDialog && (
         <ExportDialog
           scriptDoc={scriptDoc}
+          versionLines={versionLines}
           onClose={() => setShowExportDialog(false)}
           onExport={(format, options) => {
             // Handle export logic
@@ -915,6 +1238,14 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
         </Dialog>
       )}
 
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".fountain,.spmd,.txt,.fdx"
+        className="hidden"
+        onChange={handleImportFile}
+      />
+
       {/* Tagging Dialog */}
       {showTaggingDialog && (
         <TaggingDialog
@@ -923,6 +1254,7 @@ export default function ScriptEditorV2({ initialContent, onSave, projectId }) {
           selectedText={taggingText}
           projectId={projectId}
           sceneId={currentSceneId}
+          anchor={taggingAnchor}
           onElementCreated={handleElementCreated}
         />
       )}
@@ -945,7 +1277,8 @@ const ScriptLine = React.forwardRef(({
   onKeyDown,
   onDelete,
   onToggleDual,
-  onMouseUp
+  onMouseUp,
+  tagSpans
 }, ref) => {
   const getLineClasses = (type) => {
     switch (type) {
@@ -961,6 +1294,15 @@ const ScriptLine = React.forwardRef(({
         return 'uppercase text-right';
       case ELEMENT_TYPES.SHOT:
         return 'uppercase';
+      case ELEMENT_TYPES.CENTERED:
+        return 'text-center';
+      case ELEMENT_TYPES.LYRICS:
+        return 'italic';
+      case ELEMENT_TYPES.SECTION:
+      case ELEMENT_TYPES.SYNOPSIS:
+      case ELEMENT_TYPES.NOTE:
+      case ELEMENT_TYPES.BONEYARD:
+        return 'italic text-gray-500';
       default:
         return '';
     }
@@ -977,7 +1319,7 @@ const ScriptLine = React.forwardRef(({
   }
 
   const sceneNumber = line.type === ELEMENT_TYPES.SCENE && showSceneNumbers && scriptDoc
-    ? scriptDoc.lines.filter((l, i) => i <= index && l.type === ELEMENT_TYPES.SCENE).length
+    ? line.meta?.sceneNumber || scriptDoc.lines.filter((l, i) => i <= index && l.type === ELEMENT_TYPES.SCENE).length
     : null;
 
   // Dual dialogue properties are still on the line object, but visual handling removed per outline.
@@ -998,6 +1340,10 @@ const ScriptLine = React.forwardRef(({
     return formatted;
   };
 
+  const displayText = line.type === ELEMENT_TYPES.PARENTHETICAL ? formatParentheticalText(line.text) : line.text;
+  // Tag offsets are into the line's text; shift them past any added bracket
+  const shift = tagSpans?.length ? displayText.indexOf(line.text.trim()) - line.text.indexOf(line.text.trim()) : 0;
+
 
   return (
     <div className={`relative group ${getWrapperClasses(line.type)}`}>
@@ -1010,10 +1356,23 @@ const ScriptLine = React.forwardRef(({
         </span>
       )}
 
+      {/* Breakdown tag underlines, drawn in transparent text behind the textarea */}
+      {tagSpans?.length > 0 && (
+        <div
+          aria-hidden="true"
+          className={`absolute inset-0 pointer-events-none whitespace-pre-wrap break-words text-transparent leading-relaxed ${getLineClasses(line.type)}`}
+        >
+          <TagUnderlines
+            text={displayText}
+            spans={shift ? tagSpans.map(span => ({ ...span, start: span.start + shift, end: span.end + shift })) : tagSpans}
+          />
+        </div>
+      )}
+
       {/* Text Input */}
       <textarea // Changed from Shadcn Textarea to native textarea
         ref={ref}
-        value={line.type === ELEMENT_TYPES.PARENTHETICAL ? formatParentheticalText(line.text) : line.text}
+        value={displayText}
         onChange={(e) => {
           let newText = e.target.value;
           // For parentheticals, strip the parentheses for internal storage
@@ -1026,6 +1385,7 @@ const ScriptLine = React.forwardRef(({
         onBlur={onBlur}
         onKeyDown={onKeyDown}
         onMouseUp={onMouseUp}
+        readOnly={!!line.meta?.omitted}
         className={`block w-full resize-none border-none bg-transparent p-0 focus:outline-none focus:ring-0 leading-relaxed ${getLineClasses(line.type)}`}
         rows={1}
         onInput={(e) => {
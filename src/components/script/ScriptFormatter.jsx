@@ -11,7 +11,15 @@ export const ELEMENT_TYPES = {
   SHOT: 'shot',
   MONTAGE: 'montage',
   INTERCUT: 'intercut',
-  GENERAL: 'general'
+  GENERAL: 'general',
+  // Fountain-only elements, kept so imports round-trip losslessly
+  CENTERED: 'centered',
+  LYRICS: 'lyrics',
+  SECTION: 'section',
+  SYNOPSIS: 'synopsis',
+  NOTE: 'note',
+  BONEYARD: 'boneyard',
+  PAGE_BREAK: 'page_break'
 };
 
 // Regex patterns for element detection
@@ -237,49 +245,27 @@ export function getElementClasses(type) {
     case ELEMENT_TYPES.INTERCUT:
       return `${baseClasses} script-montage uppercase font-semibold mb-2`;
       
+    case ELEMENT_TYPES.CENTERED:
+      return `${baseClasses} script-centered text-center mb-4`;
+      
+    case ELEMENT_TYPES.LYRICS:
+      return `${baseClasses} script-lyrics italic`;
+      
+    case ELEMENT_TYPES.SECTION:
+    case ELEMENT_TYPES.SYNOPSIS:
+    case ELEMENT_TYPES.NOTE:
+    case ELEMENT_TYPES.BONEYARD:
+      // Writer-only elements, never printed
+      return `${baseClasses} script-${type} text-gray-500 italic mb-4`;
+      
+    case ELEMENT_TYPES.PAGE_BREAK:
+      return `${baseClasses} script-page-break border-t border-dashed my-4`;
+      
     default:
       return `${baseClasses} script-general mb-4`;
   }
 }
 
-/**
- * Calculate approximate page count based on line count
- * Industry standard: ~55 lines per page
- */
-export function calculatePageCount(lines) {
-  let totalLines = 0;
-  
-  lines.forEach(line => {
-    const text = line.text || '';
-    const lineCount = Math.max(1, Math.ceil(text.length / 60)); // ~60 chars per line
-    
-    switch (line.type) {
-      case ELEMENT_TYPES.SCENE:
-        totalLines += lineCount + 1; // Scene + blank line
-        break;
-      case ELEMENT_TYPES.ACTION:
-        totalLines += lineCount + 1; // Action + blank line
-        break;
-      case ELEMENT_TYPES.CHARACTER:
-        totalLines += 1; // Character name only
-        break;
-      case ELEMENT_TYPES.DIALOGUE:
-        totalLines += lineCount;
-        break;
-      case ELEMENT_TYPES.PARENTHETICAL:
-        totalLines += 1;
-        break;
-      case ELEMENT_TYPES.TRANSITION:
-        totalLines += lineCount + 1;
-        break;
-      default:
-        totalLines += lineCount;
-    }
-  });
-  
-  return Math.max(1, Math.ceil(totalLines / 55));
-}
-
 /**
  * Calculate runtime (1 page ≈ 1 minute)
  */
@@ -297,149 +283,467 @@ export function countWords(lines) {
   }, 0);
 }
 
+
+// Fountain 1.1 syntax (https://fountain.io/syntax)
+const FOUNTAIN = {
+  SCENE: /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[.\s]/i,
+  SCENE_NUMBER: /\s*#([A-Za-z0-9.-]+)#\s*$/,
+  TRANSITION: /^[A-Z0-9\s.'-]+TO:$/,
+  CENTERED: /^>\s*(.*?)\s*<$/,
+  PAGE_BREAK: /^={3,}$/,
+  SECTION: /^(#+)\s*(.*)$/,
+  NOTE: /^\[\[([\s\S]*)\]\]$/,
+  INLINE_NOTE: /\[\[([\s\S]*?)\]\]/g,
+  TITLE_KEY: /^([A-Za-z][A-Za-z ]*):\s*(.*)$/
+};
+
+// Title page keys in export order, mapped onto the scriptDoc.titlePage fields
+const TITLE_PAGE_FIELDS = [
+  ['title', 'Title'],
+  ['subtitle', 'Subtitle'],
+  ['credit', 'Credit'],
+  ['author', 'Author'],
+  ['basedOn', 'Source'],
+  ['draftDate', 'Draft date'],
+  ['contact', 'Contact'],
+  ['copyright', 'Copyright'],
+  ['notes', 'Notes'],
+  ['revision', 'Revision']
+];
+
+const TITLE_PAGE_ALIASES = { authors: 'author' };
+
+// Elements that continue a dialogue block without a blank line in between
+const DIALOGUE_BLOCK_TYPES = [ELEMENT_TYPES.PARENTHETICAL, ELEMENT_TYPES.DIALOGUE];
+
+function getTitlePage(scriptDoc) {
+  return scriptDoc.titlePage || scriptDoc.settings?.titlePage || null;
+}
+
+function isUpperCaseName(text) {
+  const name = text.split('(')[0];
+  return /[A-Z]/.test(name) && name === name.toUpperCase();
+}
+
+function isNaturalSceneHeading(text) {
+  return FOUNTAIN.SCENE.test(text);
+}
+
+function isNaturalTransition(text) {
+  return FOUNTAIN.TRANSITION.test(text) && text === text.toUpperCase();
+}
+
+/**
+ * Moves inline [[notes]] out of the text into meta.notes with their offsets
+ */
+function extractInlineNotes(text) {
+  const notes = [];
+  let clean = '';
+  let lastIndex = 0;
+
+  text.replace(FOUNTAIN.INLINE_NOTE, (match, note, offset) => {
+    clean += text.slice(lastIndex, offset);
+    notes.push({ index: clean.length, text: note });
+    lastIndex = offset + match.length;
+    return match;
+  });
+  clean += text.slice(lastIndex);
+
+  return { text: clean, notes };
+}
+
+function insertInlineNotes(text, notes = []) {
+  return [...notes]
+    .sort((a, b) => b.index - a.index)
+    .reduce((result, note) => `${result.slice(0, note.index)}[[${note.text}]]${result.slice(note.index)}`, text);
+}
+
+function escapeLeadingSyntax(text) {
+  return /^[.@>~#=!]|^\[\[/.test(text) ? `!${text}` : text;
+}
+
+/**
+ * Renders a single line as Fountain, forcing its type when the text alone
+ * would be read back as something else
+ */
+function lineToFountain(line) {
+  const meta = line.meta || {};
+  const text = insertInlineNotes(line.text || '', meta.notes);
+
+  switch (line.type) {
+    case ELEMENT_TYPES.SCENE: {
+      const forced = meta.forced || !isNaturalSceneHeading(text);
+      const number = meta.sceneNumber ? ` #${meta.sceneNumber}#` : '';
+      return `${forced ? '.' : ''}${text}${number}`;
+    }
+
+    case ELEMENT_TYPES.CHARACTER: {
+      const forced = meta.forced || !isUpperCaseName(text);
+      return `${forced ? '@' : ''}${text}${meta.dualDialogue === 'right' ? ' ^' : ''}`;
+    }
+
+    case ELEMENT_TYPES.PARENTHETICAL:
+      return text.startsWith('(') ? text : `(${text})`;
+
+    case ELEMENT_TYPES.DIALOGUE:
+      // Two spaces keep an intentionally empty dialogue line inside the block
+      return text || '  ';
+
+    case ELEMENT_TYPES.TRANSITION:
+      return meta.forced || !isNaturalTransition(text) ? `> ${text}` : text;
+
+    case ELEMENT_TYPES.CENTERED:
+      return `> ${text} <`;
+
+    case ELEMENT_TYPES.LYRICS:
+      return `~${text}`;
+
+    case ELEMENT_TYPES.SECTION:
+      return `${'#'.repeat(meta.depth || 1)} ${text}`;
+
+    case ELEMENT_TYPES.SYNOPSIS:
+      return `= ${text}`;
+
+    case ELEMENT_TYPES.NOTE:
+      return `[[${line.text || ''}]]`;
+
+    case ELEMENT_TYPES.BONEYARD:
+      return `/*${line.text || ''}*/`;
+
+    case ELEMENT_TYPES.PAGE_BREAK:
+      return '===';
+
+    case ELEMENT_TYPES.ACTION:
+    default: {
+      const lines = text.split('\n');
+      const [first] = lines;
+      // An all-caps first line followed by more text would read back as a character cue
+      const looksLikeOtherElement = isNaturalSceneHeading(first.trim()) ||
+        isNaturalTransition(first.trim()) ||
+        (lines.length > 1 && isUpperCaseName(first.trim()));
+      return meta.forced || looksLikeOtherElement ? `!${text}` : escapeLeadingSyntax(text);
+    }
+  }
+}
+
+function titlePageToFountain(titlePage) {
+  const entries = TITLE_PAGE_FIELDS
+    .filter(([field]) => typeof titlePage[field] === 'string' && titlePage[field].trim())
+    .map(([field, key]) => [key, titlePage[field]]);
+
+  Object.entries(titlePage.extra || {}).forEach(([key, value]) => entries.push([key, value]));
+
+  return entries.map(([key, value]) => {
+    if (!value.includes('\n')) {
+      return `${key}: ${value}`;
+    }
+    return `${key}:\n${value.split('\n').map(part => `    ${part}`).join('\n')}`;
+  }).join('\n');
+}
+
 /**
  * Export to Fountain format
+ * Covers the full Fountain 1.1 element set; see importFromFountain for the mapping
  */
 export function exportToFountain(scriptDoc) {
   let fountain = '';
-  
+
   // Title page
-  if (scriptDoc.settings?.titlePage) {
-    const tp = scriptDoc.settings.titlePage;
-    if (tp.title) fountain += `Title: ${tp.title}\n`;
-    if (tp.author) fountain += `Author: ${tp.author}\n`;
-    if (tp.contact) fountain += `Contact: ${tp.contact}\n`;
-    if (tp.draftDate) fountain += `Draft date: ${tp.draftDate}\n`;
-    fountain += '\n===\n\n';
+  const titlePage = getTitlePage(scriptDoc);
+  const titlePageText = titlePage ? titlePageToFountain(titlePage) : '';
+  if (titlePageText) {
+    fountain += `${titlePageText}\n\n`;
   }
-  
+
   // Script content
   scriptDoc.lines.forEach((line, index) => {
-    const text = line.text || '';
-    
-    switch (line.type) {
-      case ELEMENT_TYPES.SCENE:
-        fountain += text.toUpperCase() + '\n\n';
-        break;
-        
-      case ELEMENT_TYPES.ACTION:
-        fountain += text + '\n\n';
-        break;
-        
-      case ELEMENT_TYPES.CHARACTER:
-        fountain += text.toUpperCase() + '\n';
-        break;
-        
-      case ELEMENT_TYPES.DIALOGUE:
-        fountain += text + '\n';
-        break;
-        
-      case ELEMENT_TYPES.PARENTHETICAL:
-        fountain += text + '\n';
-        break;
-        
-      case ELEMENT_TYPES.TRANSITION:
-        fountain += '> ' + text.toUpperCase() + '\n\n';
-        break;
-        
-      default:
-        fountain += text + '\n';
-    }
+    fountain += lineToFountain(line);
+
+    const next = scriptDoc.lines[index + 1];
+    if (!next) return;
+
+    const continuesDialogue = DIALOGUE_BLOCK_TYPES.includes(next.type) &&
+      [ELEMENT_TYPES.CHARACTER, ...DIALOGUE_BLOCK_TYPES].includes(line.type);
+    const continuesLyrics = line.type === ELEMENT_TYPES.LYRICS && next.type === ELEMENT_TYPES.LYRICS;
+
+    fountain += continuesDialogue || continuesLyrics ? '\n' : '\n\n';
   });
-  
-  return fountain;
+
+  return fountain ? `${fountain}\n` : fountain;
+}
+
+function parseTitlePage(lines) {
+  const titlePage = {};
+  const extra = {};
+  let currentKey = null;
+  let index = 0;
+
+  const setValue = (key, value) => {
+    const normalized = key.toLowerCase();
+    const field = TITLE_PAGE_ALIASES[normalized] ||
+      TITLE_PAGE_FIELDS.find(([, name]) => name.toLowerCase() === normalized)?.[0];
+    if (field) {
+      titlePage[field] = value;
+    } else {
+      extra[key] = value;
+    }
+  };
+  const getValue = (key) => {
+    const normalized = key.toLowerCase();
+    const field = TITLE_PAGE_ALIASES[normalized] ||
+      TITLE_PAGE_FIELDS.find(([, name]) => name.toLowerCase() === normalized)?.[0];
+    return field ? titlePage[field] : extra[key];
+  };
+
+  if (!FOUNTAIN.TITLE_KEY.test(lines[0] || '')) {
+    return { titlePage: null, bodyStart: 0 };
+  }
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim()) break;
+
+    const keyMatch = line.match(FOUNTAIN.TITLE_KEY);
+    if (keyMatch && !/^(\s{3,}|\t)/.test(line)) {
+      currentKey = keyMatch[1].trim();
+      setValue(currentKey, keyMatch[2].trim());
+    } else if (currentKey) {
+      // Indented continuation line of a multi-line value
+      const previous = getValue(currentKey);
+      setValue(currentKey, previous ? `${previous}\n${line.trim()}` : line.trim());
+    }
+  }
+
+  if (Object.keys(extra).length > 0) {
+    titlePage.extra = extra;
+  }
+
+  return { titlePage, bodyStart: index };
 }
 
 /**
- * Import from Fountain format
+ * Splits the body into blank-line separated blocks, keeping boneyard
+ * comments (which may contain blank lines) as blocks of their own
  */
-export function importFromFountain(fountainText) {
-  const lines = fountainText.split('\n');
-  const scriptLines = [];
-  let inTitlePage = false;
-  let titlePageData = {};
-  
-  lines.forEach((line, index) => {
-    const trimmed = line.trim();
-    
-    // Skip empty lines in processing, but we'll add them back as needed
-    if (!trimmed) return;
-    
-    // Title page parsing
-    if (trimmed === '===') {
-      inTitlePage = false;
-      return;
+function splitFountainBlocks(lines) {
+  const blocks = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      blocks.push({ lines: current });
+      current = [];
     }
-    
-    if (inTitlePage || (trimmed.includes(':') && index < 10)) {
-      const [key, ...valueParts] = trimmed.split(':');
-      const value = valueParts.join(':').trim();
-      
-      switch (key.toLowerCase()) {
-        case 'title':
-          titlePageData.title = value;
-          break;
-        case 'author':
-          titlePageData.author = value;
-          break;
-        case 'contact':
-          titlePageData.contact = value;
-          break;
-        case 'draft date':
-          titlePageData.draftDate = value;
-          break;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.trimStart().startsWith('/*') && current.length === 0) {
+      const start = line.indexOf('/*');
+      const boneyard = [line.slice(start + 2)];
+      let closed = boneyard[0].includes('*/');
+      while (!closed && i + 1 < lines.length) {
+        i++;
+        boneyard.push(lines[i]);
+        closed = lines[i].includes('*/');
       }
-      inTitlePage = true;
-      return;
-    }
-    
-    // Script content parsing
-    let elementType = ELEMENT_TYPES.ACTION;
-    let text = trimmed;
-    
-    // Transition (starts with >)
-    if (trimmed.startsWith('> ')) {
-      elementType = ELEMENT_TYPES.TRANSITION;
-      text = trimmed.substring(2);
-    }
-    // Scene heading
-    else if (PATTERNS.SCENE.test(trimmed)) {
-      elementType = ELEMENT_TYPES.SCENE;
+      const content = boneyard.join('\n');
+      blocks.push({ boneyard: content.slice(0, content.lastIndexOf('*/') === -1 ? undefined : content.lastIndexOf('*/')) });
+      continue;
     }
-    // Character (all caps, standalone)
-    else if (PATTERNS.CHARACTER.test(trimmed) && trimmed === trimmed.toUpperCase()) {
-      elementType = ELEMENT_TYPES.CHARACTER;
-    }
-    // Parenthetical
-    else if (PATTERNS.PARENTHETICAL.test(trimmed)) {
-      elementType = ELEMENT_TYPES.PARENTHETICAL;
+
+    // A line of exactly two spaces is an intentional blank inside a block
+    if (line.trim() === '' && line !== '  ') {
+      flush();
+    } else {
+      current.push(line);
     }
-    // Dialogue (follows character)
-    else if (scriptLines.length > 0) {
-      const prevLine = scriptLines[scriptLines.length - 1];
-      if (prevLine.type === ELEMENT_TYPES.CHARACTER || 
-          prevLine.type === ELEMENT_TYPES.PARENTHETICAL ||
-          prevLine.type === ELEMENT_TYPES.DIALOGUE) {
-        elementType = ELEMENT_TYPES.DIALOGUE;
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Classifies a single-line element that always stands on its own
+ */
+function parseStandaloneLine(raw) {
+  const trimmed = raw.trim();
+
+  if (FOUNTAIN.PAGE_BREAK.test(trimmed)) {
+    return { type: ELEMENT_TYPES.PAGE_BREAK, text: '' };
+  }
+  if (FOUNTAIN.NOTE.test(trimmed) && trimmed.indexOf(']]') === trimmed.length - 2) {
+    return { type: ELEMENT_TYPES.NOTE, text: trimmed.slice(2, -2), raw: true };
+  }
+  if (trimmed.startsWith('#')) {
+    const [, hashes, text] = trimmed.match(FOUNTAIN.SECTION);
+    return { type: ELEMENT_TYPES.SECTION, text, meta: { depth: hashes.length } };
+  }
+  if (trimmed.startsWith('=')) {
+    return { type: ELEMENT_TYPES.SYNOPSIS, text: trimmed.slice(1).trim() };
+  }
+  const centered = trimmed.match(FOUNTAIN.CENTERED);
+  if (centered) {
+    return { type: ELEMENT_TYPES.CENTERED, text: centered[1] };
+  }
+  if (trimmed.startsWith('.') && !trimmed.startsWith('..')) {
+    return { type: ELEMENT_TYPES.SCENE, text: trimmed.slice(1), meta: { forced: true } };
+  }
+  if (isNaturalSceneHeading(trimmed)) {
+    return { type: ELEMENT_TYPES.SCENE, text: trimmed };
+  }
+  if (trimmed.startsWith('>')) {
+    return { type: ELEMENT_TYPES.TRANSITION, text: trimmed.slice(1).trim(), meta: { forced: true } };
+  }
+  if (isNaturalTransition(trimmed)) {
+    return { type: ELEMENT_TYPES.TRANSITION, text: trimmed };
+  }
+
+  return null;
+}
+
+function parseCharacterCue(raw) {
+  const trimmed = raw.trim();
+  let text = trimmed;
+  const meta = {};
+
+  if (text.endsWith('^')) {
+    text = text.slice(0, -1).trim();
+    meta.dualDialogue = 'right';
+  }
+
+  if (text.startsWith('@')) {
+    return { text: text.slice(1), meta: { ...meta, forced: true } };
+  }
+  if (/^[!~.>#=]/.test(text) || !isUpperCaseName(text)) {
+    return null;
+  }
+
+  return { text, meta };
+}
+
+/**
+ * Import from Fountain format
+ * Maps every Fountain 1.1 construct onto scriptDoc.lines:
+ * - forced elements (`.`, `@`, `!`, `>`) set meta.forced
+ * - scene numbers (`#12A#`) go to meta.sceneNumber
+ * - dual dialogue (`^`) sets meta.dualDialogue to 'left' / 'right' on the two character cues
+ * - inline notes (`[[ ]]`) move to meta.notes with their offsets; standalone notes become NOTE lines
+ * - sections keep their depth in meta.depth; centered text, lyrics, synopses,
+ *   boneyard and page breaks get their own element types
+ * Emphasis markup (`*`, `**`, `_`) and escapes stay in the text as written.
+ */
+export function importFromFountain(fountainText) {
+  const allLines = fountainText.replace(/\r\n?/g, '\n').split('\n');
+  const { titlePage, bodyStart } = parseTitlePage(allLines);
+  const blocks = splitFountainBlocks(allLines.slice(bodyStart));
+  const scriptLines = [];
+  const stamp = Date.now();
+
+  const pushLine = (type, text, meta = {}, keepNotes = false) => {
+    const lineMeta = { ...meta };
+    let lineText = text;
+
+    if (!keepNotes && text.includes('[[')) {
+      const extracted = extractInlineNotes(text);
+      lineText = extracted.text;
+      if (extracted.notes.length > 0) {
+        lineMeta.notes = extracted.notes;
       }
     }
-    
+
     scriptLines.push({
-      id: `line_${Date.now()}_${index}`,
-      type: elementType,
-      text: text,
-      meta: {}
+      id: `line_${stamp}_${scriptLines.length}`,
+      type,
+      text: lineText,
+      meta: lineMeta
     });
+  };
+
+  // A page break right after the title page only separates it from the body
+  if (titlePage && blocks[0]?.lines?.length === 1 && FOUNTAIN.PAGE_BREAK.test(blocks[0].lines[0].trim())) {
+    blocks.shift();
+  }
+
+  blocks.forEach((block) => {
+    if (block.boneyard !== undefined) {
+      pushLine(ELEMENT_TYPES.BONEYARD, block.boneyard, {}, true);
+      return;
+    }
+
+    let remaining = block.lines;
+
+    while (remaining.length > 0) {
+      const [first, ...rest] = remaining;
+
+      // Lyrics lines
+      if (first.trim().startsWith('~')) {
+        pushLine(ELEMENT_TYPES.LYRICS, first.trim().slice(1));
+        remaining = rest;
+        continue;
+      }
+
+      // Forced action keeps its line breaks and whitespace
+      if (first.trimStart().startsWith('!')) {
+        pushLine(ELEMENT_TYPES.ACTION, remaining.join('\n').trimStart().slice(1), { forced: true });
+        return;
+      }
+
+      // Dialogue block: character cue followed directly by speech
+      const cue = rest.length > 0 ? parseCharacterCue(first) : null;
+      if (cue && !isNaturalSceneHeading(first.trim())) {
+        if (cue.meta.dualDialogue === 'right') {
+          const previousCue = [...scriptLines].reverse().find(line => line.type === ELEMENT_TYPES.CHARACTER);
+          if (previousCue) {
+            previousCue.meta = { ...previousCue.meta, dualDialogue: 'left' };
+          }
+        }
+        pushLine(ELEMENT_TYPES.CHARACTER, cue.text, cue.meta);
+
+        rest.forEach((line) => {
+          const trimmed = line.trim();
+          if (trimmed.startsWith('(') && trimmed.endsWith(')')) {
+            pushLine(ELEMENT_TYPES.PARENTHETICAL, trimmed);
+          } else {
+            pushLine(ELEMENT_TYPES.DIALOGUE, line === '  ' ? '' : trimmed);
+          }
+        });
+        return;
+      }
+
+      const standalone = parseStandaloneLine(first);
+      if (standalone) {
+        if (standalone.type === ELEMENT_TYPES.SCENE) {
+          const numberMatch = standalone.text.match(FOUNTAIN.SCENE_NUMBER);
+          if (numberMatch) {
+            standalone.text = standalone.text.replace(FOUNTAIN.SCENE_NUMBER, '');
+            standalone.meta = { ...standalone.meta, sceneNumber: numberMatch[1] };
+          }
+        }
+        pushLine(standalone.type, standalone.text, standalone.meta, standalone.raw);
+        remaining = rest;
+        continue;
+      }
+
+      // Everything else is action; lines within the paragraph stay together
+      pushLine(ELEMENT_TYPES.ACTION, remaining.join('\n'));
+      return;
+    }
   });
-  
+
+  const resolvedTitlePage = titlePage || {};
+
   return {
-    id: `script_${Date.now()}`,
-    title: titlePageData.title || 'Imported Script',
+    id: `script_${stamp}`,
+    title: resolvedTitlePage.title || 'Imported Script',
     lines: scriptLines,
     settings: {
-      showSceneNumbers: false,
-      titlePage: titlePageData
+      showSceneNumbers: scriptLines.some(line => line.meta.sceneNumber),
+      titlePage: resolvedTitlePage
     },
-    updatedAt: Date.now()
+    titlePage: resolvedTitlePage,
+    updatedAt: stamp
   };
-}
\ No newline at end of file
+}
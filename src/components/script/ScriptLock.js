@@ -0,0 +1,230 @@
+// Locked production drafts
+// Locking a script freezes its scene numbers and page boundaries. After the
+// lock, inserted scenes take suffix numbers (12A, 12B), new material spills onto
+// A/B pages, and omitted scenes leave an OMITTED placeholder behind.
+
+import { ELEMENT_TYPES } from './ScriptFormatter';
+import { paginateScript } from './ScriptPaginator';
+
+export const OMITTED = 'OMITTED';
+
+const SCENE_NUMBER_PATTERN = /^([A-Z]*)(\d+)([A-Z]*)$/;
+
+/**
+ * Splits a scene or page number such as "A1", "12" or "12AB" into its parts
+ * @param {string} label - Scene or page number
+ * @returns {{ prefix: string, number: number, suffix: string }|null}
+ */
+export function parseNumberLabel(label) {
+  const match = SCENE_NUMBER_PATTERN.exec(String(label ?? '').trim().toUpperCase());
+  if (!match) return null;
+  return { prefix: match[1], number: Number(match[2]), suffix: match[3] };
+}
+
+/**
+ * Next letter sequence: '' -> 'A', 'A' -> 'B', 'Z' -> 'ZA'
+ */
+function incrementLetters(letters) {
+  if (!letters) return 'A';
+  const last = letters[letters.length - 1];
+  if (last === 'Z') return `${letters}A`;
+  return letters.slice(0, -1) + String.fromCharCode(last.charCodeAt(0) + 1);
+}
+
+/**
+ * Number for a scene inserted after `previous` in a locked script
+ * ('12' -> '12A', '12A' -> '12B', or '12AA' when 12B is already taken)
+ * @param {string} previous - Number of the scene before the insert
+ * @param {Set<string>} [used] - Numbers already in use
+ * @returns {string} Unused suffixed number
+ */
+export function nextSuffixLabel(previous, used = new Set()) {
+  const parsed = parseNumberLabel(previous);
+  if (!parsed) return `${previous}A`;
+
+  const base = `${parsed.prefix}${parsed.number}`;
+  let suffix = incrementLetters(parsed.suffix);
+  if (used.has(`${base}${suffix}`)) {
+    suffix = `${parsed.suffix}A`;
+  }
+  while (used.has(`${base}${suffix}`)) {
+    suffix = incrementLetters(suffix);
+  }
+  return `${base}${suffix}`;
+}
+
+/**
+ * Number for a scene inserted before the first numbered scene ('1' -> 'A1')
+ */
+function prefixLabel(first, used) {
+  const parsed = parseNumberLabel(first);
+  const number = parsed ? parsed.number : 1;
+  let prefix = 'A';
+  while (used.has(`${prefix}${number}`)) {
+    prefix = incrementLetters(prefix);
+  }
+  return `${prefix}${number}`;
+}
+
+export function isScriptLocked(scriptDoc) {
+  return !!scriptDoc?.lock;
+}
+
+/**
+ * Gives every unnumbered scene heading a number. Unlocked scripts continue the
+ * running count; locked scripts never renumber, so inserts take suffixes.
+ * @param {Object} scriptDoc - Script document
+ * @returns {Object} Script document with numbered headings (the same object if nothing changed)
+ */
+export function assignSceneNumbers(scriptDoc) {
+  const lines = scriptDoc.lines || [];
+  const headings = lines.filter(line => line.type === ELEMENT_TYPES.SCENE);
+  if (headings.every(line => line.meta?.sceneNumber)) {
+    return scriptDoc;
+  }
+
+  const locked = isScriptLocked(scriptDoc);
+  const used = new Set(headings.map(line => line.meta?.sceneNumber).filter(Boolean));
+  const numbers = {};
+  let previous = null;
+
+  headings.forEach((line, index) => {
+    if (line.meta?.sceneNumber) {
+      previous = line.meta.sceneNumber;
+      return;
+    }
+
+    const following = headings.slice(index + 1).find(heading => heading.meta?.sceneNumber)?.meta.sceneNumber;
+    const next = (parseNumberLabel(previous)?.number || 0) + 1;
+    const fits = !following || next < (parseNumberLabel(following)?.number ?? Infinity);
+
+    let number;
+    if (!locked && fits && !used.has(String(next))) {
+      number = String(next);
+    } else if (previous) {
+      number = nextSuffixLabel(previous, used);
+    } else {
+      number = prefixLabel(following, used);
+    }
+
+    used.add(number);
+    numbers[line.id] = number;
+    previous = number;
+  });
+
+  return {
+    ...scriptDoc,
+    lines: lines.map(line => (numbers[line.id]
+      ? { ...line, meta: { ...line.meta, sceneNumber: numbers[line.id] } }
+      : line))
+  };
+}
+
+/**
+ * Page boundaries of the current layout. A page that starts cleanly on a new
+ * block records that line; a page that continues a split speech or paragraph
+ * has no start line and stays with the page before it.
+ */
+function lockedPageBoundaries(scriptDoc) {
+  const { pages } = paginateScript({ ...scriptDoc, lock: null });
+  const seen = new Set();
+
+  return pages.map((page, index) => {
+    const firstRow = page.rows[0];
+    const continued = !firstRow || seen.has(firstRow.lineId);
+    page.rows.forEach(row => seen.add(row.lineId));
+
+    return {
+      label: String(page.number),
+      startLineId: index === 0 || continued ? null : firstRow.lineId
+    };
+  });
+}
+
+/**
+ * Locks a script: numbers every scene and freezes the current page breaks
+ * @param {Object} scriptDoc - Script document
+ * @param {Object} [options]
+ * @param {number} [options.lockedAt=Date.now()] - Lock timestamp
+ * @returns {Object} Locked script document
+ */
+export function lockScript(scriptDoc, { lockedAt = Date.now() } = {}) {
+  const numbered = assignSceneNumbers({ ...scriptDoc, lock: null });
+
+  return {
+    ...numbered,
+    settings: { ...numbered.settings, showSceneNumbers: true },
+    lock: {
+      lockedAt,
+      pages: lockedPageBoundaries(numbered)
+    },
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Unlocks a script. Scene numbers stay on the headings; page breaks are released.
+ */
+export function unlockScript(scriptDoc) {
+  const unlocked = { ...scriptDoc, updatedAt: Date.now() };
+  delete unlocked.lock;
+  return unlocked;
+}
+
+/**
+ * Omits a scene: its content is removed and the heading becomes an OMITTED
+ * placeholder that keeps the scene number
+ * @param {Object} scriptDoc - Script document
+ * @param {string} lineId - Scene heading line ID
+ * @returns {Object} Script document
+ */
+export function omitScene(scriptDoc, lineId) {
+  const lines = scriptDoc.lines || [];
+  const start = lines.findIndex(line => line.id === lineId);
+  if (start === -1 || lines[start].type !== ELEMENT_TYPES.SCENE) {
+    return scriptDoc;
+  }
+
+  let end = start + 1;
+  while (end < lines.length && lines[end].type !== ELEMENT_TYPES.SCENE) {
+    end++;
+  }
+
+  const heading = lines[start];
+  const placeholder = {
+    ...heading,
+    text: OMITTED,
+    meta: {
+      ...heading.meta,
+      omitted: true,
+      omittedHeading: heading.meta?.omitted ? heading.meta.omittedHeading : heading.text
+    }
+  };
+
+  return {
+    ...scriptDoc,
+    lines: [...lines.slice(0, start), placeholder, ...lines.slice(end)],
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Scene numbers as they should appear outside the script (stripboards, call sheets)
+ * @param {Object} scriptDoc - Script document
+ * @returns {Array<{ lineId: string, number: string, heading: string, omitted: boolean }>}
+ */
+export function getSceneNumbers(scriptDoc) {
+  let count = 0;
+
+  return (scriptDoc.lines || [])
+    .filter(line => line.type === ELEMENT_TYPES.SCENE)
+    .map((line) => {
+      count++;
+      return {
+        lineId: line.id,
+        number: line.meta?.sceneNumber || String(count),
+        heading: line.meta?.omitted ? line.meta.omittedHeading || '' : line.text,
+        omitted: !!line.meta?.omitted
+      };
+    });
+}
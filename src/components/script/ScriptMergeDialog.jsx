@@ -0,0 +1,97 @@
+import { useState, useMemo } from 'react';
+import { GitMerge, AlertCircle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { mergeScripts, resolveMergeConflicts } from './ScriptDiff';
+
+const LineText = ({ line }) => (
+  line
+    ? (
+      <>
+        <span className="text-gray-400 mr-1">{line.type}</span>
+        {line.text || <em className="text-gray-400">empty</em>}
+      </>
+    )
+    : <em className="text-gray-400">deleted</em>
+);
+
+/**
+ * Shown when another collaborator saved the script after this editor loaded
+ * it: changes made on only one side merge automatically, and each line both
+ * sides changed is resolved by picking a side
+ */
+const ScriptMergeDialog = ({ base, ours, theirs, theirsLabel, onResolve, onCancel }) => {
+  const result = useMemo(() => mergeScripts(base, ours, theirs), [base, ours, theirs]);
+  const [choices, setChoices] = useState({});
+
+  const choose = (lineId, side) => setChoices(prev => ({ ...prev, [lineId]: side }));
+
+  return (
+    <Dialog open={true} onOpenChange={onCancel}>
+      <DialogContent className="max-w-3xl max-h-[80vh]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <GitMerge className="w-5 h-5" />
+            Merge Changes
+          </DialogTitle>
+          <DialogDescription>
+            {theirsLabel || 'Another collaborator'} saved the script while you were editing.
+            {' '}{result.merged} of their line changes merge cleanly.
+          </DialogDescription>
+        </DialogHeader>
+
+        {result.conflicts.length === 0 ? (
+          <p className="text-sm text-gray-600">No conflicting lines. Both sets of changes will be kept.</p>
+        ) : (
+          <ScrollArea className="h-96">
+            <div className="space-y-3">
+              <div className="flex items-center gap-2 text-sm text-amber-700">
+                <AlertCircle className="w-4 h-4" />
+                {result.conflicts.length} lines were changed on both sides. Choose which to keep.
+              </div>
+              {result.conflicts.map((conflict) => {
+                const selected = choices[conflict.lineId] || (conflict.ours ? 'ours' : 'theirs');
+                return (
+                  <div key={conflict.lineId} className="border rounded-lg p-2 space-y-2 font-mono text-sm">
+                    {conflict.base && (
+                      <div className="text-xs text-gray-500">
+                        Was: <LineText line={conflict.base} />
+                      </div>
+                    )}
+                    {['ours', 'theirs'].map(side => (
+                      <button
+                        key={side}
+                        type="button"
+                        onClick={() => choose(conflict.lineId, side)}
+                        className={`w-full text-left p-2 rounded border ${
+                          selected === side ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                        }`}
+                      >
+                        <Badge variant="outline" className="text-xs mr-2">
+                          {side === 'ours' ? 'Mine' : 'Theirs'}
+                        </Badge>
+                        <LineText line={conflict[side]} />
+                      </button>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </ScrollArea>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={onCancel}>Cancel</Button>
+          <Button onClick={() => onResolve(resolveMergeConflicts(result, choices))}>
+            <GitMerge className="w-4 h-4 mr-2" />
+            Merge
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ScriptMergeDialog;
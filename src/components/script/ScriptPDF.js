@@ -0,0 +1,240 @@
+// Client-side screenplay PDF writer
+// Renders the pages laid out by ScriptPaginator with the PDF standard Courier
+// font, so no font embedding or PDF library is needed
+
+import { ELEMENT_TYPES } from './ScriptFormatter';
+import { PAGE, ELEMENT_LAYOUT, paginateScript } from './ScriptPaginator';
+
+const POINTS_PER_INCH = 72;
+const FONT_SIZE = 12;
+const LINE_HEIGHT = POINTS_PER_INCH / PAGE.linesPerInch;
+// Distance from the top of a text row to its baseline
+const BASELINE_OFFSET = 9;
+
+// Typographic characters outside Latin-1 that WinAnsiEncoding can still print
+const WIN_ANSI = {
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '–': 0x96, '—': 0x97, '…': 0x85, '•': 0x95, '€': 0x80
+};
+
+function toWinAnsi(text) {
+  return Array.from(text).map((char) => {
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    return char.charCodeAt(0) <= 0xff ? char : '?';
+  }).join('');
+}
+
+function pdfString(text) {
+  return `(${toWinAnsi(text).replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+function inches(value) {
+  return (value * POINTS_PER_INCH).toFixed(2);
+}
+
+/**
+ * Text drawing operator for a row `row` lines below the top margin
+ */
+function textAt(x, row, text) {
+  const y = (PAGE.height - PAGE.top) * POINTS_PER_INCH - row * LINE_HEIGHT - BASELINE_OFFSET;
+  return `BT /F1 ${FONT_SIZE} Tf ${inches(x)} ${y.toFixed(2)} Td ${pdfString(text)} Tj ET`;
+}
+
+function rightAligned(right, row, text) {
+  return textAt(right - text.length / PAGE.charsPerInch, row, text);
+}
+
+function centered(row, text) {
+  return textAt((PAGE.width - text.length / PAGE.charsPerInch) / 2, row, text);
+}
+
+/**
+ * Draws the title page: title block centered, contact bottom left, draft date bottom right
+ */
+function titlePageContent(titlePage) {
+  const commands = [];
+  let row = 18;
+
+  const block = (value, gap) => {
+    if (!value) return;
+    row += gap;
+    value.split('\n').forEach((text) => {
+      commands.push(centered(row, text));
+      row++;
+    });
+  };
+
+  block(titlePage.title?.toUpperCase(), 0);
+  block(titlePage.subtitle, 1);
+  if (titlePage.author) {
+    block(titlePage.credit || 'Written by', 3);
+    block(titlePage.author, 1);
+  }
+  block(titlePage.basedOn, 3);
+  block(titlePage.notes, 2);
+
+  const bottomLeft = [titlePage.contact, titlePage.copyright].filter(Boolean).join('\n').split('\n').filter(Boolean);
+  bottomLeft.forEach((text, index) => {
+    commands.push(textAt(1.5, PAGE.linesPerPage - bottomLeft.length + index, text));
+  });
+
+  const bottomRight = [titlePage.draftDate, titlePage.revision].filter(Boolean).join('\n').split('\n').filter(Boolean);
+  bottomRight.forEach((text, index) => {
+    commands.push(rightAligned(PAGE.numberRight, PAGE.linesPerPage - bottomRight.length + index, text));
+  });
+
+  return commands.join('\n');
+}
+
+/**
+ * Draws the revision summary page that goes in front of distributed revised pages
+ */
+function revisionSummaryContent(summary) {
+  const commands = [];
+  let row = 0;
+  const line = (text = '', x = 1.5) => {
+    if (text) commands.push(textAt(x, row, text));
+    row++;
+  };
+
+  commands.push(centered(row, 'REVISION SUMMARY'));
+  row += 2;
+  commands.push(centered(row, summary.title.toUpperCase()));
+  row++;
+  commands.push(centered(row, `${summary.set.name} Revisions - ${summary.set.date}`));
+  row += 3;
+
+  line(`Revised pages: ${summary.pages.length > 0 ? formatPageList(summary.pages) : 'none'}`);
+  line(`Scenes affected: ${summary.scenes.length > 0 ? summary.scenes.join(', ') : 'none'}`);
+  line();
+  line(`Lines changed: ${summary.changed}   Added: ${summary.added}   Removed: ${summary.removed}`);
+  line();
+  line();
+  line('Revision history:');
+  summary.history.forEach((set) => {
+    line(`${set.name.padEnd(20)}${set.date || ''}${set.status === 'active' ? '  (current)' : ''}`, 2);
+  });
+
+  return commands.join('\n');
+}
+
+/**
+ * Collapses page labels into ranges: 3, 5-7, 12A
+ * @param {string[]} labels - Page labels in page order
+ * @returns {string}
+ */
+export function formatPageList(labels) {
+  const parts = [];
+  labels.forEach((label) => {
+    const last = parts[parts.length - 1];
+    if (last && /^\d+$/.test(label) && /^\d+$/.test(last.end) && Number(label) === Number(last.end) + 1) {
+      last.end = label;
+    } else {
+      parts.push({ start: label, end: label });
+    }
+  });
+  return parts.map(({ start, end }) => (start === end ? start : `${start}-${end}`)).join(', ');
+}
+
+function pageContent(page, { pageNumbers, revisionHeader }) {
+  const commands = [];
+  const headerRow = -(PAGE.top - PAGE.numberTop) * PAGE.linesPerInch;
+
+  // Page numbers start on page 2, in the header
+  if (pageNumbers && page.number > 1) {
+    commands.push(rightAligned(PAGE.numberRight, headerRow, `${page.label}.`));
+  }
+  if (revisionHeader) {
+    commands.push(textAt(ELEMENT_LAYOUT[ELEMENT_TYPES.SCENE].left, headerRow, revisionHeader));
+  }
+
+  page.rows.forEach((row) => {
+    commands.push(textAt(row.x, row.row, row.text));
+    if (row.sceneNumber) {
+      commands.push(textAt(PAGE.sceneNumberLeft, row.row, row.sceneNumber));
+      commands.push(textAt(PAGE.sceneNumberRight, row.row, row.sceneNumber));
+    }
+    if (row.revised) {
+      commands.push(textAt(PAGE.revisionMark, row.row, '*'));
+    }
+  });
+
+  return commands.join('\n');
+}
+
+/**
+ * Assembles a PDF file from one content stream per page
+ * @param {string[]} contents - Page content streams
+ * @param {string} title - Document title
+ * @returns {string} The PDF, one character per byte
+ */
+function writePDF(contents, title) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+  const infoId = add(`<< /Title ${pdfString(title)} /Producer (Scenius) >>`);
+
+  const pageIds = contents.map((content) => {
+    const stream = toWinAnsi(content);
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${inches(PAGE.width)} ${inches(PAGE.height)}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return pdf;
+}
+
+/**
+ * Renders a screenplay as a PDF
+ * @param {Object} scriptDoc - Script document
+ * @param {Object} [options] - Pagination options (sceneNumbers, revisionMarks, isRevised) plus:
+ * @param {boolean} [options.titlePage=true] - Include the title page when the script has one
+ * @param {boolean} [options.pageNumbers=true] - Number pages from page 2
+ * @param {number[]} [options.pages] - Only render these page numbers (e.g. revised pages)
+ * @param {string} [options.revisionHeader] - Revision line for the page header, e.g. "Blue Rev. 2026-10-19"
+ * @param {Object} [options.revisionSummary] - Summary from getRevisionSummary, printed as the first page
+ * @returns {Blob} application/pdf blob
+ */
+export function createScriptPDF(scriptDoc, options = {}) {
+  const { titlePage: includeTitlePage = true, pageNumbers = true, pages: onlyPages, revisionHeader, revisionSummary } = options;
+  const { pages } = paginateScript(scriptDoc, options);
+  const titlePage = scriptDoc.titlePage || scriptDoc.settings?.titlePage;
+
+  const contents = [];
+  if (revisionSummary) {
+    contents.push(revisionSummaryContent(revisionSummary));
+  }
+  if (includeTitlePage && titlePage?.title && !onlyPages) {
+    contents.push(titlePageContent(titlePage));
+  }
+  pages
+    .filter(page => !onlyPages || onlyPages.includes(page.number))
+    .forEach(page => contents.push(pageContent(page, { pageNumbers, revisionHeader })));
+
+  const pdf = writePDF(contents.length > 0 ? contents : [''], scriptDoc.title || titlePage?.title || 'Script');
+  const bytes = Uint8Array.from(pdf, char => char.charCodeAt(0));
+
+  return new Blob([bytes], { type: 'application/pdf' });
+}
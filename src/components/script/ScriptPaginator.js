@@ -0,0 +1,491 @@
+// Screenplay pagination engine
+// Lays scriptDoc.lines out on US Letter pages in Courier 12pt (10 characters per
+// inch, 6 lines per inch) with standard screenplay margins. Drives the PDF export
+// and every page count in the editor.
+
+import { ELEMENT_TYPES } from './ScriptFormatter';
+
+export const PAGE = {
+  width: 8.5,
+  height: 11,
+  top: 1,
+  bottom: 1,
+  // Text rows between the top and bottom margins
+  linesPerPage: 54,
+  charsPerInch: 10,
+  linesPerInch: 6,
+  // Page number, right-aligned in the header
+  numberRight: 7.5,
+  numberTop: 0.5,
+  // Scene numbers either side of the heading, revision marks right of the text
+  sceneNumberLeft: 0.75,
+  sceneNumberRight: 7.4,
+  revisionMark: 7.9
+};
+
+// Per element: left edge and width in inches, blank lines before, alignment
+export const ELEMENT_LAYOUT = {
+  [ELEMENT_TYPES.SCENE]: { left: 1.5, width: 6, spaceBefore: 2, uppercase: true },
+  [ELEMENT_TYPES.ACTION]: { left: 1.5, width: 6, spaceBefore: 1 },
+  [ELEMENT_TYPES.GENERAL]: { left: 1.5, width: 6, spaceBefore: 1 },
+  [ELEMENT_TYPES.CHARACTER]: { left: 3.7, width: 3.8, spaceBefore: 1, uppercase: true },
+  [ELEMENT_TYPES.PARENTHETICAL]: { left: 3.1, width: 2.4, spaceBefore: 0 },
+  [ELEMENT_TYPES.DIALOGUE]: { left: 2.5, width: 3.5, spaceBefore: 0 },
+  [ELEMENT_TYPES.LYRICS]: { left: 2.5, width: 3.5, spaceBefore: 0 },
+  [ELEMENT_TYPES.TRANSITION]: { left: 5.5, width: 2, spaceBefore: 1, align: 'right', uppercase: true },
+  [ELEMENT_TYPES.SHOT]: { left: 1.5, width: 6, spaceBefore: 1, uppercase: true },
+  [ELEMENT_TYPES.MONTAGE]: { left: 1.5, width: 6, spaceBefore: 1, uppercase: true },
+  [ELEMENT_TYPES.INTERCUT]: { left: 1.5, width: 6, spaceBefore: 1, uppercase: true },
+  [ELEMENT_TYPES.CENTERED]: { left: 1.5, width: 6, spaceBefore: 1, align: 'center' }
+};
+
+// Writer-only elements take no space on the page
+const UNPRINTED_TYPES = [
+  ELEMENT_TYPES.SECTION,
+  ELEMENT_TYPES.SYNOPSIS,
+  ELEMENT_TYPES.NOTE,
+  ELEMENT_TYPES.BONEYARD
+];
+
+const DIALOGUE_TYPES = [ELEMENT_TYPES.PARENTHETICAL, ELEMENT_TYPES.DIALOGUE, ELEMENT_TYPES.LYRICS];
+
+// Scene headings stay on the page with at least this many lines of what follows
+const MIN_LINES_AFTER_HEADING = 2;
+// Paragraphs and speeches only split when each side keeps this many lines
+const MIN_LINES_PER_SPLIT = 2;
+
+export const MORE = '(MORE)';
+export const CONTD = " (CONT'D)";
+
+/**
+ * Removes the editor's inline markup (*bold*, _italic_, <u>underline</u>) and
+ * Fountain notes so only printed characters are measured
+ */
+export function stripMarkup(text = '') {
+  return text
+    .replace(/\[\[[\s\S]*?\]\]/g, '')
+    .replace(/<\/?u>/g, '')
+    .replace(/\*([^*\n]+)\*/g, '$1')
+    .replace(/_([^_\n]+)_/g, '$1');
+}
+
+/**
+ * Word-wraps text to a column width in characters, hard-breaking words that are
+ * longer than the column
+ * @param {string} text - Text to wrap (may contain newlines)
+ * @param {number} width - Column width in characters
+ * @returns {string[]} Wrapped lines
+ */
+export function wrapText(text, width) {
+  const wrapped = [];
+
+  text.split('\n').forEach((paragraph) => {
+    let current = '';
+    paragraph.split(/ +/).forEach((word) => {
+      let remaining = word;
+      while (remaining.length > width) {
+        if (current) {
+          wrapped.push(current);
+          current = '';
+        }
+        wrapped.push(remaining.slice(0, width));
+        remaining = remaining.slice(width);
+      }
+      if (!current) {
+        current = remaining;
+      } else if (current.length + 1 + remaining.length <= width) {
+        current += ` ${remaining}`;
+      } else {
+        wrapped.push(current);
+        current = remaining;
+      }
+    });
+    wrapped.push(current);
+  });
+
+  return wrapped;
+}
+
+function layoutFor(type) {
+  return ELEMENT_LAYOUT[type] || ELEMENT_LAYOUT[ELEMENT_TYPES.ACTION];
+}
+
+function columns(layout) {
+  return Math.round(layout.width * PAGE.charsPerInch);
+}
+
+/**
+ * Horizontal position of a printed line, in inches from the left edge
+ */
+function positionFor(layout, text) {
+  const textWidth = text.length / PAGE.charsPerInch;
+  if (layout.align === 'right') {
+    return layout.left + layout.width - textWidth;
+  }
+  if (layout.align === 'center') {
+    return layout.left + (layout.width - textWidth) / 2;
+  }
+  return layout.left;
+}
+
+/**
+ * Turns the script into blocks of printed rows. A block is a paragraph, or a
+ * whole speech (character cue through its last dialogue line) so speeches can
+ * be split with (MORE)/(CONT'D).
+ */
+function buildBlocks(lines, { isRevised, sceneNumbers }) {
+  const blocks = [];
+  let sceneCount = 0;
+
+  const rowsFor = (line) => {
+    const layout = layoutFor(line.type);
+    const text = stripMarkup(line.text || '');
+    const printed = layout.uppercase ? text.toUpperCase() : text;
+    const revised = isRevised(line);
+
+    return wrapText(printed, columns(layout)).map(rowText => ({
+      text: rowText,
+      x: positionFor(layout, rowText),
+      type: line.type,
+      lineId: line.id,
+      revised
+    }));
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (UNPRINTED_TYPES.includes(line.type)) {
+      continue;
+    }
+    if (line.type === ELEMENT_TYPES.PAGE_BREAK) {
+      blocks.push({ pageBreak: true });
+      continue;
+    }
+
+    if (line.type === ELEMENT_TYPES.CHARACTER) {
+      const speech = { type: 'speech', spaceBefore: layoutFor(line.type).spaceBefore, cue: rowsFor(line), rows: [], lineIds: [line.id] };
+      while (i + 1 < lines.length && DIALOGUE_TYPES.includes(lines[i + 1].type)) {
+        i++;
+        speech.rows.push(...rowsFor(lines[i]));
+        speech.lineIds.push(lines[i].id);
+      }
+      blocks.push(speech);
+      continue;
+    }
+
+    const block = { type: line.type, spaceBefore: layoutFor(line.type).spaceBefore, rows: rowsFor(line), lineIds: [line.id] };
+    if (line.type === ELEMENT_TYPES.SCENE) {
+      sceneCount++;
+      block.sceneLineId = line.id;
+      if (sceneNumbers) {
+        block.sceneNumber = line.meta?.sceneNumber || String(sceneCount);
+      }
+    }
+    blocks.push(block);
+  }
+
+  return blocks;
+}
+
+/**
+ * Row index at which a speech may be split so that `available` rows fit on the
+ * page (including the (MORE) line), preferring the end of a sentence and never
+ * leaving a parenthetical as the last line before the break
+ */
+function speechSplitPoint(rows, available) {
+  const maxRows = Math.min(rows.length - MIN_LINES_PER_SPLIT, available - 1);
+  if (maxRows < Math.min(MIN_LINES_PER_SPLIT, rows.length - 1) || maxRows < 1) {
+    return -1;
+  }
+
+  const allowed = (index) => rows[index - 1].type !== ELEMENT_TYPES.PARENTHETICAL;
+
+  for (let index = maxRows; index >= 1; index--) {
+    if (allowed(index) && /[.!?]["')]?$/.test(rows[index - 1].text)) {
+      return index;
+    }
+  }
+  for (let index = maxRows; index >= 1; index--) {
+    if (allowed(index)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Groups the locked page labels by the page breaks a locked script keeps. A
+ * locked page whose first line was deleted, or that continued a split block,
+ * stays with the page before it.
+ */
+function lockedSegments(lockedPages, lines) {
+  const lineIds = new Set(lines.map(line => line.id));
+  const segments = [];
+
+  lockedPages.forEach((lockedPage, index) => {
+    if (index === 0 || (lockedPage.startLineId && lineIds.has(lockedPage.startLineId))) {
+      segments.push({ startLineId: index === 0 ? null : lockedPage.startLineId, labels: [lockedPage.label] });
+    } else {
+      segments[segments.length - 1].labels.push(lockedPage.label);
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * A-page label for material that no longer fits a locked page ('13' -> '13A', '13A' -> '13B')
+ */
+function nextPageLabel(label) {
+  const [, base, letters] = /^(.*?)([A-Z]*)$/.exec(label);
+  if (!letters) return `${base}A`;
+  const last = letters[letters.length - 1];
+  return last === 'Z'
+    ? `${base}${letters}A`
+    : `${base}${letters.slice(0, -1)}${String.fromCharCode(last.charCodeAt(0) + 1)}`;
+}
+
+/**
+ * Labels pages against the locked page numbers: each run of pages between two
+ * kept page breaks reuses its locked labels, overflow goes on A/B pages and
+ * locked pages that lost all their material are combined (12-13)
+ */
+function labelLockedPages(pages, pageSegments, segments) {
+  let index = 0;
+
+  while (index < pages.length) {
+    const segment = pageSegments[index];
+    let end = index;
+    while (end < pages.length && pageSegments[end] === segment) {
+      end++;
+    }
+
+    const nextSegment = end < pages.length ? pageSegments[end] : segments.length;
+    const labels = segments.slice(index === 0 ? 0 : segment, nextSegment).flatMap(lockedSegment => lockedSegment.labels);
+    const count = end - index;
+
+    for (let offset = 0; offset < count; offset++) {
+      const page = pages[index + offset];
+      if (offset >= labels.length) {
+        page.label = nextPageLabel(pages[index + offset - 1].label);
+      } else if (offset === count - 1 && labels.length > count) {
+        page.label = `${labels[offset]}-${labels[labels.length - 1]}`;
+      } else {
+        page.label = labels[offset];
+      }
+    }
+
+    index = end;
+  }
+}
+
+/**
+ * Lays a script out on pages
+ * @param {Object} scriptDoc - Script document (lines, settings)
+ * @param {Object} [options]
+ * @param {boolean} [options.sceneNumbers] - Print scene numbers, defaults to settings.showSceneNumbers
+ * @param {boolean} [options.revisionMarks=true] - Print a revision asterisk beside revised lines
+ * @param {Function} [options.isRevised] - Decides whether a line is revised, defaults to meta.revisionColor
+ * @param {Array} [options.lockedPages] - Locked page boundaries, defaults to scriptDoc.lock.pages
+ * @returns {{ pages: Array, pageCount: number, scenes: Array, linePages: Object }}
+ *   pages: [{ number, label, rows: [{ row, x, text, type, lineId, revised, kind? }] }] with x in inches
+ *   and label the printed page number (A-pages such as "12A" once the script is locked);
+ *   scenes: [{ lineId, number, startPage, endPage, rows }] with the rows each scene occupies
+ */
+export function paginateScript(scriptDoc, options = {}) {
+  const lines = scriptDoc?.lines || [];
+  const sceneNumbers = options.sceneNumbers ?? !!scriptDoc?.settings?.showSceneNumbers;
+  const revisionMarks = options.revisionMarks ?? true;
+  const isRevised = options.isRevised || (line => !!line.meta?.revisionColor);
+  const lockedPages = options.lockedPages ?? scriptDoc?.lock?.pages;
+  const segments = lockedPages?.length ? lockedSegments(lockedPages, lines) : [];
+  const segmentStarts = Object.fromEntries(segments.slice(1).map((lockedSegment, index) => [lockedSegment.startLineId, index + 1]));
+
+  const blocks = buildBlocks(lines, { isRevised, sceneNumbers });
+  const pages = [];
+  const pageSegments = [];
+  const scenes = [];
+  let page = null;
+  let cursor = 0;
+  let currentScene = null;
+  let segment = 0;
+
+  const newPage = () => {
+    page = { number: pages.length + 1, label: String(pages.length + 1), rows: [] };
+    pages.push(page);
+    pageSegments.push(segment);
+    cursor = 0;
+  };
+  const place = (row, extra = {}) => {
+    page.rows.push({ ...row, row: cursor, ...extra });
+    cursor++;
+    if (currentScene) {
+      currentScene.endPage = page.number;
+      currentScene.rows++;
+    }
+  };
+  const remaining = () => PAGE.linesPerPage - cursor;
+  // Blank lines before a block, dropped at the top of a page
+  const skip = (block) => {
+    const blank = cursor === 0 ? 0 : block.spaceBefore;
+    cursor += blank;
+    if (currentScene) currentScene.rows += blank;
+  };
+  const spacing = (block) => (cursor === 0 ? 0 : block.spaceBefore);
+
+  const placeSpeech = (block) => {
+    let cue = block.cue;
+    let rows = block.rows;
+
+    while (spacing(block) + cue.length + rows.length > remaining()) {
+      const available = remaining() - spacing(block) - cue.length;
+      let split = speechSplitPoint(rows, available);
+      // A speech longer than a whole page has to break wherever the page ends
+      if (split <= 0 && cursor === 0) {
+        split = Math.max(1, available - 1);
+      }
+      if (split <= 0) {
+        newPage();
+        continue;
+      }
+
+      skip(block);
+      cue.forEach(row => place(row));
+      rows.slice(0, split).forEach(row => place(row));
+      place({ text: MORE, x: ELEMENT_LAYOUT[ELEMENT_TYPES.CHARACTER].left, type: ELEMENT_TYPES.CHARACTER, lineId: block.lineIds[0], revised: false }, { kind: 'more' });
+      newPage();
+
+      const lastCue = block.cue[block.cue.length - 1];
+      const text = `${lastCue.text}${CONTD}`;
+      cue = [{ ...lastCue, text, x: positionFor(layoutFor(ELEMENT_TYPES.CHARACTER), text), kind: 'contd' }];
+      rows = rows.slice(split);
+    }
+
+    skip(block);
+    [...cue, ...rows].forEach(row => place(row));
+  };
+
+  const placeParagraph = (block, next) => {
+    let rows = block.rows;
+    let needed = spacing(block) + rows.length;
+
+    // Keep a scene heading with the first lines of what follows it
+    if (block.sceneLineId && next && !next.pageBreak) {
+      const nextRows = next.type === 'speech' ? next.cue.length + next.rows.length : next.rows.length;
+      needed += next.spaceBefore + Math.min(MIN_LINES_AFTER_HEADING, nextRows);
+    }
+
+    while (needed > remaining() && cursor > 0) {
+      // Split long paragraphs, otherwise move them to the next page
+      const fit = remaining() - spacing(block);
+      if (!block.sceneLineId && fit >= MIN_LINES_PER_SPLIT && rows.length - fit >= MIN_LINES_PER_SPLIT) {
+        skip(block);
+        rows.slice(0, fit).forEach(row => place(row));
+        rows = rows.slice(fit);
+      }
+      newPage();
+      needed = rows.length;
+    }
+
+    if (block.sceneLineId) {
+      currentScene.startPage = page.number;
+      currentScene.endPage = page.number;
+    }
+
+    skip(block);
+    rows.forEach((row, rowIndex) => {
+      if (cursor >= PAGE.linesPerPage) newPage();
+      const extra = block.sceneNumber && rowIndex === 0 ? { sceneNumber: block.sceneNumber } : {};
+      place(row, extra);
+    });
+  };
+
+  newPage();
+
+  blocks.forEach((block, index) => {
+    if (block.pageBreak) {
+      if (cursor > 0) newPage();
+      return;
+    }
+
+    // A locked page break: start the page the block was locked onto
+    const lockedStart = Math.max(-1, ...block.lineIds.map(lineId => segmentStarts[lineId] ?? -1));
+    if (lockedStart > segment) {
+      segment = lockedStart;
+      if (cursor > 0) {
+        newPage();
+      } else {
+        pageSegments[pageSegments.length - 1] = segment;
+      }
+    }
+
+    if (block.sceneLineId) {
+      currentScene = { lineId: block.sceneLineId, number: block.sceneNumber || null, startPage: page.number, endPage: page.number, rows: 0 };
+      scenes.push(currentScene);
+    }
+
+    if (block.type === 'speech') {
+      placeSpeech(block);
+    } else {
+      placeParagraph(block, blocks[index + 1]);
+    }
+  });
+
+  // Drop a trailing empty page left by a final page break
+  if (pages.length > 1 && page.rows.length === 0) {
+    pages.pop();
+    pageSegments.pop();
+  }
+
+  if (segments.length > 0) {
+    labelLockedPages(pages, pageSegments, segments);
+  }
+
+  if (!revisionMarks) {
+    pages.forEach(printedPage => printedPage.rows.forEach((row) => { row.revised = false; }));
+  }
+
+  const linePages = {};
+  pages.forEach(printedPage => printedPage.rows.forEach((row) => {
+    if (row.lineId && !(row.lineId in linePages)) {
+      linePages[row.lineId] = printedPage.number;
+    }
+  }));
+
+  return { pages, pageCount: pages.length, scenes, linePages };
+}
+
+/**
+ * Page count for a script, as printed
+ * @param {Object|Array} scriptDocOrLines - Script document or its lines
+ * @returns {number} Number of pages (at least 1)
+ */
+export function calculatePageCount(scriptDocOrLines) {
+  const scriptDoc = Array.isArray(scriptDocOrLines) ? { lines: scriptDocOrLines } : scriptDocOrLines;
+  return Math.max(1, paginateScript(scriptDoc).pageCount);
+}
+
+/**
+ * Printed length of each scene in pages, keyed by the scene heading line ID
+ * @param {Object} scriptDoc - Script document
+ * @returns {Object} Map of line ID to page length (e.g. 1.25)
+ */
+export function getScenePageLengths(scriptDoc) {
+  const { scenes } = paginateScript(scriptDoc);
+  return Object.fromEntries(scenes.map(scene => [scene.lineId, scene.rows / PAGE.linesPerPage]));
+}
+
+/**
+ * Printed length of each scene in eighths of a page, as a 1st AD measures it:
+ * rounded to the nearest eighth, and never less than 1/8
+ * @param {Object} scriptDoc - Script document
+ * @returns {Object} Map of scene heading line ID to length in eighths
+ */
+export function getScenePageEighths(scriptDoc) {
+  const { scenes } = paginateScript(scriptDoc);
+  return Object.fromEntries(scenes.map(scene => [
+    scene.lineId,
+    Math.max(1, Math.round((scene.rows / PAGE.linesPerPage) * 8))
+  ]));
+}
@@ -0,0 +1,300 @@
+// Colored revision sets
+// A revision set (Blue, Pink, Yellow...) collects every line edited while it is
+// active. Issuing a set locks it with the ID of the script version saved at that
+// point; the next set is diffed against that version's lines, which callers load
+// and pass in as `versionLines` ({ [versionId]: lines }). Revised pages can be
+// printed on their own, behind a revision summary page, for distribution to the crew.
+
+import { ELEMENT_TYPES } from './ScriptFormatter';
+import { paginateScript } from './ScriptPaginator';
+import { createScriptPDF } from './ScriptPDF';
+import { getSceneNumbers } from './ScriptLock';
+
+// Industry standard order; after Cherry the cycle repeats as Double White, Double Blue...
+export const REVISION_SET_COLORS = [
+  'White', 'Blue', 'Pink', 'Yellow', 'Green', 'Goldenrod', 'Buff', 'Salmon', 'Cherry'
+];
+
+const REVISION_COLOR_HEX = {
+  White: '#FFFFFF',
+  Blue: '#2196F3',
+  Pink: '#E91E63',
+  Yellow: '#FFEB3B',
+  Green: '#4CAF50',
+  Goldenrod: '#DAA520',
+  Buff: '#F0DC82',
+  Salmon: '#FA8072',
+  Cherry: '#DE3163'
+};
+
+export function getRevisionColorHex(color) {
+  return REVISION_COLOR_HEX[color] || REVISION_COLOR_HEX.Blue;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export function getRevisionSets(scriptDoc) {
+  return scriptDoc?.revisionSets || [];
+}
+
+export function getActiveRevisionSet(scriptDoc) {
+  return getRevisionSets(scriptDoc).find(set => set.status === 'active') || null;
+}
+
+/**
+ * Most recently issued (locked) revision set, the baseline for the next diff
+ */
+export function getLastLockedRevisionSet(scriptDoc) {
+  const locked = getRevisionSets(scriptDoc).filter(set => set.status === 'locked');
+  return locked[locked.length - 1] || null;
+}
+
+/**
+ * The set revised pages are printed for: the active set, else the last one
+ */
+function currentRevisionSet(scriptDoc) {
+  return getActiveRevisionSet(scriptDoc) || getRevisionSets(scriptDoc).slice(-1)[0] || null;
+}
+
+/**
+ * Locked set issued before `set`, which `set` is compared with
+ */
+function baseRevisionSet(scriptDoc, set) {
+  const sets = getRevisionSets(scriptDoc);
+  return sets.slice(0, sets.findIndex(s => s.id === set.id)).filter(s => s.status === 'locked').pop() || null;
+}
+
+/**
+ * Script versions whose lines the diff and the revised pages compare with:
+ * the last issued set's, and the one the current set is compared with
+ * @param {Object} scriptDoc - Script document
+ * @returns {string[]} Version IDs to load into `versionLines`
+ */
+export function getRevisionVersionIds(scriptDoc) {
+  const current = currentRevisionSet(scriptDoc);
+  const bases = [getLastLockedRevisionSet(scriptDoc), current && baseRevisionSet(scriptDoc, current)];
+  return [...new Set(bases.map(set => set?.versionId).filter(Boolean))];
+}
+
+/**
+ * Name and color of the revision set that follows the existing ones
+ * @param {Array} sets - Existing revision sets
+ * @returns {{ name: string, color: string }}
+ */
+export function nextRevisionSet(sets = []) {
+  const index = sets.length;
+  const color = REVISION_SET_COLORS[index % REVISION_SET_COLORS.length];
+  const cycle = Math.floor(index / REVISION_SET_COLORS.length);
+  const prefix = ['', 'Double ', 'Triple '][cycle] ?? `${cycle + 1}x `;
+  return { name: `${prefix}${color}`, color };
+}
+
+/**
+ * Issues the active revision set: it is locked with the version the script was saved as
+ * @param {Object} scriptDoc - Script document
+ * @param {Object} [options]
+ * @param {string} [options.versionId] - Saved version of the script as issued
+ * @param {number} [options.lockedAt=Date.now()] - Lock timestamp
+ * @returns {Object} Script document
+ */
+export function lockRevisionSet(scriptDoc, { versionId, lockedAt = Date.now() } = {}) {
+  const active = getActiveRevisionSet(scriptDoc);
+  if (!active) return scriptDoc;
+
+  return {
+    ...scriptDoc,
+    revisionSets: getRevisionSets(scriptDoc).map(set => (set.id === active.id
+      ? { ...set, status: 'locked', lockedAt, ...(versionId && { versionId }) }
+      : set)),
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Starts a new revision set, issuing the active one first. The first set
+ * started on a script also records the current draft as the locked White set.
+ * @param {Object} scriptDoc - Script document
+ * @param {Object} [options]
+ * @param {string} [options.name] - Set name, defaults to the next standard color
+ * @param {string} [options.color] - Revision color
+ * @param {string} [options.date] - Revision date (YYYY-MM-DD), defaults to today
+ * @param {string} [options.versionId] - Saved version of the script, for the set
+ *   issued or the White draft recorded
+ * @returns {Object} Script document with the new set active
+ */
+export function startRevisionSet(scriptDoc, options = {}) {
+  let doc = lockRevisionSet(scriptDoc, { versionId: options.versionId });
+  const now = Date.now();
+
+  if (getRevisionSets(doc).length === 0) {
+    doc = {
+      ...doc,
+      revisionSets: [{
+        id: `rev_${now}_white`,
+        ...nextRevisionSet([]),
+        date: today(),
+        status: 'locked',
+        lockedAt: now,
+        ...(options.versionId && { versionId: options.versionId })
+      }]
+    };
+  }
+
+  const sets = getRevisionSets(doc);
+  const next = nextRevisionSet(sets);
+  const set = {
+    id: `rev_${now}_${sets.length}`,
+    name: options.name || next.name,
+    color: options.color || next.color,
+    date: options.date || today(),
+    status: 'active',
+    startedAt: now
+  };
+
+  return { ...doc, revisionSets: [...sets, set], updatedAt: now };
+}
+
+/**
+ * Revision stamp for a line edited while `set` is active
+ */
+export function revisionStamp(set) {
+  return { revisionSetId: set.id, revisionColor: set.color, revisionTimestamp: Date.now() };
+}
+
+/**
+ * Compares the script with a locked revision set
+ * @param {Object} scriptDoc - Script document
+ * @param {Object} [base] - Locked set to compare with, defaults to the last issued set
+ * @param {Object} [versionLines] - Lines of saved script versions, by version ID
+ * @returns {{ base: Object|null, added: string[], changed: string[], removed: Array<{ line: Object, afterLineId: string|null }> }}
+ *   added/changed hold current line IDs; removed lines carry the current line they followed.
+ *   `base` is null when there is no set to compare with or its version isn't loaded.
+ */
+export function diffRevisions(scriptDoc, base = getLastLockedRevisionSet(scriptDoc), versionLines = {}) {
+  const lines = scriptDoc.lines || [];
+  const baseLines = base?.versionId && versionLines[base.versionId];
+  if (!baseLines) {
+    return { base: null, added: [], changed: [], removed: [] };
+  }
+
+  const previous = new Map(baseLines.map(line => [line.id, line]));
+  const current = new Set(lines.map(line => line.id));
+  const added = [];
+  const changed = [];
+
+  lines.forEach((line) => {
+    const old = previous.get(line.id);
+    if (!old) {
+      if (line.text?.trim()) added.push(line.id);
+    } else if (old.text !== line.text || old.type !== line.type) {
+      changed.push(line.id);
+    }
+  });
+
+  const removed = [];
+  let afterLineId = null;
+  baseLines.forEach(({ id, type, text }) => {
+    if (current.has(id)) {
+      afterLineId = id;
+    } else if (text?.trim()) {
+      removed.push({ line: { id, type, text }, afterLineId });
+    }
+  });
+
+  return { base, added, changed, removed };
+}
+
+/**
+ * Pages touched by a revision set: pages printing a line stamped with the set,
+ * plus pages where material of the previous set was cut
+ * @param {Object} scriptDoc - Script document
+ * @param {Object} [set] - Revision set, defaults to the active set (or the last one)
+ * @param {Object} [versionLines] - Lines of saved script versions, by version ID, to find cuts
+ * @returns {{ set: Object|null, pages: number[], labels: string[] }} Physical page numbers and printed labels
+ */
+export function getRevisedPages(scriptDoc, set = currentRevisionSet(scriptDoc), versionLines = {}) {
+  if (!set) return { set: null, pages: [], labels: [] };
+
+  const { pages, linePages } = paginateScript(scriptDoc, { isRevised: line => line.meta?.revisionSetId === set.id });
+  const touched = new Set();
+
+  pages.forEach((page) => {
+    if (page.rows.some(row => row.revised)) touched.add(page.number);
+  });
+
+  // A cut leaves no asterisk, but the page it came off still changed
+  const base = baseRevisionSet(scriptDoc, set);
+  if (base) {
+    const lineIds = (scriptDoc.lines || []).map(line => line.id);
+    diffRevisions(scriptDoc, base, versionLines).removed.forEach(({ afterLineId }) => {
+      const index = afterLineId ? lineIds.indexOf(afterLineId) : -1;
+      const printed = lineIds.slice(0, index + 1).reverse().find(id => linePages[id])
+        || lineIds.slice(index + 1).find(id => linePages[id]);
+      if (printed) touched.add(linePages[printed]);
+    });
+  }
+
+  const numbers = [...touched].sort((a, b) => a - b);
+  return { set, pages: numbers, labels: numbers.map(number => pages[number - 1].label) };
+}
+
+/**
+ * Everything the revision summary page lists for a set
+ * @param {Object} scriptDoc - Script document
+ * @param {Object} [set] - Revision set, defaults to the active set (or the last one)
+ * @param {Object} [versionLines] - Lines of saved script versions, by version ID
+ * @returns {Object|null} { title, set, pages, scenes, added, changed, removed, history }
+ */
+export function getRevisionSummary(scriptDoc, set, versionLines = {}) {
+  const revised = getRevisedPages(scriptDoc, set, versionLines);
+  if (!revised.set) return null;
+
+  const diff = diffRevisions(scriptDoc, baseRevisionSet(scriptDoc, revised.set), versionLines);
+
+  // Scenes containing a line stamped with the set
+  const scenes = [];
+  let sceneNumber = null;
+  const numbers = Object.fromEntries(getSceneNumbers(scriptDoc).map(scene => [scene.lineId, scene.number]));
+  (scriptDoc.lines || []).forEach((line) => {
+    if (line.type === ELEMENT_TYPES.SCENE) sceneNumber = numbers[line.id];
+    if (line.meta?.revisionSetId === revised.set.id && sceneNumber && !scenes.includes(sceneNumber)) {
+      scenes.push(sceneNumber);
+    }
+  });
+
+  return {
+    title: scriptDoc.title || scriptDoc.titlePage?.title || 'Untitled Script',
+    set: revised.set,
+    pages: revised.labels,
+    scenes,
+    added: diff.added.length,
+    changed: diff.changed.length,
+    removed: diff.removed.length,
+    history: getRevisionSets(scriptDoc).map(({ name, date, status }) => ({ name, date, status }))
+  };
+}
+
+/**
+ * PDF of only the pages a revision set touched, with its asterisks and a
+ * revision header on each page, behind a revision summary page
+ * @param {Object} scriptDoc - Script document
+ * @param {Object} [options]
+ * @param {Object} [options.set] - Revision set, defaults to the active set (or the last one)
+ * @param {boolean} [options.summaryPage=true] - Start with the revision summary page
+ * @param {Object} [options.versionLines] - Lines of saved script versions, by version ID
+ * @returns {Blob} application/pdf blob
+ */
+export function createRevisedPagesPDF(scriptDoc, { set, summaryPage = true, versionLines = {}, ...options } = {}) {
+  const revised = getRevisedPages(scriptDoc, set, versionLines);
+  if (!revised.set) {
+    throw new Error('The script has no revision sets');
+  }
+
+  return createScriptPDF(scriptDoc, {
+    ...options,
+    pages: revised.pages,
+    isRevised: line => line.meta?.revisionSetId === revised.set.id,
+    revisionHeader: `${revised.set.name} Rev. ${revised.set.date}`,
+    revisionSummary: summaryPage ? getRevisionSummary(scriptDoc, revised.set, versionLines) : null
+  });
+}
@@ -0,0 +1,84 @@
+// Script scenes for the project's scenes collection
+// Scene headings are read from the script on save and synced to the scenes
+// service, which the stripboard and call sheets are built from.
+
+import { ELEMENT_TYPES, parseLine } from './ScriptFormatter';
+import { getSceneNumbers } from './ScriptLock';
+import { calculateSceneDuration } from './SceneDuration';
+import { getScenePageEighths, stripMarkup } from './ScriptPaginator';
+
+const HEADING_PATTERN = /^(INT\.?\/EXT|EXT\.?\/INT|I\/E|INT|EXT|EST)\.?\s+(.+)$/i;
+
+/**
+ * Splits a scene heading into location type and time of day
+ * @param {string} heading - e.g. "INT. KITCHEN - NIGHT"
+ * @returns {{ locationType: 'INT'|'EXT', timeOfDay: string }} INT/EXT headings count as INT
+ */
+export function parseSceneHeading(heading = '') {
+  const match = HEADING_PATTERN.exec(heading.trim());
+  const prefix = match ? match[1].toUpperCase() : 'INT';
+  const parts = (match ? match[2] : heading).split(/\s+[-–—]\s+/);
+
+  return {
+    locationType: prefix.startsWith('EXT') || prefix === 'EST' ? 'EXT' : 'INT',
+    timeOfDay: parts.length > 1 ? parts[parts.length - 1].trim().toUpperCase() : ''
+  };
+}
+
+const SYNOPSIS_LENGTH = 120;
+
+/**
+ * One-line description of a scene for breakdown sheets: the writer's synopsis
+ * lines if there are any, otherwise the first sentence of its action
+ * @param {Array} sceneLines - The scene's lines after its heading
+ * @returns {string} Synopsis, empty if the scene has neither
+ */
+export function getSceneSynopsis(sceneLines) {
+  const synopsis = sceneLines
+    .filter(line => line.type === ELEMENT_TYPES.SYNOPSIS)
+    .map(line => stripMarkup(line.text || '').trim())
+    .filter(Boolean)
+    .join(' ');
+  if (synopsis) return synopsis;
+
+  const action = sceneLines.find(line => line.type === ELEMENT_TYPES.ACTION && stripMarkup(line.text || '').trim());
+  if (!action) return '';
+
+  const text = stripMarkup(action.text).trim().replace(/\s+/g, ' ');
+  const sentence = /^.+?[.!?](?=\s|$)/.exec(text)?.[0] || text;
+  return sentence.length > SYNOPSIS_LENGTH ? `${sentence.slice(0, SYNOPSIS_LENGTH - 1).trimEnd()}…` : sentence;
+}
+
+/**
+ * Scene headings of a script with their number, location, time of day,
+ * estimated duration, printed length in eighths of a page and synopsis. Headings are recognised by element type, or by
+ * `parseLine` for lines that were never given one.
+ * @param {Object} scriptDoc - Script document
+ * @param {string} [scriptMode='film_tv'] - Script mode, for the duration estimate
+ * @returns {Array} [{ lineId, number, heading, omitted, locationType, timeOfDay, durationMins, pageEighths, synopsis }]
+ *   in script order
+ */
+export function getScriptScenes(scriptDoc, scriptMode = scriptDoc?.mode || 'film_tv') {
+  const isHeading = line => line.type === ELEMENT_TYPES.SCENE
+    || (!line.type || line.type === ELEMENT_TYPES.GENERAL) && parseLine(line.text || '').type === ELEMENT_TYPES.SCENE;
+  const lines = (scriptDoc?.lines || []).map(line => (isHeading(line) ? { ...line, type: ELEMENT_TYPES.SCENE } : line));
+  const numbers = getSceneNumbers({ ...scriptDoc, lines });
+  const eighths = getScenePageEighths({ ...scriptDoc, lines });
+
+  return numbers.map((scene) => {
+    const start = lines.findIndex(line => line.id === scene.lineId);
+    let end = start + 1;
+    while (end < lines.length && lines[end].type !== ELEMENT_TYPES.SCENE) end++;
+
+    const minutes = calculateSceneDuration(lines.slice(start, end), scriptMode);
+    const synopsis = getSceneSynopsis(lines.slice(start + 1, end));
+    return {
+      ...scene,
+      heading: scene.heading.trim(),
+      ...parseSceneHeading(scene.heading),
+      durationMins: Math.round(minutes * 10) / 10,
+      pageEighths: eighths[scene.lineId] ?? 1,
+      synopsis
+    };
+  });
+}
@@ -1,11 +1,13 @@
 import React from 'react';
-import { X, Clock, History, BarChart3, MessageSquare, Image, Scissors, Eye } from 'lucide-react';
+import { X, Clock, History, BarChart3, MessageSquare, Image, Scissors, Eye, Palette } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import DurationTracker from './DurationTracker';
 import VersionHistory from './VersionHistory';
+import RevisionPanel from './RevisionPanel';
 import ScriptOutline from './ScriptOutline';
 import CatalogManager from '../catalog/CatalogManager';
+import SceneLengthsPanel from '../../modules/breakdown/SceneLengthsPanel';
 
 const ScriptSidebar = ({ 
   type, 
@@ -19,7 +21,9 @@ const ScriptSidebar = ({
   currentVersion,
   onRestoreVersion,
   onDeleteVersion,
-  onDownloadVersion
+  onDownloadVersion,
+  versionLines,
+  onSaveVersion
 }) => {
   const renderSidebarContent = () => {
     switch (type) {
@@ -37,12 +41,24 @@ const ScriptSidebar = ({
           <VersionHistory
             versions={versions}
             currentVersion={currentVersion}
+            currentDoc={scriptDoc}
+            onRestoreLines={onUpdate}
             onRestoreVersion={onRestoreVersion}
             onDeleteVersion={onDeleteVersion}
             onDownloadVersion={onDownloadVersion}
           />
         );
       
+      case 'revisions':
+        return (
+          <RevisionPanel
+            scriptDoc={scriptDoc}
+            onUpdate={onUpdate}
+            versionLines={versionLines}
+            onSaveVersion={onSaveVersion}
+          />
+        );
+      
       case 'outline':
         return (
           <ScriptOutline 
@@ -54,6 +70,7 @@ const ScriptSidebar = ({
       case 'breakdown':
         return (
           <div className="space-y-4">
+            <SceneLengthsPanel projectId={projectId} />
             <CatalogManager projectId={projectId} />
           </div>
         );
@@ -108,6 +125,7 @@ const ScriptSidebar = ({
     switch (type) {
       case 'duration': return 'Duration Tracker';
       case 'versions': return 'Version History';
+      case 'revisions': return 'Revisions';
       case 'outline': return 'Script Outline';
       case 'breakdown': return 'Scene Breakdown';
       case 'insights': return 'Script Insights';
@@ -121,6 +139,7 @@ const ScriptSidebar = ({
     switch (type) {
       case 'duration': return Clock;
       case 'versions': return History;
+      case 'revisions': return Palette;
       case 'outline': return Eye;
       case 'breakdown': return Scissors;
       case 'insights': return BarChart3;
@@ -3,9 +3,9 @@ import { Button } from '@/components/ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Badge } from '@/components/ui/badge';
 import { 
-  AlignLeft, Hash, MessageSquare, Download, FileText, 
+  AlignLeft, Hash, MessageSquare, Download, Upload, FileText, 
   Palette, Eye, EyeOff, MoreVertical, Clock, History,
-  BarChart3, Scissors, Image, Tag
+  BarChart3, Scissors, Image, Tag, Lock, Unlock
 } from 'lucide-react';
 import {
   DropdownMenu,
@@ -14,6 +14,7 @@ import {
   DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from '@/components/ui/dropdown-menu';
+import { getRevisionColorHex } from './ScriptRevisions';
 
 const REVISION_COLORS = [
   'Blue', 'Pink', 'Yellow', 'Green', 'Goldenrod', 'Buff', 'Salmon', 'Cherry'
@@ -23,9 +24,12 @@ export default function ScriptToolbar({
   scriptDoc,
   onToggleOutline,
   onToggleSceneNumbers,
-  onToggleRevisionMode,
   onExport,
+  onImport,
   onTitlePage,
+  isLocked,
+  onToggleLock,
+  onOmitScene,
   pageMetrics,
   revisionMode,
   selectedRevisionColor,
@@ -61,8 +65,8 @@ export default function ScriptToolbar({
         <Button
           variant="outline"
           size="sm"
-          onClick={onToggleRevisionMode}
-          className={revisionMode ? 'bg-purple-50' : ''}
+          onClick={() => onToggleSidebar(activeSidebar === 'revisions' ? null : 'revisions')}
+          className={activeSidebar === 'revisions' || revisionMode ? 'bg-purple-50' : ''}
         >
           <Palette className="w-4 h-4 mr-1" />
           Revisions
@@ -131,6 +135,12 @@ export default function ScriptToolbar({
 
       {/* Right Side - Actions */}
       <div className="flex items-center gap-2">
+        {isLocked && (
+          <Badge variant="outline" className="text-xs bg-amber-50 text-amber-700 border-amber-200">
+            <Lock className="w-3 h-3 mr-1" />
+            Locked
+          </Badge>
+        )}
         <Badge variant="outline" className="text-xs">
           {pageMetrics.totalPages} pages
         </Badge>
@@ -146,7 +156,25 @@ export default function ScriptToolbar({
               <FileText className="w-4 h-4 mr-2" />
               Title Page
             </DropdownMenuItem>
+            {onToggleLock && (
+              <DropdownMenuItem onClick={onToggleLock}>
+                {isLocked ? <Unlock className="w-4 h-4 mr-2" /> : <Lock className="w-4 h-4 mr-2" />}
+                {isLocked ? 'Unlock Script' : 'Lock Script'}
+              </DropdownMenuItem>
+            )}
+            {isLocked && onOmitScene && (
+              <DropdownMenuItem onClick={onOmitScene}>
+                <Scissors className="w-4 h-4 mr-2" />
+                Omit Scene
+              </DropdownMenuItem>
+            )}
             <DropdownMenuSeparator />
+            {onImport && (
+              <DropdownMenuItem onClick={onImport}>
+                <Upload className="w-4 h-4 mr-2" />
+                Import Fountain / FDX
+              </DropdownMenuItem>
+            )}
             <DropdownMenuItem onClick={onExport}>
               <Download className="w-4 h-4 mr-2" />
               Export
@@ -157,18 +185,3 @@ export default function ScriptToolbar({
     </div>
   );
 }
-
-// Helper function to get hex colors for revision colors
-const getRevisionColorHex = (color) => {
-  const colors = {
-    Blue: '#2196F3',
-    Pink: '#E91E63',
-    Yellow: '#FFEB3B',
-    Green: '#4CAF50',
-    Goldenrod: '#DAA520',
-    Buff: '#F0DC82',
-    Salmon: '#FA8072',
-    Cherry: '#DE3163'
-  };
-  return colors[color] || '#2196F3';
-};
\ No newline at end of file
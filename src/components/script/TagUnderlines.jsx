@@ -0,0 +1,30 @@
+import React from 'react';
+import { segmentLine } from './ScriptAnchors';
+
+// Draws a line's text with its breakdown tags underlined in their category colors
+const TagUnderlines = ({ text, spans = [] }) => (
+  <>
+    {segmentLine(text, spans).map((segment, index) => {
+      if (segment.tags.length === 0) return <React.Fragment key={index}>{segment.text}</React.Fragment>;
+
+      // Overlapping tags: the innermost (last to start) sets the color
+      const tag = segment.tags[segment.tags.length - 1];
+      return (
+        <span
+          key={index}
+          title={segment.tags.map(t => t.name).join(', ')}
+          style={{
+            textDecorationLine: 'underline',
+            textDecorationColor: tag.color,
+            textDecorationThickness: segment.tags.length > 1 ? '3px' : '2px',
+            textUnderlineOffset: '3px'
+          }}
+        >
+          {segment.text}
+        </span>
+      );
+    })}
+  </>
+);
+
+export default TagUnderlines;
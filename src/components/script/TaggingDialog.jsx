@@ -8,6 +8,7 @@ import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } f
 import { Badge } from '@/components/ui/badge';
 import { Tag, Plus, X, Package, Shirt, Car, Sparkle, Users } from 'lucide-react';
 import { ProductionElement, Actor } from '@/api/entities';
+import { listElements, findElementByName } from '@/services/elements';
 import { toast } from 'sonner';
 
 // Production element types following SB-style taxonomy
@@ -29,6 +30,7 @@ const TaggingDialog = ({
   selectedText, 
   projectId, 
   sceneId,
+  anchor,
   onElementCreated 
 }) => {
   const [elementType, setElementType] = useState('character');
@@ -39,6 +41,7 @@ const TaggingDialog = ({
   const [availableActors, setAvailableActors] = useState([]);
   const [isCreating, setIsCreating] = useState(false);
   const [existingElements, setExistingElements] = useState([]);
+  const [catalogElements, setCatalogElements] = useState([]);
 
   // Load existing elements and actors
   useEffect(() => {
@@ -57,8 +60,12 @@ const TaggingDialog = ({
 
   const loadExistingElements = async () => {
     try {
-      const elements = await ProductionElement.filter({ project_id: projectId }, '-created_date');
+      const [elements, catalog] = await Promise.all([
+        ProductionElement.filter({ project_id: projectId }, '-created_date'),
+        listElements(projectId)
+      ]);
       setExistingElements(elements);
+      setCatalogElements(catalog);
     } catch (error) {
       console.error('Error loading existing elements:', error);
     }
@@ -79,23 +86,33 @@ const TaggingDialog = ({
       return;
     }
 
+    // Names merged into a catalog element tag it under its own name, and a
+    // name or alias already tagged links that element instead of a duplicate
+    const name = findElementByName(catalogElements, elementType, elementName)?.name || elementName.trim();
+    const existing = findElementByName(existingElements, elementType, name);
+    if (existing) {
+      handleLinkToExisting(existing);
+      return;
+    }
+
     setIsCreating(true);
     try {
       const elementData = {
         project_id: projectId,
         type: elementType,
-        name: elementName.trim(),
+        name,
         description: elementDescription.trim() || undefined,
         category: elementType,
         linked_scenes: sceneId ? [sceneId] : [],
         linked_actor_id: linkedActorId || undefined,
         custom_fields: Object.keys(customFields).length > 0 ? customFields : undefined,
+        text_anchors: anchor ? [anchor] : [],
         est_cost: undefined
       };
 
       const newElement = await ProductionElement.create(elementData);
       
-      toast.success(`"${elementName}" tagged as ${ELEMENT_TYPES[elementType].label}`);
+      toast.success(`"${name}" tagged as ${ELEMENT_TYPES[elementType].label}`);
       onElementCreated(newElement);
       
       // Reset form
@@ -113,13 +130,17 @@ const TaggingDialog = ({
   };
 
   const handleLinkToExisting = (element) => {
-    // Link existing element to current scene
-    if (sceneId && !element.linked_scenes?.includes(sceneId)) {
-      const updatedScenes = [...(element.linked_scenes || []), sceneId];
-      ProductionElement.update(element.id, { linked_scenes: updatedScenes })
+    // Link existing element to current scene, and to the tagged text
+    const linkScene = sceneId && !element.linked_scenes?.includes(sceneId);
+    if (linkScene || anchor) {
+      const updates = {
+        ...(linkScene && { linked_scenes: [...(element.linked_scenes || []), sceneId] }),
+        ...(anchor && { text_anchors: [...(element.text_anchors || []), anchor] })
+      };
+      ProductionElement.update(element.id, updates)
         .then(() => {
-          toast.success(`"${element.name}" linked to current scene`);
-          onElementCreated(element);
+          toast.success(linkScene ? `"${element.name}" linked to current scene` : `"${element.name}" tagged`);
+          onElementCreated({ ...element, ...updates });
           onClose();
         })
         .catch(error => {
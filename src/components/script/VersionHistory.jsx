@@ -1,62 +1,54 @@
 import React, { useState, useMemo } from 'react';
-import { History, Clock, User, Eye, RotateCcw, Download, Trash2 } from 'lucide-react';
+import { History, Clock, User, Eye, RotateCcw, Download, Trash2, MoveVertical } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Separator } from '@/components/ui/separator';
+import { Checkbox } from '@/components/ui/checkbox';
+import { diffScriptLines, restoreFromVersion } from './ScriptDiff';
 
-// Simple diff algorithm for text comparison
-const createDiff = (oldText, newText) => {
-  const oldLines = oldText.split('\n');
-  const newLines = newText.split('\n');
-  const diff = [];
-  
-  let i = 0, j = 0;
-  
-  while (i < oldLines.length || j < newLines.length) {
-    if (i >= oldLines.length) {
-      // Only new lines remain
-      diff.push({ type: 'added', line: newLines[j], lineNumber: j + 1 });
-      j++;
-    } else if (j >= newLines.length) {
-      // Only old lines remain
-      diff.push({ type: 'removed', line: oldLines[i], lineNumber: i + 1 });
-      i++;
-    } else if (oldLines[i] === newLines[j]) {
-      // Lines are identical
-      diff.push({ type: 'unchanged', line: oldLines[i], lineNumber: i + 1 });
-      i++;
-      j++;
-    } else {
-      // Lines are different - check if it's an addition or deletion
-      const nextOldIndex = oldLines.slice(i + 1).indexOf(newLines[j]);
-      const nextNewIndex = newLines.slice(j + 1).indexOf(oldLines[i]);
-      
-      if (nextOldIndex !== -1 && (nextNewIndex === -1 || nextOldIndex < nextNewIndex)) {
-        // Line was removed
-        diff.push({ type: 'removed', line: oldLines[i], lineNumber: i + 1 });
-        i++;
-      } else {
-        // Line was added
-        diff.push({ type: 'added', line: newLines[j], lineNumber: j + 1 });
-        j++;
-      }
-    }
+const parseVersion = (version) => {
+  try {
+    return JSON.parse(version.content);
+  } catch {
+    return { lines: [] };
   }
-  
-  return diff;
 };
 
-const DiffViewer = ({ oldVersion, newVersion, onClose }) => {
+const STATUS_STYLES = {
+  added: { row: 'bg-green-50 border-l-2 border-green-500', text: 'text-green-700', mark: '+' },
+  removed: { row: 'bg-red-50 border-l-2 border-red-500', text: 'text-red-700 line-through', mark: '-' },
+  modified: { row: 'bg-yellow-50 border-l-2 border-yellow-500', text: 'text-gray-800', mark: '~' },
+  retyped: { row: 'bg-purple-50 border-l-2 border-purple-500', text: 'text-gray-800', mark: '~' },
+  unchanged: { row: 'bg-blue-50 border-l-2 border-blue-300', text: 'text-gray-700', mark: '' }
+};
+
+const DiffViewer = ({ oldVersion, newVersion, currentDoc, onRestoreLines, onClose }) => {
+  const oldDoc = useMemo(() => (oldVersion ? parseVersion(oldVersion) : null), [oldVersion]);
+  const newDoc = useMemo(() => currentDoc || (newVersion ? parseVersion(newVersion) : null), [currentDoc, newVersion]);
+  const [selectedLines, setSelectedLines] = useState([]);
+  const [selectedScenes, setSelectedScenes] = useState([]);
+
   const diff = useMemo(() => {
-    if (!oldVersion || !newVersion) return [];
-    return createDiff(oldVersion.content, newVersion.content);
-  }, [oldVersion, newVersion]);
+    if (!oldDoc || !newDoc) return null;
+    return diffScriptLines(oldDoc, newDoc);
+  }, [oldDoc, newDoc]);
+
+  // Only changed and moved lines are listed
+  const changes = diff ? diff.entries.filter(entry => entry.status !== 'unchanged' || entry.moved) : [];
+  const canRestore = !!currentDoc && !!onRestoreLines;
+
+  const toggle = (setter, id) => setter(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+
+  const handleRestore = () => {
+    onRestoreLines(restoreFromVersion(currentDoc, oldDoc, { lineIds: selectedLines, sceneIds: selectedScenes }));
+    onClose();
+  };
 
   return (
-    <Dialog open={!!oldVersion && !!newVersion} onOpenChange={onClose}>
+    <Dialog open={!!oldVersion && !!newDoc} onOpenChange={onClose}>
       <DialogContent className="max-w-4xl max-h-[80vh]">
         <DialogHeader>
           <DialogTitle className="flex items-center gap-2">
@@ -64,41 +56,90 @@ const DiffViewer = ({ oldVersion, newVersion, onClose }) => {
             Version Comparison
           </DialogTitle>
           <DialogDescription>
-            Comparing {oldVersion?.revision_number} with {newVersion?.revision_number}
+            Comparing {oldVersion?.revision_number} with {currentDoc ? 'the current script' : newVersion?.revision_number}
           </DialogDescription>
         </DialogHeader>
-        
+
+        {diff && (
+          <div className="flex gap-2 flex-wrap">
+            <Badge variant="outline" className="text-xs bg-green-50 text-green-800">{diff.summary.added} added</Badge>
+            <Badge variant="outline" className="text-xs bg-red-50 text-red-800">{diff.summary.removed} removed</Badge>
+            <Badge variant="outline" className="text-xs bg-yellow-50 text-yellow-800">{diff.summary.modified} changed</Badge>
+            <Badge variant="outline" className="text-xs bg-purple-50 text-purple-800">{diff.summary.retyped} retyped</Badge>
+            <Badge variant="outline" className="text-xs bg-blue-50 text-blue-800">{diff.scenes.moved.length} scenes moved</Badge>
+          </div>
+        )}
+
         <ScrollArea className="h-96">
           <div className="space-y-1 font-mono text-sm">
-            {diff.map((item, index) => (
-              <div
-                key={index}
-                className={`flex items-start gap-2 p-1 rounded ${
-                  item.type === 'added' ? 'bg-green-50 border-l-2 border-green-500' :
-                  item.type === 'removed' ? 'bg-red-50 border-l-2 border-red-500' :
-                  'bg-gray-50'
-                }`}
-              >
-                <div className="w-8 text-xs text-gray-500 flex-shrink-0">
-                  {item.lineNumber}
-                </div>
-                <div className="flex-1">
-                  <span className={
-                    item.type === 'added' ? 'text-green-700' :
-                    item.type === 'removed' ? 'text-red-700' :
-                    'text-gray-700'
-                  }>
-                    {item.line}
-                  </span>
-                </div>
-                <div className="w-4 flex-shrink-0">
-                  {item.type === 'added' && <span className="text-green-500">+</span>}
-                  {item.type === 'removed' && <span className="text-red-500">-</span>}
-                </div>
+            {diff?.scenes.moved.map(scene => (
+              <div key={`moved-${scene.lineId}`} className="flex items-center gap-2 p-1 rounded bg-blue-50 text-blue-800">
+                <MoveVertical className="w-3 h-3 flex-shrink-0" />
+                Scene {scene.from} moved to {scene.to}: {scene.heading}
               </div>
             ))}
+
+            {changes.map((entry) => {
+              const line = entry.newLine || entry.oldLine;
+              const style = STATUS_STYLES[entry.status];
+              // Old content can be restored for removed, changed and retyped lines
+              const restorable = canRestore && entry.oldLine && entry.status !== 'unchanged';
+              const isOldScene = canRestore && entry.oldLine?.type === 'scene';
+
+              return (
+                <div key={`${entry.status}-${line.id}`} className={`flex items-start gap-2 p-1 rounded ${style.row}`}>
+                  <div className="w-4 flex-shrink-0">
+                    {restorable && (
+                      <Checkbox
+                        checked={selectedLines.includes(line.id)}
+                        onCheckedChange={() => toggle(setSelectedLines, line.id)}
+                        aria-label="Restore line"
+                      />
+                    )}
+                  </div>
+                  <div className="w-20 text-xs text-gray-500 flex-shrink-0">
+                    {entry.status === 'retyped'
+                      ? `${entry.oldLine.type} → ${entry.newLine.type}`
+                      : line.type}
+                  </div>
+                  <div className="flex-1">
+                    {entry.status === 'modified' && (
+                      <div className="text-red-700 line-through">{entry.oldLine.text}</div>
+                    )}
+                    <span className={style.text}>{line.text}</span>
+                    {entry.moved && <Badge variant="outline" className="ml-2 text-xs">moved</Badge>}
+                    {isOldScene && (
+                      <label className="ml-2 inline-flex items-center gap-1 text-xs text-gray-600">
+                        <Checkbox
+                          checked={selectedScenes.includes(entry.oldLine.id)}
+                          onCheckedChange={() => toggle(setSelectedScenes, entry.oldLine.id)}
+                        />
+                        whole scene
+                      </label>
+                    )}
+                  </div>
+                  <div className="w-4 flex-shrink-0">{style.mark}</div>
+                </div>
+              );
+            })}
+
+            {diff && changes.length === 0 && diff.scenes.moved.length === 0 && (
+              <div className="text-center text-gray-500 py-8">No differences</div>
+            )}
           </div>
         </ScrollArea>
+
+        {canRestore && (
+          <div className="flex justify-end">
+            <Button
+              onClick={handleRestore}
+              disabled={selectedLines.length === 0 && selectedScenes.length === 0}
+            >
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Restore Selected ({selectedLines.length + selectedScenes.length})
+            </Button>
+          </div>
+        )}
       </DialogContent>
     </Dialog>
   );
@@ -107,9 +148,11 @@ const DiffViewer = ({ oldVersion, newVersion, onClose }) => {
 const VersionHistory = ({ 
   versions = [], 
   currentVersion, 
+  currentDoc,
   onRestoreVersion, 
   onDeleteVersion,
-  onDownloadVersion 
+  onDownloadVersion,
+  onRestoreLines
 }) => {
   const [selectedVersions, setSelectedVersions] = useState({ old: null, new: null });
   const [showDiff, setShowDiff] = useState(false);
@@ -264,6 +307,8 @@ const VersionHistory = ({
         <DiffViewer
           oldVersion={selectedVersions.old}
           newVersion={selectedVersions.new}
+          currentDoc={currentDoc}
+          onRestoreLines={onRestoreLines}
           onClose={() => setShowDiff(false)}
         />
       )}
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment jsdom
+ */
+import fs from 'fs';
+import path from 'path';
+import { ELEMENT_TYPES } from '../ScriptFormatter';
+import { importFromFDX, exportToFDX } from '../FinalDraftFormat';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Drops the generated IDs and timestamps so two imports can be compared
+const normalize = (scriptDoc) => ({
+  title: scriptDoc.title,
+  titlePage: scriptDoc.titlePage,
+  lines: scriptDoc.lines.map(({ type, text, meta }) => ({ type, text, meta })),
+  taggedElements: scriptDoc.taggedElements.map(({ name, category, lineIds }) => ({
+    name,
+    category,
+    lines: lineIds.map(id => scriptDoc.lines.findIndex(line => line.id === id))
+  }))
+});
+
+describe('Final Draft import/export', () => {
+  it('maps paragraph types onto element types', () => {
+    const { lines } = importFromFDX(readFixture('sample.fdx'));
+
+    expect(lines.map(line => line.type)).toEqual([
+      ELEMENT_TYPES.SCENE,
+      ELEMENT_TYPES.ACTION,
+      ELEMENT_TYPES.CHARACTER,
+      ELEMENT_TYPES.PARENTHETICAL,
+      ELEMENT_TYPES.DIALOGUE,
+      ELEMENT_TYPES.CHARACTER,
+      ELEMENT_TYPES.DIALOGUE,
+      ELEMENT_TYPES.CHARACTER,
+      ELEMENT_TYPES.DIALOGUE,
+      ELEMENT_TYPES.TRANSITION,
+      ELEMENT_TYPES.PAGE_BREAK,
+      ELEMENT_TYPES.SCENE,
+      ELEMENT_TYPES.MONTAGE,
+      ELEMENT_TYPES.CENTERED,
+      ELEMENT_TYPES.GENERAL
+    ]);
+    expect(lines[14].meta).toEqual({ fdxType: 'Cast List' });
+  });
+
+  it('carries over scene numbers, revision colors, styles and dual dialogue', () => {
+    const { lines, settings } = importFromFDX(readFixture('sample.fdx'));
+
+    expect(lines[0].meta.sceneNumber).toBe('1');
+    expect(lines[11].meta).toEqual({ sceneNumber: '1A', revisionColor: 'Blue' });
+    expect(lines[6].meta.revisionColor).toBe('Pink');
+    expect(lines[4].text).toBe("It's *loaded*. Don't _<u>ever</u>_ point it at me.");
+    expect(lines[5].meta.dualDialogue).toBe('left');
+    expect(lines[7].meta.dualDialogue).toBe('right');
+    expect(settings.showSceneNumbers).toBe(true);
+  });
+
+  it('reads the title page fields', () => {
+    const { title, titlePage } = importFromFDX(readFixture('sample.fdx'));
+
+    expect(title).toBe('THE FENCE');
+    expect(titlePage).toEqual({
+      title: 'THE FENCE',
+      credit: 'Written by',
+      author: 'Jo Writer',
+      basedOn: 'Based on the novel by R. Author',
+      contact: 'Agency & Co.\n555-0100',
+      draftDate: 'Pink Revision 3/4/2026'
+    });
+  });
+
+  it('collects tagged breakdown elements with their offsets', () => {
+    const { lines, taggedElements } = importFromFDX(readFixture('sample.fdx'));
+    const action = lines[1];
+
+    expect(action.meta.tags).toEqual([
+      { name: 'Revolver', category: 'prop', start: 15, end: 23 },
+      { name: 'Red raincoat', category: 'costume', start: 56, end: 68 }
+    ]);
+    expect(action.text.slice(15, 23)).toBe('revolver');
+    expect(taggedElements).toEqual([
+      { name: 'Revolver', category: 'prop', lineIds: [action.id] },
+      { name: 'Red raincoat', category: 'costume', lineIds: [action.id] },
+      { name: 'MARLA', category: 'character', lineIds: [lines[2].id, lines[7].id] }
+    ]);
+  });
+
+  it('round-trips through exportToFDX without losing structure', () => {
+    const imported = importFromFDX(readFixture('sample.fdx'));
+    const reimported = importFromFDX(exportToFDX(imported));
+
+    expect(normalize(reimported)).toEqual(normalize(imported));
+  });
+
+  it('exports editor documents that Final Draft can read back', () => {
+    const fdx = exportToFDX({
+      settings: { titlePage: { title: 'Draft <One>', author: 'A & B' } },
+      lines: [
+        { id: '1', type: 'scene', text: 'INT. ROOM - DAY', meta: { sceneNumber: '7' } },
+        { id: '2', type: 'synopsis', text: 'Not printed', meta: {} },
+        { id: '3', type: 'action', text: 'A *bold* move.', meta: { revisionColor: 'Yellow' } }
+      ]
+    });
+
+    expect(fdx).toContain('<Paragraph Number="7" Type="Scene Heading">');
+    expect(fdx).toContain('<Text RevisionID="1" Style="Bold">bold</Text>');
+    expect(fdx).toContain('Name="Yellow"');
+    expect(fdx).not.toContain('Not printed');
+    expect(importFromFDX(fdx).titlePage).toEqual({ title: 'Draft <One>', credit: 'Written by', author: 'A & B' });
+  });
+
+  it('rejects documents that are not FDX', () => {
+    expect(() => importFromFDX('<html></html>')).toThrow('Not a valid Final Draft (.fdx) document');
+  });
+});
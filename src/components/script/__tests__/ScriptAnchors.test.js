@@ -0,0 +1,132 @@
+import {
+  createAnchor,
+  resolveAnchor,
+  refreshAnchor,
+  refreshAnchors,
+  resolveTags,
+  segmentLine
+} from '../ScriptAnchors';
+
+const line = (id, text) => ({ id, text });
+
+const script = [
+  line('l1', 'INT. KITCHEN - NIGHT'),
+  line('l2', 'Anna pulls on her red coat and grabs the car keys.'),
+  line('l3', 'ANNA'),
+  line('l4', 'Where is the dog?')
+];
+
+const anchorFor = (lines, lineId, text) => {
+  const start = lines.find(l => l.id === lineId).text.indexOf(text);
+  return createAnchor(lines, lineId, start, start + text.length);
+};
+
+const edit = (lines, lineId, text) => lines.map(l => (l.id === lineId ? { ...l, text } : l));
+
+describe('ScriptAnchors', () => {
+  describe('createAnchor', () => {
+    it('should capture the span, trimmed, with its surrounding text', () => {
+      expect(createAnchor(script, 'l2', 17, 27)).toEqual({
+        lineId: 'l2',
+        lineIndex: 1,
+        start: 18,
+        end: 26,
+        text: 'red coat',
+        prefix: 'Anna pulls on her ',
+        suffix: ' and grabs the car keys.'
+      });
+    });
+
+    it('should not anchor empty selections or unknown lines', () => {
+      expect(createAnchor(script, 'l2', 4, 5)).toBeNull();
+      expect(createAnchor(script, 'missing', 0, 4)).toBeNull();
+    });
+  });
+
+  describe('resolveAnchor', () => {
+    const coat = anchorFor(script, 'l2', 'red coat');
+
+    it('should keep untouched anchors where they are', () => {
+      expect(resolveAnchor(script, coat)).toEqual({ lineId: 'l2', start: 18, end: 26 });
+    });
+
+    it('should follow text that moved within its line', () => {
+      const lines = edit(script, 'l2', 'Slowly, Anna pulls on her red coat and grabs the car keys.');
+      expect(resolveAnchor(lines, coat)).toEqual({ lineId: 'l2', start: 26, end: 34 });
+    });
+
+    it('should fuzzy-match text edited in place', () => {
+      const lines = edit(script, 'l2', 'Anna pulls on her red coats, then grabs the car keys.');
+      expect(resolveAnchor(lines, coat)).toEqual({ lineId: 'l2', start: 18, end: 27 });
+    });
+
+    it('should find text moved to another line nearby', () => {
+      const lines = [
+        line('l1', 'INT. KITCHEN - NIGHT'),
+        line('l5', 'Anna grabs the car keys.'),
+        line('l6', 'She pulls on her red coat.')
+      ];
+      expect(resolveAnchor(lines, coat)).toEqual({ lineId: 'l6', start: 17, end: 25 });
+    });
+
+    it('should only trust distant matches whose context survives', () => {
+      const filler = Array.from({ length: 40 }, (_, i) => line(`f${i}`, 'They wait.'));
+      const moved = [line('l1', 'INT. KITCHEN - NIGHT'), ...filler, line('l9', 'Anna pulls on her red coat.')];
+      const elsewhere = [line('l1', 'INT. KITCHEN - NIGHT'), ...filler, line('l9', 'A stranger in a red coat.')];
+
+      expect(resolveAnchor(moved, coat)).toEqual({ lineId: 'l9', start: 18, end: 26 });
+      expect(resolveAnchor(elsewhere, coat)).toBeNull();
+    });
+
+    it('should orphan anchors whose text is gone', () => {
+      const lines = edit(script, 'l2', 'Anna grabs the car keys.');
+      expect(resolveAnchor(lines, coat)).toBeNull();
+    });
+  });
+
+  describe('refreshAnchor', () => {
+    const coat = anchorFor(script, 'l2', 'red coat');
+
+    it('should recapture a moved anchor and keep orphans as they were', () => {
+      const lines = edit(script, 'l2', 'Anna pulls on her red coats.');
+      expect(refreshAnchor(lines, coat)).toMatchObject({ lineId: 'l2', start: 18, end: 27, text: 'red coats', suffix: '.' });
+
+      const orphaned = edit(script, 'l2', 'Anna waits.');
+      expect(refreshAnchor(orphaned, coat)).toBe(coat);
+    });
+
+    it('should report no change when nothing moved', () => {
+      const inserted = [line('l0', 'FADE IN:'), ...script];
+      expect(refreshAnchors(inserted, [coat])).toBeNull();
+      expect(refreshAnchors(edit(script, 'l2', `Then ${script[1].text}`), [coat])[0].start).toBe(23);
+    });
+  });
+
+  describe('resolveTags', () => {
+    it('should group placed tags by line and list orphans', () => {
+      const coat = { key: 'coat', anchor: anchorFor(script, 'l2', 'red coat') };
+      const keys = { key: 'keys', anchor: anchorFor(script, 'l2', 'car keys') };
+      const dog = { key: 'dog', anchor: anchorFor(script, 'l4', 'dog') };
+      const lines = edit(script, 'l4', 'Where is the cat?');
+
+      const { byLine, orphans } = resolveTags(lines, [keys, coat, dog]);
+
+      expect(byLine.l2.map(tag => [tag.key, tag.start, tag.end])).toEqual([['coat', 18, 26], ['keys', 41, 49]]);
+      expect(orphans).toEqual([dog]);
+    });
+  });
+
+  describe('segmentLine', () => {
+    it('should split a line into plain and tagged segments', () => {
+      const coat = { name: 'coat', start: 4, end: 12 };
+      const red = { name: 'red', start: 4, end: 7 };
+
+      expect(segmentLine('Her red coat.', [coat, red])).toEqual([
+        { text: 'Her ', tags: [] },
+        { text: 'red', tags: [coat, red] },
+        { text: ' coat', tags: [coat] },
+        { text: '.', tags: [] }
+      ]);
+    });
+  });
+});
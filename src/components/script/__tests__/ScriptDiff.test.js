@@ -0,0 +1,126 @@
+import { ELEMENT_TYPES } from '../ScriptFormatter';
+import {
+  diffScriptLines,
+  restoreFromVersion,
+  mergeScripts,
+  resolveMergeConflicts
+} from '../ScriptDiff';
+
+const line = (id, type, text, meta = {}) => ({ id, type, text, meta });
+
+const base = () => ({
+  title: 'Heist',
+  lines: [
+    line('s1', ELEMENT_TYPES.SCENE, 'INT. BANK - DAY'),
+    line('a1', ELEMENT_TYPES.ACTION, 'A guard yawns.'),
+    line('s2', ELEMENT_TYPES.SCENE, 'EXT. ALLEY - NIGHT'),
+    line('a2', ELEMENT_TYPES.ACTION, 'A van idles.'),
+    line('c2', ELEMENT_TYPES.CHARACTER, 'DRIVER'),
+    line('d2', ELEMENT_TYPES.DIALOGUE, 'Go.'),
+    line('s3', ELEMENT_TYPES.SCENE, 'INT. VAULT - NIGHT'),
+    line('a3', ELEMENT_TYPES.ACTION, 'Gold.')
+  ]
+});
+
+const withLines = (doc, lines) => ({ ...doc, lines });
+const ids = doc => doc.lines.map(l => l.id);
+
+describe('ScriptDiff', () => {
+  describe('diffScriptLines', () => {
+    it('should tell apart edits, retyped lines, inserts and deletes', () => {
+      const old = base();
+      const lines = old.lines
+        .filter(l => l.id !== 'd2')
+        .map((l) => {
+          if (l.id === 'a1') return { ...l, text: 'A guard sleeps.' };
+          if (l.id === 'a3') return { ...l, type: ELEMENT_TYPES.TRANSITION };
+          return l;
+        });
+      lines.splice(2, 0, line('n1', ELEMENT_TYPES.ACTION, 'Alarms.'));
+
+      const diff = diffScriptLines(old, withLines(old, lines));
+      const statusOf = id => diff.entries.find(e => (e.newLine || e.oldLine).id === id).status;
+
+      expect(statusOf('a1')).toBe('modified');
+      expect(statusOf('a3')).toBe('retyped');
+      expect(statusOf('n1')).toBe('added');
+      expect(statusOf('d2')).toBe('removed');
+      expect(diff.summary).toMatchObject({ added: 1, removed: 1, modified: 1, retyped: 1, moved: 0 });
+      // Removed lines stay where they used to be
+      expect(diff.entries.map(e => (e.newLine || e.oldLine).id)).toEqual(['s1', 'a1', 'n1', 's2', 'a2', 'c2', 'd2', 's3', 'a3']);
+    });
+
+    it('should report moved scenes with their old and new positions', () => {
+      const old = base();
+      const [s1, a1, s2, a2, c2, d2, s3, a3] = old.lines;
+      const diff = diffScriptLines(old, withLines(old, [s3, a3, s1, a1, s2, a2, c2, d2]));
+
+      expect(diff.scenes.moved).toEqual([{ lineId: 's3', heading: 'INT. VAULT - NIGHT', from: 3, to: 1 }]);
+      expect(diff.entries.filter(e => e.moved).map(e => e.newLine.id)).toEqual(['s3', 'a3']);
+    });
+  });
+
+  describe('restoreFromVersion', () => {
+    it('should restore single lines, re-inserting deleted ones in place', () => {
+      const old = base();
+      const current = withLines(old, old.lines
+        .filter(l => l.id !== 'c2')
+        .map(l => (l.id === 'a2' ? { ...l, text: 'The van is gone.' } : l)));
+
+      const restored = restoreFromVersion(current, old, { lineIds: ['a2', 'c2'] });
+      expect(ids(restored)).toEqual(ids(old));
+      expect(restored.lines.find(l => l.id === 'a2').text).toBe('A van idles.');
+    });
+
+    it('should restore a whole deleted scene after the scene it followed', () => {
+      const old = base();
+      const current = withLines(old, [
+        ...old.lines.filter(l => !['s2', 'a2', 'c2', 'd2'].includes(l.id)),
+        line('n1', ELEMENT_TYPES.ACTION, 'New ending.')
+      ]);
+
+      const restored = restoreFromVersion(current, old, { sceneIds: ['s2'] });
+      expect(ids(restored)).toEqual(['s1', 'a1', 's2', 'a2', 'c2', 'd2', 's3', 'a3', 'n1']);
+    });
+  });
+
+  describe('mergeScripts', () => {
+    it('should merge changes made on different lines', () => {
+      const ancestor = base();
+      const ours = withLines(ancestor, ancestor.lines.map(l => (l.id === 'a1' ? { ...l, text: 'A guard sleeps.' } : l)));
+      const theirs = withLines(ancestor, [
+        ...ancestor.lines.map(l => (l.id === 'a3' ? { ...l, text: 'Empty shelves.' } : l)),
+        line('t1', ELEMENT_TYPES.TRANSITION, 'CUT TO:')
+      ]);
+
+      const result = mergeScripts(ancestor, ours, { ...theirs, title: 'The Heist' });
+      expect(result.conflicts).toEqual([]);
+      expect(result.merged).toBe(2);
+      expect(result.doc.title).toBe('The Heist');
+      expect(result.doc.lines.map(l => l.text)).toEqual([
+        'INT. BANK - DAY', 'A guard sleeps.', 'EXT. ALLEY - NIGHT', 'A van idles.', 'DRIVER', 'Go.',
+        'INT. VAULT - NIGHT', 'Empty shelves.', 'CUT TO:'
+      ]);
+    });
+
+    it('should report lines both sides changed and apply the chosen side', () => {
+      const ancestor = base();
+      const ours = withLines(ancestor, ancestor.lines.map(l => (l.id === 'd2' ? { ...l, text: 'Drive!' } : l)));
+      const theirs = withLines(ancestor, ancestor.lines
+        .filter(l => l.id !== 'a1')
+        .map(l => (l.id === 'd2' ? { ...l, text: 'Now.' } : l)));
+
+      const result = mergeScripts(ancestor, ours, theirs);
+      expect(result.conflicts).toEqual([{
+        lineId: 'd2',
+        base: ancestor.lines[5],
+        ours: ours.lines[5],
+        theirs: expect.objectContaining({ text: 'Now.' })
+      }]);
+      expect(ids(result.doc)).not.toContain('a1');
+
+      expect(resolveMergeConflicts(result).lines.find(l => l.id === 'd2').text).toBe('Drive!');
+      expect(resolveMergeConflicts(result, { d2: 'theirs' }).lines.find(l => l.id === 'd2').text).toBe('Now.');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { ELEMENT_TYPES, exportToFountain, importFromFountain } from '../ScriptFormatter';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Drops the generated IDs and timestamps so two imports can be compared
+const normalize = (scriptDoc) => ({
+  title: scriptDoc.title,
+  titlePage: scriptDoc.titlePage,
+  settings: scriptDoc.settings,
+  lines: scriptDoc.lines.map(({ type, text, meta }) => ({ type, text, meta }))
+});
+
+describe('Fountain import/export', () => {
+  it('reproduces the canonical fixture exactly', () => {
+    const fountain = readFixture('canonical.fountain');
+
+    expect(exportToFountain(importFromFountain(fountain))).toBe(fountain);
+  });
+
+  it.each(['canonical.fountain', 'messy.fountain'])('round-trips %s without losing structure', (fixture) => {
+    const imported = importFromFountain(readFixture(fixture));
+    const reimported = importFromFountain(exportToFountain(imported));
+
+    expect(normalize(reimported)).toEqual(normalize(imported));
+  });
+
+  it('parses the title page, including multi-line and unknown keys', () => {
+    const canonical = importFromFountain(readFixture('canonical.fountain'));
+    const messy = importFromFountain(readFixture('messy.fountain'));
+
+    expect(canonical.title).toBe('BROOKLYN SANITATION');
+    expect(canonical.titlePage).toMatchObject({
+      credit: 'Written by',
+      author: 'Stu Maschwitz',
+      basedOn: 'Story by KTM',
+      draftDate: '1/20/2012',
+      contact: 'Next Level Productions\n1588 Mission Dr.\nSolvang, CA 93463'
+    });
+    expect(messy.titlePage).toEqual({
+      title: 'Messy Draft',
+      author: 'A. Writer',
+      draftDate: 'Today',
+      extra: { Genre: 'Thriller' }
+    });
+  });
+
+  it('maps every Fountain construct onto element types and meta', () => {
+    const { lines, settings } = importFromFountain(readFixture('canonical.fountain'));
+    const find = (type, text) => lines.find(line => line.type === type && line.text === text);
+
+    expect(find(ELEMENT_TYPES.SECTION, 'Cold open').meta).toEqual({ depth: 2 });
+    expect(find(ELEMENT_TYPES.SYNOPSIS, 'Steel meets a cleaner with a secret.')).toBeDefined();
+    expect(find(ELEMENT_TYPES.SCENE, "EXT. BRICK'S PATIO - DAY").meta).toEqual({ sceneNumber: '1' });
+    expect(find(ELEMENT_TYPES.SCENE, 'SNIPER SCOPE POV').meta).toEqual({ forced: true, sceneNumber: '1A' });
+    expect(find(ELEMENT_TYPES.ACTION, 'INT. KITCHEN - NIGHT is painted on the wall.').meta).toEqual({ forced: true });
+    expect(find(ELEMENT_TYPES.CHARACTER, 'McCLANE').meta).toEqual({ forced: true });
+    expect(find(ELEMENT_TYPES.TRANSITION, 'BURN TO WHITE.').meta).toEqual({ forced: true });
+    expect(find(ELEMENT_TYPES.TRANSITION, 'CUT TO:')).toBeDefined();
+    expect(find(ELEMENT_TYPES.CENTERED, 'THE END')).toBeDefined();
+    expect(lines.filter(line => line.type === ELEMENT_TYPES.LYRICS)).toHaveLength(2);
+    expect(find(ELEMENT_TYPES.NOTE, 'Check the lyrics clearance')).toBeDefined();
+    expect(lines.find(line => line.type === ELEMENT_TYPES.BONEYARD).text).toContain('This scene was cut.');
+    expect(lines.filter(line => line.type === ELEMENT_TYPES.PAGE_BREAK)).toHaveLength(1);
+    expect(settings.showSceneNumbers).toBe(true);
+  });
+
+  it('keeps inline notes out of the text and dual dialogue on both cues', () => {
+    const { lines } = importFromFountain(readFixture('canonical.fountain'));
+    const noted = lines.find(line => line.meta.notes);
+    const dual = lines.filter(line => line.meta.dualDialogue);
+
+    expect(noted.text).toBe('A gorgeous day. The sun is shining. ');
+    expect(noted.meta.notes).toEqual([{ index: 36, text: 'Maybe overcast?' }]);
+    expect(dual.map(line => [line.text, line.meta.dualDialogue])).toEqual([['BRICK', 'left'], ['STEEL', 'right']]);
+  });
+
+  it('forces elements whose text would otherwise be read back as another type', () => {
+    const fountain = exportToFountain({
+      titlePage: { title: 'Forced' },
+      lines: [
+        { id: '1', type: 'scene', text: 'THE VOID' },
+        { id: '2', type: 'action', text: 'EXT. SIGN - DAY is written in chalk.' },
+        { id: '3', type: 'character', text: 'Mary' },
+        { id: '4', type: 'dialogue', text: 'Hello.' },
+        { id: '5', type: 'transition', text: 'FADE OUT.' }
+      ]
+    });
+
+    expect(fountain).toBe([
+      'Title: Forced',
+      '',
+      '.THE VOID',
+      '',
+      '!EXT. SIGN - DAY is written in chalk.',
+      '',
+      '@Mary',
+      'Hello.',
+      '',
+      '> FADE OUT.',
+      ''
+    ].join('\n'));
+    expect(importFromFountain(fountain).lines.map(line => line.type))
+      .toEqual(['scene', 'action', 'character', 'dialogue', 'transition']);
+  });
+});
@@ -0,0 +1,135 @@
+import { ELEMENT_TYPES } from '../ScriptFormatter';
+import { paginateScript } from '../ScriptPaginator';
+import {
+  OMITTED,
+  nextSuffixLabel,
+  lockScript,
+  unlockScript,
+  assignSceneNumbers,
+  omitScene,
+  getSceneNumbers
+} from '../ScriptLock';
+
+let nextId = 0;
+const line = (type, text, meta = {}) => ({ id: `line_${nextId++}`, type, text, meta });
+const scene = (text, meta) => line(ELEMENT_TYPES.SCENE, text, meta);
+const actionRows = (rows) => line(ELEMENT_TYPES.ACTION, Array.from({ length: rows }, () => 'x'.repeat(59)).join(' '));
+
+// A scene that fills most of a page: heading plus 8 five-row paragraphs
+const fullPageScene = (heading) => [scene(heading), ...Array.from({ length: 8 }, () => actionRows(5))];
+
+const scriptOf = (...groups) => ({ title: 'Locked', lines: groups.flat(), settings: {} });
+const sceneNumbers = (scriptDoc) => getSceneNumbers(scriptDoc).map(({ number }) => number);
+const pageLabels = (scriptDoc) => paginateScript(scriptDoc).pages.map(page => page.label);
+
+describe('ScriptLock', () => {
+  describe('nextSuffixLabel', () => {
+    it('should suffix inserts after a scene and step past numbers in use', () => {
+      expect(nextSuffixLabel('12')).toBe('12A');
+      expect(nextSuffixLabel('12A')).toBe('12B');
+      expect(nextSuffixLabel('12A', new Set(['12B']))).toBe('12AA');
+      expect(nextSuffixLabel('12Z')).toBe('12ZA');
+    });
+  });
+
+  describe('lockScript', () => {
+    it('should number every scene, keeping numbers already assigned', () => {
+      const locked = lockScript(scriptOf(scene('INT. A - DAY'), scene('INT. B - DAY', { sceneNumber: '7' }), scene('INT. C - DAY')));
+
+      expect(sceneNumbers(locked)).toEqual(['1', '7', '8']);
+      expect(locked.settings.showSceneNumbers).toBe(true);
+    });
+
+    it('should record where each page starts', () => {
+      const [first, second] = [fullPageScene('INT. A - DAY'), fullPageScene('INT. B - DAY')];
+      const locked = lockScript(scriptOf(first, second), { lockedAt: 1000 });
+
+      expect(locked.lock).toEqual({
+        lockedAt: 1000,
+        pages: [
+          { label: '1', startLineId: null },
+          { label: '2', startLineId: second[0].id }
+        ]
+      });
+    });
+
+    it('should keep scene numbers when unlocked', () => {
+      const unlocked = unlockScript(lockScript(scriptOf(scene('INT. A - DAY'))));
+
+      expect(unlocked.lock).toBeUndefined();
+      expect(sceneNumbers(unlocked)).toEqual(['1']);
+    });
+  });
+
+  describe('assignSceneNumbers', () => {
+    it('should give scenes inserted after the lock suffix numbers', () => {
+      const locked = lockScript(scriptOf(scene('INT. A - DAY'), scene('INT. B - DAY'), scene('INT. C - DAY')));
+      const [a, b, c] = locked.lines;
+      const edited = {
+        ...locked,
+        lines: [scene('INT. PROLOGUE - DAY'), a, scene('INT. A2 - DAY'), scene('INT. A3 - DAY'), b, c, scene('INT. D - DAY')]
+      };
+
+      expect(sceneNumbers(assignSceneNumbers(edited))).toEqual(['A1', '1', '1A', '1B', '2', '3', '3A']);
+    });
+
+    it('should continue the running count while the script is unlocked', () => {
+      const numbered = assignSceneNumbers(scriptOf(scene('INT. A - DAY', { sceneNumber: '1' }), scene('INT. B - DAY')));
+
+      expect(sceneNumbers(numbered)).toEqual(['1', '2']);
+    });
+
+    it('should return the same document when every scene is numbered', () => {
+      const locked = lockScript(scriptOf(scene('INT. A - DAY')));
+
+      expect(assignSceneNumbers(locked)).toBe(locked);
+    });
+  });
+
+  describe('omitScene', () => {
+    it('should replace the scene with an OMITTED placeholder that keeps its number', () => {
+      const locked = lockScript(scriptOf(scene('INT. A - DAY'), actionRows(2), scene('INT. B - DAY'), actionRows(2)));
+      const omitted = omitScene(locked, locked.lines[0].id);
+
+      expect(omitted.lines.map(l => l.text.slice(0, 12))).toEqual([OMITTED, 'INT. B - DAY', 'x'.repeat(12)]);
+      expect(omitted.lines[0].meta).toMatchObject({ sceneNumber: '1', omitted: true, omittedHeading: 'INT. A - DAY' });
+      expect(getSceneNumbers(omitted)[0]).toEqual({ lineId: locked.lines[0].id, number: '1', heading: 'INT. A - DAY', omitted: true });
+
+      const [firstRow] = paginateScript(omitted).pages[0].rows;
+      expect(firstRow).toMatchObject({ text: OMITTED, sceneNumber: '1' });
+    });
+  });
+
+  describe('locked pages', () => {
+    it('should put material that overflows a locked page on A pages', () => {
+      const first = fullPageScene('INT. A - DAY');
+      const locked = lockScript(scriptOf(first, fullPageScene('INT. B - DAY'), fullPageScene('INT. C - DAY')));
+      const edited = {
+        ...locked,
+        lines: [...locked.lines.slice(0, first.length), actionRows(5), actionRows(5), ...locked.lines.slice(first.length)]
+      };
+
+      expect(pageLabels(locked)).toEqual(['1', '2', '3']);
+      expect(pageLabels(edited)).toEqual(['1', '1A', '2', '3']);
+    });
+
+    it('should hold locked page breaks even when material is cut', () => {
+      const first = fullPageScene('INT. A - DAY');
+      const locked = lockScript(scriptOf(first, fullPageScene('INT. B - DAY')));
+      const edited = { ...locked, lines: [locked.lines[0], ...locked.lines.slice(first.length)] };
+
+      const { pages } = paginateScript(edited);
+      expect(pages.map(page => page.label)).toEqual(['1', '2']);
+      expect(pages[1].rows[0].text).toBe('INT. B - DAY');
+    });
+
+    it('should combine locked pages that lost all their material', () => {
+      const [first, second, third] = [fullPageScene('INT. A - DAY'), fullPageScene('INT. B - DAY'), fullPageScene('INT. C - DAY')];
+      const locked = lockScript(scriptOf(first, second, third));
+      const secondIds = new Set(second.map(l => l.id));
+      const edited = { ...locked, lines: locked.lines.filter(l => !secondIds.has(l.id)) };
+
+      expect(pageLabels(edited)).toEqual(['1-2', '3']);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { ELEMENT_TYPES } from '../ScriptFormatter';
+import { createScriptPDF } from '../ScriptPDF';
+
+const readPDF = async (blob) => Buffer.from(await blob.arrayBuffer()).toString('latin1');
+
+const scriptDoc = {
+  title: 'The (Long) Night',
+  titlePage: { title: 'The Long Night', author: 'Jo Writer', draftDate: 'May 2026' },
+  settings: { showSceneNumbers: true },
+  lines: [
+    { id: '1', type: ELEMENT_TYPES.SCENE, text: 'INT. DINER - NIGHT', meta: {} },
+    { id: '2', type: ELEMENT_TYPES.ACTION, text: 'Rain on the glass — “again”.', meta: { revisionColor: 'Pink' } },
+    { id: '3', type: ELEMENT_TYPES.PAGE_BREAK, text: '', meta: {} },
+    { id: '4', type: ELEMENT_TYPES.ACTION, text: 'Morning.', meta: {} }
+  ]
+};
+
+describe('ScriptPDF', () => {
+  it('should emit a PDF blob with a title page and one page per printed page', async () => {
+    const blob = createScriptPDF(scriptDoc);
+    const pdf = await readPDF(blob);
+
+    expect(blob.type).toBe('application/pdf');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/BaseFont /Courier');
+    expect(pdf).toContain('/Count 3');
+    expect(pdf).toContain('(THE LONG NIGHT) Tj');
+    expect(pdf).toContain('/Title (The \\(Long\\) Night)');
+    expect(pdf).toContain('(2.) Tj');
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  it('should print scene numbers, revision asterisks and WinAnsi punctuation', async () => {
+    const pdf = await readPDF(createScriptPDF(scriptDoc, { titlePage: false }));
+
+    expect(pdf).toContain('/Count 2');
+    expect(pdf.match(/\(1\) Tj/g)).toHaveLength(2);
+    expect(pdf).toContain('(*) Tj');
+    expect(pdf).toContain('(Rain on the glass \x97 \x93again\x94.) Tj');
+  });
+
+  it('should point the xref table at each object', async () => {
+    const pdf = await readPDF(createScriptPDF(scriptDoc));
+    const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const offsets = pdf.slice(startxref).match(/(\d{10}) 00000 n/g).map(entry => Number(entry.slice(0, 10)));
+
+    expect(pdf.slice(startxref, startxref + 4)).toBe('xref');
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset, offset + `${index + 1} 0 obj`.length)).toBe(`${index + 1} 0 obj`);
+    });
+  });
+
+  it('should render only the requested pages', async () => {
+    const pdf = await readPDF(createScriptPDF(scriptDoc, { pages: [2] }));
+
+    expect(pdf).toContain('/Count 1');
+    expect(pdf).toContain('(Morning.) Tj');
+    expect(pdf).not.toContain('THE LONG NIGHT) Tj');
+  });
+});
@@ -0,0 +1,174 @@
+import { ELEMENT_TYPES } from '../ScriptFormatter';
+import {
+  PAGE,
+  MORE,
+  CONTD,
+  wrapText,
+  stripMarkup,
+  paginateScript,
+  calculatePageCount,
+  getScenePageEighths
+} from '../ScriptPaginator';
+
+let nextId = 0;
+const line = (type, text, meta = {}) => ({ id: `line_${nextId++}`, type, text, meta });
+const action = (text, meta) => line(ELEMENT_TYPES.ACTION, text, meta);
+
+// Action paragraph that wraps to exactly `rows` printed rows at 60 characters
+const actionRows = (rows) => action(Array.from({ length: rows }, () => 'x'.repeat(59)).join(' '));
+
+describe('ScriptPaginator', () => {
+  describe('wrapText', () => {
+    it('should wrap at word boundaries and hard-break long words', () => {
+      expect(wrapText('the quick brown fox', 10)).toEqual(['the quick', 'brown fox']);
+      expect(wrapText('abcdefghijkl', 5)).toEqual(['abcde', 'fghij', 'kl']);
+      expect(wrapText('one\ntwo', 10)).toEqual(['one', 'two']);
+    });
+  });
+
+  describe('stripMarkup', () => {
+    it('should drop editor markup and notes from printed text', () => {
+      expect(stripMarkup('A *bold* _quiet_ <u>move</u>.[[check]]')).toBe('A bold quiet move.');
+    });
+  });
+
+  describe('paginateScript', () => {
+    it('should lay elements out at their standard margins', () => {
+      const { pages } = paginateScript({
+        lines: [
+          line(ELEMENT_TYPES.SCENE, 'int. kitchen - day'),
+          action('She waits.'),
+          line(ELEMENT_TYPES.CHARACTER, 'Mara'),
+          line(ELEMENT_TYPES.PARENTHETICAL, '(softly)'),
+          line(ELEMENT_TYPES.DIALOGUE, 'Hello.'),
+          line(ELEMENT_TYPES.TRANSITION, 'CUT TO:')
+        ]
+      });
+
+      expect(pages[0].rows.map(row => [row.text, row.x, row.row])).toEqual([
+        ['INT. KITCHEN - DAY', 1.5, 0],
+        ['She waits.', 1.5, 2],
+        ['MARA', 3.7, 4],
+        ['(softly)', 3.1, 5],
+        ['Hello.', 2.5, 6],
+        ['CUT TO:', 6.8, 8]
+      ]);
+    });
+
+    it('should wrap dialogue at 35 characters', () => {
+      const { pages } = paginateScript({
+        lines: [
+          line(ELEMENT_TYPES.CHARACTER, 'MARA'),
+          line(ELEMENT_TYPES.DIALOGUE, 'This sentence is definitely longer than thirty-five characters.')
+        ]
+      });
+
+      const dialogue = pages[0].rows.filter(row => row.type === ELEMENT_TYPES.DIALOGUE);
+      expect(dialogue.length).toBe(2);
+      dialogue.forEach(row => expect(row.text.length).toBeLessThanOrEqual(35));
+    });
+
+    it('should break dialogue across pages with (MORE) and (CONT\'D)', () => {
+      const { pages } = paginateScript({
+        lines: [
+          actionRows(48),
+          line(ELEMENT_TYPES.CHARACTER, 'MARA'),
+          line(ELEMENT_TYPES.DIALOGUE, 'First sentence here. Second sentence goes on. Third one now. Fourth keeps going. Fifth ends it all. Sixth is for the road. Seventh brings it home. Eighth and last.')
+        ]
+      });
+
+      const firstPage = pages[0].rows;
+      const secondPage = pages[1].rows;
+      expect(firstPage[firstPage.length - 1]).toMatchObject({ text: MORE, kind: 'more' });
+      expect(firstPage[firstPage.length - 2].text).toMatch(/[.!?]$/);
+      expect(secondPage[0]).toMatchObject({ text: `MARA${CONTD}`, kind: 'contd', row: 0 });
+      expect(firstPage.length).toBeLessThanOrEqual(PAGE.linesPerPage);
+    });
+
+    it('should not end a page on a parenthetical', () => {
+      const { pages } = paginateScript({
+        lines: [
+          actionRows(47),
+          line(ELEMENT_TYPES.CHARACTER, 'MARA'),
+          line(ELEMENT_TYPES.DIALOGUE, 'One line.'),
+          line(ELEMENT_TYPES.DIALOGUE, 'Two lines.'),
+          line(ELEMENT_TYPES.PARENTHETICAL, '(beat)'),
+          line(ELEMENT_TYPES.DIALOGUE, 'Three lines.'),
+          line(ELEMENT_TYPES.DIALOGUE, 'Four lines.'),
+          line(ELEMENT_TYPES.DIALOGUE, 'Five lines.')
+        ]
+      });
+
+      const firstPage = pages[0].rows;
+      expect(firstPage[firstPage.length - 1].text).toBe(MORE);
+      expect(firstPage[firstPage.length - 2].type).not.toBe(ELEMENT_TYPES.PARENTHETICAL);
+    });
+
+    it('should keep a scene heading with its first lines', () => {
+      const heading = line(ELEMENT_TYPES.SCENE, 'EXT. ROOF - NIGHT');
+      const { pages, scenes } = paginateScript({
+        lines: [actionRows(50), heading, actionRows(3)]
+      });
+
+      expect(pages[0].rows.some(row => row.lineId === heading.id)).toBe(false);
+      expect(pages[1].rows[0]).toMatchObject({ lineId: heading.id, row: 0 });
+      expect(scenes).toEqual([{ lineId: heading.id, number: null, startPage: 2, endPage: 2, rows: 5 }]);
+    });
+
+    it('should split long action paragraphs and count pages', () => {
+      const result = paginateScript({ lines: [actionRows(50), actionRows(10)] });
+
+      expect(result.pageCount).toBe(2);
+      expect(result.pages[0].rows.length).toBe(PAGE.linesPerPage - 1);
+      expect(calculatePageCount([actionRows(200)])).toBe(4);
+      expect(calculatePageCount([])).toBe(1);
+    });
+
+    it('should honor page breaks and skip writer-only elements', () => {
+      const { pages } = paginateScript({
+        lines: [
+          action('Page one.'),
+          line(ELEMENT_TYPES.NOTE, 'Not printed'),
+          line(ELEMENT_TYPES.PAGE_BREAK, ''),
+          action('Page two.')
+        ]
+      });
+
+      expect(pages.map(page => page.rows.map(row => row.text))).toEqual([['Page one.'], ['Page two.']]);
+    });
+
+    it('should number scenes and mark revised lines', () => {
+      const doc = {
+        settings: { showSceneNumbers: true },
+        lines: [
+          line(ELEMENT_TYPES.SCENE, 'INT. A - DAY'),
+          action('Unchanged.'),
+          line(ELEMENT_TYPES.SCENE, 'INT. B - DAY', { sceneNumber: '12A' }),
+          action('Changed.', { revisionColor: 'Blue' })
+        ]
+      };
+
+      const { pages } = paginateScript(doc);
+      expect(pages[0].rows.filter(row => row.sceneNumber).map(row => row.sceneNumber)).toEqual(['1', '12A']);
+      expect(pages[0].rows.filter(row => row.revised).map(row => row.text)).toEqual(['Changed.']);
+
+      const plain = paginateScript(doc, { sceneNumbers: false, revisionMarks: false });
+      expect(plain.pages[0].rows.some(row => row.sceneNumber || row.revised)).toBe(false);
+    });
+  });
+
+  describe('getScenePageEighths', () => {
+    it('should measure scenes in eighths of a page, at least 1/8 each', () => {
+      const short = line(ELEMENT_TYPES.SCENE, 'INT. HALL - DAY');
+      const half = line(ELEMENT_TYPES.SCENE, 'INT. KITCHEN - DAY');
+      const long = line(ELEMENT_TYPES.SCENE, 'EXT. ROOF - NIGHT');
+
+      const eighths = getScenePageEighths({
+        lines: [short, action('A door.'), half, actionRows(22), long, actionRows(40), actionRows(40)]
+      });
+
+      // 3 rows; 2 + 1 + 1 + 22 = 26 rows; 2 + 1 + 1 + 40 + 1 + 40 = 85 rows
+      expect(eighths).toEqual({ [short.id]: 1, [half.id]: 4, [long.id]: 13 });
+    });
+  });
+});
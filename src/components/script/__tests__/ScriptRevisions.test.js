@@ -0,0 +1,132 @@
+import { ELEMENT_TYPES } from '../ScriptFormatter';
+import { formatPageList } from '../ScriptPDF';
+import {
+  nextRevisionSet,
+  startRevisionSet,
+  lockRevisionSet,
+  getActiveRevisionSet,
+  revisionStamp,
+  diffRevisions,
+  getRevisedPages,
+  getRevisionSummary,
+  getRevisionVersionIds,
+  createRevisedPagesPDF
+} from '../ScriptRevisions';
+
+const readPDF = async (blob) => Buffer.from(await blob.arrayBuffer()).toString('latin1');
+
+const line = (id, type, text, meta = {}) => ({ id, type, text, meta });
+
+// Three pages, one scene each
+const draft = () => ({
+  title: 'Rewrites',
+  settings: { showSceneNumbers: true },
+  lines: [
+    line('s1', ELEMENT_TYPES.SCENE, 'INT. OFFICE - DAY'),
+    line('a1', ELEMENT_TYPES.ACTION, 'Phones ring.'),
+    line('b1', ELEMENT_TYPES.PAGE_BREAK, ''),
+    line('s2', ELEMENT_TYPES.SCENE, 'EXT. STREET - DAY'),
+    line('a2', ELEMENT_TYPES.ACTION, 'Traffic.'),
+    line('a3', ELEMENT_TYPES.ACTION, 'A horn.'),
+    line('b2', ELEMENT_TYPES.PAGE_BREAK, ''),
+    line('s3', ELEMENT_TYPES.SCENE, 'INT. CAR - NIGHT'),
+    line('a4', ELEMENT_TYPES.ACTION, 'Silence.')
+  ]
+});
+
+// Lines of the draft as saved when White was recorded
+const versionLines = { v1: draft().lines };
+
+// Applies an edit the way the editor does while a set is active
+const edit = (scriptDoc, lineId, text) => {
+  const set = getActiveRevisionSet(scriptDoc);
+  return {
+    ...scriptDoc,
+    lines: scriptDoc.lines.map(l => (l.id === lineId ? { ...l, text, meta: { ...l.meta, ...revisionStamp(set) } } : l))
+  };
+};
+
+describe('ScriptRevisions', () => {
+  it('should name sets in the standard color order, then doubled', () => {
+    expect(nextRevisionSet([])).toEqual({ name: 'White', color: 'White' });
+    expect(nextRevisionSet([{}, {}])).toEqual({ name: 'Pink', color: 'Pink' });
+    expect(nextRevisionSet(Array.from({ length: 10 }, () => ({})))).toEqual({ name: 'Double Blue', color: 'Blue' });
+  });
+
+  it('should record the draft as White when the first set starts, and lock sets with their version', () => {
+    const blue = startRevisionSet(draft(), { date: '2026-10-19', versionId: 'v1' });
+
+    expect(blue.revisionSets.map(({ name, status }) => [name, status])).toEqual([['White', 'locked'], ['Blue', 'active']]);
+    expect(blue.revisionSets[0].versionId).toBe('v1');
+    expect(blue.revisionSets[0]).not.toHaveProperty('snapshot');
+    expect(getActiveRevisionSet(blue)).toMatchObject({ name: 'Blue', color: 'Blue', date: '2026-10-19' });
+    expect(getRevisionVersionIds(blue)).toEqual(['v1']);
+
+    const pink = startRevisionSet(edit(blue, 'a1', 'Phones ring off the hook.'), { versionId: 'v2' });
+    expect(pink.revisionSets.map(({ name, status }) => [name, status])).toEqual([['White', 'locked'], ['Blue', 'locked'], ['Pink', 'active']]);
+    expect(pink.revisionSets[1].versionId).toBe('v2');
+    expect(getRevisionVersionIds(pink)).toEqual(['v2']);
+  });
+
+  it('should diff the script against the last locked set', () => {
+    let doc = startRevisionSet(draft(), { versionId: 'v1' });
+    doc = edit(doc, 'a2', 'Gridlock.');
+    doc = {
+      ...doc,
+      lines: [...doc.lines.filter(l => l.id !== 'a3'), line('new', ELEMENT_TYPES.ACTION, 'Rain starts.')]
+    };
+
+    expect(diffRevisions(doc).base).toBeNull();
+
+    const diff = diffRevisions(doc, undefined, versionLines);
+    expect(diff.base.name).toBe('White');
+    expect(diff.changed).toEqual(['a2']);
+    expect(diff.added).toEqual(['new']);
+    expect(diff.removed).toEqual([{ line: { id: 'a3', type: ELEMENT_TYPES.ACTION, text: 'A horn.' }, afterLineId: 'a2' }]);
+    const issued = lockRevisionSet(doc, { versionId: 'v2' });
+    expect(diffRevisions(issued, undefined, { ...versionLines, v2: doc.lines }).changed).toEqual([]);
+  });
+
+  it('should find the pages a set touched, including pages with cuts', () => {
+    let doc = startRevisionSet(draft(), { versionId: 'v1' });
+    doc = edit(doc, 'a4', 'Engine idles.');
+
+    expect(getRevisedPages(doc, undefined, versionLines)).toMatchObject({ pages: [3], labels: ['3'] });
+
+    doc = { ...doc, lines: doc.lines.filter(l => l.id !== 'a1') };
+    expect(getRevisedPages(doc, undefined, versionLines).pages).toEqual([1, 3]);
+    expect(formatPageList(['1', '2', '3', '5', '5A', '6'])).toBe('1-3, 5, 5A, 6');
+  });
+
+  it('should summarise a set and print only its pages behind a summary page', async () => {
+    let doc = startRevisionSet(draft(), { date: '2026-10-19', versionId: 'v1' });
+    doc = edit(doc, 'a2', 'Gridlock.');
+
+    expect(getRevisionSummary(doc, undefined, versionLines)).toEqual({
+      title: 'Rewrites',
+      set: getActiveRevisionSet(doc),
+      pages: ['2'],
+      scenes: ['2'],
+      added: 0,
+      changed: 1,
+      removed: 0,
+      history: [
+        { name: 'White', date: expect.any(String), status: 'locked' },
+        { name: 'Blue', date: '2026-10-19', status: 'active' }
+      ]
+    });
+
+    const pdf = await readPDF(createRevisedPagesPDF(doc, { versionLines }));
+    expect(pdf).toContain('/Count 2');
+    expect(pdf).toContain('(REVISION SUMMARY) Tj');
+    expect(pdf).toContain('(Revised pages: 2) Tj');
+    expect(pdf).toContain('(Blue Rev. 2026-10-19) Tj');
+    expect(pdf).toContain('(Gridlock.) Tj');
+    expect(pdf).not.toContain('(Phones ring.) Tj');
+    expect(pdf).toContain('(*) Tj');
+  });
+
+  it('should refuse to print revised pages without revision sets', () => {
+    expect(() => createRevisedPagesPDF(draft())).toThrow('The script has no revision sets');
+  });
+});
@@ -0,0 +1,43 @@
+import { ELEMENT_TYPES } from '../ScriptFormatter';
+import { parseSceneHeading, getSceneSynopsis, getScriptScenes } from '../ScriptScenes';
+
+const line = (id, type, text, meta = {}) => ({ id, type, text, meta });
+
+describe('ScriptScenes', () => {
+  it('should split headings into location type and time of day', () => {
+    expect(parseSceneHeading('INT. KITCHEN - NIGHT')).toEqual({ locationType: 'INT', timeOfDay: 'NIGHT' });
+    expect(parseSceneHeading('EXT. ROOF - DAY - LATER')).toEqual({ locationType: 'EXT', timeOfDay: 'LATER' });
+    expect(parseSceneHeading('INT./EXT. CAR - dusk')).toEqual({ locationType: 'INT', timeOfDay: 'DUSK' });
+    expect(parseSceneHeading('EXT. FIELD')).toEqual({ locationType: 'EXT', timeOfDay: '' });
+  });
+
+  it('should list scene headings with numbers, durations, page lengths and synopses', () => {
+    const scenes = getScriptScenes({
+      lines: [
+        line('s1', ELEMENT_TYPES.SCENE, 'INT. KITCHEN - NIGHT'),
+        line('a1', ELEMENT_TYPES.ACTION, Array(300).fill('word').join(' ')),
+        line('s2', ELEMENT_TYPES.GENERAL, 'EXT ROOF - DAY'),
+        line('s3', ELEMENT_TYPES.SCENE, 'OMITTED', { sceneNumber: '3', omitted: true, omittedHeading: 'INT. HALL - DAY' })
+      ]
+    }, 'film_tv');
+
+    expect(scenes).toEqual([
+      { lineId: 's1', number: '1', heading: 'INT. KITCHEN - NIGHT', omitted: false, locationType: 'INT', timeOfDay: 'NIGHT', durationMins: 2.4, pageEighths: 4, synopsis: `${Array(24).fill('word').join(' ')}…` },
+      { lineId: 's2', number: '2', heading: 'EXT ROOF - DAY', omitted: false, locationType: 'EXT', timeOfDay: 'DAY', durationMins: 0.5, pageEighths: 1, synopsis: '' },
+      { lineId: 's3', number: '3', heading: 'INT. HALL - DAY', omitted: true, locationType: 'INT', timeOfDay: 'DAY', durationMins: 0.5, pageEighths: 1, synopsis: '' }
+    ]);
+  });
+
+  it('should describe a scene by its synopsis lines, or else its first sentence of action', () => {
+    expect(getSceneSynopsis([
+      line('a1', ELEMENT_TYPES.ACTION, 'Anna enters.'),
+      line('y1', ELEMENT_TYPES.SYNOPSIS, 'Anna finds the letter.'),
+      line('y2', ELEMENT_TYPES.SYNOPSIS, 'She hides it.')
+    ])).toBe('Anna finds the letter. She hides it.');
+    expect(getSceneSynopsis([
+      line('c1', ELEMENT_TYPES.CHARACTER, 'ANNA'),
+      line('a1', ELEMENT_TYPES.ACTION, '*Anna* enters the  kitchen. She stops. Dr. Who?')
+    ])).toBe('Anna enters the kitchen.');
+    expect(getSceneSynopsis([line('d1', ELEMENT_TYPES.DIALOGUE, 'Hello.')])).toBe('');
+  });
+});
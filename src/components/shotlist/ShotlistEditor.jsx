@@ -65,7 +65,7 @@ export default function ShotlistEditor({ projectId }) {
 
   const deleteShot = async (shotId) => {
     try {
-      await Shot.delete(shotId);
+      await Shot.delete(shotId, projectId);
       setShots(prev => prev.filter(s => s.id !== shotId));
     } catch (error) {
       console.error('Error deleting shot:', error);
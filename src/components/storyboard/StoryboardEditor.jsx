@@ -298,7 +298,7 @@ export default function StoryboardEditor({ projectId }) {
 
   const deleteShot = useCallback(async (shotId) => {
     try {
-      await StoryboardFrame.delete(shotId);
+      await StoryboardFrame.delete(shotId, projectId);
       
       setShots(prev => {
         const newShots = { ...prev };
@@ -327,7 +327,7 @@ export default function StoryboardEditor({ projectId }) {
       console.error('Error deleting shot:', error);
       toast.error('Failed to delete shot');
     }
-  }, [selectedShotId]);
+  }, [selectedShotId, projectId]);
 
   const toggleSequenceExpanded = useCallback((seqId) => {
     setExpandedSequences(prev => {
@@ -192,7 +192,7 @@ export default function TeamManager({ projectId }) {
       if (existingPermission) {
         if (currentPermission === 'write') {
           // Remove permission (set to read-only via role)
-          await ResourcePermission.delete(existingPermission.id);
+          await ResourcePermission.delete(existingPermission.id, projectId);
         } else {
           // Update to write
           await ResourcePermission.update(existingPermission.id, { permission: 'write' });
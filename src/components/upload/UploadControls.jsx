@@ -0,0 +1,36 @@
+import { Pause, Play, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+/**
+ * Pause/resume and cancel buttons for an upload from useUpload
+ */
+export default function UploadControls({ progress, onPause, onResume, onCancel }) {
+  const paused = progress.state === 'paused';
+
+  return (
+    <div className="flex items-center justify-center gap-1">
+      <Button
+        type="button"
+        variant="ghost"
+        size="icon"
+        className="h-6 w-6"
+        onClick={paused ? onResume : onPause}
+        title={paused ? 'Resume upload' : 'Pause upload'}
+        aria-label={paused ? 'Resume upload' : 'Pause upload'}
+      >
+        {paused ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}
+      </Button>
+      <Button
+        type="button"
+        variant="ghost"
+        size="icon"
+        className="h-6 w-6"
+        onClick={onCancel}
+        title="Cancel upload"
+        aria-label="Cancel upload"
+      >
+        <X className="w-3 h-3" />
+      </Button>
+    </div>
+  );
+}
@@ -81,7 +81,7 @@ export const useProductionElements = (projectId) => {
   // Delete element
   const deleteElement = useCallback(async (elementId) => {
     try {
-      await ProductionElement.delete(elementId);
+      await ProductionElement.delete(elementId, projectId);
       
       setElements(prev => prev.filter(element => element.id !== elementId));
       return true;
@@ -90,7 +90,7 @@ export const useProductionElements = (projectId) => {
       setError(err.message);
       throw err;
     }
-  }, []);
+  }, [projectId]);
 
   // Link element to scene
   const linkElementToScene = useCallback(async (elementId, sceneId) => {
@@ -181,7 +181,7 @@ export const useProductionElements = (projectId) => {
   // Delete actor
   const deleteActor = useCallback(async (actorId) => {
     try {
-      await Actor.delete(actorId);
+      await Actor.delete(actorId, projectId);
       
       setActors(prev => prev.filter(actor => actor.id !== actorId));
       return true;
@@ -190,7 +190,7 @@ export const useProductionElements = (projectId) => {
       setError(err.message);
       throw err;
     }
-  }, []);
+  }, [projectId]);
 
   // Load data on mount
   useEffect(() => {
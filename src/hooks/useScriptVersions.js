@@ -6,6 +6,8 @@ export const useScriptVersions = (projectId) => {
   const [currentVersion, setCurrentVersion] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Lines of versions that revision sets were issued as, by version ID
+  const [versionLines, setVersionLines] = useState({});
 
   // Load versions for a project
   const loadVersions = useCallback(async () => {
@@ -60,6 +62,7 @@ export const useScriptVersions = (projectId) => {
       // Update local state
       setVersions(prev => [newVersion, ...prev]);
       setCurrentVersion(newVersion);
+      setVersionLines(prev => ({ ...prev, [newVersion.id]: scriptDoc.lines || [] }));
       
       return newVersion;
     } catch (err) {
@@ -69,6 +72,40 @@ export const useScriptVersions = (projectId) => {
     }
   }, [projectId]);
 
+  // Find a version saved by someone else since `baseContent` was loaded.
+  // Every save marks its version current, so only that one is read, not the history.
+  const getConflictingVersion = useCallback(async (baseContent) => {
+    if (!projectId || !baseContent) return null;
+
+    try {
+      const [latest] = await ScriptRevision.filter({ project_id: projectId, is_current: true }, '-created_date', 1);
+      return latest && latest.content !== baseContent ? latest : null;
+    } catch (err) {
+      console.error('Error checking script versions:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [projectId]);
+
+  // Load the lines of saved versions not loaded yet, for comparing revision sets
+  const loadVersionLines = useCallback(async (versionIds) => {
+    const missing = versionIds.filter(id => !versionLines[id]);
+    if (!projectId || missing.length === 0) return;
+
+    try {
+      const loaded = await Promise.all(missing.map(id => ScriptRevision.get(id, projectId)));
+      setVersionLines(prev => ({
+        ...prev,
+        ...Object.fromEntries(loaded
+          .filter(Boolean)
+          .map(version => [version.id, JSON.parse(version.content).lines || []]))
+      }));
+    } catch (err) {
+      console.error('Error loading script version lines:', err);
+      setError(err.message);
+    }
+  }, [projectId, versionLines]);
+
   // Restore a version
   const restoreVersion = useCallback(async (version) => {
     if (!projectId || !version) return null;
@@ -103,7 +140,7 @@ export const useScriptVersions = (projectId) => {
     if (!version) return false;
     
     try {
-      await ScriptRevision.delete(version.id);
+      await ScriptRevision.delete(version.id, projectId);
       
       // Update local state
       setVersions(prev => prev.filter(v => v.id !== version.id));
@@ -121,7 +158,7 @@ export const useScriptVersions = (projectId) => {
       setError(err.message);
       return false;
     }
-  }, [versions, restoreVersion]);
+  }, [projectId, versions, restoreVersion]);
 
   // Download version content
   const downloadVersion = useCallback((version) => {
@@ -192,8 +229,11 @@ export const useScriptVersions = (projectId) => {
     currentVersion,
     isLoading,
     error,
+    versionLines,
     loadVersions,
+    loadVersionLines,
     createVersion,
+    getConflictingVersion,
     restoreVersion,
     deleteVersion,
     downloadVersion,
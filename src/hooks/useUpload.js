@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { startUpload } from '@/lib/storage';
+
+// One resumable upload at a time, with its progress and pause, resume and
+// cancel controls. An upload still running when the component unmounts is
+// cancelled.
+export const useUpload = (projectId) => {
+  const handleRef = useRef(null);
+  const cancelledRef = useRef(false);
+  // { name, percent, state } while an upload is in progress
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => () => handleRef.current?.cancel(), []);
+
+  // Resolves with the upload result, or null when the upload was cancelled
+  const upload = useCallback(async (path, file) => {
+    const handle = startUpload(projectId, path, file, {
+      onProgress: ({ percent, state }) => setProgress({ name: file.name, percent, state })
+    });
+    handleRef.current = handle;
+    cancelledRef.current = false;
+    setProgress({ name: file.name, percent: 0, state: 'running' });
+
+    try {
+      return await handle.promise;
+    } catch (err) {
+      if (cancelledRef.current) return null;
+      throw err;
+    } finally {
+      handleRef.current = null;
+      setProgress(null);
+    }
+  }, [projectId]);
+
+  const pause = useCallback(() => {
+    handleRef.current?.pause();
+  }, []);
+
+  const resume = useCallback(() => {
+    handleRef.current?.resume();
+  }, []);
+
+  const cancel = useCallback(() => {
+    cancelledRef.current = true;
+    handleRef.current?.cancel();
+  }, []);
+
+  return {
+    upload,
+    progress,
+    isUploading: progress !== null,
+    pause,
+    resume,
+    cancel
+  };
+};
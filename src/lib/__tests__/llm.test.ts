@@ -0,0 +1,168 @@
+// src/lib/__tests__/llm.test.ts
+import { createServer, type Server } from 'http';
+import type { AddressInfo } from 'net';
+import {
+  invokeLLM,
+  validateJsonSchema,
+  extractJson,
+  createHttpProvider,
+  setLLMProvider,
+  type LLMProvider,
+  type JsonSchema
+} from '../llm';
+
+jest.mock('../../modules/assistant/contextLoaders', () => ({
+  getProjectContext: jest.fn(() => Promise.resolve({ project: { name: 'Demo' }, scenes: [], catalog: {} })),
+  formatProjectContext: jest.fn(() => 'Project Context for "Demo"')
+}));
+
+const elementsSchema: JsonSchema = {
+  type: 'object',
+  required: ['elements'],
+  properties: {
+    elements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'element_type'],
+        properties: {
+          name: { type: 'string' },
+          element_type: { type: 'string', enum: ['prop', 'cast'] }
+        }
+      }
+    }
+  }
+};
+
+const providerReplying = (...replies: string[]): LLMProvider & { complete: jest.Mock } => {
+  const complete = jest.fn();
+  replies.forEach(reply => complete.mockResolvedValueOnce(reply));
+  return { complete };
+};
+
+describe('LLM helper', () => {
+  afterEach(() => {
+    setLLMProvider(null);
+  });
+
+  describe('validateJsonSchema', () => {
+    it('should accept values matching the schema', () => {
+      expect(validateJsonSchema({ elements: [{ name: 'Gun', element_type: 'prop' }] }, elementsSchema)).toEqual([]);
+    });
+
+    it('should report missing, mistyped and out-of-enum fields with paths', () => {
+      const errors = validateJsonSchema(
+        { elements: [{ name: 3, element_type: 'vehicle' }, {}] },
+        elementsSchema
+      );
+
+      expect(errors).toEqual([
+        '$.elements[0].name should be string but was number',
+        '$.elements[0].element_type should be one of "prop", "cast"',
+        '$.elements[1].name is required',
+        '$.elements[1].element_type is required'
+      ]);
+    });
+  });
+
+  describe('extractJson', () => {
+    it('should parse fenced and prose-wrapped JSON', () => {
+      expect(extractJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+      expect(extractJson('Here you go: [1, 2] hope it helps')).toEqual([1, 2]);
+      expect(extractJson('no json here')).toBeUndefined();
+    });
+  });
+
+  describe('invokeLLM', () => {
+    it('should return the raw reply when no schema is given', async () => {
+      const provider = providerReplying('FADE IN:');
+
+      const result = await invokeLLM({ prompt: 'Continue the scene', provider });
+
+      expect(result).toBe('FADE IN:');
+      expect(provider.complete).toHaveBeenCalledWith([{ role: 'user', content: 'Continue the scene' }], undefined);
+    });
+
+    it('should parse and validate schema-constrained replies', async () => {
+      const provider = providerReplying('{"elements": [{"name": "Gun", "element_type": "prop"}]}');
+
+      const result = await invokeLLM({ prompt: 'Break down', response_json_schema: elementsSchema, provider });
+
+      expect(result).toEqual({ elements: [{ name: 'Gun', element_type: 'prop' }] });
+      expect(provider.complete.mock.calls[0][0][0].role).toBe('system');
+    });
+
+    it('should retry with validation errors when the reply is malformed', async () => {
+      const provider = providerReplying(
+        'Sure! Here are the elements.',
+        '{"elements": [{"name": "Gun"}]}',
+        '{"elements": [{"name": "Gun", "element_type": "prop"}]}'
+      );
+
+      const result = await invokeLLM({ prompt: 'Break down', response_json_schema: elementsSchema, provider });
+
+      expect(result.elements).toHaveLength(1);
+      expect(provider.complete).toHaveBeenCalledTimes(3);
+      const retryMessages = provider.complete.mock.calls[2][0];
+      expect(retryMessages[retryMessages.length - 1].content).toContain('$.elements[0].element_type is required');
+    });
+
+    it('should give up after maxRetries', async () => {
+      const provider = providerReplying('nope', 'still nope');
+
+      await expect(
+        invokeLLM({ prompt: 'Break down', response_json_schema: elementsSchema, provider, maxRetries: 1 })
+      ).rejects.toThrow('InvokeLLM failed after 2 attempts: Reply was not valid JSON');
+    });
+
+    it('should load project context when add_context names a project', async () => {
+      const provider = providerReplying('ok');
+
+      await invokeLLM({ prompt: 'Summarize', add_context: { projectId: 'project-123' }, provider });
+
+      expect(provider.complete).toHaveBeenCalledWith([
+        { role: 'system', content: 'Project Context for "Demo"' },
+        { role: 'user', content: 'Summarize' }
+      ], 'project-123');
+    });
+
+    it('should use the default provider set through setLLMProvider', async () => {
+      const provider = providerReplying('from default');
+      setLLMProvider(provider);
+
+      await expect(invokeLLM({ prompt: 'Hi' })).resolves.toBe('from default');
+    });
+  });
+
+  describe('createHttpProvider', () => {
+    let server: Server;
+    let apiUrl: string;
+
+    beforeAll(async () => {
+      // Local stand-in for api/ai.ts streaming the reply as server-sent events
+      server = createServer((request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        ['{"elements": [', '{"name": "Gun", "element_type": "prop"}', ']}'].forEach(content => {
+          response.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+        });
+        response.end('data: [DONE]\n\n');
+      });
+      await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+      apiUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api/ai`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should invoke the LLM through a local mock server', async () => {
+      const result = await invokeLLM({
+        prompt: 'Break down',
+        response_json_schema: elementsSchema,
+        provider: createHttpProvider(apiUrl)
+      });
+
+      expect(result).toEqual({ elements: [{ name: 'Gun', element_type: 'prop' }] });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// src/lib/__tests__/mail.test.ts
+import {
+  sendMail,
+  setMailTransport,
+  getMailTransport,
+  createConsoleTransport,
+  createFileTransport,
+  createHttpTransport,
+  formatEmlMessage,
+  type MailTransport
+} from '../mail';
+
+jest.mock('../firebase.client', () => ({
+  auth: { currentUser: null }
+}));
+
+const message = {
+  to: 'grip@example.com',
+  toName: 'José Grip',
+  subject: 'Call Sheet: Unit 1 - 2026-11-02',
+  text: 'Your call: 07:00',
+  html: '<p>Your call: <strong>07:00</strong></p>'
+};
+
+describe('mail', () => {
+  afterEach(() => {
+    setMailTransport(null);
+  });
+
+  it('should send through the default transport until it is reset', async () => {
+    const transport: MailTransport = { name: 'test', send: jest.fn().mockResolvedValue({ messageId: 'id-1' }) };
+    setMailTransport(transport);
+
+    await expect(sendMail(message)).resolves.toEqual({ messageId: 'id-1' });
+    expect(transport.send).toHaveBeenCalledWith(message);
+
+    setMailTransport(null);
+    expect(getMailTransport()).not.toBe(transport);
+  });
+
+  it('should require a recipient', async () => {
+    const transport = createConsoleTransport(jest.fn());
+    await expect(sendMail({ ...message, to: '' }, transport)).rejects.toThrow('recipient');
+  });
+
+  it('should log messages with the console transport', async () => {
+    const log = jest.fn();
+    const result = await sendMail(message, createConsoleTransport(log));
+
+    expect(result.messageId).toBe('console-1');
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('To: grip@example.com'));
+  });
+
+  it('should save .eml files with the file transport', async () => {
+    const save = jest.fn();
+    await sendMail(message, createFileTransport(save));
+
+    const [filename, content] = save.mock.calls[0];
+    expect(filename).toBe('001-grip_example_com.eml');
+    expect(content).toContain('To: =?UTF-8?B?');
+    expect(content).toContain('Content-Type: multipart/alternative');
+    expect(content).toContain('<strong>07:00</strong>');
+  });
+
+  it('should format text-only messages without parts', () => {
+    const content = formatEmlMessage({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+
+    expect(content).toContain('To: a@example.com\r\nSubject: Hi');
+    expect(content).toContain('Content-Type: text/plain; charset=UTF-8\r\n\r\nHello');
+  });
+
+  it('should send call sheets to the HTTP endpoint with the user\'s ID token', async () => {
+    const fetchMock = jest.fn()
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ messageId: 'smtp-1' }) })
+      .mockResolvedValueOnce({ ok: false, status: 502, json: () => Promise.resolve({ error: 'SMTP error: 550 No such user' }) });
+    const originalFetch = global.fetch;
+    global.fetch = fetchMock as any;
+    const transport = createHttpTransport('/api/mail', () => Promise.resolve('id-token'));
+    const callSheetMessage = {
+      ...message,
+      callSheetRecipient: { projectId: 'project-123', callSheetId: 'sheet-1', contactId: 'grip' }
+    };
+
+    try {
+      await expect(transport.send(callSheetMessage)).resolves.toEqual({ messageId: 'smtp-1' });
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe('/api/mail');
+      expect(init.headers.Authorization).toBe('Bearer id-token');
+      // The endpoint looks the address up from the contact
+      expect(JSON.parse(init.body)).toEqual({
+        projectId: 'project-123',
+        callSheetId: 'sheet-1',
+        contactId: 'grip',
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+      await expect(transport.send(callSheetMessage)).rejects.toThrow('550 No such user');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should send other mail to the HTTP endpoint for a project', async () => {
+    const fetchMock = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ messageId: 'smtp-2' }) });
+    const originalFetch = global.fetch;
+    global.fetch = fetchMock as any;
+
+    try {
+      const transport = createHttpTransport('/api/mail', () => Promise.resolve('id-token'));
+      await expect(transport.send({ ...message, projectId: 'project-123' })).resolves.toEqual({ messageId: 'smtp-2' });
+      // The endpoint checks the address belongs to a project member
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        projectId: 'project-123',
+        to: 'grip@example.com',
+        toName: 'José Grip',
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should only send project mail to signed-in users through the HTTP transport', async () => {
+    const recipient = { projectId: 'project-123', callSheetId: 'sheet-1', contactId: 'grip' };
+
+    await expect(createHttpTransport('/api/mail', () => Promise.resolve('id-token')).send(message))
+      .rejects.toThrow('needs a project or a call sheet recipient');
+    await expect(createHttpTransport('/api/mail').send({ ...message, callSheetRecipient: recipient }))
+      .rejects.toThrow('Sign in');
+  });
+});
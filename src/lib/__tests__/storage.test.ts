@@ -0,0 +1,214 @@
+// src/lib/__tests__/storage.test.ts
+import {
+  uploadFile,
+  startUpload,
+  deleteFile,
+  detectContentType,
+  resolveStoragePath,
+  getStorageUsage
+} from '../storage';
+import {
+  ref,
+  uploadBytesResumable,
+  getDownloadURL,
+  getMetadata,
+  deleteObject
+} from 'firebase/storage';
+import { doc, getDoc, setDoc, runTransaction } from 'firebase/firestore';
+import { db, storage } from '../firebase.client';
+
+// Mock Firebase
+jest.mock('firebase/storage', () => ({
+  ref: jest.fn(),
+  uploadBytesResumable: jest.fn(),
+  getDownloadURL: jest.fn(),
+  getMetadata: jest.fn(),
+  deleteObject: jest.fn()
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: jest.fn(),
+  getDoc: jest.fn(),
+  setDoc: jest.fn(),
+  increment: jest.fn((value) => ({ type: 'increment', value })),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../firebase.client', () => ({
+  db: 'mock-db',
+  storage: 'mock-storage'
+}));
+
+const mockRef = ref as jest.MockedFunction<typeof ref>;
+const mockUploadBytesResumable = uploadBytesResumable as jest.MockedFunction<typeof uploadBytesResumable>;
+const mockGetDownloadURL = getDownloadURL as jest.MockedFunction<typeof getDownloadURL>;
+const mockGetMetadata = getMetadata as jest.MockedFunction<typeof getMetadata>;
+const mockDeleteObject = deleteObject as jest.MockedFunction<typeof deleteObject>;
+const mockDoc = doc as jest.MockedFunction<typeof doc>;
+const mockGetDoc = getDoc as jest.MockedFunction<typeof getDoc>;
+const mockSetDoc = setDoc as jest.MockedFunction<typeof setDoc>;
+const mockRunTransaction = runTransaction as jest.MockedFunction<typeof runTransaction>;
+const transaction = { get: jest.fn(), set: jest.fn() };
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Builds an upload task stub that reports the given progress snapshots
+ */
+function mockUploadTask(options: { fail?: any } = {}) {
+  const handlers: { next?: any; error?: any; complete?: any } = {};
+  const task = {
+    snapshot: { ref: 'uploaded-ref' },
+    on: jest.fn((event, next, error, complete) => {
+      Object.assign(handlers, { next, error, complete });
+    }),
+    pause: jest.fn(() => true),
+    resume: jest.fn(() => true),
+    cancel: jest.fn(() => {
+      handlers.error?.({ code: 'storage/canceled' });
+      return true;
+    }),
+    emit(bytesTransferred: number, totalBytes: number, state = 'running') {
+      handlers.next?.({ bytesTransferred, totalBytes, state });
+    },
+    finish() {
+      if (options.fail) {
+        handlers.error?.(options.fail);
+      } else {
+        handlers.complete?.();
+      }
+    }
+  };
+  mockUploadBytesResumable.mockReturnValue(task as any);
+  return task;
+}
+
+describe('Storage helpers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDoc.mockReturnValue('mock-usage-doc' as any);
+    mockRef.mockReturnValue('mock-ref' as any);
+    mockGetDoc.mockResolvedValue({ exists: () => true, data: () => ({ bytesUsed: 100, quotaBytes: 1000 }) } as any);
+    mockGetDownloadURL.mockResolvedValue('https://storage.example.com/file.png');
+    transaction.get.mockImplementation(ref => mockGetDoc(ref));
+    mockRunTransaction.mockImplementation(async (_db, update) => update(transaction as any));
+  });
+
+  describe('detectContentType', () => {
+    it('should prefer the MIME type and fall back to the extension', () => {
+      expect(detectContentType(new Blob(['x'], { type: 'image/png' }))).toBe('image/png');
+      expect(detectContentType(new Blob(['x']), 'draft.fdx')).toBe('application/xml');
+      expect(detectContentType(new Blob(['x']), 'notes.unknown')).toBe('application/octet-stream');
+    });
+  });
+
+  describe('resolveStoragePath', () => {
+    it('should place generated and relative paths under the project', () => {
+      expect(resolveStoragePath('project-123', 'project-123/moodboard/a.png')).toBe('projects/project-123/moodboard/a.png');
+      expect(resolveStoragePath('project-123', 'av-script/b.png')).toBe('projects/project-123/av-script/b.png');
+    });
+  });
+
+  describe('getStorageUsage', () => {
+    it('should default to zero usage when nothing has been uploaded', async () => {
+      mockGetDoc.mockResolvedValue({ exists: () => false } as any);
+
+      const usage = await getStorageUsage('project-123');
+
+      expect(mockDoc).toHaveBeenCalledWith(db, 'projects', 'project-123', 'usage', 'storage');
+      expect(usage.bytesUsed).toBe(0);
+      expect(usage.quotaBytes).toBeGreaterThan(0);
+    });
+  });
+
+  describe('uploadFile', () => {
+    it('should reserve quota, then upload resumably and report progress', async () => {
+      const task = mockUploadTask();
+      const onProgress = jest.fn();
+      const file = new Blob(['hello'], { type: 'image/png' });
+
+      const upload = uploadFile('project-123', 'project-123/moodboard/a.png', file, { onProgress });
+      await flush();
+      task.emit(2, 5);
+      task.finish();
+      const result = await upload;
+
+      expect(mockRef).toHaveBeenCalledWith(storage, 'projects/project-123/moodboard/a.png');
+      expect(mockUploadBytesResumable).toHaveBeenCalledWith('mock-ref', file, {
+        contentType: 'image/png',
+        customMetadata: { projectId: 'project-123' }
+      });
+      expect(onProgress).toHaveBeenCalledWith({ bytesTransferred: 2, totalBytes: 5, percent: 40, state: 'running' });
+      expect(transaction.set).toHaveBeenCalledWith('mock-usage-doc', {
+        bytesUsed: 105,
+        updatedAt: 'mock-timestamp'
+      }, { merge: true });
+      expect(mockSetDoc).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        url: 'https://storage.example.com/file.png',
+        path: 'projects/project-123/moodboard/a.png',
+        size: 5,
+        contentType: 'image/png'
+      });
+    });
+
+    it('should reject uploads that exceed the project quota', async () => {
+      const file = new Blob(['x'.repeat(1000)]);
+
+      await expect(uploadFile('project-123', 'big.bin', file)).rejects.toThrow('Storage quota exceeded');
+      expect(transaction.set).not.toHaveBeenCalled();
+      expect(mockUploadBytesResumable).not.toHaveBeenCalled();
+    });
+
+    it('should surface storage errors and release the reservation', async () => {
+      const task = mockUploadTask({ fail: new Error('permission denied') });
+
+      const upload = uploadFile('project-123', 'a.png', new Blob(['x']));
+      await flush();
+      task.finish();
+
+      await expect(upload).rejects.toThrow('Failed to upload file: permission denied');
+      expect(mockSetDoc).toHaveBeenCalledWith('mock-usage-doc', {
+        bytesUsed: { type: 'increment', value: -1 },
+        updatedAt: 'mock-timestamp'
+      }, { merge: true });
+    });
+  });
+
+  describe('startUpload', () => {
+    it('should pause, resume and cancel the transfer', async () => {
+      const task = mockUploadTask();
+
+      const handle = startUpload('project-123', 'a.png', new Blob(['x']));
+      await flush();
+
+      expect(handle.pause()).toBe(true);
+      expect(handle.resume()).toBe(true);
+      handle.cancel();
+
+      await expect(handle.promise).rejects.toThrow('Upload cancelled');
+      expect(task.pause).toHaveBeenCalled();
+      expect(task.resume).toHaveBeenCalled();
+      expect(mockSetDoc).toHaveBeenCalledWith('mock-usage-doc', expect.objectContaining({
+        bytesUsed: { type: 'increment', value: -1 }
+      }), { merge: true });
+    });
+  });
+
+  describe('deleteFile', () => {
+    it('should delete the object and release its quota', async () => {
+      mockGetMetadata.mockResolvedValue({ size: 5, customMetadata: { projectId: 'project-123' } } as any);
+      mockDeleteObject.mockResolvedValue(undefined);
+
+      await deleteFile('https://storage.example.com/file.png');
+
+      expect(mockRef).toHaveBeenCalledWith(storage, 'https://storage.example.com/file.png');
+      expect(mockDeleteObject).toHaveBeenCalledWith('mock-ref');
+      expect(mockSetDoc).toHaveBeenCalledWith('mock-usage-doc', {
+        bytesUsed: { type: 'increment', value: -5 },
+        updatedAt: 'mock-timestamp'
+      }, { merge: true });
+    });
+  });
+});
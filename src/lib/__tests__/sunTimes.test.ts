@@ -0,0 +1,33 @@
+// src/lib/__tests__/sunTimes.test.ts
+import { getSunTimes, formatSunTime } from '../sunTimes';
+
+describe('sunTimes', () => {
+  it('should compute sun times for New York at the summer solstice', () => {
+    const sun = getSunTimes('2026-06-21', 40.7128, -74.006);
+    const local = (time: Date | null) => formatSunTime(time, 'America/New_York');
+
+    // Published times: sunrise 05:25, sunset 20:31
+    expect(local(sun.sunrise)).toMatch(/^05:2[4-6]$/);
+    expect(local(sun.sunset)).toMatch(/^20:(30|31|32)$/);
+    expect(local(sun.civilDawn)).toMatch(/^04:5[1-5]$/);
+    expect(local(sun.civilDusk)).toMatch(/^21:0[2-6]$/);
+    expect(sun.goldenHourMorningEnd!.valueOf()).toBeGreaterThan(sun.sunrise!.valueOf());
+    expect(sun.goldenHourEveningStart!.valueOf()).toBeLessThan(sun.sunset!.valueOf());
+  });
+
+  it('should pick the local day for places far from Greenwich', () => {
+    const sun = getSunTimes('2026-01-10', -33.8688, 151.2093);
+
+    // Sydney sunrise is about 05:55 AEDT
+    expect(formatSunTime(sun.sunrise, 'Australia/Sydney')).toMatch(/^05:5[4-7]$/);
+    expect(sun.sunrise!.toISOString().slice(0, 10)).toBe('2026-01-09');
+  });
+
+  it('should leave out events the sun never reaches', () => {
+    const sun = getSunTimes('2026-06-21', 78.22, 15.65);
+
+    expect(sun.sunrise).toBeNull();
+    expect(sun.sunset).toBeNull();
+    expect(formatSunTime(sun.sunrise)).toBe('');
+  });
+});
@@ -0,0 +1,58 @@
+// src/lib/__tests__/weather.test.ts
+import {
+  getForecast,
+  setForecastProvider,
+  createMockForecastProvider,
+  createOpenMeteoProvider,
+  describeWeatherCode
+} from '../weather';
+
+describe('weather', () => {
+  afterEach(() => {
+    setForecastProvider(undefined);
+  });
+
+  it('should ask the default provider until it is reset', async () => {
+    setForecastProvider(createMockForecastProvider({ high: 50, low: 40, condition: 'Rain' }));
+    await expect(getForecast(47.6, -122.3, '2026-11-02')).resolves.toEqual({ high: 50, low: 40, condition: 'Rain' });
+
+    setForecastProvider(null);
+    await expect(getForecast(47.6, -122.3, '2026-11-02')).resolves.toBeNull();
+  });
+
+  it('should describe WMO weather codes', () => {
+    expect(describeWeatherCode(0)).toBe('Clear');
+    expect(describeWeatherCode(45)).toBe('Fog');
+    expect(describeWeatherCode(63)).toBe('Rain');
+    expect(describeWeatherCode(95)).toBe('Thunderstorm');
+  });
+
+  it('should read daily forecasts from Open-Meteo', async () => {
+    const fetchMock = jest.fn()
+      .mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          timezone: 'America/Los_Angeles',
+          daily: { time: ['2026-11-02'], temperature_2m_max: [58.6], temperature_2m_min: [44.2], weather_code: [3] }
+        })
+      })
+      .mockResolvedValueOnce({ ok: false, status: 400, json: () => Promise.resolve({ error: true, reason: 'Out of range' }) });
+    const originalFetch = global.fetch;
+    global.fetch = fetchMock as any;
+    const provider = createOpenMeteoProvider('/forecast');
+
+    try {
+      await expect(provider.getForecast(47.6, -122.3, '2026-11-02')).resolves.toEqual({
+        high: 59,
+        low: 44,
+        condition: 'Overcast',
+        timeZone: 'America/Los_Angeles'
+      });
+      expect(fetchMock.mock.calls[0][0]).toContain('/forecast?latitude=47.6&longitude=-122.3');
+      expect(fetchMock.mock.calls[0][0]).toContain('temperature_unit=fahrenheit');
+      await expect(provider.getForecast(47.6, -122.3, '2027-11-02')).resolves.toBeNull();
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+});
@@ -102,6 +102,9 @@ export class AIClient {
             }
           }
         }
+
+        // Stream closed without a [DONE] marker
+        onComplete?.(fullContent);
       } finally {
         reader.releaseLock();
       }
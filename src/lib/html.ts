@@ -0,0 +1,14 @@
+// HTML helpers for the printable and emailed documents (call sheets, breakdown sheets)
+
+/**
+ * Escapes text for use in HTML content and double-quoted attributes
+ * @param text - Text to escape
+ * @returns The escaped text
+ */
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
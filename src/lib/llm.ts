@@ -0,0 +1,256 @@
+// LLM invocation helper built on top of AIClient
+// Provides one-shot prompts with optional JSON-schema-constrained replies
+
+import { AIClient, aiClient, type ChatMessage } from './ai-client';
+import { getProjectContext, formatProjectContext } from '../modules/assistant/contextLoaders';
+import { createDefaultProvider } from './providers';
+
+export interface LLMProvider {
+  complete(messages: ChatMessage[], projectId?: string): Promise<string>;
+}
+
+/**
+ * Minimal JSON schema subset understood by the validator:
+ * type, properties, required, items, enum, minItems, maxItems
+ */
+export interface JsonSchema {
+  type?: string | string[];
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  items?: JsonSchema;
+  enum?: any[];
+  minItems?: number;
+  maxItems?: number;
+  description?: string;
+  [keyword: string]: any;
+}
+
+export interface ProjectContextRequest {
+  projectId: string;
+  scriptId?: string;
+}
+
+export interface InvokeLLMOptions {
+  prompt: string;
+  response_json_schema?: JsonSchema;
+  /** Extra context: raw text, or a project to load through the assistant context loaders */
+  add_context?: string | ProjectContextRequest;
+  system?: string;
+  provider?: LLMProvider;
+  /** Additional attempts when the reply is not valid JSON or fails the schema */
+  maxRetries?: number;
+}
+
+const DEFAULT_MAX_RETRIES = 2;
+
+/**
+ * Wraps an AIClient (streaming /api/ai endpoint) as an LLM provider
+ * @param client - The client to use, defaults to the shared instance
+ * @returns Provider that resolves with the full reply text
+ */
+export function createAIClientProvider(client: AIClient = aiClient): LLMProvider {
+  return {
+    complete: (messages, projectId) => client.chat(messages, projectId)
+  };
+}
+
+/**
+ * Creates a provider for an /api/ai compatible endpoint, e.g. a local mock server
+ * @param apiUrl - Endpoint URL
+ * @returns Provider posting to the given URL
+ */
+export function createHttpProvider(apiUrl: string): LLMProvider {
+  return createAIClientProvider(new AIClient(apiUrl));
+}
+
+const defaultProvider = createDefaultProvider<LLMProvider>(() => createAIClientProvider());
+
+/**
+ * Replaces the provider used when InvokeLLM is called without one
+ * @param provider - The provider, or null to restore the AIClient default
+ */
+export function setLLMProvider(provider: LLMProvider | null): void {
+  defaultProvider.set(provider ?? undefined);
+}
+
+function typeOf(value: any): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value: any, type: string): boolean {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && !Number.isNaN(value);
+  }
+  return typeOf(value) === type;
+}
+
+/**
+ * Validates a value against a JSON schema
+ * @param value - Value to validate
+ * @param schema - JSON schema
+ * @param path - Path used in error messages
+ * @returns List of validation errors (empty when valid)
+ */
+export function validateJsonSchema(value: any, schema: JsonSchema, path: string = '$'): string[] {
+  const errors: string[] = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} should be ${types.join(' or ')} but was ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value && value[key] !== undefined) {
+        errors.push(...validateJsonSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateJsonSchema(item, schema.items as JsonSchema, `${path}[${index}]`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Extracts a JSON value from a model reply, tolerating markdown fences and surrounding prose
+ * @param reply - Raw reply text
+ * @returns Parsed value, or undefined when no JSON could be parsed
+ */
+export function extractJson(reply: string): any {
+  const fenced = reply.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced?.[1], reply];
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const text = candidate.trim();
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      // Fall back to the outermost object or array in the text
+      const start = text.search(/[[{]/);
+      const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+      if (start !== -1 && end > start) {
+        try {
+          return JSON.parse(text.slice(start, end + 1));
+        } catch {
+          continue;
+        }
+      }
+    }
+  }
+
+  return undefined;
+}
+
+async function resolveContext(addContext: InvokeLLMOptions['add_context']): Promise<string | null> {
+  if (!addContext) {
+    return null;
+  }
+  if (typeof addContext === 'string') {
+    return addContext;
+  }
+
+  const context = await getProjectContext(addContext.projectId, { scriptId: addContext.scriptId });
+  return formatProjectContext(context);
+}
+
+/**
+ * Sends a one-shot prompt to the LLM.
+ * Without a schema the reply text is returned. With `response_json_schema` the reply
+ * is parsed and validated; malformed replies are sent back to the model with the
+ * validation errors until it complies or `maxRetries` is exhausted.
+ * @param options - Prompt, schema, context and provider options
+ * @returns Promise with the reply text or the parsed JSON object
+ */
+export async function invokeLLM(options: InvokeLLMOptions): Promise<any> {
+  const {
+    prompt,
+    response_json_schema: schema,
+    add_context: addContext,
+    system,
+    provider = defaultProvider.get(),
+    maxRetries = DEFAULT_MAX_RETRIES
+  } = options;
+
+  if (!prompt || !prompt.trim()) {
+    throw new Error('InvokeLLM requires a prompt');
+  }
+
+  const messages: ChatMessage[] = [];
+  const contextText = await resolveContext(addContext);
+  const projectId = typeof addContext === 'object' ? addContext.projectId : undefined;
+
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+  if (contextText) {
+    messages.push({ role: 'system', content: contextText });
+  }
+  if (schema) {
+    messages.push({
+      role: 'system',
+      content: `Respond with a single JSON value only, no prose or markdown. It must match this JSON schema:\n${JSON.stringify(schema, null, 2)}`
+    });
+  }
+  messages.push({ role: 'user', content: prompt });
+
+  if (!schema) {
+    return provider.complete(messages, projectId);
+  }
+
+  let lastErrors: string[] = [];
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const reply = await provider.complete(messages, projectId);
+    const parsed = extractJson(reply);
+
+    lastErrors = parsed === undefined
+      ? ['Reply was not valid JSON']
+      : validateJsonSchema(parsed, schema);
+
+    if (lastErrors.length === 0) {
+      return parsed;
+    }
+
+    messages.push(
+      { role: 'assistant', content: reply },
+      {
+        role: 'user',
+        content: `Your reply did not match the required JSON schema:\n${lastErrors.map(error => `- ${error}`).join('\n')}\nReply again with corrected JSON only.`
+      }
+    );
+  }
+
+  throw new Error(`InvokeLLM failed after ${maxRetries + 1} attempts: ${lastErrors.join('; ')}`);
+}
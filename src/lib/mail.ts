@@ -0,0 +1,214 @@
+// Outgoing mail through pluggable transports
+// The default transport posts to the /api/mail endpoint, which sends call sheets
+// to their recipients and other mail to project members over SMTP; set
+// VITE_MAIL_TRANSPORT to 'console' or 'file' to keep mail local while testing.
+
+import { auth } from './firebase.client';
+import { createDefaultProvider, selectProvider } from './providers';
+
+/**
+ * A call sheet recipient, by contact ID
+ */
+export interface CallSheetRecipientRef {
+  projectId: string;
+  callSheetId: string;
+  contactId: string;
+}
+
+export interface MailMessage {
+  to: string;
+  toName?: string;
+  subject: string;
+  text: string;
+  html?: string;
+  replyTo?: string;
+  // The /api/mail endpoint sends call sheets to the address stored on the
+  // recipient's contact rather than `to`
+  callSheetRecipient?: CallSheetRecipientRef;
+  // Other mail goes through the endpoint only for a project, to its members
+  projectId?: string;
+}
+
+export interface MailSendResult {
+  messageId?: string;
+}
+
+export interface MailTransport {
+  name: string;
+  send(message: MailMessage): Promise<MailSendResult>;
+}
+
+const getCurrentUserToken = async () => (auth.currentUser ? auth.currentUser.getIdToken() : null);
+
+/**
+ * Creates a transport for an /api/mail compatible endpoint
+ * @param apiUrl - Endpoint URL
+ * @param getIdToken - Firebase ID token of the signed-in user, sent to authorize the request
+ * @returns Transport posting each message to the endpoint
+ */
+export function createHttpTransport(
+  apiUrl: string = import.meta.env.VITE_MAIL_API_URL || 'http://localhost:3001/api/mail',
+  getIdToken: () => Promise<string | null> = getCurrentUserToken
+): MailTransport {
+  return {
+    name: 'smtp',
+    async send(message) {
+      if (!message.callSheetRecipient && !message.projectId) {
+        throw new Error('Mail sent through the mail endpoint needs a project or a call sheet recipient');
+      }
+      const idToken = await getIdToken();
+      if (!idToken) {
+        throw new Error('Sign in to send mail');
+      }
+
+      const { subject, text, html, replyTo } = message;
+      const recipient = message.callSheetRecipient || {
+        projectId: message.projectId,
+        to: message.to,
+        toName: message.toName
+      };
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify({ ...recipient, subject, text, html, replyTo })
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(body.error || `Mail request failed: ${response.status}`);
+      }
+      return { messageId: body.messageId };
+    }
+  };
+}
+
+/**
+ * Creates a transport that logs messages instead of sending them
+ * @param log - Receives each message, defaults to console.info
+ * @returns Console transport
+ */
+export function createConsoleTransport(
+  log: (...args: any[]) => void = console.info
+): MailTransport {
+  let sent = 0;
+  return {
+    name: 'console',
+    async send(message) {
+      sent++;
+      log(`[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+      return { messageId: `console-${sent}` };
+    }
+  };
+}
+
+const toBase64 = (value: string) => btoa(String.fromCharCode(...new TextEncoder().encode(value)));
+
+// Non-ASCII header values are sent as RFC 2047 encoded words
+const encodeHeader = (value: string) =>
+  (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${toBase64(value)}?=`);
+
+/**
+ * Formats a message as an RFC 5322 .eml file, with a text and, when given, an HTML part
+ * @param message - The message
+ * @param boundary - MIME boundary between the parts
+ * @returns .eml file content
+ */
+export function formatEmlMessage(message: MailMessage, boundary = 'scenius-boundary'): string {
+  const to = message.toName ? `${encodeHeader(message.toName)} <${message.to}>` : message.to;
+  const headers = [
+    `To: ${to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    ...(message.replyTo ? [`Reply-To: ${message.replyTo}`] : []),
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!message.html) {
+    return [...headers, 'Content-Type: text/plain; charset=UTF-8', '', message.text].join('\r\n');
+  }
+
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    '',
+    message.text,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    '',
+    message.html,
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+function downloadEml(filename: string, content: string): void {
+  const blob = new Blob([content], { type: 'message/rfc822' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Creates a transport that saves each message as an .eml file
+ * @param save - Receives the filename and content, defaults to a browser download
+ * @returns File transport
+ */
+export function createFileTransport(
+  save: (filename: string, content: string) => void = downloadEml
+): MailTransport {
+  let sent = 0;
+  return {
+    name: 'file',
+    async send(message) {
+      sent++;
+      const recipient = message.to.replace(/[^a-z0-9]+/gi, '_');
+      save(`${String(sent).padStart(3, '0')}-${recipient}.eml`, formatEmlMessage(message));
+      return { messageId: `file-${sent}` };
+    }
+  };
+}
+
+const defaultTransport = createDefaultProvider<MailTransport>(() => selectProvider(
+  import.meta.env.VITE_MAIL_TRANSPORT,
+  { console: () => createConsoleTransport(), file: () => createFileTransport() },
+  () => createHttpTransport()
+));
+
+/**
+ * The transport used when sendMail is called without one
+ * @returns The transport set with setMailTransport, or the one VITE_MAIL_TRANSPORT selects
+ */
+export function getMailTransport(): MailTransport {
+  return defaultTransport.get();
+}
+
+/**
+ * Replaces the transport used when sendMail is called without one
+ * @param transport - The transport, or null to restore the configured default
+ */
+export function setMailTransport(transport: MailTransport | null): void {
+  defaultTransport.set(transport ?? undefined);
+}
+
+/**
+ * Sends a message
+ * @param message - The message
+ * @param transport - Transport to send through, defaults to getMailTransport()
+ * @returns Promise with the transport's result
+ */
+export async function sendMail(message: MailMessage, transport: MailTransport = getMailTransport()): Promise<MailSendResult> {
+  if (!message.to) {
+    throw new Error('A recipient address is required');
+  }
+  return transport.send(message);
+}
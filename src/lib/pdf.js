@@ -0,0 +1,160 @@
+// Minimal PDF writer
+// Builds single-font (Courier) PDFs from raw page content streams, so reports
+// (Day Out of Days, breakdown sheets, call sheets) can be exported in the
+// browser without a PDF library. JPEG images can be placed as named XObjects.
+// The script export keeps its own writer in ScriptPDF.js.
+
+// Typographic characters outside Latin-1 that WinAnsiEncoding can still print
+const WIN_ANSI = {
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '–': 0x96, '—': 0x97, '…': 0x85, '•': 0x95, '€': 0x80
+};
+
+export function toWinAnsi(text) {
+  return Array.from(text).map((char) => {
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    return char.charCodeAt(0) <= 0xff ? char : '?';
+  }).join('');
+}
+
+/**
+ * PDF string literal for `text`, escaped and in WinAnsi encoding
+ */
+export function pdfString(text) {
+  return `(${toWinAnsi(String(text)).replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+/**
+ * Content stream command drawing one line of text in /F1
+ * @param {number} x - Left edge in points
+ * @param {number} y - Baseline in points
+ * @param {string} text - Text to draw
+ * @param {number} size - Font size in points
+ * @param {string} [color] - Fill color as "r g b", 0 to 1 each
+ * @returns {string} The BT ... ET command
+ */
+export function pdfText(x, y, text, size, color) {
+  return `BT ${color ? `${color} rg ` : ''}/F1 ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(text)} Tj ET`;
+}
+
+/**
+ * Word-wraps text to rows of at most `width` characters, collapsing
+ * whitespace. Words longer than a row are cut.
+ * @param {string} text - Text to wrap
+ * @param {number} width - Row width in characters
+ * @returns {string[]} The rows
+ */
+export function wrapWords(text, width) {
+  const rows = [];
+  let row = '';
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    if (row && row.length + 1 + word.length > width) {
+      rows.push(row);
+      row = '';
+    }
+    row = row ? `${row} ${word}` : word.slice(0, width);
+  });
+  if (row) rows.push(row);
+  return rows;
+}
+
+/**
+ * Assembles a PDF file from one content stream per page. Content streams
+ * select the font as /F1 and draw images by name, e.g. `/Logo Do`.
+ * @param {string[]} contents - Page content streams
+ * @param {string} title - Document title
+ * @param {Object} size - Page size in points
+ * @param {number} size.width
+ * @param {number} size.height
+ * @param {Object<string, {data: string, width: number, height: number}>} [images] - JPEG
+ *   images by name; data is the JPEG file, one character per byte
+ * @returns {string} The PDF, one character per byte
+ */
+export function writePDF(contents, title, { width, height }, images = {}) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+  const infoId = add(`<< /Title ${pdfString(title)} /Producer (Scenius) >>`);
+  const imageRefs = Object.entries(images).map(([name, image]) => {
+    const imageId = add(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\n` +
+      `stream\n${image.data}\nendstream`);
+    return `/${name} ${imageId} 0 R`;
+  });
+  const xObjects = imageRefs.length > 0 ? ` /XObject << ${imageRefs.join(' ')} >>` : '';
+
+  const pageIds = contents.map((content) => {
+    const stream = toWinAnsi(content);
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width.toFixed(2)} ${height.toFixed(2)}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >>${xObjects} >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return pdf;
+}
+
+/**
+ * Loads an image and re-encodes it as a JPEG for writePDF, scaled down to fit
+ * maxSize. Runs in the browser; cross-origin images must allow CORS.
+ * @param {string} url - Image URL
+ * @param {number} [maxSize] - Largest width or height in pixels
+ * @returns {Promise<{data: string, width: number, height: number}|null>} The
+ *   image, or null if it can't be loaded or read
+ */
+export async function loadPDFImage(url, maxSize = 600) {
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Could not load ${url}`));
+      img.src = url;
+    });
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
+    return { data: atob(dataUrl.split(',')[1]), width: canvas.width, height: canvas.height };
+  } catch (error) {
+    console.error('Error loading image for PDF:', error);
+    return null;
+  }
+}
+
+/**
+ * Wraps a PDF written by writePDF in a Blob
+ * @param {string} pdf - The PDF, one character per byte
+ * @returns {Blob} application/pdf blob
+ */
+export function pdfBlob(pdf) {
+  const bytes = Uint8Array.from(pdf, char => char.charCodeAt(0));
+  return new Blob([bytes], { type: 'application/pdf' });
+}
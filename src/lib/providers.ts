@@ -0,0 +1,44 @@
+// Default providers for the pluggable services (LLM, mail, weather)
+// Each service creates its default from configuration on first use; tests and
+// local setups can swap it for another provider and restore it afterwards.
+
+export interface DefaultProvider<T> {
+  /** The provider set, or the configured default */
+  get(): T;
+  /** Replaces the provider; undefined restores the configured default */
+  set(provider: T | undefined): void;
+}
+
+/**
+ * Holds a service's default provider, created on first use
+ * @param createDefault - Creates the configured default
+ * @returns Getter and setter for the provider
+ */
+export function createDefaultProvider<T>(createDefault: () => T): DefaultProvider<T> {
+  let provider: T | undefined;
+  return {
+    get() {
+      if (provider === undefined) provider = createDefault();
+      return provider;
+    },
+    set(value) {
+      provider = value;
+    }
+  };
+}
+
+/**
+ * Creates the provider an environment setting names
+ * @param setting - Setting value, e.g. import.meta.env.VITE_MAIL_TRANSPORT
+ * @param factories - Provider factories by setting value
+ * @param fallback - Factory for an unset or unknown setting
+ * @returns The provider
+ */
+export function selectProvider<T>(
+  setting: string | undefined,
+  factories: Record<string, () => T>,
+  fallback: () => T
+): T {
+  const factory = setting && Object.hasOwn(factories, setting) ? factories[setting] : fallback;
+  return factory();
+}
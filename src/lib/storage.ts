@@ -1,15 +1,233 @@
 /**
  * Storage helper functions for file uploads and management
+ * Files live under projects/{projectId}/... in the Firebase Storage bucket; per-project
+ * usage is tracked in projects/{projectId}/usage/storage for quota checks
  */
 
+import {
+  ref,
+  uploadBytesResumable,
+  getDownloadURL,
+  getMetadata,
+  deleteObject,
+  StorageReference,
+  UploadTask
+} from 'firebase/storage';
+import { doc, getDoc, setDoc, increment, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { storage, db } from './firebase.client';
+
 export interface UploadResult {
   url: string;
+  path: string;
+  size: number;
+  contentType: string;
+}
+
+export interface UploadProgress {
+  bytesTransferred: number;
+  totalBytes: number;
+  percent: number;
+  state: 'running' | 'paused';
 }
 
 export interface UploadOptions {
-  projectId: string;
-  path: string;
-  file: File | Blob;
+  onProgress?: (progress: UploadProgress) => void;
+  contentType?: string;
+  customMetadata?: Record<string, string>;
+  /** Overrides the per-project quota in bytes */
+  quotaBytes?: number;
+}
+
+export interface UploadHandle {
+  promise: Promise<UploadResult>;
+  pause: () => boolean;
+  resume: () => boolean;
+  cancel: () => boolean;
+}
+
+export interface StorageUsage {
+  bytesUsed: number;
+  quotaBytes: number;
+}
+
+// 1GB per project unless VITE_STORAGE_QUOTA_MB says otherwise
+const DEFAULT_QUOTA_BYTES = (Number(import.meta.env.VITE_STORAGE_QUOTA_MB) || 1024) * 1024 * 1024;
+
+const CONTENT_TYPES: Record<string, string> = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  heic: 'image/heic',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  m4a: 'audio/mp4',
+  pdf: 'application/pdf',
+  fdx: 'application/xml',
+  fountain: 'text/plain',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+/**
+ * Detects the content type of a file from its MIME type or extension
+ * @param file - The file or blob
+ * @param fileName - Name used for extension lookup when the file has no type
+ * @returns The detected content type
+ */
+export function detectContentType(file: File | Blob, fileName?: string): string {
+  if (file.type) {
+    return file.type;
+  }
+
+  const name = fileName || (file instanceof File ? file.name : '');
+  const extension = name.split('.').pop()?.toLowerCase() || '';
+  return CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Resolves an upload path to its location in the bucket
+ * @param projectId - The project ID
+ * @param path - Path from generateFilePath (already prefixed with the project ID) or a relative path
+ * @returns Bucket path under projects/{projectId}/
+ */
+export function resolveStoragePath(projectId: string, path: string): string {
+  const relativePath = path.startsWith(`${projectId}/`) ? path.slice(projectId.length + 1) : path;
+  return `projects/${projectId}/${relativePath}`;
+}
+
+function usageDoc(projectId: string) {
+  return doc(db, 'projects', projectId, 'usage', 'storage');
+}
+
+/**
+ * Gets the storage usage and quota for a project
+ * @param projectId - The project ID
+ * @returns Promise with bytes used and the quota
+ */
+export async function getStorageUsage(projectId: string): Promise<StorageUsage> {
+  const docSnap = await getDoc(usageDoc(projectId));
+  const data = docSnap.exists() ? docSnap.data() : {};
+
+  return {
+    bytesUsed: data.bytesUsed || 0,
+    quotaBytes: data.quotaBytes || DEFAULT_QUOTA_BYTES
+  };
+}
+
+async function recordUsage(projectId: string, deltaBytes: number): Promise<void> {
+  await setDoc(usageDoc(projectId), {
+    bytesUsed: increment(deltaBytes),
+    updatedAt: serverTimestamp()
+  }, { merge: true });
+}
+
+/**
+ * Counts an upload against the project's quota before it starts. The check and
+ * the update run in one transaction, so uploads started together can't all pass
+ * against the same usage.
+ * @throws Error when the upload would exceed the quota
+ */
+async function reserveUsage(projectId: string, bytes: number, quotaOverride?: number): Promise<void> {
+  await runTransaction(db, async (transaction) => {
+    const docSnap = await transaction.get(usageDoc(projectId));
+    const data = docSnap.exists() ? docSnap.data() : {};
+    const bytesUsed = data.bytesUsed || 0;
+    const quotaBytes = quotaOverride ?? (data.quotaBytes || DEFAULT_QUOTA_BYTES);
+    if (bytesUsed + bytes > quotaBytes) {
+      throw new Error(
+        `Storage quota exceeded: ${Math.round((bytesUsed + bytes) / 1024 / 1024)}MB of ${Math.round(quotaBytes / 1024 / 1024)}MB`
+      );
+    }
+
+    transaction.set(usageDoc(projectId), {
+      bytesUsed: bytesUsed + bytes,
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  });
+}
+
+/**
+ * Starts a resumable upload that can be paused, resumed or cancelled
+ * @param projectId - The project ID
+ * @param path - The path where the file should be stored
+ * @param file - The file or blob to upload
+ * @param options - Progress callback, content type and quota overrides
+ * @returns Handle with the upload promise and transfer controls
+ */
+export function startUpload(
+  projectId: string,
+  path: string,
+  file: File | Blob,
+  options: UploadOptions = {}
+): UploadHandle {
+  const storagePath = resolveStoragePath(projectId, path);
+  const contentType = options.contentType || detectContentType(file, path);
+  let task: UploadTask | null = null;
+  let cancelled = false;
+
+  const transfer = async (): Promise<StorageReference> => {
+    if (cancelled) {
+      throw new Error('Upload cancelled');
+    }
+
+    const uploadTask = uploadBytesResumable(ref(storage, storagePath), file, {
+      contentType,
+      customMetadata: { projectId, ...options.customMetadata }
+    });
+    task = uploadTask;
+
+    await new Promise<void>((resolve, reject) => {
+      uploadTask.on(
+        'state_changed',
+        (snapshot) => {
+          options.onProgress?.({
+            bytesTransferred: snapshot.bytesTransferred,
+            totalBytes: snapshot.totalBytes,
+            percent: snapshot.totalBytes > 0
+              ? Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100)
+              : 0,
+            state: snapshot.state === 'paused' ? 'paused' : 'running'
+          });
+        },
+        (error) => reject(error.code === 'storage/canceled' ? new Error('Upload cancelled') : error),
+        () => resolve()
+      );
+    });
+
+    return uploadTask.snapshot.ref;
+  };
+
+  const promise = (async () => {
+    await reserveUsage(projectId, file.size, options.quotaBytes);
+    let uploaded: StorageReference;
+    try {
+      uploaded = await transfer();
+    } catch (error) {
+      // Give back the reservation for an upload that didn't finish
+      await recordUsage(projectId, -file.size);
+      throw error;
+    }
+
+    const url = await getDownloadURL(uploaded);
+    return { url, path: storagePath, size: file.size, contentType };
+  })();
+
+  return {
+    promise,
+    pause: () => task?.pause() ?? false,
+    resume: () => task?.resume() ?? false,
+    cancel: () => {
+      cancelled = true;
+      return task?.cancel() ?? true;
+    }
+  };
 }
 
 /**
@@ -17,25 +235,17 @@ export interface UploadOptions {
  * @param projectId - The project ID
  * @param path - The path where the file should be stored
  * @param file - The file or blob to upload
+ * @param options - Progress callback, content type and quota overrides
  * @returns Promise with the uploaded file URL
  */
 export async function uploadFile(
   projectId: string, 
   path: string, 
-  file: File | Blob
+  file: File | Blob,
+  options: UploadOptions = {}
 ): Promise<UploadResult> {
   try {
-    // For now, we'll simulate the upload process
-    // This would need to be replaced with actual storage implementation
-    console.log('Uploading file:', { projectId, path, fileName: file instanceof File ? file.name : 'blob' });
-    
-    // Simulate upload delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Generate a mock URL for now
-    const mockUrl = `https://storage.example.com/${projectId}/${path}`;
-    
-    return { url: mockUrl };
+    return await startUpload(projectId, path, file, options).promise;
   } catch (error) {
     console.error('File upload failed:', error);
     throw new Error(`Failed to upload file: ${error instanceof Error ? error.message : 'Unknown error'}`);
@@ -44,23 +254,19 @@ export async function uploadFile(
 
 /**
  * Delete a file from storage
- * @param url - The URL of the file to delete
+ * @param url - The download URL, gs:// URL or bucket path of the file to delete
  * @returns Promise that resolves when deletion is complete
  */
 export async function deleteFile(url: string): Promise<void> {
   try {
-    // For now, we'll just log the deletion
-    // This would need to be replaced with actual storage deletion implementation
-    console.log('Deleting file:', url);
-    
-    // TODO: Implement actual file deletion logic
-    // This might involve:
-    // 1. Extracting file path/ID from URL
-    // 2. Calling storage service to delete the file
-    // 3. Handling errors appropriately
-    
-    // For now, we'll simulate successful deletion
-    return Promise.resolve();
+    const fileRef = ref(storage, url);
+    const metadata = await getMetadata(fileRef);
+    await deleteObject(fileRef);
+
+    const projectId = metadata.customMetadata?.projectId;
+    if (projectId) {
+      await recordUsage(projectId, -metadata.size);
+    }
   } catch (error) {
     console.error('File deletion failed:', error);
     throw new Error(`Failed to delete file: ${error instanceof Error ? error.message : 'Unknown error'}`);
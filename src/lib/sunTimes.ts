@@ -0,0 +1,102 @@
+// Sun position calculator
+// Sunrise, sunset, civil twilight and golden hour for a date and place, computed
+// offline with the standard low-precision solar formulas (accurate to about a
+// minute away from the poles).
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397;
+
+// Sun altitudes, in degrees, that mark each event
+const SUNRISE_ALTITUDE = -0.833; // upper limb on the horizon, with refraction
+const CIVIL_TWILIGHT_ALTITUDE = -6;
+const GOLDEN_HOUR_ALTITUDE = 6;
+
+export interface SunTimes {
+  solarNoon: Date;
+  sunrise: Date | null; // null when the sun doesn't rise or set that day
+  sunset: Date | null;
+  civilDawn: Date | null;
+  civilDusk: Date | null;
+  goldenHourMorningEnd: Date | null; // the morning golden hour runs from sunrise
+  goldenHourEveningStart: Date | null; // the evening golden hour runs to sunset
+}
+
+const toJulian = (date: Date) => date.valueOf() / DAY_MS - 0.5 + J1970;
+const fromJulian = (julian: number) => new Date((julian + 0.5 - J1970) * DAY_MS);
+
+const solarMeanAnomaly = (days: number) => RAD * (357.5291 + 0.98560028 * days);
+
+const eclipticLongitude = (anomaly: number) => {
+  const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+  const perihelion = RAD * 102.9372;
+  return anomaly + center + perihelion + Math.PI;
+};
+
+/**
+ * Computes the sun's times for a day
+ * @param date - ISO date (YYYY-MM-DD), the local day at the place
+ * @param lat - Latitude in degrees
+ * @param lng - Longitude in degrees, east positive
+ * @returns Event times as instants; format them with formatSunTime
+ */
+export function getSunTimes(date: string, lat: number, lng: number): SunTimes {
+  // Local noon at the place, so the right solar day is picked for any longitude
+  const noon = new Date(`${date}T12:00:00Z`).valueOf() - (lng / 15) * 3600000;
+  const lw = RAD * -lng;
+  const phi = RAD * lat;
+
+  const days = toJulian(new Date(noon)) - J2000;
+  const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+  const approxTransit = (hourAngle: number) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+  const transit = (ds: number, anomaly: number, longitude: number) =>
+    J2000 + ds + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * longitude);
+
+  const ds = approxTransit(0);
+  const anomaly = solarMeanAnomaly(ds);
+  const longitude = eclipticLongitude(anomaly);
+  const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(longitude));
+  const noonJulian = transit(ds, anomaly, longitude);
+
+  // Morning and evening times the sun is at an altitude
+  const at = (altitude: number): [Date | null, Date | null] => {
+    const cosHourAngle = (Math.sin(RAD * altitude) - Math.sin(phi) * Math.sin(declination))
+      / (Math.cos(phi) * Math.cos(declination));
+    if (cosHourAngle < -1 || cosHourAngle > 1) return [null, null];
+    const setJulian = transit(approxTransit(Math.acos(cosHourAngle)), anomaly, longitude);
+    return [fromJulian(noonJulian - (setJulian - noonJulian)), fromJulian(setJulian)];
+  };
+
+  const [sunrise, sunset] = at(SUNRISE_ALTITUDE);
+  const [civilDawn, civilDusk] = at(CIVIL_TWILIGHT_ALTITUDE);
+  const [goldenHourMorningEnd, goldenHourEveningStart] = at(GOLDEN_HOUR_ALTITUDE);
+
+  return {
+    solarNoon: fromJulian(noonJulian),
+    sunrise,
+    sunset,
+    civilDawn,
+    civilDusk,
+    goldenHourMorningEnd,
+    goldenHourEveningStart
+  };
+}
+
+/**
+ * Formats a sun time as "HH:MM"
+ * @param time - The time, or null
+ * @param timeZone - IANA time zone of the place, defaults to the browser's
+ * @returns The local time, or '' for null
+ */
+export function formatSunTime(time: Date | null, timeZone?: string): string {
+  if (!time) return '';
+  return new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    ...(timeZone && { timeZone })
+  }).format(time);
+}
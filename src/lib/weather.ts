@@ -0,0 +1,131 @@
+// Daily forecasts from Open-Meteo (no API key needed); VITE_WEATHER_PROVIDER
+// set to 'mock' gives fixed forecasts and 'none' turns them off.
+
+import { createDefaultProvider, selectProvider } from './providers';
+
+export interface WeatherForecast {
+  high: number; // °F
+  low: number; // °F
+  condition: string;
+  timeZone?: string; // IANA time zone of the place, when the provider knows it
+}
+
+export interface ForecastProvider {
+  name: string;
+  /**
+   * Daily forecast for a place
+   * @returns The forecast, or null when the provider has none for the date
+   */
+  getForecast(lat: number, lng: number, date: string): Promise<WeatherForecast | null>;
+}
+
+// WMO weather interpretation codes, as returned by Open-Meteo
+const WMO_CONDITIONS: [number, string][] = [
+  [0, 'Clear'],
+  [1, 'Mostly Clear'],
+  [2, 'Partly Cloudy'],
+  [3, 'Overcast'],
+  [48, 'Fog'],
+  [57, 'Drizzle'],
+  [67, 'Rain'],
+  [77, 'Snow'],
+  [82, 'Rain Showers'],
+  [86, 'Snow Showers'],
+  [99, 'Thunderstorm']
+];
+
+/**
+ * Describes a WMO weather code
+ * @param code - WMO code, 0-99
+ * @returns Condition, e.g. "Partly Cloudy"
+ */
+export function describeWeatherCode(code: number): string {
+  return WMO_CONDITIONS.find(([max]) => code <= max)?.[1] || 'Unknown';
+}
+
+/**
+ * Creates a provider for the Open-Meteo forecast API
+ * @param apiUrl - Forecast endpoint URL
+ * @returns Provider; dates beyond the forecast range (about two weeks) have no forecast
+ */
+export function createOpenMeteoProvider(
+  apiUrl: string = import.meta.env.VITE_WEATHER_API_URL || 'https://api.open-meteo.com/v1/forecast'
+): ForecastProvider {
+  return {
+    name: 'open-meteo',
+    async getForecast(lat, lng, date) {
+      const params = new URLSearchParams({
+        latitude: String(lat),
+        longitude: String(lng),
+        daily: 'temperature_2m_max,temperature_2m_min,weather_code',
+        temperature_unit: 'fahrenheit',
+        timezone: 'auto',
+        start_date: date,
+        end_date: date
+      });
+      const response = await fetch(`${apiUrl}?${params}`);
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        // Out of range dates are a 400 with a reason
+        if (response.status === 400) return null;
+        throw new Error(body.reason || `Forecast request failed: ${response.status}`);
+      }
+
+      const daily = body.daily;
+      if (!daily || daily.temperature_2m_max?.[0] == null) return null;
+      return {
+        high: Math.round(daily.temperature_2m_max[0]),
+        low: Math.round(daily.temperature_2m_min[0]),
+        condition: describeWeatherCode(daily.weather_code?.[0] ?? -1),
+        ...(body.timezone && { timeZone: body.timezone })
+      };
+    }
+  };
+}
+
+/**
+ * Creates a provider returning fixed forecasts
+ * @param forecast - The forecast, or a function of the place and date
+ * @returns Mock provider
+ */
+export function createMockForecastProvider(
+  forecast: WeatherForecast | null | ((lat: number, lng: number, date: string) => WeatherForecast | null) =
+  { high: 72, low: 58, condition: 'Partly Cloudy' }
+): ForecastProvider {
+  return {
+    name: 'mock',
+    async getForecast(lat, lng, date) {
+      return typeof forecast === 'function' ? forecast(lat, lng, date) : forecast;
+    }
+  };
+}
+
+const defaultProvider = createDefaultProvider<ForecastProvider | null>(() => selectProvider(
+  import.meta.env.VITE_WEATHER_PROVIDER,
+  { none: () => null, mock: () => createMockForecastProvider() },
+  () => createOpenMeteoProvider()
+));
+
+/** The provider getForecast uses by default; null when forecasts are off */
+export const getForecastProvider = defaultProvider.get;
+
+/** Replaces the default provider: null turns forecasts off, undefined restores the configured one */
+export const setForecastProvider = defaultProvider.set;
+
+/**
+ * Gets the daily forecast for a place
+ * @param lat - Latitude in degrees
+ * @param lng - Longitude in degrees
+ * @param date - ISO date (YYYY-MM-DD)
+ * @param provider - Provider to ask, defaults to getForecastProvider()
+ * @returns Promise with the forecast, or null when there is none
+ */
+export async function getForecast(
+  lat: number,
+  lng: number,
+  date: string,
+  provider: ForecastProvider | null = getForecastProvider()
+): Promise<WeatherForecast | null> {
+  if (!provider) return null;
+  return provider.getForecast(lat, lng, date);
+}
@@ -15,12 +15,15 @@ import {
   List,
   X,
   MessageSquare,
-  Sparkles
+  Sparkles,
+  CheckCircle,
+  Undo2
 } from 'lucide-react';
 import { auth } from '../../lib/firebase.client';
 import { useAuthState } from 'react-firebase-hooks/auth';
 import { ChatMessage } from '../../lib/ai-client';
 import { getProjectContext, formatProjectContext } from './contextLoaders';
+import { formatSceneNumber } from '../../services/scenes';
 import { 
   formatScriptPrompt, 
   breakdownPrompt, 
@@ -34,9 +37,17 @@ import {
 } from './prompts';
 import { 
   writeAIResult, 
+  undoAIResult,
   validateAIResult,
   type ServiceWriteResult 
 } from './serviceIntegration';
+import { 
+  loadReviewContext, 
+  buildReviewItems, 
+  applyReviewDecisions,
+  type ReviewItem 
+} from './review';
+import { ReviewChecklist } from './ReviewChecklist';
 
 interface QuickAction {
   id: string;
@@ -93,9 +104,13 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
   const [selectedQuickAction, setSelectedQuickAction] = useState<QuickAction | null>(null);
   const [projectContext, setProjectContext] = useState<string>('');
   const [structuredResponse, setStructuredResponse] = useState<any>(null);
+  const [resultAction, setResultAction] = useState<QuickAction | null>(null);
+  const [reviewItems, setReviewItems] = useState<ReviewItem[] | null>(null);
+  const [isLoadingReview, setIsLoadingReview] = useState<boolean>(false);
   const [isValidJSON, setIsValidJSON] = useState<boolean>(false);
   const [isWritingToService, setIsWritingToService] = useState<boolean>(false);
   const [writeResult, setWriteResult] = useState<ServiceWriteResult | null>(null);
+  const [isUndoing, setIsUndoing] = useState<boolean>(false);
   const scrollAreaRef = useRef<HTMLDivElement>(null);
   const abortControllerRef = useRef<AbortController | null>(null);
 
@@ -133,7 +148,7 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
             break;
           case 'breakdown-scene':
             if (context.scenes.length > 0) {
-              const sceneText = context.scenes.map(s => `Scene ${s.number}: ${s.heading}`).join('\n');
+              const sceneText = context.scenes.map(s => `Scene ${formatSceneNumber(s)}: ${s.heading}`).join('\n');
               specializedPrompt = breakdownPrompt(sceneText, { format: 'json' });
             } else {
               specializedPrompt = `Please provide scene text to break down. ${action.description}`;
@@ -141,7 +156,7 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
             break;
           case 'generate-shotlist':
             if (context.scenes.length > 0) {
-              const sceneText = context.scenes.map(s => `Scene ${s.number}: ${s.heading}`).join('\n');
+              const sceneText = context.scenes.map(s => `Scene ${formatSceneNumber(s)}: ${s.heading}`).join('\n');
               specializedPrompt = shotlistPrompt(sceneText, { format: 'json' });
             } else {
               specializedPrompt = `Please provide scene text for shotlist generation. ${action.description}`;
@@ -268,6 +283,8 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
                     const structured = parseAIResponse(fullContent);
                     if (structured) {
                       setStructuredResponse(structured);
+                      setResultAction(selectedQuickAction);
+                      setReviewItems(null);
                       const isValid = validateAIResult(selectedQuickAction.id, structured);
                       setIsValidJSON(isValid);
                     }
@@ -314,13 +331,45 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
     setCurrentResponse('');
     setSelectedQuickAction(null);
     setStructuredResponse(null);
+    setResultAction(null);
+    setReviewItems(null);
     setIsValidJSON(false);
     setWriteResult(null);
   };
 
-  // Apply JSON result to services
+  // Compare the JSON result with the project before anything is written
+  const reviewJSONResult = async () => {
+    if (!structuredResponse || !resultAction || !projectId || !isValidJSON) {
+      return;
+    }
+
+    setIsLoadingReview(true);
+    setWriteResult(null);
+
+    try {
+      const context = await loadReviewContext(projectId, 'ai-generated');
+      setReviewItems(buildReviewItems(resultAction.id, structuredResponse, context));
+    } catch (error) {
+      console.error('Error loading project data for review:', error);
+      setWriteResult({
+        success: false,
+        message: 'Failed to load project data to review against',
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    } finally {
+      setIsLoadingReview(false);
+    }
+  };
+
+  // Apply the accepted part of the JSON result to services
   const applyJSONResult = async () => {
-    if (!structuredResponse || !selectedQuickAction || !projectId || !isValidJSON) {
+    if (!structuredResponse || !resultAction || !projectId || !reviewItems) {
+      return;
+    }
+
+    const accepted = applyReviewDecisions(resultAction.id, structuredResponse, reviewItems);
+    if (!accepted) {
+      setWriteResult({ success: false, message: 'Nothing was accepted, so nothing was applied' });
       return;
     }
 
@@ -328,7 +377,7 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
     setWriteResult(null);
 
     try {
-      const result = await writeAIResult(selectedQuickAction.id, structuredResponse, {
+      const result = await writeAIResult(resultAction.id, accepted, {
         projectId,
         scriptId: 'ai-generated', // This should be determined by context
         sceneId: 'ai-generated',
@@ -337,6 +386,9 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
       });
 
       setWriteResult(result);
+      if (result.success) {
+        setReviewItems(null);
+      }
     } catch (error) {
       console.error('Error applying JSON result:', error);
       setWriteResult({
@@ -349,6 +401,23 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
     }
   };
 
+  // Revert the last applied result
+  const undoJSONResult = async () => {
+    const changeSetId = writeResult?.changeSetId;
+    if (!changeSetId || !projectId) {
+      return;
+    }
+
+    setIsUndoing(true);
+    try {
+      const result = await undoAIResult(projectId, changeSetId);
+      // Keep the change set on failure so the undo can be tried again
+      setWriteResult(result.success ? result : { ...result, changeSetId });
+    } finally {
+      setIsUndoing(false);
+    }
+  };
+
   const cancelRequest = () => {
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
@@ -528,7 +597,7 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
             )}
 
             {/* Structured Response Display */}
-            {structuredResponse && selectedQuickAction && (
+            {structuredResponse && resultAction && (
               <div className="flex gap-3 justify-start">
                 <div className="flex gap-3 max-w-[90%]">
                   <div className={`flex h-8 w-8 items-center justify-center rounded-full ${
@@ -544,36 +613,49 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
                         <Badge variant="outline" className={`text-xs ${
                           isValidJSON ? 'text-green-600' : 'text-yellow-600'
                         }`}>
-                          {selectedQuickAction.label} Result
+                          {resultAction.label} Result
                           {isValidJSON ? ' (Valid JSON)' : ' (Invalid JSON)'}
                         </Badge>
                         <Button
                           variant="ghost"
                           size="sm"
-                          onClick={() => setStructuredResponse(null)}
+                          onClick={() => {
+                            setStructuredResponse(null);
+                            setReviewItems(null);
+                          }}
                           className="h-4 w-4 p-0"
                         >
                           <X className="h-3 w-3" />
                         </Button>
                       </div>
-                      <pre className="text-xs bg-white p-2 rounded border overflow-auto max-h-40">
-                        {JSON.stringify(structuredResponse, null, 2)}
-                      </pre>
-                      {isValidJSON && (
+                      {reviewItems ? (
+                        <ReviewChecklist
+                          items={reviewItems}
+                          onChange={setReviewItems}
+                          onApply={applyJSONResult}
+                          onCancel={() => setReviewItems(null)}
+                          isApplying={isWritingToService}
+                        />
+                      ) : (
+                        <pre className="text-xs bg-white p-2 rounded border overflow-auto max-h-40">
+                          {JSON.stringify(structuredResponse, null, 2)}
+                        </pre>
+                      )}
+                      {isValidJSON && !reviewItems && (
                         <div className="flex gap-2">
                           <Button
-                            onClick={applyJSONResult}
-                            disabled={isWritingToService}
+                            onClick={reviewJSONResult}
+                            disabled={isLoadingReview || isWritingToService}
                             size="sm"
                             className="text-xs"
                           >
-                            {isWritingToService ? (
+                            {isLoadingReview ? (
                               <>
                                 <Loader2 className="h-3 w-3 mr-1 animate-spin" />
-                                Applying...
+                                Comparing...
                               </>
                             ) : (
-                              'Apply to Project'
+                              'Review Changes'
                             )}
                           </Button>
                         </div>
@@ -621,6 +703,27 @@ export function AssistantPanel({ projectId, className, onClose }: AssistantPanel
                           {JSON.stringify(writeResult.data, null, 2)}
                         </pre>
                       )}
+                      {writeResult.changeSetId && (
+                        <Button
+                          onClick={undoJSONResult}
+                          disabled={isUndoing}
+                          variant="outline"
+                          size="sm"
+                          className="text-xs"
+                        >
+                          {isUndoing ? (
+                            <>
+                              <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                              Undoing...
+                            </>
+                          ) : (
+                            <>
+                              <Undo2 className="h-3 w-3 mr-1" />
+                              Undo AI changes
+                            </>
+                          )}
+                        </Button>
+                      )}
                     </div>
                   </div>
                 </div>
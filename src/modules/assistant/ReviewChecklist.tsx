@@ -0,0 +1,130 @@
+import React from 'react';
+import { Button } from '../../components/ui/button';
+import { Badge } from '../../components/ui/badge';
+import { Loader2 } from 'lucide-react';
+import type { ReviewDecision, ReviewItem, ReviewStatus } from './review';
+
+interface ReviewChecklistProps {
+  items: ReviewItem[];
+  onChange: (items: ReviewItem[]) => void;
+  onApply: () => void;
+  onCancel: () => void;
+  isApplying?: boolean;
+}
+
+const STATUS_LABELS: Record<ReviewStatus, { label: string; className: string }> = {
+  new: { label: 'New', className: 'text-green-600' },
+  exists: { label: 'Exists', className: 'text-amber-600' },
+  changed: { label: 'Changed', className: 'text-blue-600' },
+  unchanged: { label: 'Unchanged', className: 'text-gray-500' }
+};
+
+const decisionLabel = (item: ReviewItem, decision: ReviewDecision) => {
+  if (decision === 'merge') return 'Merge';
+  if (decision === 'skip') return 'Skip';
+  // Fields and the script are changed in place rather than created
+  return item.kind === 'field' || item.kind === 'script' ? 'Apply' : 'Create';
+};
+
+export const ReviewChecklist: React.FC<ReviewChecklistProps> = ({
+  items,
+  onChange,
+  onApply,
+  onCancel,
+  isApplying = false
+}) => {
+  const groups = items.reduce<Record<string, ReviewItem[]>>((grouped, item) => {
+    (grouped[item.group] = grouped[item.group] || []).push(item);
+    return grouped;
+  }, {});
+  const acceptedCount = items.filter(item => item.decision !== 'skip').length;
+
+  const setDecision = (key: string, decision: ReviewDecision) => {
+    onChange(items.map(item => (item.key === key ? { ...item, decision } : item)));
+  };
+
+  return (
+    <div className="space-y-3">
+      {Object.entries(groups).map(([group, groupItems]) => (
+        <div key={group} className="space-y-1">
+          <h5 className="text-xs font-medium text-gray-700">{group}</h5>
+          {groupItems.map(item => (
+            <div
+              key={item.key}
+              className={`rounded border bg-white p-2 text-xs ${item.decision === 'skip' ? 'opacity-60' : ''}`}
+            >
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium truncate">{item.label}</span>
+                    <Badge variant="outline" className={`text-[10px] ${STATUS_LABELS[item.status].className}`}>
+                      {STATUS_LABELS[item.status].label}
+                    </Badge>
+                  </div>
+                  {item.detail && <p className="text-gray-500 truncate">{item.detail}</p>}
+                  {item.matches.length > 0 && (
+                    <p className="text-amber-700">
+                      Matches {item.matches.map(match => match.name).join(', ')}
+                    </p>
+                  )}
+                  {item.kind === 'field' && item.status === 'changed' && (
+                    <p>
+                      <span className="line-through text-gray-400">{item.before}</span>
+                      {' → '}
+                      <span>{item.after}</span>
+                    </p>
+                  )}
+                  {item.kind === 'field' && item.status !== 'changed' && item.after && (
+                    <p className="text-gray-600">{item.after}</p>
+                  )}
+                </div>
+                <div className="flex gap-1 shrink-0">
+                  {item.options.map(option => (
+                    <Button
+                      key={option}
+                      variant={item.decision === option ? 'default' : 'outline'}
+                      size="sm"
+                      onClick={() => setDecision(item.key, option)}
+                      className="h-6 px-2 text-xs"
+                    >
+                      {decisionLabel(item, option)}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div className="flex gap-2">
+        <Button
+          onClick={onApply}
+          disabled={isApplying || acceptedCount === 0}
+          size="sm"
+          className="text-xs"
+        >
+          {isApplying ? (
+            <>
+              <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+              Applying...
+            </>
+          ) : (
+            `Apply ${acceptedCount} change${acceptedCount !== 1 ? 's' : ''}`
+          )}
+        </Button>
+        <Button
+          variant="outline"
+          onClick={onCancel}
+          disabled={isApplying}
+          size="sm"
+          className="text-xs"
+        >
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewChecklist;
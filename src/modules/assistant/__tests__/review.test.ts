@@ -0,0 +1,121 @@
+// src/modules/assistant/__tests__/review.test.ts
+import {
+  buildReviewItems,
+  applyReviewDecisions,
+  type ReviewContext,
+  type ReviewItem
+} from '../review';
+
+jest.mock('firebase/firestore', () => ({}));
+
+jest.mock('../../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const context = {
+  scenes: [{ id: 'scene-1', heading: 'INT. KITCHEN - DAY' }],
+  elements: [
+    { id: 'element-1', name: 'Revolver', type: 'prop', aliases: ['Gun'] },
+    { id: 'element-2', name: 'Camera - 50mm', type: 'equipment' }
+  ],
+  callSheets: [{ id: 'sheet-1', date: '2026-11-02', unitName: 'Main Unit', notes: 'Bring coats' }],
+  script: null
+} as unknown as ReviewContext;
+
+const decide = (items: ReviewItem[], decisions: Record<string, ReviewItem['decision']>) =>
+  items.map(item => (decisions[item.key] ? { ...item, decision: decisions[item.key] } : item));
+
+describe('AI result review', () => {
+  describe('breakdown', () => {
+    const breakdown = {
+      locations: [
+        { name: 'Kitchen', type: 'interior', description: 'Small', requirements: [] },
+        { name: 'Street', type: 'exterior', description: 'Busy', requirements: [] }
+      ],
+      elements: [
+        { type: 'prop', name: 'the gun', description: 'Loaded', priority: 'high' },
+        { type: 'prop', name: 'Umbrella', description: 'Red', priority: 'low' }
+      ],
+      characters: [],
+      technical: { lighting: [], sound: [], camera: [] },
+      summary: { totalElements: 2, estimatedBudget: 0, complexity: 'low', specialRequirements: [] }
+    };
+
+    it('should diff scenes and elements against the project', () => {
+      const items = buildReviewItems('breakdown-scene', breakdown, context);
+
+      expect(items.map(item => [item.key, item.status, item.decision])).toEqual([
+        ['scene:0', 'exists', 'skip'],
+        ['scene:1', 'new', 'create'],
+        ['element:0', 'exists', 'merge'],
+        ['element:1', 'new', 'create']
+      ]);
+      expect(items[2].matches).toEqual([{ id: 'element-1', name: 'Revolver', proposedName: 'the gun' }]);
+      expect(items[3].options).toEqual(['create', 'skip']);
+    });
+
+    it('should hand on only accepted items, with merges pointing at the existing element', () => {
+      const items = decide(buildReviewItems('breakdown-scene', breakdown, context), { 'element:1': 'skip' });
+      const accepted = applyReviewDecisions('breakdown-scene', breakdown, items);
+
+      expect(accepted.locations.map((location: any) => location.name)).toEqual(['Street']);
+      expect(accepted.elements).toEqual([{ ...breakdown.elements[0], existingId: 'element-1' }]);
+    });
+
+    it('should mark elements created despite a match, so the write does not merge them', () => {
+      const items = decide(buildReviewItems('breakdown-scene', breakdown, context), { 'element:0': 'create' });
+      const accepted = applyReviewDecisions('breakdown-scene', breakdown, items);
+
+      expect(accepted.elements).toEqual([{ ...breakdown.elements[0], createNew: true }, breakdown.elements[1]]);
+    });
+
+    it('should return nothing when everything is skipped', () => {
+      const items = buildReviewItems('breakdown-scene', breakdown, context).map(item => ({ ...item, decision: 'skip' as const }));
+      expect(applyReviewDecisions('breakdown-scene', breakdown, items)).toBeNull();
+    });
+  });
+
+  describe('shotlist', () => {
+    it('should merge the elements of a shot that match existing ones', () => {
+      const shot = { shotNumber: '1A', shotType: 'WIDE', description: 'Kitchen', camera: { lens: '50mm' }, lighting: '', props: ['Umbrella'] };
+      const shotlist = { shots: [shot, { ...shot, shotNumber: '1B', camera: { lens: '85mm' } }], coverage: {}, schedule: {} };
+
+      const items = decide(buildReviewItems('generate-shotlist', shotlist, context), { 'shot:1': 'skip' });
+      const accepted = applyReviewDecisions('generate-shotlist', shotlist, items);
+
+      expect(items[0].matches).toEqual([{ id: 'element-2', name: 'Camera - 50mm', proposedName: 'Camera - 50mm' }]);
+      expect(accepted.shots).toEqual([{ ...shot, existingElementIds: { 'Camera - 50mm': 'element-2' } }]);
+    });
+  });
+
+  describe('call sheet', () => {
+    const callsheet = {
+      production: { title: 'Main Unit', date: '2026-11-02', day: 3, weather: 'Rain', sunrise: '07:01', sunset: '16:40' },
+      schedule: {},
+      cast: [],
+      crew: [],
+      notes: ['Bring umbrellas']
+    };
+
+    it('should diff fields against the call sheet for the same date', () => {
+      const items = buildReviewItems('generate-callsheet', callsheet, context);
+
+      expect(items.map(item => [item.key, item.status, item.decision])).toEqual([
+        ['callsheet', 'exists', 'merge'],
+        ['callsheet:unitName', 'unchanged', 'skip'],
+        ['callsheet:weather', 'changed', 'create'],
+        ['callsheet:notes', 'changed', 'create']
+      ]);
+      expect(items[3]).toMatchObject({ before: 'Bring coats', after: 'Bring umbrellas' });
+    });
+
+    it('should update the existing call sheet with the accepted fields only', () => {
+      const items = decide(buildReviewItems('generate-callsheet', callsheet, context), { 'callsheet:notes': 'skip' });
+      const accepted = applyReviewDecisions('generate-callsheet', callsheet, items);
+
+      expect(accepted.existingId).toBe('sheet-1');
+      expect(accepted.production).toMatchObject({ title: '', weather: 'Rain', sunrise: '07:01' });
+      expect(accepted.notes).toEqual([]);
+    });
+  });
+});
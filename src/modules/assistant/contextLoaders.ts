@@ -2,7 +2,7 @@
 // These functions fetch relevant project data to provide context to the AI
 
 import { getScript, subscribeScript } from '../../services/scripts';
-import { listScenes } from '../../services/scenes';
+import { listScenes, formatSceneNumber } from '../../services/scenes';
 import { listElements, getElement } from '../../services/elements';
 import { getProject } from '../../services/projects';
 
@@ -35,6 +35,7 @@ export interface ScriptExcerpt {
 export interface SceneSummary {
   id: string;
   number: number;
+  numberLabel?: string;
   heading: string;
   locationType: string;
   timeOfDay: string;
@@ -165,6 +166,7 @@ export async function getScenesSummary(
       summaries.push({
         id: scene.id,
         number: scene.number,
+        numberLabel: scene.numberLabel,
         heading: scene.heading,
         locationType: scene.locationType,
         timeOfDay: scene.timeOfDay,
@@ -327,7 +329,7 @@ export function formatProjectContext(context: {
   if (context.scenes.length > 0) {
     contextText += `SCENES SUMMARY (${context.scenes.length} scenes):\n`;
     context.scenes.forEach(scene => {
-      contextText += `- Scene ${scene.number}: ${scene.heading} (${scene.locationType}, ${scene.timeOfDay}, ${scene.durationMins}min)`;
+      contextText += `- Scene ${formatSceneNumber(scene)}: ${scene.heading} (${scene.locationType}, ${scene.timeOfDay}, ${scene.durationMins}min)`;
       if (scene.elementCount > 0) {
         contextText += ` [${scene.elementCount} elements: ${scene.elementTypes.join(', ')}]`;
       }
@@ -36,6 +36,8 @@ export interface BreakdownResult {
     notes?: string;
     priority: 'high' | 'medium' | 'low';
     estimatedCost?: number;
+    existingId?: string; // set by the review step: merge into this element instead of creating one
+    createNew?: boolean; // set by the review step: create the element even though one has its name
   }>;
   locations: Array<{
     name: string;
@@ -85,6 +87,8 @@ export interface ShotlistResult {
     notes?: string;
     difficulty: 'easy' | 'medium' | 'hard';
     estimatedTime: number; // in minutes
+    existingElementIds?: Record<string, string>; // set by the review step: element name to the element it merges into
+    createNewElements?: boolean; // set by the review step: create the elements even though some have their names
   }>;
   coverage: {
     totalShots: number;
@@ -167,6 +171,7 @@ export interface CallsheetResult {
     }>;
   };
   notes: string[];
+  existingId?: string; // set by the review step: update this call sheet instead of creating one
 }
 
 /**
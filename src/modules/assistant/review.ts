@@ -0,0 +1,289 @@
+// Review step for AI results
+// Turns a parsed AI result into a checklist of proposed changes, each diffed
+// against what the project already has, and cuts the result down to the
+// changes the user accepted before it's handed to the service layer.
+
+import { listScenes, type Scene } from '../../services/scenes';
+import { listElements, findElementByName, type Element } from '../../services/elements';
+import { listCallSheets, type CallSheet } from '../../services/callsheets';
+import { getScript, type Script } from '../../services/scripts';
+import type {
+  ScriptFormatResult,
+  BreakdownResult,
+  ShotlistResult,
+  CallsheetResult
+} from './prompts';
+
+export type ReviewDecision = 'create' | 'merge' | 'skip';
+
+export type ReviewItemKind = 'script' | 'scene' | 'element' | 'shot' | 'callsheet' | 'field';
+
+export type ReviewStatus = 'new' | 'exists' | 'changed' | 'unchanged';
+
+/**
+ * An existing element a proposed one matches
+ */
+export interface ReviewMatch {
+  id: string;
+  name: string; // the existing element's name
+  proposedName: string; // the name the AI used
+}
+
+export interface ReviewItem {
+  key: string; // stable within a result, e.g. 'element:2'
+  kind: ReviewItemKind;
+  group: string; // heading the item is listed under
+  label: string;
+  detail?: string;
+  status: ReviewStatus;
+  matches: ReviewMatch[];
+  before?: string; // current value, for field changes
+  after?: string; // proposed value, for field changes
+  options: ReviewDecision[];
+  decision: ReviewDecision;
+}
+
+/**
+ * Project data proposed changes are compared against
+ */
+export interface ReviewContext {
+  scenes: Scene[];
+  elements: Element[];
+  callSheets: CallSheet[];
+  script: Script | null;
+}
+
+/**
+ * Loads the project data a result is reviewed against
+ * @param projectId - The project ID
+ * @param scriptId - The script a formatting result would replace
+ * @returns Promise with the review context
+ */
+export async function loadReviewContext(projectId: string, scriptId?: string): Promise<ReviewContext> {
+  const [scenes, elements, callSheets, script] = await Promise.all([
+    listScenes(projectId),
+    listElements(projectId),
+    listCallSheets(projectId),
+    scriptId ? getScript(projectId, scriptId) : Promise.resolve(null)
+  ]);
+  return { scenes, elements, callSheets, script };
+}
+
+const normalizeHeading = (heading: string) => heading.trim().toUpperCase().replace(/\s+/g, ' ');
+
+const countLines = (text: string) => (text ? text.split('\n').length : 0);
+
+function item(fields: Omit<ReviewItem, 'matches' | 'options' | 'decision'> & Partial<ReviewItem>): ReviewItem {
+  const matches = fields.matches || [];
+  const options: ReviewDecision[] = fields.options || (matches.length > 0 ? ['merge', 'create', 'skip'] : ['create', 'skip']);
+  return { ...fields, matches, options, decision: fields.decision || options[0] };
+}
+
+function matchElement(context: ReviewContext, type: string, name: string): ReviewMatch[] {
+  const existing = findElementByName(context.elements, type, name);
+  return existing ? [{ id: existing.id, name: existing.name, proposedName: name }] : [];
+}
+
+// Names and types of the elements writeShotlist creates for a shot
+const shotElements = (shot: ShotlistResult['shots'][number]) => [
+  { type: 'equipment', name: `Camera - ${shot.camera.lens}` },
+  ...(shot.lighting ? [{ type: 'equipment', name: `Lighting - ${shot.lighting}` }] : []),
+  ...shot.props.map(prop => ({ type: 'prop', name: prop }))
+];
+
+const weatherText = (weather?: { condition?: string; sunrise?: string; sunset?: string }) =>
+  weather ? [weather.condition, weather.sunrise && `sunrise ${weather.sunrise}`, weather.sunset && `sunset ${weather.sunset}`]
+    .filter(Boolean).join(', ') : '';
+
+function fieldItem(key: string, label: string, before: string | undefined, after: string): ReviewItem {
+  const status: ReviewStatus = before === undefined ? 'new' : before === after ? 'unchanged' : 'changed';
+  return item({
+    key,
+    kind: 'field',
+    group: 'Call sheet fields',
+    label,
+    status,
+    before,
+    after,
+    options: ['create', 'skip'],
+    decision: status === 'unchanged' || !after ? 'skip' : 'create'
+  });
+}
+
+/**
+ * Lists the changes an AI result would make, compared against the project
+ * @param actionId - The quick action that produced the result
+ * @param result - Parsed, validated AI result
+ * @param context - Existing project data
+ * @returns Checklist items, with decisions defaulted: new items are created,
+ * items matching existing elements merged, and items already there skipped
+ */
+export function buildReviewItems(actionId: string, result: any, context: ReviewContext): ReviewItem[] {
+  switch (actionId) {
+    case 'format-script': {
+      const { formattedScript, issues } = result as ScriptFormatResult;
+      const current = context.script?.content;
+      const status: ReviewStatus = current === undefined ? 'new' : current === formattedScript ? 'unchanged' : 'changed';
+      return [item({
+        key: 'script',
+        kind: 'script',
+        group: 'Script',
+        label: 'Formatted script',
+        detail: `${current === undefined ? '' : `${countLines(current)} → `}${countLines(formattedScript)} lines, ${issues.length} issues found`,
+        status,
+        decision: status === 'unchanged' ? 'skip' : 'create'
+      })];
+    }
+
+    case 'breakdown-scene': {
+      const { locations, elements } = result as BreakdownResult;
+      const headings = new Set(context.scenes.map(scene => normalizeHeading(scene.heading)));
+
+      const sceneItems = locations.map((location, index) => {
+        const heading = `${location.type === 'interior' ? 'INT' : 'EXT'}. ${location.name.toUpperCase()} - DAY`;
+        const exists = headings.has(normalizeHeading(heading));
+        return item({
+          key: `scene:${index}`,
+          kind: 'scene',
+          group: 'Scenes',
+          label: heading,
+          detail: location.description,
+          status: exists ? 'exists' : 'new',
+          // Scenes aren't merged; one that's already there is left out by default
+          options: ['create', 'skip'],
+          decision: exists ? 'skip' : 'create'
+        });
+      });
+
+      const elementItems = elements.map((element, index) => {
+        const matches = matchElement(context, element.type, element.name);
+        return item({
+          key: `element:${index}`,
+          kind: 'element',
+          group: 'Elements',
+          label: element.name,
+          detail: [element.type, element.description].filter(Boolean).join(' · '),
+          status: matches.length > 0 ? 'exists' : 'new',
+          matches
+        });
+      });
+
+      return [...sceneItems, ...elementItems];
+    }
+
+    case 'generate-shotlist': {
+      const { shots } = result as ShotlistResult;
+      return shots.map((shot, index) => {
+        const matches = shotElements(shot).flatMap(element => matchElement(context, element.type, element.name));
+        return item({
+          key: `shot:${index}`,
+          kind: 'shot',
+          group: 'Shots',
+          label: `${shot.shotNumber} ${shot.shotType}`,
+          detail: shot.description,
+          status: matches.length > 0 ? 'exists' : 'new',
+          matches
+        });
+      });
+    }
+
+    case 'generate-callsheet': {
+      const { production, notes } = result as CallsheetResult;
+      const existing = context.callSheets.find(sheet => sheet.date === production.date);
+      return [
+        item({
+          key: 'callsheet',
+          kind: 'callsheet',
+          group: 'Call sheet',
+          label: `Call sheet for ${production.date}`,
+          detail: existing ? 'A call sheet for this date already exists' : undefined,
+          status: existing ? 'exists' : 'new',
+          matches: existing ? [{ id: existing.id, name: existing.unitName || existing.date, proposedName: production.title }] : []
+        }),
+        fieldItem('callsheet:unitName', 'Unit', existing?.unitName, production.title || ''),
+        fieldItem('callsheet:weather', 'Weather', existing && weatherText(existing.weather), weatherText({
+          condition: production.weather,
+          sunrise: production.sunrise,
+          sunset: production.sunset
+        })),
+        fieldItem('callsheet:notes', 'Notes', existing?.notes, notes.join('\n'))
+      ];
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Cuts an AI result down to the accepted items. Merged items carry the ID of
+ * the existing document they merge into.
+ * @param actionId - The quick action that produced the result
+ * @param result - Parsed, validated AI result
+ * @param items - Reviewed checklist items from buildReviewItems
+ * @returns The accepted part of the result, or null if nothing was accepted
+ */
+export function applyReviewDecisions(actionId: string, result: any, items: ReviewItem[]): any | null {
+  const byKey = new Map(items.map(reviewItem => [reviewItem.key, reviewItem]));
+  const accepted = (key: string) => byKey.has(key) && byKey.get(key)!.decision !== 'skip';
+  const mergeMatches = (key: string) => (byKey.get(key)?.decision === 'merge' ? byKey.get(key)!.matches : []);
+  // Writes otherwise merge into an element with the same name
+  const createDespiteMatch = (key: string) => byKey.get(key)?.decision === 'create' && byKey.get(key)!.matches.length > 0;
+
+  switch (actionId) {
+    case 'format-script':
+      return accepted('script') ? result : null;
+
+    case 'breakdown-scene': {
+      const breakdown = result as BreakdownResult;
+      const locations = breakdown.locations.filter((_location, index) => accepted(`scene:${index}`));
+      const elements = breakdown.elements
+        .map((element, index) => ({ element, key: `element:${index}` }))
+        .filter(({ key }) => accepted(key))
+        .map(({ element, key }) => {
+          const [match] = mergeMatches(key);
+          if (match) return { ...element, existingId: match.id };
+          return createDespiteMatch(key) ? { ...element, createNew: true } : element;
+        });
+      return locations.length > 0 || elements.length > 0 ? { ...breakdown, locations, elements } : null;
+    }
+
+    case 'generate-shotlist': {
+      const shotlist = result as ShotlistResult;
+      const shots = shotlist.shots
+        .map((shot, index) => ({ shot, key: `shot:${index}` }))
+        .filter(({ key }) => accepted(key))
+        .map(({ shot, key }) => {
+          const matches = mergeMatches(key);
+          if (matches.length > 0) {
+            return { ...shot, existingElementIds: Object.fromEntries(matches.map(match => [match.proposedName, match.id])) };
+          }
+          return createDespiteMatch(key) ? { ...shot, createNewElements: true } : shot;
+        });
+      return shots.length > 0 ? { ...shotlist, shots } : null;
+    }
+
+    case 'generate-callsheet': {
+      const callsheet = result as CallsheetResult;
+      if (!accepted('callsheet')) return null;
+
+      const [match] = mergeMatches('callsheet');
+      const keepWeather = accepted('callsheet:weather');
+      return {
+        ...callsheet,
+        production: {
+          ...callsheet.production,
+          title: accepted('callsheet:unitName') ? callsheet.production.title : '',
+          weather: keepWeather ? callsheet.production.weather : '',
+          sunrise: keepWeather ? callsheet.production.sunrise : '',
+          sunset: keepWeather ? callsheet.production.sunset : ''
+        },
+        notes: accepted('callsheet:notes') ? callsheet.notes : [],
+        ...(match && { existingId: match.id })
+      };
+    }
+
+    default:
+      return null;
+  }
+}
@@ -1,10 +1,12 @@
 // Service Integration for AI Assistant
-// Handles writing AI-generated data to appropriate services
+// Handles writing AI-generated data to appropriate services. Each result is
+// written in a single batch and recorded as a change set, so it either lands
+// whole or not at all and can be undone afterwards.
 
-import { saveScript } from '../../services/scripts';
-import { createScene } from '../../services/scenes';
-import { createElement } from '../../services/elements';
-import { createCallSheet } from '../../services/callsheets';
+import { buildSceneData } from '../../services/scenes';
+import { buildElementData, findElementByName, listElements, type CreateElementData, type Element } from '../../services/elements';
+import { buildCallSheetData } from '../../services/callsheets';
+import { startChangeSet, undoChangeSet, type ChangeSetWriter } from '../../services/changeSets';
 import type { 
   ScriptFormatResult, 
   BreakdownResult, 
@@ -17,6 +19,7 @@ export interface ServiceWriteResult {
   message: string;
   data?: any;
   error?: string;
+  changeSetId?: string; // the change set to undo the write with
 }
 
 export interface ServiceWriteOptions {
@@ -27,6 +30,63 @@ export interface ServiceWriteOptions {
   callsheetId?: string;
 }
 
+// Project elements a write matches names against, plus the ones it created
+interface WriteElements {
+  elements: Element[];
+  createdIds: Set<string>;
+}
+
+const loadWriteElements = async (projectId: string): Promise<WriteElements> => ({
+  elements: await listElements(projectId),
+  createdIds: new Set()
+});
+
+/**
+ * Adds an element to a change set, or merges it into the existing element the
+ * review step matched it to. Without a match from review, an element with the
+ * same name or alias is merged into instead, unless review chose to create a
+ * new one, and a name repeated within the write reuses the element created for
+ * it. A merge keeps the existing element's values and only fills in custom
+ * fields and cost it doesn't have.
+ * @returns The element's ID and whether it was merged into an existing one
+ */
+async function writeElement(
+  changes: ChangeSetWriter,
+  known: WriteElements,
+  data: CreateElementData,
+  { existingId, createNew = false }: { existingId?: string; createNew?: boolean } = {}
+): Promise<{ id: string; merged: boolean }> {
+  const candidates = createNew ? known.elements.filter(element => known.createdIds.has(element.id)) : known.elements;
+  const id = existingId || findElementByName(candidates, data.type, data.name)?.id;
+  if (!id) {
+    const createdId = changes.create('elements', buildElementData(data));
+    known.elements.push({ id: createdId, type: data.type, name: data.name } as Element);
+    known.createdIds.add(createdId);
+    return { id: createdId, merged: false };
+  }
+  if (known.createdIds.has(id)) {
+    return { id, merged: true };
+  }
+
+  await changes.update('elements', id, current => ({
+    customFields: { ...data.customFields, ...current?.customFields },
+    ...(current?.estCostCents === undefined && { estCostCents: data.estCostCents })
+  }));
+  return { id, merged: true };
+}
+
+interface WrittenItem {
+  type: string;
+  id: string;
+  name: string;
+  merged?: boolean;
+}
+
+const describeWrittenItems = (items: WrittenItem[]) => {
+  const merged = items.filter(item => item.merged).length;
+  return merged > 0 ? `Created ${items.length - merged}, merged ${merged}` : `Created ${items.length}`;
+};
+
 /**
  * Writes script formatting results to the database
  * @param result - Parsed script format result
@@ -47,14 +107,21 @@ export async function writeScriptFormat(
     }
 
     // Save the formatted script
-    await saveScript(options.projectId, options.scriptId, {
+    const changes = startChangeSet(options.projectId, {
+      source: 'ai',
+      actionId: 'format-script',
+      summary: 'Formatted script'
+    });
+    await changes.update('scripts', options.scriptId, {
       content: result.formattedScript,
       version: 1, // AI-generated version
       durationMins: result.summary.estimatedDuration
     });
+    const changeSetId = await changes.commit();
 
     return {
       success: true,
+      changeSetId,
       message: `Script formatted and saved successfully. ${result.issues.length} issues identified, ${result.improvements.length} improvements suggested.`,
       data: {
         scriptId: options.scriptId,
@@ -92,54 +159,53 @@ export async function writeSceneBreakdown(
       };
     }
 
-    const createdItems = [];
-    const errors = [];
+    const changes = startChangeSet(options.projectId, {
+      source: 'ai',
+      actionId: 'breakdown-scene',
+      summary: `Scene breakdown: ${result.locations.length} scenes, ${result.elements.length} elements`
+    });
+    const createdItems: WrittenItem[] = [];
+    const elements = await loadWriteElements(options.projectId);
 
     // Create scenes for each location
     for (const location of result.locations) {
-      try {
-        const sceneId = await createScene(options.projectId, {
-          number: 1, // Default scene number, should be determined by context
-          slug: location.name.toLowerCase().replace(/\s+/g, '-'),
-          heading: `${location.type === 'interior' ? 'INT' : 'EXT'}. ${location.name.toUpperCase()} - DAY`,
-          locationType: location.type.toUpperCase() as 'INT' | 'EXT',
-          timeOfDay: 'DAY',
-          durationMins: 5, // Default duration
-          elementIds: []
-        });
-        createdItems.push({ type: 'scene', id: sceneId, name: location.name });
-      } catch (error) {
-        errors.push(`Failed to create scene for ${location.name}: ${error}`);
-      }
+      const sceneId = changes.create('scenes', buildSceneData({
+        number: 1, // Default scene number, should be determined by context
+        slug: location.name.toLowerCase().replace(/\s+/g, '-'),
+        heading: `${location.type === 'interior' ? 'INT' : 'EXT'}. ${location.name.toUpperCase()} - DAY`,
+        locationType: location.type.toUpperCase() as 'INT' | 'EXT',
+        timeOfDay: 'DAY',
+        durationMins: 5, // Default duration
+        elementIds: []
+      }));
+      createdItems.push({ type: 'scene', id: sceneId, name: location.name });
     }
 
-    // Create elements
+    // Create elements, or merge them into existing ones
     for (const element of result.elements) {
-      try {
-        const elementId = await createElement(options.projectId, {
-          type: element.type,
-          name: element.name,
-          category: element.type, // Use type as category for now
-          customFields: {
-            description: element.description,
-            priority: element.priority,
-            estimatedCost: element.estimatedCost,
-            notes: element.notes
-          },
-          estCostCents: element.estimatedCost ? element.estimatedCost * 100 : undefined
-        });
-        createdItems.push({ type: 'element', id: elementId, name: element.name });
-      } catch (error) {
-        errors.push(`Failed to create element ${element.name}: ${error}`);
-      }
+      const { id: elementId, merged } = await writeElement(changes, elements, {
+        type: element.type,
+        name: element.name,
+        category: element.type, // Use type as category for now
+        customFields: {
+          description: element.description,
+          priority: element.priority,
+          estimatedCost: element.estimatedCost,
+          notes: element.notes
+        },
+        estCostCents: element.estimatedCost ? element.estimatedCost * 100 : undefined
+      }, { existingId: element.existingId, createNew: element.createNew });
+      createdItems.push({ type: 'element', id: elementId, name: element.name, merged });
     }
 
+    const changeSetId = await changes.commit();
+
     return {
       success: true,
-      message: `Scene breakdown completed. Created ${createdItems.length} items. ${errors.length} errors occurred.`,
+      changeSetId,
+      message: `Scene breakdown completed. ${describeWrittenItems(createdItems)} items.`,
       data: {
         createdItems,
-        errors,
         summary: result.summary
       }
     };
@@ -173,78 +239,77 @@ export async function writeShotlist(
     }
 
     // Create elements for each shot's equipment and props
-    const createdItems = [];
-    const errors = [];
+    const changes = startChangeSet(options.projectId, {
+      source: 'ai',
+      actionId: 'generate-shotlist',
+      summary: `Shotlist: ${result.shots.length} shots`
+    });
+    const createdItems: WrittenItem[] = [];
+    const elements = await loadWriteElements(options.projectId);
 
     for (const shot of result.shots) {
+      const existingIds = shot.existingElementIds || {};
+
       // Create camera equipment element
-      try {
-        const cameraElementId = await createElement(options.projectId, {
+      const cameraName = `Camera - ${shot.camera.lens}`;
+      const camera = await writeElement(changes, elements, {
+        type: 'equipment',
+        name: cameraName,
+        category: 'camera',
+        customFields: {
+          shotNumber: shot.shotNumber,
+          shotType: shot.shotType,
+          angle: shot.angle,
+          movement: shot.movement,
+          lens: shot.camera.lens,
+          settings: shot.camera.settings,
+          filters: shot.camera.filters,
+          difficulty: shot.difficulty,
+          estimatedTime: shot.estimatedTime
+        }
+      }, { existingId: existingIds[cameraName], createNew: shot.createNewElements });
+      createdItems.push({ type: 'camera_equipment', id: camera.id, name: cameraName, merged: camera.merged });
+
+      // Create lighting equipment element
+      if (shot.lighting) {
+        const lightingName = `Lighting - ${shot.lighting}`;
+        const lighting = await writeElement(changes, elements, {
           type: 'equipment',
-          name: `Camera - ${shot.camera.lens}`,
-          category: 'camera',
+          name: lightingName,
+          category: 'lighting',
           customFields: {
             shotNumber: shot.shotNumber,
-            shotType: shot.shotType,
-            angle: shot.angle,
-            movement: shot.movement,
-            lens: shot.camera.lens,
-            settings: shot.camera.settings,
-            filters: shot.camera.filters,
-            difficulty: shot.difficulty,
-            estimatedTime: shot.estimatedTime
+            description: shot.lighting,
+            difficulty: shot.difficulty
           }
-        });
-        createdItems.push({ type: 'camera_equipment', id: cameraElementId, name: `Camera - ${shot.camera.lens}` });
-      } catch (error) {
-        errors.push(`Failed to create camera equipment for shot ${shot.shotNumber}: ${error}`);
-      }
-
-      // Create lighting equipment element
-      if (shot.lighting) {
-        try {
-          const lightingElementId = await createElement(options.projectId, {
-            type: 'equipment',
-            name: `Lighting - ${shot.lighting}`,
-            category: 'lighting',
-            customFields: {
-              shotNumber: shot.shotNumber,
-              description: shot.lighting,
-              difficulty: shot.difficulty
-            }
-          });
-          createdItems.push({ type: 'lighting_equipment', id: lightingElementId, name: `Lighting - ${shot.lighting}` });
-        } catch (error) {
-          errors.push(`Failed to create lighting equipment for shot ${shot.shotNumber}: ${error}`);
-        }
+        }, { existingId: existingIds[lightingName], createNew: shot.createNewElements });
+        createdItems.push({ type: 'lighting_equipment', id: lighting.id, name: lightingName, merged: lighting.merged });
       }
 
       // Create prop elements
       for (const prop of shot.props) {
-        try {
-          const propElementId = await createElement(options.projectId, {
-            type: 'prop',
-            name: prop,
-            category: 'props',
-            customFields: {
-              shotNumber: shot.shotNumber,
-              description: `Prop for ${shot.shotNumber}`,
-              difficulty: shot.difficulty
-            }
-          });
-          createdItems.push({ type: 'prop', id: propElementId, name: prop });
-        } catch (error) {
-          errors.push(`Failed to create prop ${prop} for shot ${shot.shotNumber}: ${error}`);
-        }
+        const propElement = await writeElement(changes, elements, {
+          type: 'prop',
+          name: prop,
+          category: 'props',
+          customFields: {
+            shotNumber: shot.shotNumber,
+            description: `Prop for ${shot.shotNumber}`,
+            difficulty: shot.difficulty
+          }
+        }, { existingId: existingIds[prop], createNew: shot.createNewElements });
+        createdItems.push({ type: 'prop', id: propElement.id, name: prop, merged: propElement.merged });
       }
     }
 
+    const changeSetId = await changes.commit();
+
     return {
       success: true,
-      message: `Shotlist processed. Created ${createdItems.length} equipment and prop elements. ${errors.length} errors occurred.`,
+      changeSetId,
+      message: `Shotlist processed. ${describeWrittenItems(createdItems)} equipment and prop elements.`,
       data: {
         createdItems,
-        errors,
         coverage: result.coverage,
         schedule: result.schedule
       }
@@ -278,26 +343,45 @@ export async function writeCallsheet(
       };
     }
 
-    // Create callsheet
-    const callsheetId = await createCallSheet(options.projectId, {
-      date: result.production.date,
-      unitName: result.production.title,
-      dayId: 'ai-generated', // This should be linked to an actual strip day
-      locationId: 'ai-generated', // This should be linked to an actual location
-      recipients: [], // This should be populated with actual contact IDs
-      weather: {
-        high: 75, // Default values, should be parsed from result
-        low: 60,
-        condition: result.production.weather || 'Clear',
-        sunrise: result.production.sunrise,
-        sunset: result.production.sunset
-      },
-      notes: result.notes.join('\n')
+    const changes = startChangeSet(options.projectId, {
+      source: 'ai',
+      actionId: 'generate-callsheet',
+      summary: `Call sheet for ${result.production.date}`
     });
+    // Only what the sheet states; updates merge into the existing weather, so the
+    // forecast temperatures and other sun times are kept
+    const weather = {
+      condition: result.production.weather || 'Clear',
+      ...(result.production.sunrise && { sunrise: result.production.sunrise }),
+      ...(result.production.sunset && { sunset: result.production.sunset })
+    };
+
+    let callsheetId = result.existingId;
+    if (callsheetId) {
+      // Update the existing call sheet with the fields the review kept
+      await changes.update('callsheets', callsheetId, {
+        ...(result.production.title && { unitName: result.production.title }),
+        ...(result.production.weather && { weather }),
+        ...(result.notes.length > 0 && { notes: result.notes.join('\n') })
+      });
+    } else {
+      // Create callsheet
+      callsheetId = changes.create('callsheets', buildCallSheetData({
+        date: result.production.date,
+        ...(result.production.title && { unitName: result.production.title }),
+        dayId: 'ai-generated', // This should be linked to an actual strip day
+        locationId: 'ai-generated', // This should be linked to an actual location
+        recipients: [], // This should be populated with actual contact IDs
+        ...(result.production.weather && { weather: { sunrise: '', sunset: '', ...weather } }),
+        notes: result.notes.join('\n')
+      }));
+    }
+    const changeSetId = await changes.commit();
 
     return {
       success: true,
-      message: `Callsheet created successfully. ${result.cast.length} cast members, ${result.crew.length} crew members.`,
+      changeSetId,
+      message: `Callsheet ${result.existingId ? 'updated' : 'created'} successfully. ${result.cast.length} cast members, ${result.crew.length} crew members.`,
       data: {
         callsheetId,
         production: result.production,
@@ -350,6 +434,37 @@ export async function writeAIResult(
   }
 }
 
+/**
+ * Reverts an AI write, unless something it wrote has been edited since
+ * @param projectId - The project ID
+ * @param changeSetId - The change set from the write result
+ * @returns Promise with undo result
+ */
+export async function undoAIResult(projectId: string, changeSetId: string): Promise<ServiceWriteResult> {
+  try {
+    const { undone, conflicts } = await undoChangeSet(projectId, changeSetId);
+    if (!undone) {
+      return {
+        success: false,
+        message: 'These changes have been edited since they were applied, so they were left as they are',
+        error: `Edited since: ${conflicts.map(ref => `${ref.collection}/${ref.id}`).join(', ')}`
+      };
+    }
+
+    return {
+      success: true,
+      message: 'AI changes undone'
+    };
+  } catch (error) {
+    console.error('Error undoing AI result:', error);
+    return {
+      success: false,
+      message: 'Failed to undo AI changes',
+      error: error instanceof Error ? error.message : 'Unknown error'
+    };
+  }
+}
+
 /**
  * Validates that a result has the expected structure for a given action
  * @param actionId - The quick action ID
@@ -0,0 +1,210 @@
+// src/modules/breakdown/AutoScheduleDialog.tsx
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '../../components/ui/dialog';
+import { Button } from '../../components/ui/button';
+import { Badge } from '../../components/ui/badge';
+import { Input } from '../../components/ui/input';
+import { Switch } from '../../components/ui/switch';
+import { ScrollArea } from '../../components/ui/scroll-area';
+import { Wand2, AlertTriangle } from 'lucide-react';
+import { type StripDay } from '../../services/stripboard';
+import { formatSceneNumber, type Scene } from '../../services/scenes';
+import { listElements, type Element } from '../../services/elements';
+import { listLocations, type Location } from '../../services/locations';
+import {
+  buildScheduleScenes,
+  autoSchedule,
+  diffSchedule,
+  applySchedule,
+  type ScheduleOptions,
+  type UnscheduledReason
+} from '../../services/scheduler';
+
+interface AutoScheduleDialogProps {
+  open: boolean;
+  projectId: string;
+  stripDays: StripDay[];
+  scenes: Scene[];
+  onClose: () => void;
+}
+
+const UNSCHEDULED_REASONS: Record<UnscheduledReason, string> = {
+  capacity: 'no day has room',
+  cast: 'cast unavailable on the days with room',
+  companyMoves: 'would exceed the company moves allowed'
+};
+
+const AutoScheduleDialog: React.FC<AutoScheduleDialogProps> = ({ open, projectId, stripDays, scenes, onClose }) => {
+  const [elements, setElements] = useState<Element[]>([]);
+  const [locations, setLocations] = useState<Location[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [options, setOptions] = useState<ScheduleOptions>({
+    groupLocations: true,
+    batchIntExt: true,
+    batchDayNight: true,
+    maxCompanyMoves: 1
+  });
+
+  // Cast and locations are only needed while previewing
+  useEffect(() => {
+    if (!open || !projectId) return;
+
+    setLoading(true);
+    Promise.all([listElements(projectId), listLocations(projectId)])
+      .then(([elementsData, locationsData]) => {
+        setElements(elementsData);
+        setLocations(locationsData);
+      })
+      .catch(error => console.error('Error loading scheduling data:', error))
+      .finally(() => setLoading(false));
+  }, [open, projectId]);
+
+  const { proposal, changes } = useMemo(() => {
+    const { scenes: scheduleScenes, castUnavailable } = buildScheduleScenes(scenes, elements, locations);
+    const result = autoSchedule(stripDays, scheduleScenes, { ...options, castUnavailable });
+    return { proposal: result, changes: diffSchedule(stripDays, result) };
+  }, [stripDays, scenes, elements, locations, options]);
+
+  const sceneLabel = (sceneId: string) => {
+    const scene = scenes.find(s => s.id === sceneId);
+    return scene ? `${formatSceneNumber(scene)} ${scene.heading}` : sceneId;
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      await applySchedule(projectId, changes);
+      onClose();
+    } catch (error) {
+      console.error('Error applying schedule:', error);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const toggle = (key: keyof ScheduleOptions) => (checked: boolean) =>
+    setOptions(prev => ({ ...prev, [key]: checked }));
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Wand2 className="h-5 w-5" />
+            Auto-schedule
+          </DialogTitle>
+          <DialogDescription>
+            Places unscheduled scenes on the strip days and batches each day. Nothing changes until you apply.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-2 gap-3 text-sm">
+          <label className="flex items-center justify-between gap-2">
+            Group by location
+            <Switch checked={options.groupLocations} onCheckedChange={toggle('groupLocations')} />
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            Batch INT / EXT
+            <Switch checked={options.batchIntExt} onCheckedChange={toggle('batchIntExt')} />
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            Batch day / night
+            <Switch checked={options.batchDayNight} onCheckedChange={toggle('batchDayNight')} />
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            Company moves per day
+            <Input
+              type="number"
+              min="0"
+              value={options.maxCompanyMoves}
+              onChange={(e) => setOptions(prev => ({ ...prev, maxCompanyMoves: Math.max(0, Number(e.target.value)) }))}
+              className="w-20 h-8"
+            />
+          </label>
+        </div>
+
+        <div className="flex gap-2 flex-wrap text-sm">
+          <Badge variant="outline">
+            Location changes: {proposal.before.locationChanges} → {proposal.after.locationChanges}
+          </Badge>
+          <Badge variant="outline">
+            Company moves: {proposal.before.companyMoves} → {proposal.after.companyMoves}
+          </Badge>
+          <Badge variant="outline">
+            Cast days: {proposal.before.castDays} → {proposal.after.castDays}
+          </Badge>
+        </div>
+
+        <ScrollArea className="h-80">
+          {loading ? (
+            <div className="text-sm text-gray-500 py-8 text-center">Loading cast and locations...</div>
+          ) : (
+            <div className="space-y-3">
+              {changes.length === 0 && (
+                <div className="text-sm text-gray-500 py-8 text-center">The schedule is already as proposed</div>
+              )}
+              {changes.map(change => (
+                <div key={change.dayId} className="border rounded-lg p-3">
+                  <div className="flex items-center gap-2 mb-2">
+                    <span className="font-medium">{change.date}</span>
+                    {change.added.length > 0 && <Badge variant="secondary">+{change.added.length} scenes</Badge>}
+                    {change.reordered && <Badge variant="outline">Reordered</Badge>}
+                  </div>
+                  <div className="grid grid-cols-2 gap-3 text-sm">
+                    <div>
+                      <div className="text-xs text-gray-500 mb-1">Current</div>
+                      {change.before.map(sceneId => (
+                        <div key={sceneId} className="truncate">{sceneLabel(sceneId)}</div>
+                      ))}
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-500 mb-1">Proposed</div>
+                      {change.after.map(sceneId => (
+                        <div
+                          key={sceneId}
+                          className={`truncate ${change.added.includes(sceneId) ? 'text-green-700 font-medium' : ''}`}
+                        >
+                          {sceneLabel(sceneId)}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              ))}
+
+              {proposal.unscheduled.length > 0 && (
+                <div className="border border-amber-200 bg-amber-50 rounded-lg p-3 text-sm">
+                  <div className="flex items-center gap-2 font-medium text-amber-800 mb-1">
+                    <AlertTriangle className="h-4 w-4" />
+                    {proposal.unscheduled.length} scenes could not be placed
+                  </div>
+                  {proposal.unscheduled.map(({ sceneId, reason }) => (
+                    <div key={sceneId} className="text-amber-800">
+                      {sceneLabel(sceneId)}: {UNSCHEDULED_REASONS[reason]}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </ScrollArea>
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleApply} disabled={loading || applying || changes.length === 0}>
+            Apply Schedule
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default AutoScheduleDialog;
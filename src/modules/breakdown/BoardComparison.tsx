@@ -0,0 +1,111 @@
+// src/modules/breakdown/BoardComparison.tsx
+import React, { useMemo } from 'react';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle
+} from '../../components/ui/card';
+import { Badge } from '../../components/ui/badge';
+import { Button } from '../../components/ui/button';
+import { Columns, X } from 'lucide-react';
+import {
+  compareBoards,
+  getDaySceneIds,
+  isBannerStrip,
+  isOffDay,
+  BANNER_LABELS,
+  type StripBoard,
+  type StripDay
+} from '../../services/stripboard';
+import { formatSceneNumber, type Scene } from '../../services/scenes';
+
+interface BoardComparisonProps {
+  boardA: StripBoard;
+  boardB: StripBoard;
+  daysA: StripDay[];
+  daysB: StripDay[];
+  scenes: Scene[];
+  sceneDurations: Map<string, number>;
+  onClose: () => void;
+}
+
+const formatDuration = (minutes: number): string => `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`;
+
+const BoardComparison: React.FC<BoardComparisonProps> = ({
+  boardA,
+  boardB,
+  daysA,
+  daysB,
+  scenes,
+  sceneDurations,
+  onClose
+}) => {
+  const comparison = useMemo(
+    () => compareBoards(daysA, daysB, sceneDurations),
+    [daysA, daysB, sceneDurations]
+  );
+  const changed = useMemo(() => new Set(comparison.scenes.map(scene => scene.sceneId)), [comparison]);
+
+  const sceneLabel = (sceneId: string) => {
+    const scene = scenes.find(s => s.id === sceneId);
+    return scene ? `${formatSceneNumber(scene)} ${scene.heading}` : sceneId;
+  };
+
+  const renderBoard = (board: StripBoard, days: StripDay[], summary: typeof comparison.summary.a) => (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <h3 className="font-semibold">{board.name}</h3>
+        <Badge variant="outline">{board.unit}</Badge>
+      </div>
+      <div className="text-sm text-gray-600">
+        {summary.shootDays} shoot days, {summary.offDays} off, {formatDuration(summary.totalMins)}
+      </div>
+      {days.map(day => (
+        <div key={day.id} className={`rounded border p-2 text-sm ${isOffDay(day) ? 'bg-gray-100' : ''}`}>
+          <div className="font-medium">
+            {day.date}
+            {isOffDay(day) && <span className="ml-2 text-gray-500">{day.label || 'DAY OFF'}</span>}
+          </div>
+          {day.sceneOrder.map(stripId => (isBannerStrip(stripId) ? (
+            <div key={stripId} className="text-xs font-semibold text-gray-500">
+              {day.banners?.[stripId]?.label || BANNER_LABELS[day.banners?.[stripId]?.type || 'note']}
+            </div>
+          ) : (
+            <div key={stripId} className={`truncate ${changed.has(stripId) ? 'text-amber-700 font-medium' : ''}`}>
+              {sceneLabel(stripId)}
+            </div>
+          )))}
+          {!isOffDay(day) && getDaySceneIds(day).length === 0 && (
+            <div className="text-xs text-gray-400">No scenes</div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <Columns className="h-5 w-5" />
+            Compare Boards
+            <Badge variant="secondary">{comparison.scenes.length} scenes differ</Badge>
+          </CardTitle>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-2 gap-4">
+          {renderBoard(boardA, daysA, comparison.summary.a)}
+          {renderBoard(boardB, daysB, comparison.summary.b)}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BoardComparison;
@@ -0,0 +1,195 @@
+// src/modules/breakdown/BreakdownSheetView.tsx
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle
+} from '../../components/ui/card';
+import { Button } from '../../components/ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '../../components/ui/select';
+import { ClipboardList, FileDown, FileCode, X } from 'lucide-react';
+import { subscribeScenes, type Scene } from '../../services/scenes';
+import { subscribeElements, type Element } from '../../services/elements';
+import {
+  subscribeStripDays,
+  getBoardDays,
+  DEFAULT_BOARD_ID,
+  type StripDay
+} from '../../services/stripboard';
+import { generateDOOD } from '../../services/dood';
+import {
+  buildBreakdownSheets,
+  renderBreakdownSheetsHTML,
+  createBreakdownSheetsPDF,
+  type BreakdownSheet
+} from '../../services/breakdownSheets';
+
+interface BreakdownSheetViewProps {
+  projectId: string;
+  projectTitle?: string;
+  onClose?: () => void;
+}
+
+const download = (blob: Blob, filename: string) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  a.remove();
+};
+
+const BreakdownSheetView: React.FC<BreakdownSheetViewProps> = ({ projectId, projectTitle = '', onClose }) => {
+  const [scenes, setScenes] = useState<Scene[]>([]);
+  const [elements, setElements] = useState<Element[]>([]);
+  const [stripDays, setStripDays] = useState<StripDay[]>([]);
+  const [selectedSceneId, setSelectedSceneId] = useState<string>('');
+
+  // Sheets follow the script and its tags as they change
+  useEffect(() => {
+    if (!projectId) return;
+
+    const unsubscribers = [
+      subscribeScenes(projectId, setScenes),
+      subscribeElements(projectId, setElements),
+      subscribeStripDays(projectId, setStripDays)
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [projectId]);
+
+  // Cast numbers match the main board's Day Out of Days
+  const sheets = useMemo(() => {
+    const report = generateDOOD(getBoardDays(stripDays, DEFAULT_BOARD_ID), scenes, elements);
+    const castNumbers = new Map(report.rows.map(row => [row.elementId, row.castNumber]));
+    return buildBreakdownSheets(scenes, elements, castNumbers);
+  }, [scenes, elements, stripDays]);
+
+  const sheet = sheets.find(s => s.sceneId === selectedSceneId) || sheets[0];
+  const filename = `${projectTitle || 'project'} - Breakdown`;
+
+  const exportHTML = (exported: BreakdownSheet[], name: string) => {
+    download(new Blob([renderBreakdownSheetsHTML(exported, projectTitle)], { type: 'text/html' }), `${name}.html`);
+  };
+
+  const exportPDF = (exported: BreakdownSheet[], name: string) => {
+    download(createBreakdownSheetsPDF(exported, projectTitle), `${name}.pdf`);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <ClipboardList className="h-5 w-5" />
+            Breakdown Sheets
+          </CardTitle>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => exportHTML(sheets, filename)} disabled={sheets.length === 0}>
+              <FileCode className="h-4 w-4 mr-2" />
+              All (HTML)
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => exportPDF(sheets, filename)} disabled={sheets.length === 0}>
+              <FileDown className="h-4 w-4 mr-2" />
+              All (PDF)
+            </Button>
+            {onClose && (
+              <Button variant="ghost" size="sm" onClick={onClose}>
+                <X className="h-4 w-4" />
+              </Button>
+            )}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {!sheet ? (
+          <div className="text-center py-8 text-gray-500">
+            Save the script to generate its breakdown sheets.
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-center gap-2">
+              <Select value={sheet.sceneId} onValueChange={setSelectedSceneId}>
+                <SelectTrigger className="flex-1">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {sheets.map(s => (
+                    <SelectItem key={s.sceneId} value={s.sceneId}>
+                      {s.sceneNumber}. {s.heading}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" size="sm" onClick={() => exportHTML([sheet], `${filename} - Scene ${sheet.sceneNumber}`)}>
+                <FileCode className="h-4 w-4 mr-2" />
+                HTML
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => exportPDF([sheet], `${filename} - Scene ${sheet.sceneNumber}`)}>
+                <FileDown className="h-4 w-4 mr-2" />
+                PDF
+              </Button>
+            </div>
+
+            <div className="grid grid-cols-4 border rounded text-sm">
+              {[
+                ['Scene', sheet.sceneNumber],
+                ['Int/Ext', sheet.intExt],
+                ['Day/Night', sheet.dayNight],
+                ['Pages', sheet.pages || '-']
+              ].map(([label, value]) => (
+                <div key={label} className="p-2 border-r last:border-r-0">
+                  <div className="text-xs uppercase text-gray-500">{label}</div>
+                  <div className="font-medium">{value}</div>
+                </div>
+              ))}
+              <div className="col-span-2 p-2 border-t border-r">
+                <div className="text-xs uppercase text-gray-500">Set</div>
+                <div className="font-medium">{sheet.set}</div>
+              </div>
+              <div className="col-span-2 p-2 border-t">
+                <div className="text-xs uppercase text-gray-500">Time of day</div>
+                <div className="font-medium">{sheet.timeOfDay}</div>
+              </div>
+              <div className="col-span-4 p-2 border-t">
+                <div className="text-xs uppercase text-gray-500">Synopsis</div>
+                <div>{sheet.synopsis || <span className="text-gray-400">No synopsis</span>}</div>
+              </div>
+            </div>
+
+            {sheet.groups.length === 0 ? (
+              <div className="text-sm text-gray-500">No elements tagged in this scene.</div>
+            ) : (
+              <div className="grid grid-cols-3 gap-3">
+                {sheet.groups.map(group => (
+                  <div key={group.key} className="border rounded p-2">
+                    <h3 className="text-xs font-semibold uppercase mb-1">{group.label}</h3>
+                    <ul className="text-sm space-y-0.5">
+                      {group.items.map(item => (
+                        <li key={item.elementId}>
+                          {item.castNumber !== undefined && <span className="font-semibold mr-1">{item.castNumber}.</span>}
+                          {item.name}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BreakdownSheetView;
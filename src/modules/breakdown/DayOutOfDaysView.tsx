@@ -0,0 +1,165 @@
+// src/modules/breakdown/DayOutOfDaysView.tsx
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle
+} from '../../components/ui/card';
+import { Button } from '../../components/ui/button';
+import { Users, FileDown, FileSpreadsheet } from 'lucide-react';
+import {
+  subscribeStripDays,
+  getBoardDays,
+  DEFAULT_BOARD_ID,
+  type StripDay
+} from '../../services/stripboard';
+import { subscribeScenes, type Scene } from '../../services/scenes';
+import { subscribeElements, type Element } from '../../services/elements';
+import { subscribeContacts, type Contact } from '../../services/contacts';
+import {
+  generateDOOD,
+  exportDOODToCSV,
+  createDOODPDF,
+  type DOODCode
+} from '../../services/dood';
+
+interface DayOutOfDaysViewProps {
+  projectId: string;
+  projectTitle?: string;
+  boardId?: string;
+}
+
+const codeClassName = (code: DOODCode): string => {
+  if (code.includes('W')) return code === 'W' ? 'bg-green-100 text-green-800' : 'bg-green-200 text-green-900 font-semibold';
+  if (code === 'H') return 'bg-yellow-100 text-yellow-800';
+  if (code === 'T') return 'bg-blue-100 text-blue-800';
+  return '';
+};
+
+const download = (blob: Blob, filename: string) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  a.remove();
+};
+
+const DayOutOfDaysView: React.FC<DayOutOfDaysViewProps> = ({ projectId, projectTitle = '', boardId = DEFAULT_BOARD_ID }) => {
+  const [stripDays, setStripDays] = useState<StripDay[]>([]);
+  const [scenes, setScenes] = useState<Scene[]>([]);
+  const [elements, setElements] = useState<Element[]>([]);
+  const [contacts, setContacts] = useState<Contact[]>([]);
+
+  // The report follows the stripboard, breakdown and cast as they change
+  useEffect(() => {
+    if (!projectId) return;
+
+    const unsubscribers = [
+      subscribeStripDays(projectId, setStripDays),
+      subscribeScenes(projectId, setScenes),
+      subscribeElements(projectId, setElements),
+      subscribeContacts(projectId, setContacts)
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [projectId]);
+
+  const report = useMemo(
+    () => generateDOOD(getBoardDays(stripDays, boardId), scenes, elements, { contacts }),
+    [stripDays, boardId, scenes, elements, contacts]
+  );
+
+  const filename = `${projectTitle || 'project'} - DOOD`;
+
+  const handleExportCSV = () => {
+    download(new Blob([exportDOODToCSV(report)], { type: 'text/csv' }), `${filename}.csv`);
+  };
+
+  const handleExportPDF = () => {
+    download(createDOODPDF(report, projectTitle), `${filename}.pdf`);
+  };
+
+  const formatDate = (dateString: string): string => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', { month: 'numeric', day: 'numeric', timeZone: 'UTC' });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <Users className="h-5 w-5" />
+            Day Out of Days
+          </CardTitle>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={handleExportCSV} disabled={report.rows.length === 0}>
+              <FileSpreadsheet className="h-4 w-4 mr-2" />
+              CSV
+            </Button>
+            <Button variant="outline" size="sm" onClick={handleExportPDF} disabled={report.rows.length === 0}>
+              <FileDown className="h-4 w-4 mr-2" />
+              PDF
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {report.rows.length === 0 ? (
+          <div className="text-center py-8 text-gray-500 text-sm">
+            No cast elements yet. Tag characters in the script to build the Day Out of Days.
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="text-sm border-collapse">
+              <thead>
+                <tr className="text-xs text-gray-500">
+                  <th className="sticky left-0 bg-white text-left p-2">#</th>
+                  <th className="sticky left-8 bg-white text-left p-2 min-w-[10rem]">Cast</th>
+                  {report.days.map(day => (
+                    <th key={day.dayId} className="p-1 text-center min-w-[3rem]">
+                      <div>Day {day.dayNumber}</div>
+                      <div className="font-normal">{formatDate(day.date)}</div>
+                    </th>
+                  ))}
+                  <th className="p-2">Travel</th>
+                  <th className="p-2">Work</th>
+                  <th className="p-2">Hold</th>
+                  <th className="p-2">Idle</th>
+                  <th className="p-2">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(row => (
+                  <tr key={row.elementId} className="border-t">
+                    <td className="sticky left-0 bg-white p-2 text-gray-500">{row.castNumber}</td>
+                    <td className="sticky left-8 bg-white p-2">
+                      <div className="font-medium">{row.name}</div>
+                      {row.actorName && <div className="text-xs text-gray-500">{row.actorName}</div>}
+                    </td>
+                    {row.cells.map((code, index) => (
+                      <td key={report.days[index].dayId} className={`p-1 text-center text-xs border-l ${codeClassName(code)}`}>
+                        {code}
+                      </td>
+                    ))}
+                    <td className="p-2 text-center">{row.travel}</td>
+                    <td className="p-2 text-center">{row.work}</td>
+                    <td className="p-2 text-center">{row.hold}</td>
+                    <td className="p-2 text-center">{row.idle}</td>
+                    <td className="p-2 text-center font-medium">{row.total}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DayOutOfDaysView;
@@ -0,0 +1,105 @@
+// src/modules/breakdown/SceneLengthsPanel.tsx
+import React, { useState, useEffect } from 'react';
+import { Input } from '../../components/ui/input';
+import { Button } from '../../components/ui/button';
+import { Badge } from '../../components/ui/badge';
+import { FileText, RotateCcw } from 'lucide-react';
+import {
+  subscribeScenes,
+  updateScene,
+  formatSceneNumber,
+  formatPageEighths,
+  parsePageEighths,
+  getSceneEighths,
+  type Scene
+} from '../../services/scenes';
+
+interface SceneLengthsPanelProps {
+  projectId: string;
+}
+
+const SceneLengthsPanel: React.FC<SceneLengthsPanelProps> = ({ projectId }) => {
+  const [scenes, setScenes] = useState<Scene[]>([]);
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    if (!projectId) return;
+
+    const unsubscribe = subscribeScenes(projectId, setScenes);
+    return () => unsubscribe();
+  }, [projectId]);
+
+  const activeScenes = scenes.filter(scene => !scene.deletedFromScript);
+  const totalEighths = activeScenes.reduce((total, scene) => total + (getSceneEighths(scene) || 0), 0);
+
+  const saveOverride = async (scene: Scene) => {
+    const text = drafts[scene.id];
+    if (text === undefined) return;
+    setDrafts(prev => Object.fromEntries(Object.entries(prev).filter(([sceneId]) => sceneId !== scene.id)));
+
+    const eighths = parsePageEighths(text);
+    if (Number.isNaN(eighths) || eighths === getSceneEighths(scene)) return;
+
+    try {
+      await updateScene(projectId, scene.id, {
+        pageEighthsOverride: eighths === scene.pageEighths ? null : eighths
+      });
+    } catch (error) {
+      console.error('Error saving scene length:', error);
+    }
+  };
+
+  const clearOverride = async (scene: Scene) => {
+    try {
+      await updateScene(projectId, scene.id, { pageEighthsOverride: null });
+    } catch (error) {
+      console.error('Error clearing scene length:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium flex items-center gap-2">
+          <FileText className="h-4 w-4" />
+          Scene Lengths
+        </h3>
+        <Badge variant="secondary">{formatPageEighths(totalEighths)} pgs</Badge>
+      </div>
+      {activeScenes.length === 0 ? (
+        <div className="text-sm text-gray-500">Save the script to measure its scenes.</div>
+      ) : (
+        activeScenes.map((scene) => {
+          const eighths = getSceneEighths(scene);
+          const overridden = scene.pageEighthsOverride != null;
+
+          return (
+            <div key={scene.id} className="flex items-center gap-2 text-sm">
+              <span className="font-semibold w-8">{formatSceneNumber(scene)}</span>
+              <span className="flex-1 truncate" title={scene.heading}>{scene.heading}</span>
+              <Input
+                value={drafts[scene.id] ?? (eighths !== undefined ? formatPageEighths(eighths) : '')}
+                onChange={(e) => setDrafts(prev => ({ ...prev, [scene.id]: e.target.value }))}
+                onBlur={() => saveOverride(scene)}
+                onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                className={`w-20 h-8 ${overridden ? 'border-amber-400' : ''}`}
+                title={overridden ? 'Set by hand' : 'Measured from the script'}
+              />
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => clearOverride(scene)}
+                disabled={!overridden}
+                title={scene.pageEighths !== undefined ? `Script: ${formatPageEighths(scene.pageEighths)}` : undefined}
+              >
+                <RotateCcw className="h-3 w-3" />
+              </Button>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default SceneLengthsPanel;
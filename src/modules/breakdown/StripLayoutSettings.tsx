@@ -0,0 +1,156 @@
+// src/modules/breakdown/StripLayoutSettings.tsx
+import React from 'react';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle
+} from '../../components/ui/card';
+import { Button } from '../../components/ui/button';
+import { Input } from '../../components/ui/input';
+import { Switch } from '../../components/ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '../../components/ui/select';
+import { Palette, ArrowUp, ArrowDown, RotateCcw, X } from 'lucide-react';
+import {
+  DEFAULT_STRIP_PALETTE,
+  STRIP_COLOR_LABELS,
+  STRIP_FIELD_LABELS,
+  type StripColorKey,
+  type StripDensity,
+  type StripField,
+  type StripLayout,
+  type StripPalette
+} from '../../services/stripLayouts';
+
+interface StripLayoutSettingsProps {
+  palette: StripPalette;
+  layout: StripLayout;
+  onPaletteChange: (palette: StripPalette) => void;
+  onLayoutChange: (layout: StripLayout) => void;
+  onClose: () => void;
+}
+
+const StripLayoutSettings: React.FC<StripLayoutSettingsProps> = ({
+  palette,
+  layout,
+  onPaletteChange,
+  onLayoutChange,
+  onClose
+}) => {
+  // Shown fields first, in layout order, then the hidden ones
+  const allFields = [
+    ...layout.fields,
+    ...(Object.keys(STRIP_FIELD_LABELS) as StripField[]).filter(field => !layout.fields.includes(field))
+  ];
+
+  const toggleField = (field: StripField, shown: boolean) => {
+    const fields = shown
+      ? allFields.filter(f => f === field || layout.fields.includes(f))
+      : layout.fields.filter(f => f !== field);
+    onLayoutChange({ ...layout, fields });
+  };
+
+  const moveField = (index: number, offset: number) => {
+    const fields = [...layout.fields];
+    const [field] = fields.splice(index, 1);
+    fields.splice(index + offset, 0, field);
+    onLayoutChange({ ...layout, fields });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <Palette className="h-5 w-5" />
+            Strip Layout
+          </CardTitle>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-2 gap-8">
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="font-medium">Colors</h3>
+              <Button variant="ghost" size="sm" onClick={() => onPaletteChange(DEFAULT_STRIP_PALETTE)}>
+                <RotateCcw className="h-4 w-4 mr-2" />
+                Defaults
+              </Button>
+            </div>
+            <p className="text-xs text-gray-500">Shared by everyone on the project.</p>
+            {(Object.keys(STRIP_COLOR_LABELS) as StripColorKey[]).map(key => (
+              <label key={key} className="flex items-center justify-between gap-2 text-sm">
+                {STRIP_COLOR_LABELS[key]}
+                <Input
+                  type="color"
+                  value={palette[key]}
+                  onChange={(e) => onPaletteChange({ ...palette, [key]: e.target.value })}
+                  className="w-16 h-8 p-1"
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="font-medium">Fields</h3>
+            <p className="text-xs text-gray-500">Saved for you only.</p>
+            {allFields.map(field => {
+              const index = layout.fields.indexOf(field);
+              const shown = index !== -1;
+
+              return (
+                <div key={field} className="flex items-center gap-2 text-sm">
+                  <Switch checked={shown} onCheckedChange={(checked: boolean) => toggleField(field, checked)} />
+                  <span className={`flex-1 ${shown ? '' : 'text-gray-400'}`}>{STRIP_FIELD_LABELS[field]}</span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => moveField(index, -1)}
+                    disabled={!shown || index === 0}
+                  >
+                    <ArrowUp className="h-3 w-3" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => moveField(index, 1)}
+                    disabled={!shown || index === layout.fields.length - 1}
+                  >
+                    <ArrowDown className="h-3 w-3" />
+                  </Button>
+                </div>
+              );
+            })}
+            <label className="flex items-center justify-between gap-2 text-sm pt-2">
+              Density
+              <Select
+                value={layout.density}
+                onValueChange={(value) => onLayoutChange({ ...layout, density: value as StripDensity })}
+              >
+                <SelectTrigger className="w-36">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="compact">Compact</SelectItem>
+                  <SelectItem value="comfortable">Comfortable</SelectItem>
+                  <SelectItem value="expanded">Expanded</SelectItem>
+                </SelectContent>
+              </Select>
+            </label>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default StripLayoutSettings;
@@ -1,5 +1,5 @@
 // src/modules/breakdown/StripboardView.tsx
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { 
   Card, 
   CardContent, 
@@ -19,6 +19,13 @@ import {
   Alert, 
   AlertDescription 
 } from '../../components/ui/alert';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '../../components/ui/select';
 import { 
   Calendar, 
   Clock, 
@@ -26,7 +33,12 @@ import {
   Plus, 
   GripVertical,
   Trash2,
-  DollarSign
+  DollarSign,
+  Wand2,
+  Users,
+  Copy,
+  Palette,
+  X
 } from 'lucide-react';
 import { 
   subscribeStripDays,
@@ -35,12 +47,31 @@ import {
   deleteStripDay,
   reorderScenes,
   calculateTotalDuration,
+  calculateTotalEighths,
   isOverTarget,
   getOverageMinutes,
-  type StripDay 
+  getBoardDays,
+  getDaySceneIds,
+  isBannerStrip,
+  isOffDay,
+  insertBanner,
+  removeBanner,
+  subscribeStripBoards,
+  createStripBoard,
+  duplicateStripBoard,
+  deleteStripBoard,
+  BANNER_LABELS,
+  DEFAULT_BOARD_ID,
+  MAIN_BOARD,
+  type BannerType,
+  type StripBoard,
+  type StripDay,
+  type StripDayType
 } from '../../services/stripboard';
 import { 
   subscribeScenes,
+  formatPageEighths,
+  getSceneEighths,
   type Scene 
 } from '../../services/scenes';
 import { 
@@ -48,6 +79,30 @@ import {
   formatMoney,
   type DayBudgetTotals 
 } from '../../services/budget';
+import { subscribeProject } from '../../services/projects';
+import { subscribeElements, type Element } from '../../services/elements';
+import { generateDOOD } from '../../services/dood';
+import {
+  DEFAULT_STRIP_LAYOUT,
+  DEFAULT_STRIP_PALETTE,
+  STRIP_FIELD_LABELS,
+  getStripColor,
+  getStripFieldText,
+  resolveStripPalette,
+  saveStripLayout,
+  saveStripPalette,
+  subscribeStripLayout,
+  type StripDensity,
+  type StripField,
+  type StripLayout,
+  type StripPalette
+} from '../../services/stripLayouts';
+import { auth } from '../../lib/firebase.client';
+import { useAuthState } from 'react-firebase-hooks/auth';
+import AutoScheduleDialog from './AutoScheduleDialog';
+import DayOutOfDaysView from './DayOutOfDaysView';
+import BoardComparison from './BoardComparison';
+import StripLayoutSettings from './StripLayoutSettings';
 
 interface StripboardViewProps {
   projectId: string;
@@ -59,22 +114,58 @@ interface DragItem {
   index: number;
 }
 
+const UNITS = ['1st Unit', '2nd Unit', 'Splinter Unit'];
+
+const BANNER_STYLES: Record<BannerType, string> = {
+  company_move: 'bg-orange-100 border-orange-300 text-orange-800',
+  meal: 'bg-blue-100 border-blue-300 text-blue-800',
+  holiday: 'bg-purple-100 border-purple-300 text-purple-800',
+  note: 'bg-gray-100 border-gray-300 text-gray-800'
+};
+
+const DENSITY_STYLES: Record<StripDensity, string> = {
+  compact: 'px-2 py-1 text-xs',
+  comfortable: 'p-2 text-sm',
+  expanded: 'p-3'
+};
+
+const STRIP_FIELD_STYLES: Partial<Record<StripField, string>> = {
+  sceneNumber: 'font-semibold w-10',
+  set: 'font-medium flex-1 truncate',
+  cast: 'text-gray-700'
+};
+
 const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
-  const [stripDays, setStripDays] = useState<StripDay[]>([]);
+  const [allStripDays, setAllStripDays] = useState<StripDay[]>([]);
+  const [boards, setBoards] = useState<StripBoard[]>([]);
+  const [selectedBoardId, setSelectedBoardId] = useState(DEFAULT_BOARD_ID);
+  const [compareBoardId, setCompareBoardId] = useState('');
+  const [newBoardName, setNewBoardName] = useState('');
+  const [newBoardUnit, setNewBoardUnit] = useState(UNITS[0]);
   const [scenes, setScenes] = useState<Scene[]>([]);
   const [sceneDurations, setSceneDurations] = useState<Map<string, number>>(new Map());
+  const [sceneEighths, setSceneEighths] = useState<Map<string, number>>(new Map());
   const [dayBudgets, setDayBudgets] = useState<Map<string, DayBudgetTotals>>(new Map());
   const [draggedItem, setDraggedItem] = useState<DragItem | null>(null);
   const [loading, setLoading] = useState(true);
   const [newDayDate, setNewDayDate] = useState('');
   const [newDayTargetMins, setNewDayTargetMins] = useState(480); // 8 hours default
+  const [newDayType, setNewDayType] = useState<StripDayType>('shoot');
+  const [newDayLabel, setNewDayLabel] = useState('');
+  const [showAutoSchedule, setShowAutoSchedule] = useState(false);
+  const [showDOOD, setShowDOOD] = useState(false);
+  const [elements, setElements] = useState<Element[]>([]);
+  const [palette, setPalette] = useState<StripPalette>(DEFAULT_STRIP_PALETTE);
+  const [layout, setLayout] = useState<StripLayout>(DEFAULT_STRIP_LAYOUT);
+  const [showLayoutSettings, setShowLayoutSettings] = useState(false);
+  const [user] = useAuthState(auth);
 
   // Subscribe to strip days
   useEffect(() => {
     if (!projectId) return;
 
     const unsubscribe = subscribeStripDays(projectId, async (stripDaysData) => {
-      setStripDays(stripDaysData);
+      setAllStripDays(stripDaysData);
       
       // Calculate budget totals for each day
       const budgetMap = new Map<string, DayBudgetTotals>();
@@ -93,6 +184,26 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
     return () => unsubscribe();
   }, [projectId]);
 
+  // Subscribe to boards
+  useEffect(() => {
+    if (!projectId) return;
+
+    const unsubscribe = subscribeStripBoards(projectId, setBoards);
+    return () => unsubscribe();
+  }, [projectId]);
+
+  const boardOptions = useMemo(() => [MAIN_BOARD, ...boards], [boards]);
+  const selectedBoard = boardOptions.find(board => board.id === selectedBoardId) || MAIN_BOARD;
+  const compareBoard = boardOptions.find(board => board.id === compareBoardId);
+  const stripDays = useMemo(
+    () => getBoardDays(allStripDays, selectedBoardId),
+    [allStripDays, selectedBoardId]
+  );
+  const compareDays = useMemo(
+    () => (compareBoardId ? getBoardDays(allStripDays, compareBoardId) : []),
+    [allStripDays, compareBoardId]
+  );
+
   // Subscribe to scenes
   useEffect(() => {
     if (!projectId) return;
@@ -100,17 +211,66 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
     const unsubscribe = subscribeScenes(projectId, (scenesData) => {
       setScenes(scenesData);
       
-      // Build scene durations map
+      // Build scene durations and page lengths maps
       const durations = new Map<string, number>();
+      const eighths = new Map<string, number>();
       scenesData.forEach(scene => {
         durations.set(scene.id, scene.durationMins);
+        eighths.set(scene.id, getSceneEighths(scene) || 0);
       });
       setSceneDurations(durations);
+      setSceneEighths(eighths);
     });
 
     return () => unsubscribe();
   }, [projectId]);
 
+  // Subscribe to the project's strip colors and cast elements
+  useEffect(() => {
+    if (!projectId) return;
+
+    const unsubscribers = [
+      subscribeProject(projectId, (project) => setPalette(resolveStripPalette(project?.settings?.stripPalette))),
+      subscribeElements(projectId, setElements)
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [projectId]);
+
+  // Subscribe to the signed-in user's strip layout
+  useEffect(() => {
+    if (!projectId || !user) return;
+
+    const unsubscribe = subscribeStripLayout(projectId, user.uid, setLayout);
+    return () => unsubscribe();
+  }, [projectId, user]);
+
+  // Cast ID numbers match the Day Out of Days
+  const castNumbers = useMemo(
+    () => new Map(generateDOOD(stripDays, scenes, elements).rows.map(row => [row.elementId, row.castNumber])),
+    [stripDays, scenes, elements]
+  );
+
+  const handlePaletteChange = async (newPalette: StripPalette) => {
+    setPalette(newPalette);
+    try {
+      await saveStripPalette(projectId, newPalette);
+    } catch (error) {
+      console.error('Error saving strip colors:', error);
+    }
+  };
+
+  const handleLayoutChange = async (newLayout: StripLayout) => {
+    setLayout(newLayout);
+    if (!user) return;
+
+    try {
+      await saveStripLayout(projectId, user.uid, newLayout);
+    } catch (error) {
+      console.error('Error saving strip layout:', error);
+    }
+  };
+
   // Get scene by ID
   const getSceneById = useCallback((sceneId: string): Scene | undefined => {
     return scenes.find(scene => scene.id === sceneId);
@@ -123,15 +283,82 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
     try {
       await createStripDay(projectId, {
         date: newDayDate,
-        targetMins: newDayTargetMins
+        targetMins: newDayType === 'off' ? 0 : newDayTargetMins,
+        boardId: selectedBoardId,
+        type: newDayType,
+        label: newDayLabel.trim() || undefined
       });
       setNewDayDate('');
       setNewDayTargetMins(480);
+      setNewDayLabel('');
     } catch (error) {
       console.error('Error creating strip day:', error);
     }
   };
 
+  // Handle creating a new, empty board
+  const handleCreateBoard = async () => {
+    if (!newBoardName.trim()) return;
+
+    try {
+      const boardId = await createStripBoard(projectId, { name: newBoardName.trim(), unit: newBoardUnit });
+      setSelectedBoardId(boardId);
+      setNewBoardName('');
+    } catch (error) {
+      console.error('Error creating board:', error);
+    }
+  };
+
+  // Handle copying the selected board into a new board
+  const handleDuplicateBoard = async () => {
+    try {
+      const boardId = await duplicateStripBoard(
+        projectId,
+        selectedBoardId,
+        { name: newBoardName.trim() || `${selectedBoard.name} (copy)`, unit: selectedBoard.unit },
+        allStripDays
+      );
+      setSelectedBoardId(boardId);
+      setNewBoardName('');
+    } catch (error) {
+      console.error('Error duplicating board:', error);
+    }
+  };
+
+  // Handle deleting the selected board and its days
+  const handleDeleteBoard = async () => {
+    const message = selectedBoardId === DEFAULT_BOARD_ID
+      ? 'Delete all days on the main board?'
+      : `Delete board "${selectedBoard.name}" and all its days?`;
+    if (!window.confirm(message)) return;
+
+    try {
+      await deleteStripBoard(projectId, selectedBoardId, allStripDays);
+      if (compareBoardId === selectedBoardId) setCompareBoardId('');
+      setSelectedBoardId(DEFAULT_BOARD_ID);
+    } catch (error) {
+      console.error('Error deleting board:', error);
+    }
+  };
+
+  // Handle adding a banner strip to the end of a day
+  const handleAddBanner = async (stripDay: StripDay, type: BannerType) => {
+    try {
+      await insertBanner(projectId, stripDay, { type, label: BANNER_LABELS[type] });
+    } catch (error) {
+      console.error('Error adding banner:', error);
+    }
+  };
+
+  // Handle removing a banner strip
+  const handleRemoveBanner = async (stripDay: StripDay, bannerId: string) => {
+    try {
+      await removeBanner(projectId, stripDay, bannerId);
+    } catch (error) {
+      console.error('Error removing banner:', error);
+    }
+  };
+
   // Handle drag start
   const handleDragStart = (e: React.DragEvent, dayId: string, sceneId: string, index: number) => {
     setDraggedItem({ dayId, sceneId, index });
@@ -176,15 +403,27 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
         newTargetOrder.splice(targetIndex, 0, draggedItem.sceneId);
         const newTargetTotal = calculateTotalDuration(newTargetOrder, sceneDurations);
 
+        // Banner strips carry their type and label with them
+        const bannerUpdates = {} as { source?: StripDay['banners']; target?: StripDay['banners'] };
+        if (isBannerStrip(draggedItem.sceneId)) {
+          const sourceBanners = { ...(sourceDay.banners || {}) };
+          const banner = sourceBanners[draggedItem.sceneId];
+          delete sourceBanners[draggedItem.sceneId];
+          bannerUpdates.source = sourceBanners;
+          bannerUpdates.target = { ...(targetDay.banners || {}), [draggedItem.sceneId]: banner };
+        }
+
         // Update both days
         await Promise.all([
           updateStripDay(projectId, draggedItem.dayId, {
             sceneOrder: newSourceOrder,
-            totalMins: newSourceTotal
+            totalMins: newSourceTotal,
+            ...(bannerUpdates.source && { banners: bannerUpdates.source })
           }),
           updateStripDay(projectId, targetDayId, {
             sceneOrder: newTargetOrder,
-            totalMins: newTargetTotal
+            totalMins: newTargetTotal,
+            ...(bannerUpdates.target && { banners: bannerUpdates.target })
           })
         ]);
       }
@@ -239,8 +478,79 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
             Stripboard
           </CardTitle>
         </CardHeader>
-        <CardContent>
-          <div className="flex gap-4 items-end">
+        <CardContent className="space-y-4">
+          <div className="flex gap-4 items-end flex-wrap">
+            <div>
+              <label className="text-sm font-medium">Board</label>
+              <Select value={selectedBoardId} onValueChange={setSelectedBoardId}>
+                <SelectTrigger className="w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {boardOptions.map(board => (
+                    <SelectItem key={board.id} value={board.id}>
+                      {board.name} ({board.unit})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <label className="text-sm font-medium">New Board</label>
+              <Input
+                value={newBoardName}
+                onChange={(e) => setNewBoardName(e.target.value)}
+                placeholder="Board name"
+                className="w-40"
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium">Unit</label>
+              <Select value={newBoardUnit} onValueChange={setNewBoardUnit}>
+                <SelectTrigger className="w-36">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {UNITS.map(unit => (
+                    <SelectItem key={unit} value={unit}>{unit}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button variant="outline" onClick={handleCreateBoard} disabled={!newBoardName.trim()}>
+              <Plus className="h-4 w-4 mr-2" />
+              Create Board
+            </Button>
+            <Button variant="outline" onClick={handleDuplicateBoard} disabled={stripDays.length === 0}>
+              <Copy className="h-4 w-4 mr-2" />
+              Duplicate
+            </Button>
+            <div>
+              <label className="text-sm font-medium">Compare With</label>
+              <Select value={compareBoardId || 'none'} onValueChange={(value) => setCompareBoardId(value === 'none' ? '' : value)}>
+                <SelectTrigger className="w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="none">No comparison</SelectItem>
+                  {boardOptions.filter(board => board.id !== selectedBoardId).map(board => (
+                    <SelectItem key={board.id} value={board.id}>
+                      {board.name} ({board.unit})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button
+              variant="ghost"
+              onClick={handleDeleteBoard}
+              className="text-red-600 hover:text-red-700"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Delete Board
+            </Button>
+          </div>
+          <div className="flex gap-4 items-end flex-wrap">
             <div>
               <label className="text-sm font-medium">Date</label>
               <Input
@@ -258,19 +568,109 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
                 onChange={(e) => setNewDayTargetMins(Number(e.target.value))}
                 className="w-32"
                 min="0"
+                disabled={newDayType === 'off'}
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium">Type</label>
+              <Select value={newDayType} onValueChange={(value) => setNewDayType(value as StripDayType)}>
+                <SelectTrigger className="w-32">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="shoot">Shoot day</SelectItem>
+                  <SelectItem value="off">Day off</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <label className="text-sm font-medium">Label</label>
+              <Input
+                value={newDayLabel}
+                onChange={(e) => setNewDayLabel(e.target.value)}
+                placeholder={newDayType === 'off' ? 'e.g. HOLIDAY' : 'Optional'}
+                className="w-36"
               />
             </div>
             <Button onClick={handleCreateStripDay} disabled={!newDayDate}>
               <Plus className="h-4 w-4 mr-2" />
               Add Day
             </Button>
+            <Button
+              variant="outline"
+              onClick={() => setShowAutoSchedule(true)}
+              disabled={stripDays.length === 0}
+            >
+              <Wand2 className="h-4 w-4 mr-2" />
+              Auto-schedule
+            </Button>
+            <Button
+              variant={showDOOD ? 'default' : 'outline'}
+              onClick={() => setShowDOOD(!showDOOD)}
+            >
+              <Users className="h-4 w-4 mr-2" />
+              Day Out of Days
+            </Button>
+            <Button
+              variant={showLayoutSettings ? 'default' : 'outline'}
+              onClick={() => setShowLayoutSettings(!showLayoutSettings)}
+            >
+              <Palette className="h-4 w-4 mr-2" />
+              Strip Layout
+            </Button>
           </div>
         </CardContent>
       </Card>
 
+      {showLayoutSettings && (
+        <StripLayoutSettings
+          palette={palette}
+          layout={layout}
+          onPaletteChange={handlePaletteChange}
+          onLayoutChange={handleLayoutChange}
+          onClose={() => setShowLayoutSettings(false)}
+        />
+      )}
+
+      {showDOOD && <DayOutOfDaysView projectId={projectId} boardId={selectedBoardId} />}
+
+      {compareBoard && (
+        <BoardComparison
+          boardA={selectedBoard}
+          boardB={compareBoard}
+          daysA={stripDays}
+          daysB={compareDays}
+          scenes={scenes}
+          sceneDurations={sceneDurations}
+          onClose={() => setCompareBoardId('')}
+        />
+      )}
+
       {/* Strip Days */}
       <div className="grid gap-4">
         {stripDays.map((stripDay) => {
+          if (isOffDay(stripDay)) {
+            return (
+              <Card key={stripDay.id} className="bg-gray-100">
+                <CardContent className="py-3 flex items-center justify-between">
+                  <div className="flex items-center gap-3">
+                    <h3 className="font-semibold text-gray-600">{formatDate(stripDay.date)}</h3>
+                    <Badge variant="outline">{stripDay.label || 'DAY OFF'}</Badge>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => deleteStripDay(projectId, stripDay.id)}
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </CardContent>
+              </Card>
+            );
+          }
+
+          const sceneCount = getDaySceneIds(stripDay).length;
           const isOver = isOverTarget(stripDay);
           const overage = getOverageMinutes(stripDay);
           const dayBudget = dayBudgets.get(stripDay.id);
@@ -281,13 +681,17 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
                 <div className="flex items-center justify-between">
                   <div className="flex items-center gap-3">
                     <h3 className="font-semibold">{formatDate(stripDay.date)}</h3>
+                    {stripDay.label && <Badge variant="secondary">{stripDay.label}</Badge>}
                     <Badge variant="outline">
-                      {stripDay.sceneOrder.length} scenes
+                      {sceneCount} scenes
                     </Badge>
                     <div className="flex items-center gap-1 text-sm text-gray-600">
                       <Clock className="h-4 w-4" />
                       {formatDuration(stripDay.totalMins)} / {formatDuration(stripDay.targetMins)}
                     </div>
+                    <div className="text-sm text-gray-600">
+                      {formatPageEighths(calculateTotalEighths(stripDay.sceneOrder, sceneEighths))} pgs
+                    </div>
                     {dayBudget && (
                       <div className="flex items-center gap-1 text-sm text-gray-600">
                         <DollarSign className="h-4 w-4" />
@@ -304,6 +708,16 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
                         </AlertDescription>
                       </Alert>
                     )}
+                    <Select value="" onValueChange={(value) => handleAddBanner(stripDay, value as BannerType)}>
+                      <SelectTrigger className="w-36 h-8">
+                        <SelectValue placeholder="Add banner" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {(Object.keys(BANNER_LABELS) as BannerType[]).map(type => (
+                          <SelectItem key={type} value={type}>{BANNER_LABELS[type]}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
                     <Button
                       variant="ghost"
                       size="sm"
@@ -323,8 +737,41 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
                     </div>
                   ) : (
                     stripDay.sceneOrder.map((sceneId, index) => {
+                      if (isBannerStrip(sceneId)) {
+                        const banner = stripDay.banners?.[sceneId] || { type: 'note' as BannerType, label: '' };
+
+                        return (
+                          <div
+                            key={`${stripDay.id}-${sceneId}`}
+                            draggable
+                            onDragStart={(e) => handleDragStart(e, stripDay.id, sceneId, index)}
+                            onDragEnd={handleDragEnd}
+                            className={`
+                              flex items-center gap-3 px-3 py-1 rounded border cursor-move text-sm font-semibold
+                              ${BANNER_STYLES[banner.type]}
+                              ${draggedItem?.dayId === stripDay.id && draggedItem?.index === index
+                                ? 'opacity-50' : ''
+                              }
+                            `}
+                          >
+                            <GripVertical className="h-4 w-4 opacity-60" />
+                            <div className="flex-1">
+                              {BANNER_LABELS[banner.type]}
+                              {banner.label && banner.label !== BANNER_LABELS[banner.type] && `: ${banner.label}`}
+                            </div>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleRemoveBanner(stripDay, sceneId)}
+                              className="h-6 px-1"
+                            >
+                              <X className="h-3 w-3" />
+                            </Button>
+                          </div>
+                        );
+                      }
+
                       const scene = getSceneById(sceneId);
-                      const duration = sceneDurations.get(sceneId) || 0;
                       
                       return (
                         <div
@@ -332,28 +779,40 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
                           draggable
                           onDragStart={(e) => handleDragStart(e, stripDay.id, sceneId, index)}
                           onDragEnd={handleDragEnd}
+                          style={scene ? { backgroundColor: getStripColor(scene, palette) } : undefined}
                           className={`
-                            flex items-center gap-3 p-3 rounded-lg border cursor-move
-                            hover:bg-gray-50 transition-colors
+                            flex items-center gap-3 rounded-lg border border-gray-300 cursor-move
+                            hover:brightness-95 transition ${DENSITY_STYLES[layout.density]}
                             ${draggedItem?.dayId === stripDay.id && draggedItem?.index === index 
                               ? 'opacity-50' : ''
                             }
                           `}
                         >
                           <GripVertical className="h-4 w-4 text-gray-400" />
-                          <div className="flex-1">
-                            <div className="font-medium">
-                              {scene ? `Scene ${scene.number}` : `Scene ${sceneId}`}
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center gap-3">
+                              {scene ? layout.fields.map(field => (
+                                <span
+                                  key={field}
+                                  className={STRIP_FIELD_STYLES[field] || ''}
+                                  title={STRIP_FIELD_LABELS[field]}
+                                >
+                                  {field === 'cast' && getStripFieldText(field, scene, elements, castNumbers) ? 'Cast ' : ''}
+                                  {getStripFieldText(field, scene, elements, castNumbers)}
+                                </span>
+                              )) : (
+                                <span className="font-medium">Scene {sceneId}</span>
+                              )}
+                              {scene?.deletedFromScript && (
+                                <Badge variant="destructive">Cut from script</Badge>
+                              )}
                             </div>
-                            {scene && (
-                              <div className="text-sm text-gray-600">
+                            {scene && layout.density === 'expanded' && (
+                              <div className="text-sm text-gray-600 truncate">
                                 {scene.heading}
                               </div>
                             )}
                           </div>
-                          <Badge variant="secondary">
-                            {formatDuration(duration)}
-                          </Badge>
                         </div>
                       );
                     })
@@ -374,6 +833,14 @@ const StripboardView: React.FC<StripboardViewProps> = ({ projectId }) => {
         })}
       </div>
 
+      <AutoScheduleDialog
+        open={showAutoSchedule}
+        projectId={projectId}
+        stripDays={stripDays}
+        scenes={scenes}
+        onClose={() => setShowAutoSchedule(false)}
+      />
+
       {stripDays.length === 0 && (
         <Card>
           <CardContent className="p-8 text-center">
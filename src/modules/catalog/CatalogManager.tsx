@@ -30,24 +30,32 @@ import {
 import { 
   Badge 
 } from '../../components/ui/badge';
+import { 
+  Checkbox 
+} from '../../components/ui/checkbox';
 import { 
   Search, 
   Filter, 
   Edit2, 
   Check, 
   X, 
-  Plus 
+  Plus,
+  Copy,
+  Merge
 } from 'lucide-react';
 import { 
   subscribeElementsWithFilters,
   updateElement,
   assignActorToElement,
   unassignActorFromElement,
+  findDuplicateElements,
+  mergeElements,
   type Element,
   type ElementFilters 
 } from '../../services/elements';
 import { 
   subscribeScenes,
+  formatSceneNumber,
   type Scene 
 } from '../../services/scenes';
 
@@ -68,6 +76,9 @@ const CatalogManager: React.FC<CatalogManagerProps> = ({ projectId }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [editingCell, setEditingCell] = useState<EditingCell | null>(null);
   const [loading, setLoading] = useState(true);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [merging, setMerging] = useState(false);
 
   // Get unique values for filter options
   const uniqueTypes = Array.from(new Set(elements.map(el => el.type))).sort();
@@ -108,6 +119,31 @@ const CatalogManager: React.FC<CatalogManagerProps> = ({ projectId }) => {
     element.category.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  // Likely duplicates, e.g. "Gun" and "gun"; anything else can be merged by selecting it
+  const duplicateGroups = findDuplicateElements(elements);
+  const mergeTarget = selectedIds.includes(mergeTargetId) ? mergeTargetId : selectedIds[0];
+
+  const toggleSelected = (elementId: string) => {
+    setSelectedIds(prev => (prev.includes(elementId) ? prev.filter(id => id !== elementId) : [...prev, elementId]));
+  };
+
+  // Handle merging elements into one
+  const handleMerge = async (targetId: string, sourceIds: string[]) => {
+    const target = elements.find(el => el.id === targetId);
+    const names = elements.filter(el => sourceIds.includes(el.id)).map(el => `"${el.name}"`).join(', ');
+    if (!target || !window.confirm(`Merge ${names} into "${target.name}"? The merged elements will be deleted.`)) return;
+
+    setMerging(true);
+    try {
+      await mergeElements(projectId, targetId, sourceIds);
+      setSelectedIds([]);
+    } catch (error) {
+      console.error('Error merging elements:', error);
+    } finally {
+      setMerging(false);
+    }
+  };
+
   // Handle filter changes
   const handleFilterChange = (key: keyof ElementFilters, value: string | undefined) => {
     setFilters(prev => ({
@@ -363,11 +399,67 @@ const CatalogManager: React.FC<CatalogManagerProps> = ({ projectId }) => {
           </Button>
         </div>
 
+        {/* Duplicates */}
+        {duplicateGroups.length > 0 && (
+          <div className="mb-6 border border-amber-200 bg-amber-50 rounded-lg p-4 space-y-2">
+            <div className="flex items-center gap-2 font-medium text-amber-900">
+              <Copy className="h-4 w-4" />
+              Possible duplicates
+            </div>
+            {duplicateGroups.map(group => (
+              <div key={group.map(el => el.id).join(',')} className="flex items-center gap-2 text-sm">
+                <Badge variant="outline">{group[0].type}</Badge>
+                <span className="flex-1">{group.map(el => el.name).join(', ')}</span>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={merging}
+                  onClick={() => handleMerge(group[0].id, group.slice(1).map(el => el.id))}
+                >
+                  <Merge className="h-4 w-4 mr-2" />
+                  {`Merge into "${group[0].name}"`}
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Merge Selected */}
+        {selectedIds.length > 1 && (
+          <div className="mb-4 flex items-center gap-2 text-sm">
+            <span>Merge {selectedIds.length} elements into</span>
+            <Select value={mergeTarget} onValueChange={setMergeTargetId}>
+              <SelectTrigger className="w-56 h-8">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {elements.filter(el => selectedIds.includes(el.id)).map(el => (
+                  <SelectItem key={el.id} value={el.id}>
+                    {el.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              size="sm"
+              disabled={merging}
+              onClick={() => handleMerge(mergeTarget, selectedIds.filter(id => id !== mergeTarget))}
+            >
+              <Merge className="h-4 w-4 mr-2" />
+              Merge
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => setSelectedIds([])}>
+              Cancel
+            </Button>
+          </div>
+        )}
+
         {/* Elements Table */}
         <div className="border rounded-lg">
           <Table>
             <TableHeader>
               <TableRow>
+                <TableHead className="w-8" />
                 <TableHead>Name</TableHead>
                 <TableHead>Type</TableHead>
                 <TableHead>Category</TableHead>
@@ -380,8 +472,19 @@ const CatalogManager: React.FC<CatalogManagerProps> = ({ projectId }) => {
             <TableBody>
               {filteredElements.map((element) => (
                 <TableRow key={element.id} className="group">
+                  <TableCell>
+                    <Checkbox
+                      checked={selectedIds.includes(element.id)}
+                      onCheckedChange={() => toggleSelected(element.id)}
+                    />
+                  </TableCell>
                   <TableCell>
                     {renderEditableCell(element, 'name', element.name)}
+                    {element.aliases && element.aliases.length > 0 && (
+                      <div className="text-xs text-gray-500 px-1">
+                        aka {element.aliases.join(', ')}
+                      </div>
+                    )}
                   </TableCell>
                   <TableCell>
                     {renderEditableCell(element, 'type', element.type)}
@@ -403,7 +506,7 @@ const CatalogManager: React.FC<CatalogManagerProps> = ({ projectId }) => {
                         const scene = scenes.find(s => s.id === sceneId);
                         return (
                           <Badge key={sceneId} variant="outline" className="text-xs">
-                            {scene ? `Scene ${scene.number}` : sceneId}
+                            {scene ? `Scene ${formatSceneNumber(scene)}` : sceneId}
                           </Badge>
                         );
                       })}
@@ -0,0 +1,147 @@
+// src/modules/shoot/CallSheetBranding.tsx
+import React, { useState, useEffect } from 'react';
+import { Button } from '../../components/ui/button';
+import { Input } from '../../components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '../../components/ui/select';
+import { Upload, Loader2, X } from 'lucide-react';
+import { updateProjectSettings, type ProjectBranding } from '../../services/projects';
+import { uploadFile } from '../../lib/storage';
+import {
+  CALL_SHEET_TEMPLATES,
+  DEFAULT_BRANDING_COLORS,
+  DEFAULT_CALL_SHEET_TEMPLATE
+} from '../../services/callsheetTemplates';
+
+interface CallSheetBrandingProps {
+  projectId: string;
+  branding?: ProjectBranding;
+  projectName?: string;
+}
+
+// Production title, logo, colors and default template printed on call sheets
+const CallSheetBranding: React.FC<CallSheetBrandingProps> = ({ projectId, branding, projectName }) => {
+  const [draft, setDraft] = useState<ProjectBranding>(branding || {});
+  const [uploading, setUploading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(branding || {});
+  }, [branding]);
+
+  const handleLogoUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      const result = await uploadFile(projectId, `branding/logo-${Date.now()}-${file.name}`, file);
+      setDraft(prev => ({ ...prev, logoUrl: result.url }));
+    } catch (error) {
+      console.error('Error uploading logo:', error);
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      // Firestore rejects undefined fields
+      const saved = Object.fromEntries(
+        Object.entries(draft).filter(([, value]) => value !== undefined && value !== '')
+      ) as ProjectBranding;
+      await updateProjectSettings(projectId, { branding: saved });
+    } catch (error) {
+      console.error('Error saving branding:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="text-sm font-medium">Production Title</label>
+          <Input
+            value={draft.title || ''}
+            onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+            placeholder={projectName || 'Production title'}
+          />
+        </div>
+        <div>
+          <label className="text-sm font-medium">Default Template</label>
+          <Select
+            value={draft.callSheetTemplate || DEFAULT_CALL_SHEET_TEMPLATE}
+            onValueChange={(value) => setDraft(prev => ({ ...prev, callSheetTemplate: value }))}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {CALL_SHEET_TEMPLATES.map(template => (
+                <SelectItem key={template.id} value={template.id}>
+                  {template.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <label className="text-sm font-medium">Primary Color</label>
+          <Input
+            type="color"
+            value={draft.primaryColor || DEFAULT_BRANDING_COLORS.primaryColor}
+            onChange={(e) => setDraft(prev => ({ ...prev, primaryColor: e.target.value }))}
+          />
+        </div>
+        <div>
+          <label className="text-sm font-medium">Accent Color</label>
+          <Input
+            type="color"
+            value={draft.accentColor || DEFAULT_BRANDING_COLORS.accentColor}
+            onChange={(e) => setDraft(prev => ({ ...prev, accentColor: e.target.value }))}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="text-sm font-medium">Logo</label>
+        <div className="flex items-center gap-4 mt-1">
+          {draft.logoUrl && (
+            <div className="flex items-center gap-2">
+              <img src={draft.logoUrl} alt="Logo" className="h-12 max-w-[160px] object-contain border rounded" />
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => setDraft(prev => ({ ...prev, logoUrl: undefined }))}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          )}
+          <label className="inline-flex items-center gap-2 text-sm cursor-pointer text-blue-600 hover:text-blue-700">
+            {uploading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+            {draft.logoUrl ? 'Replace logo' : 'Upload logo'}
+            <input type="file" accept="image/*" className="hidden" onChange={handleLogoUpload} disabled={uploading} />
+          </label>
+        </div>
+      </div>
+
+      <Button type="button" onClick={handleSave} disabled={saving || uploading}>
+        {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+        Save Branding
+      </Button>
+    </div>
+  );
+};
+
+export default CallSheetBranding;
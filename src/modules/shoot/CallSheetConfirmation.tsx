@@ -0,0 +1,123 @@
+// src/modules/shoot/CallSheetConfirmation.tsx
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle
+} from '../../components/ui/card';
+import { Button } from '../../components/ui/button';
+import { Alert, AlertDescription } from '../../components/ui/alert';
+import { CheckCircle, FileText, Loader2 } from 'lucide-react';
+import {
+  markDeliveryOpened,
+  confirmDelivery,
+  type RecipientDeliveryView
+} from '../../services/callsheetDistribution';
+
+interface CallSheetConfirmationProps {
+  projectId: string;
+  callSheetId: string;
+  contactId: string;
+  token: string;
+}
+
+// Page a recipient reaches from the link in their call sheet email
+const CallSheetConfirmation: React.FC<CallSheetConfirmationProps> = ({
+  projectId,
+  callSheetId,
+  contactId,
+  token
+}) => {
+  const [delivery, setDelivery] = useState<RecipientDeliveryView | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isConfirming, setIsConfirming] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setDelivery(await markDeliveryOpened(projectId, callSheetId, contactId, token));
+      } catch (loadError) {
+        console.error('Error loading call sheet:', loadError);
+        setError(loadError instanceof Error ? loadError.message : 'Could not load the call sheet');
+      }
+    };
+    load();
+  }, [projectId, callSheetId, contactId, token]);
+
+  const handleConfirm = async () => {
+    setIsConfirming(true);
+    try {
+      setDelivery(await confirmDelivery(projectId, callSheetId, contactId, token));
+    } catch (confirmError) {
+      console.error('Error confirming call sheet:', confirmError);
+      setError(confirmError instanceof Error ? confirmError.message : 'Could not confirm');
+    } finally {
+      setIsConfirming(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="max-w-2xl mx-auto p-6">
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      </div>
+    );
+  }
+
+  if (!delivery) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto p-6 space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <FileText className="h-5 w-5" />
+            Call Sheet for {delivery.name}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {delivery.call && (
+            <div className="rounded border border-yellow-400 bg-yellow-50 p-4">
+              <div className="text-lg font-semibold">Your call: {delivery.call.time}</div>
+              <div className="text-sm text-gray-700">
+                {delivery.call.label}
+                {delivery.call.detail && ` · ${delivery.call.detail}`}
+              </div>
+            </div>
+          )}
+
+          {delivery.status === 'confirmed' ? (
+            <div className="flex items-center gap-2 text-green-700">
+              <CheckCircle className="h-5 w-5" />
+              Thanks, your call is confirmed.
+            </div>
+          ) : (
+            <Button onClick={handleConfirm} disabled={isConfirming}>
+              {isConfirming && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Confirm my call
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+
+      {delivery.content && (
+        <Card>
+          <CardContent className="p-4">
+            <pre className="whitespace-pre-wrap text-sm font-mono">{delivery.content}</pre>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default CallSheetConfirmation;
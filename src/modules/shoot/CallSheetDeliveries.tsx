@@ -0,0 +1,97 @@
+// src/modules/shoot/CallSheetDeliveries.tsx
+import React, { useState, useEffect } from 'react';
+import { Button } from '../../components/ui/button';
+import { Badge } from '../../components/ui/badge';
+import { Loader2, Send } from 'lucide-react';
+import {
+  subscribeDeliveries,
+  resendCallSheet,
+  getUnconfirmedDeliveries,
+  type CallSheetDelivery,
+  type DeliveryStatus
+} from '../../services/callsheetDistribution';
+
+interface CallSheetDeliveriesProps {
+  projectId: string;
+  callSheetId: string;
+}
+
+const STATUS_STYLES: Record<DeliveryStatus, { label: string; className: string }> = {
+  pending: { label: 'Pending', className: 'text-gray-600' },
+  delivered: { label: 'Delivered', className: 'text-blue-600' },
+  opened: { label: 'Opened', className: 'text-amber-600' },
+  confirmed: { label: 'Confirmed', className: 'text-green-600' },
+  failed: { label: 'Failed', className: 'text-red-600' }
+};
+
+// Delivery status of a published call sheet, with resends for unconfirmed crew
+const CallSheetDeliveries: React.FC<CallSheetDeliveriesProps> = ({ projectId, callSheetId }) => {
+  const [deliveries, setDeliveries] = useState<CallSheetDelivery[]>([]);
+  const [resending, setResending] = useState<string | null>(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribeDeliveries(projectId, callSheetId, setDeliveries);
+    return () => unsubscribe();
+  }, [projectId, callSheetId]);
+
+  const handleResend = async (contactId: string) => {
+    setResending(contactId);
+    try {
+      await resendCallSheet(projectId, callSheetId, contactId);
+    } catch (error) {
+      console.error('Error resending call sheet:', error);
+    } finally {
+      setResending(null);
+    }
+  };
+
+  if (deliveries.length === 0) return null;
+
+  const count = (status: DeliveryStatus) => deliveries.filter(delivery => delivery.status === status).length;
+  const unconfirmed = getUnconfirmedDeliveries(deliveries);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2 text-sm">
+        {(['confirmed', 'opened', 'delivered', 'failed'] as const).map(status => count(status) > 0 && (
+          <Badge key={status} variant="outline" className={STATUS_STYLES[status].className}>
+            {count(status)} {STATUS_STYLES[status].label.toLowerCase()}
+          </Badge>
+        ))}
+      </div>
+      {unconfirmed.length > 0 && (
+        <div className="border rounded p-2 space-y-1">
+          <div className="text-sm font-medium">Unconfirmed ({unconfirmed.length})</div>
+          {unconfirmed.map(delivery => (
+            <div key={delivery.id} className="flex items-center justify-between gap-2 text-sm">
+              <div className="min-w-0">
+                <span className="font-medium">{delivery.name}</span>
+                <span className="text-gray-500"> {delivery.email}</span>
+                {delivery.call && <span className="text-gray-500"> · call {delivery.call.time}</span>}
+                {delivery.error && <div className="text-xs text-red-600 truncate">{delivery.error}</div>}
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                <Badge variant="outline" className={STATUS_STYLES[delivery.status].className}>
+                  {STATUS_STYLES[delivery.status].label}
+                </Badge>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleResend(delivery.contactId)}
+                  disabled={resending !== null}
+                >
+                  {resending === delivery.contactId
+                    ? <Loader2 className="h-4 w-4 animate-spin" />
+                    : <Send className="h-4 w-4" />}
+                  <span className="ml-1">Resend</span>
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CallSheetDeliveries;
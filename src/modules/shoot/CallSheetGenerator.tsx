@@ -1,5 +1,5 @@
 // src/modules/shoot/CallSheetGenerator.tsx
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { 
   Card, 
   CardContent, 
@@ -18,7 +18,9 @@ import {
 import { 
   Select, 
   SelectContent, 
+  SelectGroup,
   SelectItem, 
+  SelectLabel,
   SelectTrigger, 
   SelectValue 
 } from '../../components/ui/select';
@@ -42,7 +44,13 @@ import {
   MapPin,
   Users,
   Cloud,
-  Hospital
+  Hospital,
+  Clock,
+  Send,
+  Loader2,
+  FileCode,
+  Palette,
+  AlertTriangle
 } from 'lucide-react';
 import { 
   createCallSheet,
@@ -51,14 +59,55 @@ import {
   listCallSheetsWithDetails,
   autoPopulateCallSheet,
   exportCallSheetAsText,
+  buildCallSheetSections,
+  DEFAULT_CREW_CALL,
+  getCallSheetWeather,
+  getNearestHospitals,
   type CallSheet,
+  type CallSheetHospital,
+  type CallSheetWeather,
+  type CallSheetScene,
   type CallSheetWithDetails,
   type CreateCallSheetData 
 } from '../../services/callsheets';
 import { 
   subscribeStripDays,
+  subscribeStripBoards,
+  calculateTotalEighths,
+  getBoardDays,
+  getDaySceneIds,
+  isOffDay,
+  MAIN_BOARD,
+  type StripBoard,
   type StripDay 
 } from '../../services/stripboard';
+import { 
+  subscribeScenes,
+  formatPageEighths,
+  getSceneEighths,
+  type Scene 
+} from '../../services/scenes';
+import { 
+  publishCallSheet,
+  type PublishResult 
+} from '../../services/callsheetDistribution';
+import CallSheetDeliveries from './CallSheetDeliveries';
+import CallSheetBranding from './CallSheetBranding';
+import EmergencyFacilities from './EmergencyFacilities';
+import {
+  CALL_SHEET_TEMPLATES,
+  renderCallSheetHTML,
+  createCallSheetPDF,
+  getShootDayPosition,
+  getLocationMap,
+  type CallSheetRenderOptions
+} from '../../services/callsheetTemplates';
+import { subscribeProject, type Project } from '../../services/projects';
+import { loadPDFImage } from '../../lib/pdf';
+import { 
+  subscribeElements,
+  type Element 
+} from '../../services/elements';
 import { 
   subscribeContacts,
   type Contact 
@@ -68,28 +117,129 @@ import {
   type Location 
 } from '../../services/locations';
 
-interface CallSheetGeneratorProps {
-  projectId: string;
-}
+// Replaces the row at index with changes applied
+const replaceRow = <T,>(rows: T[] | undefined, index: number, changes: Partial<T>): T[] =>
+  (rows || []).map((row, i) => (i === index ? { ...row, ...changes } : row));
+
+const removeRow = <T,>(rows: T[] | undefined, index: number): T[] =>
+  (rows || []).filter((_, i) => i !== index);
+
+const download = (blob: Blob, filename: string) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  a.remove();
+};
+
+// Firestore rejects undefined fields
+const cleanWeather = (weather: CallSheetWeather): CallSheetWeather =>
+  Object.fromEntries(Object.entries(weather).filter(([, value]) => value !== undefined)) as CallSheetWeather;
 
-interface WeatherData {
-  high: number;
-  low: number;
-  condition: string;
-  sunrise: string;
-  sunset: string;
+const parseNumber = (value: string): number | undefined => (value === '' ? undefined : Number(value));
+
+const parseCastIds = (value: string): number[] =>
+  value.split(',').map(id => Number(id.trim())).filter(id => Number.isInteger(id) && id > 0);
+
+interface SceneScheduleEditorProps {
+  scenes: CallSheetScene[];
+  onChange: (scenes: CallSheetScene[]) => void;
 }
 
-interface HospitalData {
-  name: string;
-  address: string;
-  phone: string;
-  distance: string;
+// Editable scene schedule table, used for the day and the advance schedule
+const SceneScheduleEditor: React.FC<SceneScheduleEditorProps> = ({ scenes, onChange }) => {
+  if (scenes.length === 0) {
+    return <div className="text-sm text-gray-500">No scenes scheduled</div>;
+  }
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-600">
+          <th className="p-1">Sc.</th>
+          <th className="p-1">Set</th>
+          <th className="p-1">I/E</th>
+          <th className="p-1">D/N</th>
+          <th className="p-1">Pages</th>
+          <th className="p-1">Cast</th>
+          <th className="p-1" />
+        </tr>
+      </thead>
+      <tbody>
+        {scenes.map((scene, index) => (
+          <tr key={scene.sceneId} className="border-t">
+            <td className="p-1 font-medium">{scene.sceneNumber}</td>
+            <td className="p-1">
+              <Input
+                value={scene.set}
+                onChange={(e) => onChange(replaceRow(scenes, index, { set: e.target.value }))}
+              />
+            </td>
+            <td className="p-1 w-20">
+              <Input
+                value={scene.intExt}
+                onChange={(e) => onChange(replaceRow(scenes, index, { intExt: e.target.value }))}
+              />
+            </td>
+            <td className="p-1 w-20">
+              <Select
+                value={scene.dayNight}
+                onValueChange={(value) => onChange(replaceRow(scenes, index, { dayNight: value as CallSheetScene['dayNight'] }))}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="D">D</SelectItem>
+                  <SelectItem value="N">N</SelectItem>
+                </SelectContent>
+              </Select>
+            </td>
+            <td className="p-1 w-24">
+              <Input
+                value={scene.pages}
+                onChange={(e) => onChange(replaceRow(scenes, index, { pages: e.target.value }))}
+              />
+            </td>
+            <td className="p-1 w-28">
+              {/* Parsed on blur so a trailing comma can be typed */}
+              <Input
+                key={scene.castIds.join(',')}
+                defaultValue={scene.castIds.join(', ')}
+                placeholder="1, 2"
+                onBlur={(e) => onChange(replaceRow(scenes, index, { castIds: parseCastIds(e.target.value) }))}
+              />
+            </td>
+            <td className="p-1">
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => onChange(removeRow(scenes, index))}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+interface CallSheetGeneratorProps {
+  projectId: string;
 }
 
 const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) => {
   const [callSheets, setCallSheets] = useState<CallSheetWithDetails[]>([]);
   const [stripDays, setStripDays] = useState<StripDay[]>([]);
+  const [boards, setBoards] = useState<StripBoard[]>([]);
+  const [scenes, setScenes] = useState<Scene[]>([]);
+  const [elements, setElements] = useState<Element[]>([]);
   const [contacts, setContacts] = useState<Contact[]>([]);
   const [locations, setLocations] = useState<Location[]>([]);
   const [loading, setLoading] = useState(true);
@@ -98,15 +248,25 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
   const [selectedDayId, setSelectedDayId] = useState<string>('');
   const [selectedLocationId, setSelectedLocationId] = useState<string>('');
   const [selectedRecipients, setSelectedRecipients] = useState<string[]>([]);
-  const [weather, setWeather] = useState<WeatherData>({
+  const [weather, setWeather] = useState<CallSheetWeather>({
     high: 75,
     low: 60,
     condition: 'Sunny',
     sunrise: '6:30 AM',
     sunset: '7:30 PM'
   });
-  const [hospitals, setHospitals] = useState<HospitalData[]>([]);
-  const [newHospital, setNewHospital] = useState<HospitalData>({
+  const [hospitals, setHospitals] = useState<CallSheetHospital[]>([]);
+  const [publishingId, setPublishingId] = useState<string | null>(null);
+  const [publishResults, setPublishResults] = useState<Record<string, PublishResult>>({});
+  const [project, setProject] = useState<Project | null>(null);
+  const [templateId, setTemplateId] = useState<string>('');
+  const [showBranding, setShowBranding] = useState(false);
+  const [exportingId, setExportingId] = useState<string | null>(null);
+  const [fillingWeather, setFillingWeather] = useState(false);
+  const [showFacilities, setShowFacilities] = useState(false);
+  const [hospitalsBeyondSafeRadius, setHospitalsBeyondSafeRadius] = useState(false);
+  const [findingHospitals, setFindingHospitals] = useState(false);
+  const [newHospital, setNewHospital] = useState<CallSheetHospital>({
     name: '',
     address: '',
     phone: '',
@@ -129,13 +289,21 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
 
     const unsubscribeCallSheets = listCallSheetsWithDetails(projectId).then(setCallSheets);
     const unsubscribeStripDays = subscribeStripDays(projectId, setStripDays);
+    const unsubscribeBoards = subscribeStripBoards(projectId, setBoards);
+    const unsubscribeScenes = subscribeScenes(projectId, setScenes);
+    const unsubscribeElements = subscribeElements(projectId, setElements);
     const unsubscribeContacts = subscribeContacts(projectId, setContacts);
     const unsubscribeLocations = subscribeLocations(projectId, setLocations);
+    const unsubscribeProject = subscribeProject(projectId, setProject);
 
     setLoading(false);
 
     return () => {
+      unsubscribeProject();
       unsubscribeStripDays();
+      unsubscribeBoards();
+      unsubscribeScenes();
+      unsubscribeElements();
       unsubscribeContacts();
       unsubscribeLocations();
     };
@@ -165,6 +333,10 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
         ...autoData,
         recipients: autoData.recipients || []
       }));
+      rebuildSections(selectedDayId);
+      if (autoData.weather) setWeather(autoData.weather);
+      if (autoData.hospitals) setHospitals(autoData.hospitals);
+      setHospitalsBeyondSafeRadius(!!autoData.hospitalsBeyondSafeRadius);
 
       // Update selected recipients
       setSelectedRecipients(autoData.recipients || []);
@@ -173,16 +345,45 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
     }
   };
 
+  // Fill in the schedule, cast, department and meal calls and the advance
+  // schedule from the strip day, replacing any edits
+  const rebuildSections = (dayId: string) => {
+    const stripDay = stripDays.find(day => day.id === dayId);
+    if (!stripDay) return;
+
+    setFormData(prev => {
+      const sections = buildCallSheetSections(stripDay, {
+        stripDays,
+        scenes,
+        elements,
+        contacts,
+        crewCall: prev.crewCall || DEFAULT_CREW_CALL
+      });
+      return { ...prev, ...sections, advance: sections.advance };
+    });
+  };
+
+  const handleRebuildSections = () => {
+    if (formData.schedule?.length && !window.confirm('Replace the schedule and calls with ones built from the strip day?')) {
+      return;
+    }
+    rebuildSections(selectedDayId);
+  };
+
   // Handle form submission
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
     try {
+      // Firestore rejects undefined fields
+      const { advance, ...sheetData } = formData;
       const callSheetData: CreateCallSheetData = {
-        ...formData,
+        ...sheetData,
+        ...(advance && { advance }),
         recipients: selectedRecipients,
-        weather: weather.high > 0 ? weather : undefined,
-        hospitals: hospitals.length > 0 ? hospitals : undefined
+        weather: weather.high !== undefined || weather.sunrise ? cleanWeather(weather) : undefined,
+        hospitals: hospitals.length > 0 ? hospitals : undefined,
+        hospitalsBeyondSafeRadius
       };
 
       if (editingCallSheet) {
@@ -223,6 +424,7 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
       sunset: '7:30 PM'
     });
     setHospitals([]);
+    setHospitalsBeyondSafeRadius(false);
     setNewHospital({ name: '', address: '', phone: '', distance: '' });
     setEditingCallSheet(null);
     setIsCreating(false);
@@ -230,14 +432,22 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
 
   // Handle edit
   const handleEdit = (callSheet: CallSheetWithDetails) => {
+    const { crewCall, schedule, castCalls, departmentCalls, meals, advance } = callSheet;
     setEditingCallSheet(callSheet);
     setFormData({
       date: callSheet.date,
-      unitName: callSheet.unitName,
+      unitName: callSheet.unitName || '',
       dayId: callSheet.dayId,
       locationId: callSheet.locationId,
       recipients: callSheet.recipients,
-      notes: callSheet.notes
+      notes: callSheet.notes,
+      ...(callSheet.safetyNotes && { safetyNotes: callSheet.safetyNotes }),
+      ...(crewCall && { crewCall }),
+      ...(schedule && { schedule }),
+      ...(castCalls && { castCalls }),
+      ...(departmentCalls && { departmentCalls }),
+      ...(meals && { meals }),
+      ...(advance && { advance })
     });
     setSelectedDayId(callSheet.dayId);
     setSelectedLocationId(callSheet.locationId);
@@ -250,6 +460,7 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
       sunset: '7:30 PM'
     });
     setHospitals(callSheet.hospitals || []);
+    setHospitalsBeyondSafeRadius(!!callSheet.hospitalsBeyondSafeRadius);
     setIsCreating(true);
   };
 
@@ -266,11 +477,118 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
     }
   };
 
+  // Page count of a strip day, e.g. "4 3/8 pgs"
+  const formatDayPages = (day: StripDay): string => {
+    const sceneEighths = new Map(scenes.map(scene => [scene.id, getSceneEighths(scene) || 0]));
+    return `${formatPageEighths(calculateTotalEighths(day.sceneOrder, sceneEighths))} pgs`;
+  };
+
+  // Shoot days for the Strip Day picker, by board. Boards number their days
+  // separately, so day N here is the "Day N of M" on the call sheet.
+  const boardShootDays = useMemo(() => [MAIN_BOARD, ...boards]
+    .map(board => ({
+      board,
+      days: getBoardDays(stripDays, board.id)
+        .filter(day => !isOffDay(day))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    }))
+    .filter(({ days }) => days.length > 0), [boards, stripDays]);
+
+  const selectedDayLabel = useMemo(() => {
+    for (const { board, days } of boardShootDays) {
+      const index = days.findIndex(day => day.id === selectedDayId);
+      if (index !== -1) return `${board.name} (${board.unit}) - Day ${index + 1} - ${days[index].date}`;
+    }
+    return null;
+  }, [boardShootDays, selectedDayId]);
+
+  // The call sheet with its strip day's scenes
+  const withScenes = (callSheet: CallSheetWithDetails): CallSheetWithDetails => {
+    const daySceneIds = callSheet.stripDay ? getDaySceneIds(callSheet.stripDay) : [];
+    return {
+      ...callSheet,
+      scenes: daySceneIds
+        .map(sceneId => scenes.find(scene => scene.id === sceneId))
+        .filter((scene): scene is Scene => !!scene)
+    };
+  };
+
+  // Template, branding and "Day X of Y" for the designed exports
+  const renderOptions = (callSheet: CallSheetWithDetails): CallSheetRenderOptions => {
+    const branding = project?.settings?.branding;
+    const position = callSheet.stripDay ? getShootDayPosition(stripDays, callSheet.stripDay) : null;
+    return {
+      templateId: templateId || branding?.callSheetTemplate,
+      ...(branding && { branding }),
+      ...(project?.name && { title: project.name }),
+      ...position
+    };
+  };
+
+  const exportName = (callSheet: CallSheetWithDetails) => `callsheet-${callSheet.date}`;
+
   // Handle export
   const handleExport = (callSheet: CallSheetWithDetails) => {
-    exportCallSheetAsText(callSheet, callSheet);
+    exportCallSheetAsText(callSheet, withScenes(callSheet));
+  };
+
+  const handleExportHTML = (callSheet: CallSheetWithDetails) => {
+    const html = renderCallSheetHTML(withScenes(callSheet), renderOptions(callSheet));
+    download(new Blob([html], { type: 'text/html' }), `${exportName(callSheet)}.html`);
+  };
+
+  const handleExportPDF = async (callSheet: CallSheetWithDetails) => {
+    setExportingId(callSheet.id);
+    try {
+      const options = renderOptions(callSheet);
+      const mapUrl = callSheet.location ? getLocationMap(callSheet.location).imageUrl : undefined;
+      const [logo, map] = await Promise.all([
+        options.branding?.logoUrl ? loadPDFImage(options.branding.logoUrl) : null,
+        mapUrl ? loadPDFImage(mapUrl) : null
+      ]);
+      download(createCallSheetPDF(withScenes(callSheet), options, { logo, map }), `${exportName(callSheet)}.pdf`);
+    } catch (error) {
+      console.error('Error exporting call sheet PDF:', error);
+    } finally {
+      setExportingId(null);
+    }
   };
 
+  // Send each recipient their call sheet
+  const handlePublish = async (callSheet: CallSheetWithDetails) => {
+    const count = callSheet.recipients.length;
+    if (!window.confirm(`Send this call sheet to ${count} recipient${count !== 1 ? 's' : ''}?`)) return;
+
+    setPublishingId(callSheet.id);
+    try {
+      const result = await publishCallSheet(projectId, callSheet.id);
+      setPublishResults(prev => ({ ...prev, [callSheet.id]: result }));
+    } catch (error) {
+      console.error('Error publishing call sheet:', error);
+    } finally {
+      setPublishingId(null);
+    }
+  };
+
+  // Sun times and forecast for the selected location and date
+  const handleFillWeather = async () => {
+    const location = locations.find(loc => loc.id === selectedLocationId);
+    const date = formData.date || stripDays.find(day => day.id === selectedDayId)?.date;
+    if (!location || !date) return;
+
+    setFillingWeather(true);
+    try {
+      const filled = await getCallSheetWeather(location, date);
+      if (filled) setWeather(filled);
+    } catch (error) {
+      console.error('Error filling weather:', error);
+    } finally {
+      setFillingWeather(false);
+    }
+  };
+
+  const selectedLocation = locations.find(loc => loc.id === selectedLocationId);
+
   // Add hospital
   const handleAddHospital = () => {
     if (newHospital.name && newHospital.address) {
@@ -279,6 +597,25 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
     }
   };
 
+  // Replace the hospitals with the facilities nearest the selected location
+  const handleFindHospitals = async () => {
+    if (!selectedLocation?.coordinates) return;
+    if (hospitals.length > 0 && !window.confirm('Replace the hospitals with the nearest emergency facilities?')) return;
+
+    setFindingHospitals(true);
+    try {
+      const nearest = await getNearestHospitals(projectId, selectedLocation.coordinates);
+      setHospitals(nearest.hospitals || []);
+      setHospitalsBeyondSafeRadius(!!nearest.hospitalsBeyondSafeRadius);
+      // Nothing to pick from until the project has facilities
+      if (!nearest.hospitals?.length) setShowFacilities(true);
+    } catch (error) {
+      console.error('Error finding nearest hospitals:', error);
+    } finally {
+      setFindingHospitals(false);
+    }
+  };
+
   // Remove hospital
   const handleRemoveHospital = (index: number) => {
     setHospitals(prev => prev.filter((_, i) => i !== index));
@@ -315,11 +652,44 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
             Call Sheet Generator
           </CardTitle>
         </CardHeader>
-        <CardContent>
-          <Button onClick={() => setIsCreating(true)}>
-            <Plus className="h-4 w-4 mr-2" />
-            Create Call Sheet
-          </Button>
+        <CardContent className="space-y-4">
+          <div className="flex flex-wrap items-center gap-2">
+            <Button onClick={() => setIsCreating(true)}>
+              <Plus className="h-4 w-4 mr-2" />
+              Create Call Sheet
+            </Button>
+            <Select
+              value={templateId || project?.settings?.branding?.callSheetTemplate || CALL_SHEET_TEMPLATES[0].id}
+              onValueChange={setTemplateId}
+            >
+              <SelectTrigger className="w-56">
+                <SelectValue placeholder="Template" />
+              </SelectTrigger>
+              <SelectContent>
+                {CALL_SHEET_TEMPLATES.map(template => (
+                  <SelectItem key={template.id} value={template.id}>
+                    {template.name} - {template.description}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="outline" onClick={() => setShowBranding(prev => !prev)}>
+              <Palette className="h-4 w-4 mr-2" />
+              Branding
+            </Button>
+            <Button variant="outline" onClick={() => setShowFacilities(prev => !prev)}>
+              <Hospital className="h-4 w-4 mr-2" />
+              Emergency Facilities
+            </Button>
+          </div>
+          {showBranding && (
+            <CallSheetBranding
+              projectId={projectId}
+              branding={project?.settings?.branding}
+              projectName={project?.name}
+            />
+          )}
+          {showFacilities && <EmergencyFacilities projectId={projectId} />}
         </CardContent>
       </Card>
 
@@ -361,13 +731,18 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
                   <label className="text-sm font-medium">Strip Day</label>
                   <Select value={selectedDayId} onValueChange={setSelectedDayId}>
                     <SelectTrigger>
-                      <SelectValue placeholder="Select strip day" />
+                      <SelectValue placeholder="Select strip day">{selectedDayLabel}</SelectValue>
                     </SelectTrigger>
                     <SelectContent>
-                      {stripDays.map(day => (
-                        <SelectItem key={day.id} value={day.id}>
-                          {day.date} - {day.sceneOrder.length} scenes
-                        </SelectItem>
+                      {boardShootDays.map(({ board, days }) => (
+                        <SelectGroup key={board.id}>
+                          <SelectLabel>{board.name} ({board.unit})</SelectLabel>
+                          {days.map((day, index) => (
+                            <SelectItem key={day.id} value={day.id}>
+                              Day {index + 1} - {day.date} - {getDaySceneIds(day).length} scenes, {formatDayPages(day)}
+                            </SelectItem>
+                          ))}
+                        </SelectGroup>
                       ))}
                     </SelectContent>
                   </Select>
@@ -404,6 +779,247 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
                 </div>
               )}
 
+              {/* Crew Call */}
+              <div className="flex flex-wrap items-end gap-2">
+                <div>
+                  <label className="text-sm font-medium flex items-center gap-2">
+                    <Clock className="h-4 w-4" />
+                    General Crew Call
+                  </label>
+                  <Input
+                    type="time"
+                    value={formData.crewCall || ''}
+                    onChange={(e) => setFormData(prev => ({ ...prev, crewCall: e.target.value }))}
+                    className="mt-2 w-32"
+                  />
+                </div>
+                {selectedDayId && (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    onClick={handleRebuildSections}
+                    className="flex items-center gap-2"
+                  >
+                    <RefreshCw className="h-4 w-4" />
+                    Rebuild schedule and calls from strip day
+                  </Button>
+                )}
+              </div>
+
+              {/* Scene Schedule */}
+              {formData.schedule && (
+                <div>
+                  <label className="text-sm font-medium">Scene Schedule</label>
+                  <div className="mt-2 border rounded p-2">
+                    <SceneScheduleEditor
+                      scenes={formData.schedule}
+                      onChange={(schedule) => setFormData(prev => ({ ...prev, schedule }))}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {/* Cast Calls */}
+              {formData.castCalls && (
+                <div>
+                  <label className="text-sm font-medium flex items-center gap-2">
+                    <Users className="h-4 w-4" />
+                    Cast Calls
+                  </label>
+                  <div className="mt-2 border rounded p-2">
+                    {formData.castCalls.length === 0 ? (
+                      <div className="text-sm text-gray-500">No cast called</div>
+                    ) : (
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-600">
+                            <th className="p-1">#</th>
+                            <th className="p-1">Character</th>
+                            <th className="p-1">Cast</th>
+                            <th className="p-1">Status</th>
+                            <th className="p-1">Pickup</th>
+                            <th className="p-1">Makeup</th>
+                            <th className="p-1">On Set</th>
+                            <th className="p-1">Notes</th>
+                            <th className="p-1" />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {formData.castCalls.map((call, index) => (
+                            <tr key={call.elementId} className="border-t">
+                              <td className="p-1 font-medium">{call.castNumber}</td>
+                              <td className="p-1">{call.character}</td>
+                              <td className="p-1">
+                                <Input
+                                  value={call.actorName || ''}
+                                  onChange={(e) => setFormData(prev => ({
+                                    ...prev,
+                                    castCalls: replaceRow(prev.castCalls, index, { actorName: e.target.value })
+                                  }))}
+                                />
+                              </td>
+                              <td className="p-1">
+                                {call.status && <Badge variant="outline">{call.status}</Badge>}
+                              </td>
+                              {(['pickup', 'makeup', 'onSet'] as const).map(field => (
+                                <td key={field} className="p-1 w-28">
+                                  <Input
+                                    type="time"
+                                    value={call[field]}
+                                    onChange={(e) => setFormData(prev => ({
+                                      ...prev,
+                                      castCalls: replaceRow(prev.castCalls, index, { [field]: e.target.value })
+                                    }))}
+                                  />
+                                </td>
+                              ))}
+                              <td className="p-1">
+                                <Input
+                                  value={call.notes || ''}
+                                  onChange={(e) => setFormData(prev => ({
+                                    ...prev,
+                                    castCalls: replaceRow(prev.castCalls, index, { notes: e.target.value })
+                                  }))}
+                                />
+                              </td>
+                              <td className="p-1">
+                                <Button
+                                  type="button"
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => setFormData(prev => ({ ...prev, castCalls: removeRow(prev.castCalls, index) }))}
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </Button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Department Calls and Meals */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm font-medium">Department Calls</label>
+                  <div className="space-y-2 mt-2">
+                    {(formData.departmentCalls || []).map((call, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <Input
+                          placeholder="Department"
+                          value={call.department}
+                          onChange={(e) => setFormData(prev => ({
+                            ...prev,
+                            departmentCalls: replaceRow(prev.departmentCalls, index, { department: e.target.value })
+                          }))}
+                        />
+                        <Input
+                          type="time"
+                          value={call.callTime}
+                          onChange={(e) => setFormData(prev => ({
+                            ...prev,
+                            departmentCalls: replaceRow(prev.departmentCalls, index, { callTime: e.target.value })
+                          }))}
+                          className="w-32"
+                        />
+                        <Input
+                          placeholder="Notes"
+                          value={call.notes || ''}
+                          onChange={(e) => setFormData(prev => ({
+                            ...prev,
+                            departmentCalls: replaceRow(prev.departmentCalls, index, { notes: e.target.value })
+                          }))}
+                        />
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setFormData(prev => ({ ...prev, departmentCalls: removeRow(prev.departmentCalls, index) }))}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    ))}
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => setFormData(prev => ({
+                        ...prev,
+                        departmentCalls: [
+                          ...(prev.departmentCalls || []),
+                          { department: '', callTime: prev.crewCall || DEFAULT_CREW_CALL }
+                        ]
+                      }))}
+                    >
+                      Add Department
+                    </Button>
+                  </div>
+                </div>
+                <div>
+                  <label className="text-sm font-medium">Meals</label>
+                  <div className="space-y-2 mt-2">
+                    {(formData.meals || []).map((meal, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <Input
+                          placeholder="Meal"
+                          value={meal.label}
+                          onChange={(e) => setFormData(prev => ({
+                            ...prev,
+                            meals: replaceRow(prev.meals, index, { label: e.target.value })
+                          }))}
+                        />
+                        <Input
+                          type="time"
+                          value={meal.time}
+                          onChange={(e) => setFormData(prev => ({
+                            ...prev,
+                            meals: replaceRow(prev.meals, index, { time: e.target.value })
+                          }))}
+                          className="w-32"
+                        />
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setFormData(prev => ({ ...prev, meals: removeRow(prev.meals, index) }))}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    ))}
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => setFormData(prev => ({
+                        ...prev,
+                        meals: [...(prev.meals || []), { label: '', time: '' }]
+                      }))}
+                    >
+                      Add Meal
+                    </Button>
+                  </div>
+                </div>
+              </div>
+
+              {/* Advance Schedule */}
+              {formData.advance && (
+                <div>
+                  <label className="text-sm font-medium">Advance Schedule - {formData.advance.date}</label>
+                  <div className="mt-2 border rounded p-2">
+                    <SceneScheduleEditor
+                      scenes={formData.advance.scenes}
+                      onChange={(advanceScenes) => setFormData(prev => ({
+                        ...prev,
+                        advance: prev.advance && { ...prev.advance, scenes: advanceScenes }
+                      }))}
+                    />
+                  </div>
+                </div>
+              )}
+
               {/* Recipients */}
               <div>
                 <label className="text-sm font-medium">Recipients</label>
@@ -425,26 +1041,41 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
 
               {/* Weather */}
               <div>
-                <label className="text-sm font-medium flex items-center gap-2">
-                  <Cloud className="h-4 w-4" />
-                  Weather (Optional)
-                </label>
+                <div className="flex items-center justify-between">
+                  <label className="text-sm font-medium flex items-center gap-2">
+                    <Cloud className="h-4 w-4" />
+                    Weather (Optional)
+                  </label>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={handleFillWeather}
+                    disabled={fillingWeather || !selectedLocation?.coordinates}
+                    title={selectedLocation && !selectedLocation.coordinates ? 'The location has no coordinates' : undefined}
+                  >
+                    {fillingWeather
+                      ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      : <RefreshCw className="h-4 w-4 mr-2" />}
+                    Fill from Location
+                  </Button>
+                </div>
                 <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mt-2">
                   <Input
                     type="number"
                     placeholder="High"
-                    value={weather.high}
-                    onChange={(e) => setWeather(prev => ({ ...prev, high: Number(e.target.value) }))}
+                    value={weather.high ?? ''}
+                    onChange={(e) => setWeather(prev => ({ ...prev, high: parseNumber(e.target.value) }))}
                   />
                   <Input
                     type="number"
                     placeholder="Low"
-                    value={weather.low}
-                    onChange={(e) => setWeather(prev => ({ ...prev, low: Number(e.target.value) }))}
+                    value={weather.low ?? ''}
+                    onChange={(e) => setWeather(prev => ({ ...prev, low: parseNumber(e.target.value) }))}
                   />
                   <Input
                     placeholder="Condition"
-                    value={weather.condition}
+                    value={weather.condition || ''}
                     onChange={(e) => setWeather(prev => ({ ...prev, condition: e.target.value }))}
                   />
                   <Input
@@ -458,14 +1089,45 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
                     onChange={(e) => setWeather(prev => ({ ...prev, sunset: e.target.value }))}
                   />
                 </div>
+                {(weather.civilDawn || weather.goldenHourMorning) && (
+                  <div className="text-sm text-gray-600 mt-2">
+                    {weather.civilDawn && `Civil dawn ${weather.civilDawn}, dusk ${weather.civilDusk || '-'}`}
+                    {weather.goldenHourMorning && weather.goldenHourEvening && (
+                      ` · Golden hour ${weather.goldenHourMorning.start}-${weather.goldenHourMorning.end} and ${weather.goldenHourEvening.start}-${weather.goldenHourEvening.end}`
+                    )}
+                  </div>
+                )}
               </div>
 
               {/* Hospitals */}
               <div>
-                <label className="text-sm font-medium flex items-center gap-2">
-                  <Hospital className="h-4 w-4" />
-                  Nearby Hospitals (Optional)
-                </label>
+                <div className="flex items-center justify-between">
+                  <label className="text-sm font-medium flex items-center gap-2">
+                    <Hospital className="h-4 w-4" />
+                    Nearby Hospitals (Optional)
+                  </label>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={handleFindHospitals}
+                    disabled={findingHospitals || !selectedLocation?.coordinates}
+                    title={selectedLocation && !selectedLocation.coordinates ? 'The location has no coordinates' : undefined}
+                  >
+                    {findingHospitals
+                      ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      : <RefreshCw className="h-4 w-4 mr-2" />}
+                    Find Nearest
+                  </Button>
+                </div>
+                {hospitalsBeyondSafeRadius && (
+                  <Alert className="mt-2 border-red-300 bg-red-50">
+                    <AlertDescription className="flex items-center gap-2 text-red-700">
+                      <AlertTriangle className="h-4 w-4" />
+                      No hospital within the safe radius of this location. Plan for on-set medics and an evacuation route.
+                    </AlertDescription>
+                  </Alert>
+                )}
                 <div className="space-y-2 mt-2">
                   {hospitals.map((hospital, index) => (
                     <div key={index} className="flex items-center gap-2 p-2 border rounded">
@@ -473,6 +1135,9 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
                         <div className="font-medium">{hospital.name}</div>
                         <div className="text-sm text-gray-600">{hospital.address}</div>
                         <div className="text-sm text-gray-600">{hospital.phone} - {hospital.distance}</div>
+                        {hospital.travelNotes && (
+                          <div className="text-sm text-gray-500">{hospital.travelNotes}</div>
+                        )}
                       </div>
                       <Button
                         type="button"
@@ -512,6 +1177,17 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
                 </div>
               </div>
 
+              {/* Safety */}
+              <div>
+                <label className="text-sm font-medium">Safety Notes</label>
+                <Textarea
+                  value={formData.safetyNotes || ''}
+                  onChange={(e) => setFormData(prev => ({ ...prev, safetyNotes: e.target.value }))}
+                  placeholder="Stunts, special effects, weather hazards, PPE..."
+                  rows={3}
+                />
+              </div>
+
               {/* Notes */}
               <div>
                 <label className="text-sm font-medium">Notes</label>
@@ -544,7 +1220,7 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
             <CardHeader>
               <div className="flex items-center justify-between">
                 <div>
-                  <CardTitle className="text-lg">{callSheet.unitName}</CardTitle>
+                  <CardTitle className="text-lg">{callSheet.unitName || callSheet.date}</CardTitle>
                   <div className="flex items-center gap-4 text-sm text-gray-600 mt-1">
                     <div className="flex items-center gap-1">
                       <Calendar className="h-4 w-4" />
@@ -561,13 +1237,42 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
                   </div>
                 </div>
                 <div className="flex gap-2">
+                  <Button
+                    size="sm"
+                    onClick={() => handlePublish(callSheet)}
+                    disabled={publishingId !== null || callSheet.recipients.length === 0}
+                  >
+                    {publishingId === callSheet.id
+                      ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      : <Send className="h-4 w-4 mr-2" />}
+                    {callSheet.publishedAt ? 'Republish' : 'Publish'}
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleExportPDF(callSheet)}
+                    disabled={exportingId === callSheet.id}
+                  >
+                    {exportingId === callSheet.id
+                      ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      : <Download className="h-4 w-4 mr-2" />}
+                    PDF
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleExportHTML(callSheet)}
+                  >
+                    <FileCode className="h-4 w-4 mr-2" />
+                    HTML
+                  </Button>
                   <Button
                     variant="outline"
                     size="sm"
                     onClick={() => handleExport(callSheet)}
                   >
-                    <Download className="h-4 w-4 mr-2" />
-                    Export
+                    <FileText className="h-4 w-4 mr-2" />
+                    Text
                   </Button>
                   <Button
                     variant="outline"
@@ -592,13 +1297,24 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
                 {callSheet.stripDay && (
                   <div>
                     <Badge variant="outline">
-                      {callSheet.stripDay.sceneOrder.length} scenes - {Math.floor(callSheet.stripDay.targetMins / 60)}h {callSheet.stripDay.targetMins % 60}m
+                      {getDaySceneIds(callSheet.stripDay).length} scenes ({formatDayPages(callSheet.stripDay)}) - {Math.floor(callSheet.stripDay.targetMins / 60)}h {callSheet.stripDay.targetMins % 60}m
                     </Badge>
                   </div>
                 )}
+                {callSheet.crewCall && (
+                  <div className="text-sm text-gray-600">
+                    Crew call: {callSheet.crewCall}
+                    {callSheet.castCalls && callSheet.castCalls.length > 0 && `, ${callSheet.castCalls.length} cast called`}
+                  </div>
+                )}
                 {callSheet.weather && (
                   <div className="text-sm text-gray-600">
-                    Weather: {callSheet.weather.condition}, {callSheet.weather.high}°F/{callSheet.weather.low}°F
+                    Weather: {[
+                      callSheet.weather.condition,
+                      callSheet.weather.high !== undefined && `${callSheet.weather.high}°F/${callSheet.weather.low}°F`,
+                      callSheet.weather.sunrise && `sunrise ${callSheet.weather.sunrise}`,
+                      callSheet.weather.sunset && `sunset ${callSheet.weather.sunset}`
+                    ].filter(Boolean).join(', ')}
                   </div>
                 )}
                 {callSheet.notes && (
@@ -606,6 +1322,16 @@ const CallSheetGenerator: React.FC<CallSheetGeneratorProps> = ({ projectId }) =>
                     {callSheet.notes}
                   </div>
                 )}
+                {publishResults[callSheet.id] && (
+                  <Alert>
+                    <AlertDescription>
+                      Sent to {publishResults[callSheet.id].delivered.length}
+                      {publishResults[callSheet.id].failed.length > 0 && `, ${publishResults[callSheet.id].failed.length} failed`}
+                      {publishResults[callSheet.id].skipped.length > 0 && `, ${publishResults[callSheet.id].skipped.length} without an email address`}
+                    </AlertDescription>
+                  </Alert>
+                )}
+                <CallSheetDeliveries projectId={projectId} callSheetId={callSheet.id} />
               </div>
             </CardContent>
           </Card>
@@ -0,0 +1,226 @@
+// src/modules/shoot/EmergencyFacilities.tsx
+import React, { useState, useEffect } from 'react';
+import { Button } from '../../components/ui/button';
+import { Input } from '../../components/ui/input';
+import { Badge } from '../../components/ui/badge';
+import { Alert, AlertDescription } from '../../components/ui/alert';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '../../components/ui/select';
+import { Upload, Plus, Trash2, Loader2 } from 'lucide-react';
+import {
+  subscribeEmergencyFacilities,
+  createEmergencyFacility,
+  deleteEmergencyFacility,
+  importEmergencyFacilities,
+  parseFacilitiesFile,
+  EMERGENCY_FACILITY_TYPES,
+  type EmergencyFacility,
+  type EmergencyFacilityType
+} from '../../services/emergencyFacilities';
+import { validateCoordinates } from '../../services/locations';
+
+interface EmergencyFacilitiesProps {
+  projectId: string;
+}
+
+interface FacilityForm {
+  name: string;
+  type: EmergencyFacilityType;
+  address: string;
+  phone: string;
+  lat: string;
+  lng: string;
+}
+
+const EMPTY_FORM: FacilityForm = { name: '', type: 'hospital', address: '', phone: '', lat: '', lng: '' };
+
+const typeLabel = (type: EmergencyFacilityType) =>
+  EMERGENCY_FACILITY_TYPES.find(option => option.value === type)?.label || type;
+
+// The project's hospitals and other emergency services, imported from CSV or
+// GeoJSON or added by hand, that call sheets pick the nearest ones from
+const EmergencyFacilities: React.FC<EmergencyFacilitiesProps> = ({ projectId }) => {
+  const [facilities, setFacilities] = useState<EmergencyFacility[]>([]);
+  const [form, setForm] = useState<FacilityForm>(EMPTY_FORM);
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [errors, setErrors] = useState<string[]>([]);
+
+  useEffect(() => {
+    if (!projectId) return;
+    return subscribeEmergencyFacilities(projectId, setFacilities);
+  }, [projectId]);
+
+  const handleImport = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setImporting(true);
+    setMessage(null);
+    try {
+      const parsed = parseFacilitiesFile(await file.text(), file.name);
+      setErrors(parsed.errors);
+      if (parsed.facilities.length > 0) {
+        const result = await importEmergencyFacilities(projectId, parsed.facilities);
+        setMessage(`Imported ${result.created} facilities${result.skipped > 0 ? `, ${result.skipped} already in the list` : ''}`);
+      } else {
+        setMessage('No facilities found in the file');
+      }
+    } catch (error) {
+      console.error('Error importing facilities:', error);
+      setMessage('Import failed');
+    } finally {
+      setImporting(false);
+      e.target.value = '';
+    }
+  };
+
+  const lat = Number(form.lat);
+  const lng = Number(form.lng);
+  const canAdd = form.name.trim() !== '' && form.lat !== '' && form.lng !== '' && validateCoordinates(lat, lng);
+
+  const handleAdd = async () => {
+    if (!canAdd) return;
+    try {
+      await createEmergencyFacility(projectId, {
+        name: form.name.trim(),
+        type: form.type,
+        coordinates: { lat, lng },
+        ...(form.address.trim() && { address: form.address.trim() }),
+        ...(form.phone.trim() && { phone: form.phone.trim() })
+      });
+      setForm(EMPTY_FORM);
+    } catch (error) {
+      console.error('Error adding facility:', error);
+    }
+  };
+
+  const handleDelete = async (facility: EmergencyFacility) => {
+    if (!window.confirm(`Remove ${facility.name} from the emergency facilities?`)) return;
+    try {
+      await deleteEmergencyFacility(projectId, facility.id);
+    } catch (error) {
+      console.error('Error deleting facility:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          Call sheets list the nearest of these to the day&apos;s location.
+          Import a CSV with name, type, address, phone, lat and lng columns, or a GeoJSON file of points.
+        </p>
+        <label className="inline-flex items-center gap-2 text-sm cursor-pointer text-blue-600 hover:text-blue-700 whitespace-nowrap">
+          {importing ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+          Import CSV / GeoJSON
+          <input
+            type="file"
+            accept=".csv,.json,.geojson,text/csv,application/json,application/geo+json"
+            className="hidden"
+            onChange={handleImport}
+            disabled={importing}
+          />
+        </label>
+      </div>
+
+      {message && (
+        <Alert>
+          <AlertDescription>
+            {message}
+            {errors.length > 0 && (
+              <ul className="mt-2 list-disc pl-5 text-sm text-gray-600">
+                {errors.slice(0, 10).map(error => <li key={error}>{error}</li>)}
+                {errors.length > 10 && <li>{errors.length - 10} more rows skipped</li>}
+              </ul>
+            )}
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <div className="space-y-2 max-h-64 overflow-y-auto">
+        {facilities.length === 0 && (
+          <div className="text-sm text-gray-500">No emergency facilities yet</div>
+        )}
+        {facilities.map(facility => (
+          <div key={facility.id} className="flex items-center justify-between p-2 border rounded">
+            <div>
+              <div className="font-medium flex items-center gap-2">
+                {facility.name}
+                <Badge variant="outline">{typeLabel(facility.type)}</Badge>
+              </div>
+              <div className="text-sm text-gray-600">
+                {[facility.address, facility.phone].filter(Boolean).join(' - ')}
+              </div>
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => handleDelete(facility)}
+              className="text-red-600 hover:text-red-700"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-2">
+        <Input
+          placeholder="Name"
+          value={form.name}
+          onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+        />
+        <Select
+          value={form.type}
+          onValueChange={(value) => setForm(prev => ({ ...prev, type: value as EmergencyFacilityType }))}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {EMERGENCY_FACILITY_TYPES.map(option => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Input
+          placeholder="Address"
+          value={form.address}
+          onChange={(e) => setForm(prev => ({ ...prev, address: e.target.value }))}
+        />
+        <Input
+          placeholder="Phone"
+          value={form.phone}
+          onChange={(e) => setForm(prev => ({ ...prev, phone: e.target.value }))}
+        />
+        <Input
+          type="number"
+          placeholder="Latitude"
+          value={form.lat}
+          onChange={(e) => setForm(prev => ({ ...prev, lat: e.target.value }))}
+        />
+        <Input
+          type="number"
+          placeholder="Longitude"
+          value={form.lng}
+          onChange={(e) => setForm(prev => ({ ...prev, lng: e.target.value }))}
+        />
+      </div>
+      <Button type="button" variant="outline" onClick={handleAdd} disabled={!canAdd}>
+        <Plus className="h-4 w-4 mr-2" />
+        Add Facility
+      </Button>
+    </div>
+  );
+};
+
+export default EmergencyFacilities;
@@ -0,0 +1,19 @@
+import { useLocation } from 'react-router-dom';
+import CallSheetConfirmation from '@/modules/shoot/CallSheetConfirmation';
+
+// Linked from published call sheet emails; shown outside the app layout
+export default function CallSheetConfirm() {
+  const location = useLocation();
+  const params = new URLSearchParams(location.search);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <CallSheetConfirmation
+        projectId={params.get('project') || ''}
+        callSheetId={params.get('sheet') || ''}
+        contactId={params.get('recipient') || ''}
+        token={params.get('token') || ''}
+      />
+    </div>
+  );
+}
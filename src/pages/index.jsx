@@ -50,6 +50,7 @@ import AssistantDemo from "./AssistantDemo";
 import ContextTest from "./ContextTest";
 import PromptTest from "./PromptTest";
 import ServiceIntegrationTest from "./ServiceIntegrationTest";
+import CallSheetConfirm from "./CallSheetConfirm";
 
 import { BrowserRouter as Router, Route, Routes, useLocation } from 'react-router-dom';
 
@@ -142,7 +143,11 @@ function PagesContent() {
 export default function Pages() {
     return (
         <Router>
-            <PagesContent />
+            <Routes>
+                {/* Call sheet confirmation links from published call sheets, outside the app layout */}
+                <Route path="/callsheet-confirm" element={<CallSheetConfirm />} />
+                <Route path="/*" element={<PagesContent />} />
+            </Routes>
         </Router>
     );
 }
\ No newline at end of file
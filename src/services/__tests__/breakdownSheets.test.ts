@@ -0,0 +1,158 @@
+// src/services/__tests__/breakdownSheets.test.ts
+import {
+  buildBreakdownSheet,
+  buildBreakdownSheets,
+  createBreakdownSheetsPDF,
+  getBreakdownCategory,
+  getBreakdownColor,
+  renderBreakdownSheetsHTML
+} from '../breakdownSheets';
+import type { Scene } from '../scenes';
+import type { Element } from '../elements';
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const readPDF = async (blob: Blob) => Buffer.from(await blob.arrayBuffer()).toString('latin1');
+
+const scene = (id: string, number: number, extra: Partial<Scene> = {}) => ({
+  id,
+  number,
+  heading: 'INT. KITCHEN - NIGHT',
+  locationType: 'INT',
+  timeOfDay: 'NIGHT',
+  durationMins: 2,
+  elementIds: [],
+  ...extra
+}) as Scene;
+
+const element = (id: string, name: string, type: string, linkedSceneIds: string[] = [], category = '') => ({
+  id,
+  name,
+  type,
+  category,
+  linkedSceneIds
+}) as unknown as Element;
+
+const elements = [
+  element('ben', 'BEN', 'character', ['sc1']),
+  element('anna', 'ANNA', 'character', ['sc1']),
+  element('cup', 'Coffee cup', 'prop', ['sc1']),
+  element('coat', 'Red coat', 'costume'),
+  element('car', 'Police car', 'vehicle', ['sc2']),
+  element('fog', 'Fog', 'custom', ['sc1'], 'Special Effects'),
+  element('guard', 'Guard', 'security', ['sc1'])
+];
+
+describe('Breakdown Sheets Service', () => {
+  it('should file elements by type, then by category', () => {
+    expect(getBreakdownCategory({ type: 'character', category: '' })).toBe('cast');
+    expect(getBreakdownCategory({ type: 'cast_members', category: '' })).toBe('cast');
+    expect(getBreakdownCategory({ type: 'costume', category: '' })).toBe('wardrobe');
+    expect(getBreakdownCategory({ type: 'custom', category: 'Special Effects' })).toBe('special_effects');
+    expect(getBreakdownCategory({ type: 'custom', category: 'Makeup / Hair' })).toBe('makeup');
+    expect(getBreakdownCategory({ type: 'security', category: '' })).toBe('other');
+  });
+
+  it('should color tags by their section', () => {
+    expect(getBreakdownColor({ type: 'character', category: '' })).toBe('#dc2626');
+    expect(getBreakdownColor({ type: 'props', category: '' })).toBe('#9333ea');
+    expect(getBreakdownColor({ type: 'security', category: '' })).toBe('#6b7280');
+  });
+
+  it('should build a sheet with header information and grouped elements', () => {
+    const sheet = buildBreakdownSheet(
+      scene('sc1', 4, {
+        numberLabel: '4A',
+        heading: 'INT. KITCHEN - NIGHT',
+        pageEighths: 11,
+        synopsis: 'Anna finds the letter.',
+        elementIds: ['coat']
+      }),
+      elements,
+      new Map([['anna', 1], ['ben', 2]])
+    );
+
+    expect(sheet).toEqual({
+      sceneId: 'sc1',
+      sceneNumber: '4A',
+      heading: 'INT. KITCHEN - NIGHT',
+      set: 'KITCHEN',
+      intExt: 'INT',
+      dayNight: 'NIGHT',
+      timeOfDay: 'NIGHT',
+      pages: '1 3/8',
+      synopsis: 'Anna finds the letter.',
+      groups: [
+        {
+          key: 'cast',
+          label: 'Cast Members',
+          items: [
+            { elementId: 'anna', name: 'ANNA', castNumber: 1 },
+            { elementId: 'ben', name: 'BEN', castNumber: 2 }
+          ]
+        },
+        { key: 'special_effects', label: 'Special Effects', items: [{ elementId: 'fog', name: 'Fog' }] },
+        { key: 'props', label: 'Props', items: [{ elementId: 'cup', name: 'Coffee cup' }] },
+        { key: 'wardrobe', label: 'Wardrobe', items: [{ elementId: 'coat', name: 'Red coat' }] },
+        { key: 'other', label: 'Other', items: [{ elementId: 'guard', name: 'Guard' }] }
+      ]
+    });
+  });
+
+  it('should use the page override and leave unmeasured scenes blank', () => {
+    expect(buildBreakdownSheet(scene('sc1', 1, { pageEighths: 3, pageEighthsOverride: 8 }), []).pages).toBe('1');
+    expect(buildBreakdownSheet(scene('sc1', 1), []).pages).toBe('');
+  });
+
+  it('should build sheets for the whole script in scene order', () => {
+    const sheets = buildBreakdownSheets([
+      scene('sc3', 3),
+      scene('sc2', 2, { numberLabel: '2A' }),
+      scene('cut', 2, { deletedFromScript: true }),
+      scene('sc1', 2)
+    ], elements);
+
+    expect(sheets.map(sheet => sheet.sceneId)).toEqual(['sc1', 'sc2', 'sc3']);
+    expect(sheets[1].groups).toEqual([
+      { key: 'vehicles', label: 'Vehicles', items: [{ elementId: 'car', name: 'Police car' }] }
+    ]);
+  });
+
+  it('should render an HTML document with one page per sheet', () => {
+    const sheets = buildBreakdownSheets([
+      scene('sc1', 1, { synopsis: 'Anna <finally> reads it & cries.' }),
+      scene('sc2', 2)
+    ], elements);
+    const html = renderBreakdownSheetsHTML(sheets, 'Night & Day');
+
+    expect(html).toContain('<title>Night &amp; Day - Breakdown Sheets</title>');
+    expect(html.match(/<section class="sheet">/g)).toHaveLength(2);
+    expect(html).toContain('NIGHT &amp; DAY - BREAKDOWN SHEET');
+    expect(html).toContain('Anna &lt;finally&gt; reads it &amp; cries.');
+    expect(html).toContain('<h2>Cast Members</h2>');
+    expect(html).toContain('<li>Police car</li>');
+  });
+
+  it('should create a PDF with a page per sheet and continue long sheets', async () => {
+    const crowd = Array.from({ length: 150 }, (_, i) => element(`extra-${i}`, `Passenger ${i}`, 'extras', ['sc2']));
+    const sheets = buildBreakdownSheets([scene('sc1', 1), scene('sc2', 2)], [...elements, ...crowd]);
+
+    const blob = createBreakdownSheetsPDF(sheets, 'Night');
+    const pdf = await readPDF(blob);
+
+    expect(blob.type).toBe('application/pdf');
+    expect(pdf).toContain('/Count 3');
+    expect(pdf).toContain('(NIGHT - BREAKDOWN SHEET \\(CONT\'D\\)) Tj');
+    expect(pdf).toContain('(- Passenger 149) Tj');
+  });
+});
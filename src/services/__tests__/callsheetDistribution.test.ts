@@ -0,0 +1,233 @@
+// src/services/__tests__/callsheetDistribution.test.ts
+import {
+  getRecipientCall,
+  renderRecipientCallSheet,
+  publishCallSheet,
+  markDeliveryOpened,
+  confirmDelivery,
+  getUnconfirmedDeliveries,
+  type CallSheetDelivery
+} from '../callsheetDistribution';
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  updateDoc
+} from 'firebase/firestore';
+import type { CallSheet, CallSheetWithDetails } from '../callsheets';
+import type { Element } from '../elements';
+import type { MailTransport } from '../../lib/mail';
+
+// Mock dependencies
+jest.mock('../callsheets', () => ({
+  getCallSheetWithDetails: jest.fn(),
+  generateCallSheetContent: jest.fn(() => 'CALL SHEET\n1. Anna (Jane Actor) [SW] - Pickup 05:30\nCamera: 06:30\n')
+}));
+jest.mock('../elements', () => ({
+  listElements: jest.fn()
+}));
+
+import { getCallSheetWithDetails } from '../callsheets';
+import { listElements } from '../elements';
+
+const mockGetCallSheetWithDetails = getCallSheetWithDetails as jest.MockedFunction<typeof getCallSheetWithDetails>;
+const mockListElements = listElements as jest.MockedFunction<typeof listElements>;
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDocs: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const mockCollection = collection as jest.MockedFunction<typeof collection>;
+const mockDoc = doc as jest.MockedFunction<typeof doc>;
+const mockGetDocs = getDocs as jest.MockedFunction<typeof getDocs>;
+const mockSetDoc = setDoc as jest.MockedFunction<typeof setDoc>;
+const mockUpdateDoc = updateDoc as jest.MockedFunction<typeof updateDoc>;
+
+const callSheet = {
+  id: 'sheet-1',
+  date: '2026-11-02',
+  unitName: 'Unit 1',
+  dayId: 'day-1',
+  locationId: 'location-1',
+  recipients: ['jane', 'sam', 'lee', 'nomail'],
+  notes: '',
+  crewCall: '07:00',
+  castCalls: [
+    { elementId: 'anna', castNumber: 1, character: 'Anna', pickup: '05:30', makeup: '06:00', onSet: '07:00' }
+  ],
+  departmentCalls: [{ department: 'Camera', callTime: '06:30' }],
+  createdAt: 'mock-timestamp',
+  updatedAt: 'mock-timestamp'
+} as CallSheet;
+
+const contacts = [
+  { id: 'jane', name: 'Jane Actor', email: 'jane@example.com' },
+  { id: 'sam', name: 'Sam', email: 'sam@example.com', role: 'DP' },
+  { id: 'lee', name: 'Lee', email: 'lee@example.com', role: 'Producer' },
+  { id: 'nomail', name: 'No Mail' }
+] as any[];
+
+const elements = [{ id: 'anna', type: 'character', name: 'Anna', linkedActorId: 'jane' }] as unknown as Element[];
+
+describe('Call Sheet Distribution Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCollection.mockImplementation((...path: any[]) => path.slice(1).join('/') as any);
+    mockDoc.mockImplementation(((...path: any[]) => ({ path: path.join('/') })) as any);
+  });
+
+  describe('getRecipientCall', () => {
+    it('should use the cast call of the cast member a contact plays', () => {
+      expect(getRecipientCall(callSheet, contacts[0], elements)).toEqual({
+        time: '07:00',
+        label: '1. Anna',
+        detail: 'Pickup 05:30, Makeup 06:00'
+      });
+    });
+
+    it('should fall back to the department call, then the crew call', () => {
+      expect(getRecipientCall(callSheet, contacts[1], elements)).toEqual({ time: '06:30', label: 'Camera' });
+      expect(getRecipientCall(callSheet, contacts[2], elements)).toEqual({ time: '07:00', label: 'General crew call' });
+      expect(getRecipientCall({ ...callSheet, crewCall: undefined }, contacts[2], elements)).toBeNull();
+    });
+  });
+
+  describe('renderRecipientCallSheet', () => {
+    it('should put the recipient\'s call first and highlight their line', () => {
+      const message = renderRecipientCallSheet(callSheet, callSheet as CallSheetWithDetails, contacts[1], {
+        call: { time: '06:30', label: 'Camera' },
+        confirmUrl: 'https://app.example.com/callsheet-confirm?token=abc'
+      });
+
+      expect(message.to).toBe('sam@example.com');
+      expect(message.subject).toBe('Call Sheet: Unit 1 - 2026-11-02');
+      expect(message.text).toContain('YOUR CALL: 06:30 - Camera');
+      expect(message.text).toContain('https://app.example.com/callsheet-confirm?token=abc');
+      expect(message.html).toContain('<mark style="background:#fde047">Camera: 06:30</mark>');
+    });
+  });
+
+  describe('publishCallSheet', () => {
+    let transport: MailTransport & { send: jest.Mock };
+
+    beforeEach(() => {
+      transport = { name: 'test', send: jest.fn().mockResolvedValue({ messageId: 'message-1' }) };
+      mockGetCallSheetWithDetails.mockResolvedValue({ ...callSheet, recipientContacts: contacts });
+      mockListElements.mockResolvedValue(elements);
+      mockGetDocs.mockResolvedValue({
+        docs: [{ id: 'sam', data: () => ({ contactId: 'sam', token: 'sam-token', sendCount: 1, status: 'confirmed' }) }]
+      } as any);
+    });
+
+    it('should send each recipient their sheet and record the delivery', async () => {
+      transport.send.mockImplementation(message =>
+        (message.to === 'lee@example.com' ? Promise.reject(new Error('Mailbox full')) : Promise.resolve({ messageId: 'message-1' })));
+
+      const result = await publishCallSheet('project-123', 'sheet-1', { transport, baseUrl: 'https://app.example.com' });
+
+      expect(result).toEqual({
+        delivered: ['jane', 'sam'],
+        failed: [{ contactId: 'lee', error: 'Mailbox full' }],
+        skipped: ['nomail']
+      });
+      expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'sam@example.com',
+        text: expect.stringContaining('recipient=sam&token=sam-token'),
+        callSheetRecipient: { projectId: 'project-123', callSheetId: 'sheet-1', contactId: 'sam' }
+      }));
+      // Sending again keeps the token and asks for a new confirmation
+      expect(mockSetDoc).toHaveBeenCalledWith(
+        { path: 'projects/project-123/callsheets/sheet-1/deliveries/sam' },
+        expect.objectContaining({
+          token: 'sam-token',
+          sendCount: 2,
+          status: 'delivered',
+          confirmedAt: null,
+          call: { time: '06:30', label: 'Camera' },
+          content: expect.stringContaining('CALL SHEET')
+        }),
+        { merge: true }
+      );
+      expect(mockSetDoc).toHaveBeenCalledWith(
+        { path: 'projects/project-123/callsheets/sheet-1/deliveries/lee' },
+        expect.objectContaining({ status: 'failed', error: 'Mailbox full', sendCount: 1 }),
+        { merge: true }
+      );
+      expect(mockUpdateDoc).toHaveBeenCalledWith(
+        { path: 'mock-db/projects/project-123/callsheets/sheet-1' },
+        { publishedAt: 'mock-timestamp' }
+      );
+    });
+
+    it('should only send to the given recipients', async () => {
+      const result = await publishCallSheet('project-123', 'sheet-1', { transport, contactIds: ['sam'], baseUrl: '' });
+
+      expect(result.delivered).toEqual(['sam']);
+      expect(transport.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('confirmation', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should open, then confirm, through the confirmation endpoint', async () => {
+      const fetchMock = jest.fn()
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ delivery: { name: 'Sam', status: 'opened' } }) })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ delivery: { name: 'Sam', status: 'confirmed' } }) });
+      global.fetch = fetchMock as any;
+
+      await expect(markDeliveryOpened('project-123', 'sheet-1', 'sam', 'sam-token')).resolves.toEqual({ name: 'Sam', status: 'opened' });
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        projectId: 'project-123',
+        callSheetId: 'sheet-1',
+        contactId: 'sam',
+        token: 'sam-token',
+        action: 'open'
+      });
+
+      await expect(confirmDelivery('project-123', 'sheet-1', 'sam', 'sam-token')).resolves.toMatchObject({ status: 'confirmed' });
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toMatchObject({ action: 'confirm' });
+      // The browser never writes the delivery itself
+      expect(mockUpdateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should surface a rejected token', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ error: 'This confirmation link is not valid' })
+      }) as any;
+
+      await expect(confirmDelivery('project-123', 'sheet-1', 'sam', 'guess')).rejects.toThrow('not valid');
+    });
+  });
+
+  describe('getUnconfirmedDeliveries', () => {
+    it('should list unconfirmed deliveries, failed first', () => {
+      const deliveries = [
+        { id: 'a', name: 'Ann', status: 'opened' },
+        { id: 'b', name: 'Bo', status: 'confirmed' },
+        { id: 'c', name: 'Cy', status: 'failed' },
+        { id: 'd', name: 'Di', status: 'delivered' }
+      ] as CallSheetDelivery[];
+
+      expect(getUnconfirmedDeliveries(deliveries).map(delivery => delivery.id)).toEqual(['c', 'd', 'a']);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// src/services/__tests__/callsheetTemplates.test.ts
+import {
+  createCallSheetPDF,
+  getCallSheetTemplate,
+  getLocationMap,
+  getShootDayPosition,
+  renderCallSheetHTML
+} from '../callsheetTemplates';
+import type { CallSheetWithDetails } from '../callsheets';
+import type { StripDay } from '../stripboard';
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const readPDF = async (blob: Blob) => Buffer.from(await blob.arrayBuffer()).toString('latin1');
+
+const day = (id: string, date: string, extra: Partial<StripDay> = {}) => ({
+  id,
+  date,
+  sceneOrder: [],
+  targetMins: 600,
+  totalMins: 0,
+  updatedAt: 'mock-timestamp',
+  ...extra
+}) as StripDay;
+
+const details = {
+  id: 'sheet-1',
+  date: '2026-11-02',
+  unitName: 'Unit 1',
+  dayId: 'day-2',
+  locationId: 'location-1',
+  recipients: [],
+  notes: 'Parking in the north lot',
+  safetyNotes: 'Stunt fall in sc. 12 <rigged>',
+  crewCall: '07:00',
+  weather: { high: 61, low: 48, condition: 'Overcast', sunrise: '06:41', sunset: '16:52' },
+  hospitals: [{ name: 'St. Mary', address: '1 Main St', phone: '555-0100', distance: '2 mi' }],
+  schedule: [
+    { sceneId: 'sc12', sceneNumber: '12', set: 'KITCHEN', intExt: 'INT', dayNight: 'N', pages: '1 3/8', castIds: [1, 2], description: 'Anna confronts Ben' }
+  ],
+  castCalls: [
+    { elementId: 'anna', castNumber: 1, character: 'ANNA', actorName: 'Jane Actor', status: 'SW', pickup: '05:30', makeup: '06:00', onSet: '07:00' }
+  ],
+  departmentCalls: [{ department: 'Camera', callTime: '06:30' }],
+  meals: [{ label: 'Lunch', time: '13:00' }],
+  advance: { dayId: 'day-3', date: '2026-11-03', scenes: [] },
+  location: {
+    id: 'location-1',
+    name: 'Harbor House',
+    address: '12 Dock Rd',
+    coordinates: { lat: 47.6, lng: -122.3 }
+  },
+  createdAt: 'mock-timestamp',
+  updatedAt: 'mock-timestamp'
+} as unknown as CallSheetWithDetails;
+
+describe('Call Sheet Templates Service', () => {
+  it('should fall back to the default template', () => {
+    expect(getCallSheetTemplate('compact').id).toBe('compact');
+    expect(getCallSheetTemplate('missing').id).toBe('classic');
+  });
+
+  it('should number shoot days on the call sheet\'s board, skipping off days', () => {
+    const stripDays = [
+      day('day-3', '2026-11-04'),
+      day('day-1', '2026-11-01'),
+      day('off', '2026-11-02', { type: 'off' }),
+      day('day-2', '2026-11-03'),
+      day('second-unit', '2026-11-01', { boardId: 'second-unit' })
+    ];
+
+    expect(getShootDayPosition(stripDays, stripDays[3])).toEqual({ dayNumber: 2, totalDays: 3 });
+    expect(getShootDayPosition(stripDays, stripDays[2])).toBeNull();
+  });
+
+  it('should link a static map for locations with coordinates', () => {
+    expect(getLocationMap({ coordinates: { lat: 47.6, lng: -122.3 } }).imageUrl).toContain('center=47.6,-122.3');
+    expect(getLocationMap({ address: '12 Dock Rd' })).toEqual({
+      linkUrl: 'https://www.openstreetmap.org/search?query=12%20Dock%20Rd'
+    });
+  });
+
+  it('should render the header grid, sections and branding as HTML', () => {
+    const html = renderCallSheetHTML(details, {
+      branding: { title: 'Harbor Lights', logoUrl: 'https://example.com/logo.png', primaryColor: '#1e3a8a' },
+      title: 'Project name',
+      dayNumber: 2,
+      totalDays: 18
+    });
+
+    expect(html).toContain('<h1>Harbor Lights</h1>');
+    expect(html).toContain('--primary: #1e3a8a; --accent: #2563eb;');
+    expect(html).toContain('<img class="logo" src="https://example.com/logo.png"');
+    expect(html).toContain('<span class="value">Day 2 of 18</span>');
+    expect(html).toContain('<span class="value">06:41</span>');
+    expect(html).toContain('<td>Anna confronts Ben</td>');
+    expect(html).toContain('<p>Stunt fall in sc. 12 &lt;rigged&gt;</p>');
+    expect(html).toContain('staticmap.php?center=47.6,-122.3');
+    // Classic starts its second page at the department calls
+    expect(html.indexOf('<div class="page-break"></div>')).toBeLessThan(html.indexOf('<section class="departments">'));
+    expect(html.indexOf('<section class="meals">')).toBeLessThan(html.indexOf('<div class="page-break"></div>'));
+  });
+
+  it('should add the # to branding colors saved without one', () => {
+    const html = renderCallSheetHTML(details, { branding: { primaryColor: '1e3a8a', accentColor: 'blue' } });
+
+    expect(html).toContain('--primary: #1e3a8a; --accent: #2563eb;');
+  });
+
+  it('should keep one-page templates on one page', () => {
+    const html = renderCallSheetHTML(details, { templateId: 'banner' });
+
+    expect(html).toContain('<header class="banner">');
+    expect(html).not.toContain('page-break"></div>');
+  });
+
+  it('should write a PDF with the chosen template, colors and images', async () => {
+    const image = { data: '\xff\xd8jpeg\xff\xd9', width: 40, height: 20 };
+    const classic = await readPDF(createCallSheetPDF(details, { title: 'Harbor Lights', dayNumber: 2, totalDays: 18 }, { logo: image }));
+
+    expect(classic).toContain('/Count 2');
+    expect(classic).toContain('(Harbor Lights) Tj');
+    expect(classic).toContain('(Day 2 of 18) Tj');
+    expect(classic).toContain('(SHOOTING SCHEDULE) Tj');
+    expect(classic).toContain('(Harbor Lights - Call Sheet 2026-11-02 - Page 2 of 2) Tj');
+    expect(classic).toContain('/Logo Do');
+    expect(classic).toContain('/Filter /DCTDecode');
+
+    const banner = await readPDF(createCallSheetPDF(details, { templateId: 'banner', branding: { primaryColor: '#ff0000' } }));
+    expect(banner).toContain('/Count 1');
+    expect(banner).toContain('1.000 0.000 0.000 rg');
+    expect(banner).not.toContain('/XObject');
+  });
+});
@@ -11,6 +11,9 @@ import {
   autoPopulateCallSheet,
   generateCallSheetContent,
   exportCallSheetAsText,
+  buildCallSheetSections,
+  shiftTime,
+  getCallSheetWeather,
   type CallSheet,
   type CallSheetWithDetails,
   type CreateCallSheetData,
@@ -29,19 +32,29 @@ import {
   onSnapshot 
 } from 'firebase/firestore';
 import { db } from '../../lib/firebase.client';
+import type { Scene } from '../scenes';
+import type { Element } from '../elements';
+import type { StripDay } from '../stripboard';
+import { setForecastProvider, createMockForecastProvider } from '../../lib/weather';
 
 // Mock dependencies
 jest.mock('../stripboard');
 jest.mock('../contacts');
 jest.mock('../locations');
+jest.mock('../emergencyFacilities', () => ({
+  ...jest.requireActual('../emergencyFacilities'),
+  listEmergencyFacilities: jest.fn()
+}));
 
-import { getStripDay } from '../stripboard';
+import { getStripDay, getDaySceneIds, getBoardDays, isOffDay } from '../stripboard';
 import { listContacts } from '../contacts';
-import { listLocations } from '../locations';
+import { listLocations, calculateDistance, updateLocation } from '../locations';
+import { listEmergencyFacilities, type EmergencyFacility } from '../emergencyFacilities';
 
 const mockGetStripDay = getStripDay as jest.MockedFunction<typeof getStripDay>;
 const mockListContacts = listContacts as jest.MockedFunction<typeof listContacts>;
 const mockListLocations = listLocations as jest.MockedFunction<typeof listLocations>;
+const mockListEmergencyFacilities = listEmergencyFacilities as jest.MockedFunction<typeof listEmergencyFacilities>;
 
 // Mock Firebase
 jest.mock('firebase/firestore', () => ({
@@ -76,6 +89,8 @@ const mockOnSnapshot = onSnapshot as jest.MockedFunction<typeof onSnapshot>;
 describe('CallSheets Service', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockListEmergencyFacilities.mockResolvedValue([]);
+    (getDaySceneIds as jest.Mock).mockImplementation(jest.requireActual('../stripboard').getDaySceneIds);
   });
 
   describe('createCallSheet', () => {
@@ -394,7 +409,7 @@ describe('CallSheets Service', () => {
       const mockStripDay = {
         id: 'day-123',
         date: '2024-01-15',
-        sceneOrder: ['scene-1', 'scene-2'],
+        sceneOrder: ['scene-1', 'banner_meal-1', 'scene-2'],
         targetMins: 480,
         totalMins: 450,
         notes: 'Strip day notes',
@@ -438,8 +453,112 @@ describe('CallSheets Service', () => {
         dayId: 'day-123',
         locationId: 'location-123',
         recipients: ['contact-1', 'contact-2'],
-        notes: expect.stringContaining('Call Sheet for 2024-01-15')
+        notes: expect.stringContaining('Call Sheet for 2024-01-15'),
+        hospitalsBeyondSafeRadius: true
       });
+      expect(result.notes).toContain('Scenes: 2 scenes scheduled');
+    });
+
+    it('should fill sun times and the forecast from the location\'s coordinates', async () => {
+      setForecastProvider(createMockForecastProvider({ high: 58, low: 44, condition: 'Overcast' }));
+      mockGetStripDay.mockResolvedValue({ id: 'day-123', date: '2026-06-21', sceneOrder: [], targetMins: 480 } as any);
+      mockListLocations.mockResolvedValue([
+        { id: 'location-123', name: 'Pier 17', coordinates: { lat: 40.7128, lng: -74.006 } }
+      ] as any);
+      mockListContacts.mockResolvedValue([]);
+
+      try {
+        const result = await autoPopulateCallSheet('project-123', 'day-123', 'location-123');
+        const weather = await getCallSheetWeather(
+          { coordinates: { lat: 40.7128, lng: -74.006 } },
+          '2026-06-21',
+          { provider: null, timeZone: 'America/New_York' }
+        );
+
+        expect(result.weather).toMatchObject({ high: 58, low: 44, condition: 'Overcast' });
+        expect(result.weather?.goldenHourEvening?.end).toBe(result.weather?.sunset);
+        expect(weather).toEqual(expect.objectContaining({ sunrise: '05:26', sunset: '20:31', timeZone: 'America/New_York' }));
+        expect(weather).not.toHaveProperty('high');
+      } finally {
+        setForecastProvider(undefined);
+      }
+    });
+
+    it('should show sun times in the location\'s time zone, saving the one the forecast reports', async () => {
+      setForecastProvider(createMockForecastProvider({ high: 58, low: 44, condition: 'Overcast', timeZone: 'America/New_York' }));
+      mockGetStripDay.mockResolvedValue({ id: 'day-123', date: '2026-06-21', sceneOrder: [], targetMins: 480 } as any);
+      mockListLocations.mockResolvedValue([
+        { id: 'location-123', name: 'Pier 17', coordinates: { lat: 40.7128, lng: -74.006 } }
+      ] as any);
+      mockListContacts.mockResolvedValue([]);
+
+      try {
+        const result = await autoPopulateCallSheet('project-123', 'day-123', 'location-123');
+        const stored = await getCallSheetWeather(
+          { coordinates: { lat: 40.7128, lng: -74.006 }, timeZone: 'America/Chicago' },
+          '2026-06-21',
+          { provider: null }
+        );
+
+        expect(result.weather).toMatchObject({ sunrise: '05:26', sunset: '20:31', timeZone: 'America/New_York' });
+        expect(updateLocation).toHaveBeenCalledWith('project-123', 'location-123', { timeZone: 'America/New_York' });
+        expect(stored).toMatchObject({ sunrise: '04:26', timeZone: 'America/Chicago' });
+      } finally {
+        setForecastProvider(undefined);
+      }
+    });
+
+    it('should pick the nearest facilities and flag when none is within the safe radius', async () => {
+      setForecastProvider(null);
+      (calculateDistance as jest.Mock).mockImplementation(jest.requireActual('../locations').calculateDistance);
+      mockGetStripDay.mockResolvedValue({ id: 'day-123', date: '2026-06-21', sceneOrder: [], targetMins: 480 } as any);
+      mockListLocations.mockResolvedValue([
+        { id: 'location-123', name: 'Pier 17', coordinates: { lat: 40.7060, lng: -74.0030 } }
+      ] as any);
+      mockListContacts.mockResolvedValue([]);
+      mockListEmergencyFacilities.mockResolvedValue([
+        { id: 'far', name: 'Far General', type: 'hospital', coordinates: { lat: 41.2, lng: -74.0 } },
+        { id: 'near', name: 'NYU Downtown', type: 'hospital', address: '170 William St', phone: '555-0100', coordinates: { lat: 40.7099, lng: -74.0055 } },
+        { id: 'station', name: 'Engine 10', type: 'fire', coordinates: { lat: 40.7061, lng: -74.0031 } }
+      ] as EmergencyFacility[]);
+
+      try {
+        const result = await autoPopulateCallSheet('project-123', 'day-123', 'location-123', [], { count: 2, safeRadiusKm: 0.2 });
+
+        expect(result.hospitals).toEqual([
+          {
+            name: 'NYU Downtown',
+            address: '170 William St',
+            phone: '555-0100',
+            distance: '0.3 mi',
+            travelNotes: 'NW of set, about 1 min drive',
+            facilityId: 'near'
+          },
+          expect.objectContaining({ name: 'Far General', facilityId: 'far' })
+        ]);
+        expect(result.hospitalsBeyondSafeRadius).toBe(true);
+      } finally {
+        setForecastProvider(undefined);
+      }
+    });
+
+    it('should flag a project without emergency facilities', async () => {
+      setForecastProvider(null);
+      mockGetStripDay.mockResolvedValue({ id: 'day-123', date: '2026-06-21', sceneOrder: [], targetMins: 480 } as any);
+      mockListLocations.mockResolvedValue([
+        { id: 'location-123', name: 'Pier 17', coordinates: { lat: 40.7060, lng: -74.0030 } }
+      ] as any);
+      mockListContacts.mockResolvedValue([]);
+      mockListEmergencyFacilities.mockResolvedValue([]);
+
+      try {
+        const result = await autoPopulateCallSheet('project-123', 'day-123', 'location-123');
+
+        expect(result.hospitals).toEqual([]);
+        expect(result.hospitalsBeyondSafeRadius).toBe(true);
+      } finally {
+        setForecastProvider(undefined);
+      }
     });
 
     it('should throw error when strip day not found', async () => {
@@ -499,7 +618,7 @@ describe('CallSheets Service', () => {
         stripDay: {
           id: 'day-123',
           date: '2024-01-15',
-          sceneOrder: ['scene-1', 'scene-2'],
+          sceneOrder: ['scene-1', 'banner_meal-1', 'scene-2'],
           targetMins: 480,
           totalMins: 450,
           updatedAt: 'mock-timestamp'
@@ -537,6 +656,141 @@ describe('CallSheets Service', () => {
       expect(result).toContain('NOTES');
       expect(result).toContain('Call sheet notes');
     });
+
+    it('should list the day\'s scenes with their page count', () => {
+      const mockCallSheet = {
+        id: 'callsheet-123',
+        date: '2024-01-15',
+        unitName: 'Unit 1',
+        dayId: 'day-123',
+        locationId: 'location-123',
+        recipients: [],
+        createdAt: 'mock-timestamp',
+        updatedAt: 'mock-timestamp'
+      } as CallSheet;
+
+      const result = generateCallSheetContent(mockCallSheet, {
+        ...mockCallSheet,
+        stripDay: {
+          id: 'day-123',
+          date: '2024-01-15',
+          sceneOrder: ['scene-1', 'scene-2'],
+          targetMins: 480,
+          totalMins: 450,
+          updatedAt: 'mock-timestamp'
+        },
+        scenes: [
+          { id: 'scene-1', number: 1, heading: 'INT. KITCHEN - DAY', pageEighths: 11 },
+          { id: 'scene-2', number: 2, numberLabel: '2A', heading: 'EXT. ROOF - NIGHT', pageEighths: 3, pageEighthsOverride: 8 }
+        ] as Scene[]
+      });
+
+      expect(result).toContain('Pages: 2 3/8');
+      expect(result).toContain('1. INT. KITCHEN - DAY (1 3/8 pgs)');
+      expect(result).toContain('2A. EXT. ROOF - NIGHT (1 pgs)');
+    });
+
+    it('should print the structured schedule and calls when the call sheet has them', () => {
+      const mockCallSheet = {
+        id: 'callsheet-123',
+        date: '2026-11-02',
+        unitName: 'Unit 1',
+        dayId: 'day-1',
+        locationId: 'location-123',
+        recipients: [],
+        notes: '',
+        crewCall: '07:00',
+        schedule: [
+          { sceneId: 'scene-1', sceneNumber: '1', set: 'HOUSE - KITCHEN', intExt: 'INT', dayNight: 'D', pages: '1 3/8', castIds: [1, 2] }
+        ],
+        castCalls: [
+          { elementId: 'anna', castNumber: 1, character: 'Anna', actorName: 'Jane Actor', status: 'SW', pickup: '05:30', makeup: '06:00', onSet: '07:00' }
+        ],
+        departmentCalls: [{ department: 'Camera', callTime: '06:30', notes: 'Crane day' }],
+        meals: [{ label: 'Lunch', time: '13:00' }],
+        advance: { date: '2026-11-04', scenes: [] },
+        createdAt: 'mock-timestamp',
+        updatedAt: 'mock-timestamp'
+      } as CallSheet;
+
+      const result = generateCallSheetContent(mockCallSheet, {
+        ...mockCallSheet,
+        stripDay: { id: 'day-1', date: '2026-11-02', sceneOrder: ['scene-1', 'scene-2'], targetMins: 480, totalMins: 450, updatedAt: 'mock-timestamp' }
+      });
+
+      expect(result).toContain('Crew Call: 07:00');
+      expect(result).toContain('Scenes: 1');
+      expect(result).toContain('1. INT. HOUSE - KITCHEN D (1 3/8 pgs) Cast: 1, 2');
+      expect(result).toContain('1. Anna (Jane Actor) [SW] - Pickup 05:30, Makeup 06:00, On Set 07:00');
+      expect(result).toContain('Camera: 06:30 - Crane day');
+      expect(result).toContain('Lunch: 13:00');
+      expect(result).toContain('ADVANCE SCHEDULE - 2026-11-04');
+      expect(result).toContain('No scenes scheduled');
+    });
+  });
+
+  describe('buildCallSheetSections', () => {
+    const stripDays = [
+      { id: 'day-1', date: '2026-11-02', sceneOrder: ['scene-1', 'banner_lunch', 'scene-2'] },
+      { id: 'day-2', date: '2026-11-03', sceneOrder: [], type: 'off' },
+      { id: 'day-3', date: '2026-11-04', sceneOrder: ['scene-3'] },
+      { id: 'day-9', date: '2026-11-03', sceneOrder: ['scene-2'], boardId: 'second-unit' }
+    ] as StripDay[];
+    const scenes = [
+      { id: 'scene-1', number: 1, heading: 'INT. HOUSE - KITCHEN - DAY', locationType: 'INT', timeOfDay: 'DAY', pageEighths: 11, synopsis: 'Anna cooks', elementIds: [] },
+      { id: 'scene-2', number: 2, heading: 'EXT. ROOF - NIGHT', locationType: 'EXT', timeOfDay: 'NIGHT', pageEighths: 3, elementIds: ['ben'] },
+      { id: 'scene-3', number: 3, heading: 'INT. HOUSE - HALL - DAY', locationType: 'INT', timeOfDay: 'DAY', elementIds: [] }
+    ] as unknown as Scene[];
+    const elements = [
+      { id: 'ben', type: 'character', name: 'Ben', linkedSceneIds: [], customFields: { castNumber: 2 } },
+      { id: 'anna', type: 'character', name: 'Anna', linkedSceneIds: ['scene-1', 'scene-3'], linkedActorId: 'contact-1', customFields: { castNumber: 1 } },
+      { id: 'knife', type: 'prop', name: 'Knife', linkedSceneIds: ['scene-1'], customFields: {} }
+    ] as unknown as Element[];
+    const contacts = [{ id: 'contact-1', name: 'Jane Actor' }] as any;
+
+    beforeEach(() => {
+      // Pure helpers of the mocked stripboard module
+      const stripboard = jest.requireActual('../stripboard');
+      (getBoardDays as jest.Mock).mockImplementation(stripboard.getBoardDays);
+      (isOffDay as jest.Mock).mockImplementation(stripboard.isOffDay);
+    });
+
+    it('should build the day\'s schedule and cast calls from the stripboard', () => {
+      const sections = buildCallSheetSections(stripDays[0], { stripDays, scenes, elements, contacts, crewCall: '08:00' });
+
+      expect(sections.crewCall).toBe('08:00');
+      expect(sections.schedule).toEqual([
+        { sceneId: 'scene-1', sceneNumber: '1', set: 'HOUSE - KITCHEN', intExt: 'INT', dayNight: 'D', pages: '1 3/8', castIds: [1], description: 'Anna cooks' },
+        { sceneId: 'scene-2', sceneNumber: '2', set: 'ROOF', intExt: 'EXT', dayNight: 'N', pages: '3/8', castIds: [2] }
+      ]);
+      expect(sections.castCalls).toEqual([
+        { elementId: 'anna', castNumber: 1, character: 'Anna', actorName: 'Jane Actor', status: 'SW', pickup: '06:30', makeup: '07:00', onSet: '08:00' },
+        { elementId: 'ben', castNumber: 2, character: 'Ben', status: 'SWF', pickup: '06:30', makeup: '07:00', onSet: '08:00' }
+      ]);
+      expect(sections.departmentCalls).toContainEqual({ department: 'Camera', callTime: '08:00' });
+      expect(sections.meals).toEqual([
+        { label: 'Breakfast', time: '07:30' },
+        { label: 'Lunch', time: '14:00' }
+      ]);
+    });
+
+    it('should add the next shoot day on the same board as the advance schedule', () => {
+      const sections = buildCallSheetSections(stripDays[0], { stripDays, scenes, elements });
+
+      expect(sections.crewCall).toBe('07:00');
+      expect(sections.advance).toEqual({
+        dayId: 'day-3',
+        date: '2026-11-04',
+        scenes: [{ sceneId: 'scene-3', sceneNumber: '3', set: 'HOUSE - HALL', intExt: 'INT', dayNight: 'D', pages: '', castIds: [1] }]
+      });
+      expect(buildCallSheetSections(stripDays[2], { stripDays, scenes, elements }).advance).toBeUndefined();
+    });
+
+    it('should shift times across midnight', () => {
+      expect(shiftTime('00:30', -90)).toBe('23:00');
+      expect(shiftTime('7:05', 60)).toBe('08:05');
+      expect(shiftTime('TBD', 60)).toBe('TBD');
+    });
   });
 
   describe('exportCallSheetAsText', () => {
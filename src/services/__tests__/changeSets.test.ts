@@ -0,0 +1,189 @@
+// src/services/__tests__/changeSets.test.ts
+import {
+  startChangeSet,
+  getChangeSet,
+  undoChangeSet
+} from '../changeSets';
+import {
+  collection,
+  doc,
+  getDoc,
+  writeBatch,
+  runTransaction
+} from 'firebase/firestore';
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  limit: jest.fn(),
+  writeBatch: jest.fn(),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const mockCollection = collection as jest.MockedFunction<typeof collection>;
+const mockDoc = doc as jest.MockedFunction<typeof doc>;
+const mockGetDoc = getDoc as jest.MockedFunction<typeof getDoc>;
+const mockWriteBatch = writeBatch as jest.MockedFunction<typeof writeBatch>;
+const mockRunTransaction = runTransaction as jest.MockedFunction<typeof runTransaction>;
+
+const snapshot = (id: string, data?: Record<string, any>) => ({
+  id,
+  exists: () => data !== undefined,
+  data: () => data
+});
+
+describe('Change Sets Service', () => {
+  let newIds: number;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    newIds = 0;
+    // Paths stand in for refs; a collection ref gets a new ID
+    mockCollection.mockImplementation((...path: any[]) => path.slice(1).join('/') as any);
+    mockDoc.mockImplementation(((...path: any[]) => {
+      if (path.length === 1) {
+        newIds++;
+        return { id: `new-${newIds}`, path: `${path[0]}/new-${newIds}` };
+      }
+      const segments = path.slice(1);
+      return { id: segments[segments.length - 1], path: segments.join('/') };
+    }) as any);
+  });
+
+  describe('startChangeSet', () => {
+    let batch: { set: jest.Mock; commit: jest.Mock };
+
+    beforeEach(() => {
+      batch = { set: jest.fn(), commit: jest.fn().mockResolvedValue(undefined) };
+      mockWriteBatch.mockReturnValue(batch as any);
+    });
+
+    it('should commit every change and the change set in one batch', async () => {
+      mockGetDoc.mockResolvedValue(snapshot('script-1', { content: 'old', version: 1 }) as any);
+
+      const changes = startChangeSet('project-123', { source: 'ai', actionId: 'breakdown-scene', summary: 'Breakdown' });
+      const sceneId = changes.create('scenes', { heading: 'INT. KITCHEN - DAY', durationMins: undefined });
+      await changes.update('scripts', 'script-1', { content: 'new' });
+
+      expect(batch.commit).not.toHaveBeenCalled();
+      const changeSetId = await changes.commit();
+
+      expect(sceneId).toBe('new-1');
+      expect(changeSetId).toBe('new-2');
+      expect(batch.commit).toHaveBeenCalledTimes(1);
+      expect(batch.set).toHaveBeenCalledWith(
+        { id: 'new-1', path: 'projects/project-123/scenes/new-1' },
+        { heading: 'INT. KITCHEN - DAY', updatedAt: 'mock-timestamp' }
+      );
+      expect(batch.set).toHaveBeenCalledWith(
+        { id: 'script-1', path: 'projects/project-123/scripts/script-1' },
+        { content: 'new', updatedAt: 'mock-timestamp' },
+        { merge: true }
+      );
+      expect(batch.set).toHaveBeenCalledWith({ id: 'new-2', path: 'projects/project-123/changeSets/new-2' }, {
+        source: 'ai',
+        actionId: 'breakdown-scene',
+        summary: 'Breakdown',
+        created: [{ collection: 'scenes', id: 'new-1' }],
+        updated: [{ collection: 'scripts', id: 'script-1', before: { content: 'old', version: 1 } }],
+        status: 'applied',
+        createdAt: 'mock-timestamp'
+      });
+    });
+
+    it('should write nothing if the batch fails', async () => {
+      batch.commit.mockRejectedValue(new Error('Permission denied'));
+
+      const changes = startChangeSet('project-123', { source: 'ai', summary: 'Breakdown' });
+      changes.create('elements', { name: 'Gun' });
+
+      await expect(changes.commit()).rejects.toThrow('Permission denied');
+    });
+  });
+
+  describe('getChangeSet', () => {
+    it('should return the change set or null', async () => {
+      mockGetDoc.mockResolvedValueOnce(snapshot('change-1', { summary: 'Breakdown' }) as any);
+      mockGetDoc.mockResolvedValueOnce(snapshot('missing') as any);
+
+      expect(await getChangeSet('project-123', 'change-1')).toEqual({ id: 'change-1', summary: 'Breakdown' });
+      expect(await getChangeSet('project-123', 'missing')).toBeNull();
+    });
+  });
+
+  describe('undoChangeSet', () => {
+    const appliedAt = { isEqual: (other: any) => other === appliedAt };
+    const changeSet = {
+      source: 'ai',
+      summary: 'Breakdown',
+      created: [{ collection: 'scenes', id: 'scene-1' }, { collection: 'elements', id: 'element-1' }],
+      updated: [{ collection: 'scripts', id: 'script-1', before: { content: 'old' } }],
+      status: 'applied',
+      createdAt: appliedAt
+    };
+    let transaction: { get: jest.Mock; set: jest.Mock; update: jest.Mock; delete: jest.Mock };
+
+    const withDocs = (docs: Record<string, Record<string, any> | undefined>) => {
+      transaction.get.mockImplementation((ref: any) => Promise.resolve(snapshot(ref.id, docs[ref.path])));
+    };
+
+    beforeEach(() => {
+      transaction = { get: jest.fn(), set: jest.fn(), update: jest.fn(), delete: jest.fn() };
+      mockRunTransaction.mockImplementation((_db, update: any) => update(transaction));
+    });
+
+    it('should delete created docs and restore updated ones', async () => {
+      withDocs({
+        'projects/project-123/changeSets/change-1': changeSet,
+        'projects/project-123/scenes/scene-1': { updatedAt: appliedAt },
+        'projects/project-123/scripts/script-1': { content: 'new', updatedAt: appliedAt }
+      });
+
+      const result = await undoChangeSet('project-123', 'change-1');
+
+      expect(result).toEqual({ undone: true, conflicts: [] });
+      expect(transaction.delete).toHaveBeenCalledTimes(1);
+      expect(transaction.delete).toHaveBeenCalledWith(expect.objectContaining({ path: 'projects/project-123/scenes/scene-1' }));
+      expect(transaction.set).toHaveBeenCalledWith(
+        expect.objectContaining({ path: 'projects/project-123/scripts/script-1' }),
+        { content: 'old' }
+      );
+      expect(transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ path: 'projects/project-123/changeSets/change-1' }),
+        { status: 'undone', undoneAt: 'mock-timestamp' }
+      );
+    });
+
+    it('should leave everything alone if a doc was edited since', async () => {
+      withDocs({
+        'projects/project-123/changeSets/change-1': changeSet,
+        'projects/project-123/scenes/scene-1': { updatedAt: appliedAt },
+        'projects/project-123/elements/element-1': { updatedAt: { isEqual: () => false } },
+        'projects/project-123/scripts/script-1': { content: 'new', updatedAt: appliedAt }
+      });
+
+      const result = await undoChangeSet('project-123', 'change-1');
+
+      expect(result).toEqual({ undone: false, conflicts: [{ collection: 'elements', id: 'element-1' }] });
+      expect(transaction.delete).not.toHaveBeenCalled();
+      expect(transaction.set).not.toHaveBeenCalled();
+      expect(transaction.update).not.toHaveBeenCalled();
+    });
+
+    it('should not undo twice', async () => {
+      withDocs({ 'projects/project-123/changeSets/change-1': { ...changeSet, status: 'undone' } });
+
+      await expect(undoChangeSet('project-123', 'change-1')).rejects.toThrow('already been undone');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// src/services/__tests__/dood.test.ts
+import {
+  generateDOOD,
+  exportDOODToCSV,
+  createDOODPDF
+} from '../dood';
+import type { StripDay } from '../stripboard';
+import type { Scene } from '../scenes';
+import type { Element } from '../elements';
+import type { Contact } from '../contacts';
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  where: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const day = (id: string, date: string, sceneOrder: string[]): StripDay => ({
+  id,
+  date,
+  sceneOrder,
+  targetMins: 480,
+  totalMins: 0,
+  updatedAt: null
+});
+
+const element = (id: string, name: string, extra: Partial<Element> = {}): Element => ({
+  id,
+  type: 'character',
+  name,
+  category: 'Cast Members',
+  linkedSceneIds: [],
+  customFields: {},
+  createdAt: null,
+  updatedAt: null,
+  ...extra
+});
+
+const readPDF = async (blob: Blob) => Buffer.from(await blob.arrayBuffer()).toString('latin1');
+
+// Five shoot days; Nov 20 comes after a long break
+const stripDays = [
+  day('d3', '2026-11-03', ['sc3']),
+  day('d1', '2026-11-01', ['sc1']),
+  day('d2', '2026-11-02', ['sc2']),
+  day('d4', '2026-11-04', []),
+  day('d5', '2026-11-20', ['sc5'])
+];
+
+const scenes = [
+  { id: 'sc1', elementIds: ['anna'] },
+  { id: 'sc2', elementIds: [] },
+  { id: 'sc3', elementIds: ['anna', 'ben'] },
+  { id: 'sc5', elementIds: ['anna'] }
+] as unknown as Scene[];
+
+describe('DOOD Service', () => {
+  describe('generateDOOD', () => {
+    it('should code work, hold, drop/pickup and travel days for each cast member', () => {
+      const report = generateDOOD(stripDays, scenes, [
+        element('anna', 'ANNA', { linkedActorId: 'contact-1', customFields: { castNumber: 1 } }),
+        element('ben', 'BEN', { linkedSceneIds: ['sc2'], customFields: { travelDates: ['2026-11-01', '2026-11-04'] } }),
+        element('cup', 'Cup', { type: 'prop', linkedSceneIds: ['sc1'] })
+      ], {
+        contacts: [{ id: 'contact-1', name: 'Anna Actor' } as Contact]
+      });
+
+      expect(report.days.map(d => d.dayId)).toEqual(['d1', 'd2', 'd3', 'd4', 'd5']);
+      expect(report.rows).toEqual([
+        {
+          elementId: 'anna',
+          castNumber: 1,
+          name: 'ANNA',
+          actorName: 'Anna Actor',
+          cells: ['SW', 'H', 'WD', '', 'PWF'],
+          start: '2026-11-01',
+          finish: '2026-11-20',
+          work: 3,
+          hold: 1,
+          idle: 1,
+          travel: 0,
+          total: 4
+        },
+        expect.objectContaining({
+          elementId: 'ben',
+          castNumber: 2,
+          cells: ['T', 'SW', 'WF', 'T', ''],
+          work: 2,
+          travel: 2,
+          total: 4
+        })
+      ]);
+    });
+
+    it('should hold rather than drop across short breaks and mark single days SWF', () => {
+      const report = generateDOOD(stripDays, scenes, [element('anna', 'ANNA'), element('ben', 'BEN')], {
+        dropThresholdDays: 30
+      });
+
+      expect(report.rows[0].cells).toEqual(['SW', 'H', 'W', 'H', 'WF']);
+      expect(report.rows[1].cells).toEqual(['', '', 'SWF', '', '']);
+    });
+  });
+
+  describe('exports', () => {
+    const report = generateDOOD(stripDays.slice(0, 3), scenes, [element('anna', 'ANNA "A"')]);
+
+    it('should export the report to CSV', () => {
+      expect(exportDOODToCSV(report).split('\n')).toEqual([
+        '"Cast #","Character","Actor","Day 1 (2026-11-01)","Day 2 (2026-11-02)","Day 3 (2026-11-03)","Travel","Work","Hold","Idle","Start","Finish","Total"',
+        '"1","ANNA ""A""","","SW","H","WF","0","2","1","0","2026-11-01","2026-11-03","3"'
+      ]);
+    });
+
+    it('should render the report as a landscape PDF', async () => {
+      const pdf = await readPDF(createDOODPDF(report, 'Heist'));
+
+      expect(pdf).toContain('/MediaBox [0 0 792.00 612.00]');
+      expect(pdf).toContain('(HEIST - DAY OUT OF DAYS) Tj');
+      expect(pdf).toContain('(11/03) Tj');
+      expect(pdf).toContain('(SW) Tj');
+      expect(pdf).toContain('(Total) Tj');
+    });
+  });
+});
@@ -5,6 +5,11 @@ import {
   updateElement, 
   deleteElement, 
   listElements,
+  importElements,
+  mergeElements,
+  normalizeElementName,
+  findElementByName,
+  findDuplicateElements,
   queryElements,
   getElementsByType,
   getElementsByCategory,
@@ -29,9 +34,11 @@ import {
   query, 
   where,
   orderBy,
-  onSnapshot 
+  onSnapshot,
+  writeBatch
 } from 'firebase/firestore';
 import { db } from '../../lib/firebase.client';
+import { getBudgetLineItemsByScope } from '../budget';
 
 // Mock Firebase
 jest.mock('firebase/firestore', () => ({
@@ -46,6 +53,9 @@ jest.mock('firebase/firestore', () => ({
   where: jest.fn(),
   orderBy: jest.fn(),
   onSnapshot: jest.fn(),
+  writeBatch: jest.fn(),
+  arrayUnion: jest.fn((...values) => ({ union: values })),
+  arrayRemove: jest.fn((...values) => ({ remove: values })),
   serverTimestamp: jest.fn(() => 'mock-timestamp')
 }));
 
@@ -53,6 +63,10 @@ jest.mock('../../lib/firebase.client', () => ({
   db: 'mock-db'
 }));
 
+jest.mock('../budget', () => ({
+  getBudgetLineItemsByScope: jest.fn()
+}));
+
 const mockCollection = collection as jest.MockedFunction<typeof collection>;
 const mockDoc = doc as jest.MockedFunction<typeof doc>;
 const mockAddDoc = addDoc as jest.MockedFunction<typeof addDoc>;
@@ -64,6 +78,8 @@ const mockQuery = query as jest.MockedFunction<typeof query>;
 const mockWhere = where as jest.MockedFunction<typeof where>;
 const mockOrderBy = orderBy as jest.MockedFunction<typeof orderBy>;
 const mockOnSnapshot = onSnapshot as jest.MockedFunction<typeof onSnapshot>;
+const mockWriteBatch = writeBatch as jest.MockedFunction<typeof writeBatch>;
+const mockGetBudgetLineItemsByScope = getBudgetLineItemsByScope as jest.MockedFunction<typeof getBudgetLineItemsByScope>;
 
 describe('Elements Service', () => {
   beforeEach(() => {
@@ -243,6 +259,157 @@ describe('Elements Service', () => {
     });
   });
 
+  describe('importElements', () => {
+    it('should reuse elements with the same type and name and create the rest', async () => {
+      mockCollection.mockReturnValue('mock-collection' as any);
+      mockQuery.mockReturnValue('mock-query' as any);
+      mockGetDocs.mockResolvedValue({
+        docs: [{ id: 'element-1', data: () => ({ name: 'Revolver', type: 'prop' }) }]
+      } as any);
+      mockAddDoc.mockResolvedValue({ id: 'element-2' } as any);
+
+      const result = await importElements('project-123', [
+        { type: 'prop', name: 'revolver ', category: 'prop' },
+        { type: 'costume', name: 'Red raincoat', category: 'costume' },
+        { type: 'costume', name: 'RED RAINCOAT', category: 'costume' }
+      ]);
+
+      expect(result).toEqual(['element-1', 'element-2', 'element-2']);
+      expect(mockAddDoc).toHaveBeenCalledTimes(1);
+      expect(mockAddDoc).toHaveBeenCalledWith('mock-collection', expect.objectContaining({
+        type: 'costume',
+        name: 'Red raincoat',
+        category: 'costume'
+      }));
+    });
+
+    it('should resolve names of merged elements to the element they were merged into', async () => {
+      mockCollection.mockReturnValue('mock-collection' as any);
+      mockQuery.mockReturnValue('mock-query' as any);
+      mockGetDocs.mockResolvedValue({
+        docs: [{ id: 'element-1', data: () => ({ name: 'Revolver', type: 'prop', aliases: ["Mike's Gun"] }) }]
+      } as any);
+
+      const result = await importElements('project-123', [
+        { type: 'prop', name: 'mikes gun', category: 'prop' },
+        { type: 'prop', name: 'The Revolver', category: 'prop' }
+      ]);
+
+      expect(result).toEqual(['element-1', 'element-1']);
+      expect(mockAddDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('normalizeElementName', () => {
+    it('should ignore case, punctuation, leading articles and bracketed qualifiers', () => {
+      expect(normalizeElementName('The Gun')).toBe('gun');
+      expect(normalizeElementName("Gun (Mike's)")).toBe('gun');
+      expect(normalizeElementName('  RED-RAINCOAT ')).toBe('red raincoat');
+      expect(normalizeElementName('Café [hero]')).toBe('café');
+    });
+
+    it('should keep names that are all qualifier', () => {
+      expect(normalizeElementName('(V.O.)')).toBe('(v.o.)');
+    });
+  });
+
+  describe('findElementByName', () => {
+    const elements = [
+      { id: 'element-1', name: 'Revolver', type: 'prop', aliases: ['Gun'] },
+      { id: 'element-2', name: 'Gun', type: 'weapon' }
+    ] as Element[];
+
+    it('should match names and aliases of the same type', () => {
+      expect(findElementByName(elements, 'prop', 'the gun')?.id).toBe('element-1');
+      expect(findElementByName(elements, 'weapon', 'GUN')?.id).toBe('element-2');
+      expect(findElementByName(elements, 'prop', 'Knife')).toBeUndefined();
+    });
+  });
+
+  describe('findDuplicateElements', () => {
+    it('should group same-type elements with matching names, most used first', () => {
+      const elements = [
+        { id: 'element-1', name: 'Gun', type: 'prop', linkedSceneIds: ['scene-1'] },
+        { id: 'element-2', name: 'The gun', type: 'prop', linkedSceneIds: ['scene-2', 'scene-3'] },
+        { id: 'element-3', name: 'Gun', type: 'costume', linkedSceneIds: [] },
+        { id: 'element-4', name: 'Pistol', type: 'prop', linkedSceneIds: [], aliases: ['Gun (Mike)'] },
+        { id: 'element-5', name: 'Knife', type: 'prop', linkedSceneIds: [] }
+      ] as unknown as Element[];
+
+      const groups = findDuplicateElements(elements);
+
+      expect(groups.map(group => group.map(element => element.id))).toEqual([
+        ['element-2', 'element-1', 'element-4']
+      ]);
+    });
+  });
+
+  describe('mergeElements', () => {
+    const elementSnapshot = (id: string, data: Record<string, any>) => ({ id, exists: () => true, data: () => data });
+    let batch: { update: jest.Mock; delete: jest.Mock; commit: jest.Mock };
+
+    beforeEach(() => {
+      batch = { update: jest.fn(), delete: jest.fn(), commit: jest.fn().mockResolvedValue(undefined) };
+      mockWriteBatch.mockReturnValue(batch as any);
+      mockDoc.mockImplementation((...path: any[]) => path.slice(1).join('/') as any);
+      mockGetDoc.mockImplementation((ref: any) => Promise.resolve({
+        'projects/project-123/elements/element-1': elementSnapshot('element-1', {
+          name: 'Revolver', type: 'prop', linkedSceneIds: ['scene-1'], customFields: { calibre: '.38' }
+        }),
+        'projects/project-123/elements/element-2': elementSnapshot('element-2', {
+          name: 'Gun', type: 'prop', linkedSceneIds: ['scene-2', 'scene-3'], linkedActorId: 'actor-1',
+          customFields: { calibre: '9mm', holster: 'yes' }, estCostCents: 5000, aliases: ['Pistol']
+        })
+      }[ref] || { exists: () => false }) as any);
+      mockGetBudgetLineItemsByScope.mockResolvedValue([{ id: 'item-1' }] as any);
+    });
+
+    it('should move scenes and budget line items to the kept element and delete the others in one batch', async () => {
+      await mergeElements('project-123', 'element-1', ['element-2']);
+
+      ['scene-2', 'scene-3'].forEach((sceneId) => {
+        const sceneDoc = `projects/project-123/scenes/${sceneId}`;
+        expect(batch.update).toHaveBeenCalledWith(sceneDoc, { elementIds: { union: ['element-1'] }, updatedAt: 'mock-timestamp' });
+        expect(batch.update).toHaveBeenCalledWith(sceneDoc, { elementIds: { remove: ['element-2'] } });
+      });
+      expect(mockGetBudgetLineItemsByScope).toHaveBeenCalledWith('project-123', 'element', 'element-2');
+      expect(batch.update).toHaveBeenCalledWith('projects/project-123/budgets/main/lineItems/item-1', {
+        refId: 'element-1',
+        updatedAt: 'mock-timestamp'
+      });
+      expect(batch.delete).toHaveBeenCalledWith('projects/project-123/elements/element-2');
+      expect(batch.commit).toHaveBeenCalledTimes(1);
+      expect(mockUpdateDoc).not.toHaveBeenCalled();
+      expect(mockDeleteDoc).not.toHaveBeenCalled();
+    });
+
+    it('should keep the merged names as aliases and fill in missing values', async () => {
+      await mergeElements('project-123', 'element-1', ['element-2']);
+
+      expect(batch.update).toHaveBeenCalledWith('projects/project-123/elements/element-1', {
+        customFields: { calibre: '.38', holster: 'yes' },
+        linkedActorId: 'actor-1',
+        estCostCents: 5000,
+        linkedSceneIds: { union: ['scene-2', 'scene-3'] },
+        aliases: ['Gun', 'Pistol'],
+        updatedAt: 'mock-timestamp'
+      });
+    });
+
+    it('should write nothing if the merge fails', async () => {
+      batch.commit.mockRejectedValue(new Error('permission-denied'));
+
+      await expect(mergeElements('project-123', 'element-1', ['element-2'])).rejects.toThrow('permission-denied');
+      expect(mockUpdateDoc).not.toHaveBeenCalled();
+      expect(mockDeleteDoc).not.toHaveBeenCalled();
+    });
+
+    it('should throw if the kept element does not exist', async () => {
+      await expect(mergeElements('project-123', 'missing', ['element-2'])).rejects.toThrow('Element missing not found');
+      expect(batch.commit).not.toHaveBeenCalled();
+    });
+  });
+
   describe('queryElements', () => {
     it('should query elements with type filter', async () => {
       const mockElement = {
@@ -0,0 +1,188 @@
+// src/services/__tests__/emergencyFacilities.test.ts
+import {
+  parseFacilitiesCSV,
+  parseFacilitiesGeoJSON,
+  parseFacilitiesFile,
+  importEmergencyFacilities,
+  findNearestFacilities,
+  formatFacilityDistance,
+  type EmergencyFacility
+} from '../emergencyFacilities';
+import {
+  collection,
+  doc,
+  getDocs,
+  writeBatch
+} from 'firebase/firestore';
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  addDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  getDocs: jest.fn(),
+  query: jest.fn((ref) => ref),
+  orderBy: jest.fn(),
+  onSnapshot: jest.fn(),
+  writeBatch: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const mockCollection = collection as jest.MockedFunction<typeof collection>;
+const mockDoc = doc as jest.MockedFunction<typeof doc>;
+const mockGetDocs = getDocs as jest.MockedFunction<typeof getDocs>;
+const mockWriteBatch = writeBatch as jest.MockedFunction<typeof writeBatch>;
+
+const facility = (id: string, type: EmergencyFacility['type'], lat: number, lng: number, extra: Partial<EmergencyFacility> = {}) => ({
+  id,
+  name: id,
+  type,
+  coordinates: { lat, lng },
+  ...extra
+}) as EmergencyFacility;
+
+describe('Emergency Facilities Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseFacilitiesCSV', () => {
+    it('should read quoted values and alternate column names', () => {
+      const csv = [
+        'Name,Type,Address,Phone,Latitude,Longitude,Emergency',
+        '"Mercy Hospital, North",hospital,"12 Oak St, Springfield",555-0100,39.8,-89.6,yes',
+        'Quick Care,Urgent Care,,,39.7,-89.65,no'
+      ].join('\r\n');
+
+      expect(parseFacilitiesCSV(csv, 'hospitals.csv')).toEqual({
+        facilities: [
+          {
+            name: 'Mercy Hospital, North',
+            type: 'hospital',
+            address: '12 Oak St, Springfield',
+            phone: '555-0100',
+            coordinates: { lat: 39.8, lng: -89.6 },
+            emergencyRoom: true,
+            source: 'hospitals.csv'
+          },
+          {
+            name: 'Quick Care',
+            type: 'urgent_care',
+            coordinates: { lat: 39.7, lng: -89.65 },
+            emergencyRoom: false,
+            source: 'hospitals.csv'
+          }
+        ],
+        errors: []
+      });
+    });
+
+    it('should report rows without a name or valid coordinates', () => {
+      const csv = 'name,lat,lng\n,39.8,-89.6\nNowhere,,\nOff the Map,120,10';
+
+      expect(parseFacilitiesCSV(csv)).toEqual({
+        facilities: [],
+        errors: ['Row 2: missing name', 'Row 3: Nowhere has no valid coordinates', 'Row 4: Off the Map has no valid coordinates']
+      });
+      expect(parseFacilitiesCSV('name,address\nA,B').errors).toEqual(['The header row needs name, lat and lng columns']);
+    });
+  });
+
+  describe('parseFacilitiesGeoJSON', () => {
+    it('should read points with OpenStreetMap tags', () => {
+      const geojson = {
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            properties: {
+              name: 'St. Luke',
+              amenity: 'hospital',
+              emergency: 'yes',
+              'addr:housenumber': '5',
+              'addr:street': 'Pine Ave',
+              'addr:city': 'Springfield',
+              'contact:phone': '555-0199'
+            },
+            geometry: { type: 'Point', coordinates: [-89.61, 39.79] }
+          },
+          { type: 'Feature', properties: { name: 'Campus' }, geometry: { type: 'Polygon', coordinates: [] } }
+        ]
+      };
+
+      expect(parseFacilitiesGeoJSON(JSON.stringify(geojson))).toEqual({
+        facilities: [{
+          name: 'St. Luke',
+          type: 'hospital',
+          address: '5 Pine Ave, Springfield',
+          phone: '555-0199',
+          coordinates: { lat: 39.79, lng: -89.61 },
+          emergencyRoom: true
+        }],
+        errors: ['Feature 2: Campus is not a point']
+      });
+    });
+
+    it('should pick the format from the file', () => {
+      expect(parseFacilitiesFile('not json', 'facilities.geojson').errors).toEqual(['The file is not valid JSON']);
+      expect(parseFacilitiesFile('name,lat,lng\nA,1,2').facilities).toHaveLength(1);
+    });
+  });
+
+  describe('importEmergencyFacilities', () => {
+    it('should skip facilities already in the registry', async () => {
+      const batch = { set: jest.fn(), commit: jest.fn().mockResolvedValue(undefined) };
+      mockWriteBatch.mockReturnValue(batch as any);
+      mockCollection.mockReturnValue('facilities' as any);
+      mockDoc.mockReturnValue({ id: 'new-doc' } as any);
+      mockGetDocs.mockResolvedValue({
+        docs: [{ id: 'f1', data: () => ({ name: 'Mercy', type: 'hospital', coordinates: { lat: 39.8, lng: -89.6 } }) }]
+      } as any);
+
+      const result = await importEmergencyFacilities('project-123', [
+        { name: 'mercy', type: 'hospital', coordinates: { lat: 39.8001, lng: -89.6 } },
+        { name: 'Quick Care', type: 'urgent_care', coordinates: { lat: 39.7, lng: -89.65 } },
+        { name: 'Quick Care', type: 'urgent_care', coordinates: { lat: 39.7, lng: -89.65 } }
+      ]);
+
+      expect(result).toEqual({ created: 1, skipped: 2 });
+      expect(batch.set).toHaveBeenCalledTimes(1);
+      expect(batch.set).toHaveBeenCalledWith({ id: 'new-doc' }, expect.objectContaining({
+        name: 'Quick Care',
+        createdAt: 'mock-timestamp'
+      }));
+      expect(batch.commit).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('findNearestFacilities', () => {
+    const center = { lat: 39.78, lng: -89.65 };
+    const facilities = [
+      facility('far', 'hospital', 40.5, -89.65),
+      facility('clinic', 'urgent_care', 39.79, -89.65),
+      facility('station', 'fire', 39.78, -89.651),
+      facility('er', 'hospital', 39.78, -89.6)
+    ];
+
+    it('should return the nearest hospitals and urgent care with travel notes', () => {
+      const result = findNearestFacilities(facilities, center, { count: 2 });
+
+      expect(result.facilities.map(nearby => nearby.facility.id)).toEqual(['clinic', 'er']);
+      expect(result.facilities[0].travelNotes).toBe('N of set, about 2 min drive; urgent care, not for major trauma');
+      expect(result.facilities[1].travelNotes).toBe('E of set, about 7 min drive');
+      expect(formatFacilityDistance(result.facilities[1].distanceKm)).toBe('2.7 mi');
+      expect(result.withinSafeRadius).toBe(true);
+    });
+
+    it('should flag when the nearest facility is beyond the safe radius', () => {
+      expect(findNearestFacilities(facilities, center, { types: ['hospital'], safeRadiusKm: 1 }).withinSafeRadius).toBe(false);
+      expect(findNearestFacilities([], center).withinSafeRadius).toBe(false);
+    });
+  });
+});
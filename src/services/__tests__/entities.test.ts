@@ -0,0 +1,353 @@
+// src/services/__tests__/entities.test.ts
+import { createEntity, sortRecords, UserEntity } from '../entities';
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  getDocs,
+  query,
+  where,
+  onSnapshot
+} from 'firebase/firestore';
+import { db, auth } from '../../lib/firebase.client';
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDoc: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  getDocs: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn((field, op, value) => ({ field, op, value })),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db',
+  auth: {
+    currentUser: { uid: 'user-1', email: 'ada@example.com', displayName: 'Ada' },
+    authStateReady: jest.fn(() => Promise.resolve())
+  }
+}));
+
+const mockCollection = collection as jest.MockedFunction<typeof collection>;
+const mockDoc = doc as jest.MockedFunction<typeof doc>;
+const mockGetDoc = getDoc as jest.MockedFunction<typeof getDoc>;
+const mockSetDoc = setDoc as jest.MockedFunction<typeof setDoc>;
+const mockUpdateDoc = updateDoc as jest.MockedFunction<typeof updateDoc>;
+const mockDeleteDoc = deleteDoc as jest.MockedFunction<typeof deleteDoc>;
+const mockGetDocs = getDocs as jest.MockedFunction<typeof getDocs>;
+const mockQuery = query as jest.MockedFunction<typeof query>;
+const mockWhere = where as jest.MockedFunction<typeof where>;
+const mockOnSnapshot = onSnapshot as jest.MockedFunction<typeof onSnapshot>;
+
+const snapshotOf = (id: string, data: Record<string, any>) => ({
+  id,
+  ref: `ref-${id}`,
+  exists: () => true,
+  data: () => data
+});
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Entities Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCollection.mockReturnValue('mock-collection' as any);
+    mockQuery.mockReturnValue('mock-query' as any);
+  });
+
+  describe('sortRecords', () => {
+    it('should sort ascending and descending, keeping records missing the field last', () => {
+      const records = [{ order: 2 }, { order: 1 }, {}, { order: 3 }];
+
+      expect(sortRecords(records, 'order')).toEqual([{ order: 1 }, { order: 2 }, { order: 3 }, {}]);
+      expect(sortRecords(records, '-order')).toEqual([{ order: 3 }, { order: 2 }, { order: 1 }, {}]);
+    });
+  });
+
+  describe('filter', () => {
+    it('should query the project subcollection and sort client-side', async () => {
+      const Shot = createEntity({ collectionName: 'shots' });
+      mockGetDocs.mockResolvedValue({
+        docs: [
+          snapshotOf('shot-2', { order: 2, project_id: 'project-123' }),
+          snapshotOf('shot-1', { order: 1, project_id: 'project-123' })
+        ]
+      } as any);
+
+      const result = await Shot.filter({ project_id: 'project-123' }, 'order');
+
+      expect(mockCollection).toHaveBeenCalledWith(db, 'projects', 'project-123', 'shots');
+      expect(mockWhere).not.toHaveBeenCalled();
+      expect(result.map(shot => shot.id)).toEqual(['shot-1', 'shot-2']);
+    });
+
+    it('should query under the parent record\'s project when no project is given', async () => {
+      const MoodBoard = createEntity({ collectionName: 'moodBoards' });
+      const MoodBoardItem = createEntity({
+        collectionName: 'moodBoardItems',
+        parent: { key: 'mood_board_id', entity: () => MoodBoard }
+      });
+      mockGetDocs.mockResolvedValueOnce({ docs: [snapshotOf('board-1', { project_id: 'project-123' })] } as any);
+      await MoodBoard.filter({ project_id: 'project-123' });
+      mockGetDoc.mockResolvedValue(snapshotOf('board-1', { project_id: 'project-123' }) as any);
+      mockGetDocs.mockResolvedValue({ docs: [] } as any);
+
+      await MoodBoardItem.filter({ mood_board_id: 'board-1' }, 'z_index');
+
+      expect(mockGetDoc).toHaveBeenCalledWith('ref-board-1');
+      expect(mockCollection).toHaveBeenLastCalledWith(db, 'projects', 'project-123', 'moodBoardItems');
+      expect(mockWhere).toHaveBeenCalledWith('mood_board_id', '==', 'board-1');
+    });
+
+    it('should ask for the project when the parent record has not been loaded', async () => {
+      const MoodBoard = createEntity({ collectionName: 'moodBoards' });
+      const MoodBoardItem = createEntity({
+        collectionName: 'moodBoardItems',
+        parent: { key: 'mood_board_id', entity: () => MoodBoard }
+      });
+
+      await expect(MoodBoardItem.filter({ mood_board_id: 'board-1' })).rejects.toThrow(
+        'Cannot query moodBoardItems records without a project_id: mood_board_id board-1 has not been loaded'
+      );
+      mockGetDocs.mockResolvedValue({ docs: [] } as any);
+      await MoodBoardItem.filter({ project_id: 'project-123', mood_board_id: 'board-1' });
+      expect(mockCollection).toHaveBeenLastCalledWith(db, 'projects', 'project-123', 'moodBoardItems');
+    });
+
+    it('should reject queries without a resolvable project', async () => {
+      const Shot = createEntity({ collectionName: 'shots' });
+
+      await expect(Shot.filter({ scene_id: 'scene-1' })).rejects.toThrow(
+        'Cannot query shots records without a project_id'
+      );
+      expect(mockGetDocs).not.toHaveBeenCalled();
+    });
+
+    it('should translate $in conditions into chunked in queries', async () => {
+      const AVRow = createEntity({ collectionName: 'avRows' });
+      const ids = Array.from({ length: 35 }, (_, i) => `segment-${i}`);
+      mockGetDocs.mockResolvedValue({ docs: [] } as any);
+
+      await AVRow.filter({ av_segment_id: { $in: ids }, project_id: 'project-123' }, 'order');
+
+      expect(mockCollection).toHaveBeenCalledWith(db, 'projects', 'project-123', 'avRows');
+      expect(mockWhere).toHaveBeenCalledWith('av_segment_id', 'in', ids.slice(0, 30));
+      expect(mockWhere).toHaveBeenCalledWith('av_segment_id', 'in', ids.slice(30));
+      expect(mockGetDocs).toHaveBeenCalledTimes(2);
+    });
+
+    it('should match nothing for an empty $in without querying', async () => {
+      const AVRow = createEntity({ collectionName: 'avRows' });
+
+      await expect(AVRow.filter({ av_segment_id: { $in: [] } })).resolves.toEqual([]);
+      expect(mockGetDocs).not.toHaveBeenCalled();
+    });
+
+    it('should apply the limit after sorting', async () => {
+      const TeamActivity = createEntity({ collectionName: 'activity' });
+      mockGetDocs.mockResolvedValue({
+        docs: [
+          snapshotOf('a', { timestamp: '2024-01-01' }),
+          snapshotOf('b', { timestamp: '2024-01-03' }),
+          snapshotOf('c', { timestamp: '2024-01-02' })
+        ]
+      } as any);
+
+      const result = await TeamActivity.filter({ project_id: 'project-123' }, '-timestamp', 2);
+
+      expect(result.map(activity => activity.id)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('create', () => {
+    it('should write the record with its own id and timestamps', async () => {
+      const Shot = createEntity({ collectionName: 'shots' });
+      mockDoc.mockReturnValue({ id: 'shot-123' } as any);
+      mockSetDoc.mockResolvedValue(undefined);
+
+      const result = await Shot.create({ project_id: 'project-123', description: 'Wide', notes: undefined });
+
+      expect(mockCollection).toHaveBeenCalledWith(db, 'projects', 'project-123', 'shots');
+      expect(mockSetDoc).toHaveBeenCalledWith({ id: 'shot-123' }, expect.objectContaining({
+        id: 'shot-123',
+        project_id: 'project-123',
+        description: 'Wide',
+        created_by: 'user-1',
+        created_date: expect.any(String),
+        updated_date: expect.any(String),
+        createdAt: 'mock-timestamp',
+        updatedAt: 'mock-timestamp'
+      }));
+      expect(mockSetDoc.mock.calls[0][1]).not.toHaveProperty('notes');
+      expect(result.id).toBe('shot-123');
+    });
+
+    it('should inherit the project from the parent record', async () => {
+      const MoodBoard = createEntity({ collectionName: 'moodBoards' });
+      const MoodBoardItem = createEntity({
+        collectionName: 'moodBoardItems',
+        parent: { key: 'mood_board_id', entity: () => MoodBoard }
+      });
+      mockGetDocs.mockResolvedValue({ docs: [snapshotOf('board-1', { project_id: 'project-123' })] } as any);
+      await MoodBoard.filter({ project_id: 'project-123' });
+      mockGetDoc.mockResolvedValue(snapshotOf('board-1', { project_id: 'project-123' }) as any);
+      mockDoc.mockReturnValue({ id: 'item-1' } as any);
+
+      await MoodBoardItem.create({ mood_board_id: 'board-1', z_index: 1 });
+
+      expect(mockCollection).toHaveBeenCalledWith(db, 'projects', 'project-123', 'moodBoardItems');
+      expect(mockSetDoc).toHaveBeenCalledWith({ id: 'item-1' }, expect.objectContaining({
+        project_id: 'project-123',
+        mood_board_id: 'board-1'
+      }));
+    });
+
+    it('should reject records without a resolvable project', async () => {
+      const Shot = createEntity({ collectionName: 'shots' });
+
+      await expect(Shot.create({ description: 'Orphan' })).rejects.toThrow(
+        'Cannot create shots record without a project_id'
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('should update a record found through a previous read', async () => {
+      const Shot = createEntity({ collectionName: 'shots' });
+      mockGetDocs.mockResolvedValue({ docs: [snapshotOf('shot-1', { order: 1 })] } as any);
+      await Shot.filter({ project_id: 'project-123' });
+      mockGetDoc.mockResolvedValue(snapshotOf('shot-1', { order: 1, description: 'Close' }) as any);
+
+      const result = await Shot.update('shot-1', { id: undefined, description: 'Close' });
+
+      expect(mockUpdateDoc).toHaveBeenCalledWith('ref-shot-1', {
+        description: 'Close',
+        updated_date: expect.any(String),
+        updatedAt: 'mock-timestamp'
+      });
+      expect(result).toEqual({ id: 'shot-1', order: 1, description: 'Close' });
+    });
+
+    it('should locate unknown records under their project', async () => {
+      const ScriptRevision = createEntity({ collectionName: 'scriptRevisions' });
+      mockDoc.mockReturnValue('rev-doc' as any);
+      mockGetDoc.mockResolvedValue(snapshotOf('rev-1', { is_current: false }) as any);
+
+      await ScriptRevision.update('rev-1', { project_id: 'project-123', is_current: false });
+
+      expect(mockDoc).toHaveBeenCalledWith(db, 'projects', 'project-123', 'scriptRevisions', 'rev-1');
+      expect(mockUpdateDoc).toHaveBeenCalledWith('rev-doc', expect.objectContaining({ is_current: false }));
+      expect(mockGetDocs).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the record cannot be found', async () => {
+      const ScriptRevision = createEntity({ collectionName: 'scriptRevisions' });
+
+      await expect(ScriptRevision.update('missing', { notes: 'x' })).rejects.toThrow(
+        'scriptRevisions record missing not found'
+      );
+    });
+  });
+
+  describe('delete', () => {
+    it('should delete root-scoped records by path', async () => {
+      const Project = createEntity({ collectionName: 'projects', scope: 'root' });
+      mockDoc.mockReturnValue('mock-doc' as any);
+
+      await Project.delete('project-123');
+
+      expect(mockDoc).toHaveBeenCalledWith(db, 'projects', 'project-123');
+      expect(mockDeleteDoc).toHaveBeenCalledWith('mock-doc');
+    });
+
+    it('should locate unknown project records under their project', async () => {
+      const Shot = createEntity({ collectionName: 'shots' });
+      mockDoc.mockReturnValue('shot-doc' as any);
+
+      await Shot.delete('shot-1', 'project-123');
+
+      expect(mockDoc).toHaveBeenCalledWith(db, 'projects', 'project-123', 'shots', 'shot-1');
+      expect(mockDeleteDoc).toHaveBeenCalledWith('shot-doc');
+    });
+
+    it('should throw when an unknown project record has no project', async () => {
+      const Shot = createEntity({ collectionName: 'shots' });
+
+      await expect(Shot.delete('shot-1')).rejects.toThrow('shots record shot-1 not found');
+      expect(mockDeleteDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('list', () => {
+    it('should list root records and reject project records without a project', async () => {
+      const Project = createEntity({ collectionName: 'projects', scope: 'root' });
+      const Shot = createEntity({ collectionName: 'shots' });
+      mockGetDocs.mockResolvedValue({ docs: [snapshotOf('project-1', { updated_date: '2026-01-01' })] } as any);
+
+      await expect(Project.list('-updated_date')).resolves.toEqual([{ id: 'project-1', updated_date: '2026-01-01' }]);
+      await expect(Shot.list()).rejects.toThrow('Cannot list shots records without a project_id');
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should deliver sorted records and return an unsubscribe function', async () => {
+      const Shot = createEntity({ collectionName: 'shots' });
+      const mockUnsubscribe = jest.fn();
+      const mockCallback = jest.fn();
+
+      mockOnSnapshot.mockImplementation((queryRef: any, callback: any) => {
+        callback({ docs: [snapshotOf('b', { order: 2 }), snapshotOf('a', { order: 1 })] });
+        return mockUnsubscribe;
+      });
+
+      const unsubscribe = Shot.subscribe({ project_id: 'project-123' }, mockCallback, 'order');
+      await flushPromises();
+      unsubscribe();
+
+      expect(mockOnSnapshot).toHaveBeenCalledWith('mock-query', expect.any(Function));
+      expect(mockCallback).toHaveBeenCalledWith([
+        { id: 'a', order: 1 },
+        { id: 'b', order: 2 }
+      ]);
+      expect(mockUnsubscribe).toHaveBeenCalled();
+    });
+
+    it('should deliver no records for an empty $in', async () => {
+      const AVRow = createEntity({ collectionName: 'avRows' });
+      const mockCallback = jest.fn();
+
+      AVRow.subscribe({ project_id: 'project-123', av_segment_id: { $in: [] } }, mockCallback);
+      await flushPromises();
+
+      expect(mockCallback).toHaveBeenCalledWith([]);
+      expect(mockOnSnapshot).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('UserEntity', () => {
+    it('should merge the auth user with the profile document', async () => {
+      mockDoc.mockReturnValue('mock-user-doc' as any);
+      mockGetDoc.mockResolvedValue(snapshotOf('user-1', { role: 'admin' }) as any);
+
+      const user = await UserEntity.me();
+
+      expect(auth.authStateReady).toHaveBeenCalled();
+      expect(mockDoc).toHaveBeenCalledWith(db, 'users', 'user-1');
+      expect(user).toEqual({
+        id: 'user-1',
+        email: 'ada@example.com',
+        full_name: 'Ada',
+        role: 'admin'
+      });
+    });
+  });
+});
@@ -3,6 +3,7 @@ import {
   createProject, 
   getProject, 
   subscribeProject,
+  updateProjectSettings,
   type Project,
   type CreateProjectData 
 } from '../projects';
@@ -11,6 +12,7 @@ import {
   doc, 
   addDoc, 
   getDoc, 
+  updateDoc,
   onSnapshot 
 } from 'firebase/firestore';
 import { db } from '../../lib/firebase.client';
@@ -21,6 +23,7 @@ jest.mock('firebase/firestore', () => ({
   doc: jest.fn(),
   addDoc: jest.fn(),
   getDoc: jest.fn(),
+  updateDoc: jest.fn(),
   onSnapshot: jest.fn(),
   serverTimestamp: jest.fn(() => 'mock-timestamp')
 }));
@@ -33,6 +36,7 @@ const mockCollection = collection as jest.MockedFunction<typeof collection>;
 const mockDoc = doc as jest.MockedFunction<typeof doc>;
 const mockAddDoc = addDoc as jest.MockedFunction<typeof addDoc>;
 const mockGetDoc = getDoc as jest.MockedFunction<typeof getDoc>;
+const mockUpdateDoc = updateDoc as jest.MockedFunction<typeof updateDoc>;
 const mockOnSnapshot = onSnapshot as jest.MockedFunction<typeof onSnapshot>;
 
 describe('Projects Service', () => {
@@ -192,4 +196,18 @@ describe('Projects Service', () => {
       expect(mockCallback).toHaveBeenCalledWith(null);
     });
   });
+
+  describe('updateProjectSettings', () => {
+    it('should update only the given settings', async () => {
+      mockDoc.mockReturnValue('mock-doc' as any);
+
+      await updateProjectSettings('project-1', { stripPalette: { EXT_DAY: '#ffff00' } });
+
+      expect(mockDoc).toHaveBeenCalledWith(db, 'projects', 'project-1');
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-doc', {
+        'settings.stripPalette': { EXT_DAY: '#ffff00' },
+        updatedAt: 'mock-timestamp'
+      });
+    });
+  });
 });
@@ -8,6 +8,13 @@ import {
   subscribeScenes,
   linkElementToScene,
   unlinkElementFromScene,
+  sceneNumberSortKey,
+  formatSceneNumber,
+  buildSceneSlug,
+  syncScriptScenes,
+  formatPageEighths,
+  parsePageEighths,
+  getSceneEighths,
   type Scene,
   type CreateSceneData,
   type UpdateSceneData 
@@ -333,4 +340,141 @@ describe('Scenes Service', () => {
       });
     });
   });
+
+  describe('scene numbering', () => {
+    it('should order suffixed and prefixed numbers between their neighbours', () => {
+      const labels = ['2', '1A', '12', 'A1', '1', '1AA', '1B', 'B1'];
+      const sorted = [...labels].sort((a, b) => sceneNumberSortKey(a) - sceneNumberSortKey(b));
+
+      expect(sorted).toEqual(['A1', 'B1', '1', '1A', '1AA', '1B', '2', '12']);
+      expect(['12', 'A12', '11A', '11', 'B12', '11ZZ'].sort((a, b) => sceneNumberSortKey(a) - sceneNumberSortKey(b)))
+        .toEqual(['11', '11A', '11ZZ', 'A12', 'B12', '12']);
+      expect(sceneNumberSortKey('not a number')).toBeNaN();
+    });
+
+    it('should display the locked number label when present', () => {
+      expect(formatSceneNumber({ number: 12.037, numberLabel: '12A' })).toBe('12A');
+      expect(formatSceneNumber({ number: 3 })).toBe('3');
+      expect(buildSceneSlug('12A', 'INT. KITCHEN - NIGHT')).toBe('12a-int-kitchen-night');
+    });
+  });
+
+  describe('syncScriptScenes', () => {
+    const scriptScene = (lineId: string, number: string, heading: string, extra = {}) => ({
+      lineId,
+      number,
+      heading,
+      locationType: 'INT' as const,
+      timeOfDay: 'DAY',
+      durationMins: 1.5,
+      ...extra
+    });
+
+    beforeEach(() => {
+      mockDoc.mockImplementation((...path: any[]) => path.join('/') as any);
+      mockCollection.mockReturnValue('scenes-collection' as any);
+      mockUpdateDoc.mockResolvedValue(undefined);
+      mockAddDoc.mockResolvedValue({ id: 'scene-new' } as any);
+    });
+
+    it('should keep linked scene IDs through heading edits, adopt unlinked scenes and create the rest', async () => {
+      const docs = [
+        { id: 'scene-1', data: () => ({ number: 1, numberLabel: '1', heading: 'INT. KITCHEN - DAY', slug: '1-int-kitchen-day', locationType: 'INT', timeOfDay: 'DAY', durationMins: 1.5, scriptLineId: 'l1' }) },
+        { id: 'scene-2', data: () => ({ number: 5, heading: 'int. hall - day', slug: 'hall', locationType: 'INT', timeOfDay: 'DAY', durationMins: 5 }) }
+      ];
+      mockGetDocs.mockResolvedValue({ docs } as any);
+
+      const result = await syncScriptScenes('project-123', [
+        scriptScene('l1', '1', 'INT. KITCHEN - NIGHT', { timeOfDay: 'NIGHT' }),
+        scriptScene('l2', '2', 'INT. HALL - DAY'),
+        scriptScene('l3', '3', 'EXT. ROOF - DAY', { locationType: 'EXT' })
+      ]);
+
+      expect(result).toEqual({ created: ['scene-new'], updated: ['scene-1', 'scene-2'], flagged: [] });
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-db/projects/project-123/scenes/scene-1', {
+        slug: '1-int-kitchen-night',
+        heading: 'INT. KITCHEN - NIGHT',
+        timeOfDay: 'NIGHT',
+        updatedAt: 'mock-timestamp'
+      });
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-db/projects/project-123/scenes/scene-2', expect.objectContaining({
+        number: 2,
+        heading: 'INT. HALL - DAY',
+        scriptLineId: 'l2'
+      }));
+      expect(mockAddDoc).toHaveBeenCalledWith('scenes-collection', expect.objectContaining({
+        number: 3,
+        heading: 'EXT. ROOF - DAY',
+        locationType: 'EXT',
+        scriptLineId: 'l3'
+      }));
+    });
+
+    it('should adopt unlinked scenes with a repeated heading by number', async () => {
+      const docs = [
+        { id: 'scene-3', data: () => ({ number: 3, heading: 'INT. KITCHEN - DAY' }) },
+        { id: 'scene-7', data: () => ({ number: 7, heading: 'INT. KITCHEN - DAY' }) }
+      ];
+      mockGetDocs.mockResolvedValue({ docs } as any);
+
+      await syncScriptScenes('project-123', [
+        scriptScene('l7', '7', 'INT. KITCHEN - DAY'),
+        scriptScene('l3', '3', 'INT. KITCHEN - DAY')
+      ]);
+
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-db/projects/project-123/scenes/scene-7', expect.objectContaining({ scriptLineId: 'l7' }));
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-db/projects/project-123/scenes/scene-3', expect.objectContaining({ scriptLineId: 'l3' }));
+      expect(mockAddDoc).not.toHaveBeenCalled();
+    });
+
+    it('should flag scenes deleted or omitted from the script instead of removing them', async () => {
+      const docs = [
+        { id: 'scene-1', data: () => ({ number: 1, heading: 'INT. KITCHEN - DAY', scriptLineId: 'l1' }) },
+        { id: 'scene-2', data: () => ({ number: 2, heading: 'INT. HALL - DAY', scriptLineId: 'l2' }) },
+        { id: 'scene-3', data: () => ({ number: 3, heading: 'EXT. ROOF - DAY', scriptLineId: 'l3', deletedFromScript: true }) }
+      ];
+      mockGetDocs.mockResolvedValue({ docs } as any);
+
+      const result = await syncScriptScenes('project-123', [
+        scriptScene('l2', '2', 'INT. HALL - DAY', { omitted: true })
+      ]);
+
+      expect(result).toEqual({ created: [], updated: [], flagged: ['scene-2', 'scene-1'] });
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-db/projects/project-123/scenes/scene-1', {
+        deletedFromScript: true,
+        updatedAt: 'mock-timestamp'
+      });
+      expect(mockDeleteDoc).not.toHaveBeenCalled();
+    });
+
+    it('should re-measure page lengths without touching manual overrides', async () => {
+      const docs = [
+        { id: 'scene-1', data: () => ({ number: 1, numberLabel: '1', heading: 'INT. KITCHEN - DAY', slug: '1-int-kitchen-day', locationType: 'INT', timeOfDay: 'DAY', durationMins: 1.5, pageEighths: 3, pageEighthsOverride: 10, scriptLineId: 'l1' }) }
+      ];
+      mockGetDocs.mockResolvedValue({ docs } as any);
+
+      await syncScriptScenes('project-123', [
+        scriptScene('l1', '1', 'INT. KITCHEN - DAY', { pageEighths: 5 })
+      ]);
+
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-db/projects/project-123/scenes/scene-1', {
+        pageEighths: 5,
+        updatedAt: 'mock-timestamp'
+      });
+    });
+  });
+
+  describe('page eighths', () => {
+    it('should format and parse page lengths', () => {
+      expect([3, 8, 35, 0].map(formatPageEighths)).toEqual(['3/8', '1', '4 3/8', '0']);
+      expect(['3/8', '1', ' 4 3/8 ', '2 0/8'].map(parsePageEighths)).toEqual([3, 8, 35, 16]);
+      expect(['', '1/4', '9/8', 'two'].map(parsePageEighths)).toEqual([NaN, NaN, NaN, NaN]);
+    });
+
+    it('should prefer the manual override to the measured length', () => {
+      expect(getSceneEighths({ pageEighths: 3 })).toBe(3);
+      expect(getSceneEighths({ pageEighths: 3, pageEighthsOverride: 6 })).toBe(6);
+      expect(getSceneEighths({})).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,181 @@
+// src/services/__tests__/scheduler.test.ts
+import {
+  getSceneSet,
+  buildScheduleScenes,
+  autoSchedule,
+  diffSchedule,
+  applySchedule,
+  type ScheduleScene
+} from '../scheduler';
+import { updateDoc, doc } from 'firebase/firestore';
+import type { StripDay } from '../stripboard';
+import type { Scene } from '../scenes';
+import type { Element } from '../elements';
+import type { Location } from '../locations';
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  addDoc: jest.fn(),
+  getDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  getDocs: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const mockDoc = doc as jest.MockedFunction<typeof doc>;
+const mockUpdateDoc = updateDoc as jest.MockedFunction<typeof updateDoc>;
+
+const day = (id: string, date: string, sceneOrder: string[] = [], targetMins = 60): StripDay => ({
+  id,
+  date,
+  sceneOrder,
+  targetMins,
+  totalMins: 0,
+  updatedAt: null
+});
+
+const scene = (id: string, set: string, extra: Partial<ScheduleScene> = {}): ScheduleScene => ({
+  id,
+  heading: `INT. ${set} - DAY`,
+  locationType: 'INT',
+  timeOfDay: 'DAY',
+  durationMins: 20,
+  castIds: [],
+  set,
+  site: set,
+  ...extra
+});
+
+describe('Scheduler Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getSceneSet', () => {
+    it('should strip the INT/EXT prefix and time of day', () => {
+      expect(getSceneSet('INT. HOUSE - KITCHEN - NIGHT')).toBe('HOUSE - KITCHEN');
+      expect(getSceneSet('ext. roof - day')).toBe('ROOF');
+      expect(getSceneSet('INT./EXT. CAR')).toBe('CAR');
+    });
+  });
+
+  describe('buildScheduleScenes', () => {
+    it('should collect cast, sites and availability, skipping scenes cut from the script', () => {
+      const scenes = [
+        { id: 'sc1', heading: 'INT. HOUSE - KITCHEN - DAY', locationType: 'INT', timeOfDay: 'DAY', durationMins: 5, elementIds: ['el-anna'] },
+        { id: 'sc2', heading: 'EXT. PARK - NIGHT', locationType: 'EXT', timeOfDay: 'NIGHT', durationMins: 3, elementIds: [] },
+        { id: 'sc3', heading: 'INT. HALL - DAY', locationType: 'INT', timeOfDay: 'DAY', durationMins: 3, elementIds: [], deletedFromScript: true }
+      ] as unknown as Scene[];
+      const elements = [
+        { id: 'el-anna', type: 'character', name: 'ANNA', linkedSceneIds: [], customFields: { unavailableDates: ['2026-11-02'] } },
+        { id: 'el-ben', type: 'character', name: 'BEN', linkedSceneIds: ['sc2'], customFields: {} },
+        { id: 'el-cup', type: 'prop', name: 'Cup', linkedSceneIds: ['sc1'], customFields: {} }
+      ] as unknown as Element[];
+      const locations = [{ id: 'loc-1', name: 'House', address: '12 Elm St' }] as unknown as Location[];
+
+      const result = buildScheduleScenes(scenes, elements, locations);
+
+      expect(result.castUnavailable).toEqual({ 'el-anna': ['2026-11-02'] });
+      expect(result.scenes).toEqual([
+        expect.objectContaining({ id: 'sc1', castIds: ['el-anna'], set: 'HOUSE - KITCHEN', site: '12 ELM ST' }),
+        expect.objectContaining({ id: 'sc2', castIds: ['el-ben'], set: 'PARK', site: 'PARK' })
+      ]);
+    });
+  });
+
+  describe('autoSchedule', () => {
+    it('should keep sets together and batch each day', () => {
+      const scenes = [
+        scene('a1', 'OFFICE'),
+        scene('b1', 'STREET', { locationType: 'EXT', timeOfDay: 'NIGHT' }),
+        scene('a2', 'OFFICE'),
+        scene('b2', 'STREET', { locationType: 'EXT' }),
+        scene('a3', 'OFFICE')
+      ];
+
+      const proposal = autoSchedule([day('d1', '2026-11-01'), day('d2', '2026-11-02')], scenes);
+
+      expect(proposal.days.map(d => d.sceneOrder)).toEqual([['a1', 'a2', 'a3'], ['b2', 'b1']]);
+      expect(proposal.unscheduled).toEqual([]);
+      expect(proposal.after).toEqual({ locationChanges: 0, companyMoves: 0, castDays: 0 });
+    });
+
+    it('should respect cast availability, company moves and day targets', () => {
+      const scenes = [
+        scene('a1', 'OFFICE', { castIds: ['anna'] }),
+        scene('b1', 'STREET', { durationMins: 50 }),
+        scene('c1', 'PARK', { durationMins: 90 })
+      ];
+
+      const proposal = autoSchedule(
+        [day('d1', '2026-11-01', ['b1']), day('d2', '2026-11-02')],
+        scenes,
+        { castUnavailable: { anna: ['2026-11-02'] }, maxCompanyMoves: 0 }
+      );
+
+      expect(proposal.days.map(d => d.sceneOrder)).toEqual([['b1'], []]);
+      expect(proposal.unscheduled).toEqual([
+        { sceneId: 'c1', reason: 'capacity' },
+        { sceneId: 'a1', reason: 'cast' }
+      ]);
+    });
+
+    it('should add cast to days they already work', () => {
+      const scenes = [
+        scene('a1', 'OFFICE', { castIds: ['anna'] }),
+        scene('b1', 'STREET', { castIds: ['ben'] }),
+        scene('a2', 'PARK', { castIds: ['anna'], durationMins: 10 })
+      ];
+
+      const proposal = autoSchedule(
+        [day('d1', '2026-11-01', ['a1']), day('d2', '2026-11-02', ['b1'])],
+        scenes,
+        { maxCompanyMoves: 2 }
+      );
+
+      expect(proposal.days.map(d => d.sceneOrder)).toEqual([['a1', 'a2'], ['b1']]);
+      expect(proposal.after.castDays).toBe(2);
+    });
+  });
+
+  describe('diffSchedule and applySchedule', () => {
+    it('should list changed days and commit their scene order', async () => {
+      mockDoc.mockImplementation((...path: any[]) => path.join('/') as any);
+      mockUpdateDoc.mockResolvedValue(undefined);
+
+      const stripDays = [day('d1', '2026-11-01', ['b1', 'a1']), day('d2', '2026-11-02')];
+      const scenes = [scene('a1', 'OFFICE'), scene('b1', 'OFFICE', { locationType: 'EXT' }), scene('a2', 'OFFICE')];
+      const changes = diffSchedule(stripDays, autoSchedule(stripDays, scenes));
+
+      expect(changes).toEqual([{
+        dayId: 'd1',
+        date: '2026-11-01',
+        before: ['b1', 'a1'],
+        after: ['b1', 'a1', 'a2'],
+        added: ['a2'],
+        totalMins: 60,
+        reordered: false
+      }]);
+
+      await applySchedule('project-123', changes);
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-db/projects/project-123/stripDays/d1', {
+        sceneOrder: ['b1', 'a1', 'a2'],
+        updatedAt: 'mock-timestamp'
+      });
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-db/projects/project-123/stripDays/d1', {
+        totalMins: 60,
+        updatedAt: 'mock-timestamp'
+      });
+    });
+  });
+});
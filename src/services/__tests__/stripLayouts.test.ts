@@ -0,0 +1,115 @@
+// src/services/__tests__/stripLayouts.test.ts
+import {
+  DEFAULT_STRIP_LAYOUT,
+  DEFAULT_STRIP_PALETTE,
+  getStripColor,
+  getStripColorKey,
+  getStripFieldText,
+  normalizeStripLayout,
+  resolveStripPalette,
+  saveStripLayout,
+  saveStripPalette,
+  type StripLayout
+} from '../stripLayouts';
+import type { Scene } from '../scenes';
+import type { Element } from '../elements';
+import { doc, setDoc, updateDoc } from 'firebase/firestore';
+import { db } from '../../lib/firebase.client';
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const mockDoc = doc as jest.MockedFunction<typeof doc>;
+const mockSetDoc = setDoc as jest.MockedFunction<typeof setDoc>;
+const mockUpdateDoc = updateDoc as jest.MockedFunction<typeof updateDoc>;
+
+const scene = {
+  id: 'sc1',
+  number: 12,
+  numberLabel: '12A',
+  heading: 'EXT. HARBOUR - DOCKS - DUSK',
+  locationType: 'EXT',
+  timeOfDay: 'DUSK',
+  durationMins: 75,
+  pageEighths: 11,
+  elementIds: ['ben', 'cup', 'anna']
+} as Scene;
+
+describe('Strip Layouts Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDoc.mockReturnValue('mock-doc' as any);
+  });
+
+  describe('colors', () => {
+    it('should pick the color rule from INT/EXT and day/night', () => {
+      expect(getStripColorKey({ locationType: 'INT', timeOfDay: 'DAY' })).toBe('INT_DAY');
+      expect(getStripColorKey({ locationType: 'INT', timeOfDay: 'NIGHT' })).toBe('INT_NIGHT');
+      expect(getStripColorKey({ locationType: 'EXT', timeOfDay: 'MORNING' })).toBe('EXT_DAY');
+      expect(getStripColorKey(scene)).toBe('EXT_NIGHT');
+    });
+
+    it('should apply project overrides on top of the default palette', () => {
+      const palette = resolveStripPalette({ EXT_NIGHT: '#00ff00', UNKNOWN: '#000000' });
+
+      expect(palette).toEqual({ ...DEFAULT_STRIP_PALETTE, EXT_NIGHT: '#00ff00' });
+      expect(getStripColor(scene, palette)).toBe('#00ff00');
+    });
+
+    it('should save only the colors that differ from the defaults', async () => {
+      await saveStripPalette('project-1', { ...DEFAULT_STRIP_PALETTE, INT_DAY: '#eeeeee' });
+
+      expect(mockUpdateDoc).toHaveBeenCalledWith('mock-doc', {
+        'settings.stripPalette': { INT_DAY: '#eeeeee' },
+        updatedAt: 'mock-timestamp'
+      });
+    });
+  });
+
+  describe('layouts', () => {
+    it('should drop unknown and repeated fields and default missing settings', () => {
+      expect(normalizeStripLayout(null)).toEqual(DEFAULT_STRIP_LAYOUT);
+      expect(normalizeStripLayout({
+        fields: ['cast', 'bogus', 'sceneNumber', 'cast'] as StripLayout['fields'],
+        density: 'huge' as StripLayout['density']
+      })).toEqual({ fields: ['cast', 'sceneNumber'], density: 'comfortable' });
+    });
+
+    it('should render each strip field', () => {
+      const elements = [
+        { id: 'anna', name: 'ANNA', type: 'cast' },
+        { id: 'ben', name: 'BEN', type: 'cast' },
+        { id: 'cup', name: 'Cup', type: 'props' },
+        { id: 'cara', name: 'CARA', type: 'cast', linkedSceneIds: ['sc1'] },
+        { id: 'dev', name: 'DEV', type: 'cast', linkedSceneIds: ['sc2'] }
+      ] as Element[];
+      const castNumbers = new Map([['anna', 1], ['ben', 2], ['cara', 3], ['dev', 4]]);
+      const text = DEFAULT_STRIP_LAYOUT.fields.map(field => getStripFieldText(field, scene, elements, castNumbers));
+
+      expect(text).toEqual(['12A', 'EXT', 'HARBOUR - DOCKS', 'DUSK', '1 3/8 pgs', '1, 2, 3', '1h 15m']);
+      expect(getStripFieldText('pages', { ...scene, pageEighths: undefined }, elements, castNumbers)).toBe('');
+    });
+
+    it("should save a layout under the user's ID", async () => {
+      await saveStripLayout('project-1', 'user-1', { fields: ['sceneNumber', 'set'], density: 'compact' });
+
+      expect(mockDoc).toHaveBeenCalledWith(db, 'projects', 'project-1', 'stripLayouts', 'user-1');
+      expect(mockSetDoc).toHaveBeenCalledWith('mock-doc', {
+        fields: ['sceneNumber', 'set'],
+        density: 'compact',
+        updatedAt: 'mock-timestamp'
+      });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// src/services/__tests__/stripboard.test.ts
+import {
+  calculateTotalDuration,
+  calculateTotalEighths,
+  getBoardDays,
+  getDaySceneIds,
+  insertBanner,
+  removeBanner,
+  duplicateStripBoard,
+  compareBoards,
+  type StripDay
+} from '../stripboard';
+import { addDoc, updateDoc } from 'firebase/firestore';
+
+// Mock Firebase
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  addDoc: jest.fn(),
+  getDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  getDocs: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => 'mock-timestamp')
+}));
+
+jest.mock('../../lib/firebase.client', () => ({
+  db: 'mock-db'
+}));
+
+const mockAddDoc = addDoc as jest.MockedFunction<typeof addDoc>;
+const mockUpdateDoc = updateDoc as jest.MockedFunction<typeof updateDoc>;
+
+const day = (id: string, date: string, sceneOrder: string[], extra: Partial<StripDay> = {}): StripDay => ({
+  id,
+  date,
+  sceneOrder,
+  targetMins: 480,
+  totalMins: 0,
+  updatedAt: null,
+  ...extra
+});
+
+const durations = new Map([['sc1', 60], ['sc2', 30], ['sc3', 45]]);
+
+describe('Stripboard Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('banner strips', () => {
+    const stripDay = day('d1', '2026-11-01', ['sc1', 'banner_1', 'sc2'], {
+      banners: { banner_1: { type: 'company_move', label: 'To the docks' } }
+    });
+
+    it('should leave banners out of scene lists and duration totals', () => {
+      expect(getDaySceneIds(stripDay)).toEqual(['sc1', 'sc2']);
+      expect(calculateTotalDuration(stripDay.sceneOrder, durations)).toBe(90);
+      expect(calculateTotalEighths(stripDay.sceneOrder, new Map([['sc1', 3], ['sc2', 12]]))).toBe(15);
+    });
+
+    it('should insert and remove banners with their type and label', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(42);
+
+      const bannerId = await insertBanner('project-1', stripDay, { type: 'meal', label: 'MEAL' }, 1);
+      now.mockRestore();
+
+      expect(bannerId).toBe('banner_42');
+      expect(mockUpdateDoc).toHaveBeenLastCalledWith(undefined, {
+        sceneOrder: ['sc1', 'banner_42', 'banner_1', 'sc2'],
+        banners: {
+          banner_1: { type: 'company_move', label: 'To the docks' },
+          banner_42: { type: 'meal', label: 'MEAL' }
+        },
+        updatedAt: 'mock-timestamp'
+      });
+
+      await removeBanner('project-1', stripDay, 'banner_1');
+
+      expect(mockUpdateDoc).toHaveBeenLastCalledWith(undefined, {
+        sceneOrder: ['sc1', 'sc2'],
+        banners: {},
+        updatedAt: 'mock-timestamp'
+      });
+    });
+  });
+
+  describe('boards', () => {
+    const days = [
+      day('d1', '2026-11-01', ['sc1']),
+      day('d2', '2026-11-02', ['sc2', 'sc3'], { boardId: 'main' }),
+      day('alt1', '2026-11-01', ['sc2'], { boardId: 'alt' }),
+      day('alt2', '2026-11-02', [], { boardId: 'alt', type: 'off', label: 'HOLIDAY' }),
+      day('alt3', '2026-11-03', ['sc1', 'sc3'], { boardId: 'alt' })
+    ];
+
+    it('should put days without a board on the main board', () => {
+      expect(getBoardDays(days, 'main').map(d => d.id)).toEqual(['d1', 'd2']);
+      expect(getBoardDays(days, 'alt').map(d => d.id)).toEqual(['alt1', 'alt2', 'alt3']);
+    });
+
+    it('should duplicate a board with all its days', async () => {
+      mockAddDoc.mockResolvedValue({ id: 'copy' } as any);
+
+      const boardId = await duplicateStripBoard('project-1', 'alt', { name: 'Plan B', unit: '2nd Unit' }, days);
+
+      expect(boardId).toBe('copy');
+      expect(mockAddDoc).toHaveBeenCalledTimes(4);
+      expect(mockAddDoc).toHaveBeenNthCalledWith(1, undefined, expect.objectContaining({ name: 'Plan B', unit: '2nd Unit' }));
+      expect(mockAddDoc).toHaveBeenNthCalledWith(3, undefined, expect.objectContaining({
+        date: '2026-11-02',
+        boardId: 'copy',
+        type: 'off',
+        label: 'HOLIDAY'
+      }));
+    });
+
+    it('should compare the dates scenes are shot on two boards', () => {
+      const comparison = compareBoards(getBoardDays(days, 'main'), getBoardDays(days, 'alt'), durations);
+
+      expect(comparison.scenes).toEqual([
+        { sceneId: 'sc1', a: '2026-11-01', b: '2026-11-03' },
+        { sceneId: 'sc2', a: '2026-11-02', b: '2026-11-01' },
+        { sceneId: 'sc3', a: '2026-11-02', b: '2026-11-03' }
+      ]);
+      expect(comparison.summary).toEqual({
+        a: { shootDays: 2, offDays: 0, totalMins: 135 },
+        b: { shootDays: 2, offDays: 1, totalMins: 135 }
+      });
+    });
+  });
+});
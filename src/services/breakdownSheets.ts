@@ -0,0 +1,297 @@
+// src/services/breakdownSheets.ts
+import { writePDF, pdfText, pdfBlob, wrapWords } from '../lib/pdf';
+import { escapeHtml } from '../lib/html';
+import { isCastElement, type Element } from './elements';
+import { formatPageEighths, formatSceneNumber, getSceneEighths, sceneNumberSortKey, type Scene } from './scenes';
+import { getSceneSet, isNightTime } from './scheduler';
+
+export interface BreakdownCategory {
+  key: string;
+  label: string;
+  types: string[]; // element types (and categories) filed under it
+  color: string; // CSS color tags in this category are underlined with in the script
+}
+
+export interface BreakdownSheetItem {
+  elementId: string;
+  name: string;
+  castNumber?: number;
+}
+
+export interface BreakdownSheetGroup {
+  key: string;
+  label: string;
+  items: BreakdownSheetItem[];
+}
+
+export interface BreakdownSheet {
+  sceneId: string;
+  sceneNumber: string;
+  heading: string;
+  set: string;
+  intExt: string;
+  dayNight: 'DAY' | 'NIGHT';
+  timeOfDay: string;
+  pages: string; // e.g. "1 3/8", empty if the scene hasn't been measured
+  synopsis: string;
+  groups: BreakdownSheetGroup[]; // categories with elements, in sheet order
+}
+
+// Sections of a breakdown sheet, in the traditional order
+export const BREAKDOWN_SHEET_CATEGORIES: BreakdownCategory[] = [
+  { key: 'cast', label: 'Cast Members', types: ['character', 'cast', 'cast_members'], color: '#dc2626' },
+  { key: 'extras', label: 'Extras / Atmosphere', types: ['extra', 'extras', 'background', 'additional_labor'], color: '#16a34a' },
+  { key: 'stunts', label: 'Stunts', types: ['stunt', 'stunts'], color: '#ea580c' },
+  { key: 'special_effects', label: 'Special Effects', types: ['special_effect', 'special_effects', 'sfx', 'mechanical_fx'], color: '#2563eb' },
+  { key: 'props', label: 'Props', types: ['prop', 'props'], color: '#9333ea' },
+  { key: 'vehicles', label: 'Vehicles', types: ['vehicle', 'vehicles'], color: '#db2777' },
+  { key: 'animals', label: 'Animals', types: ['animal', 'animals', 'livestock', 'animal_handler'], color: '#f472b6' },
+  { key: 'wardrobe', label: 'Wardrobe', types: ['costume', 'costumes', 'wardrobe'], color: '#0891b2' },
+  { key: 'makeup', label: 'Makeup / Hair', types: ['makeup', 'hair'], color: '#ca8a04' },
+  { key: 'set_dressing', label: 'Set Dressing', types: ['location', 'locations', 'set_dressing'], color: '#92400e' },
+  { key: 'greenery', label: 'Greenery', types: ['greenery'], color: '#65a30d' },
+  { key: 'special_equipment', label: 'Special Equipment', types: ['equipment', 'special_equipment'], color: '#475569' },
+  { key: 'sound', label: 'Sound / Music', types: ['sound', 'music'], color: '#a16207' },
+  { key: 'visual_effects', label: 'Visual Effects', types: ['visual_fx', 'visual_effects', 'optical_fx', 'vfx'], color: '#0d9488' },
+  { key: 'other', label: 'Other', types: [], color: '#6b7280' }
+];
+
+const normalizeKey = (value = '') => value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const OTHER_CATEGORY = BREAKDOWN_SHEET_CATEGORIES[BREAKDOWN_SHEET_CATEGORIES.length - 1];
+
+const findCategory = (element: Pick<Element, 'type' | 'category'>): BreakdownCategory => {
+  for (const value of [element.type, element.category]) {
+    const key = normalizeKey(value);
+    const match = BREAKDOWN_SHEET_CATEGORIES.find(category =>
+      category.types.includes(key) || normalizeKey(category.label) === key);
+    if (match) return match;
+  }
+  return OTHER_CATEGORY;
+};
+
+/**
+ * Breakdown sheet section an element is filed under, by its type and then its category
+ * @param element - The element
+ * @returns Section key, 'other' when neither is recognised
+ */
+export function getBreakdownCategory(element: Pick<Element, 'type' | 'category'>): string {
+  return findCategory(element).key;
+}
+
+/**
+ * Color an element's tags are underlined with in the script
+ * @param element - The element
+ * @returns CSS color of its breakdown section
+ */
+export function getBreakdownColor(element: Pick<Element, 'type' | 'category'>): string {
+  return findCategory(element).color;
+}
+
+/**
+ * Builds the breakdown sheet for a scene: its header information and the
+ * elements linked to it, grouped by section. Cast are listed by cast number.
+ * @param scene - The scene
+ * @param elements - Project elements
+ * @param castNumbers - Cast number by element ID, e.g. from the Day Out of Days
+ * @returns Breakdown sheet
+ */
+export function buildBreakdownSheet(
+  scene: Scene,
+  elements: Element[],
+  castNumbers: Map<string, number> = new Map()
+): BreakdownSheet {
+  const linked = elements.filter(element =>
+    element.linkedSceneIds?.includes(scene.id) || scene.elementIds?.includes(element.id));
+
+  const groups = BREAKDOWN_SHEET_CATEGORIES
+    .map(category => ({
+      key: category.key,
+      label: category.label,
+      items: linked
+        .filter(element => getBreakdownCategory(element) === category.key)
+        .map(element => ({
+          elementId: element.id,
+          name: element.name,
+          ...(isCastElement(element) && castNumbers.has(element.id) && { castNumber: castNumbers.get(element.id) })
+        }))
+        .sort((a, b) => (a.castNumber ?? Infinity) - (b.castNumber ?? Infinity) || a.name.localeCompare(b.name))
+    }))
+    .filter(group => group.items.length > 0);
+
+  const eighths = getSceneEighths(scene);
+  return {
+    sceneId: scene.id,
+    sceneNumber: formatSceneNumber(scene),
+    heading: scene.heading,
+    set: getSceneSet(scene.heading),
+    intExt: scene.locationType,
+    dayNight: isNightTime(scene.timeOfDay) ? 'NIGHT' : 'DAY',
+    timeOfDay: scene.timeOfDay,
+    pages: eighths !== undefined ? formatPageEighths(eighths) : '',
+    synopsis: scene.synopsis || '',
+    groups
+  };
+}
+
+/**
+ * Builds the breakdown sheets for a whole script, in scene order. Scenes cut
+ * from the script are left out.
+ * @param scenes - Project scenes
+ * @param elements - Project elements
+ * @param castNumbers - Cast number by element ID
+ * @returns One breakdown sheet per scene
+ */
+export function buildBreakdownSheets(
+  scenes: Scene[],
+  elements: Element[],
+  castNumbers: Map<string, number> = new Map()
+): BreakdownSheet[] {
+  const sortKey = (scene: Scene) => {
+    const key = scene.numberLabel ? sceneNumberSortKey(scene.numberLabel) : NaN;
+    return Number.isNaN(key) ? scene.number : key;
+  };
+
+  return scenes
+    .filter(scene => !scene.deletedFromScript)
+    .sort((a, b) => sortKey(a) - sortKey(b))
+    .map(scene => buildBreakdownSheet(scene, elements, castNumbers));
+}
+
+const itemLabel = (item: BreakdownSheetItem) => (item.castNumber !== undefined ? `${item.castNumber}. ${item.name}` : item.name);
+
+const HTML_STYLES = `
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #111; margin: 0; }
+  .sheet { padding: 24px; page-break-after: always; }
+  .sheet:last-child { page-break-after: auto; }
+  h1 { font-size: 16px; text-align: center; margin: 0 0 12px; letter-spacing: 0.1em; }
+  table.header { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+  table.header td { border: 1px solid #444; padding: 4px 6px; vertical-align: top; }
+  table.header .label { display: block; font-size: 9px; text-transform: uppercase; color: #555; }
+  .groups { display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 8px; }
+  .group { border: 1px solid #444; padding: 6px; break-inside: avoid; }
+  .group h2 { font-size: 10px; text-transform: uppercase; margin: 0 0 4px; }
+  .group ul { margin: 0; padding-left: 16px; }
+  .empty { color: #777; font-style: italic; }
+`;
+
+/**
+ * Renders breakdown sheets as a printable HTML document, one sheet per page
+ * @param sheets - Breakdown sheets
+ * @param title - Production title for the sheet headers
+ * @returns HTML document
+ */
+export function renderBreakdownSheetsHTML(sheets: BreakdownSheet[], title = ''): string {
+  const cell = (label: string, value: string, colspan = 1) =>
+    `<td${colspan > 1 ? ` colspan="${colspan}"` : ''}><span class="label">${label}</span>${escapeHtml(value) || '&nbsp;'}</td>`;
+
+  const body = sheets.map(sheet => `
+  <section class="sheet">
+    <h1>${escapeHtml((title ? `${title} - Breakdown Sheet` : 'Breakdown Sheet').toUpperCase())}</h1>
+    <table class="header">
+      <tr>${cell('Scene', sheet.sceneNumber)}${cell('Int/Ext', sheet.intExt)}${cell('Day/Night', sheet.dayNight)}${cell('Pages', sheet.pages)}</tr>
+      <tr>${cell('Set', sheet.set, 2)}${cell('Time of day', sheet.timeOfDay, 2)}</tr>
+      <tr>${cell('Synopsis', sheet.synopsis, 4)}</tr>
+    </table>
+    <div class="groups">
+${sheet.groups.length === 0 ? '      <p class="empty">No elements tagged in this scene.</p>' : sheet.groups.map(group => `      <div class="group">
+        <h2>${escapeHtml(group.label)}</h2>
+        <ul>${group.items.map(item => `<li>${escapeHtml(itemLabel(item))}</li>`).join('')}</ul>
+      </div>`).join('\n')}
+    </div>
+  </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title ? `${title} - Breakdown Sheets` : 'Breakdown Sheets')}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>${body}
+</body>
+</html>
+`;
+}
+
+// Portrait letter, in points
+const PDF_PAGE = { width: 612, height: 792, margin: 36 };
+const PDF_FONT_SIZE = 9;
+const PDF_ROW_HEIGHT = 12;
+const PDF_CHAR_WIDTH = PDF_FONT_SIZE * 0.6; // Courier
+const PDF_COLUMNS = 2;
+
+/**
+ * Renders breakdown sheets as a PDF, one sheet per page. Sections are laid out
+ * in two columns; a sheet too long for one page continues on the next.
+ * @param sheets - Breakdown sheets
+ * @param title - Production title for the sheet headers
+ * @returns application/pdf blob
+ */
+export function createBreakdownSheetsPDF(sheets: BreakdownSheet[], title = ''): Blob {
+  const heading = (title ? `${title} - Breakdown Sheet` : 'Breakdown Sheet').toUpperCase();
+  const usableChars = Math.floor((PDF_PAGE.width - 2 * PDF_PAGE.margin) / PDF_CHAR_WIDTH);
+  const columnChars = Math.floor(usableChars / PDF_COLUMNS) - 2;
+  const rowsPerPage = Math.floor((PDF_PAGE.height - 2 * PDF_PAGE.margin) / PDF_ROW_HEIGHT);
+
+  const text = (column: number, row: number, value: string) => {
+    const x = PDF_PAGE.margin + column * PDF_CHAR_WIDTH;
+    const y = PDF_PAGE.height - PDF_PAGE.margin - row * PDF_ROW_HEIGHT - PDF_FONT_SIZE;
+    return pdfText(x, y, value, PDF_FONT_SIZE);
+  };
+
+  const contents: string[] = [];
+  (sheets.length > 0 ? sheets : [null]).forEach((sheet) => {
+    if (!sheet) {
+      contents.push(text(0, 0, heading));
+      return;
+    }
+
+    const header = [
+      heading,
+      '',
+      `SCENE ${sheet.sceneNumber}   ${sheet.intExt}   ${sheet.dayNight}   PAGES ${sheet.pages || '-'}`,
+      `SET: ${sheet.set}`,
+      ...wrapWords(`SYNOPSIS: ${sheet.synopsis}`, usableChars),
+      ''
+    ];
+    const entries = sheet.groups.length === 0
+      ? ['No elements tagged in this scene.']
+      : sheet.groups.flatMap(group => [
+        group.label.toUpperCase(),
+        ...group.items.flatMap(item => wrapWords(itemLabel(item), columnChars - 2).map((row: string, i: number) => `${i === 0 ? '- ' : '  '}${row}`)),
+        ''
+      ]);
+
+    // Continuation pages repeat only the title and the scene line
+    const continuedHeader = [`${heading} (CONT'D)`, '', header[2], ''];
+    let commands: string[] = [];
+    let columnTop = 0;
+    let column = 0;
+    let row = 0;
+    const startPage = (lines: string[]) => {
+      commands = lines.map((line, i) => text(0, i, line));
+      columnTop = lines.length;
+      column = 0;
+      row = columnTop;
+    };
+
+    startPage(header);
+    entries.forEach((entry) => {
+      if (row >= rowsPerPage) {
+        if (column < PDF_COLUMNS - 1) {
+          column++;
+          row = columnTop;
+        } else {
+          contents.push(commands.join('\n'));
+          startPage(continuedHeader);
+        }
+      }
+      if (entry) commands.push(text(column * (columnChars + 2), row, entry));
+      row++;
+    });
+    contents.push(commands.join('\n'));
+  });
+
+  return pdfBlob(writePDF(contents, heading, PDF_PAGE));
+}
@@ -0,0 +1,430 @@
+// src/services/callsheetDistribution.ts
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  onSnapshot,
+  serverTimestamp,
+  Unsubscribe
+} from 'firebase/firestore';
+import { db } from '../lib/firebase.client';
+import { sendMail, type MailMessage, type MailTransport } from '../lib/mail';
+import { escapeHtml } from '../lib/html';
+import {
+  getCallSheetWithDetails,
+  generateCallSheetContent,
+  type CallSheet,
+  type CallSheetWithDetails
+} from './callsheets';
+import type { Contact } from './contacts';
+import { listElements, type Element } from './elements';
+
+// A delivery moves pending → delivered → opened → confirmed, or to failed.
+// Opening is recorded when the recipient follows their confirmation link, through
+// the /api/callsheet-confirm endpoint, which checks the link's token.
+export type DeliveryStatus = 'pending' | 'delivered' | 'failed' | 'opened' | 'confirmed';
+
+/**
+ * A recipient's own call on a call sheet
+ */
+export interface RecipientCall {
+  time: string; // "HH:MM"
+  label: string; // cast number and character, department, or general crew call
+  detail?: string;
+}
+
+/**
+ * Delivery of a call sheet to one contact, stored under the call sheet by contact ID
+ */
+export interface CallSheetDelivery {
+  id: string; // contact ID
+  contactId: string;
+  name: string;
+  email: string;
+  status: DeliveryStatus;
+  call?: RecipientCall;
+  content?: string; // the call sheet as sent, shown on the confirmation page
+  token: string; // secret in the recipient's confirmation link
+  sendCount: number;
+  messageId?: string;
+  error?: string;
+  deliveredAt?: any; // serverTimestamp
+  openedAt?: any; // serverTimestamp
+  confirmedAt?: any; // serverTimestamp
+  updatedAt: any; // serverTimestamp
+}
+
+export interface PublishOptions {
+  contactIds?: string[]; // only these recipients, e.g. for a resend
+  transport?: MailTransport;
+  baseUrl?: string; // app URL confirmation links point at, defaults to the current origin
+}
+
+/**
+ * What a recipient's confirmation page shows them
+ */
+export interface RecipientDeliveryView {
+  name: string;
+  status: DeliveryStatus;
+  call?: RecipientCall;
+  content?: string;
+}
+
+export interface PublishResult {
+  delivered: string[]; // contact IDs
+  failed: { contactId: string; error: string }[];
+  skipped: string[]; // recipients without an email address
+}
+
+// Contact roles whose department isn't named after the role
+const ROLE_DEPARTMENTS: Record<string, string> = {
+  director: 'Production',
+  producer: 'Production',
+  ad: 'Production',
+  '1st ad': 'Production',
+  '2nd ad': 'Production',
+  'production assistant': 'Production',
+  dp: 'Camera',
+  'camera operator': 'Camera',
+  gaffer: 'Electric',
+  'key grip': 'Grip',
+  makeup: 'Hair & Makeup',
+  hair: 'Hair & Makeup',
+  'location manager': 'Locations',
+  driver: 'Transportation'
+};
+
+const deliveriesCollection = (projectId: string, callSheetId: string) =>
+  collection(db, 'projects', projectId, 'callsheets', callSheetId, 'deliveries');
+
+/**
+ * Finds a contact's call on a call sheet: their cast call when they play a
+ * cast member on the day, otherwise their department's call, otherwise the
+ * general crew call
+ * @param callSheet - The call sheet
+ * @param contact - The recipient
+ * @param elements - Project elements, to find the cast members the contact plays
+ * @returns The recipient's call, or null if the call sheet has no call times
+ */
+export function getRecipientCall(
+  callSheet: Pick<CallSheet, 'crewCall' | 'castCalls' | 'departmentCalls'>,
+  contact: Pick<Contact, 'id' | 'name' | 'role'>,
+  elements: Element[] = []
+): RecipientCall | null {
+  const playedElementIds = new Set(elements.filter(element => element.linkedActorId === contact.id).map(element => element.id));
+  const castCall = callSheet.castCalls?.find(call =>
+    playedElementIds.has(call.elementId) || (!!call.actorName && call.actorName === contact.name));
+  if (castCall) {
+    return {
+      time: castCall.onSet,
+      label: `${castCall.castNumber}. ${castCall.character}`,
+      detail: `Pickup ${castCall.pickup || '-'}, Makeup ${castCall.makeup || '-'}`
+    };
+  }
+
+  const role = contact.role?.trim().toLowerCase();
+  const department = role && (ROLE_DEPARTMENTS[role] || role).toLowerCase();
+  const departmentCall = department
+    ? callSheet.departmentCalls?.find(call => call.department.trim().toLowerCase() === department)
+    : undefined;
+  if (departmentCall) {
+    return {
+      time: departmentCall.callTime,
+      label: departmentCall.department,
+      ...(departmentCall.notes && { detail: departmentCall.notes })
+    };
+  }
+
+  return callSheet.crewCall ? { time: callSheet.crewCall, label: 'General crew call' } : null;
+}
+
+/**
+ * Link a recipient follows to view and confirm their call sheet
+ * @param baseUrl - App URL, e.g. "https://app.example.com"
+ * @param projectId - The project ID
+ * @param callSheetId - The call sheet ID
+ * @param delivery - The recipient's delivery
+ * @returns Confirmation URL
+ */
+export function buildConfirmationUrl(
+  baseUrl: string,
+  projectId: string,
+  callSheetId: string,
+  delivery: Pick<CallSheetDelivery, 'contactId' | 'token'>
+): string {
+  const params = new URLSearchParams({
+    project: projectId,
+    sheet: callSheetId,
+    recipient: delivery.contactId,
+    token: delivery.token
+  });
+  return `${baseUrl.replace(/\/$/, '')}/callsheet-confirm?${params}`;
+}
+
+/**
+ * Renders a recipient's personalized call sheet email, with their own call
+ * at the top and highlighted in the sheet
+ * @param callSheet - The call sheet
+ * @param details - The call sheet with populated details
+ * @param contact - The recipient
+ * @param options - The recipient's call and confirmation link
+ * @returns Message ready to send
+ */
+export function renderRecipientCallSheet(
+  callSheet: CallSheet,
+  details: CallSheetWithDetails,
+  contact: Pick<Contact, 'name' | 'email'>,
+  options: { call?: RecipientCall | null; confirmUrl?: string } = {}
+): MailMessage {
+  const { call, confirmUrl } = options;
+  const content = generateCallSheetContent(callSheet, details);
+  const callLine = call ? `YOUR CALL: ${call.time} - ${call.label}${call.detail ? ` (${call.detail})` : ''}` : '';
+
+  const text = [
+    `Hi ${contact.name},`,
+    '',
+    ...(callLine ? [callLine, ''] : []),
+    ...(confirmUrl ? [`Please confirm you've received this call sheet: ${confirmUrl}`, ''] : []),
+    content
+  ].join('\n');
+
+  // The recipient's own line in the cast or department calls
+  const highlighted = content
+    .split('\n')
+    .map(line => {
+      const escaped = escapeHtml(line);
+      return call && call.label !== 'General crew call' && line.startsWith(call.label)
+        ? `<mark style="background:#fde047">${escaped}</mark>`
+        : escaped;
+    })
+    .join('\n');
+
+  const html = [
+    `<p>Hi ${escapeHtml(contact.name)},</p>`,
+    ...(call ? [
+      '<div style="background:#fef9c3;border:1px solid #facc15;padding:12px;margin:12px 0;font-size:18px">',
+      `<strong>Your call: ${escapeHtml(call.time)}</strong> &middot; ${escapeHtml(call.label)}`,
+      ...(call.detail ? [`<div style="font-size:14px">${escapeHtml(call.detail)}</div>`] : []),
+      '</div>'
+    ] : []),
+    ...(confirmUrl ? [`<p><a href="${escapeHtml(confirmUrl)}">Confirm you've received this call sheet</a></p>`] : []),
+    `<pre style="font-family:Menlo,Consolas,monospace;font-size:13px">${highlighted}</pre>`
+  ].join('\n');
+
+  return {
+    to: contact.email || '',
+    toName: contact.name,
+    subject: `Call Sheet: ${[callSheet.unitName, callSheet.date].filter(Boolean).join(' - ')}`,
+    text,
+    html
+  };
+}
+
+/**
+ * Lists the deliveries of a call sheet
+ * @param projectId - The project ID
+ * @param callSheetId - The call sheet ID
+ * @returns Promise with the deliveries
+ */
+export async function listDeliveries(projectId: string, callSheetId: string): Promise<CallSheetDelivery[]> {
+  const querySnapshot = await getDocs(deliveriesCollection(projectId, callSheetId));
+  return querySnapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  })) as CallSheetDelivery[];
+}
+
+/**
+ * Subscribes to real-time updates for the deliveries of a call sheet
+ * @param projectId - The project ID
+ * @param callSheetId - The call sheet ID
+ * @param callback - Function called when deliveries change
+ * @returns Unsubscribe function
+ */
+export function subscribeDeliveries(
+  projectId: string,
+  callSheetId: string,
+  callback: (deliveries: CallSheetDelivery[]) => void
+): Unsubscribe {
+  return onSnapshot(deliveriesCollection(projectId, callSheetId), (querySnapshot) => {
+    const deliveries = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    })) as CallSheetDelivery[];
+    callback(deliveries);
+  });
+}
+
+/**
+ * Publishes a call sheet: sends each recipient their personalized sheet and
+ * records the delivery. Sending again keeps the recipient's confirmation link
+ * but asks them to confirm again.
+ * @param projectId - The project ID
+ * @param callSheetId - The call sheet ID
+ * @param options - Recipients to limit to, the mail transport and the app URL for links
+ * @returns Promise with the delivered, failed and skipped recipients
+ */
+export async function publishCallSheet(
+  projectId: string,
+  callSheetId: string,
+  options: PublishOptions = {}
+): Promise<PublishResult> {
+  const details = await getCallSheetWithDetails(projectId, callSheetId);
+  if (!details) {
+    throw new Error('Call sheet not found');
+  }
+
+  const [elements, existing] = await Promise.all([
+    listElements(projectId),
+    listDeliveries(projectId, callSheetId)
+  ]);
+  const existingByContact = new Map(existing.map(delivery => [delivery.contactId, delivery]));
+  const baseUrl = options.baseUrl ?? (typeof window !== 'undefined' ? window.location.origin : '');
+  const recipients = (details.recipientContacts || [])
+    .filter(contact => !options.contactIds || options.contactIds.includes(contact.id));
+  const content = generateCallSheetContent(details, details);
+
+  const result: PublishResult = { delivered: [], failed: [], skipped: [] };
+
+  for (const contact of recipients) {
+    if (!contact.email) {
+      result.skipped.push(contact.id);
+      continue;
+    }
+
+    const previous = existingByContact.get(contact.id);
+    const token = previous?.token || crypto.randomUUID();
+    const call = getRecipientCall(details, contact, elements);
+    const deliveryRef = doc(deliveriesCollection(projectId, callSheetId), contact.id);
+    const delivery = {
+      contactId: contact.id,
+      name: contact.name,
+      email: contact.email,
+      token,
+      sendCount: (previous?.sendCount || 0) + 1,
+      ...(call && { call }),
+      updatedAt: serverTimestamp()
+    };
+
+    try {
+      const message = renderRecipientCallSheet(details, details, contact, {
+        call,
+        confirmUrl: baseUrl ? buildConfirmationUrl(baseUrl, projectId, callSheetId, { contactId: contact.id, token }) : undefined
+      });
+      const { messageId } = await sendMail(
+        { ...message, callSheetRecipient: { projectId, callSheetId, contactId: contact.id } },
+        options.transport
+      );
+
+      await setDoc(deliveryRef, {
+        ...delivery,
+        status: 'delivered',
+        content,
+        ...(messageId && { messageId }),
+        error: null,
+        deliveredAt: serverTimestamp(),
+        openedAt: null,
+        confirmedAt: null
+      }, { merge: true });
+      result.delivered.push(contact.id);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      await setDoc(deliveryRef, { ...delivery, status: 'failed', error: message }, { merge: true });
+      result.failed.push({ contactId: contact.id, error: message });
+    }
+  }
+
+  if (result.delivered.length > 0) {
+    await updateDoc(doc(db, 'projects', projectId, 'callsheets', callSheetId), {
+      publishedAt: serverTimestamp()
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Sends a call sheet to one recipient again
+ * @param projectId - The project ID
+ * @param callSheetId - The call sheet ID
+ * @param contactId - The recipient's contact ID
+ * @param options - Mail transport and app URL for links
+ * @returns Promise with the publish result
+ */
+export async function resendCallSheet(
+  projectId: string,
+  callSheetId: string,
+  contactId: string,
+  options: Omit<PublishOptions, 'contactIds'> = {}
+): Promise<PublishResult> {
+  return publishCallSheet(projectId, callSheetId, { ...options, contactIds: [contactId] });
+}
+
+const CONFIRM_API_URL = import.meta.env.VITE_CALLSHEET_CONFIRM_API_URL || 'http://localhost:3001/api/callsheet-confirm';
+
+async function updateDeliveryByToken(
+  action: 'open' | 'confirm',
+  projectId: string,
+  callSheetId: string,
+  contactId: string,
+  token: string
+): Promise<RecipientDeliveryView> {
+  const response = await fetch(CONFIRM_API_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ projectId, callSheetId, contactId, token, action })
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Confirmation request failed: ${response.status}`);
+  }
+  return body.delivery;
+}
+
+/**
+ * Records that a recipient opened their call sheet
+ * @param projectId - The project ID
+ * @param callSheetId - The call sheet ID
+ * @param contactId - The recipient's contact ID
+ * @param token - Token from the recipient's confirmation link
+ * @returns Promise with the recipient's view of the delivery
+ */
+export async function markDeliveryOpened(
+  projectId: string,
+  callSheetId: string,
+  contactId: string,
+  token: string
+): Promise<RecipientDeliveryView> {
+  return updateDeliveryByToken('open', projectId, callSheetId, contactId, token);
+}
+
+/**
+ * Records that a recipient confirmed their call
+ * @param projectId - The project ID
+ * @param callSheetId - The call sheet ID
+ * @param contactId - The recipient's contact ID
+ * @param token - Token from the recipient's confirmation link
+ * @returns Promise with the recipient's view of the delivery
+ */
+export async function confirmDelivery(
+  projectId: string,
+  callSheetId: string,
+  contactId: string,
+  token: string
+): Promise<RecipientDeliveryView> {
+  return updateDeliveryByToken('confirm', projectId, callSheetId, contactId, token);
+}
+
+/**
+ * Deliveries still waiting on the recipient's confirmation
+ * @param deliveries - Deliveries of a call sheet
+ * @returns Unconfirmed deliveries, failed ones first
+ */
+export function getUnconfirmedDeliveries(deliveries: CallSheetDelivery[]): CallSheetDelivery[] {
+  const order: Record<DeliveryStatus, number> = { failed: 0, pending: 1, delivered: 2, opened: 3, confirmed: 4 };
+  return deliveries
+    .filter(delivery => delivery.status !== 'confirmed')
+    .sort((a, b) => order[a.status] - order[b.status] || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,574 @@
+// Call sheet templates
+// Designed call sheets rendered client-side from CallSheetWithDetails, as a
+// printable HTML document or a PDF. A template picks the header style, type
+// size, section order and where the second page starts; the logo and colors
+// come from the project's branding settings.
+
+import { writePDF, pdfText, pdfBlob, wrapWords } from '../lib/pdf';
+import { escapeHtml } from '../lib/html';
+import type { CallSheetWithDetails, CallSheetScene } from './callsheets';
+import type { ProjectBranding } from './projects';
+import type { Location } from './locations';
+import { getBoardDays, isOffDay, DEFAULT_BOARD_ID, type StripDay } from './stripboard';
+
+export type CallSheetSectionId =
+  | 'schedule'
+  | 'cast'
+  | 'departments'
+  | 'meals'
+  | 'location'
+  | 'hospitals'
+  | 'safety'
+  | 'advance'
+  | 'notes';
+
+export interface CallSheetTemplate {
+  id: string;
+  name: string;
+  description: string;
+  header: 'grid' | 'banner'; // logo beside a header grid, or a colored title banner
+  compact: boolean; // smaller type to fit one page
+  sections: CallSheetSectionId[];
+  pageBreakBefore?: CallSheetSectionId; // first section of the second page
+}
+
+export const CALL_SHEET_TEMPLATES: CallSheetTemplate[] = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Two pages: the shooting day on the front, crew calls and logistics on the back',
+    header: 'grid',
+    compact: false,
+    sections: ['schedule', 'cast', 'meals', 'departments', 'location', 'hospitals', 'safety', 'advance', 'notes'],
+    pageBreakBefore: 'departments'
+  },
+  {
+    id: 'compact',
+    name: 'Compact',
+    description: 'Everything on one page in smaller type',
+    header: 'grid',
+    compact: true,
+    sections: ['schedule', 'cast', 'departments', 'meals', 'location', 'hospitals', 'safety', 'advance', 'notes']
+  },
+  {
+    id: 'banner',
+    name: 'Banner',
+    description: 'One page under a title banner in the production color',
+    header: 'banner',
+    compact: false,
+    sections: ['schedule', 'cast', 'departments', 'meals', 'safety', 'location', 'hospitals', 'advance', 'notes']
+  }
+];
+
+export const DEFAULT_CALL_SHEET_TEMPLATE = 'classic';
+
+export const DEFAULT_BRANDING_COLORS = {
+  primaryColor: '#1f2937',
+  accentColor: '#2563eb'
+};
+
+export interface CallSheetRenderOptions {
+  templateId?: string;
+  branding?: ProjectBranding;
+  title?: string; // production title when the branding has none, e.g. the project name
+  dayNumber?: number;
+  totalDays?: number;
+  mapImageUrl?: string; // map thumbnail, defaults to a static map of the location's coordinates
+}
+
+/**
+ * An image for the PDF, as returned by loadPDFImage
+ */
+export interface CallSheetPDFImage {
+  data: string; // JPEG file, one character per byte
+  width: number;
+  height: number;
+}
+
+/**
+ * Looks up a template, falling back to the default
+ * @param templateId - Template ID
+ * @returns The template
+ */
+export function getCallSheetTemplate(templateId?: string): CallSheetTemplate {
+  return CALL_SHEET_TEMPLATES.find(template => template.id === templateId)
+    || CALL_SHEET_TEMPLATES.find(template => template.id === DEFAULT_CALL_SHEET_TEMPLATE)!;
+}
+
+/**
+ * Position of a strip day among the shoot days of its board, for "Day X of Y"
+ * @param stripDays - Strip days of the project
+ * @param stripDay - The call sheet's strip day
+ * @returns Day number and total shoot days, or null for an off day or a day not in the list
+ */
+export function getShootDayPosition(
+  stripDays: StripDay[],
+  stripDay: StripDay
+): { dayNumber: number; totalDays: number } | null {
+  const shootDays = getBoardDays(stripDays, stripDay.boardId || DEFAULT_BOARD_ID)
+    .filter(day => !isOffDay(day))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const index = shootDays.findIndex(day => day.id === stripDay.id);
+  return index === -1 ? null : { dayNumber: index + 1, totalDays: shootDays.length };
+}
+
+/**
+ * Map links for a location
+ * @param location - The location
+ * @returns A static map thumbnail when the location has coordinates, and a
+ *   link to an interactive map
+ */
+export function getLocationMap(location: Pick<Location, 'coordinates' | 'mapUrl' | 'address'>): {
+  imageUrl?: string;
+  linkUrl?: string;
+} {
+  const { coordinates } = location;
+  if (coordinates) {
+    const { lat, lng } = coordinates;
+    return {
+      imageUrl: `https://staticmap.openstreetmap.de/staticmap.php?center=${lat},${lng}&zoom=15&size=320x180&markers=${lat},${lng},red-pushpin`,
+      linkUrl: location.mapUrl || `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=16/${lat}/${lng}`
+    };
+  }
+  if (location.mapUrl) return { linkUrl: location.mapUrl };
+  return location.address
+    ? { linkUrl: `https://www.openstreetmap.org/search?query=${encodeURIComponent(location.address)}` }
+    : {};
+}
+
+interface SheetColumn {
+  label: string;
+  width: number; // in characters; the last column takes what's left
+}
+
+interface SheetSection {
+  id: CallSheetSectionId;
+  title: string;
+  columns?: SheetColumn[];
+  rows?: string[][];
+  lines?: string[];
+}
+
+const SCHEDULE_COLUMNS: SheetColumn[] = [
+  { label: 'Sc.', width: 5 },
+  { label: 'Set', width: 26 },
+  { label: 'I/E', width: 5 },
+  { label: 'D/N', width: 4 },
+  { label: 'Pages', width: 7 },
+  { label: 'Cast', width: 12 },
+  { label: 'Description', width: 0 }
+];
+
+const scheduleRows = (scenes: CallSheetScene[]) => scenes.map(scene => [
+  scene.sceneNumber,
+  scene.set,
+  scene.intExt,
+  scene.dayNight,
+  scene.pages,
+  scene.castIds.join(', '),
+  scene.description || ''
+]);
+
+const textLines = (text?: string) => (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+/**
+ * The sections of a call sheet that have content, in template order
+ */
+function buildSections(details: CallSheetWithDetails, template: CallSheetTemplate): SheetSection[] {
+  const { location } = details;
+  const sections: Record<CallSheetSectionId, () => SheetSection | null> = {
+    schedule: () => {
+      if (details.schedule && details.schedule.length > 0) {
+        return { id: 'schedule', title: 'Shooting Schedule', columns: SCHEDULE_COLUMNS, rows: scheduleRows(details.schedule) };
+      }
+      // Call sheets from before structured schedules list the strip day's scenes
+      if (!details.scenes || details.scenes.length === 0) return null;
+      return {
+        id: 'schedule',
+        title: 'Shooting Schedule',
+        columns: [{ label: 'Sc.', width: 5 }, { label: 'Scene', width: 0 }],
+        rows: details.scenes.map(scene => [scene.numberLabel || String(scene.number), scene.heading])
+      };
+    },
+    cast: () => (details.castCalls && details.castCalls.length > 0 ? {
+      id: 'cast',
+      title: 'Cast',
+      columns: [
+        { label: '#', width: 4 },
+        { label: 'Character', width: 16 },
+        { label: 'Cast', width: 16 },
+        { label: 'Status', width: 7 },
+        { label: 'Pickup', width: 7 },
+        { label: 'Makeup', width: 7 },
+        { label: 'On Set', width: 7 },
+        { label: 'Notes', width: 0 }
+      ],
+      rows: details.castCalls.map(call => [
+        String(call.castNumber),
+        call.character,
+        call.actorName || '',
+        call.status || '',
+        call.pickup,
+        call.makeup,
+        call.onSet,
+        call.notes || ''
+      ])
+    } : null),
+    departments: () => (details.departmentCalls && details.departmentCalls.length > 0 ? {
+      id: 'departments',
+      title: 'Department Calls',
+      columns: [{ label: 'Department', width: 20 }, { label: 'Call', width: 7 }, { label: 'Notes', width: 0 }],
+      rows: details.departmentCalls.map(call => [call.department, call.callTime, call.notes || ''])
+    } : null),
+    meals: () => (details.meals && details.meals.length > 0 ? {
+      id: 'meals',
+      title: 'Meals',
+      columns: [{ label: 'Meal', width: 20 }, { label: 'Time', width: 0 }],
+      rows: details.meals.map(meal => [meal.label, meal.time])
+    } : null),
+    location: () => {
+      if (!location) return null;
+      const contact = location.contactInfo;
+      return {
+        id: 'location',
+        title: 'Location',
+        lines: [
+          location.name,
+          ...(location.address ? [location.address] : []),
+          ...(contact && (contact.name || contact.phone)
+            ? [`Contact: ${[contact.name, contact.phone].filter(Boolean).join(' ')}`]
+            : []),
+          ...textLines(location.notes)
+        ]
+      };
+    },
+    hospitals: () => {
+      const hospitals = details.hospitals || [];
+      if (hospitals.length === 0 && !details.hospitalsBeyondSafeRadius) return null;
+      return {
+        id: 'hospitals',
+        title: 'Nearest Hospitals',
+        ...(hospitals.length > 0 && {
+          columns: [
+            { label: 'Hospital', width: 22 },
+            { label: 'Address', width: 30 },
+            { label: 'Phone', width: 14 },
+            { label: 'Distance', width: 9 },
+            { label: 'Directions', width: 0 }
+          ],
+          rows: hospitals.map(hospital => [hospital.name, hospital.address, hospital.phone, hospital.distance, hospital.travelNotes || ''])
+        }),
+        ...(details.hospitalsBeyondSafeRadius && {
+          lines: ['WARNING: No hospital within the safe radius of this location']
+        })
+      };
+    },
+    safety: () => (details.safetyNotes ? { id: 'safety', title: 'Safety', lines: textLines(details.safetyNotes) } : null),
+    advance: () => (details.advance ? {
+      id: 'advance',
+      title: `Advance Schedule - ${details.advance.date}`,
+      ...(details.advance.scenes.length > 0
+        ? { columns: SCHEDULE_COLUMNS, rows: scheduleRows(details.advance.scenes) }
+        : { lines: ['No scenes scheduled'] })
+    } : null),
+    notes: () => (details.notes ? { id: 'notes', title: 'Notes', lines: textLines(details.notes) } : null)
+  };
+
+  return template.sections
+    .map(id => sections[id]())
+    .filter((section): section is SheetSection => !!section);
+}
+
+/**
+ * Label/value cells of the header grid
+ */
+function buildHeaderCells(details: CallSheetWithDetails, options: CallSheetRenderOptions): { label: string; value: string }[] {
+  const { weather } = details;
+  return [
+    { label: 'Date', value: details.date },
+    {
+      label: 'Shoot Day',
+      value: options.dayNumber ? `Day ${options.dayNumber}${options.totalDays ? ` of ${options.totalDays}` : ''}` : ''
+    },
+    { label: 'Crew Call', value: details.crewCall || '' },
+    { label: 'Unit', value: details.unitName || '' },
+    { label: 'Sunrise', value: weather?.sunrise || '' },
+    { label: 'Sunset', value: weather?.sunset || '' },
+    {
+      label: 'Weather',
+      value: [
+        weather?.condition,
+        weather?.high !== undefined && weather.low !== undefined ? `${weather.high}°/${weather.low}°` : ''
+      ].filter(Boolean).join(' ')
+    },
+    { label: 'Location', value: details.location?.name || '' }
+  ];
+}
+
+const HEX_COLOR = /^#?([0-9a-f]{6})$/i;
+
+// Branding colors as "#rrggbb", so they're valid CSS; the # is optional when saved
+const cssColor = (value: string | undefined, fallback: string) => {
+  const match = value ? HEX_COLOR.exec(value.trim()) : null;
+  return match ? `#${match[1]}` : fallback;
+};
+
+const resolveColors = (branding?: ProjectBranding) => ({
+  primary: cssColor(branding?.primaryColor, DEFAULT_BRANDING_COLORS.primaryColor),
+  accent: cssColor(branding?.accentColor, DEFAULT_BRANDING_COLORS.accentColor)
+});
+
+const sheetTitle = (options: CallSheetRenderOptions) => options.branding?.title || options.title || '';
+
+const htmlStyles = (primary: string, accent: string, compact: boolean) => `
+  @page { size: letter; margin: 0.4in; }
+  :root { --primary: ${primary}; --accent: ${accent}; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: ${compact ? 9 : 11}px; color: #111; margin: 0; }
+  .page-break { break-before: page; page-break-before: always; }
+  header { display: flex; align-items: center; gap: 12px; margin-bottom: 8px; }
+  header.banner { background: var(--primary); color: #fff; padding: 10px 12px; }
+  header img.logo { max-height: ${compact ? 40 : 56}px; max-width: 160px; }
+  header h1 { margin: 0; font-size: ${compact ? 18 : 24}px; color: var(--primary); }
+  header.banner h1 { color: #fff; }
+  header .subtitle { font-size: 0.9em; letter-spacing: 0.1em; text-transform: uppercase; }
+  table { width: 100%; border-collapse: collapse; }
+  .grid td { border: 1px solid #999; padding: 3px 6px; width: 25%; vertical-align: top; }
+  .grid .label { display: block; font-size: 0.75em; color: #555; text-transform: uppercase; }
+  .grid .value { font-size: 1.2em; font-weight: bold; }
+  section { margin-top: ${compact ? 6 : 10}px; break-inside: avoid; }
+  section h2 { margin: 0; padding: 2px 6px; font-size: 1em; background: var(--accent); color: #fff; text-transform: uppercase; }
+  section th { text-align: left; background: #eee; border-bottom: 1px solid #999; padding: 2px 4px; font-size: 0.85em; }
+  section td { border-bottom: 1px solid #ddd; padding: 2px 4px; vertical-align: top; }
+  section p { margin: 2px 6px; }
+  .map { display: flex; gap: 12px; align-items: flex-start; }
+  .map img { width: 240px; border: 1px solid #999; }
+`;
+
+/**
+ * Renders a call sheet as a printable HTML document
+ * @param details - The call sheet with populated details
+ * @param options - Template, branding, production title and shoot day
+ * @returns HTML document
+ */
+export function renderCallSheetHTML(details: CallSheetWithDetails, options: CallSheetRenderOptions = {}): string {
+  const template = getCallSheetTemplate(options.templateId || options.branding?.callSheetTemplate);
+  const { primary, accent } = resolveColors(options.branding);
+  const title = sheetTitle(options);
+  const map = details.location ? getLocationMap(details.location) : {};
+  const mapImageUrl = options.mapImageUrl || map.imageUrl;
+
+  const cells = buildHeaderCells(details, options);
+  const grid = [0, 4].map(start => `<tr>${cells.slice(start, start + 4).map(cell =>
+    `<td><span class="label">${escapeHtml(cell.label)}</span><span class="value">${escapeHtml(cell.value) || '&nbsp;'}</span></td>`).join('')}</tr>`).join('\n      ');
+
+  const renderSection = (section: SheetSection) => {
+    const table = section.columns && section.rows ? `
+    <table>
+      <tr>${section.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr>
+${section.rows.map(row => `      <tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`).join('\n')}
+    </table>` : '';
+    const lines = (section.lines || []).map(line => `<p>${escapeHtml(line)}</p>`).join('');
+    const body = section.id === 'location' && (mapImageUrl || map.linkUrl)
+      ? `<div class="map"><div>${lines}${map.linkUrl ? `<p><a href="${escapeHtml(map.linkUrl)}">Open map</a></p>` : ''}</div>${mapImageUrl ? `<img src="${escapeHtml(mapImageUrl)}" alt="Map">` : ''}</div>`
+      : lines;
+
+    return `${template.pageBreakBefore === section.id ? '\n  <div class="page-break"></div>' : ''}
+  <section class="${section.id}">
+    <h2>${escapeHtml(section.title)}</h2>${table}${body}
+  </section>`;
+  };
+
+  const logo = options.branding?.logoUrl
+    ? `<img class="logo" src="${escapeHtml(options.branding.logoUrl)}" alt="">`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(`${title ? `${title} - ` : ''}Call Sheet ${details.date}`)}</title>
+  <style>${htmlStyles(primary, accent, template.compact)}</style>
+</head>
+<body class="template-${template.id}">
+  <header class="${template.header}">
+    ${logo}
+    <div>
+      <h1>${escapeHtml(title || 'Call Sheet')}</h1>
+      <div class="subtitle">Call Sheet</div>
+    </div>
+  </header>
+  <table class="grid">
+      ${grid}
+  </table>${buildSections(details, template).map(renderSection).join('')}
+</body>
+</html>
+`;
+}
+
+// Portrait letter, in points
+const PDF_PAGE = { width: 612, height: 792, margin: 36 };
+const PDF_CHAR_RATIO = 0.6; // Courier
+
+const pdfColor = (hex: string) => {
+  const value = HEX_COLOR.exec(hex)![1];
+  return [0, 2, 4].map(i => (parseInt(value.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+};
+
+const truncate = (value: string, width: number) => (value.length > width ? `${value.slice(0, Math.max(0, width - 1))}…` : value);
+
+/**
+ * Renders a call sheet as a PDF. Images are drawn only when given; load them
+ * with loadPDFImage.
+ * @param details - The call sheet with populated details
+ * @param options - Template, branding, production title and shoot day
+ * @param images - Logo and map thumbnail
+ * @returns application/pdf blob
+ */
+export function createCallSheetPDF(
+  details: CallSheetWithDetails,
+  options: CallSheetRenderOptions = {},
+  images: { logo?: CallSheetPDFImage | null; map?: CallSheetPDFImage | null } = {}
+): Blob {
+  const template = getCallSheetTemplate(options.templateId || options.branding?.callSheetTemplate);
+  const { primary, accent } = resolveColors(options.branding);
+  const title = sheetTitle(options);
+  const fontSize = template.compact ? 7.5 : 9;
+  const rowHeight = fontSize * 1.35;
+  const charWidth = fontSize * PDF_CHAR_RATIO;
+  const left = PDF_PAGE.margin;
+  const usableWidth = PDF_PAGE.width - 2 * PDF_PAGE.margin;
+  const usableChars = Math.floor(usableWidth / charWidth);
+
+  const pages: string[][] = [];
+  let commands: string[] = [];
+  let y = 0;
+  const newPage = () => {
+    commands = [];
+    pages.push(commands);
+    y = PDF_PAGE.height - PDF_PAGE.margin;
+  };
+  const ensure = (height: number) => {
+    if (y - height < PDF_PAGE.margin + rowHeight) newPage();
+  };
+
+  const text = (x: number, baseline: number, value: string, size = fontSize, color = '0 0 0') =>
+    commands.push(pdfText(x, baseline, value, size, color));
+  const fill = (x: number, top: number, width: number, height: number, color: string) =>
+    commands.push(`${color} rg ${x.toFixed(2)} ${(top - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f 0 0 0 rg`);
+  const stroke = (x: number, top: number, width: number, height: number) =>
+    commands.push(`0.6 0.6 0.6 RG 0.5 w ${x.toFixed(2)} ${(top - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re S`);
+  const image = (name: string, x: number, top: number, width: number, height: number) =>
+    commands.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${(top - height).toFixed(2)} cm /${name} Do Q`);
+  const fit = (source: CallSheetPDFImage, maxWidth: number, maxHeight: number) => {
+    const scale = Math.min(maxWidth / source.width, maxHeight / source.height);
+    return { width: source.width * scale, height: source.height * scale };
+  };
+
+  newPage();
+
+  // Header: logo and production title, in a color banner or above the grid
+  const headerHeight = template.compact ? 40 : 52;
+  const banner = template.header === 'banner';
+  if (banner) fill(left, y, usableWidth, headerHeight, pdfColor(primary));
+  let titleX = left + (banner ? 8 : 0);
+  if (images.logo) {
+    const size = fit(images.logo, 140, headerHeight - (banner ? 8 : 0));
+    image('Logo', titleX, y - (headerHeight - size.height) / 2, size.width, size.height);
+    titleX += size.width + 10;
+  }
+  const titleSize = template.compact ? 14 : 18;
+  const titleColor = banner ? '1 1 1' : pdfColor(primary);
+  text(titleX, y - headerHeight / 2, truncate(title || 'Call Sheet', Math.floor((left + usableWidth - titleX) / (titleSize * PDF_CHAR_RATIO))), titleSize, titleColor);
+  text(titleX, y - headerHeight / 2 - fontSize - 4, 'CALL SHEET', fontSize, titleColor);
+  y -= headerHeight + 6;
+
+  // Header grid, four cells a row
+  const cells = buildHeaderCells(details, options);
+  const cellWidth = usableWidth / 4;
+  const cellHeight = fontSize * 3;
+  const cellChars = Math.floor((cellWidth - 8) / (fontSize * 1.1 * PDF_CHAR_RATIO));
+  [0, 4].forEach((start) => {
+    cells.slice(start, start + 4).forEach((cell, column) => {
+      const x = left + column * cellWidth;
+      stroke(x, y, cellWidth, cellHeight);
+      text(x + 4, y - fontSize, cell.label.toUpperCase(), fontSize * 0.75, '0.35 0.35 0.35');
+      text(x + 4, y - cellHeight + 5, truncate(cell.value, cellChars), fontSize * 1.1);
+    });
+    y -= cellHeight;
+  });
+  y -= rowHeight / 2;
+
+  // Column x positions in characters; the last column takes what's left
+  const columnStarts = (columns: SheetColumn[]) => {
+    let start = 0;
+    return columns.map((column, index) => {
+      const width = index === columns.length - 1 || !column.width ? usableChars - start : column.width;
+      const position = { start, width };
+      start += width;
+      return position;
+    });
+  };
+
+  buildSections(details, template).forEach((section) => {
+    if (template.pageBreakBefore === section.id && commands.length > 0) newPage();
+
+    const barHeight = rowHeight + 2;
+    const positions = section.columns ? columnStarts(section.columns) : [];
+    const tableHeader = () => {
+      fill(left, y, usableWidth, rowHeight, '0.92 0.92 0.92');
+      positions.forEach((position, index) =>
+        text(left + position.start * charWidth + 2, y - fontSize, truncate(section.columns![index].label, position.width - 1)));
+      y -= rowHeight;
+    };
+
+    ensure(barHeight + rowHeight * 2);
+    y -= 4;
+    fill(left, y, usableWidth, barHeight, pdfColor(accent));
+    text(left + 4, y - fontSize - 1, section.title.toUpperCase(), fontSize, '1 1 1');
+    y -= barHeight;
+
+    if (section.columns && section.rows) {
+      tableHeader();
+      section.rows.forEach((row) => {
+        if (y - rowHeight < PDF_PAGE.margin + rowHeight) {
+          newPage();
+          tableHeader();
+        }
+        positions.forEach((position, index) => {
+          if (row[index]) text(left + position.start * charWidth + 2, y - fontSize, truncate(row[index], position.width - 1));
+        });
+        y -= rowHeight;
+      });
+    }
+
+    // The map thumbnail sits beside the location lines
+    const mapImage = section.id === 'location' ? images.map : null;
+    const mapSize = mapImage ? fit(mapImage, 200, 112) : null;
+    const lineChars = usableChars - 2 - (mapSize ? Math.ceil(mapSize.width / charWidth) + 2 : 0);
+    let mapBottom = y;
+    const mapPage = commands;
+    if (mapImage && mapSize) {
+      ensure(mapSize.height + 4);
+      image('Map', left + usableWidth - mapSize.width, y - 2, mapSize.width, mapSize.height);
+      mapBottom = y - mapSize.height - 4;
+    }
+    (section.lines || []).flatMap(line => wrapWords(line, lineChars)).forEach((line) => {
+      ensure(rowHeight);
+      text(left + 2, y - fontSize, line);
+      y -= rowHeight;
+    });
+    if (commands === mapPage) y = Math.min(y, mapBottom);
+  });
+
+  // Footers once the page count is known
+  pages.forEach((page, index) => {
+    const footer = `${title ? `${title} - ` : ''}Call Sheet ${details.date} - Page ${index + 1} of ${pages.length}`;
+    page.push(pdfText(left, PDF_PAGE.margin / 2, footer, 7, '0.4 0.4 0.4'));
+  });
+
+  const pdfImages = {
+    ...(images.logo && { Logo: images.logo }),
+    ...(images.map && { Map: images.map })
+  };
+  return pdfBlob(writePDF(pages.map(page => page.join('\n')), `${title ? `${title} - ` : ''}Call Sheet ${details.date}`, PDF_PAGE, pdfImages));
+}
@@ -14,83 +14,189 @@ import {
   Unsubscribe 
 } from 'firebase/firestore';
 import { db } from '../lib/firebase.client';
-import { getStripDay, type StripDay } from './stripboard';
+import {
+  getStripDay,
+  getBoardDays,
+  getDaySceneIds,
+  isOffDay,
+  DEFAULT_BOARD_ID,
+  type StripDay
+} from './stripboard';
 import { listContacts, type Contact } from './contacts';
-import { listLocations, type Location } from './locations';
+import { listLocations, updateLocation, type Location } from './locations';
+import { formatPageEighths, formatSceneNumber, getSceneEighths, type Scene } from './scenes';
+import { isCastElement, type Element } from './elements';
+import { generateDOOD } from './dood';
+import { getSceneSet, isNightTime } from './scheduler';
+import { getSunTimes, formatSunTime } from '../lib/sunTimes';
+import { getForecast, getForecastProvider, type ForecastProvider, type WeatherForecast } from '../lib/weather';
+import {
+  listEmergencyFacilities,
+  findNearestFacilities,
+  formatFacilityDistance,
+  type NearestFacilitiesOptions
+} from './emergencyFacilities';
+
+/**
+ * A scene on the day's shooting schedule
+ */
+export interface CallSheetScene {
+  sceneId: string;
+  sceneNumber: string;
+  set: string;
+  intExt: string;
+  dayNight: 'D' | 'N';
+  pages: string; // e.g. "1 3/8"
+  castIds: number[]; // cast numbers
+  description?: string;
+}
+
+/**
+ * A cast member's calls for the day. Times are "HH:MM".
+ */
+export interface CallSheetCastCall {
+  elementId: string;
+  castNumber: number;
+  character: string;
+  actorName?: string;
+  status?: string; // Day Out of Days code for the day, e.g. SW, W, WF
+  pickup: string;
+  makeup: string;
+  onSet: string;
+  notes?: string;
+}
+
+export interface CallSheetDepartmentCall {
+  department: string;
+  callTime: string;
+  notes?: string;
+}
+
+export interface CallSheetMeal {
+  label: string; // e.g. "Lunch"
+  time: string;
+}
+
+/**
+ * The next shoot day's schedule, printed at the foot of the call sheet
+ */
+export interface CallSheetAdvanceDay {
+  dayId?: string;
+  date: string;
+  scenes: CallSheetScene[];
+}
+
+/**
+ * The structured sections of a call sheet
+ */
+export interface CallSheetSections {
+  crewCall: string; // general crew call, "HH:MM"
+  schedule: CallSheetScene[];
+  castCalls: CallSheetCastCall[];
+  departmentCalls: CallSheetDepartmentCall[];
+  meals: CallSheetMeal[];
+  advance?: CallSheetAdvanceDay;
+}
+
+export const DEFAULT_CREW_CALL = '07:00';
+
+export const DEFAULT_CALL_SHEET_DEPARTMENTS = [
+  'Production',
+  'Camera',
+  'Grip',
+  'Electric',
+  'Sound',
+  'Art',
+  'Wardrobe',
+  'Hair & Makeup',
+  'Locations',
+  'Transportation'
+];
+
+/**
+ * Forecast and sun times for the shoot day. Times are local "HH:MM"; the
+ * forecast fields are missing when no forecast was available.
+ */
+export interface CallSheetWeather {
+  high?: number; // °F
+  low?: number; // °F
+  condition?: string;
+  sunrise: string;
+  sunset: string;
+  civilDawn?: string;
+  civilDusk?: string;
+  goldenHourMorning?: { start: string; end: string };
+  goldenHourEvening?: { start: string; end: string };
+  timeZone?: string; // IANA time zone the times are in
+}
+
+/**
+ * A hospital on the call sheet, typed in or picked from the project's
+ * emergency facilities
+ */
+export interface CallSheetHospital {
+  name: string;
+  address: string;
+  phone: string;
+  distance: string; // e.g. "2.4 mi"
+  travelNotes?: string;
+  facilityId?: string;
+}
 
 export interface CallSheet {
   id: string;
   date: string; // ISO date string (YYYY-MM-DD)
-  unitName: string;
+  unitName?: string;
   dayId: string; // Reference to strip day
   locationId: string; // Reference to location
   recipients: string[]; // Array of contact IDs
-  weather?: {
-    high: number;
-    low: number;
-    condition: string;
-    sunrise: string;
-    sunset: string;
-  };
-  hospitals?: {
-    name: string;
-    address: string;
-    phone: string;
-    distance: string;
-  }[];
+  weather?: CallSheetWeather;
+  hospitals?: CallSheetHospital[];
+  hospitalsBeyondSafeRadius?: boolean;
   notes: string;
+  safetyNotes?: string;
+  crewCall?: string;
+  schedule?: CallSheetScene[];
+  castCalls?: CallSheetCastCall[];
+  departmentCalls?: CallSheetDepartmentCall[];
+  meals?: CallSheetMeal[];
+  advance?: CallSheetAdvanceDay;
+  publishedAt?: any; // serverTimestamp of the last publish
   createdAt: any; // serverTimestamp
   updatedAt: any; // serverTimestamp
 }
 
-export interface CreateCallSheetData {
+export interface CreateCallSheetData extends Partial<CallSheetSections> {
   date: string;
-  unitName: string;
+  unitName?: string;
   dayId: string;
   locationId: string;
   recipients?: string[];
-  weather?: {
-    high: number;
-    low: number;
-    condition: string;
-    sunrise: string;
-    sunset: string;
-  };
-  hospitals?: {
-    name: string;
-    address: string;
-    phone: string;
-    distance: string;
-  }[];
+  weather?: CallSheetWeather;
+  hospitals?: CallSheetHospital[];
+  hospitalsBeyondSafeRadius?: boolean;
   notes?: string;
+  safetyNotes?: string;
 }
 
-export interface UpdateCallSheetData {
+export interface UpdateCallSheetData extends Partial<CallSheetSections> {
   date?: string;
   unitName?: string;
   dayId?: string;
   locationId?: string;
   recipients?: string[];
-  weather?: {
-    high: number;
-    low: number;
-    condition: string;
-    sunrise: string;
-    sunset: string;
-  };
-  hospitals?: {
-    name: string;
-    address: string;
-    phone: string;
-    distance: string;
-  }[];
+  weather?: CallSheetWeather;
+  hospitals?: CallSheetHospital[];
+  hospitalsBeyondSafeRadius?: boolean;
   notes?: string;
+  safetyNotes?: string;
 }
 
 export interface CallSheetWithDetails extends CallSheet {
   stripDay?: StripDay;
   location?: Location;
   recipientContacts?: Contact[];
+  scenes?: Scene[]; // the day's scenes in shooting order, when loaded
 }
 
 /**
@@ -101,22 +207,36 @@ export interface CallSheetWithDetails extends CallSheet {
  */
 export async function createCallSheet(projectId: string, data: CreateCallSheetData): Promise<string> {
   const callSheetsCollection = collection(db, 'projects', projectId, 'callsheets');
-  
-  const callSheetData = {
+  const docRef = await addDoc(callSheetsCollection, buildCallSheetData(data));
+  return docRef.id;
+}
+
+/**
+ * The document a new call sheet is stored as, for writing it in a batch
+ * @param data - Call sheet data
+ * @returns Firestore document data
+ */
+export function buildCallSheetData(data: CreateCallSheetData) {
+  return {
     date: data.date,
-    unitName: data.unitName,
+    ...(data.unitName && { unitName: data.unitName }),
     dayId: data.dayId,
     locationId: data.locationId,
     recipients: data.recipients || [],
-    weather: data.weather,
-    hospitals: data.hospitals,
+    ...(data.weather && { weather: data.weather }),
+    ...(data.hospitals && { hospitals: data.hospitals }),
+    ...(data.hospitalsBeyondSafeRadius && { hospitalsBeyondSafeRadius: true }),
     notes: data.notes || '',
+    ...(data.safetyNotes && { safetyNotes: data.safetyNotes }),
+    ...(data.crewCall && { crewCall: data.crewCall }),
+    ...(data.schedule && { schedule: data.schedule }),
+    ...(data.castCalls && { castCalls: data.castCalls }),
+    ...(data.departmentCalls && { departmentCalls: data.departmentCalls }),
+    ...(data.meals && { meals: data.meals }),
+    ...(data.advance && { advance: data.advance }),
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp()
   };
-
-  const docRef = await addDoc(callSheetsCollection, callSheetData);
-  return docRef.id;
 }
 
 /**
@@ -266,13 +386,15 @@ export function subscribeCallSheets(
  * @param dayId - The strip day ID to populate from
  * @param locationId - The location ID to populate from
  * @param additionalRecipients - Additional contact IDs to include
+ * @param facilityOptions - How many hospitals to pick and the safe radius
  * @returns Promise with populated call sheet data
  */
 export async function autoPopulateCallSheet(
   projectId: string,
   dayId: string,
   locationId: string,
-  additionalRecipients: string[] = []
+  additionalRecipients: string[] = [],
+  facilityOptions: NearestFacilitiesOptions = {}
 ): Promise<CreateCallSheetData> {
   // Get strip day data
   const stripDay = await getStripDay(projectId, dayId);
@@ -300,6 +422,20 @@ export async function autoPopulateCallSheet(
     ...additionalRecipients
   ];
 
+  const weather = await getCallSheetWeather(location, stripDay.date);
+  // Keep a time zone found through the forecast for later sheets, e.g. past the forecast range
+  if (weather?.timeZone && !location.timeZone) {
+    try {
+      await updateLocation(projectId, location.id, { timeZone: weather.timeZone });
+    } catch (error) {
+      console.error('Error saving location time zone:', error);
+    }
+  }
+  // Without coordinates no hospital is known to be near, so the sheet carries the warning
+  const nearest = location.coordinates
+    ? await getNearestHospitals(projectId, location.coordinates, facilityOptions)
+    : { hospitalsBeyondSafeRadius: true };
+
   // Generate default unit name
   const unitName = `Unit 1 - ${stripDay.date}`;
 
@@ -307,7 +443,7 @@ export async function autoPopulateCallSheet(
   const notes = `Call Sheet for ${stripDay.date}\n\n` +
     `Location: ${location.name}\n` +
     `Address: ${location.address || 'TBD'}\n` +
-    `Scenes: ${stripDay.sceneOrder.length} scenes scheduled\n` +
+    `Scenes: ${getDaySceneIds(stripDay).length} scenes scheduled\n` +
     `Target Duration: ${Math.floor(stripDay.targetMins / 60)}h ${stripDay.targetMins % 60}m\n\n` +
     `Notes: ${stripDay.notes || 'No additional notes'}`;
 
@@ -317,10 +453,219 @@ export async function autoPopulateCallSheet(
     dayId,
     locationId,
     recipients: recipientIds,
-    notes
+    notes,
+    ...(weather && { weather }),
+    ...nearest
+  };
+}
+
+/**
+ * The emergency facilities nearest to a shoot location, as call sheet hospitals
+ * @param projectId - The project ID
+ * @param coordinates - Coordinates of the location
+ * @param options - How many to pick, which facility types and the safe radius
+ * @returns Promise with the hospitals and a flag when the nearest is beyond the
+ *   safe radius; a project without facilities gets no hospitals and the flag
+ */
+export async function getNearestHospitals(
+  projectId: string,
+  coordinates: { lat: number; lng: number },
+  options: NearestFacilitiesOptions = {}
+): Promise<Pick<CallSheet, 'hospitals' | 'hospitalsBeyondSafeRadius'>> {
+  const facilities = await listEmergencyFacilities(projectId);
+  const nearest = findNearestFacilities(facilities, coordinates, options);
+  return {
+    hospitals: nearest.facilities.map(({ facility, distanceKm, travelNotes }) => ({
+      name: facility.name,
+      address: facility.address || '',
+      phone: facility.phone || '',
+      distance: formatFacilityDistance(distanceKm),
+      travelNotes,
+      facilityId: facility.id
+    })),
+    hospitalsBeyondSafeRadius: !nearest.withinSafeRadius
+  };
+}
+
+/**
+ * Sun times and forecast for a location on a date. Sun times are computed
+ * offline; the forecast comes from the forecast provider and is left out if
+ * it has none or fails.
+ * @param location - The location; needs coordinates
+ * @param date - ISO date (YYYY-MM-DD)
+ * @param options - Forecast provider (null for sun times only) and an IANA
+ *   time zone for the times. It defaults to the location's, then the one the
+ *   forecast reports, then the browser's.
+ * @returns Promise with the weather, or undefined without coordinates
+ */
+export async function getCallSheetWeather(
+  location: Pick<Location, 'coordinates' | 'timeZone'>,
+  date: string,
+  options: { provider?: ForecastProvider | null; timeZone?: string } = {}
+): Promise<CallSheetWeather | undefined> {
+  if (!location.coordinates) return undefined;
+  const { lat, lng } = location.coordinates;
+
+  let forecast: WeatherForecast | null = null;
+  try {
+    const provider = options.provider === undefined ? getForecastProvider() : options.provider;
+    forecast = await getForecast(lat, lng, date, provider);
+  } catch (error) {
+    console.error('Error getting forecast:', error);
+  }
+
+  const timeZone = options.timeZone || location.timeZone || forecast?.timeZone;
+  const sun = getSunTimes(date, lat, lng);
+  const time = (value: Date | null) => formatSunTime(value, timeZone);
+  const weather: CallSheetWeather = {
+    sunrise: time(sun.sunrise),
+    sunset: time(sun.sunset),
+    ...(sun.civilDawn && { civilDawn: time(sun.civilDawn) }),
+    ...(sun.civilDusk && { civilDusk: time(sun.civilDusk) }),
+    ...(sun.sunrise && sun.goldenHourMorningEnd && {
+      goldenHourMorning: { start: time(sun.sunrise), end: time(sun.goldenHourMorningEnd) }
+    }),
+    ...(sun.sunset && sun.goldenHourEveningStart && {
+      goldenHourEvening: { start: time(sun.goldenHourEveningStart), end: time(sun.sunset) }
+    }),
+    ...(timeZone && { timeZone })
   };
+
+  return forecast
+    ? { high: forecast.high, low: forecast.low, condition: forecast.condition, ...weather }
+    : weather;
+}
+
+/**
+ * Shifts a "HH:MM" time by a number of minutes, wrapping past midnight
+ * @param time - e.g. "07:00"
+ * @param minutes - Minutes to add; negative to go earlier
+ * @returns The shifted time, or the input unchanged if it isn't a time
+ */
+export function shiftTime(time: string, minutes: number): string {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time.trim());
+  if (!match) return time;
+  const total = (((Number(match[1]) * 60 + Number(match[2]) + minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
 }
 
+/**
+ * Builds the shooting schedule of a strip day, in shooting order
+ * @param stripDay - The strip day
+ * @param scenes - Project scenes
+ * @param elements - Project elements; cast elements linked to a scene are listed by number
+ * @param castNumbers - Cast number by element ID
+ * @returns Schedule rows, skipping banners and scenes no longer in the project
+ */
+export function buildCallSheetSchedule(
+  stripDay: Pick<StripDay, 'sceneOrder'>,
+  scenes: Scene[],
+  elements: Element[],
+  castNumbers: Map<string, number>
+): CallSheetScene[] {
+  const scenesById = new Map(scenes.map(scene => [scene.id, scene]));
+  const cast = elements.filter(isCastElement);
+
+  return getDaySceneIds(stripDay)
+    .map(sceneId => scenesById.get(sceneId))
+    .filter((scene): scene is Scene => !!scene)
+    .map((scene) => {
+      const eighths = getSceneEighths(scene);
+      const castIds = cast
+        .filter(element => element.linkedSceneIds?.includes(scene.id) || scene.elementIds?.includes(element.id))
+        .map(element => castNumbers.get(element.id))
+        .filter((castNumber): castNumber is number => castNumber !== undefined)
+        .sort((a, b) => a - b);
+
+      return {
+        sceneId: scene.id,
+        sceneNumber: formatSceneNumber(scene),
+        set: getSceneSet(scene.heading),
+        intExt: scene.locationType,
+        dayNight: isNightTime(scene.timeOfDay) ? 'N' : 'D',
+        pages: eighths !== undefined ? formatPageEighths(eighths) : '',
+        castIds,
+        ...(scene.synopsis && { description: scene.synopsis })
+      };
+    });
+}
+
+/**
+ * Builds the structured sections of a call sheet from the stripboard: the
+ * day's scene schedule, calls for the cast working it (pickup 90 and makeup
+ * 60 minutes before crew call), department calls at crew call, breakfast and
+ * lunch, and the advance schedule for the board's next shoot day. Everything
+ * is a starting point to be edited.
+ * @param stripDay - The strip day the call sheet is for
+ * @param data - Project strip days, scenes, elements and contacts, and the crew call
+ * @returns Call sheet sections
+ */
+export function buildCallSheetSections(
+  stripDay: StripDay,
+  data: {
+    stripDays: StripDay[];
+    scenes: Scene[];
+    elements: Element[];
+    contacts?: Contact[];
+    crewCall?: string;
+  }
+): CallSheetSections {
+  const { stripDays, scenes, elements, contacts = [], crewCall = DEFAULT_CREW_CALL } = data;
+  const boardDays = getBoardDays(stripDays, stripDay.boardId || DEFAULT_BOARD_ID);
+  const dood = generateDOOD(boardDays, scenes, elements, { contacts });
+  const castNumbers = new Map(dood.rows.map(row => [row.elementId, row.castNumber]));
+  const dayIndex = dood.days.findIndex(day => day.dayId === stripDay.id);
+
+  const schedule = buildCallSheetSchedule(stripDay, scenes, elements, castNumbers);
+  const working = new Set(schedule.flatMap(scene => scene.castIds));
+
+  const castCalls = dood.rows
+    .filter(row => working.has(row.castNumber))
+    .map(row => ({
+      elementId: row.elementId,
+      castNumber: row.castNumber,
+      character: row.name,
+      ...(row.actorName && { actorName: row.actorName }),
+      ...(dayIndex !== -1 && row.cells[dayIndex] && { status: row.cells[dayIndex] }),
+      pickup: shiftTime(crewCall, -90),
+      makeup: shiftTime(crewCall, -60),
+      onSet: crewCall
+    }));
+
+  const nextDay = boardDays
+    .filter(day => !isOffDay(day) && day.date > stripDay.date)
+    .sort((a, b) => a.date.localeCompare(b.date))[0];
+
+  return {
+    crewCall,
+    schedule,
+    castCalls,
+    departmentCalls: DEFAULT_CALL_SHEET_DEPARTMENTS.map(department => ({ department, callTime: crewCall })),
+    meals: [
+      { label: 'Breakfast', time: shiftTime(crewCall, -30) },
+      { label: 'Lunch', time: shiftTime(crewCall, 360) }
+    ],
+    ...(nextDay && {
+      advance: {
+        dayId: nextDay.id,
+        date: nextDay.date,
+        scenes: buildCallSheetSchedule(nextDay, scenes, elements, castNumbers)
+      }
+    })
+  };
+}
+
+// One line per scene: number, INT/EXT set, D/N, pages and cast numbers
+const formatScheduleLines = (schedule: CallSheetScene[]) => schedule
+  .map(scene => {
+    let line = `  ${scene.sceneNumber}. ${scene.intExt}. ${scene.set} ${scene.dayNight}`;
+    if (scene.pages) line += ` (${scene.pages} pgs)`;
+    if (scene.castIds.length > 0) line += ` Cast: ${scene.castIds.join(', ')}`;
+    if (scene.description) line += ` - ${scene.description}`;
+    return `${line}\n`;
+  })
+  .join('');
+
 /**
  * Generates call sheet content for export
  * @param callSheet - The call sheet data
@@ -331,34 +676,106 @@ export function generateCallSheetContent(
   callSheet: CallSheet,
   details: CallSheetWithDetails
 ): string {
-  const { stripDay, location, recipientContacts } = details;
+  const { stripDay, location, recipientContacts, scenes } = details;
   
   let content = `CALL SHEET\n`;
   content += `================\n\n`;
   
   content += `Date: ${callSheet.date}\n`;
-  content += `Unit: ${callSheet.unitName}\n`;
+  if (callSheet.unitName) content += `Unit: ${callSheet.unitName}\n`;
   content += `Location: ${location?.name || 'TBD'}\n`;
-  content += `Address: ${location?.address || 'TBD'}\n\n`;
+  content += `Address: ${location?.address || 'TBD'}\n`;
+  if (callSheet.crewCall) content += `Crew Call: ${callSheet.crewCall}\n`;
+  content += `\n`;
   
   if (callSheet.weather) {
     content += `WEATHER\n`;
     content += `-------\n`;
-    content += `High: ${callSheet.weather.high}°F\n`;
-    content += `Low: ${callSheet.weather.low}°F\n`;
-    content += `Condition: ${callSheet.weather.condition}\n`;
-    content += `Sunrise: ${callSheet.weather.sunrise}\n`;
-    content += `Sunset: ${callSheet.weather.sunset}\n\n`;
+    const { weather } = callSheet;
+    if (weather.high !== undefined) content += `High: ${weather.high}°F\n`;
+    if (weather.low !== undefined) content += `Low: ${weather.low}°F\n`;
+    if (weather.condition) content += `Condition: ${weather.condition}\n`;
+    if (weather.civilDawn) content += `Civil Dawn: ${weather.civilDawn}\n`;
+    content += `Sunrise: ${weather.sunrise}\n`;
+    content += `Sunset: ${weather.sunset}\n`;
+    if (weather.civilDusk) content += `Civil Dusk: ${weather.civilDusk}\n`;
+    if (weather.goldenHourMorning) {
+      content += `Golden Hour (AM): ${weather.goldenHourMorning.start}-${weather.goldenHourMorning.end}\n`;
+    }
+    if (weather.goldenHourEvening) {
+      content += `Golden Hour (PM): ${weather.goldenHourEvening.start}-${weather.goldenHourEvening.end}\n`;
+    }
+    content += `\n`;
   }
   
-  if (stripDay) {
+  if (callSheet.schedule && callSheet.schedule.length > 0) {
+    content += `SCHEDULE\n`;
+    content += `--------\n`;
+    content += `Scenes: ${callSheet.schedule.length}\n`;
+    content += formatScheduleLines(callSheet.schedule);
+    content += `\n`;
+  } else if (stripDay) {
     content += `SCHEDULE\n`;
     content += `--------\n`;
-    content += `Scenes: ${stripDay.sceneOrder.length}\n`;
+    content += `Scenes: ${getDaySceneIds(stripDay).length}\n`;
     content += `Target Duration: ${Math.floor(stripDay.targetMins / 60)}h ${stripDay.targetMins % 60}m\n`;
-    content += `Total Duration: ${Math.floor(stripDay.totalMins / 60)}h ${stripDay.totalMins % 60}m\n\n`;
+    content += `Total Duration: ${Math.floor(stripDay.totalMins / 60)}h ${stripDay.totalMins % 60}m\n`;
+    if (scenes) {
+      const totalEighths = scenes.reduce((total, scene) => total + (getSceneEighths(scene) || 0), 0);
+      content += `Pages: ${formatPageEighths(totalEighths)}\n`;
+      scenes.forEach(scene => {
+        const eighths = getSceneEighths(scene);
+        content += `  ${formatSceneNumber(scene)}. ${scene.heading}`;
+        if (eighths !== undefined) content += ` (${formatPageEighths(eighths)} pgs)`;
+        content += `\n`;
+      });
+    }
+    content += `\n`;
   }
   
+  if (callSheet.castCalls && callSheet.castCalls.length > 0) {
+    content += `CAST\n`;
+    content += `----\n`;
+    callSheet.castCalls.forEach(call => {
+      content += `${call.castNumber}. ${call.character}`;
+      if (call.actorName) content += ` (${call.actorName})`;
+      if (call.status) content += ` [${call.status}]`;
+      content += ` - Pickup ${call.pickup || '-'}, Makeup ${call.makeup || '-'}, On Set ${call.onSet || '-'}`;
+      if (call.notes) content += ` - ${call.notes}`;
+      content += `\n`;
+    });
+    content += `\n`;
+  }
+
+  if (callSheet.departmentCalls && callSheet.departmentCalls.length > 0) {
+    content += `DEPARTMENT CALLS\n`;
+    content += `----------------\n`;
+    callSheet.departmentCalls.forEach(call => {
+      content += `${call.department}: ${call.callTime}`;
+      if (call.notes) content += ` - ${call.notes}`;
+      content += `\n`;
+    });
+    content += `\n`;
+  }
+
+  if (callSheet.meals && callSheet.meals.length > 0) {
+    content += `MEALS\n`;
+    content += `-----\n`;
+    callSheet.meals.forEach(meal => {
+      content += `${meal.label}: ${meal.time}\n`;
+    });
+    content += `\n`;
+  }
+
+  if (callSheet.advance) {
+    content += `ADVANCE SCHEDULE - ${callSheet.advance.date}\n`;
+    content += `------------------\n`;
+    content += callSheet.advance.scenes.length > 0
+      ? formatScheduleLines(callSheet.advance.scenes)
+      : `No scenes scheduled\n`;
+    content += `\n`;
+  }
+
   if (recipientContacts && recipientContacts.length > 0) {
     content += `CREW CONTACTS\n`;
     content += `-------------\n`;
@@ -372,17 +789,28 @@ export function generateCallSheetContent(
     content += `\n`;
   }
   
-  if (callSheet.hospitals && callSheet.hospitals.length > 0) {
+  if ((callSheet.hospitals && callSheet.hospitals.length > 0) || callSheet.hospitalsBeyondSafeRadius) {
     content += `NEARBY HOSPITALS\n`;
     content += `----------------\n`;
-    callSheet.hospitals.forEach(hospital => {
+    if (callSheet.hospitalsBeyondSafeRadius) {
+      content += `WARNING: No hospital within the safe radius of this location\n\n`;
+    }
+    (callSheet.hospitals || []).forEach(hospital => {
       content += `${hospital.name}\n`;
       content += `${hospital.address}\n`;
       content += `Phone: ${hospital.phone}\n`;
-      content += `Distance: ${hospital.distance}\n\n`;
+      content += `Distance: ${hospital.distance}\n`;
+      if (hospital.travelNotes) content += `${hospital.travelNotes}\n`;
+      content += `\n`;
     });
   }
   
+  if (callSheet.safetyNotes) {
+    content += `SAFETY\n`;
+    content += `------\n`;
+    content += `${callSheet.safetyNotes}\n\n`;
+  }
+
   if (callSheet.notes) {
     content += `NOTES\n`;
     content += `-----\n`;
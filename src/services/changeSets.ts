@@ -0,0 +1,208 @@
+// src/services/changeSets.ts
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  orderBy,
+  limit,
+  writeBatch,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../lib/firebase.client';
+
+// Firestore commits at most 500 writes at once; one is the change set itself
+const MAX_BATCH_WRITES = 499;
+
+export type ChangeSetStatus = 'applied' | 'undone';
+
+/**
+ * A document in a project subcollection, e.g. { collection: 'scenes', id }
+ */
+export interface ChangeSetDocRef {
+  collection: string;
+  id: string;
+}
+
+export interface ChangeSetUpdate extends ChangeSetDocRef {
+  before: Record<string, any> | null; // the document as it was, null if it didn't exist
+}
+
+/**
+ * A group of writes made together, e.g. an AI result applied to the project,
+ * recorded so they can be undone together
+ */
+export interface ChangeSet {
+  id: string;
+  source: string; // what made the changes, e.g. 'ai'
+  actionId?: string; // e.g. the assistant quick action
+  summary: string;
+  created: ChangeSetDocRef[];
+  updated: ChangeSetUpdate[];
+  status: ChangeSetStatus;
+  createdAt: any; // serverTimestamp, also the updatedAt of every doc written
+  undoneAt?: any; // serverTimestamp
+}
+
+export interface ChangeSetInfo {
+  source: string;
+  actionId?: string;
+  summary: string;
+}
+
+/**
+ * Collects writes to commit in a single batch along with their change set
+ */
+export interface ChangeSetWriter {
+  /** Queues a new document; returns its ID */
+  create: (collectionName: string, data: Record<string, any>) => string;
+  /** Queues a merge into a document, remembering how it was; `data` can be worked out from the current document */
+  update: (
+    collectionName: string,
+    id: string,
+    data: Record<string, any> | ((current: Record<string, any> | null) => Record<string, any>)
+  ) => Promise<void>;
+  /** Commits every queued write and the change set; returns the change set ID */
+  commit: () => Promise<string>;
+}
+
+export interface UndoChangeSetResult {
+  undone: boolean;
+  conflicts: ChangeSetDocRef[]; // docs edited since the change set was applied
+}
+
+const projectDoc = (projectId: string, ref: ChangeSetDocRef) =>
+  doc(db, 'projects', projectId, ref.collection, ref.id);
+
+// Firestore rejects undefined fields, and one would fail the whole batch
+const withoutUndefined = (data: Record<string, any>) =>
+  Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+
+/**
+ * Starts a change set. Nothing is written until `commit`, and then all of it
+ * is written at once or none of it is.
+ * @param projectId - The project ID
+ * @param info - What is making the changes
+ * @returns Writer to queue the changes on
+ */
+export function startChangeSet(projectId: string, info: ChangeSetInfo): ChangeSetWriter {
+  const batch = writeBatch(db);
+  const created: ChangeSetDocRef[] = [];
+  const updated: ChangeSetUpdate[] = [];
+
+  const countWrites = () => {
+    if (created.length + updated.length >= MAX_BATCH_WRITES) {
+      throw new Error(`A change set can't hold more than ${MAX_BATCH_WRITES} writes`);
+    }
+  };
+
+  return {
+    create(collectionName, data) {
+      countWrites();
+      const ref = doc(collection(db, 'projects', projectId, collectionName));
+      batch.set(ref, { ...withoutUndefined(data), updatedAt: serverTimestamp() });
+      created.push({ collection: collectionName, id: ref.id });
+      return ref.id;
+    },
+
+    async update(collectionName, id, data) {
+      countWrites();
+      const ref = projectDoc(projectId, { collection: collectionName, id });
+      const snapshot = await getDoc(ref);
+      const before = snapshot.exists() ? snapshot.data() : null;
+      const changes = typeof data === 'function' ? data(before) : data;
+      batch.set(ref, { ...withoutUndefined(changes), updatedAt: serverTimestamp() }, { merge: true });
+      updated.push({ collection: collectionName, id, before });
+    },
+
+    async commit() {
+      const changeSetRef = doc(collection(db, 'projects', projectId, 'changeSets'));
+      batch.set(changeSetRef, {
+        source: info.source,
+        ...(info.actionId && { actionId: info.actionId }),
+        summary: info.summary,
+        created,
+        updated,
+        status: 'applied',
+        createdAt: serverTimestamp()
+      });
+      await batch.commit();
+      return changeSetRef.id;
+    }
+  };
+}
+
+/**
+ * Gets a single change set by ID
+ * @param projectId - The project ID
+ * @param changeSetId - The change set ID to fetch
+ * @returns Promise with the change set or null if not found
+ */
+export async function getChangeSet(projectId: string, changeSetId: string): Promise<ChangeSet | null> {
+  const docSnap = await getDoc(doc(db, 'projects', projectId, 'changeSets', changeSetId));
+  return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } as ChangeSet : null;
+}
+
+/**
+ * Lists a project's most recent change sets, newest first
+ * @param projectId - The project ID
+ * @param count - How many to list
+ * @returns Promise with the change sets
+ */
+export async function listChangeSets(projectId: string, count = 20): Promise<ChangeSet[]> {
+  const changeSetsQuery = query(
+    collection(db, 'projects', projectId, 'changeSets'),
+    orderBy('createdAt', 'desc'),
+    limit(count)
+  );
+  const querySnapshot = await getDocs(changeSetsQuery);
+  return querySnapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }) as ChangeSet);
+}
+
+// Every doc in a change set was written with the change set's own timestamp
+const isUntouched = (data: Record<string, any> | undefined, changeSet: ChangeSet) =>
+  data?.updatedAt?.isEqual ? data.updatedAt.isEqual(changeSet.createdAt) : data?.updatedAt === changeSet.createdAt;
+
+/**
+ * Reverts a change set: deletes the docs it created and restores the docs it
+ * updated. Nothing is reverted if any of them has been edited or, for updated
+ * docs, deleted since; created docs that were deleted since are skipped.
+ * @param projectId - The project ID
+ * @param changeSetId - The change set ID
+ * @returns Promise with whether it was undone and which docs stopped it
+ */
+export async function undoChangeSet(projectId: string, changeSetId: string): Promise<UndoChangeSetResult> {
+  return runTransaction(db, async (transaction) => {
+    const changeSetRef = doc(db, 'projects', projectId, 'changeSets', changeSetId);
+    const changeSetSnap = await transaction.get(changeSetRef);
+    if (!changeSetSnap.exists()) throw new Error(`Change set ${changeSetId} not found`);
+
+    const changeSet = { id: changeSetSnap.id, ...changeSetSnap.data() } as ChangeSet;
+    if (changeSet.status === 'undone') throw new Error('These changes have already been undone');
+
+    const created = await Promise.all(changeSet.created.map(ref => transaction.get(projectDoc(projectId, ref))));
+    const updated = await Promise.all(changeSet.updated.map(ref => transaction.get(projectDoc(projectId, ref))));
+    const conflicts: ChangeSetDocRef[] = [
+      ...changeSet.created.filter((_ref, index) => created[index].exists() && !isUntouched(created[index].data(), changeSet)),
+      ...changeSet.updated.filter((_ref, index) => !updated[index].exists() || !isUntouched(updated[index].data(), changeSet))
+    ].map(ref => ({ collection: ref.collection, id: ref.id }));
+    if (conflicts.length > 0) return { undone: false, conflicts };
+
+    changeSet.created.forEach((ref, index) => {
+      if (created[index].exists()) transaction.delete(projectDoc(projectId, ref));
+    });
+    changeSet.updated.forEach((update) => {
+      const ref = projectDoc(projectId, update);
+      if (update.before) {
+        transaction.set(ref, update.before);
+      } else {
+        transaction.delete(ref);
+      }
+    });
+    transaction.update(changeSetRef, { status: 'undone', undoneAt: serverTimestamp() });
+
+    return { undone: true, conflicts: [] };
+  });
+}
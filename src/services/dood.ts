@@ -0,0 +1,277 @@
+// src/services/dood.ts
+import { writePDF, pdfText, pdfBlob } from '../lib/pdf';
+import { isCastElement, type Element } from './elements';
+import type { Contact } from './contacts';
+import type { Scene } from './scenes';
+import { isOffDay, type StripDay } from './stripboard';
+
+/**
+ * Day Out of Days codes. Work days combine a start (S) or pickup (P) with a
+ * finish (F) or drop (D): SW, W, WF, SWF, WD, PW, PWF... Other days are
+ * H (hold), T (travel) or blank (off the show or dropped).
+ */
+export type DOODCode = string;
+
+export interface DOODDay {
+  dayId: string;
+  date: string;
+  dayNumber: number;
+}
+
+export interface DOODRow {
+  elementId: string;
+  castNumber: number;
+  name: string;
+  actorName?: string;
+  cells: DOODCode[];
+  start: string | null; // date of the first work day
+  finish: string | null; // date of the last work day
+  work: number;
+  hold: number;
+  idle: number; // days dropped between a drop and a pickup
+  travel: number;
+  total: number; // work + hold + travel: days on payroll
+}
+
+export interface DOODReport {
+  days: DOODDay[];
+  rows: DOODRow[];
+}
+
+export interface DOODOptions {
+  contacts?: Contact[];
+  dropThresholdDays?: number; // a break of at least this many calendar days is a drop/pickup rather than holds
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from: string, to: string) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/**
+ * Codes one cast member across the shoot days
+ * @param days - Shoot days in date order
+ * @param workDays - Indexes of the days they work
+ * @param travelDates - Dates they travel
+ * @param dropThresholdDays - Break length that counts as a drop/pickup
+ */
+function codeCastDays(days: DOODDay[], workDays: number[], travelDates: string[], dropThresholdDays: number): DOODCode[] {
+  const cells: DOODCode[] = days.map(day => (travelDates.includes(day.date) ? 'T' : ''));
+  if (workDays.length === 0) return cells;
+
+  const first = workDays[0];
+  const last = workDays[workDays.length - 1];
+  const drops = new Set<number>(); // work day indexes followed by a drop
+
+  workDays.forEach((dayIndex, i) => {
+    const next = workDays[i + 1];
+    if (next === undefined) return;
+    if (daysBetween(days[dayIndex].date, days[next].date) >= dropThresholdDays) {
+      drops.add(dayIndex);
+    } else {
+      for (let held = dayIndex + 1; held < next; held++) {
+        if (!cells[held]) cells[held] = 'H';
+      }
+    }
+  });
+
+  workDays.forEach((dayIndex, i) => {
+    const pickup = i > 0 && drops.has(workDays[i - 1]);
+    let prefix = '';
+    if (dayIndex === first) prefix = 'S';
+    else if (pickup) prefix = 'P';
+
+    let suffix = '';
+    if (dayIndex === last) suffix = 'F';
+    else if (drops.has(dayIndex)) suffix = 'D';
+
+    cells[dayIndex] = `${prefix}W${suffix}`;
+  });
+
+  return cells;
+}
+
+/**
+ * Builds the cast Day Out of Days: one row per cast element, one column per
+ * shoot day (off days are skipped). A cast member works the days whose scenes they are linked to,
+ * holds between work days, and is dropped and picked up again across breaks
+ * of `dropThresholdDays` or more. Travel days come from the element's
+ * `customFields.travelDates`; rows are ordered by `customFields.castNumber`,
+ * then by start date.
+ * @param stripDays - Strip days
+ * @param scenes - Project scenes
+ * @param elements - Project elements; only cast elements become rows
+ * @param options - Contacts for actor names and the drop/pickup threshold
+ * @returns DOOD report
+ */
+export function generateDOOD(
+  stripDays: StripDay[],
+  scenes: Scene[],
+  elements: Element[],
+  options: DOODOptions = {}
+): DOODReport {
+  const { contacts = [], dropThresholdDays = 10 } = options;
+  const days = stripDays
+    .filter(day => !isOffDay(day))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((day, index) => ({ dayId: day.id, date: day.date, dayNumber: index + 1, sceneOrder: day.sceneOrder }));
+  const contactsById = new Map(contacts.map(contact => [contact.id, contact]));
+
+  const rows = elements.filter(isCastElement).map((element) => {
+    const sceneIds = new Set([
+      ...(element.linkedSceneIds || []),
+      ...scenes.filter(scene => scene.elementIds?.includes(element.id)).map(scene => scene.id)
+    ]);
+    const workDays = days
+      .map((day, index) => (day.sceneOrder.some(sceneId => sceneIds.has(sceneId)) ? index : -1))
+      .filter(index => index !== -1);
+    const travelDates: string[] = Array.isArray(element.customFields?.travelDates) ? element.customFields.travelDates : [];
+    const cells = codeCastDays(days, workDays, travelDates, dropThresholdDays);
+
+    const count = (test: (code: DOODCode) => boolean) => cells.filter(test).length;
+    const work = count(code => code.includes('W'));
+    const hold = count(code => code === 'H');
+    const travel = count(code => code === 'T');
+    const idle = workDays.length > 0
+      ? cells.slice(workDays[0], workDays[workDays.length - 1] + 1).filter(code => code === '').length
+      : 0;
+
+    return {
+      elementId: element.id,
+      castNumber: Number(element.customFields?.castNumber) || 0,
+      name: element.name,
+      actorName: element.linkedActorId ? contactsById.get(element.linkedActorId)?.name : undefined,
+      cells,
+      start: workDays.length > 0 ? days[workDays[0]].date : null,
+      finish: workDays.length > 0 ? days[workDays[workDays.length - 1]].date : null,
+      work,
+      hold,
+      idle,
+      travel,
+      total: work + hold + travel
+    };
+  });
+
+  rows.sort((a, b) =>
+    (a.castNumber || Infinity) - (b.castNumber || Infinity)
+    || (a.start ?? '\uffff').localeCompare(b.start ?? '\uffff')
+    || a.name.localeCompare(b.name));
+
+  // Unnumbered cast are numbered after the highest cast number
+  let next = Math.max(0, ...rows.map(row => row.castNumber));
+  rows.forEach((row) => {
+    if (!row.castNumber) row.castNumber = ++next;
+  });
+
+  return {
+    days: days.map(({ dayId, date, dayNumber }) => ({ dayId, date, dayNumber })),
+    rows
+  };
+}
+
+/**
+ * Generates CSV content from a DOOD report
+ * @param report - Result of generateDOOD
+ * @returns CSV content as string
+ */
+export function exportDOODToCSV(report: DOODReport): string {
+  const headers = [
+    'Cast #', 'Character', 'Actor',
+    ...report.days.map(day => `Day ${day.dayNumber} (${day.date})`),
+    'Travel', 'Work', 'Hold', 'Idle', 'Start', 'Finish', 'Total'
+  ];
+  const escape = (value: unknown) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+  const csvRows = [headers.map(escape).join(',')];
+  report.rows.forEach((row) => {
+    csvRows.push([
+      row.castNumber, row.name, row.actorName,
+      ...row.cells,
+      row.travel, row.work, row.hold, row.idle, row.start, row.finish, row.total
+    ].map(escape).join(','));
+  });
+
+  return csvRows.join('\n');
+}
+
+// Landscape letter, in points
+const PDF_PAGE = { width: 792, height: 612, margin: 36 };
+const PDF_FONT_SIZE = 7;
+const PDF_ROW_HEIGHT = 11;
+const PDF_CHAR_WIDTH = PDF_FONT_SIZE * 0.6; // Courier
+const PDF_NAME_CHARS = 22;
+const PDF_DAY_CHARS = 5;
+const PDF_TOTAL_CHARS = 6;
+const PDF_TOTALS = ['Trav', 'Work', 'Hold', 'Idle', 'Total'];
+
+/**
+ * Renders a DOOD report as a landscape PDF. Days that don't fit across one
+ * page continue on further pages, each repeating the cast column; totals are
+ * printed with the last days.
+ * @param report - Result of generateDOOD
+ * @param title - Production title for the page header
+ * @returns application/pdf blob
+ */
+export function createDOODPDF(report: DOODReport, title = ''): Blob {
+  const heading = title ? `${title} - Day Out of Days` : 'Day Out of Days';
+  const usableWidth = PDF_PAGE.width - 2 * PDF_PAGE.margin;
+  const daysPerPage = Math.max(1, Math.floor(
+    (usableWidth / PDF_CHAR_WIDTH - 4 - PDF_NAME_CHARS - PDF_TOTALS.length * PDF_TOTAL_CHARS) / PDF_DAY_CHARS
+  ));
+  const rowsPerPage = Math.max(1, Math.floor((PDF_PAGE.height - 2 * PDF_PAGE.margin) / PDF_ROW_HEIGHT) - 4);
+
+  const dayChunks: DOODDay[][] = [];
+  for (let i = 0; i < Math.max(report.days.length, 1); i += daysPerPage) {
+    dayChunks.push(report.days.slice(i, i + daysPerPage));
+  }
+  const rowChunks: DOODRow[][] = [];
+  for (let i = 0; i < Math.max(report.rows.length, 1); i += rowsPerPage) {
+    rowChunks.push(report.rows.slice(i, i + rowsPerPage));
+  }
+
+  const text = (column: number, line: number, value: string) => {
+    const x = PDF_PAGE.margin + column * PDF_CHAR_WIDTH;
+    const y = PDF_PAGE.height - PDF_PAGE.margin - line * PDF_ROW_HEIGHT - PDF_FONT_SIZE;
+    return pdfText(x, y, value, PDF_FONT_SIZE);
+  };
+  const fit = (value: string, width: number) => (value.length > width - 1 ? value.slice(0, width - 1) : value);
+
+  const contents: string[] = [];
+  dayChunks.forEach((days, chunkIndex) => {
+    const withTotals = chunkIndex === dayChunks.length - 1;
+    const offset = chunkIndex * daysPerPage;
+    const dayColumn = (i: number) => 4 + PDF_NAME_CHARS + i * PDF_DAY_CHARS;
+    const totalColumn = (i: number) => dayColumn(days.length) + i * PDF_TOTAL_CHARS;
+
+    rowChunks.forEach((rows) => {
+      const commands = [
+        text(0, 0, heading.toUpperCase()),
+        text(0, 2, '#'),
+        text(4, 2, 'Cast'),
+        ...days.flatMap((day, i) => [
+          text(dayColumn(i), 2, `D${day.dayNumber}`),
+          text(dayColumn(i), 3, day.date.slice(5).replace('-', '/'))
+        ]),
+        ...(withTotals ? PDF_TOTALS.map((label, i) => text(totalColumn(i), 2, label)) : [])
+      ];
+
+      rows.forEach((row, i) => {
+        const line = 4 + i;
+        commands.push(text(0, line, String(row.castNumber)));
+        commands.push(text(4, line, fit(row.actorName ? `${row.name} (${row.actorName})` : row.name, PDF_NAME_CHARS)));
+        days.forEach((_, dayIndex) => {
+          const code = row.cells[offset + dayIndex];
+          if (code) commands.push(text(dayColumn(dayIndex), line, code));
+        });
+        if (withTotals) {
+          [row.travel, row.work, row.hold, row.idle, row.total].forEach((value, totalIndex) => {
+            commands.push(text(totalColumn(totalIndex), line, String(value)));
+          });
+        }
+      });
+
+      contents.push(commands.join('\n'));
+    });
+  });
+
+  return pdfBlob(writePDF(contents, heading, PDF_PAGE));
+}
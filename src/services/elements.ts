@@ -12,9 +12,13 @@ import {
   orderBy,
   onSnapshot,
   serverTimestamp,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
   Unsubscribe 
 } from 'firebase/firestore';
 import { db } from '../lib/firebase.client';
+import { getBudgetLineItemsByScope } from './budget';
 
 export interface Element {
   id: string;
@@ -25,6 +29,7 @@ export interface Element {
   linkedActorId?: string;
   customFields: Record<string, any>;
   estCostCents?: number;
+  aliases?: string[]; // names of elements merged into this one
   createdAt: any; // serverTimestamp
   updatedAt: any; // serverTimestamp
 }
@@ -47,6 +52,80 @@ export interface UpdateElementData {
   linkedActorId?: string;
   customFields?: Record<string, any>;
   estCostCents?: number;
+  aliases?: string[];
+}
+
+// Element types that are cast members (tagged in the script as characters)
+export const CAST_ELEMENT_TYPES = ['character', 'cast'];
+
+/**
+ * Checks whether an element is a cast member
+ * @param element - The element to check
+ * @returns True for character/cast elements
+ */
+export function isCastElement(element: Pick<Element, 'type'>): boolean {
+  return CAST_ELEMENT_TYPES.includes(element.type);
+}
+
+/**
+ * Name an element is matched on: case, punctuation, a leading article and
+ * qualifiers in brackets are ignored, so "The Gun", "gun" and "Gun (Mike's)"
+ * are all "gun"
+ * @param name - Element name
+ * @returns Normalized name
+ */
+export function normalizeElementName(name: string): string {
+  const normalized = name
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^(the|a|an) /, '');
+  // A name that's all qualifier is matched as it is
+  return normalized || name.trim().toLowerCase();
+}
+
+const elementKey = (type: string, name: string) => `${type}:${normalizeElementName(name)}`;
+
+/**
+ * Finds the element a tag with this type and name belongs to, by its name or
+ * any of its aliases
+ * @param elements - Project elements
+ * @param type - Element type
+ * @param name - Tagged name
+ * @returns The element, or undefined if there is none
+ */
+export function findElementByName(elements: Element[], type: string, name: string): Element | undefined {
+  const key = elementKey(type, name);
+  return elements.find(element =>
+    [element.name, ...(element.aliases || [])].some(candidate => elementKey(element.type, candidate) === key));
+}
+
+/**
+ * Groups elements of the same type whose names (or aliases) normalize to the
+ * same name
+ * @param elements - Project elements
+ * @returns Groups of two or more likely duplicates, most linked scenes first
+ */
+export function findDuplicateElements(elements: Element[]): Element[][] {
+  const groups: Element[][] = [];
+  const groupByKey = new Map<string, Element[]>();
+
+  elements.forEach((element) => {
+    const keys = [element.name, ...(element.aliases || [])].map(name => elementKey(element.type, name));
+    const group = keys.map(key => groupByKey.get(key)).find(Boolean);
+    if (group) {
+      group.push(element);
+    } else {
+      groups.push([element]);
+    }
+    keys.forEach(key => groupByKey.set(key, group || groups[groups.length - 1]));
+  });
+
+  return groups
+    .filter(group => group.length > 1)
+    .map(group => [...group].sort((a, b) => (b.linkedSceneIds?.length || 0) - (a.linkedSceneIds?.length || 0)));
 }
 
 export interface ElementFilters {
@@ -63,8 +142,17 @@ export interface ElementFilters {
  */
 export async function createElement(projectId: string, data: CreateElementData): Promise<string> {
   const elementsCollection = collection(db, 'projects', projectId, 'elements');
-  
-  const elementData = {
+  const docRef = await addDoc(elementsCollection, buildElementData(data));
+  return docRef.id;
+}
+
+/**
+ * The document a new element is stored as, for writing it in a batch
+ * @param data - Element data
+ * @returns Firestore document data
+ */
+export function buildElementData(data: CreateElementData) {
+  return {
     type: data.type,
     name: data.name,
     category: data.category,
@@ -75,9 +163,6 @@ export async function createElement(projectId: string, data: CreateElementData):
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp()
   };
-
-  const docRef = await addDoc(elementsCollection, elementData);
-  return docRef.id;
 }
 
 /**
@@ -133,6 +218,98 @@ export async function deleteElement(projectId: string, elementId: string): Promi
   await deleteDoc(elementDoc);
 }
 
+/**
+ * Creates elements that don't exist yet, matching existing ones by type and
+ * normalized name or alias, e.g. breakdown tags carried in from an imported script
+ * @param projectId - The project ID
+ * @param elements - Elements to import
+ * @returns Promise with the matching or created element ID for each input, in order
+ */
+export async function importElements(projectId: string, elements: CreateElementData[]): Promise<string[]> {
+  const existing = await listElements(projectId);
+  // Names of merged elements still lead to the element they were merged into
+  const idsByKey = new Map(existing.flatMap(element =>
+    [element.name, ...(element.aliases || [])].map(name => [elementKey(element.type, name), element.id] as const)));
+  const ids: string[] = [];
+
+  for (const element of elements) {
+    const key = elementKey(element.type, element.name);
+    let id = idsByKey.get(key);
+    if (!id) {
+      id = await createElement(projectId, element);
+      idsByKey.set(key, id);
+    }
+    ids.push(id);
+  }
+
+  return ids;
+}
+
+/**
+ * Merges duplicate elements into one. The kept element takes over the others'
+ * scenes and element-scoped budget line items, gains any custom fields, actor
+ * and cost it lacks, and keeps their names as aliases; the others are deleted.
+ * All of it is written in one batch, so a failed merge leaves nothing half moved.
+ * @param projectId - The project ID
+ * @param targetId - The element to keep
+ * @param sourceIds - The elements merged into it
+ * @returns Promise that resolves when the elements are merged
+ */
+export async function mergeElements(projectId: string, targetId: string, sourceIds: string[]): Promise<void> {
+  const target = await getElement(projectId, targetId);
+  if (!target) throw new Error(`Element ${targetId} not found`);
+
+  const sources = (await Promise.all(
+    sourceIds.filter(id => id !== targetId).map(id => getElement(projectId, id))
+  )).filter((source): source is Element => source !== null);
+
+  const lineItems = (await Promise.all(
+    sources.map(source => getBudgetLineItemsByScope(projectId, 'element', source.id))
+  )).flat();
+
+  const batch = writeBatch(db);
+
+  // Scenes swap the merged elements for the kept one
+  const sceneIds = [...new Set(sources.flatMap(source => source.linkedSceneIds || []))];
+  sceneIds.forEach((sceneId) => {
+    const sceneDoc = doc(db, 'projects', projectId, 'scenes', sceneId);
+    batch.update(sceneDoc, { elementIds: arrayUnion(targetId), updatedAt: serverTimestamp() });
+    batch.update(sceneDoc, { elementIds: arrayRemove(...sources.map(source => source.id)) });
+  });
+
+  lineItems.forEach((item) => {
+    batch.update(doc(db, 'projects', projectId, 'budgets', 'main', 'lineItems', item.id), {
+      refId: targetId,
+      updatedAt: serverTimestamp()
+    });
+  });
+
+  const targetKey = normalizeElementName(target.name);
+  const aliases = [...(target.aliases || []), ...sources.flatMap(source => [source.name, ...(source.aliases || [])])]
+    .filter((alias, index, all) => normalizeElementName(alias) !== targetKey && all.indexOf(alias) === index);
+
+  // The kept element's own values win over the merged ones
+  const merged = sources.reduce<Partial<Element>>((values, source) => ({
+    ...values,
+    linkedActorId: values.linkedActorId || source.linkedActorId,
+    estCostCents: values.estCostCents ?? source.estCostCents,
+    customFields: { ...source.customFields, ...values.customFields }
+  }), target);
+
+  batch.update(doc(db, 'projects', projectId, 'elements', targetId), {
+    customFields: merged.customFields || {},
+    ...(merged.linkedActorId && { linkedActorId: merged.linkedActorId }),
+    ...(merged.estCostCents !== undefined && { estCostCents: merged.estCostCents }),
+    ...(sceneIds.length > 0 && { linkedSceneIds: arrayUnion(...sceneIds) }),
+    aliases,
+    updatedAt: serverTimestamp()
+  });
+
+  sources.forEach(source => batch.delete(doc(db, 'projects', projectId, 'elements', source.id)));
+
+  await batch.commit();
+}
+
 /**
  * Lists all elements for a project, ordered by name
  * @param projectId - The project ID
@@ -0,0 +1,472 @@
+// src/services/emergencyFacilities.ts
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  getDocs,
+  query,
+  orderBy,
+  onSnapshot,
+  writeBatch,
+  serverTimestamp,
+  Unsubscribe
+} from 'firebase/firestore';
+import { db } from '../lib/firebase.client';
+import { calculateDistance, validateCoordinates } from './locations';
+
+// Firestore commits at most 500 writes at once
+const MAX_BATCH_WRITES = 500;
+
+export type EmergencyFacilityType = 'hospital' | 'urgent_care' | 'fire' | 'police' | 'other';
+
+export const EMERGENCY_FACILITY_TYPES: { value: EmergencyFacilityType; label: string }[] = [
+  { value: 'hospital', label: 'Hospital' },
+  { value: 'urgent_care', label: 'Urgent Care' },
+  { value: 'fire', label: 'Fire Station' },
+  { value: 'police', label: 'Police' },
+  { value: 'other', label: 'Other' }
+];
+
+export const DEFAULT_FACILITY_COUNT = 3;
+export const DEFAULT_SAFE_RADIUS_KM = 30;
+
+// For drive time estimates, allowing for roads not running straight
+const ROAD_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = 50;
+
+/**
+ * A hospital, urgent care or other emergency service in the project's
+ * registry, for filling in the nearest facilities on call sheets
+ */
+export interface EmergencyFacility {
+  id: string;
+  name: string;
+  type: EmergencyFacilityType;
+  address?: string;
+  phone?: string;
+  coordinates: {
+    lat: number;
+    lng: number;
+  };
+  emergencyRoom?: boolean; // has a 24-hour emergency department
+  notes?: string;
+  source?: string; // where it was imported from, e.g. a file name
+  createdAt: any; // serverTimestamp
+  updatedAt: any; // serverTimestamp
+}
+
+export interface CreateEmergencyFacilityData {
+  name: string;
+  type: EmergencyFacilityType;
+  address?: string;
+  phone?: string;
+  coordinates: {
+    lat: number;
+    lng: number;
+  };
+  emergencyRoom?: boolean;
+  notes?: string;
+  source?: string;
+}
+
+export type UpdateEmergencyFacilityData = Partial<CreateEmergencyFacilityData>;
+
+/**
+ * Facilities read from an import file, with the rows that couldn't be read
+ */
+export interface ParsedFacilities {
+  facilities: CreateEmergencyFacilityData[];
+  errors: string[];
+}
+
+export interface NearbyFacility {
+  facility: EmergencyFacility;
+  distanceKm: number;
+  travelNotes: string;
+}
+
+export interface NearestFacilitiesOptions {
+  count?: number;
+  types?: EmergencyFacilityType[]; // defaults to hospitals and urgent care
+  safeRadiusKm?: number;
+}
+
+// Firestore rejects undefined fields
+const withoutUndefined = <T extends object>(data: T): T =>
+  Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined)) as T;
+
+/**
+ * Creates a facility
+ * @param projectId - The project ID
+ * @param data - Facility data
+ * @returns Promise with the created facility ID
+ */
+export async function createEmergencyFacility(projectId: string, data: CreateEmergencyFacilityData): Promise<string> {
+  const facilitiesCollection = collection(db, 'projects', projectId, 'emergencyFacilities');
+  const docRef = await addDoc(facilitiesCollection, {
+    ...withoutUndefined(data),
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+  return docRef.id;
+}
+
+/**
+ * Updates a facility
+ * @param projectId - The project ID
+ * @param facilityId - The facility ID
+ * @param data - Fields to change
+ * @returns Promise that resolves when the facility is updated
+ */
+export async function updateEmergencyFacility(
+  projectId: string,
+  facilityId: string,
+  data: UpdateEmergencyFacilityData
+): Promise<void> {
+  const facilityDoc = doc(db, 'projects', projectId, 'emergencyFacilities', facilityId);
+  await updateDoc(facilityDoc, {
+    ...withoutUndefined(data),
+    updatedAt: serverTimestamp()
+  });
+}
+
+/**
+ * Deletes a facility
+ * @param projectId - The project ID
+ * @param facilityId - The facility ID
+ * @returns Promise that resolves when the facility is deleted
+ */
+export async function deleteEmergencyFacility(projectId: string, facilityId: string): Promise<void> {
+  await deleteDoc(doc(db, 'projects', projectId, 'emergencyFacilities', facilityId));
+}
+
+/**
+ * Lists the project's facilities, ordered by name
+ * @param projectId - The project ID
+ * @returns Promise with the facilities
+ */
+export async function listEmergencyFacilities(projectId: string): Promise<EmergencyFacility[]> {
+  const facilitiesCollection = collection(db, 'projects', projectId, 'emergencyFacilities');
+  const querySnapshot = await getDocs(query(facilitiesCollection, orderBy('name')));
+
+  return querySnapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  })) as EmergencyFacility[];
+}
+
+/**
+ * Subscribes to the project's facilities
+ * @param projectId - The project ID
+ * @param callback - Called with the facilities, ordered by name
+ * @returns Unsubscribe function to stop listening
+ */
+export function subscribeEmergencyFacilities(
+  projectId: string,
+  callback: (facilities: EmergencyFacility[]) => void
+): Unsubscribe {
+  const facilitiesCollection = collection(db, 'projects', projectId, 'emergencyFacilities');
+
+  return onSnapshot(query(facilitiesCollection, orderBy('name')), (querySnapshot) => {
+    callback(querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    })) as EmergencyFacility[]);
+  });
+}
+
+// Splits a CSV line, honoring quoted values with commas and doubled quotes
+const splitCSVLine = (line: string): string[] => {
+  const values: string[] = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value.trim());
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  values.push(value.trim());
+  return values;
+};
+
+const FACILITY_TYPE_ALIASES: Record<string, EmergencyFacilityType> = {
+  hospital: 'hospital',
+  clinic: 'urgent_care',
+  urgent_care: 'urgent_care',
+  'urgent care': 'urgent_care',
+  doctors: 'urgent_care',
+  fire: 'fire',
+  fire_station: 'fire',
+  'fire station': 'fire',
+  police: 'police'
+};
+
+/**
+ * Reads a facility type, e.g. "Urgent Care" or an OpenStreetMap amenity
+ * @param value - Type name
+ * @returns The type, 'hospital' when empty and 'other' when unknown
+ */
+export function parseFacilityType(value?: string): EmergencyFacilityType {
+  if (!value) return 'hospital';
+  return FACILITY_TYPE_ALIASES[value.trim().toLowerCase()] || 'other';
+}
+
+const parseYesNo = (value?: string | boolean): boolean | undefined => {
+  if (typeof value === 'boolean') return value;
+  if (!value) return undefined;
+  return ['yes', 'y', 'true', '1'].includes(value.trim().toLowerCase());
+};
+
+/**
+ * Reads facilities from CSV. The header row names the columns: name, type,
+ * address, phone, lat (or latitude), lng (or lon, longitude), emergency and notes.
+ * @param csvContent - Raw CSV content
+ * @param source - Recorded on each facility, e.g. the file name
+ * @returns The facilities and an error for each row without a name or valid coordinates
+ */
+export function parseFacilitiesCSV(csvContent: string, source?: string): ParsedFacilities {
+  const lines = csvContent.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return { facilities: [], errors: ['The file is empty'] };
+
+  const headers = splitCSVLine(lines[0]).map(header => header.toLowerCase());
+  const column = (...names: string[]) => headers.findIndex(header => names.includes(header));
+  const columns = {
+    name: column('name'),
+    type: column('type', 'amenity'),
+    address: column('address'),
+    phone: column('phone', 'telephone'),
+    lat: column('lat', 'latitude'),
+    lng: column('lng', 'lon', 'long', 'longitude'),
+    emergency: column('emergency', 'er'),
+    notes: column('notes')
+  };
+  if (columns.name === -1 || columns.lat === -1 || columns.lng === -1) {
+    return { facilities: [], errors: ['The header row needs name, lat and lng columns'] };
+  }
+
+  const facilities: CreateEmergencyFacilityData[] = [];
+  const errors: string[] = [];
+  lines.slice(1).forEach((line, index) => {
+    const values = splitCSVLine(line);
+    const value = (columnIndex: number) => (columnIndex === -1 ? undefined : values[columnIndex] || undefined);
+    const name = value(columns.name);
+    const lat = Number(value(columns.lat));
+    const lng = Number(value(columns.lng));
+    const row = index + 2;
+
+    if (!name) {
+      errors.push(`Row ${row}: missing name`);
+      return;
+    }
+    if (!value(columns.lat) || !value(columns.lng) || !validateCoordinates(lat, lng)) {
+      errors.push(`Row ${row}: ${name} has no valid coordinates`);
+      return;
+    }
+
+    facilities.push(withoutUndefined({
+      name,
+      type: parseFacilityType(value(columns.type)),
+      address: value(columns.address),
+      phone: value(columns.phone),
+      coordinates: { lat, lng },
+      emergencyRoom: parseYesNo(value(columns.emergency)),
+      notes: value(columns.notes),
+      source
+    }));
+  });
+
+  return { facilities, errors };
+}
+
+/**
+ * Reads facilities from a GeoJSON FeatureCollection of points, such as an
+ * OpenStreetMap export. Properties may use plain names (name, type, address,
+ * phone, emergency, notes) or OpenStreetMap tags (amenity, addr:*, contact:phone).
+ * @param geojson - GeoJSON text or object
+ * @param source - Recorded on each facility, e.g. the file name
+ * @returns The facilities and an error for each feature that isn't a named point
+ */
+export function parseFacilitiesGeoJSON(geojson: string | Record<string, any>, source?: string): ParsedFacilities {
+  let data: Record<string, any>;
+  try {
+    data = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  } catch {
+    return { facilities: [], errors: ['The file is not valid JSON'] };
+  }
+  const features: any[] = data?.type === 'FeatureCollection' ? data.features || [] : data?.type === 'Feature' ? [data] : [];
+  if (features.length === 0) return { facilities: [], errors: ['No features found'] };
+
+  const facilities: CreateEmergencyFacilityData[] = [];
+  const errors: string[] = [];
+  features.forEach((feature, index) => {
+    const properties = feature?.properties || {};
+    const name = properties.name;
+    if (!name) {
+      errors.push(`Feature ${index + 1}: missing name`);
+      return;
+    }
+    if (feature.geometry?.type !== 'Point') {
+      errors.push(`Feature ${index + 1}: ${name} is not a point`);
+      return;
+    }
+    // GeoJSON positions are [longitude, latitude]
+    const [lng, lat] = feature.geometry.coordinates || [];
+    if (typeof lat !== 'number' || typeof lng !== 'number' || !validateCoordinates(lat, lng)) {
+      errors.push(`Feature ${index + 1}: ${name} has no valid coordinates`);
+      return;
+    }
+
+    const street = [properties['addr:housenumber'], properties['addr:street']].filter(Boolean).join(' ');
+    const address = properties.address
+      || [street, properties['addr:city'], properties['addr:postcode']].filter(Boolean).join(', ')
+      || undefined;
+
+    facilities.push(withoutUndefined({
+      name: String(name),
+      type: parseFacilityType(properties.type || properties.amenity || properties.healthcare),
+      address,
+      phone: properties.phone || properties['contact:phone'] || undefined,
+      coordinates: { lat, lng },
+      emergencyRoom: parseYesNo(properties.emergency),
+      notes: properties.notes || undefined,
+      source
+    }));
+  });
+
+  return { facilities, errors };
+}
+
+/**
+ * Reads an import file, as GeoJSON when it looks like JSON and CSV otherwise
+ * @param content - File content
+ * @param fileName - File name, recorded as the source
+ * @returns The facilities and errors
+ */
+export function parseFacilitiesFile(content: string, fileName?: string): ParsedFacilities {
+  const isJSON = /\.(geo)?json$/i.test(fileName || '') || /^\s*[{[]/.test(content);
+  return isJSON ? parseFacilitiesGeoJSON(content, fileName) : parseFacilitiesCSV(content, fileName);
+}
+
+/**
+ * Adds imported facilities to the registry, skipping any with the same name
+ * as an existing facility within 100 m
+ * @param projectId - The project ID
+ * @param facilities - Facilities to add, from parseFacilitiesFile
+ * @returns Promise with the number of facilities added and skipped
+ */
+export async function importEmergencyFacilities(
+  projectId: string,
+  facilities: CreateEmergencyFacilityData[]
+): Promise<{ created: number; skipped: number }> {
+  const existing: { name: string; coordinates: { lat: number; lng: number } }[] = await listEmergencyFacilities(projectId);
+  const isDuplicate = (facility: CreateEmergencyFacilityData) => existing.some(other =>
+    other.name.toLowerCase() === facility.name.toLowerCase()
+    && calculateDistance(other.coordinates, facility.coordinates) < 0.1);
+
+  const added = facilities.filter((facility) => {
+    if (isDuplicate(facility)) return false;
+    existing.push(facility);
+    return true;
+  });
+
+  const facilitiesCollection = collection(db, 'projects', projectId, 'emergencyFacilities');
+  for (let start = 0; start < added.length; start += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    added.slice(start, start + MAX_BATCH_WRITES).forEach((facility) => {
+      batch.set(doc(facilitiesCollection), {
+        ...withoutUndefined(facility),
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+    });
+    await batch.commit();
+  }
+
+  return { created: added.length, skipped: facilities.length - added.length };
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Compass direction from one point to another
+ * @returns e.g. "NE"
+ */
+export function getCompassDirection(
+  from: { lat: number; lng: number },
+  to: { lat: number; lng: number }
+): string {
+  const rad = Math.PI / 180;
+  const dLng = (to.lng - from.lng) * rad;
+  const y = Math.sin(dLng) * Math.cos(to.lat * rad);
+  const x = Math.cos(from.lat * rad) * Math.sin(to.lat * rad)
+    - Math.sin(from.lat * rad) * Math.cos(to.lat * rad) * Math.cos(dLng);
+  const bearing = (Math.atan2(y, x) / rad + 360) % 360;
+  return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+}
+
+/**
+ * Formats a distance in miles, as call sheets list them
+ * @param distanceKm - Distance in kilometers
+ * @returns e.g. "2.4 mi"
+ */
+export function formatFacilityDistance(distanceKm: number): string {
+  return `${(distanceKm / 1.609344).toFixed(1)} mi`;
+}
+
+/**
+ * Finds the facilities nearest to a point
+ * @param facilities - Facilities to search
+ * @param center - Coordinates of the shoot location
+ * @param options - How many to return, which types, and the radius within
+ *   which at least one facility should be
+ * @returns The nearest facilities with distance and travel notes, and whether
+ *   the nearest one is within the safe radius
+ */
+export function findNearestFacilities(
+  facilities: EmergencyFacility[],
+  center: { lat: number; lng: number },
+  options: NearestFacilitiesOptions = {}
+): { facilities: NearbyFacility[]; withinSafeRadius: boolean } {
+  const {
+    count = DEFAULT_FACILITY_COUNT,
+    types = ['hospital', 'urgent_care'],
+    safeRadiusKm = DEFAULT_SAFE_RADIUS_KM
+  } = options;
+
+  const nearest = facilities
+    .filter(facility => types.includes(facility.type) && facility.coordinates)
+    .map(facility => ({ facility, distanceKm: calculateDistance(center, facility.coordinates) }))
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, count)
+    .map(({ facility, distanceKm }) => {
+      const minutes = Math.max(1, Math.round((distanceKm * ROAD_FACTOR / AVERAGE_SPEED_KMH) * 60));
+      const notes = [
+        `${getCompassDirection(center, facility.coordinates)} of set, about ${minutes} min drive`,
+        ...(facility.type === 'hospital' && facility.emergencyRoom === false ? ['no emergency room'] : []),
+        ...(facility.type === 'urgent_care' ? ['urgent care, not for major trauma'] : [])
+      ];
+      return { facility, distanceKm, travelNotes: notes.join('; ') };
+    });
+
+  return {
+    facilities: nearest,
+    withinSafeRadius: nearest.length > 0 && nearest[0].distanceKm <= safeRadiusKm
+  };
+}
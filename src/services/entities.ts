@@ -0,0 +1,420 @@
+// src/services/entities.ts
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  getDocs,
+  query,
+  where,
+  onSnapshot,
+  serverTimestamp,
+  DocumentReference,
+  Query,
+  QueryConstraint,
+  Unsubscribe
+} from 'firebase/firestore';
+import { db, auth } from '../lib/firebase.client';
+
+export type EntityScope = 'project' | 'root';
+
+export interface EntityRecord {
+  id: string;
+  project_id?: string;
+  created_date: string;
+  updated_date: string;
+  [field: string]: any;
+}
+
+/**
+ * Filter query used by the legacy components, e.g.
+ * `{ project_id: 'abc', status: 'pending' }` or `{ av_segment_id: { $in: ids } }`
+ */
+export type EntityQuery = Record<string, any>;
+
+export interface EntityParent {
+  /** Field on the record holding the parent's ID (e.g. `mood_board_id`) */
+  key: string;
+  /** Lazily resolved so entities can reference each other in any order */
+  entity: () => Entity;
+}
+
+export interface EntityConfig {
+  /** Firestore collection name (a subcollection of projects/{id} for project scope) */
+  collectionName: string;
+  scope?: EntityScope;
+  /**
+   * For records created or queried without a `project_id`, where to inherit it
+   * from. Only works once the parent has been read; pass `project_id` otherwise.
+   */
+  parent?: EntityParent;
+}
+
+export interface Entity {
+  readonly collectionName: string;
+  readonly scope: EntityScope;
+  filter(where?: EntityQuery, sort?: string, limit?: number): Promise<EntityRecord[]>;
+  /** Root records only; project records are listed with `filter({ project_id })` */
+  list(sort?: string, limit?: number): Promise<EntityRecord[]>;
+  /** `projectId` locates project records not yet seen through filter or subscribe */
+  get(id: string, projectId?: string): Promise<EntityRecord | null>;
+  create(data: Record<string, any>): Promise<EntityRecord>;
+  update(id: string, data: Record<string, any>): Promise<EntityRecord>;
+  /** `projectId` locates project records not yet seen through filter or subscribe */
+  delete(id: string, projectId?: string): Promise<void>;
+  subscribe(
+    where: EntityQuery,
+    callback: (records: EntityRecord[]) => void,
+    sort?: string
+  ): Unsubscribe;
+}
+
+// Firestore caps `in` filters at 30 values
+const IN_QUERY_CHUNK_SIZE = 30;
+
+/**
+ * Sorts records by a `field` / `-field` spec. Sorting happens client-side so
+ * legacy sort keys never require composite indexes and records missing the
+ * field are kept (they sort last).
+ * @param records - Records to sort
+ * @param sort - Field name, prefixed with `-` for descending order
+ * @returns A new, sorted array
+ */
+export function sortRecords<T extends Record<string, any>>(records: T[], sort?: string): T[] {
+  if (!sort) {
+    return [...records];
+  }
+
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+
+  return [...records].sort((a, b) => {
+    const aValue = a[field];
+    const bValue = b[field];
+
+    if (aValue === bValue) return 0;
+    if (aValue === undefined || aValue === null) return 1;
+    if (bValue === undefined || bValue === null) return -1;
+
+    const result = aValue < bValue ? -1 : 1;
+    return descending ? -result : result;
+  });
+}
+
+/**
+ * Strips fields Firestore cannot store (undefined values) and fields owned by
+ * the entity layer (`id`, `created_date`)
+ */
+function sanitizeUpdate(data: Record<string, any>): Record<string, any> {
+  const clean: Record<string, any> = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (value !== undefined && key !== 'id' && key !== 'created_date') {
+      clean[key] = value;
+    }
+  });
+  return clean;
+}
+
+/**
+ * Splits a legacy query into the project the records live under and the
+ * remaining field conditions
+ */
+function toConstraints(filters: EntityQuery, scope: EntityScope): {
+  projectId?: string;
+  constraints: QueryConstraint[][];
+} {
+  const { project_id: projectId, ...fields } = filters;
+  const base: QueryConstraint[] = [];
+  let inField: string | undefined;
+  let inValues: any[] = [];
+
+  // Root collections don't encode the project in their path
+  if (scope === 'root' && projectId !== undefined) {
+    base.push(where('project_id', '==', projectId));
+  }
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value && typeof value === 'object' && Array.isArray(value.$in)) {
+      inField = field;
+      inValues = value.$in;
+    } else {
+      base.push(where(field, '==', value));
+    }
+  });
+
+  if (!inField) {
+    return { projectId, constraints: [base] };
+  }
+
+  const chunks: QueryConstraint[][] = [];
+  for (let i = 0; i < inValues.length; i += IN_QUERY_CHUNK_SIZE) {
+    chunks.push([...base, where(inField, 'in', inValues.slice(i, i + IN_QUERY_CHUNK_SIZE))]);
+  }
+  return { projectId, constraints: chunks };
+}
+
+/**
+ * Creates a Firestore-backed entity exposing the `filter/list/get/create/update/delete/subscribe`
+ * contract used by the legacy components. Project-scoped records live under
+ * projects/{project_id}/{collectionName} and are only ever queried there: queries
+ * without a `project_id` take it from the parent record, and records are found
+ * by ID through an earlier read or their `project_id`.
+ * @param config - Entity configuration
+ * @returns The entity
+ */
+export function createEntity(config: EntityConfig): Entity {
+  const { collectionName, parent } = config;
+  const scope: EntityScope = config.scope || 'project';
+
+  // Document paths seen through reads and writes, keyed by record ID
+  const knownRefs = new Map<string, DocumentReference>();
+
+  function collectionFor(projectId?: string) {
+    if (scope === 'root') {
+      return collection(db, collectionName);
+    }
+    return collection(db, 'projects', projectId as string, collectionName);
+  }
+
+  function toRecord(snapshot: { id: string; ref?: DocumentReference; data: () => any }): EntityRecord {
+    if (snapshot.ref) {
+      knownRefs.set(snapshot.id, snapshot.ref);
+    }
+    return {
+      ...snapshot.data(),
+      id: snapshot.id
+    } as EntityRecord;
+  }
+
+  async function resolveProjectId(data: Record<string, any>, action: 'create' | 'query'): Promise<string> {
+    if (data.project_id) {
+      return data.project_id;
+    }
+
+    // Records queried by several parents ($in) share the first parent's project
+    const parentValue = parent ? data[parent.key] : undefined;
+    const parentId = Array.isArray(parentValue?.$in) ? parentValue.$in[0] : parentValue;
+    if (parent && parentId) {
+      const parentRecord = await parent.entity().get(parentId);
+      if (parentRecord?.project_id) {
+        return parentRecord.project_id;
+      }
+      throw new Error(`Cannot ${action} ${collectionName} record${action === 'query' ? 's' : ''} without a project_id: ${parent.key} ${parentId} has not been loaded`);
+    }
+
+    throw new Error(`Cannot ${action} ${collectionName} record${action === 'query' ? 's' : ''} without a project_id`);
+  }
+
+  async function buildQueries(filters: EntityQuery): Promise<Query[]> {
+    const { constraints } = toConstraints(filters, scope);
+    // An empty $in matches nothing
+    if (constraints.length === 0) {
+      return [];
+    }
+
+    const source = scope === 'root' ? collectionFor() : collectionFor(await resolveProjectId(filters, 'query'));
+    return constraints.map(group => query(source, ...group));
+  }
+
+  function resolveRef(id: string, projectId?: string): DocumentReference | null {
+    const known = knownRefs.get(id);
+    if (known) {
+      return known;
+    }
+
+    if (scope === 'root') {
+      return doc(db, collectionName, id);
+    }
+    return projectId ? doc(db, 'projects', projectId, collectionName, id) : null;
+  }
+
+  const entity: Entity = {
+    collectionName,
+    scope,
+
+    async filter(filters = {}, sort, limit) {
+      const queries = await buildQueries(filters);
+      const snapshots = await Promise.all(queries.map(q => getDocs(q)));
+      const records = snapshots.flatMap(querySnapshot => querySnapshot.docs.map(toRecord));
+      const sorted = sortRecords(records, sort);
+      return limit ? sorted.slice(0, limit) : sorted;
+    },
+
+    async list(sort, limit) {
+      if (scope === 'project') {
+        throw new Error(`Cannot list ${collectionName} records without a project_id; use filter({ project_id })`);
+      }
+      return entity.filter({}, sort, limit);
+    },
+
+    async get(id, projectId) {
+      const ref = resolveRef(id, projectId);
+      if (!ref) {
+        return null;
+      }
+
+      const docSnap = await getDoc(ref);
+      if (docSnap.exists()) {
+        return toRecord(docSnap);
+      }
+
+      return null;
+    },
+
+    async create(data) {
+      const now = new Date().toISOString();
+      const fields = sanitizeUpdate(data);
+      let ref: DocumentReference;
+
+      if (scope === 'root') {
+        ref = doc(collectionFor());
+      } else {
+        fields.project_id = await resolveProjectId(data, 'create');
+        ref = doc(collectionFor(fields.project_id));
+      }
+
+      const recordData = {
+        ...fields,
+        id: ref.id,
+        created_by: auth.currentUser?.uid || null,
+        created_date: now,
+        updated_date: now,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+
+      await setDoc(ref, recordData);
+      knownRefs.set(ref.id, ref);
+
+      return {
+        ...recordData,
+        createdAt: null,
+        updatedAt: null
+      } as EntityRecord;
+    },
+
+    async update(id, data) {
+      const ref = resolveRef(id, data.project_id);
+      if (!ref) {
+        throw new Error(`${collectionName} record ${id} not found`);
+      }
+
+      const updateData: Record<string, any> = {
+        ...sanitizeUpdate(data),
+        // Callers may pin updated_date (e.g. auto-save stamps); keep the server copy too
+        updated_date: data.updated_date || new Date().toISOString(),
+        updatedAt: serverTimestamp()
+      };
+      if (data.created_date) {
+        updateData.created_date = data.created_date;
+      }
+
+      await updateDoc(ref, updateData);
+
+      const updated = await entity.get(id, data.project_id);
+      if (!updated) {
+        throw new Error(`${collectionName} record ${id} not found`);
+      }
+      return updated;
+    },
+
+    async delete(id, projectId) {
+      const ref = resolveRef(id, projectId);
+      if (!ref) {
+        throw new Error(`${collectionName} record ${id} not found`);
+      }
+
+      await deleteDoc(ref);
+      knownRefs.delete(id);
+    },
+
+    subscribe(filters, callback, sort) {
+      let unsubscribes: Unsubscribe[] = [];
+      let cancelled = false;
+
+      buildQueries(filters)
+        .then((queries) => {
+          if (cancelled) return;
+          if (queries.length === 0) {
+            callback([]);
+            return;
+          }
+
+          const results: EntityRecord[][] = queries.map(() => []);
+          unsubscribes = queries.map((q, index) =>
+            onSnapshot(q, (querySnapshot) => {
+              results[index] = querySnapshot.docs.map(toRecord);
+              callback(sortRecords(results.flat(), sort));
+            })
+          );
+        })
+        .catch(error => console.error(`Error subscribing to ${collectionName}:`, error));
+
+      return () => {
+        cancelled = true;
+        unsubscribes.forEach(unsubscribe => unsubscribe());
+      };
+    }
+  };
+
+  return entity;
+}
+
+export interface UserRecord {
+  id: string;
+  email: string | null;
+  full_name: string;
+  [field: string]: any;
+}
+
+/**
+ * Current-user entity backed by Firebase Auth plus a users/{uid} profile document
+ */
+export const UserEntity = {
+  /**
+   * Gets the signed-in user merged with their profile document
+   * @returns Promise with the user record
+   */
+  async me(): Promise<UserRecord> {
+    await auth.authStateReady();
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      throw new Error('Not authenticated');
+    }
+
+    const profileSnap = await getDoc(doc(db, 'users', currentUser.uid));
+    const profile = profileSnap.exists() ? profileSnap.data() : {};
+
+    return {
+      email: currentUser.email,
+      full_name: currentUser.displayName || currentUser.email || '',
+      ...profile,
+      id: currentUser.uid
+    };
+  },
+
+  /**
+   * Updates the signed-in user's profile document
+   * @param data - Profile fields to merge
+   * @returns Promise that resolves when the profile is saved
+   */
+  async updateMyUserData(data: Record<string, any>): Promise<void> {
+    await auth.authStateReady();
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      throw new Error('Not authenticated');
+    }
+
+    await setDoc(
+      doc(db, 'users', currentUser.uid),
+      {
+        ...sanitizeUpdate(data),
+        updated_date: new Date().toISOString(),
+        updatedAt: serverTimestamp()
+      },
+      { merge: true }
+    );
+  }
+};
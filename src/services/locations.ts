@@ -26,6 +26,7 @@ export interface Location {
     lat: number;
     lng: number;
   };
+  timeZone?: string; // IANA time zone, e.g. "America/New_York"; sun times are shown in it
   contactInfo?: {
     name?: string;
     phone?: string;
@@ -46,6 +47,7 @@ export interface CreateLocationData {
     lat: number;
     lng: number;
   };
+  timeZone?: string; // IANA time zone, e.g. "America/New_York"; sun times are shown in it
   contactInfo?: {
     name?: string;
     phone?: string;
@@ -64,6 +66,7 @@ export interface UpdateLocationData {
     lat: number;
     lng: number;
   };
+  timeZone?: string; // IANA time zone, e.g. "America/New_York"; sun times are shown in it
   contactInfo?: {
     name?: string;
     phone?: string;
@@ -4,6 +4,7 @@ import {
   doc, 
   addDoc, 
   getDoc, 
+  updateDoc,
   onSnapshot, 
   serverTimestamp,
   Unsubscribe 
@@ -15,10 +16,27 @@ export interface Project {
   name: string;
   ownerId: string;
   memberIds: string[];
+  settings?: ProjectSettings;
   createdAt: any; // serverTimestamp
   updatedAt: any; // serverTimestamp
 }
 
+export interface ProjectSettings {
+  stripPalette?: Record<string, string>; // strip color overrides, by color rule (see stripLayouts)
+  branding?: ProjectBranding;
+}
+
+/**
+ * Production branding printed on call sheets
+ */
+export interface ProjectBranding {
+  title?: string; // production title, defaults to the project name
+  logoUrl?: string;
+  primaryColor?: string; // hex, e.g. "#1e3a8a"
+  accentColor?: string;
+  callSheetTemplate?: string; // default call sheet template ID (see callsheetTemplates)
+}
+
 export interface CreateProjectData {
   name: string;
   ownerId: string;
@@ -88,3 +106,22 @@ export function subscribeProject(
     }
   });
 }
+
+/**
+ * Updates project settings. Each given setting replaces its previous value;
+ * settings that aren't given are kept.
+ * @param projectId - The project ID
+ * @param settings - Settings to change
+ * @returns Promise that resolves when the settings are saved
+ */
+export async function updateProjectSettings(projectId: string, settings: Partial<ProjectSettings>): Promise<void> {
+  const projectDoc = doc(db, 'projects', projectId);
+  const updateData = Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => [`settings.${key}`, value])
+  );
+
+  await updateDoc(projectDoc, {
+    ...updateData,
+    updatedAt: serverTimestamp()
+  });
+}
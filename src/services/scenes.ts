@@ -22,33 +22,240 @@ export type LocationType = "INT" | "EXT";
 export interface Scene {
   id: string;
   number: number;
+  numberLabel?: string; // printed scene number once the script is locked, e.g. "12A"
   slug: string;
   heading: string;
   locationType: LocationType;
   timeOfDay: string;
   durationMins: number;
+  pageEighths?: number; // printed length in eighths of a page, from the script
+  pageEighthsOverride?: number; // length set by hand; wins over pageEighths and survives script syncs
+  synopsis?: string; // one-line description, from the script
   elementIds: string[];
+  scriptLineId?: string; // heading line in the script this scene is synced from
+  deletedFromScript?: boolean; // heading was deleted or omitted; kept so strips aren't orphaned
   createdAt: any; // serverTimestamp
   updatedAt: any; // serverTimestamp
 }
 
 export interface CreateSceneData {
   number: number;
+  numberLabel?: string;
   slug: string;
   heading: string;
   locationType: LocationType;
   timeOfDay: string;
   durationMins: number;
+  pageEighths?: number;
+  synopsis?: string;
   elementIds?: string[];
+  scriptLineId?: string;
 }
 
 export interface UpdateSceneData {
   number?: number;
+  numberLabel?: string;
   slug?: string;
   heading?: string;
   locationType?: LocationType;
   timeOfDay?: string;
   durationMins?: number;
+  pageEighths?: number;
+  pageEighthsOverride?: number | null; // null clears the override
+  synopsis?: string;
+  scriptLineId?: string;
+  deletedFromScript?: boolean;
+}
+
+export interface ScriptSceneNumber {
+  lineId: string;
+  number: string;
+  heading: string;
+  omitted?: boolean;
+}
+
+export interface ScriptScene extends ScriptSceneNumber {
+  locationType: LocationType;
+  timeOfDay: string;
+  durationMins: number;
+  pageEighths?: number;
+  synopsis?: string;
+}
+
+export interface SceneSyncResult {
+  created: string[];
+  updated: string[];
+  flagged: string[];
+}
+
+const SCENE_NUMBER_PATTERN = /^([A-Z]*)(\d+)([A-Z]*)$/;
+
+function letterFraction(letters: string): number {
+  return letters
+    .split('')
+    .reduce((sum, letter, index) => sum + (letter.charCodeAt(0) - 64) / Math.pow(27, index + 1), 0);
+}
+
+/**
+ * Converts a printed scene number into the numeric `number` scenes are ordered by,
+ * so suffixed inserts sort between their neighbours: 12 < 12A < 12AA < 12B < 13,
+ * and prefixed scenes just before their scene: 11 < 11A < A12 < B12 < 12.
+ * Suffixes take the lower half of the gap after a number, prefixes the upper half.
+ * @param label - Printed scene number, e.g. "12A"
+ * @returns Sort key, or NaN if the label is not a scene number
+ */
+export function sceneNumberSortKey(label: string): number {
+  const match = SCENE_NUMBER_PATTERN.exec(String(label).trim().toUpperCase());
+  if (!match) return NaN;
+
+  const [, prefix, digits, suffix] = match;
+  const number = Number(digits);
+  return prefix
+    ? number - 0.5 + letterFraction(prefix) / 2
+    : number + letterFraction(suffix) / 2;
+}
+
+/**
+ * Printed scene number for display
+ * @param scene - Scene (or scene summary)
+ * @returns The locked number label when present, otherwise the scene number
+ */
+export function formatSceneNumber(scene: Pick<Scene, 'number' | 'numberLabel'>): string {
+  return scene.numberLabel || String(scene.number);
+}
+
+/**
+ * Reads a page length typed the way it is printed
+ * @param text - e.g. "4 3/8", "3/8" or "2"
+ * @returns Length in eighths, or NaN if the text isn't a page length
+ */
+export function parsePageEighths(text: string): number {
+  const match = /^\s*(?:(\d+)(?:\s+(\d)\/8)?|(\d)\/8)\s*$/.exec(text);
+  if (!match) return NaN;
+
+  const [, pages, pageEighths, eighthsOnly] = match;
+  const eighths = eighthsOnly ?? pageEighths;
+  if (eighths !== undefined && Number(eighths) >= 8) return NaN;
+  return Number(pages || 0) * 8 + Number(eighths || 0);
+}
+
+/**
+ * Prints a page length the way parsePageEighths reads it
+ * @param eighths - Length in eighths of a page
+ * @returns e.g. "4 3/8", "3/8" or "2"
+ */
+export function formatPageEighths(eighths: number): string {
+  const pages = Math.floor(eighths / 8);
+  const rest = eighths % 8;
+  if (rest === 0) return String(pages);
+  return pages > 0 ? `${pages} ${rest}/8` : `${rest}/8`;
+}
+
+/**
+ * Length of a scene in eighths of a page: the manual override if there is one,
+ * otherwise the length measured from the script
+ * @param scene - The scene
+ * @returns Length in eighths, or undefined if the scene has never been measured
+ */
+export function getSceneEighths(scene: Pick<Scene, 'pageEighths' | 'pageEighthsOverride'>): number | undefined {
+  return scene.pageEighthsOverride ?? scene.pageEighths;
+}
+
+/**
+ * Builds a scene slug from its printed number and heading, e.g. "12a-int-kitchen-night"
+ */
+export function buildSceneSlug(numberLabel: string, heading: string): string {
+  return `${numberLabel} ${heading}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const normalizeHeading = (heading: string) => heading.trim().replace(/\s+/g, ' ').toUpperCase();
+
+/**
+ * Syncs the project's scenes with the script's scene headings. Scenes are
+ * linked to their heading line, so they keep their ID through heading edits
+ * and renumbering; unlinked scenes (created by hand or by a breakdown) are
+ * adopted by heading and, for repeated headings, by number. Scenes whose heading was deleted or omitted are flagged
+ * with `deletedFromScript` rather than deleted, so strips keep pointing at them.
+ * Page lengths are re-measured on every sync; manual overrides are left alone.
+ * @param projectId - The project ID
+ * @param scriptScenes - Scenes from the script, in script order
+ * @returns Promise with the IDs of the created, updated and newly flagged scenes
+ */
+export async function syncScriptScenes(
+  projectId: string,
+  scriptScenes: ScriptScene[]
+): Promise<SceneSyncResult> {
+  const scenes = await listScenes(projectId);
+  const byLineId = new Map(scenes.filter(scene => scene.scriptLineId).map(scene => [scene.scriptLineId, scene]));
+  const unlinked = scenes.filter(scene => !scene.scriptLineId);
+  const synced = new Set<string>();
+  const result: SceneSyncResult = { created: [], updated: [], flagged: [] };
+
+  for (const scriptScene of scriptScenes) {
+    let scene = byLineId.get(scriptScene.lineId);
+    if (!scene) {
+      // A set the script returns to repeats its heading; prefer the scene with
+      // the same number, then the first one in scene order
+      const sameHeading = (candidate: Scene) => normalizeHeading(candidate.heading) === normalizeHeading(scriptScene.heading);
+      let index = unlinked.findIndex(candidate => sameHeading(candidate)
+        && formatSceneNumber(candidate).toUpperCase() === scriptScene.number.trim().toUpperCase());
+      if (index === -1) index = unlinked.findIndex(sameHeading);
+      if (index !== -1) [scene] = unlinked.splice(index, 1);
+    }
+
+    if (scriptScene.omitted) {
+      if (scene) {
+        synced.add(scene.id);
+        if (!scene.deletedFromScript || scene.scriptLineId !== scriptScene.lineId) {
+          await updateScene(projectId, scene.id, { scriptLineId: scriptScene.lineId, deletedFromScript: true });
+          result.flagged.push(scene.id);
+        }
+      }
+      continue;
+    }
+
+    const number = sceneNumberSortKey(scriptScene.number);
+    const data: CreateSceneData = {
+      number: Number.isNaN(number) ? scene?.number ?? 0 : number,
+      numberLabel: scriptScene.number,
+      slug: buildSceneSlug(scriptScene.number, scriptScene.heading),
+      heading: scriptScene.heading,
+      locationType: scriptScene.locationType,
+      timeOfDay: scriptScene.timeOfDay,
+      durationMins: scriptScene.durationMins,
+      ...(scriptScene.pageEighths !== undefined && { pageEighths: scriptScene.pageEighths }),
+      ...(scriptScene.synopsis !== undefined && { synopsis: scriptScene.synopsis }),
+      scriptLineId: scriptScene.lineId
+    };
+
+    if (!scene) {
+      result.created.push(await createScene(projectId, data));
+      continue;
+    }
+
+    synced.add(scene.id);
+    const update: UpdateSceneData = Object.fromEntries(
+      Object.entries(data).filter(([key, value]) => scene[key as keyof Scene] !== value)
+    );
+    if (scene.deletedFromScript) update.deletedFromScript = false;
+
+    if (Object.keys(update).length > 0) {
+      await updateScene(projectId, scene.id, update);
+      result.updated.push(scene.id);
+    }
+  }
+
+  for (const scene of byLineId.values()) {
+    if (!synced.has(scene.id) && !scene.deletedFromScript) {
+      await updateScene(projectId, scene.id, { deletedFromScript: true });
+      result.flagged.push(scene.id);
+    }
+  }
+
+  return result;
 }
 
 /**
@@ -59,21 +266,31 @@ export interface UpdateSceneData {
  */
 export async function createScene(projectId: string, data: CreateSceneData): Promise<string> {
   const scenesCollection = collection(db, 'projects', projectId, 'scenes');
-  
-  const sceneData = {
+  const docRef = await addDoc(scenesCollection, buildSceneData(data));
+  return docRef.id;
+}
+
+/**
+ * The document a new scene is stored as, for writing it in a batch
+ * @param data - Scene data
+ * @returns Firestore document data
+ */
+export function buildSceneData(data: CreateSceneData) {
+  return {
     number: data.number,
+    ...(data.numberLabel && { numberLabel: data.numberLabel }),
     slug: data.slug,
     heading: data.heading,
     locationType: data.locationType,
     timeOfDay: data.timeOfDay,
     durationMins: data.durationMins,
+    ...(data.pageEighths !== undefined && { pageEighths: data.pageEighths }),
+    ...(data.synopsis !== undefined && { synopsis: data.synopsis }),
     elementIds: data.elementIds || [],
+    ...(data.scriptLineId && { scriptLineId: data.scriptLineId }),
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp()
   };
-
-  const docRef = await addDoc(scenesCollection, sceneData);
-  return docRef.id;
 }
 
 /**
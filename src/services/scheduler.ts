@@ -0,0 +1,350 @@
+// src/services/scheduler.ts
+import {
+  updateSceneOrder,
+  updateTotalDuration,
+  calculateTotalDuration,
+  isBannerStrip,
+  isOffDay,
+  type StripDay
+} from './stripboard';
+import type { Scene, LocationType } from './scenes';
+import { isCastElement, type Element } from './elements';
+import type { Location } from './locations';
+
+export interface ScheduleScene {
+  id: string;
+  heading: string;
+  locationType: LocationType;
+  timeOfDay: string;
+  durationMins: number;
+  castIds: string[];
+  set: string; // location in the heading, e.g. "HOUSE - KITCHEN"
+  site: string; // physical location; shooting at another site is a company move
+}
+
+export interface ScheduleOptions {
+  castUnavailable?: Record<string, string[]>; // cast element ID -> dates (YYYY-MM-DD) they can't work
+  groupLocations?: boolean;
+  batchIntExt?: boolean;
+  batchDayNight?: boolean;
+  maxCompanyMoves?: number; // per day
+}
+
+export type UnscheduledReason = 'capacity' | 'cast' | 'companyMoves';
+
+export interface ScheduleMetrics {
+  locationChanges: number;
+  companyMoves: number;
+  castDays: number;
+}
+
+export interface ScheduleProposal {
+  days: Array<{ dayId: string; date: string; sceneOrder: string[]; totalMins: number; targetMins: number }>;
+  unscheduled: Array<{ sceneId: string; reason: UnscheduledReason }>;
+  before: ScheduleMetrics;
+  after: ScheduleMetrics;
+}
+
+export interface ScheduleDayDiff {
+  dayId: string;
+  date: string;
+  before: string[];
+  after: string[];
+  added: string[];
+  totalMins: number;
+  reordered: boolean;
+}
+
+const NIGHT_PATTERN = /NIGHT|EVENING|DUSK/i;
+
+/**
+ * Checks whether a scene's time of day is shot as night work
+ * @param timeOfDay - e.g. "NIGHT", "DUSK", "DAY"
+ * @returns True for night scenes
+ */
+export function isNightTime(timeOfDay: string): boolean {
+  return NIGHT_PATTERN.test(timeOfDay || '');
+}
+
+const normalize = (value: string) => value.trim().replace(/\s+/g, ' ').toUpperCase();
+
+/**
+ * Set name from a scene heading: the heading without its INT/EXT prefix and time of day
+ * @param heading - e.g. "INT. HOUSE - KITCHEN - NIGHT"
+ * @returns e.g. "HOUSE - KITCHEN"
+ */
+export function getSceneSet(heading: string): string {
+  const withoutPrefix = heading.trim().replace(/^(INT\.?\/EXT|EXT\.?\/INT|I\/E|INT|EXT|EST)\.?\s+/i, '');
+  const parts = withoutPrefix.split(/\s+[-–—]\s+/);
+  return normalize(parts.length > 1 ? parts.slice(0, -1).join(' - ') : parts[0]);
+}
+
+/**
+ * Builds the scheduler's view of the project's scenes: the cast in each scene
+ * (character elements linked to it), its set, and the site it is shot at. A
+ * set's site is the project location named like the set (or its first part);
+ * sets with no matching location are their own site.
+ * @param scenes - Project scenes
+ * @param elements - Project elements
+ * @param locations - Project locations
+ * @returns Scenes for autoSchedule and cast availability from each cast element's
+ *   `customFields.unavailableDates`
+ */
+export function buildScheduleScenes(
+  scenes: Scene[],
+  elements: Element[],
+  locations: Location[] = []
+): { scenes: ScheduleScene[]; castUnavailable: Record<string, string[]> } {
+  const cast = elements.filter(isCastElement);
+  const locationsByName = new Map(locations.map(location => [normalize(location.name), location]));
+  const castUnavailable: Record<string, string[]> = {};
+
+  cast.forEach((element) => {
+    const dates = element.customFields?.unavailableDates;
+    if (Array.isArray(dates) && dates.length > 0) castUnavailable[element.id] = dates;
+  });
+
+  const scheduleScenes = scenes
+    .filter(scene => !scene.deletedFromScript)
+    .map((scene) => {
+      const set = getSceneSet(scene.heading);
+      const area = set.split(' - ')[0];
+      const location = locationsByName.get(set) || locationsByName.get(area);
+      const castIds = cast
+        .filter(element => element.linkedSceneIds?.includes(scene.id) || scene.elementIds?.includes(element.id))
+        .map(element => element.id);
+
+      return {
+        id: scene.id,
+        heading: scene.heading,
+        locationType: scene.locationType,
+        timeOfDay: scene.timeOfDay || '',
+        durationMins: scene.durationMins || 0,
+        castIds,
+        set,
+        site: location ? normalize(location.address || location.id) : area
+      };
+    });
+
+  return { scenes: scheduleScenes, castUnavailable };
+}
+
+const distinct = <T>(values: T[]) => [...new Set(values)];
+
+function runs(values: string[]): number {
+  return values.filter((value, index) => index === 0 || value !== values[index - 1]).length;
+}
+
+/**
+ * Location changes, company moves and cast days of a schedule
+ * @param dayOrders - Scene order of each day
+ * @param scenesById - Scheduler scenes by ID
+ */
+export function scheduleMetrics(dayOrders: string[][], scenesById: Map<string, ScheduleScene>): ScheduleMetrics {
+  return dayOrders.reduce((metrics, order) => {
+    const scenes = order.map(id => scenesById.get(id)).filter((scene): scene is ScheduleScene => !!scene);
+    if (scenes.length === 0) return metrics;
+
+    return {
+      locationChanges: metrics.locationChanges + runs(scenes.map(scene => scene.set)) - 1,
+      companyMoves: metrics.companyMoves + runs(scenes.map(scene => scene.site)) - 1,
+      castDays: metrics.castDays + distinct(scenes.flatMap(scene => scene.castIds)).length
+    };
+  }, { locationChanges: 0, companyMoves: 0, castDays: 0 });
+}
+
+/**
+ * Shooting order within a day: scenes at the same site, then the same set,
+ * stay together, followed by INT/EXT and day/night batches (day first). Other
+ * groups keep the order in which they first appear; banner strips keep their place.
+ */
+function orderDay(order: string[], scenesById: Map<string, ScheduleScene>, options: Required<ScheduleOptions>): string[] {
+  const keys = (scene: ScheduleScene) => [
+    options.groupLocations ? scene.site : '',
+    options.groupLocations ? scene.set : '',
+    options.batchIntExt ? scene.locationType : '',
+    options.batchDayNight ? (isNightTime(scene.timeOfDay) ? 'night' : 'day') : ''
+  ];
+  // Path of group keys from the outermost level in, e.g. ["SITE", "SITE|SET", ...]
+  const paths = (scene: ScheduleScene) => keys(scene).map((_, level, all) => all.slice(0, level + 1).join('|'));
+  const firstSeen = new Map<string, number>();
+
+  order.forEach((id, index) => {
+    const scene = scenesById.get(id);
+    if (!scene) return;
+    paths(scene).forEach((path) => {
+      if (!firstSeen.has(path)) firstSeen.set(path, index);
+    });
+  });
+
+  const rank = (id: string) => {
+    const scene = scenesById.get(id);
+    if (!scene) return [Infinity];
+    const ranks = paths(scene).map(path => firstSeen.get(path) ?? 0);
+    // Day work is shot before night work
+    ranks[3] = options.batchDayNight && isNightTime(scene.timeOfDay) ? 1 : 0;
+    return ranks;
+  };
+
+  const ordered = order
+    .filter(id => !isBannerStrip(id))
+    .map((id, index) => ({ id, index, rank: rank(id) }))
+    .sort((a, b) => {
+      for (let level = 0; level < Math.max(a.rank.length, b.rank.length); level++) {
+        const diff = (a.rank[level] ?? 0) - (b.rank[level] ?? 0);
+        if (diff !== 0) return diff;
+      }
+      return a.index - b.index;
+    })
+    .map(({ id }) => id);
+
+  order.forEach((id, index) => {
+    if (isBannerStrip(id)) ordered.splice(index, 0, id);
+  });
+  return ordered;
+}
+
+/**
+ * Proposes a shooting order for every shoot day. Scenes already on a day stay
+ * on it (in a batched order); unscheduled scenes are placed, largest set first,
+ * on the day where they add the fewest location changes, company moves and new
+ * cast days, without going over the day's target, past the allowed company
+ * moves, or on a date a cast member is unavailable.
+ * @param stripDays - Strip days, in date order
+ * @param scenes - Scheduler scenes (see buildScheduleScenes)
+ * @param options - Scheduling constraints
+ * @returns Proposed day orders, scenes that could not be placed, and before/after metrics
+ */
+export function autoSchedule(
+  stripDays: StripDay[],
+  scenes: ScheduleScene[],
+  options: ScheduleOptions = {}
+): ScheduleProposal {
+  const settings: Required<ScheduleOptions> = {
+    castUnavailable: {},
+    groupLocations: true,
+    batchIntExt: true,
+    batchDayNight: true,
+    maxCompanyMoves: 1,
+    ...options
+  };
+  const scenesById = new Map(scenes.map(scene => [scene.id, scene]));
+  const scheduled = new Set(stripDays.flatMap(day => day.sceneOrder));
+  const days = stripDays.map(day => ({
+    day,
+    order: [...day.sceneOrder],
+    totalMins: calculateTotalDuration(day.sceneOrder, new Map(scenes.map(scene => [scene.id, scene.durationMins])))
+  }));
+
+  // Largest sets first, so they get whole days before smaller ones fill the gaps
+  const clusters = new Map<string, ScheduleScene[]>();
+  scenes
+    .filter(scene => !scheduled.has(scene.id))
+    .forEach((scene) => {
+      const key = settings.groupLocations ? `${scene.site}|${scene.set}` : scene.id;
+      clusters.set(key, [...(clusters.get(key) || []), scene]);
+    });
+  const queue = [...clusters.values()]
+    .sort((a, b) => b.reduce((sum, s) => sum + s.durationMins, 0) - a.reduce((sum, s) => sum + s.durationMins, 0))
+    .flatMap(cluster => [...cluster].sort((a, b) => b.durationMins - a.durationMins));
+
+  const unavailable = (scene: ScheduleScene, date: string) =>
+    scene.castIds.some(castId => settings.castUnavailable[castId]?.includes(date));
+
+  const unscheduled: ScheduleProposal['unscheduled'] = [];
+
+  queue.forEach((scene) => {
+    let best: { index: number; cost: number } | null = null;
+    let reason: UnscheduledReason = 'capacity';
+
+    for (const [index, entry] of days.entries()) {
+      if (isOffDay(entry.day)) continue;
+      if (entry.totalMins + scene.durationMins > entry.day.targetMins) continue;
+      if (unavailable(scene, entry.day.date)) {
+        reason = 'cast';
+        continue;
+      }
+
+      const dayScenes = entry.order.map(id => scenesById.get(id)).filter((s): s is ScheduleScene => !!s);
+      const sites = distinct([...dayScenes.map(s => s.site), scene.site]);
+      if (sites.length - 1 > settings.maxCompanyMoves) {
+        if (reason !== 'cast') reason = 'companyMoves';
+        continue;
+      }
+
+      const dayCast = new Set(dayScenes.flatMap(s => s.castIds));
+      let cost = index * 0.01 + scene.castIds.filter(castId => !dayCast.has(castId)).length * 5;
+      if (settings.groupLocations) {
+        if (dayScenes.length > 0 && !dayScenes.some(s => s.site === scene.site)) cost += 10;
+        if (!dayScenes.some(s => s.set === scene.set)) cost += 3;
+      }
+      if (settings.batchIntExt && dayScenes.length > 0 && !dayScenes.some(s => s.locationType === scene.locationType)) cost += 2;
+      if (settings.batchDayNight && dayScenes.length > 0
+        && !dayScenes.some(s => isNightTime(s.timeOfDay) === isNightTime(scene.timeOfDay))) cost += 2;
+
+      if (!best || cost < best.cost) best = { index, cost };
+    }
+
+    if (best) {
+      const entry = days[best.index];
+      entry.order.push(scene.id);
+      entry.totalMins += scene.durationMins;
+    } else {
+      unscheduled.push({ sceneId: scene.id, reason });
+    }
+  });
+
+  const proposed = days.map(entry => ({
+    dayId: entry.day.id,
+    date: entry.day.date,
+    sceneOrder: orderDay(entry.order, scenesById, settings),
+    totalMins: entry.totalMins,
+    targetMins: entry.day.targetMins
+  }));
+
+  return {
+    days: proposed,
+    unscheduled,
+    before: scheduleMetrics(stripDays.map(day => day.sceneOrder), scenesById),
+    after: scheduleMetrics(proposed.map(day => day.sceneOrder), scenesById)
+  };
+}
+
+/**
+ * Days a proposal changes, with the scenes it adds to each
+ * @param stripDays - Current strip days
+ * @param proposal - Result of autoSchedule
+ */
+export function diffSchedule(stripDays: StripDay[], proposal: ScheduleProposal): ScheduleDayDiff[] {
+  const current = new Map(stripDays.map(day => [day.id, day.sceneOrder]));
+
+  return proposal.days
+    .map((day) => {
+      const before = current.get(day.dayId) || [];
+      const added = day.sceneOrder.filter(id => !before.includes(id));
+      const kept = day.sceneOrder.filter(id => before.includes(id));
+      return {
+        dayId: day.dayId,
+        date: day.date,
+        before,
+        after: day.sceneOrder,
+        added,
+        totalMins: day.totalMins,
+        reordered: kept.some((id, index) => id !== before[index])
+      };
+    })
+    .filter(day => day.added.length > 0 || day.reordered);
+}
+
+/**
+ * Commits a schedule proposal: each changed day's scene order and total
+ * @param projectId - The project ID
+ * @param changes - Result of diffSchedule
+ * @returns Promise that resolves when every day is updated
+ */
+export async function applySchedule(projectId: string, changes: ScheduleDayDiff[]): Promise<void> {
+  for (const change of changes) {
+    await updateSceneOrder(projectId, change.dayId, change.after);
+    await updateTotalDuration(projectId, change.dayId, change.totalMins);
+  }
+}
@@ -0,0 +1,199 @@
+// src/services/stripLayouts.ts
+import {
+  doc,
+  setDoc,
+  onSnapshot,
+  serverTimestamp,
+  Unsubscribe
+} from 'firebase/firestore';
+import { db } from '../lib/firebase.client';
+import { updateProjectSettings } from './projects';
+import { formatPageEighths, formatSceneNumber, getSceneEighths, type Scene } from './scenes';
+import { isCastElement, type Element } from './elements';
+import { getSceneSet, isNightTime } from './scheduler';
+
+/**
+ * Color rules, from the scene's INT/EXT and day/night
+ */
+export type StripColorKey = 'INT_DAY' | 'EXT_DAY' | 'INT_NIGHT' | 'EXT_NIGHT';
+
+export type StripPalette = Record<StripColorKey, string>; // CSS colors
+
+export type StripField = 'sceneNumber' | 'intExt' | 'set' | 'timeOfDay' | 'pages' | 'cast' | 'duration';
+
+export type StripDensity = 'compact' | 'comfortable' | 'expanded';
+
+export interface StripLayout {
+  fields: StripField[]; // fields shown on each strip, in order
+  density: StripDensity;
+}
+
+// The industry-standard strip colors
+export const DEFAULT_STRIP_PALETTE: StripPalette = {
+  INT_DAY: '#ffffff',
+  EXT_DAY: '#fff59d',
+  INT_NIGHT: '#90caf9',
+  EXT_NIGHT: '#a5d6a7'
+};
+
+export const STRIP_COLOR_LABELS: Record<StripColorKey, string> = {
+  INT_DAY: 'INT - Day',
+  EXT_DAY: 'EXT - Day',
+  INT_NIGHT: 'INT - Night',
+  EXT_NIGHT: 'EXT - Night'
+};
+
+export const STRIP_FIELD_LABELS: Record<StripField, string> = {
+  sceneNumber: 'Scene number',
+  intExt: 'INT/EXT',
+  set: 'Set',
+  timeOfDay: 'Day/Night',
+  pages: 'Pages (eighths)',
+  cast: 'Cast IDs',
+  duration: 'Duration'
+};
+
+export const DEFAULT_STRIP_LAYOUT: StripLayout = {
+  fields: ['sceneNumber', 'intExt', 'set', 'timeOfDay', 'pages', 'cast', 'duration'],
+  density: 'comfortable'
+};
+
+const DENSITIES: StripDensity[] = ['compact', 'comfortable', 'expanded'];
+
+/**
+ * Color rule a scene's strip follows
+ * @param scene - The scene
+ * @returns Its color rule
+ */
+export function getStripColorKey(scene: Pick<Scene, 'locationType' | 'timeOfDay'>): StripColorKey {
+  const night = isNightTime(scene.timeOfDay);
+  if (scene.locationType === 'EXT') return night ? 'EXT_NIGHT' : 'EXT_DAY';
+  return night ? 'INT_NIGHT' : 'INT_DAY';
+}
+
+/**
+ * The project's strip palette: the default colors with the project's overrides
+ * @param overrides - Project `settings.stripPalette`
+ * @returns Complete palette
+ */
+export function resolveStripPalette(overrides: Record<string, string> = {}): StripPalette {
+  const palette = { ...DEFAULT_STRIP_PALETTE };
+  (Object.keys(palette) as StripColorKey[]).forEach((key) => {
+    if (overrides[key]) palette[key] = overrides[key];
+  });
+  return palette;
+}
+
+/**
+ * Strip color for a scene
+ * @param scene - The scene
+ * @param palette - The project's palette
+ * @returns CSS color
+ */
+export function getStripColor(scene: Pick<Scene, 'locationType' | 'timeOfDay'>, palette: StripPalette): string {
+  return palette[getStripColorKey(scene)];
+}
+
+/**
+ * Saves the project's strip color overrides
+ * @param projectId - The project ID
+ * @param palette - Colors that differ from the defaults; missing rules use the default
+ * @returns Promise that resolves when the palette is saved
+ */
+export async function saveStripPalette(projectId: string, palette: Partial<StripPalette>): Promise<void> {
+  const overrides = Object.fromEntries(
+    Object.entries(palette).filter(([key, color]) => color && color !== DEFAULT_STRIP_PALETTE[key as StripColorKey])
+  );
+  await updateProjectSettings(projectId, { stripPalette: overrides });
+}
+
+/**
+ * Cleans up a stored strip layout: unknown and repeated fields are dropped and
+ * missing settings take their defaults
+ * @param data - Stored layout, possibly partial or from an older version
+ * @returns Valid layout
+ */
+export function normalizeStripLayout(data?: Partial<StripLayout> | null): StripLayout {
+  const fields = Array.isArray(data?.fields)
+    ? data.fields.filter((field, index, all) => field in STRIP_FIELD_LABELS && all.indexOf(field) === index)
+    : DEFAULT_STRIP_LAYOUT.fields;
+  const density = data?.density && DENSITIES.includes(data.density) ? data.density : DEFAULT_STRIP_LAYOUT.density;
+
+  return { fields, density };
+}
+
+/**
+ * Text a strip shows for one of its fields
+ * @param field - The field
+ * @param scene - The strip's scene
+ * @param elements - Project elements; cast elements linked to the scene are listed by number
+ * @param castNumbers - Cast number by element ID
+ * @returns Display text, empty when the scene has no value
+ */
+export function getStripFieldText(
+  field: StripField,
+  scene: Scene,
+  elements: Element[],
+  castNumbers: Map<string, number>
+): string {
+  switch (field) {
+    case 'sceneNumber':
+      return formatSceneNumber(scene);
+    case 'intExt':
+      return scene.locationType;
+    case 'set':
+      return getSceneSet(scene.heading);
+    case 'timeOfDay':
+      return scene.timeOfDay;
+    case 'pages': {
+      const eighths = getSceneEighths(scene);
+      return eighths !== undefined ? `${formatPageEighths(eighths)} pgs` : '';
+    }
+    case 'cast':
+      return elements
+        .filter(element => isCastElement(element)
+          && (element.linkedSceneIds?.includes(scene.id) || scene.elementIds?.includes(element.id)))
+        .map(element => castNumbers.get(element.id))
+        .filter((number): number is number => number !== undefined)
+        .sort((a, b) => a - b)
+        .join(', ');
+    case 'duration':
+      return `${Math.floor(scene.durationMins / 60)}h ${scene.durationMins % 60}m`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Saves a user's strip layout for a project
+ * @param projectId - The project ID
+ * @param userId - The user's ID
+ * @param layout - The layout
+ * @returns Promise that resolves when the layout is saved
+ */
+export async function saveStripLayout(projectId: string, userId: string, layout: StripLayout): Promise<void> {
+  const layoutDoc = doc(db, 'projects', projectId, 'stripLayouts', userId);
+  await setDoc(layoutDoc, {
+    ...normalizeStripLayout(layout),
+    updatedAt: serverTimestamp()
+  });
+}
+
+/**
+ * Subscribes to a user's strip layout for a project
+ * @param projectId - The project ID
+ * @param userId - The user's ID
+ * @param callback - Called with the layout, or the default layout if the user has none
+ * @returns Unsubscribe function to stop listening
+ */
+export function subscribeStripLayout(
+  projectId: string,
+  userId: string,
+  callback: (layout: StripLayout) => void
+): Unsubscribe {
+  const layoutDoc = doc(db, 'projects', projectId, 'stripLayouts', userId);
+
+  return onSnapshot(layoutDoc, (docSnap) => {
+    callback(normalizeStripLayout(docSnap.exists() ? docSnap.data() as Partial<StripLayout> : null));
+  });
+}
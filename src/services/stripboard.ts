@@ -15,12 +15,25 @@ import {
 } from 'firebase/firestore';
 import { db } from '../lib/firebase.client';
 
+export type StripDayType = 'shoot' | 'off';
+
+export type BannerType = 'company_move' | 'meal' | 'holiday' | 'note';
+
+export interface Banner {
+  type: BannerType;
+  label: string;
+}
+
 export interface StripDay {
   id: string;
   date: string; // ISO date string (YYYY-MM-DD)
-  sceneOrder: string[]; // Array of scene IDs in shooting order
+  sceneOrder: string[]; // Array of scene IDs in shooting order, with banner strip IDs between them
   targetMins: number; // Target shooting time in minutes
   totalMins: number; // Calculated total scene duration in minutes
+  boardId?: string; // Board the day belongs to, DEFAULT_BOARD_ID when missing
+  type?: StripDayType; // 'shoot' when missing
+  label?: string; // e.g. "HOLIDAY" on an off day
+  banners?: Record<string, Banner>; // Banner strips in sceneOrder, by ID
   updatedAt: any; // serverTimestamp
 }
 
@@ -29,6 +42,10 @@ export interface CreateStripDayData {
   sceneOrder?: string[];
   targetMins: number;
   totalMins?: number;
+  boardId?: string;
+  type?: StripDayType;
+  label?: string;
+  banners?: Record<string, Banner>;
 }
 
 export interface UpdateStripDayData {
@@ -36,8 +53,58 @@ export interface UpdateStripDayData {
   sceneOrder?: string[];
   targetMins?: number;
   totalMins?: number;
+  type?: StripDayType;
+  label?: string;
+  banners?: Record<string, Banner>;
+}
+
+export interface StripBoard {
+  id: string;
+  name: string;
+  unit: string; // e.g. "1st Unit", "2nd Unit"
+  createdAt: any; // serverTimestamp
+  updatedAt: any; // serverTimestamp
+}
+
+export interface CreateStripBoardData {
+  name: string;
+  unit: string;
+}
+
+export interface UpdateStripBoardData {
+  name?: string;
+  unit?: string;
+}
+
+export interface BoardComparison {
+  scenes: Array<{ sceneId: string; a: string | null; b: string | null }>; // scenes shot on different dates
+  summary: {
+    a: { shootDays: number; offDays: number; totalMins: number };
+    b: { shootDays: number; offDays: number; totalMins: number };
+  };
 }
 
+// Board that strip days created before boards existed belong to
+export const DEFAULT_BOARD_ID = 'main';
+
+// Strip days created before boards existed live on the main board
+export const MAIN_BOARD: StripBoard = {
+  id: DEFAULT_BOARD_ID,
+  name: 'Main Board',
+  unit: '1st Unit',
+  createdAt: null,
+  updatedAt: null
+};
+
+export const BANNER_PREFIX = 'banner_';
+
+export const BANNER_LABELS: Record<BannerType, string> = {
+  company_move: 'COMPANY MOVE',
+  meal: 'MEAL',
+  holiday: 'HOLIDAY',
+  note: 'NOTE'
+};
+
 export interface SceneDuration {
   sceneId: string;
   durationMins: number;
@@ -57,6 +124,10 @@ export async function createStripDay(projectId: string, data: CreateStripDayData
     sceneOrder: data.sceneOrder || [],
     targetMins: data.targetMins,
     totalMins: data.totalMins || 0,
+    boardId: data.boardId || DEFAULT_BOARD_ID,
+    type: data.type || 'shoot',
+    ...(data.label && { label: data.label }),
+    banners: data.banners || {},
     updatedAt: serverTimestamp()
   };
 
@@ -171,7 +242,8 @@ export async function updateSceneOrder(
 }
 
 /**
- * Calculates total duration for a strip day based on scene durations
+ * Calculates total duration for a strip day based on scene durations.
+ * Banner strips have no duration.
  * @param sceneOrder - Array of scene IDs
  * @param sceneDurations - Map of scene ID to duration in minutes
  * @returns Total duration in minutes
@@ -185,6 +257,19 @@ export function calculateTotalDuration(
   }, 0);
 }
 
+/**
+ * Calculates the page count of a strip day, in eighths of a page
+ * @param sceneOrder - Array of scene IDs
+ * @param sceneEighths - Map of scene ID to length in eighths
+ * @returns Total length in eighths
+ */
+export function calculateTotalEighths(
+  sceneOrder: string[],
+  sceneEighths: Map<string, number>
+): number {
+  return sceneOrder.reduce((total, sceneId) => total + (sceneEighths.get(sceneId) || 0), 0);
+}
+
 /**
  * Updates the total duration for a strip day
  * @param projectId - The project ID
@@ -254,3 +339,220 @@ export async function reorderScenes(
     totalMins: newTotalMins
   });
 }
+
+/**
+ * Checks whether a strip in a day's sceneOrder is a banner rather than a scene
+ * @param stripId - Entry of sceneOrder
+ * @returns True for banner strips
+ */
+export function isBannerStrip(stripId: string): boolean {
+  return stripId.startsWith(BANNER_PREFIX);
+}
+
+/**
+ * Scene IDs of a strip day, without its banner strips
+ * @param stripDay - The strip day
+ * @returns Scene IDs in shooting order
+ */
+export function getDaySceneIds(stripDay: Pick<StripDay, 'sceneOrder'>): string[] {
+  return stripDay.sceneOrder.filter(stripId => !isBannerStrip(stripId));
+}
+
+/**
+ * Checks whether a strip day is a day off (holiday, rest day) rather than a shoot day
+ * @param stripDay - The strip day
+ * @returns True for off days
+ */
+export function isOffDay(stripDay: Pick<StripDay, 'type'>): boolean {
+  return stripDay.type === 'off';
+}
+
+/**
+ * Strip days on a board
+ * @param stripDays - Strip days of the project
+ * @param boardId - The board ID
+ * @returns The board's days, in the given order
+ */
+export function getBoardDays(stripDays: StripDay[], boardId: string): StripDay[] {
+  return stripDays.filter(day => (day.boardId || DEFAULT_BOARD_ID) === boardId);
+}
+
+/**
+ * Inserts a banner strip into a strip day
+ * @param projectId - The project ID
+ * @param stripDay - The strip day
+ * @param banner - Banner type and label
+ * @param index - Position in sceneOrder, defaults to the end
+ * @returns Promise with the banner strip ID
+ */
+export async function insertBanner(
+  projectId: string,
+  stripDay: StripDay,
+  banner: Banner,
+  index: number = stripDay.sceneOrder.length
+): Promise<string> {
+  const bannerId = `${BANNER_PREFIX}${Date.now()}`;
+  const sceneOrder = [...stripDay.sceneOrder];
+  sceneOrder.splice(index, 0, bannerId);
+
+  await updateStripDay(projectId, stripDay.id, {
+    sceneOrder,
+    banners: { ...(stripDay.banners || {}), [bannerId]: banner }
+  });
+  return bannerId;
+}
+
+/**
+ * Removes a banner strip from a strip day
+ * @param projectId - The project ID
+ * @param stripDay - The strip day
+ * @param bannerId - The banner strip ID
+ * @returns Promise that resolves when the banner is removed
+ */
+export async function removeBanner(projectId: string, stripDay: StripDay, bannerId: string): Promise<void> {
+  const banners = Object.fromEntries(
+    Object.entries(stripDay.banners || {}).filter(([id]) => id !== bannerId)
+  );
+
+  await updateStripDay(projectId, stripDay.id, {
+    sceneOrder: stripDay.sceneOrder.filter(stripId => stripId !== bannerId),
+    banners
+  });
+}
+
+/**
+ * Creates a new board (a unit's schedule, or an alternative schedule)
+ * @param projectId - The project ID
+ * @param data - Board creation data
+ * @returns Promise with the created board ID
+ */
+export async function createStripBoard(projectId: string, data: CreateStripBoardData): Promise<string> {
+  const boardsCollection = collection(db, 'projects', projectId, 'stripBoards');
+
+  const docRef = await addDoc(boardsCollection, {
+    name: data.name,
+    unit: data.unit,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+  return docRef.id;
+}
+
+/**
+ * Updates a board
+ * @param projectId - The project ID
+ * @param boardId - The board ID to update
+ * @param data - Updated board data
+ * @returns Promise that resolves when the board is updated
+ */
+export async function updateStripBoard(
+  projectId: string,
+  boardId: string,
+  data: UpdateStripBoardData
+): Promise<void> {
+  const boardDoc = doc(db, 'projects', projectId, 'stripBoards', boardId);
+  await updateDoc(boardDoc, { ...data, updatedAt: serverTimestamp() });
+}
+
+/**
+ * Deletes a board and its strip days
+ * @param projectId - The project ID
+ * @param boardId - The board ID to delete
+ * @param stripDays - Strip days of the project
+ * @returns Promise that resolves when the board and its days are deleted
+ */
+export async function deleteStripBoard(projectId: string, boardId: string, stripDays: StripDay[]): Promise<void> {
+  for (const day of getBoardDays(stripDays, boardId)) {
+    await deleteStripDay(projectId, day.id);
+  }
+  if (boardId !== DEFAULT_BOARD_ID) {
+    await deleteDoc(doc(db, 'projects', projectId, 'stripBoards', boardId));
+  }
+}
+
+/**
+ * Subscribes to real-time updates for the boards in a project
+ * @param projectId - The project ID
+ * @param callback - Function to call when boards change
+ * @returns Unsubscribe function to stop listening
+ */
+export function subscribeStripBoards(
+  projectId: string,
+  callback: (boards: StripBoard[]) => void
+): Unsubscribe {
+  const boardsCollection = collection(db, 'projects', projectId, 'stripBoards');
+  const q = query(boardsCollection, orderBy('createdAt'));
+
+  return onSnapshot(q, (querySnapshot) => {
+    const boards = querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    })) as StripBoard[];
+    callback(boards);
+  });
+}
+
+/**
+ * Copies a board and all its strip days into a new board
+ * @param projectId - The project ID
+ * @param sourceBoardId - The board to copy
+ * @param data - Name and unit of the new board
+ * @param stripDays - Strip days of the project
+ * @returns Promise with the new board ID
+ */
+export async function duplicateStripBoard(
+  projectId: string,
+  sourceBoardId: string,
+  data: CreateStripBoardData,
+  stripDays: StripDay[]
+): Promise<string> {
+  const boardId = await createStripBoard(projectId, data);
+
+  for (const day of getBoardDays(stripDays, sourceBoardId)) {
+    await createStripDay(projectId, {
+      date: day.date,
+      sceneOrder: day.sceneOrder,
+      targetMins: day.targetMins,
+      totalMins: day.totalMins,
+      boardId,
+      type: day.type,
+      label: day.label,
+      banners: day.banners
+    });
+  }
+
+  return boardId;
+}
+
+/**
+ * Compares two boards: the scenes they shoot on different dates (or only one
+ * of them shoots), and each board's shoot days, off days and scheduled minutes
+ * @param daysA - Strip days of the first board
+ * @param daysB - Strip days of the second board
+ * @param sceneDurations - Map of scene ID to duration in minutes
+ * @returns Board comparison
+ */
+export function compareBoards(
+  daysA: StripDay[],
+  daysB: StripDay[],
+  sceneDurations: Map<string, number>
+): BoardComparison {
+  const scheduledOn = (days: StripDay[]) => new Map(
+    days.flatMap(day => getDaySceneIds(day).map(sceneId => [sceneId, day.date] as [string, string]))
+  );
+  const datesA = scheduledOn(daysA);
+  const datesB = scheduledOn(daysB);
+
+  const sceneIds = [...new Set([...datesA.keys(), ...datesB.keys()])];
+  const scenes = sceneIds
+    .map(sceneId => ({ sceneId, a: datesA.get(sceneId) || null, b: datesB.get(sceneId) || null }))
+    .filter(scene => scene.a !== scene.b);
+
+  const summarize = (days: StripDay[]) => ({
+    shootDays: days.filter(day => !isOffDay(day)).length,
+    offDays: days.filter(isOffDay).length,
+    totalMins: days.reduce((total, day) => total + calculateTotalDuration(day.sceneOrder, sceneDurations), 0)
+  });
+
+  return { scenes, summary: { a: summarize(daysA), b: summarize(daysB) } };
+}